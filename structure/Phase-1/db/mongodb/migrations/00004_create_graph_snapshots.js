@@ -0,0 +1,111 @@
+/**
+ * MongoDB Migration: Create Graph Snapshots
+ * Description: Creates the collection for versioned concept graph snapshots
+ */
+
+// Migration metadata
+const migrationName = '00004_create_graph_snapshots';
+const description = 'Creates the collection for versioned concept graph snapshots';
+
+// Migration function
+async function up(db) {
+  console.log(`Running migration: ${migrationName}`);
+  console.log(`Description: ${description}`);
+  
+  try {
+    await db.createCollection('graphSnapshots', {
+      validator: {
+        $jsonSchema: {
+          bsonType: 'object',
+          required: ['snapshot_id', 'concept_id', 'version', 'status', 'categories', 'relationships', 'checksum', 'created_at'],
+          properties: {
+            snapshot_id: {
+              bsonType: 'string',
+              description: 'UUID of the snapshot'
+            },
+            concept_id: {
+              bsonType: 'string',
+              description: 'UUID of the concept'
+            },
+            version: {
+              bsonType: 'int',
+              minimum: 1,
+              description: 'Version number, increasing per concept'
+            },
+            status: {
+              enum: ['draft', 'validated', 'enriched', 'published'],
+              description: 'Graph status at the time of the snapshot'
+            },
+            categories: {
+              bsonType: 'array',
+              description: 'Categories of the graph'
+            },
+            relationships: {
+              bsonType: 'array',
+              description: 'Relationships of the graph'
+            },
+            checksum: {
+              bsonType: 'string',
+              description: 'Checksum of the graph content'
+            },
+            author_id: {
+              bsonType: ['string', 'null'],
+              description: 'UUID of the user who saved the snapshot'
+            },
+            tags: {
+              bsonType: 'array',
+              items: {
+                bsonType: 'string'
+              },
+              description: 'Tags attached to the version'
+            },
+            created_at: {
+              bsonType: 'date',
+              description: 'Date and time the snapshot was saved'
+            }
+          }
+        }
+      }
+    });
+    console.log('Created collection: graphSnapshots');
+    
+    await db.collection('graphSnapshots').createIndex({ snapshot_id: 1 }, { unique: true });
+    await db.collection('graphSnapshots').createIndex({ concept_id: 1, version: -1 }, { unique: true });
+    await db.collection('graphSnapshots').createIndex({ concept_id: 1, tags: 1 });
+    await db.collection('graphSnapshots').createIndex({ concept_id: 1, status: 1 });
+    await db.collection('graphSnapshots').createIndex({ author_id: 1 });
+    console.log('Created indexes for collection: graphSnapshots');
+    
+    // Record this migration
+    await db.collection('migrations').insertOne({
+      name: migrationName,
+      applied_at: new Date()
+    });
+    
+    console.log(`Migration ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Migration ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Rollback function
+async function down(db) {
+  console.log(`Rolling back migration: ${migrationName}`);
+  
+  try {
+    await db.collection('graphSnapshots').drop();
+    
+    // Remove migration record
+    await db.collection('migrations').deleteOne({ name: migrationName });
+    
+    console.log(`Rollback of ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Rollback of ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { up, down };
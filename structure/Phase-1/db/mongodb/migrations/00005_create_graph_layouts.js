@@ -0,0 +1,98 @@
+/**
+ * MongoDB Migration: Create Graph Layouts
+ * Description: Creates the collection for per-user pinned graph layout positions
+ */
+
+// Migration metadata
+const migrationName = '00005_create_graph_layouts';
+const description = 'Creates the collection for per-user pinned graph layout positions';
+
+// Migration function
+async function up(db) {
+  console.log(`Running migration: ${migrationName}`);
+  console.log(`Description: ${description}`);
+  
+  try {
+    await db.createCollection('graphLayouts', {
+      validator: {
+        $jsonSchema: {
+          bsonType: 'object',
+          required: ['concept_id', 'user_id', 'pinned', 'updated_at'],
+          properties: {
+            concept_id: {
+              bsonType: 'string',
+              description: 'UUID of the concept'
+            },
+            user_id: {
+              bsonType: 'string',
+              description: 'UUID of the user who pinned the positions'
+            },
+            pinned: {
+              bsonType: 'array',
+              items: {
+                bsonType: 'object',
+                required: ['category_id', 'x', 'y'],
+                properties: {
+                  category_id: {
+                    bsonType: 'string',
+                    description: 'ID of the pinned category'
+                  },
+                  x: {
+                    bsonType: ['double', 'int', 'long', 'decimal'],
+                    description: 'Horizontal position'
+                  },
+                  y: {
+                    bsonType: ['double', 'int', 'long', 'decimal'],
+                    description: 'Vertical position'
+                  }
+                }
+              },
+              description: 'Pinned category positions'
+            },
+            updated_at: {
+              bsonType: 'date',
+              description: 'Date and time the positions were last changed'
+            }
+          }
+        }
+      }
+    });
+    console.log('Created collection: graphLayouts');
+    
+    await db.collection('graphLayouts').createIndex({ concept_id: 1, user_id: 1 }, { unique: true });
+    await db.collection('graphLayouts').createIndex({ user_id: 1 });
+    console.log('Created indexes for collection: graphLayouts');
+    
+    // Record this migration
+    await db.collection('migrations').insertOne({
+      name: migrationName,
+      applied_at: new Date()
+    });
+    
+    console.log(`Migration ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Migration ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Rollback function
+async function down(db) {
+  console.log(`Rolling back migration: ${migrationName}`);
+  
+  try {
+    await db.collection('graphLayouts').drop();
+    
+    // Remove migration record
+    await db.collection('migrations').deleteOne({ name: migrationName });
+    
+    console.log(`Rollback of ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Rollback of ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { up, down };
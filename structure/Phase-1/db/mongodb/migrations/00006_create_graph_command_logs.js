@@ -0,0 +1,141 @@
+/**
+ * MongoDB Migration: Create Graph Command Logs
+ * Description: Creates the collection for per-user graph editing undo and redo stacks
+ */
+
+// Migration metadata
+const migrationName = '00006_create_graph_command_logs';
+const description = 'Creates the collection for per-user graph editing undo and redo stacks';
+
+// Migration function
+async function up(db) {
+  console.log(`Running migration: ${migrationName}`);
+  console.log(`Description: ${description}`);
+  
+  try {
+    await db.createCollection('graphCommandLogs', {
+      validator: {
+        $jsonSchema: {
+          bsonType: 'object',
+          required: ['concept_id', 'user_id', 'undo', 'redo', 'version', 'updated_at'],
+          properties: {
+            concept_id: {
+              bsonType: 'string',
+              description: 'UUID of the concept'
+            },
+            user_id: {
+              bsonType: 'string',
+              description: 'UUID of the user who edited the graph'
+            },
+            undo: {
+              bsonType: 'array',
+              items: {
+                bsonType: 'object',
+                required: ['entry_id', 'label', 'command', 'inverse', 'executed_at'],
+                properties: {
+                  entry_id: {
+                    bsonType: 'string',
+                    description: 'UUID of the entry'
+                  },
+                  label: {
+                    bsonType: 'string',
+                    description: 'Description of the edit shown to the user'
+                  },
+                  command: {
+                    bsonType: 'object',
+                    description: 'Serialized command'
+                  },
+                  inverse: {
+                    bsonType: 'object',
+                    description: 'Serialized command undoing the edit'
+                  },
+                  executed_at: {
+                    bsonType: 'date',
+                    description: 'Date and time the command was executed'
+                  }
+                }
+              },
+              description: 'Commands that can be undone, oldest first'
+            },
+            redo: {
+              bsonType: 'array',
+              items: {
+                bsonType: 'object',
+                required: ['entry_id', 'label', 'command', 'inverse', 'executed_at'],
+                properties: {
+                  entry_id: {
+                    bsonType: 'string',
+                    description: 'UUID of the entry'
+                  },
+                  label: {
+                    bsonType: 'string',
+                    description: 'Description of the edit shown to the user'
+                  },
+                  command: {
+                    bsonType: 'object',
+                    description: 'Serialized command'
+                  },
+                  inverse: {
+                    bsonType: 'object',
+                    description: 'Serialized command undoing the edit'
+                  },
+                  executed_at: {
+                    bsonType: 'date',
+                    description: 'Date and time the command was executed'
+                  }
+                }
+              },
+              description: 'Undone commands that can be redone, oldest first'
+            },
+            version: {
+              bsonType: ['int', 'long'],
+              minimum: 1,
+              description: 'Version of the log, increased on every change'
+            },
+            updated_at: {
+              bsonType: 'date',
+              description: 'Date and time the log was last changed'
+            }
+          }
+        }
+      }
+    });
+    console.log('Created collection: graphCommandLogs');
+    
+    await db.collection('graphCommandLogs').createIndex({ concept_id: 1, user_id: 1 }, { unique: true });
+    await db.collection('graphCommandLogs').createIndex({ user_id: 1 });
+    console.log('Created indexes for collection: graphCommandLogs');
+    
+    // Record this migration
+    await db.collection('migrations').insertOne({
+      name: migrationName,
+      applied_at: new Date()
+    });
+    
+    console.log(`Migration ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Migration ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Rollback function
+async function down(db) {
+  console.log(`Rolling back migration: ${migrationName}`);
+  
+  try {
+    await db.collection('graphCommandLogs').drop();
+    
+    // Remove migration record
+    await db.collection('migrations').deleteOne({ name: migrationName });
+    
+    console.log(`Rollback of ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Rollback of ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { up, down };
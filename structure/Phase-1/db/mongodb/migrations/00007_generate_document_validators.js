@@ -0,0 +1,456 @@
+/**
+ * MongoDB Migration: Generate Document Validators
+ * Description: Replaces the hand-written validators with the ones generated
+ * from the document definitions in shared/lib/validation/documents
+ */
+
+const { getCollectionOptions } = require('../../../shared/lib/db/mongodb/collectionValidator');
+
+// Migration metadata
+const migrationName = '00007_generate_document_validators';
+const description = 'Replaces the hand-written validators with the ones generated from the document definitions';
+
+// Validators generated from the document definitions when this migration was
+// written (db/mongodb/scripts/validators.js print). They are copied here so the
+// migration applies the same validators whatever the definitions become; a
+// changed definition gets a new migration.
+const VALIDATORS = {
+  theses: {
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['thesis_id', 'concept_id', 'type', 'content', 'style', 'status', 'created_at', 'updated_at'],
+        properties: {
+          thesis_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the thesis'
+          },
+          concept_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the parent concept'
+          },
+          type: {
+            enum: [
+              'ontological',
+              'epistemological',
+              'ethical',
+              'aesthetic',
+              'political',
+              'logical',
+              'methodological',
+              'critical',
+              'synthetic'
+            ],
+            description: 'Type of thesis'
+          },
+          content: {
+            bsonType: 'string',
+            minLength: 1,
+            maxLength: 5000,
+            description: 'Content of the thesis'
+          },
+          style: {
+            enum: ['academic', 'aphoristic', 'poetic', 'dialectical', 'analytical', 'narrative', 'popular'],
+            description: 'Style of the thesis'
+          },
+          status: {
+            enum: ['draft', 'generated', 'edited', 'elaborated', 'published', 'approved', 'rejected', 'archived'],
+            description: 'Status of the thesis'
+          },
+          related_categories: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string',
+              pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+            },
+            description: 'Array of related category IDs'
+          },
+          parent_theses: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string',
+              pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+            },
+            description: 'Array of parent thesis IDs for synthesized theses'
+          },
+          generation_parameters: {
+            bsonType: 'object',
+            description: 'Parameters used for generation'
+          },
+          claude_generation_id: {
+            bsonType: ['string', 'null'],
+            description: 'UUID of the Claude interaction that generated the thesis'
+          },
+          metadata: {
+            bsonType: 'object',
+            description: 'Additional metadata'
+          },
+          created_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the thesis was created'
+          },
+          updated_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the thesis was last updated'
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate',
+    validationAction: 'error'
+  },
+  thesiselaborations: {
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['elaboration_id', 'thesis_id', 'content'],
+        properties: {
+          elaboration_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the elaboration'
+          },
+          thesis_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the elaborated thesis'
+          },
+          content: {
+            bsonType: 'string',
+            minLength: 1,
+            maxLength: 5000,
+            description: 'Content of the elaboration'
+          },
+          type: {
+            enum: [
+              'explanation',
+              'justification',
+              'critique',
+              'examples',
+              'counterarguments',
+              'implications',
+              'historical_context',
+              'comprehensive',
+              'counterargument',
+              'implication',
+              'example'
+            ],
+            description: 'Type of elaboration'
+          },
+          claude_generation_id: {
+            bsonType: ['string', 'null'],
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the Claude interaction that generated the elaboration'
+          },
+          metadata: {
+            bsonType: 'object',
+            description: 'Additional metadata'
+          },
+          created_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the elaboration was created'
+          },
+          updated_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the elaboration was last updated'
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate',
+    validationAction: 'error'
+  },
+  categoryDescriptions: {
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['description_id', 'category_id', 'detailed_description', 'created_at', 'last_modified'],
+        properties: {
+          description_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the description'
+          },
+          category_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the category'
+          },
+          detailed_description: {
+            bsonType: 'string',
+            description: 'Detailed description of the category'
+          },
+          alternative_interpretations: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string'
+            },
+            description: 'Array of alternative interpretations'
+          },
+          historical_analogues: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['name', 'description'],
+              properties: {
+                name: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                philosopher: {
+                  bsonType: ['string', 'null']
+                },
+                tradition: {
+                  bsonType: ['string', 'null']
+                },
+                time_period: {
+                  bsonType: ['string', 'null']
+                },
+                similarity_score: {
+                  bsonType: 'number',
+                  minimum: 0,
+                  maximum: 1
+                }
+              }
+            },
+            description: 'Array of historical analogues'
+          },
+          related_concepts: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['name', 'description', 'relationship_type'],
+              properties: {
+                name: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                relationship_type: {
+                  enum: ['similar', 'opposite', 'broader', 'narrower', 'contextual', 'derivative']
+                },
+                relatedness_score: {
+                  bsonType: 'number',
+                  minimum: 0,
+                  maximum: 1
+                }
+              }
+            },
+            description: 'Array of related concepts'
+          },
+          claude_generation_id: {
+            bsonType: ['string', 'null'],
+            description: 'UUID of the Claude interaction that generated the description'
+          },
+          created_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the description was created'
+          },
+          last_modified: {
+            bsonType: 'date',
+            description: 'Timestamp when the description was last modified'
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate',
+    validationAction: 'error'
+  },
+  relationshipDescriptions: {
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: [
+          'description_id',
+          'relationship_id',
+          'philosophical_foundation',
+          'source_category_id',
+          'target_category_id',
+          'relationship_type',
+          'created_at',
+          'last_modified'
+        ],
+        properties: {
+          description_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the description'
+          },
+          relationship_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the relationship'
+          },
+          philosophical_foundation: {
+            bsonType: 'string',
+            description: 'Philosophical foundation of the relationship'
+          },
+          counterarguments: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string'
+            },
+            description: 'Array of counterarguments'
+          },
+          analogues: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['name', 'description'],
+              properties: {
+                name: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                domain: {
+                  bsonType: 'string'
+                },
+                tradition: {
+                  bsonType: ['string', 'null']
+                },
+                similarity_score: {
+                  bsonType: 'number',
+                  minimum: 0,
+                  maximum: 1
+                }
+              }
+            },
+            description: 'Array of analogues'
+          },
+          source_category_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the source category'
+          },
+          target_category_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the target category'
+          },
+          relationship_type: {
+            enum: [
+              'hierarchical',
+              'causal',
+              'dialectical',
+              'correlative',
+              'analogical',
+              'oppositional',
+              'metaphorical',
+              'functional'
+            ],
+            description: 'Type of the relationship'
+          },
+          relevant_philosophers: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string'
+            },
+            description: 'Philosophers who discussed the relationship'
+          },
+          relevant_traditions: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string'
+            },
+            description: 'Traditions the relationship belongs to'
+          },
+          claude_generation_id: {
+            bsonType: ['string', 'null'],
+            description: 'UUID of the Claude interaction that generated the description'
+          },
+          created_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the description was created'
+          },
+          last_modified: {
+            bsonType: 'date',
+            description: 'Timestamp when the description was last modified'
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate',
+    validationAction: 'error'
+  }
+};
+
+// Migration function
+async function up(db) {
+  console.log(`Running migration: ${migrationName}`);
+  console.log(`Description: ${description}`);
+  
+  try {
+    // Validators in place before this migration, restored by the rollback
+    const previousValidators = {};
+    
+    for (const [collection, options] of Object.entries(VALIDATORS)) {
+      const existing = await getCollectionOptions(db, collection);
+      
+      if (existing) {
+        previousValidators[collection] = {
+          validator: existing.validator || {},
+          validationLevel: existing.validationLevel || 'strict',
+          validationAction: existing.validationAction || 'error'
+        };
+        await db.command({ collMod: collection, ...options });
+        console.log(`Updated validation for collection: ${collection}`);
+      } else {
+        previousValidators[collection] = null;
+        await db.createCollection(collection, options);
+        console.log(`Created collection: ${collection}`);
+      }
+    }
+    
+    // Record this migration; validators are stored as JSON as their $-prefixed keys are not valid field names
+    await db.collection('migrations').insertOne({
+      name: migrationName,
+      applied_at: new Date(),
+      previous_validators: JSON.stringify(previousValidators)
+    });
+    
+    console.log(`Migration ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Migration ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Rollback function
+async function down(db) {
+  console.log(`Rolling back migration: ${migrationName}`);
+  
+  try {
+    const record = await db.collection('migrations').findOne({ name: migrationName });
+    const previousValidators = record && record.previous_validators ? JSON.parse(record.previous_validators) : {};
+    
+    for (const collection of Object.keys(VALIDATORS)) {
+      const previous = previousValidators[collection];
+      
+      // Collections this migration created keep their documents but lose the validator
+      await db.command({
+        collMod: collection,
+        ...(previous || { validator: {}, validationLevel: 'off', validationAction: 'warn' })
+      });
+      console.log(`Restored validation for collection: ${collection}`);
+    }
+    
+    // Remove migration record
+    await db.collection('migrations').deleteOne({ name: migrationName });
+    
+    console.log(`Rollback of ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Rollback of ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { up, down };
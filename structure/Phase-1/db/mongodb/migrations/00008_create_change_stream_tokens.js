@@ -0,0 +1,76 @@
+/**
+ * MongoDB Migration: Create Change Stream Tokens
+ * Description: Creates the collection storing where each change stream subscription resumes
+ */
+
+// Migration metadata
+const migrationName = '00008_create_change_stream_tokens';
+const description = 'Creates the collection storing where each change stream subscription resumes';
+
+// Migration function
+async function up(db) {
+  console.log(`Running migration: ${migrationName}`);
+  console.log(`Description: ${description}`);
+  
+  try {
+    await db.createCollection('changeStreamTokens', {
+      validator: {
+        $jsonSchema: {
+          bsonType: 'object',
+          required: ['_id', 'updated_at'],
+          properties: {
+            _id: {
+              bsonType: 'string',
+              description: 'Name of the subscription'
+            },
+            resume_token: {
+              bsonType: 'object',
+              description: 'Resume token of the last handled change'
+            },
+            start_at_operation_time: {
+              bsonType: 'timestamp',
+              description: 'Operation time the subscription started at, used until it handles a change'
+            },
+            updated_at: {
+              bsonType: 'date',
+              description: 'Date and time the token was last stored'
+            }
+          }
+        }
+      }
+    });
+    console.log('Created collection: changeStreamTokens');
+    
+    // Record this migration
+    await db.collection('migrations').insertOne({
+      name: migrationName,
+      applied_at: new Date()
+    });
+    
+    console.log(`Migration ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Migration ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Rollback function
+async function down(db) {
+  console.log(`Rolling back migration: ${migrationName}`);
+  
+  try {
+    await db.collection('changeStreamTokens').drop();
+    
+    // Remove migration record
+    await db.collection('migrations').deleteOne({ name: migrationName });
+    
+    console.log(`Rollback of ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Rollback of ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { up, down };
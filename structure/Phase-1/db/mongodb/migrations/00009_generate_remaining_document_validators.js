@@ -0,0 +1,1095 @@
+/**
+ * MongoDB Migration: Generate Remaining Document Validators
+ * Description: Replaces the validators of the analysis, dialogue, historical
+ * context, practical application and evolution collections with the ones
+ * generated from their document definitions
+ */
+
+const { getCollectionOptions } = require('../../../shared/lib/db/mongodb/collectionValidator');
+
+// Migration metadata
+const migrationName = '00009_generate_remaining_document_validators';
+const description = 'Replaces the validators of the remaining collections with the ones generated from their document definitions';
+
+// Output of validators.js print for these collections when the migration was written
+const VALIDATORS = {
+  conceptAnalyses: {
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['analysis_id', 'concept_id', 'analysis_type', 'content', 'created_at', 'updated_at'],
+        properties: {
+          analysis_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the analysis'
+          },
+          concept_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the concept'
+          },
+          analysis_type: {
+            enum: [
+              'critical',
+              'historical',
+              'comparative',
+              'structural',
+              'linguistic',
+              'ethical',
+              'political',
+              'methodological',
+              'interdisciplinary',
+              'creative'
+            ],
+            description: 'Type of analysis'
+          },
+          content: {
+            bsonType: 'string',
+            description: 'Content of the analysis'
+          },
+          key_points: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['title', 'description'],
+              properties: {
+                title: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                relevance_score: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                },
+                related_elements: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                }
+              }
+            },
+            description: 'Key points of the analysis'
+          },
+          references: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['description'],
+              properties: {
+                philosopher: {
+                  bsonType: ['string', 'null']
+                },
+                text: {
+                  bsonType: ['string', 'null']
+                },
+                year: {
+                  bsonType: ['number', 'null']
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                relevance_type: {
+                  enum: ['support', 'contrast', 'context', 'elaboration']
+                }
+              }
+            },
+            description: 'References cited by the analysis'
+          },
+          suggested_improvements: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string'
+            },
+            description: 'Suggested improvements of the concept'
+          },
+          critique_points: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string'
+            },
+            description: 'Points of critique'
+          },
+          generation_parameters: {
+            bsonType: 'object',
+            description: 'Parameters used for generation'
+          },
+          claude_generation_id: {
+            bsonType: ['string', 'null'],
+            description: 'UUID of the Claude interaction that generated the analysis'
+          },
+          created_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the analysis was created'
+          },
+          updated_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the analysis was last updated'
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate',
+    validationAction: 'error'
+  },
+  dialogues: {
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['dialogue_id', 'philosophical_question', 'dialogue_content', 'concept_ids', 'created_at', 'updated_at'],
+        properties: {
+          dialogue_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the dialogue'
+          },
+          philosophical_question: {
+            bsonType: 'string',
+            description: 'Philosophical question discussed in the dialogue'
+          },
+          dialogue_content: {
+            bsonType: 'string',
+            description: 'Content of the dialogue'
+          },
+          messages: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['message_id', 'concept_id', 'speaker', 'content', 'sequence'],
+              properties: {
+                message_id: {
+                  bsonType: 'string',
+                  pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+                },
+                concept_id: {
+                  bsonType: 'string',
+                  pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+                },
+                speaker: {
+                  bsonType: 'string'
+                },
+                content: {
+                  bsonType: 'string'
+                },
+                references: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                },
+                sequence: {
+                  bsonType: 'number'
+                }
+              }
+            },
+            description: 'Messages of the dialogue in order'
+          },
+          discussion_points: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['title', 'description', 'position_one', 'position_one_concept_id', 'position_two', 'position_two_concept_id'],
+              properties: {
+                title: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                position_one: {
+                  bsonType: 'string'
+                },
+                position_one_concept_id: {
+                  bsonType: 'string',
+                  pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+                },
+                position_two: {
+                  bsonType: 'string'
+                },
+                position_two_concept_id: {
+                  bsonType: 'string',
+                  pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+                },
+                resolution: {
+                  bsonType: ['string', 'null']
+                },
+                importance: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                }
+              }
+            },
+            description: 'Points the concepts discuss'
+          },
+          arguments: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['title', 'content', 'concept_id', 'argument_type'],
+              properties: {
+                title: {
+                  bsonType: 'string'
+                },
+                content: {
+                  bsonType: 'string'
+                },
+                concept_id: {
+                  bsonType: 'string',
+                  pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+                },
+                argument_type: {
+                  enum: ['premise', 'objection', 'rebuttal', 'clarification', 'conclusion']
+                },
+                strength: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                },
+                related_theses: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string',
+                    pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+                  }
+                },
+                counterarguments: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                }
+              }
+            },
+            description: 'Arguments made in the dialogue'
+          },
+          concept_ids: {
+            bsonType: 'array',
+            minItems: 2,
+            items: {
+              bsonType: 'string',
+              pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+            },
+            description: 'UUIDs of the participating concepts (at least two)'
+          },
+          convergences: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string'
+            },
+            description: 'Points the concepts agree on'
+          },
+          divergences: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string'
+            },
+            description: 'Points the concepts disagree on'
+          },
+          claude_generation_id: {
+            bsonType: ['string', 'null'],
+            description: 'UUID of the Claude interaction that generated the dialogue'
+          },
+          generation_parameters: {
+            bsonType: 'object',
+            description: 'Parameters used for generation'
+          },
+          created_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the dialogue was created'
+          },
+          updated_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the dialogue was last updated'
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate',
+    validationAction: 'error'
+  },
+  historicalContexts: {
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['context_id', 'concept_id', 'time_period', 'historical_analysis', 'created_at', 'updated_at'],
+        properties: {
+          context_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the historical context'
+          },
+          concept_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the concept'
+          },
+          time_period: {
+            enum: [
+              'ancient',
+              'classical',
+              'medieval',
+              'renaissance',
+              'early_modern',
+              'enlightenment',
+              'modern',
+              'contemporary',
+              'postmodern'
+            ],
+            description: 'Historical time period'
+          },
+          historical_analysis: {
+            bsonType: 'string',
+            description: 'Historical analysis of the concept'
+          },
+          influences: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['name', 'description', 'influence_type', 'time_period'],
+              properties: {
+                name: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                influence_type: {
+                  enum: ['philosopher', 'school', 'tradition', 'event', 'text', 'social_movement']
+                },
+                time_period: {
+                  enum: [
+                    'ancient',
+                    'classical',
+                    'medieval',
+                    'renaissance',
+                    'early_modern',
+                    'enlightenment',
+                    'modern',
+                    'contemporary',
+                    'postmodern'
+                  ]
+                },
+                influence_strength: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                },
+                key_concepts: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                }
+              }
+            },
+            description: 'Influences on the concept'
+          },
+          contemporaries: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['name', 'description', 'relationship'],
+              properties: {
+                name: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                relationship: {
+                  enum: ['aligned', 'opposed', 'complementary', 'developed', 'criticized', 'extended']
+                },
+                philosopher: {
+                  bsonType: ['string', 'null']
+                },
+                tradition: {
+                  bsonType: ['string', 'null']
+                },
+                comparison_points: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                }
+              }
+            },
+            description: 'Contemporaries of the concept'
+          },
+          subsequent_influence: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['name', 'description', 'influence_type'],
+              properties: {
+                name: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                influence_type: {
+                  enum: ['philosopher', 'school', 'tradition', 'field', 'practical_application']
+                },
+                time_period: {
+                  enum: [
+                    'ancient',
+                    'classical',
+                    'medieval',
+                    'renaissance',
+                    'early_modern',
+                    'enlightenment',
+                    'modern',
+                    'contemporary',
+                    'postmodern'
+                  ]
+                },
+                influence_strength: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                },
+                key_developments: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                }
+              }
+            },
+            description: 'Later influence of the concept'
+          },
+          timeline: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['year', 'title', 'description', 'event_type'],
+              properties: {
+                year: {
+                  bsonType: 'number'
+                },
+                title: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                event_type: {
+                  enum: ['publication', 'philosophical_development', 'historical_event', 'birth', 'death', 'school_foundation']
+                },
+                related_philosophers: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                },
+                significance: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                }
+              }
+            },
+            description: 'Timeline of events'
+          },
+          historical_significance: {
+            bsonType: 'number',
+            minimum: 1,
+            maximum: 5,
+            description: 'Historical significance from 1 to 5'
+          },
+          claude_generation_id: {
+            bsonType: ['string', 'null'],
+            description: 'UUID of the Claude interaction that generated the historical context'
+          },
+          generation_parameters: {
+            bsonType: 'object',
+            description: 'Parameters used for generation'
+          },
+          created_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the historical context was created'
+          },
+          updated_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the historical context was last updated'
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate',
+    validationAction: 'error'
+  },
+  practicalApplications: {
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['application_id', 'concept_id', 'domains', 'application_analysis', 'created_at', 'updated_at'],
+        properties: {
+          application_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the practical application'
+          },
+          concept_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the concept'
+          },
+          domains: {
+            bsonType: 'array',
+            minItems: 1,
+            items: {
+              bsonType: 'object',
+              required: ['domain', 'description'],
+              properties: {
+                domain: {
+                  enum: [
+                    'education',
+                    'ethics',
+                    'politics',
+                    'arts',
+                    'science',
+                    'technology',
+                    'psychology',
+                    'business',
+                    'medicine',
+                    'law',
+                    'environment',
+                    'social_policy'
+                  ]
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                relevance: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                },
+                key_examples: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                },
+                potential_impact: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                },
+                challenges: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                }
+              }
+            },
+            description: 'Applications by domain (at least one)'
+          },
+          application_analysis: {
+            bsonType: 'string',
+            description: 'Analysis of practical applications'
+          },
+          implementation_methods: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['title', 'description', 'domain'],
+              properties: {
+                title: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                domain: {
+                  enum: [
+                    'education',
+                    'ethics',
+                    'politics',
+                    'arts',
+                    'science',
+                    'technology',
+                    'psychology',
+                    'business',
+                    'medicine',
+                    'law',
+                    'environment',
+                    'social_policy'
+                  ]
+                },
+                steps: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                },
+                required_resources: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                },
+                expected_outcomes: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                },
+                feasibility: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                }
+              }
+            },
+            description: 'Methods of implementation'
+          },
+          relevance_mappings: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['concept_element', 'element_type', 'application_domain', 'relevance_explanation'],
+              properties: {
+                concept_element: {
+                  bsonType: 'string'
+                },
+                element_type: {
+                  enum: ['category', 'thesis', 'relationship']
+                },
+                application_domain: {
+                  enum: [
+                    'education',
+                    'ethics',
+                    'politics',
+                    'arts',
+                    'science',
+                    'technology',
+                    'psychology',
+                    'business',
+                    'medicine',
+                    'law',
+                    'environment',
+                    'social_policy'
+                  ]
+                },
+                relevance_explanation: {
+                  bsonType: 'string'
+                },
+                transformation_required: {
+                  bsonType: 'bool'
+                },
+                operationalization_notes: {
+                  bsonType: 'string'
+                }
+              }
+            },
+            description: 'Mappings of concept elements to domains'
+          },
+          case_studies: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['title', 'domain', 'description', 'approach', 'outcomes'],
+              properties: {
+                title: {
+                  bsonType: 'string'
+                },
+                domain: {
+                  enum: [
+                    'education',
+                    'ethics',
+                    'politics',
+                    'arts',
+                    'science',
+                    'technology',
+                    'psychology',
+                    'business',
+                    'medicine',
+                    'law',
+                    'environment',
+                    'social_policy'
+                  ]
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                approach: {
+                  bsonType: 'string'
+                },
+                outcomes: {
+                  bsonType: 'string'
+                },
+                lessons_learned: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                },
+                related_concept_elements: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                }
+              }
+            },
+            description: 'Case studies'
+          },
+          interdisciplinary_connections: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'string'
+            },
+            description: 'Connections to other disciplines'
+          },
+          overall_applicability: {
+            bsonType: 'number',
+            minimum: 1,
+            maximum: 5,
+            description: 'Overall applicability from 1 to 5'
+          },
+          claude_generation_id: {
+            bsonType: ['string', 'null'],
+            description: 'UUID of the Claude interaction that generated the practical application'
+          },
+          generation_parameters: {
+            bsonType: 'object',
+            description: 'Parameters used for generation'
+          },
+          created_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the practical application was created'
+          },
+          updated_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the practical application was last updated'
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate',
+    validationAction: 'error'
+  },
+  conceptEvolutions: {
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['evolution_id', 'concept_id', 'evolution_context', 'evolution_direction', 'created_at', 'updated_at'],
+        properties: {
+          evolution_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the evolution'
+          },
+          concept_id: {
+            bsonType: 'string',
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the concept'
+          },
+          target_concept_id: {
+            bsonType: ['string', 'null'],
+            pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$',
+            description: 'UUID of the target concept (if created)'
+          },
+          evolution_context: {
+            bsonType: 'string',
+            description: 'Context of the evolution'
+          },
+          evolution_direction: {
+            enum: ['expansion', 'refinement', 'reinterpretation', 'synthesis', 'critique', 'integration', 'application'],
+            description: 'Direction of the evolution'
+          },
+          scientific_context: {
+            bsonType: 'string',
+            description: 'Scientific context of the evolution'
+          },
+          contemporary_relevance: {
+            bsonType: 'string',
+            description: 'Contemporary relevance of the evolution'
+          },
+          category_changes: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['category_name', 'change_type', 'justification'],
+              properties: {
+                category_id: {
+                  bsonType: ['string', 'null'],
+                  pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+                },
+                category_name: {
+                  bsonType: 'string'
+                },
+                change_type: {
+                  enum: ['add', 'modify', 'remove', 'redefine', 'merge', 'split']
+                },
+                original_definition: {
+                  bsonType: ['string', 'null']
+                },
+                new_definition: {
+                  bsonType: ['string', 'null']
+                },
+                justification: {
+                  bsonType: 'string'
+                },
+                importance: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                }
+              }
+            },
+            description: 'Changes to categories'
+          },
+          relationship_changes: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['source_category', 'target_category', 'relationship_type', 'change_type', 'justification'],
+              properties: {
+                relationship_id: {
+                  bsonType: ['string', 'null'],
+                  pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+                },
+                source_category: {
+                  bsonType: 'string'
+                },
+                target_category: {
+                  bsonType: 'string'
+                },
+                relationship_type: {
+                  bsonType: 'string'
+                },
+                change_type: {
+                  enum: ['add', 'modify', 'remove', 'redefine', 'strengthen', 'weaken', 'reverse']
+                },
+                original_description: {
+                  bsonType: ['string', 'null']
+                },
+                new_description: {
+                  bsonType: ['string', 'null']
+                },
+                justification: {
+                  bsonType: 'string'
+                },
+                importance: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                }
+              }
+            },
+            description: 'Changes to relationships'
+          },
+          thesis_changes: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['thesis_type', 'change_type', 'justification'],
+              properties: {
+                thesis_id: {
+                  bsonType: ['string', 'null'],
+                  pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$'
+                },
+                thesis_type: {
+                  bsonType: 'string'
+                },
+                change_type: {
+                  enum: ['add', 'modify', 'remove', 'restate', 'strengthen', 'qualify']
+                },
+                original_content: {
+                  bsonType: ['string', 'null']
+                },
+                new_content: {
+                  bsonType: ['string', 'null']
+                },
+                justification: {
+                  bsonType: 'string'
+                },
+                related_categories: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                },
+                importance: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                }
+              }
+            },
+            description: 'Changes to theses'
+          },
+          name_change: {
+            bsonType: ['object', 'null'],
+            required: ['original_name', 'new_name', 'justification'],
+            properties: {
+              original_name: {
+                bsonType: 'string'
+              },
+              new_name: {
+                bsonType: 'string'
+              },
+              justification: {
+                bsonType: 'string'
+              },
+              semantic_shift: {
+                enum: ['minor', 'moderate', 'significant', 'fundamental']
+              }
+            },
+            description: 'Change to the name of the concept'
+          },
+          contextual_drivers: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              required: ['name', 'description', 'driver_type'],
+              properties: {
+                name: {
+                  bsonType: 'string'
+                },
+                description: {
+                  bsonType: 'string'
+                },
+                driver_type: {
+                  enum: [
+                    'scientific_development',
+                    'societal_change',
+                    'technological_innovation',
+                    'philosophical_development',
+                    'interdisciplinary_insight',
+                    'empirical_evidence'
+                  ]
+                },
+                relevance: {
+                  bsonType: 'number',
+                  minimum: 1,
+                  maximum: 5
+                },
+                affected_elements: {
+                  bsonType: 'array',
+                  items: {
+                    bsonType: 'string'
+                  }
+                }
+              }
+            },
+            description: 'Drivers of the evolution'
+          },
+          innovation_degree: {
+            bsonType: 'number',
+            minimum: 1,
+            maximum: 5,
+            description: 'Degree of innovation from 1 to 5'
+          },
+          applicability_enhancement: {
+            bsonType: 'number',
+            minimum: 1,
+            maximum: 5,
+            description: 'Enhancement of applicability from 1 to 5'
+          },
+          claude_generation_id: {
+            bsonType: ['string', 'null'],
+            description: 'UUID of the Claude interaction that generated the evolution'
+          },
+          generation_parameters: {
+            bsonType: 'object',
+            description: 'Parameters used for generation'
+          },
+          created_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the evolution was created'
+          },
+          updated_at: {
+            bsonType: 'date',
+            description: 'Timestamp when the evolution was last updated'
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate',
+    validationAction: 'error'
+  }
+};
+
+// Migration function
+async function up(db) {
+  console.log(`Running migration: ${migrationName}`);
+  console.log(`Description: ${description}`);
+  
+  try {
+    // Validators in place before this migration, restored by the rollback
+    const previousValidators = {};
+    
+    for (const [collection, options] of Object.entries(VALIDATORS)) {
+      const existing = await getCollectionOptions(db, collection);
+      
+      if (existing) {
+        previousValidators[collection] = {
+          validator: existing.validator || {},
+          validationLevel: existing.validationLevel || 'strict',
+          validationAction: existing.validationAction || 'error'
+        };
+        await db.command({ collMod: collection, ...options });
+        console.log(`Updated validation for collection: ${collection}`);
+      } else {
+        previousValidators[collection] = null;
+        await db.createCollection(collection, options);
+        console.log(`Created collection: ${collection}`);
+      }
+    }
+    
+    // Record this migration; validators are stored as JSON as their $-prefixed keys are not valid field names
+    await db.collection('migrations').insertOne({
+      name: migrationName,
+      applied_at: new Date(),
+      previous_validators: JSON.stringify(previousValidators)
+    });
+    
+    console.log(`Migration ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Migration ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Rollback function
+async function down(db) {
+  console.log(`Rolling back migration: ${migrationName}`);
+  
+  try {
+    const record = await db.collection('migrations').findOne({ name: migrationName });
+    const previousValidators = record && record.previous_validators ? JSON.parse(record.previous_validators) : {};
+    
+    for (const collection of Object.keys(VALIDATORS)) {
+      const previous = previousValidators[collection];
+      
+      // Collections this migration created keep their documents but lose the validator
+      await db.command({
+        collMod: collection,
+        ...(previous || { validator: {}, validationLevel: 'off', validationAction: 'warn' })
+      });
+      console.log(`Restored validation for collection: ${collection}`);
+    }
+    
+    // Remove migration record
+    await db.collection('migrations').deleteOne({ name: migrationName });
+    
+    console.log(`Rollback of ${migrationName} completed successfully`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Rollback of ${migrationName} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { up, down };
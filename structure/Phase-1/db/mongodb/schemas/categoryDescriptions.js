@@ -5,109 +5,23 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
-const { v4: uuidv4 } = require('uuid');
+const { toMongooseFields } = require('../../../shared/lib/validation/documentSchema');
+const { categoryDescriptionDocument } = require('../../../shared/lib/validation/documents/descriptions');
 
-// Define historical analogue schema
-const HistoricalAnalogueSchema = new Schema({
-  name: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  philosopher: {
-    type: String,
-    default: null
-  },
-  tradition: {
-    type: String,
-    default: null
-  },
-  time_period: {
-    type: String,
-    default: null
-  },
-  similarity_score: {
-    type: Number,
-    min: 0,
-    max: 1,
-    default: 0.5
-  }
-}, { _id: false });
-
-// Define related concept schema
-const RelatedConceptSchema = new Schema({
-  name: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  relationship_type: {
-    type: String,
-    enum: ['similar', 'opposite', 'broader', 'narrower', 'contextual', 'derivative'],
-    required: true
-  },
-  relatedness_score: {
-    type: Number,
-    min: 0,
-    max: 1,
-    default: 0.5
-  }
-}, { _id: false });
-
-// Define the main category description schema
-const CategoryDescriptionSchema = new Schema({
-  description_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true,
-    unique: true
-  },
-  category_id: {
-    type: String,
-    required: true,
-    unique: true
-  },
-  detailed_description: {
-    type: String,
-    required: true
-  },
-  alternative_interpretations: {
-    type: [String],
-    default: []
-  },
-  historical_analogues: {
-    type: [HistoricalAnalogueSchema],
-    default: []
-  },
-  related_concepts: {
-    type: [RelatedConceptSchema],
-    default: []
-  },
-  claude_generation_id: {
-    type: String,
-    default: null
-  },
-  created_at: {
-    type: Date,
-    default: Date.now
-  },
-  last_modified: {
-    type: Date,
-    default: Date.now
-  }
-}, {
+// Define the main category description schema (fields generated from the document definition)
+const CategoryDescriptionSchema = new Schema(toMongooseFields(categoryDescriptionDocument, mongoose), {
   timestamps: {
     createdAt: 'created_at',
     updatedAt: 'last_modified'
   }
 });
 
+// Get the historical analogue schema
+const HistoricalAnalogueSchema = CategoryDescriptionSchema.path('historical_analogues').schema;
+
+// Get the related concept schema
+const RelatedConceptSchema = CategoryDescriptionSchema.path('related_concepts').schema;
+
 // Add indexes
 CategoryDescriptionSchema.index({ description_id: 1 }, { unique: true });
 CategoryDescriptionSchema.index({ category_id: 1 }, { unique: true });
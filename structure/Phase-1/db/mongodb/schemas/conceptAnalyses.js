@@ -5,130 +5,23 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
-const { v4: uuidv4 } = require('uuid');
+const { toMongooseFields } = require('../../../shared/lib/validation/documentSchema');
+const { ANALYSIS_TYPES, conceptAnalysisDocument } = require('../../../shared/lib/validation/documents/conceptAnalyses');
 
-// Define valid analysis types
-const ANALYSIS_TYPES = [
-  'critical',
-  'historical',
-  'comparative',
-  'structural',
-  'linguistic',
-  'ethical',
-  'political',
-  'methodological',
-  'interdisciplinary',
-  'creative'
-];
-
-// Define key point schema
-const KeyPointSchema = new Schema({
-  title: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  relevance_score: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  related_elements: {
-    type: [String],
-    default: []
-  }
-}, { _id: false });
-
-// Define reference schema
-const ReferenceSchema = new Schema({
-  philosopher: {
-    type: String,
-    default: null
-  },
-  text: {
-    type: String,
-    default: null
-  },
-  year: {
-    type: Number,
-    default: null
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  relevance_type: {
-    type: String,
-    enum: ['support', 'contrast', 'context', 'elaboration'],
-    default: 'support'
-  }
-}, { _id: false });
-
-// Define the main concept analysis schema
-const ConceptAnalysisSchema = new Schema({
-  analysis_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true,
-    unique: true
-  },
-  concept_id: {
-    type: String,
-    required: true
-  },
-  analysis_type: {
-    type: String,
-    enum: ANALYSIS_TYPES,
-    required: true
-  },
-  content: {
-    type: String,
-    required: true
-  },
-  key_points: {
-    type: [KeyPointSchema],
-    default: []
-  },
-  references: {
-    type: [ReferenceSchema],
-    default: []
-  },
-  suggested_improvements: {
-    type: [String],
-    default: []
-  },
-  critique_points: {
-    type: [String],
-    default: []
-  },
-  generation_parameters: {
-    type: Map,
-    of: Schema.Types.Mixed,
-    default: {}
-  },
-  claude_generation_id: {
-    type: String,
-    default: null
-  },
-  created_at: {
-    type: Date,
-    default: Date.now
-  },
-  updated_at: {
-    type: Date,
-    default: Date.now
-  }
-}, {
+// Define the main concept analysis schema (fields generated from the document definition)
+const ConceptAnalysisSchema = new Schema(toMongooseFields(conceptAnalysisDocument, mongoose), {
   timestamps: {
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   }
 });
 
+// Get the key point schema
+const KeyPointSchema = ConceptAnalysisSchema.path('key_points').schema;
+
+// Get the reference schema
+const ReferenceSchema = ConceptAnalysisSchema.path('references').schema;
+
 // Add indexes
 ConceptAnalysisSchema.index({ analysis_id: 1 }, { unique: true });
 ConceptAnalysisSchema.index({ concept_id: 1 });
@@ -5,272 +5,31 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
-const { v4: uuidv4 } = require('uuid');
+const { toMongooseFields } = require('../../../shared/lib/validation/documentSchema');
+const { EVOLUTION_DIRECTIONS, conceptEvolutionDocument } = require('../../../shared/lib/validation/documents/conceptEvolutions');
 
-// Define valid evolution directions
-const EVOLUTION_DIRECTIONS = [
-  'expansion',
-  'refinement',
-  'reinterpretation',
-  'synthesis',
-  'critique',
-  'integration',
-  'application'
-];
-
-// Define category change schema
-const CategoryChangeSchema = new Schema({
-  category_id: {
-    type: String,
-    default: null
-  },
-  category_name: {
-    type: String,
-    required: true
-  },
-  change_type: {
-    type: String,
-    enum: ['add', 'modify', 'remove', 'redefine', 'merge', 'split'],
-    required: true
-  },
-  original_definition: {
-    type: String,
-    default: null
-  },
-  new_definition: {
-    type: String,
-    default: null
-  },
-  justification: {
-    type: String,
-    required: true
-  },
-  importance: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
+// Define the main concept evolution schema (fields generated from the document definition)
+const ConceptEvolutionSchema = new Schema(toMongooseFields(conceptEvolutionDocument, mongoose), {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
   }
-}, { _id: false });
+});
 
-// Define relationship change schema
-const RelationshipChangeSchema = new Schema({
-  relationship_id: {
-    type: String,
-    default: null
-  },
-  source_category: {
-    type: String,
-    required: true
-  },
-  target_category: {
-    type: String,
-    required: true
-  },
-  relationship_type: {
-    type: String,
-    required: true
-  },
-  change_type: {
-    type: String,
-    enum: ['add', 'modify', 'remove', 'redefine', 'strengthen', 'weaken', 'reverse'],
-    required: true
-  },
-  original_description: {
-    type: String,
-    default: null
-  },
-  new_description: {
-    type: String,
-    default: null
-  },
-  justification: {
-    type: String,
-    required: true
-  },
-  importance: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  }
-}, { _id: false });
+// Get the category change schema
+const CategoryChangeSchema = ConceptEvolutionSchema.path('category_changes').schema;
 
-// Define thesis change schema
-const ThesisChangeSchema = new Schema({
-  thesis_id: {
-    type: String,
-    default: null
-  },
-  thesis_type: {
-    type: String,
-    required: true
-  },
-  change_type: {
-    type: String,
-    enum: ['add', 'modify', 'remove', 'restate', 'strengthen', 'qualify'],
-    required: true
-  },
-  original_content: {
-    type: String,
-    default: null
-  },
-  new_content: {
-    type: String,
-    default: null
-  },
-  justification: {
-    type: String,
-    required: true
-  },
-  related_categories: {
-    type: [String],
-    default: []
-  },
-  importance: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  }
-}, { _id: false });
+// Get the relationship change schema
+const RelationshipChangeSchema = ConceptEvolutionSchema.path('relationship_changes').schema;
 
-// Define name change schema
-const NameChangeSchema = new Schema({
-  original_name: {
-    type: String,
-    required: true
-  },
-  new_name: {
-    type: String,
-    required: true
-  },
-  justification: {
-    type: String,
-    required: true
-  },
-  semantic_shift: {
-    type: String,
-    enum: ['minor', 'moderate', 'significant', 'fundamental'],
-    default: 'moderate'
-  }
-}, { _id: false });
+// Get the thesis change schema
+const ThesisChangeSchema = ConceptEvolutionSchema.path('thesis_changes').schema;
 
-// Define contextual driver schema
-const ContextualDriverSchema = new Schema({
-  name: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  driver_type: {
-    type: String,
-    enum: ['scientific_development', 'societal_change', 'technological_innovation', 'philosophical_development', 'interdisciplinary_insight', 'empirical_evidence'],
-    required: true
-  },
-  relevance: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  affected_elements: {
-    type: [String],
-    default: []
-  }
-}, { _id: false });
+// Get the name change schema
+const NameChangeSchema = ConceptEvolutionSchema.path('name_change').schema;
 
-// Define the main concept evolution schema
-const ConceptEvolutionSchema = new Schema({
-  evolution_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true,
-    unique: true
-  },
-  concept_id: {
-    type: String,
-    required: true
-  },
-  target_concept_id: {
-    type: String,
-    default: null
-  },
-  evolution_context: {
-    type: String,
-    required: true
-  },
-  evolution_direction: {
-    type: String,
-    enum: EVOLUTION_DIRECTIONS,
-    required: true
-  },
-  scientific_context: {
-    type: String,
-    default: ''
-  },
-  contemporary_relevance: {
-    type: String,
-    default: ''
-  },
-  category_changes: {
-    type: [CategoryChangeSchema],
-    default: []
-  },
-  relationship_changes: {
-    type: [RelationshipChangeSchema],
-    default: []
-  },
-  thesis_changes: {
-    type: [ThesisChangeSchema],
-    default: []
-  },
-  name_change: {
-    type: NameChangeSchema,
-    default: null
-  },
-  contextual_drivers: {
-    type: [ContextualDriverSchema],
-    default: []
-  },
-  innovation_degree: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  applicability_enhancement: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  claude_generation_id: {
-    type: String,
-    default: null
-  },
-  generation_parameters: {
-    type: Map,
-    of: Schema.Types.Mixed,
-    default: {}
-  },
-  created_at: {
-    type: Date,
-    default: Date.now
-  },
-  updated_at: {
-    type: Date,
-    default: Date.now
-  }
-}, {
-  timestamps: {
-    createdAt: 'created_at',
-    updatedAt: 'updated_at'
-  }
-});
+// Get the contextual driver schema
+const ContextualDriverSchema = ConceptEvolutionSchema.path('contextual_drivers').schema;
 
 // Add indexes
 ConceptEvolutionSchema.index({ evolution_id: 1 }, { unique: true });
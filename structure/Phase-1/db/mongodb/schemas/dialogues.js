@@ -5,179 +5,25 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
-const { v4: uuidv4 } = require('uuid');
+const { toMongooseFields } = require('../../../shared/lib/validation/documentSchema');
+const { dialogueDocument } = require('../../../shared/lib/validation/documents/dialogues');
 
-// Define argument schema
-const ArgumentSchema = new Schema({
-  title: {
-    type: String,
-    required: true
-  },
-  content: {
-    type: String,
-    required: true
-  },
-  concept_id: {
-    type: String,
-    required: true
-  },
-  argument_type: {
-    type: String,
-    enum: ['premise', 'objection', 'rebuttal', 'clarification', 'conclusion'],
-    required: true
-  },
-  strength: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  related_theses: {
-    type: [String],
-    default: []
-  },
-  counterarguments: {
-    type: [String],
-    default: []
-  }
-}, { _id: false });
-
-// Define discussion point schema
-const DiscussionPointSchema = new Schema({
-  title: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  position_one: {
-    type: String,
-    required: true
-  },
-  position_one_concept_id: {
-    type: String,
-    required: true
-  },
-  position_two: {
-    type: String,
-    required: true
-  },
-  position_two_concept_id: {
-    type: String,
-    required: true
-  },
-  resolution: {
-    type: String,
-    default: null
-  },
-  importance: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  }
-}, { _id: false });
-
-// Define dialogue message schema
-const DialogueMessageSchema = new Schema({
-  message_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true
-  },
-  concept_id: {
-    type: String,
-    required: true
-  },
-  speaker: {
-    type: String,
-    required: true
-  },
-  content: {
-    type: String,
-    required: true
-  },
-  references: {
-    type: [String],
-    default: []
-  },
-  sequence: {
-    type: Number,
-    required: true
-  }
-}, { _id: false });
-
-// Define the main dialogue schema
-const DialogueSchema = new Schema({
-  dialogue_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true,
-    unique: true
-  },
-  philosophical_question: {
-    type: String,
-    required: true
-  },
-  dialogue_content: {
-    type: String,
-    required: true
-  },
-  messages: {
-    type: [DialogueMessageSchema],
-    default: []
-  },
-  discussion_points: {
-    type: [DiscussionPointSchema],
-    default: []
-  },
-  arguments: {
-    type: [ArgumentSchema],
-    default: []
-  },
-  concept_ids: {
-    type: [String],
-    required: true,
-    validate: [arrayMinLength, 'At least two concepts are required for a dialogue']
-  },
-  convergences: {
-    type: [String],
-    default: []
-  },
-  divergences: {
-    type: [String],
-    default: []
-  },
-  claude_generation_id: {
-    type: String,
-    default: null
-  },
-  generation_parameters: {
-    type: Map,
-    of: Schema.Types.Mixed,
-    default: {}
-  },
-  created_at: {
-    type: Date,
-    default: Date.now
-  },
-  updated_at: {
-    type: Date,
-    default: Date.now
-  }
-}, {
+// Define the main dialogue schema (fields generated from the document definition)
+const DialogueSchema = new Schema(toMongooseFields(dialogueDocument, mongoose), {
   timestamps: {
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   }
 });
 
-// Validator function for array minimum length
-function arrayMinLength(val) {
-  return val.length >= 2;
-}
+// Get the argument schema
+const ArgumentSchema = DialogueSchema.path('arguments').schema;
+
+// Get the discussion point schema
+const DiscussionPointSchema = DialogueSchema.path('discussion_points').schema;
+
+// Get the dialogue message schema
+const DialogueMessageSchema = DialogueSchema.path('messages').schema;
 
 // Add indexes
 DialogueSchema.index({ dialogue_id: 1 }, { unique: true });
@@ -0,0 +1,94 @@
+/**
+ * MongoDB Schema: GraphCommandLogs
+ * Defines the schema for the undo and redo stacks of a user editing a concept graph
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Define the command log entry schema
+const CommandEntrySchema = new Schema({
+  entry_id: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  command: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  inverse: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  executed_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Define the main command log schema
+const GraphCommandLogSchema = new Schema({
+  concept_id: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  user_id: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  // Both stacks are ordered oldest first
+  undo: {
+    type: [CommandEntrySchema],
+    default: []
+  },
+  redo: {
+    type: [CommandEntrySchema],
+    default: []
+  },
+  version: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: false,
+    updatedAt: 'updated_at'
+  }
+});
+
+// Add indexes
+GraphCommandLogSchema.index({ concept_id: 1, user_id: 1 }, { unique: true });
+GraphCommandLogSchema.index({ user_id: 1 });
+
+// Virtual to check whether there is a command to undo
+GraphCommandLogSchema.virtual('canUndo').get(function() {
+  return this.undo.length > 0;
+});
+
+// Virtual to check whether there is a command to redo
+GraphCommandLogSchema.virtual('canRedo').get(function() {
+  return this.redo.length > 0;
+});
+
+// Static method to find the log of a user editing a concept graph
+GraphCommandLogSchema.statics.findForUser = function(conceptId, userId) {
+  return this.findOne({ concept_id: conceptId, user_id: userId });
+};
+
+// Create and export model
+const GraphCommandLog = mongoose.model('GraphCommandLog', GraphCommandLogSchema);
+
+module.exports = {
+  GraphCommandLog
+};
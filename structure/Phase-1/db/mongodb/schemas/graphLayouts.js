@@ -0,0 +1,85 @@
+/**
+ * MongoDB Schema: GraphLayouts
+ * Defines the schema for category positions a user pinned in a concept graph
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Define the pinned position schema
+const PinnedPositionSchema = new Schema({
+  category_id: {
+    type: String,
+    required: true
+  },
+  x: {
+    type: Number,
+    required: true
+  },
+  y: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Define the main graph layout schema
+const GraphLayoutSchema = new Schema({
+  concept_id: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  user_id: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  pinned: {
+    type: [PinnedPositionSchema],
+    default: []
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: false,
+    updatedAt: 'updated_at'
+  }
+});
+
+// Add indexes
+GraphLayoutSchema.index({ concept_id: 1, user_id: 1 }, { unique: true });
+GraphLayoutSchema.index({ user_id: 1 });
+
+// Method to pin a category at a position
+GraphLayoutSchema.methods.pin = function(categoryId, x, y) {
+  const existing = this.pinned.find(position => position.category_id === categoryId);
+  
+  if (existing) {
+    existing.x = x;
+    existing.y = y;
+  } else {
+    this.pinned.push({ category_id: categoryId, x, y });
+  }
+  return this;
+};
+
+// Method to release a pinned category
+GraphLayoutSchema.methods.unpin = function(categoryId) {
+  this.pinned = this.pinned.filter(position => position.category_id !== categoryId);
+  return this;
+};
+
+// Static method to find the layout a user pinned in a concept graph
+GraphLayoutSchema.statics.findForUser = function(conceptId, userId) {
+  return this.findOne({ concept_id: conceptId, user_id: userId });
+};
+
+// Create and export model
+const GraphLayout = mongoose.model('GraphLayout', GraphLayoutSchema);
+
+module.exports = {
+  GraphLayout
+};
@@ -0,0 +1,136 @@
+/**
+ * MongoDB Schema: GraphSnapshots
+ * Defines the schema for immutable versioned snapshots of concept graphs
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { v4: uuidv4 } = require('uuid');
+
+// Define valid graph statuses
+const GRAPH_STATUSES = [
+  'draft',
+  'validated',
+  'enriched',
+  'published'
+];
+
+// Define the main graph snapshot schema
+const GraphSnapshotSchema = new Schema({
+  snapshot_id: {
+    type: String,
+    default: () => uuidv4(),
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  concept_id: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  version: {
+    type: Number,
+    min: 1,
+    required: true,
+    immutable: true
+  },
+  status: {
+    type: String,
+    enum: GRAPH_STATUSES,
+    required: true,
+    immutable: true
+  },
+  categories: {
+    type: [Schema.Types.Mixed],
+    default: [],
+    immutable: true
+  },
+  relationships: {
+    type: [Schema.Types.Mixed],
+    default: [],
+    immutable: true
+  },
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {},
+    immutable: true
+  },
+  checksum: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  author_id: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  message: {
+    type: String,
+    default: '',
+    immutable: true
+  },
+  parent_version: {
+    type: Number,
+    default: null,
+    immutable: true
+  },
+  reverted_from_version: {
+    type: Number,
+    default: null,
+    immutable: true
+  },
+  // Tags are the only mutable part of a snapshot
+  tags: {
+    type: [String],
+    default: []
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Add indexes
+GraphSnapshotSchema.index({ snapshot_id: 1 }, { unique: true });
+GraphSnapshotSchema.index({ concept_id: 1, version: -1 }, { unique: true });
+GraphSnapshotSchema.index({ concept_id: 1, tags: 1 });
+GraphSnapshotSchema.index({ concept_id: 1, status: 1 });
+GraphSnapshotSchema.index({ author_id: 1 });
+
+// Virtual to get the number of elements in the snapshot
+GraphSnapshotSchema.virtual('elementCount').get(function() {
+  return (this.categories ? this.categories.length : 0) +
+    (this.relationships ? this.relationships.length : 0);
+});
+
+// Method to add a tag
+GraphSnapshotSchema.methods.addTag = function(tag) {
+  if (!this.tags.includes(tag)) {
+    this.tags.push(tag);
+  }
+  return this;
+};
+
+// Method to remove a tag
+GraphSnapshotSchema.methods.removeTag = function(tag) {
+  this.tags = this.tags.filter(t => t !== tag);
+  return this;
+};
+
+// Static method to get the history of a concept graph
+GraphSnapshotSchema.statics.findHistory = function(conceptId) {
+  return this.find({ concept_id: conceptId })
+    .select('snapshot_id concept_id version status author_id message tags parent_version reverted_from_version created_at')
+    .sort({ version: -1 });
+};
+
+// Create and export model
+const GraphSnapshot = mongoose.model('GraphSnapshot', GraphSnapshotSchema);
+
+module.exports = {
+  GraphSnapshot,
+  GRAPH_STATUSES
+};
@@ -5,212 +5,29 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
-const { v4: uuidv4 } = require('uuid');
+const { toMongooseFields } = require('../../../shared/lib/validation/documentSchema');
+const { TIME_PERIODS, historicalContextDocument } = require('../../../shared/lib/validation/documents/historicalContexts');
 
-// Define valid time periods
-const TIME_PERIODS = [
-  'ancient',
-  'classical',
-  'medieval',
-  'renaissance',
-  'early_modern',
-  'enlightenment',
-  'modern',
-  'contemporary',
-  'postmodern'
-];
-
-// Define influence schema
-const InfluenceSchema = new Schema({
-  name: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  influence_type: {
-    type: String,
-    enum: ['philosopher', 'school', 'tradition', 'event', 'text', 'social_movement'],
-    required: true
-  },
-  time_period: {
-    type: String,
-    enum: TIME_PERIODS,
-    required: true
-  },
-  influence_strength: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  key_concepts: {
-    type: [String],
-    default: []
-  }
-}, { _id: false });
-
-// Define contemporary schema
-const ContemporarySchema = new Schema({
-  name: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  relationship: {
-    type: String,
-    enum: ['aligned', 'opposed', 'complementary', 'developed', 'criticized', 'extended'],
-    required: true
-  },
-  philosopher: {
-    type: String,
-    default: null
-  },
-  tradition: {
-    type: String,
-    default: null
-  },
-  comparison_points: {
-    type: [String],
-    default: []
-  }
-}, { _id: false });
-
-// Define subsequent influence schema
-const SubsequentInfluenceSchema = new Schema({
-  name: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  influence_type: {
-    type: String,
-    enum: ['philosopher', 'school', 'tradition', 'field', 'practical_application'],
-    required: true
-  },
-  time_period: {
-    type: String,
-    enum: TIME_PERIODS,
-    default: 'contemporary'
-  },
-  influence_strength: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  key_developments: {
-    type: [String],
-    default: []
-  }
-}, { _id: false });
-
-// Define timeline event schema
-const TimelineEventSchema = new Schema({
-  year: {
-    type: Number,
-    required: true
-  },
-  title: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  event_type: {
-    type: String,
-    enum: ['publication', 'philosophical_development', 'historical_event', 'birth', 'death', 'school_foundation'],
-    required: true
-  },
-  related_philosophers: {
-    type: [String],
-    default: []
-  },
-  significance: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  }
-}, { _id: false });
-
-// Define the main historical context schema
-const HistoricalContextSchema = new Schema({
-  context_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true,
-    unique: true
-  },
-  concept_id: {
-    type: String,
-    required: true
-  },
-  time_period: {
-    type: String,
-    enum: TIME_PERIODS,
-    required: true
-  },
-  historical_analysis: {
-    type: String,
-    required: true
-  },
-  influences: {
-    type: [InfluenceSchema],
-    default: []
-  },
-  contemporaries: {
-    type: [ContemporarySchema],
-    default: []
-  },
-  subsequent_influence: {
-    type: [SubsequentInfluenceSchema],
-    default: []
-  },
-  timeline: {
-    type: [TimelineEventSchema],
-    default: []
-  },
-  historical_significance: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  claude_generation_id: {
-    type: String,
-    default: null
-  },
-  generation_parameters: {
-    type: Map,
-    of: Schema.Types.Mixed,
-    default: {}
-  },
-  created_at: {
-    type: Date,
-    default: Date.now
-  },
-  updated_at: {
-    type: Date,
-    default: Date.now
-  }
-}, {
+// Define the main historical context schema (fields generated from the document definition)
+const HistoricalContextSchema = new Schema(toMongooseFields(historicalContextDocument, mongoose), {
   timestamps: {
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   }
 });
 
+// Get the influence schema
+const InfluenceSchema = HistoricalContextSchema.path('influences').schema;
+
+// Get the contemporary schema
+const ContemporarySchema = HistoricalContextSchema.path('contemporaries').schema;
+
+// Get the subsequent influence schema
+const SubsequentInfluenceSchema = HistoricalContextSchema.path('subsequent_influence').schema;
+
+// Get the timeline event schema
+const TimelineEventSchema = HistoricalContextSchema.path('timeline').schema;
+
 // Add indexes
 HistoricalContextSchema.index({ context_id: 1 }, { unique: true });
 HistoricalContextSchema.index({ concept_id: 1 });
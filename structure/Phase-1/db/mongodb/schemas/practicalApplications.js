@@ -5,225 +5,28 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
-const { v4: uuidv4 } = require('uuid');
+const { toMongooseFields } = require('../../../shared/lib/validation/documentSchema');
+const { APPLICATION_DOMAINS, practicalApplicationDocument } = require('../../../shared/lib/validation/documents/practicalApplications');
 
-// Define valid application domains
-const APPLICATION_DOMAINS = [
-  'education',
-  'ethics',
-  'politics',
-  'arts',
-  'science',
-  'technology',
-  'psychology',
-  'business',
-  'medicine',
-  'law',
-  'environment',
-  'social_policy'
-];
-
-// Define domain application schema
-const DomainApplicationSchema = new Schema({
-  domain: {
-    type: String,
-    enum: APPLICATION_DOMAINS,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  relevance: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  key_examples: {
-    type: [String],
-    default: []
-  },
-  potential_impact: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  challenges: {
-    type: [String],
-    default: []
-  }
-}, { _id: false });
-
-// Define implementation method schema
-const ImplementationMethodSchema = new Schema({
-  title: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  domain: {
-    type: String,
-    enum: APPLICATION_DOMAINS,
-    required: true
-  },
-  steps: {
-    type: [String],
-    default: []
-  },
-  required_resources: {
-    type: [String],
-    default: []
-  },
-  expected_outcomes: {
-    type: [String],
-    default: []
-  },
-  feasibility: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  }
-}, { _id: false });
-
-// Define relevance mapping schema
-const RelevanceMappingSchema = new Schema({
-  concept_element: {
-    type: String,
-    required: true
-  },
-  element_type: {
-    type: String,
-    enum: ['category', 'thesis', 'relationship'],
-    required: true
-  },
-  application_domain: {
-    type: String,
-    enum: APPLICATION_DOMAINS,
-    required: true
-  },
-  relevance_explanation: {
-    type: String,
-    required: true
-  },
-  transformation_required: {
-    type: Boolean,
-    default: false
-  },
-  operationalization_notes: {
-    type: String,
-    default: ''
-  }
-}, { _id: false });
-
-// Define case study schema
-const CaseStudySchema = new Schema({
-  title: {
-    type: String,
-    required: true
-  },
-  domain: {
-    type: String,
-    enum: APPLICATION_DOMAINS,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  approach: {
-    type: String,
-    required: true
-  },
-  outcomes: {
-    type: String,
-    required: true
-  },
-  lessons_learned: {
-    type: [String],
-    default: []
-  },
-  related_concept_elements: {
-    type: [String],
-    default: []
-  }
-}, { _id: false });
-
-// Define the main practical application schema
-const PracticalApplicationSchema = new Schema({
-  application_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true,
-    unique: true
-  },
-  concept_id: {
-    type: String,
-    required: true
-  },
-  domains: {
-    type: [DomainApplicationSchema],
-    validate: [arrayMinLength, 'At least one domain application is required']
-  },
-  application_analysis: {
-    type: String,
-    required: true
-  },
-  implementation_methods: {
-    type: [ImplementationMethodSchema],
-    default: []
-  },
-  relevance_mappings: {
-    type: [RelevanceMappingSchema],
-    default: []
-  },
-  case_studies: {
-    type: [CaseStudySchema],
-    default: []
-  },
-  interdisciplinary_connections: {
-    type: [String],
-    default: []
-  },
-  overall_applicability: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: 3
-  },
-  claude_generation_id: {
-    type: String,
-    default: null
-  },
-  generation_parameters: {
-    type: Map,
-    of: Schema.Types.Mixed,
-    default: {}
-  },
-  created_at: {
-    type: Date,
-    default: Date.now
-  },
-  updated_at: {
-    type: Date,
-    default: Date.now
-  }
-}, {
+// Define the main practical application schema (fields generated from the document definition)
+const PracticalApplicationSchema = new Schema(toMongooseFields(practicalApplicationDocument, mongoose), {
   timestamps: {
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   }
 });
 
-// Validator function for array minimum length
-function arrayMinLength(val) {
-  return val.length >= 1;
-}
+// Get the domain application schema
+const DomainApplicationSchema = PracticalApplicationSchema.path('domains').schema;
+
+// Get the implementation method schema
+const ImplementationMethodSchema = PracticalApplicationSchema.path('implementation_methods').schema;
+
+// Get the relevance mapping schema
+const RelevanceMappingSchema = PracticalApplicationSchema.path('relevance_mappings').schema;
+
+// Get the case study schema
+const CaseStudySchema = PracticalApplicationSchema.path('case_studies').schema;
 
 // Add indexes
 PracticalApplicationSchema.index({ application_id: 1 }, { unique: true });
@@ -5,108 +5,20 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
-const { v4: uuidv4 } = require('uuid');
+const { toMongooseFields } = require('../../../shared/lib/validation/documentSchema');
+const { relationshipDescriptionDocument } = require('../../../shared/lib/validation/documents/descriptions');
 
-// Define relationship analogue schema
-const RelationshipAnalogueSchema = new Schema({
-  name: {
-    type: String,
-    required: true
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  domain: {
-    type: String,
-    default: 'philosophy'
-  },
-  tradition: {
-    type: String,
-    default: null
-  },
-  similarity_score: {
-    type: Number,
-    min: 0,
-    max: 1,
-    default: 0.5
-  }
-}, { _id: false });
-
-// Define the main relationship description schema
-const RelationshipDescriptionSchema = new Schema({
-  description_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true,
-    unique: true
-  },
-  relationship_id: {
-    type: String,
-    required: true,
-    unique: true
-  },
-  philosophical_foundation: {
-    type: String,
-    required: true
-  },
-  counterarguments: {
-    type: [String],
-    default: []
-  },
-  analogues: {
-    type: [RelationshipAnalogueSchema],
-    default: []
-  },
-  source_category_id: {
-    type: String,
-    required: true
-  },
-  target_category_id: {
-    type: String,
-    required: true
-  },
-  relationship_type: {
-    type: String,
-    enum: [
-      'hierarchical',
-      'causal',
-      'dialectical',
-      'correlative',
-      'analogical',
-      'oppositional',
-      'metaphorical',
-      'functional'
-    ],
-    required: true
-  },
-  relevant_philosophers: {
-    type: [String],
-    default: []
-  },
-  relevant_traditions: {
-    type: [String],
-    default: []
-  },
-  claude_generation_id: {
-    type: String,
-    default: null
-  },
-  created_at: {
-    type: Date,
-    default: Date.now
-  },
-  last_modified: {
-    type: Date,
-    default: Date.now
-  }
-}, {
+// Define the main relationship description schema (fields generated from the document definition)
+const RelationshipDescriptionSchema = new Schema(toMongooseFields(relationshipDescriptionDocument, mongoose), {
   timestamps: {
     createdAt: 'created_at',
     updatedAt: 'last_modified'
   }
 });
 
+// Get the relationship analogue schema
+const RelationshipAnalogueSchema = RelationshipDescriptionSchema.path('analogues').schema;
+
 // Add indexes
 RelationshipDescriptionSchema.index({ description_id: 1 }, { unique: true });
 RelationshipDescriptionSchema.index({ relationship_id: 1 }, { unique: true });
@@ -5,148 +5,27 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
-const { v4: uuidv4 } = require('uuid');
+const { toMongooseFields } = require('../../../shared/lib/validation/documentSchema');
+const {
+  THESIS_STATUSES,
+  thesisDocument,
+  thesisElaborationDocument
+} = require('../../../shared/lib/validation/documents/theses');
 
-// Define valid thesis types
-const THESIS_TYPES = [
-  'ontological',
-  'epistemological',
-  'ethical',
-  'aesthetic',
-  'political',
-  'logical',
-  'methodological',
-  'critical',
-  'synthetic'
-];
+// Define valid thesis types and styles
+const THESIS_TYPES = thesisDocument.fields.type.enum;
+const THESIS_STYLES = thesisDocument.fields.style.enum;
 
-// Define valid thesis styles
-const THESIS_STYLES = [
-  'academic',
-  'aphoristic',
-  'poetic',
-  'dialectical',
-  'analytical',
-  'narrative',
-  'popular'
-];
-
-// Define valid thesis statuses
-const THESIS_STATUSES = [
-  'generated',
-  'edited',
-  'approved',
-  'rejected',
-  'archived'
-];
-
-// Define the schema for a thesis elaboration
-const ThesisElaborationSchema = new Schema({
-  elaboration_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true
-  },
-  thesis_id: {
-    type: String,
-    required: true,
-    ref: 'Thesis'
-  },
-  content: {
-    type: String,
-    required: true
-  },
-  type: {
-    type: String,
-    enum: ['explanation', 'justification', 'counterargument', 'implication', 'example', 'historical_context'],
-    default: 'explanation'
-  },
-  claude_generation_id: {
-    type: String,
-    default: null
-  },
-  metadata: {
-    type: Map,
-    of: Schema.Types.Mixed,
-    default: {}
-  },
-  created_at: {
-    type: Date,
-    default: Date.now
-  },
-  updated_at: {
-    type: Date,
-    default: Date.now
-  }
-}, {
+// Define the schema for a thesis elaboration (fields generated from the document definition)
+const ThesisElaborationSchema = new Schema(toMongooseFields(thesisElaborationDocument, mongoose), {
   timestamps: {
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   }
 });
 
-// Define the main thesis schema
-const ThesisSchema = new Schema({
-  thesis_id: {
-    type: String,
-    default: () => uuidv4(),
-    required: true,
-    unique: true
-  },
-  concept_id: {
-    type: String,
-    required: true
-  },
-  type: {
-    type: String,
-    enum: THESIS_TYPES,
-    required: true
-  },
-  content: {
-    type: String,
-    required: true
-  },
-  style: {
-    type: String,
-    enum: THESIS_STYLES,
-    default: 'academic'
-  },
-  status: {
-    type: String,
-    enum: THESIS_STATUSES,
-    default: 'generated'
-  },
-  related_categories: {
-    type: [String],
-    default: []
-  },
-  parent_theses: {
-    type: [String],
-    default: []
-  },
-  generation_parameters: {
-    type: Map,
-    of: Schema.Types.Mixed,
-    default: {}
-  },
-  claude_generation_id: {
-    type: String,
-    default: null
-  },
-  metadata: {
-    type: Map,
-    of: Schema.Types.Mixed,
-    default: {}
-  },
-  created_at: {
-    type: Date,
-    default: Date.now
-  },
-  updated_at: {
-    type: Date,
-    default: Date.now
-  }
-}, {
+// Define the main thesis schema (fields generated from the document definition)
+const ThesisSchema = new Schema(toMongooseFields(thesisDocument, mongoose), {
   timestamps: {
     createdAt: 'created_at',
     updatedAt: 'updated_at'
@@ -84,16 +84,23 @@ if [ ! -d "$MIGRATIONS_DIR" ]; then
   exit 1
 fi
 
-# Create temporary migration runner
+# Run migrations
+echo "Running migrations..."
+MONGODB_URI="mongodb://${MONGO_USER}:${MONGO_PASSWORD}@${MONGO_HOST}:${MONGO_PORT}/${MONGO_AUTH_DB}" \
+MONGODB_DATABASE="$MONGO_DB" \
+MIGRATIONS_DIR="$MIGRATIONS_DIR" \
+  node "$(dirname "$0")/migrate.js" up
+
+# Create temporary seed runner
 TEMP_DIR=$(mktemp -d)
-MIGRATION_RUNNER="$TEMP_DIR/migration-runner.js"
+SEED_RUNNER="$TEMP_DIR/seed-runner.js"
 
-cat > "$MIGRATION_RUNNER" << EOF
+cat > "$SEED_RUNNER" << EOF
 const { MongoClient } = require('mongodb');
 const fs = require('fs');
 const path = require('path');
 
-async function runMigrations() {
+async function runSeeds() {
   // Connection URL
   const url = 'mongodb://${MONGO_USER}:${MONGO_PASSWORD}@${MONGO_HOST}:${MONGO_PORT}/${MONGO_AUTH_DB}';
   const client = new MongoClient(url);
@@ -106,63 +113,6 @@ async function runMigrations() {
     // Get the database
     const db = client.db('${MONGO_DB}');
     
-    // Check if migrations collection exists, create it if not
-    const collections = await db.listCollections({ name: 'migrations' }).toArray();
-    if (collections.length === 0) {
-      await db.createCollection('migrations');
-      console.log('Created migrations collection');
-    }
-    
-    // Get applied migrations
-    const appliedMigrations = await db.collection('migrations').find().toArray();
-    const appliedMigrationNames = appliedMigrations.map(m => m.name);
-    console.log('Applied migrations:', appliedMigrationNames.length ? appliedMigrationNames.join(', ') : 'None');
-    
-    // Get available migration files
-    const migrationsDir = '${MIGRATIONS_DIR}';
-    const migrationFiles = fs.readdirSync(migrationsDir)
-      .filter(file => file.endsWith('.js'))
-      .sort();
-    
-    console.log('Available migrations:', migrationFiles.join(', '));
-    
-    // Apply migrations
-    let appliedCount = 0;
-    
-    for (const file of migrationFiles) {
-      const migrationName = path.basename(file, '.js');
-      
-      // Skip if already applied
-      if (appliedMigrationNames.includes(migrationName)) {
-        console.log(\`Migration \${migrationName} already applied\`);
-        continue;
-      }
-      
-      // Load migration module
-      const migrationPath = path.join(migrationsDir, file);
-      const migration = require(migrationPath);
-      
-      // Run migration
-      console.log(\`Applying migration \${migrationName}...\`);
-      const result = await migration.up(db);
-      
-      if (result.success) {
-        // Record applied migration
-        await db.collection('migrations').insertOne({
-          name: migrationName,
-          applied_at: new Date()
-        });
-        
-        console.log(\`Migration \${migrationName} applied successfully\`);
-        appliedCount++;
-      } else {
-        console.error(\`Migration \${migrationName} failed: \${result.error}\`);
-        process.exit(1);
-      }
-    }
-    
-    console.log(\`\${appliedCount} migrations applied\`);
-    
     // Apply seed data if specified and no data exists
     if (process.argv.includes('--seed') && fs.existsSync('${SEED_DIR}')) {
       const seedFiles = fs.readdirSync('${SEED_DIR}')
@@ -181,7 +131,9 @@ async function runMigrations() {
           console.log(\`Applying seed \${seedName}...\`);
           const seed = require(seedPath);
           
-          const result = await seed.run(db);
+          // Seeds export either a function or an object with run()
+          const run = typeof seed === 'function' ? seed : seed.run;
+          const result = await run(db);
           
           if (result.success) {
             console.log(\`Seed \${seedName} applied successfully\`);
@@ -227,15 +179,15 @@ async function shouldApplySeeds(db) {
   return true;
 }
 
-runMigrations().catch(err => {
+runSeeds().catch(err => {
   console.error('Error:', err);
   process.exit(1);
 });
 EOF
 
-# Run migrations
-echo "Running migrations..."
-node "$MIGRATION_RUNNER" --seed
+# Apply seed data
+echo "Applying seed data..."
+node "$SEED_RUNNER" --seed
 
 # Cleanup
 rm -rf "$TEMP_DIR"
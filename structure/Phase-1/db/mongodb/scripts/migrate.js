@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * MongoDB migration script for Philosophy Service
+ * Applies, rolls back and lists the migrations in db/mongodb/migrations
+ *
+ * Usage:
+ *   node db/mongodb/scripts/migrate.js up [--to <version>] [--dry-run]
+ *   node db/mongodb/scripts/migrate.js down [--to <version>] [--dry-run]
+ *   node db/mongodb/scripts/migrate.js status
+ *
+ * Connects with MONGODB_URI and MONGODB_DATABASE; MIGRATIONS_DIR overrides
+ * the migrations directory.
+ */
+
+const path = require('path');
+const { MongoDbClient } = require('../../../shared/lib/db/mongodb/client');
+const { MigrationRunner } = require('../../../shared/lib/db/mongodb/migrationRunner');
+
+const COMMANDS = ['up', 'down', 'status'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Object with command, to and dryRun
+ */
+function parseArguments(argv) {
+  const args = { command: argv[0], to: undefined, dryRun: false };
+  
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--to') {
+      args.to = argv[++i];
+    } else {
+      throw new Error(`Unknown argument '${argv[i]}'`);
+    }
+  }
+  
+  if (!COMMANDS.includes(args.command)) {
+    throw new Error(`Usage: migrate.js <${COMMANDS.join('|')}> [--to <version>] [--dry-run]`);
+  }
+  if (argv.includes('--to') && !args.to) {
+    throw new Error('--to needs a version');
+  }
+  
+  return args;
+}
+
+/**
+ * Print the state of every migration
+ * @param {Array<Object>} migrations - Migration states
+ */
+function printStatus(migrations) {
+  for (const migration of migrations) {
+    const appliedAt = migration.appliedAt ? migration.appliedAt.toISOString() : '';
+    console.log(`${migration.status.padEnd(8)} ${migration.name.padEnd(40)} ${appliedAt}`);
+  }
+}
+
+/**
+ * Print the migrations that ran or would run
+ * @param {Object} result - Runner result
+ */
+function printResult(result) {
+  if (result.migrations.length === 0) {
+    console.log(`No migrations to ${result.direction === 'up' ? 'apply' : 'roll back'}.`);
+    return;
+  }
+  
+  for (const migration of result.migrations) {
+    if (result.dryRun) {
+      console.log(`Would run ${migration.name} (${result.direction}):`);
+      for (const operation of migration.operations) {
+        console.log(`  ${operation}`);
+      }
+    } else {
+      console.log(`Ran ${migration.name} (${result.direction}) in ${migration.durationMs} ms`);
+    }
+  }
+  
+  console.log(`${result.migrations.length} migrations ${result.dryRun ? 'planned' : 'run'}.`);
+}
+
+/**
+ * Run the script
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const args = parseArguments(process.argv.slice(2));
+  const client = new MongoDbClient();
+  const runner = new MigrationRunner({
+    client,
+    migrationsDir: process.env.MIGRATIONS_DIR || path.join(__dirname, '..', 'migrations')
+  });
+  
+  try {
+    if (args.command === 'status') {
+      printStatus(await runner.status());
+    } else {
+      printResult(await runner[args.command]({ to: args.to, dryRun: args.dryRun }));
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(err => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * MongoDB validator script for Philosophy Service
+ * Compares the collection validators and unique indexes live in the database
+ * with the document definitions in shared/lib/validation/documents, applies
+ * the generated validators, or prints them.
+ *
+ * Usage:
+ *   node db/mongodb/scripts/validators.js check [--collection <name>]
+ *   node db/mongodb/scripts/validators.js sync [--collection <name>]
+ *   node db/mongodb/scripts/validators.js print [--collection <name>]
+ *
+ * check exits with status 1 when any collection has drifted. check and sync
+ * connect with MONGODB_URI and MONGODB_DATABASE. Migrations copy the output
+ * of print rather than generating validators when they run, so a changed
+ * definition needs a new migration.
+ */
+
+const { MongoDbClient } = require('../../../shared/lib/db/mongodb/client');
+const { DOCUMENTS } = require('../../../shared/lib/validation/documents');
+const { toCollectionOptions } = require('../../../shared/lib/validation/documentSchema');
+const { checkValidator, syncValidator } = require('../../../shared/lib/db/mongodb/collectionValidator');
+
+const COMMANDS = ['check', 'sync', 'print'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Object with command and collection
+ */
+function parseArguments(argv) {
+  const args = { command: argv[0], collection: undefined };
+  
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--collection') {
+      args.collection = argv[++i];
+    } else {
+      throw new Error(`Unknown argument '${argv[i]}'`);
+    }
+  }
+  
+  if (!COMMANDS.includes(args.command)) {
+    throw new Error(`Usage: validators.js <${COMMANDS.join('|')}> [--collection <name>]`);
+  }
+  if (argv.includes('--collection') && !args.collection) {
+    throw new Error('--collection needs a collection name');
+  }
+  
+  return args;
+}
+
+/**
+ * Select the definitions to work on
+ * @param {string} [collection] - Collection name (all when not given)
+ * @returns {Array<Object>} Document definitions
+ */
+function selectDefinitions(collection) {
+  if (!collection) {
+    return DOCUMENTS;
+  }
+  
+  const definitions = DOCUMENTS.filter(definition => definition.collection === collection);
+  if (definitions.length === 0) {
+    throw new Error(`No document definition for collection '${collection}'`);
+  }
+  return definitions;
+}
+
+/**
+ * Format a drifted value
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+function formatValue(value) {
+  return value === undefined ? '(none)' : JSON.stringify(value);
+}
+
+/**
+ * Print a drift report
+ * @param {Object} report - Report of a collection
+ */
+function printReport(report) {
+  if (!report.exists) {
+    console.log(`MISSING  ${report.collection}`);
+    return;
+  }
+  if (report.drift.length === 0) {
+    console.log(`OK       ${report.collection}`);
+    return;
+  }
+  
+  console.log(`DRIFT    ${report.collection}`);
+  for (const drift of report.drift) {
+    console.log(`  ${drift.path}`);
+    console.log(`    declared: ${formatValue(drift.declared)}`);
+    console.log(`    live:     ${formatValue(drift.live)}`);
+  }
+}
+
+/**
+ * Run the script
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  const args = parseArguments(process.argv.slice(2));
+  const definitions = selectDefinitions(args.collection);
+  
+  if (args.command === 'print') {
+    const validators = {};
+    for (const definition of definitions) {
+      validators[definition.collection] = toCollectionOptions(definition);
+    }
+    console.log(JSON.stringify(validators, null, 2));
+    return 0;
+  }
+  
+  const client = new MongoDbClient();
+  
+  try {
+    const db = await client.getDb();
+    
+    if (args.command === 'sync') {
+      for (const definition of definitions) {
+        const created = await syncValidator(db, definition);
+        console.log(`${created ? 'Created' : 'Updated'} validator of ${definition.collection}`);
+      }
+      return 0;
+    }
+    
+    let drifted = 0;
+    for (const definition of definitions) {
+      const report = await checkValidator(db, definition);
+      printReport(report);
+      if (!report.exists || report.drift.length > 0) {
+        drifted++;
+      }
+    }
+    
+    console.log(`${drifted} of ${definitions.length} collections drifted.`);
+    return drifted > 0 ? 1 : 0;
+  } finally {
+    await client.close();
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(err => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
@@ -203,12 +203,12 @@ async function seedTestTheses(db) {
           'Философская категория для обозначения объективной реальности'
         ],
         historical_analogues: [
-          { concept: 'Субстанция', philosopher: 'Спиноза' },
-          { concept: 'Атомы', philosopher: 'Демокрит' }
+          { name: 'Субстанция', description: 'Субстанция как причина самой себя', philosopher: 'Спиноза' },
+          { name: 'Атомы', description: 'Неделимые первоначала всего сущего', philosopher: 'Демокрит' }
         ],
         related_concepts: [
-          { concept: 'Бытие', relation: 'более общее понятие' },
-          { concept: 'Природа', relation: 'частное проявление' }
+          { name: 'Бытие', description: 'более общее понятие', relationship_type: 'broader' },
+          { name: 'Природа', description: 'частное проявление', relationship_type: 'narrower' }
         ],
         claude_generation_id: null,
         created_at: new Date('2024-01-01'),
@@ -223,12 +223,12 @@ async function seedTestTheses(db) {
           'Теория развития через единство и борьбу противоположностей'
         ],
         historical_analogues: [
-          { concept: 'Диалектика', philosopher: 'Гераклит' },
-          { concept: 'Диалектика', philosopher: 'Гегель' }
+          { name: 'Диалектика', description: 'Всё течёт, всё изменяется', philosopher: 'Гераклит' },
+          { name: 'Диалектика', description: 'Саморазвитие понятия через противоречие', philosopher: 'Гегель' }
         ],
         related_concepts: [
-          { concept: 'Метафизика', relation: 'противоположный метод' },
-          { concept: 'Развитие', relation: 'основное содержание' }
+          { name: 'Метафизика', description: 'противоположный метод', relationship_type: 'opposite' },
+          { name: 'Развитие', description: 'основное содержание', relationship_type: 'narrower' }
         ],
         claude_generation_id: null,
         created_at: new Date('2024-01-01'),
@@ -0,0 +1,37 @@
+/**
+ * MongoDB Seed Data: Linked Dataset
+ * Description: Creates a linked dataset for every document collection from the
+ * seed data factories. SEED_VALUE selects the seed, so a dataset can be
+ * reproduced exactly; SEED_CONCEPTS sets the number of concepts.
+ */
+
+const { buildDataset, insertDataset } = require('./factories');
+
+// Seed function to create a linked dataset
+async function seedLinkedDataset(db) {
+  console.log('Seeding linked dataset...');
+  
+  try {
+    const dataset = buildDataset({
+      seed: process.env.SEED_VALUE || 'philosophy',
+      concepts: parseInt(process.env.SEED_CONCEPTS || '3', 10)
+    });
+    
+    console.log(`Generated ${dataset.concepts.length} concepts from seed "${dataset.seed}"`);
+    
+    // Insert documents collection by collection
+    const counts = await insertDataset(db, dataset);
+    for (const [name, count] of Object.entries(counts)) {
+      console.log(`Successfully inserted ${count} documents into ${name}`);
+    }
+    
+    console.log('Linked dataset seed completed successfully');
+    return { success: true };
+  } catch (error) {
+    console.error('Error seeding linked dataset:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Export the seed function
+module.exports = seedLinkedDataset;
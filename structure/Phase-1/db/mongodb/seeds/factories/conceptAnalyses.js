@@ -0,0 +1,75 @@
+/**
+ * Concept analysis factory
+ * Key points point at category IDs; references cite the concept's
+ * philosophers with years from their lifetimes.
+ */
+
+const { PHILOSOPHERS } = require('./vocabulary');
+
+// Types of analysis
+const ANALYSIS_TYPES = [
+  'critical',
+  'historical',
+  'comparative',
+  'structural',
+  'linguistic',
+  'ethical',
+  'political',
+  'methodological',
+  'interdisciplinary',
+  'creative'
+];
+
+// How a reference relates to the analysis
+const REFERENCE_TYPES = ['support', 'contrast', 'context', 'elaboration'];
+
+/**
+ * Build an analysis of a concept (conceptAnalyses)
+ * @param {Object} random - Seeded random generator
+ * @param {ConceptFixture} concept - Concept
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Concept analysis document
+ */
+function buildConceptAnalysis(random, concept, overrides = {}) {
+  const analysisType = overrides.analysis_type || random.pick(ANALYSIS_TYPES);
+  const categories = random.sample(concept.graph.categories, 3);
+  const createdAt = random.after(concept.created_at, 60);
+  
+  return {
+    analysis_id: random.uuid(),
+    concept_id: concept.concept_id,
+    analysis_type: analysisType,
+    content: `Анализ (${analysisType}) концепции «${concept.name}» сосредоточен на категориях ` +
+      `${categories.map(category => category.name).join(', ')}.`,
+    key_points: categories.map(category => ({
+      title: category.name,
+      description: category.definition,
+      relevance_score: random.int(1, 5),
+      related_elements: [category.category_id]
+    })),
+    references: random.sample(concept.philosophers, 2).map(philosopher => {
+      const lifetime = PHILOSOPHERS[philosopher];
+      
+      return {
+        philosopher,
+        text: null,
+        year: lifetime ? random.int(lifetime.born + 25, lifetime.died) : null,
+        description: `${philosopher} о концепции «${concept.name}»`,
+        relevance_type: random.pick(REFERENCE_TYPES)
+      };
+    }),
+    suggested_improvements: [`Уточнить связь категорий ${categories[0].name} и ${categories[1].name}`],
+    critique_points: [`Категория ${categories[2].name} определена слишком широко`],
+    generation_parameters: {
+      source: 'seed'
+    },
+    claude_generation_id: null,
+    created_at: createdAt,
+    updated_at: createdAt,
+    ...overrides
+  };
+}
+
+module.exports = {
+  buildConceptAnalysis
+};
@@ -0,0 +1,109 @@
+/**
+ * Concept evolution factory
+ * Changes refer to existing categories, relationships and theses of the
+ * concept by ID; added elements have no ID yet.
+ */
+
+const { EVOLUTION_DIRECTIONS } = require('../../../../shared/constants/philosophyConstants');
+
+// Drivers of a concept's evolution
+const DRIVER_TYPES = [
+  'scientific_development',
+  'societal_change',
+  'technological_innovation',
+  'philosophical_development',
+  'interdisciplinary_insight',
+  'empirical_evidence'
+];
+
+/**
+ * Build an evolution of a concept (conceptEvolutions)
+ * @param {Object} random - Seeded random generator
+ * @param {ConceptFixture} concept - Concept
+ * @param {Array<Object>} [theses=[]] - Thesis documents of the concept
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Concept evolution document
+ */
+function buildConceptEvolution(random, concept, theses = [], overrides = {}) {
+  const [redefined, merged] = random.sample(concept.graph.categories, 2);
+  const [relationship] = random.sample(concept.graph.relationships, 1);
+  const [thesis] = random.sample(theses, 1);
+  const createdAt = random.after(concept.created_at, 90);
+  
+  return {
+    evolution_id: random.uuid(),
+    concept_id: concept.concept_id,
+    target_concept_id: null,
+    evolution_context: `Переосмысление концепции «${concept.name}» в свете современного знания`,
+    evolution_direction: random.pick(Object.values(EVOLUTION_DIRECTIONS)),
+    scientific_context: `Новые данные заставляют уточнить категорию ${redefined.name}`,
+    contemporary_relevance: concept.question,
+    category_changes: [
+      {
+        category_id: redefined.category_id,
+        category_name: redefined.name,
+        change_type: 'redefine',
+        original_definition: redefined.definition,
+        new_definition: `${redefined.definition}, понятая исторически`,
+        justification: `Категория ${redefined.name} требует исторического прочтения`,
+        importance: random.int(3, 5)
+      },
+      {
+        category_id: null,
+        category_name: `${merged.name} как процесс`,
+        change_type: 'add',
+        original_definition: null,
+        new_definition: `${merged.definition} в её становлении`,
+        justification: `Категория ${merged.name} раскрывается в развитии`,
+        importance: random.int(2, 4)
+      }
+    ],
+    relationship_changes: relationship ? [{
+      relationship_id: relationship.relationship_id,
+      source_category: relationship.source_id,
+      target_category: relationship.target_id,
+      relationship_type: relationship.type,
+      change_type: random.pick(['strengthen', 'weaken', 'redefine']),
+      original_description: relationship.description,
+      new_description: `${relationship.description} при определённых условиях`,
+      justification: 'Связь зависит от исторического контекста',
+      importance: random.int(2, 5)
+    }] : [],
+    thesis_changes: thesis ? [{
+      thesis_id: thesis.thesis_id,
+      thesis_type: thesis.type,
+      change_type: random.pick(['restate', 'strengthen', 'qualify']),
+      original_content: thesis.content,
+      new_content: `${thesis.content} Это верно в пределах исторического опыта.`,
+      justification: 'Тезис требует указания границ применимости',
+      related_categories: thesis.related_categories,
+      importance: random.int(2, 5)
+    }] : [],
+    name_change: random.chance(0.3) ? {
+      original_name: concept.name,
+      new_name: `Обновлённый ${concept.name.toLowerCase()}`,
+      justification: 'Название отражает изменившееся содержание',
+      semantic_shift: random.pick(['minor', 'moderate'])
+    } : null,
+    contextual_drivers: [{
+      name: `Новый взгляд на категорию ${redefined.name}`,
+      description: `Развитие знания о категории ${redefined.name}`,
+      driver_type: random.pick(DRIVER_TYPES),
+      relevance: random.int(2, 5),
+      affected_elements: [redefined.category_id]
+    }],
+    innovation_degree: random.int(1, 5),
+    applicability_enhancement: random.int(1, 5),
+    claude_generation_id: null,
+    generation_parameters: {
+      source: 'seed'
+    },
+    created_at: createdAt,
+    updated_at: createdAt,
+    ...overrides
+  };
+}
+
+module.exports = {
+  buildConceptEvolution
+};
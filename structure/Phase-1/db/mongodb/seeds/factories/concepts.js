@@ -0,0 +1,186 @@
+/**
+ * Concept and graph factories
+ * A concept fixture is the graph every other factory refers to: its
+ * concept_id, category_ids and relationship_ids are what theses, dialogues,
+ * descriptions and the rest point at. Graph snapshots and layouts are stored
+ * in MongoDB; the fixture itself mirrors what lives in PostgreSQL and Neo4j.
+ */
+
+const { Category, Relationship, Graph } = require('../../../../shared/models/graph');
+const { graphChecksum } = require('../../../../shared/lib/graph/history');
+const { GRAPH_PUBLISHED } = require('../../../../shared/constants/statuses');
+const { RELATIONSHIP_TYPES, RELATIONSHIP_DIRECTIONS } = require('../../../../shared/constants/philosophyConstants');
+const { CONCEPT_TEMPLATES, RELATIONSHIP_TEMPLATES, fillTemplate } = require('./vocabulary');
+
+/**
+ * Concept fixture
+ * @typedef {Object} ConceptFixture
+ * @property {string} concept_id - Concept ID
+ * @property {string} name - Concept name
+ * @property {string} time_period - Time period the concept belongs to
+ * @property {Array<string>} traditions - Traditions
+ * @property {Array<string>} philosophers - Philosophers
+ * @property {string} question - Philosophical question the concept answers
+ * @property {Graph} graph - Graph of the concept
+ * @property {Date} created_at - Creation date
+ */
+
+/**
+ * Build the relationships of a concept graph
+ * Every category is linked to an earlier one, so the graph is connected,
+ * and a few more links are added between unrelated categories.
+ * @param {Object} random - Seeded random generator
+ * @param {string} conceptId - Concept ID
+ * @param {Array<Category>} categories - Categories
+ * @param {Object} template - Concept template
+ * @param {Date} createdAt - Creation date
+ * @returns {Array<Relationship>} Relationships
+ */
+function buildRelationships(random, conceptId, categories, template, createdAt) {
+  const types = Object.values(RELATIONSHIP_TYPES);
+  const pairs = [];
+  const linked = new Set();
+  
+  const link = (source, target) => {
+    linked.add(`${source.category_id}:${target.category_id}`);
+    linked.add(`${target.category_id}:${source.category_id}`);
+    pairs.push([source, target]);
+  };
+  
+  for (let i = 1; i < categories.length; i++) {
+    link(categories[random.int(0, i - 1)], categories[i]);
+  }
+  
+  // A few attempts per extra link, as a small graph may have no unlinked pair left
+  const extra = random.int(1, Math.max(1, Math.floor(categories.length / 2)));
+  let added = 0;
+  for (let attempt = 0; attempt < extra * 4 && added < extra && categories.length > 1; attempt++) {
+    const [source, target] = random.sample(categories, 2);
+    if (!linked.has(`${source.category_id}:${target.category_id}`)) {
+      link(source, target);
+      added++;
+    }
+  }
+  
+  return pairs.map(([source, target]) => {
+    const type = random.pick(types);
+    
+    return new Relationship({
+      relationship_id: random.uuid(),
+      concept_id: conceptId,
+      source_id: source.category_id,
+      target_id: target.category_id,
+      type,
+      direction: type === RELATIONSHIP_TYPES.DIALECTICAL || type === RELATIONSHIP_TYPES.CORRELATIVE
+        ? RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL
+        : RELATIONSHIP_DIRECTIONS.UNIDIRECTIONAL,
+      strength: random.int(2, 5),
+      certainty: random.int(2, 5),
+      description: fillTemplate(RELATIONSHIP_TEMPLATES[type], { source: source.name, target: target.name }),
+      traditions: random.sample(template.traditions, 1),
+      philosophers: random.sample(template.philosophers, 2),
+      created_at: createdAt,
+      updated_at: createdAt
+    });
+  });
+}
+
+/**
+ * Build a concept fixture with its graph
+ * @param {Object} random - Seeded random generator
+ * @param {Object} [template] - Concept template (picked from the vocabulary by default)
+ * @param {Object} [overrides={}] - Fields to set on the fixture (e.g. a concept_id from PostgreSQL)
+ * @returns {ConceptFixture} Concept fixture
+ */
+function buildConcept(random, template = random.pick(CONCEPT_TEMPLATES), overrides = {}) {
+  const conceptId = overrides.concept_id || random.uuid();
+  const createdAt = overrides.created_at || random.timestamp();
+  
+  const categories = template.categories.map(category => new Category({
+    category_id: random.uuid(),
+    concept_id: conceptId,
+    name: category.name,
+    definition: category.definition,
+    centrality: random.int(2, 5),
+    certainty: random.int(2, 5),
+    historical_significance: random.int(2, 5),
+    traditions: random.sample(template.traditions, 2),
+    philosophers: random.sample(template.philosophers, 2),
+    created_at: createdAt,
+    updated_at: createdAt
+  }));
+  
+  const graph = new Graph({
+    concept_id: conceptId,
+    status: GRAPH_PUBLISHED,
+    categories,
+    relationships: buildRelationships(random, conceptId, categories, template, createdAt),
+    created_at: createdAt,
+    updated_at: createdAt
+  });
+  
+  return {
+    concept_id: conceptId,
+    name: template.name,
+    time_period: template.time_period,
+    traditions: template.traditions,
+    philosophers: template.philosophers,
+    question: template.question,
+    graph,
+    created_at: createdAt,
+    ...overrides
+  };
+}
+
+/**
+ * Build the first snapshot of a concept graph (graphSnapshots)
+ * @param {Object} random - Seeded random generator
+ * @param {ConceptFixture} concept - Concept
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Snapshot document
+ */
+function buildGraphSnapshot(random, concept, overrides = {}) {
+  return {
+    ...concept.graph.toSnapshot(),
+    snapshot_id: random.uuid(),
+    version: 1,
+    checksum: graphChecksum(concept.graph),
+    author_id: null,
+    message: 'Seed data',
+    parent_version: null,
+    reverted_from_version: null,
+    tags: ['seed'],
+    created_at: concept.created_at,
+    ...overrides
+  };
+}
+
+/**
+ * Build a user's pinned layout of a concept graph (graphLayouts)
+ * @param {Object} random - Seeded random generator
+ * @param {ConceptFixture} concept - Concept
+ * @param {string} userId - User ID
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Layout document
+ */
+function buildGraphLayout(random, concept, userId, overrides = {}) {
+  const categories = concept.graph.categories;
+  
+  return {
+    concept_id: concept.concept_id,
+    user_id: userId,
+    pinned: random.sample(categories, random.int(1, categories.length)).map(category => ({
+      category_id: category.category_id,
+      x: random.int(-400, 400),
+      y: random.int(-300, 300)
+    })),
+    updated_at: random.after(concept.created_at),
+    ...overrides
+  };
+}
+
+module.exports = {
+  buildConcept,
+  buildGraphSnapshot,
+  buildGraphLayout
+};
@@ -0,0 +1,107 @@
+/**
+ * Category and relationship description factories
+ * Each category and relationship of a concept graph has at most one
+ * description, keyed by its category_id or relationship_id.
+ */
+
+const { PHILOSOPHERS } = require('./vocabulary');
+
+// Kinds of related concepts in category descriptions
+const RELATED_CONCEPT_TYPES = ['similar', 'opposite', 'broader', 'narrower', 'contextual', 'derivative'];
+
+/**
+ * Round a score to two decimals
+ * @param {number} value - Score
+ * @returns {number} Rounded score
+ */
+function score(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build the description of a category (categoryDescriptions)
+ * @param {Object} random - Seeded random generator
+ * @param {Category} category - Category
+ * @param {ConceptFixture} concept - Concept of the category
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Category description document
+ */
+function buildCategoryDescription(random, category, concept, overrides = {}) {
+  const others = concept.graph.categories.filter(c => c.category_id !== category.category_id);
+  const analogues = random.sample(Object.keys(PHILOSOPHERS), 2);
+  const createdAt = random.after(concept.created_at);
+  
+  return {
+    description_id: random.uuid(),
+    category_id: category.category_id,
+    detailed_description: `${category.definition}. В концепции «${concept.name}» категория ${category.name} ` +
+      `связывает ${others.slice(0, 2).map(c => c.name).join(' и ') || 'остальные категории'}.`,
+    alternative_interpretations: [
+      `${category.name} как исходный принцип`,
+      `${category.name} как производный момент целого`
+    ],
+    historical_analogues: analogues.map(philosopher => ({
+      name: category.name,
+      description: `Понимание категории ${category.name} у ${philosopher}`,
+      philosopher,
+      tradition: PHILOSOPHERS[philosopher].tradition,
+      time_period: PHILOSOPHERS[philosopher].time_period,
+      similarity_score: score(0.3 + random.next() * 0.6)
+    })),
+    related_concepts: random.sample(others, 2).map(other => ({
+      name: other.name,
+      description: other.definition,
+      relationship_type: random.pick(RELATED_CONCEPT_TYPES),
+      relatedness_score: score(0.3 + random.next() * 0.6)
+    })),
+    claude_generation_id: null,
+    created_at: createdAt,
+    last_modified: createdAt,
+    ...overrides
+  };
+}
+
+/**
+ * Build the description of a relationship (relationshipDescriptions)
+ * @param {Object} random - Seeded random generator
+ * @param {Relationship} relationship - Relationship
+ * @param {ConceptFixture} concept - Concept of the relationship
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Relationship description document
+ */
+function buildRelationshipDescription(random, relationship, concept, overrides = {}) {
+  const source = concept.graph.categories.find(c => c.category_id === relationship.source_id);
+  const target = concept.graph.categories.find(c => c.category_id === relationship.target_id);
+  const createdAt = random.after(concept.created_at);
+  
+  return {
+    description_id: random.uuid(),
+    relationship_id: relationship.relationship_id,
+    philosophical_foundation: `${relationship.description}. Эта связь выражает, как ${source.name} ` +
+      `определяет ${target.name} в концепции «${concept.name}».`,
+    counterarguments: [
+      `${target.name} может быть понята независимо от категории ${source.name}`
+    ],
+    analogues: [{
+      name: `${source.name} — ${target.name}`,
+      description: `Сходная связь в традиции ${random.pick(concept.traditions)}`,
+      domain: 'philosophy',
+      tradition: random.pick(concept.traditions),
+      similarity_score: score(0.3 + random.next() * 0.6)
+    }],
+    source_category_id: relationship.source_id,
+    target_category_id: relationship.target_id,
+    relationship_type: relationship.type,
+    relevant_philosophers: relationship.philosophers,
+    relevant_traditions: relationship.traditions,
+    claude_generation_id: null,
+    created_at: createdAt,
+    last_modified: createdAt,
+    ...overrides
+  };
+}
+
+module.exports = {
+  buildCategoryDescription,
+  buildRelationshipDescription
+};
@@ -0,0 +1,101 @@
+/**
+ * Dialogue factory
+ * Dialogues take place between two or more concepts; messages, discussion
+ * points and arguments quote the theses of the participating concepts.
+ */
+
+// Argument types in the order a dialogue goes through them
+const ARGUMENT_FLOW = ['premise', 'objection', 'rebuttal', 'clarification', 'conclusion'];
+
+// Messages per participant
+const MESSAGES_PER_CONCEPT = 2;
+
+/**
+ * Build a dialogue between concepts (dialogues)
+ * @param {Object} random - Seeded random generator
+ * @param {Array<ConceptFixture>} concepts - Participating concepts (at least two)
+ * @param {Object<string, Array<Object>>} thesesByConcept - Thesis documents by concept ID
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Dialogue document
+ * @throws {Error} If fewer than two concepts are given
+ */
+function buildDialogue(random, concepts, thesesByConcept, overrides = {}) {
+  if (concepts.length < 2) {
+    throw new Error('At least two concepts are required for a dialogue');
+  }
+  
+  const [first, second] = concepts;
+  const thesesOf = concept => thesesByConcept[concept.concept_id] || [];
+  const createdAt = random.after(concepts.reduce(
+    (latest, concept) => (concept.created_at > latest ? concept.created_at : latest),
+    first.created_at
+  ), 60);
+  
+  const messages = [];
+  for (let round = 0; round < MESSAGES_PER_CONCEPT; round++) {
+    concepts.forEach(concept => {
+      const thesis = thesesOf(concept).length > 0 ? random.pick(thesesOf(concept)) : null;
+      
+      messages.push({
+        message_id: random.uuid(),
+        concept_id: concept.concept_id,
+        speaker: concept.name,
+        content: thesis ? thesis.content : `Ответ концепции «${concept.name}»: ${concept.question}`,
+        references: thesis ? [thesis.thesis_id] : [],
+        sequence: messages.length + 1
+      });
+    });
+  }
+  
+  const [categoryOne] = random.sample(first.graph.categories, 1);
+  const [categoryTwo] = random.sample(second.graph.categories, 1);
+  
+  const discussionPoints = [{
+    title: `${categoryOne.name} и ${categoryTwo.name}`,
+    description: `Как соотносятся ${categoryOne.name} и ${categoryTwo.name}`,
+    position_one: categoryOne.definition,
+    position_one_concept_id: first.concept_id,
+    position_two: categoryTwo.definition,
+    position_two_concept_id: second.concept_id,
+    resolution: random.chance(0.5) ? `${categoryOne.name} и ${categoryTwo.name} описывают разные стороны одного опыта` : null,
+    importance: random.int(2, 5)
+  }];
+  
+  const args = ARGUMENT_FLOW.map((argumentType, index) => {
+    const concept = concepts[index % concepts.length];
+    const related = random.sample(thesesOf(concept), 1);
+    
+    return {
+      title: `${concept.name}: ${argumentType}`,
+      content: related.length > 0 ? related[0].content : concept.question,
+      concept_id: concept.concept_id,
+      argument_type: argumentType,
+      strength: random.int(1, 5),
+      related_theses: related.map(thesis => thesis.thesis_id),
+      counterarguments: []
+    };
+  });
+  
+  return {
+    dialogue_id: random.uuid(),
+    philosophical_question: first.question,
+    dialogue_content: messages.map(message => `${message.speaker}: ${message.content}`).join('\n'),
+    messages,
+    discussion_points: discussionPoints,
+    arguments: args,
+    concept_ids: concepts.map(concept => concept.concept_id),
+    convergences: [`Обе концепции признают значение категории ${categoryOne.name}`],
+    divergences: [`Концепции расходятся в понимании категории ${categoryTwo.name}`],
+    claude_generation_id: null,
+    generation_parameters: {
+      source: 'seed'
+    },
+    created_at: createdAt,
+    updated_at: createdAt,
+    ...overrides
+  };
+}
+
+module.exports = {
+  buildDialogue
+};
@@ -0,0 +1,110 @@
+/**
+ * Historical context factory
+ * Influences, contemporaries and the timeline come from the lifetimes of the
+ * concept's philosophers, so dates stay consistent with each other.
+ */
+
+const { PHILOSOPHERS } = require('./vocabulary');
+
+// Relationships of contemporaries to the concept
+const CONTEMPORARY_RELATIONSHIPS = ['aligned', 'opposed', 'complementary', 'developed', 'criticized', 'extended'];
+
+/**
+ * Build the historical context of a concept (historicalContexts)
+ * @param {Object} random - Seeded random generator
+ * @param {ConceptFixture} concept - Concept
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Historical context document
+ */
+function buildHistoricalContext(random, concept, overrides = {}) {
+  const names = concept.philosophers.filter(name => PHILOSOPHERS[name]);
+  const earliest = Math.min(...names.map(name => PHILOSOPHERS[name].born));
+  const latest = Math.max(...names.map(name => PHILOSOPHERS[name].died));
+  const others = Object.keys(PHILOSOPHERS).filter(name => !names.includes(name));
+  const predecessors = others.filter(name => PHILOSOPHERS[name].died <= earliest + 30);
+  const successors = others.filter(name => PHILOSOPHERS[name].born >= latest - 30);
+  const keyConcepts = concept.graph.categories.map(category => category.name);
+  
+  const timeline = names.flatMap(name => [
+    {
+      year: PHILOSOPHERS[name].born,
+      title: `Рождение: ${name}`,
+      description: `Родился ${name}`,
+      event_type: 'birth',
+      related_philosophers: [name],
+      significance: 2
+    },
+    {
+      year: PHILOSOPHERS[name].born + random.int(30, Math.max(30, PHILOSOPHERS[name].died - PHILOSOPHERS[name].born - 5)),
+      title: `Главный труд: ${name}`,
+      description: `${name} излагает ${random.pick(keyConcepts)} как ключевую категорию`,
+      event_type: 'publication',
+      related_philosophers: [name],
+      significance: random.int(3, 5)
+    },
+    {
+      year: PHILOSOPHERS[name].died,
+      title: `Смерть: ${name}`,
+      description: `Умер ${name}`,
+      event_type: 'death',
+      related_philosophers: [name],
+      significance: 2
+    }
+  ]).sort((a, b) => a.year - b.year);
+  
+  const createdAt = random.after(concept.created_at, 60);
+  
+  return {
+    context_id: random.uuid(),
+    concept_id: concept.concept_id,
+    time_period: concept.time_period,
+    historical_analysis: `Концепция «${concept.name}» складывается между ${earliest} и ${latest} годами ` +
+      `в традициях ${concept.traditions.join(', ')}. ${concept.question}`,
+    influences: random.sample(predecessors, 2).map(name => ({
+      name,
+      description: `${name} подготовил понятия, на которые опирается концепция «${concept.name}»`,
+      influence_type: 'philosopher',
+      time_period: PHILOSOPHERS[name].time_period,
+      influence_strength: random.int(2, 5),
+      key_concepts: random.sample(keyConcepts, 2)
+    })),
+    contemporaries: names.map(name => ({
+      name,
+      description: `${name} и концепция «${concept.name}»`,
+      relationship: random.pick(CONTEMPORARY_RELATIONSHIPS),
+      philosopher: name,
+      tradition: PHILOSOPHERS[name].tradition,
+      comparison_points: random.sample(keyConcepts, 2)
+    })),
+    subsequent_influence: successors.length > 0
+      ? random.sample(successors, 2).map(name => ({
+        name,
+        description: `${name} развивает идеи концепции «${concept.name}»`,
+        influence_type: 'philosopher',
+        time_period: PHILOSOPHERS[name].time_period,
+        influence_strength: random.int(2, 5),
+        key_developments: random.sample(keyConcepts, 1)
+      }))
+      : [{
+        name: 'Современная философия',
+        description: `Концепция «${concept.name}» остаётся предметом исследований`,
+        influence_type: 'field',
+        time_period: 'contemporary',
+        influence_strength: random.int(2, 5),
+        key_developments: random.sample(keyConcepts, 1)
+      }],
+    timeline,
+    historical_significance: random.int(3, 5),
+    claude_generation_id: null,
+    generation_parameters: {
+      source: 'seed'
+    },
+    created_at: createdAt,
+    updated_at: createdAt,
+    ...overrides
+  };
+}
+
+module.exports = {
+  buildHistoricalContext
+};
@@ -0,0 +1,171 @@
+/**
+ * Seed data factories
+ * Builds linked datasets for every document collection from a seed: the
+ * same seed and options always produce the same documents, and every
+ * concept_id, category_id, relationship_id and thesis_id a document refers to
+ * exists in the dataset. Graph command logs are per-user editing history and
+ * are not generated.
+ */
+
+const { createSeedRandom } = require('./random');
+const { CONCEPT_TEMPLATES } = require('./vocabulary');
+const { buildConcept, buildGraphSnapshot, buildGraphLayout } = require('./concepts');
+const { ELABORATIONS_COLLECTION, buildThesis, buildThesisElaboration } = require('./theses');
+const { buildCategoryDescription, buildRelationshipDescription } = require('./descriptions');
+const { buildDialogue } = require('./dialogues');
+const { buildHistoricalContext } = require('./historicalContexts');
+const { buildPracticalApplication } = require('./practicalApplications');
+const { buildConceptEvolution } = require('./conceptEvolutions');
+const { buildConceptAnalysis } = require('./conceptAnalyses');
+
+// Collections a dataset has documents for
+const COLLECTIONS = {
+  THESES: 'theses',
+  THESIS_ELABORATIONS: ELABORATIONS_COLLECTION,
+  DIALOGUES: 'dialogues',
+  HISTORICAL_CONTEXTS: 'historicalContexts',
+  PRACTICAL_APPLICATIONS: 'practicalApplications',
+  CONCEPT_EVOLUTIONS: 'conceptEvolutions',
+  CATEGORY_DESCRIPTIONS: 'categoryDescriptions',
+  RELATIONSHIP_DESCRIPTIONS: 'relationshipDescriptions',
+  CONCEPT_ANALYSES: 'conceptAnalyses',
+  GRAPH_SNAPSHOTS: 'graphSnapshots',
+  GRAPH_LAYOUTS: 'graphLayouts'
+};
+
+// Default dataset options
+const DEFAULT_OPTIONS = {
+  seed: 'philosophy',
+  concepts: 3,
+  thesesPerConcept: 4,
+  elaborationsPerThesis: 1,
+  dialogues: 2,
+  analysesPerConcept: 1,
+  users: 2,
+  conceptOverrides: []
+};
+
+/**
+ * Linked dataset
+ * @typedef {Object} Dataset
+ * @property {string|number} seed - Seed the dataset was built from
+ * @property {Array<ConceptFixture>} concepts - Concepts the documents refer to
+ * @property {Array<string>} userIds - Users owning the graph layouts
+ * @property {Object<string, Array<Object>>} collections - Documents by collection name
+ */
+
+/**
+ * Build a linked dataset
+ * @param {Object} [options={}] - Options
+ * @param {string|number} [options.seed='philosophy'] - Seed
+ * @param {number} [options.concepts=3] - Number of concepts
+ * @param {number} [options.thesesPerConcept=4] - Theses per concept (plus one synthetic thesis)
+ * @param {number} [options.elaborationsPerThesis=1] - Elaborations per thesis
+ * @param {number} [options.dialogues=2] - Number of dialogues (needs at least two concepts)
+ * @param {number} [options.analysesPerConcept=1] - Analyses per concept
+ * @param {number} [options.users=2] - Users with a pinned layout of every concept
+ * @param {Array<Object>} [options.conceptOverrides=[]] - Fields to set on each concept fixture, by position
+ * @param {Date} [options.baseDate] - Earliest generated timestamp
+ * @returns {Dataset} Dataset
+ */
+function buildDataset(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const random = createSeedRandom(config.seed, config.baseDate ? { baseDate: config.baseDate } : {});
+  
+  const collections = Object.values(COLLECTIONS).reduce((result, name) => {
+    result[name] = [];
+    return result;
+  }, {});
+  
+  // Concepts cycle through the templates once the templates run out
+  const templates = random.sample(CONCEPT_TEMPLATES, CONCEPT_TEMPLATES.length);
+  const concepts = Array.from({ length: config.concepts }, (value, index) =>
+    buildConcept(random, templates[index % templates.length], config.conceptOverrides[index] || {})
+  );
+  const userIds = Array.from({ length: config.users }, () => random.uuid());
+  const thesesByConcept = {};
+  
+  for (const concept of concepts) {
+    const theses = Array.from({ length: config.thesesPerConcept }, () => buildThesis(random, concept));
+    if (theses.length >= 2) {
+      theses.push(buildThesis(random, concept, { parents: random.sample(theses, 2) }));
+    }
+    thesesByConcept[concept.concept_id] = theses;
+    
+    collections[COLLECTIONS.THESES].push(...theses);
+    for (const thesis of theses) {
+      for (let i = 0; i < config.elaborationsPerThesis; i++) {
+        collections[COLLECTIONS.THESIS_ELABORATIONS].push(buildThesisElaboration(random, thesis, concept));
+      }
+    }
+    
+    collections[COLLECTIONS.CATEGORY_DESCRIPTIONS].push(
+      ...concept.graph.categories.map(category => buildCategoryDescription(random, category, concept))
+    );
+    collections[COLLECTIONS.RELATIONSHIP_DESCRIPTIONS].push(
+      ...concept.graph.relationships.map(relationship => buildRelationshipDescription(random, relationship, concept))
+    );
+    collections[COLLECTIONS.HISTORICAL_CONTEXTS].push(buildHistoricalContext(random, concept));
+    collections[COLLECTIONS.PRACTICAL_APPLICATIONS].push(buildPracticalApplication(random, concept, theses));
+    collections[COLLECTIONS.CONCEPT_EVOLUTIONS].push(buildConceptEvolution(random, concept, theses));
+    for (let i = 0; i < config.analysesPerConcept; i++) {
+      collections[COLLECTIONS.CONCEPT_ANALYSES].push(buildConceptAnalysis(random, concept));
+    }
+    collections[COLLECTIONS.GRAPH_SNAPSHOTS].push(buildGraphSnapshot(random, concept));
+    collections[COLLECTIONS.GRAPH_LAYOUTS].push(...userIds.map(userId => buildGraphLayout(random, concept, userId)));
+  }
+  
+  if (concepts.length >= 2) {
+    for (let i = 0; i < config.dialogues; i++) {
+      collections[COLLECTIONS.DIALOGUES].push(buildDialogue(random, random.sample(concepts, 2), thesesByConcept));
+    }
+  }
+  
+  return {
+    seed: config.seed,
+    concepts,
+    userIds,
+    collections
+  };
+}
+
+/**
+ * Insert a dataset into MongoDB
+ * @param {Db} db - MongoDB database
+ * @param {Dataset} dataset - Dataset
+ * @returns {Promise<Object<string, number>>} Inserted document counts by collection name
+ */
+async function insertDataset(db, dataset) {
+  const counts = {};
+  
+  for (const [name, documents] of Object.entries(dataset.collections)) {
+    if (documents.length === 0) {
+      continue;
+    }
+    
+    const result = await db.collection(name).insertMany(documents);
+    counts[name] = result.insertedCount;
+  }
+  
+  return counts;
+}
+
+module.exports = {
+  COLLECTIONS,
+  DEFAULT_OPTIONS,
+  buildDataset,
+  insertDataset,
+  createSeedRandom,
+  buildConcept,
+  buildGraphSnapshot,
+  buildGraphLayout,
+  buildThesis,
+  buildThesisElaboration,
+  buildCategoryDescription,
+  buildRelationshipDescription,
+  buildDialogue,
+  buildHistoricalContext,
+  buildPracticalApplication,
+  buildConceptEvolution,
+  buildConceptAnalysis
+};
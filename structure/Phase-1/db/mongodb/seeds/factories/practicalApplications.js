@@ -0,0 +1,83 @@
+/**
+ * Practical application factory
+ * Relevance mappings and case studies point at the IDs of the concept's
+ * categories, relationships and theses.
+ */
+
+const { APPLICATION_DOMAINS } = require('../../../../shared/constants/philosophyConstants');
+
+/**
+ * Build the practical applications of a concept (practicalApplications)
+ * @param {Object} random - Seeded random generator
+ * @param {ConceptFixture} concept - Concept
+ * @param {Array<Object>} [theses=[]] - Thesis documents of the concept
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Practical application document
+ */
+function buildPracticalApplication(random, concept, theses = [], overrides = {}) {
+  const domains = random.sample(Object.values(APPLICATION_DOMAINS), random.int(1, 3));
+  const categories = random.sample(concept.graph.categories, 2);
+  const [relationship] = random.sample(concept.graph.relationships, 1);
+  const [thesis] = random.sample(theses, 1);
+  
+  const elements = [
+    ...categories.map(category => ({ id: category.category_id, type: 'category', name: category.name })),
+    ...(relationship ? [{ id: relationship.relationship_id, type: 'relationship', name: relationship.description }] : []),
+    ...(thesis ? [{ id: thesis.thesis_id, type: 'thesis', name: thesis.content }] : [])
+  ];
+  const createdAt = random.after(concept.created_at, 60);
+  
+  return {
+    application_id: random.uuid(),
+    concept_id: concept.concept_id,
+    domains: domains.map(domain => ({
+      domain,
+      description: `Применение концепции «${concept.name}» в области ${domain}`,
+      relevance: random.int(2, 5),
+      key_examples: categories.map(category => `${category.name} в области ${domain}`),
+      potential_impact: random.int(2, 5),
+      challenges: [`Перевод категории ${categories[0].name} на язык практики`]
+    })),
+    application_analysis: `Концепция «${concept.name}» применима там, где ${categories[0].definition.toLowerCase()} ` +
+      'становится предметом решения.',
+    implementation_methods: domains.map(domain => ({
+      title: `Метод для области ${domain}`,
+      description: `Опора на категорию ${random.pick(categories).name}`,
+      domain,
+      steps: ['Анализ ситуации', 'Выбор категорий', 'Проверка результата'],
+      required_resources: ['Рабочая группа'],
+      expected_outcomes: [`Осмысление категории ${categories[0].name}`],
+      feasibility: random.int(2, 5)
+    })),
+    relevance_mappings: elements.map(element => ({
+      concept_element: element.id,
+      element_type: element.type,
+      application_domain: random.pick(domains),
+      relevance_explanation: `${element.name} задаёт рамку применения`,
+      transformation_required: random.chance(0.5),
+      operationalization_notes: ''
+    })),
+    case_studies: [{
+      title: `Практика: ${concept.name}`,
+      domain: domains[0],
+      description: `Применение концепции «${concept.name}» в области ${domains[0]}`,
+      approach: `Анализ через категории ${categories.map(category => category.name).join(' и ')}`,
+      outcomes: 'Участники переосмыслили исходную задачу',
+      lessons_learned: [`${categories[0].name} требует конкретизации`],
+      related_concept_elements: elements.map(element => element.id)
+    }],
+    interdisciplinary_connections: domains.slice(1),
+    overall_applicability: random.int(2, 5),
+    claude_generation_id: null,
+    generation_parameters: {
+      source: 'seed'
+    },
+    created_at: createdAt,
+    updated_at: createdAt,
+    ...overrides
+  };
+}
+
+module.exports = {
+  buildPracticalApplication
+};
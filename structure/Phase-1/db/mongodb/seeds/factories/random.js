@@ -0,0 +1,121 @@
+/**
+ * Seeded randomness for seed data factories
+ * Every choice a factory makes goes through one of these generators, so the
+ * same seed always produces the same documents, ids and timestamps.
+ */
+
+const { createRandom } = require('../../../../shared/lib/graph/layout');
+
+// Day in milliseconds
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default generator options
+const DEFAULT_OPTIONS = {
+  baseDate: new Date('2024-01-01T00:00:00Z'),
+  spanDays: 365
+};
+
+/**
+ * Create a seeded random generator
+ * @param {string|number} seed - Seed
+ * @param {Object} [options={}] - Options
+ * @param {Date} [options.baseDate=2024-01-01] - Earliest generated timestamp
+ * @param {number} [options.spanDays=365] - Days after the base date timestamps fall in
+ * @returns {Object} Generator
+ */
+function createSeedRandom(seed, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const next = createRandom(seed);
+  
+  const random = {
+    /**
+     * Get a number in [0, 1)
+     * @returns {number} Number
+     */
+    next,
+    
+    /**
+     * Get an integer in [min, max]
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum
+     * @returns {number} Integer
+     */
+    int(min, max) {
+      return min + Math.floor(next() * (max - min + 1));
+    },
+    
+    /**
+     * Get true with the given probability
+     * @param {number} probability - Probability in [0, 1]
+     * @returns {boolean} Outcome
+     */
+    chance(probability) {
+      return next() < probability;
+    },
+    
+    /**
+     * Pick an element
+     * @param {Array} items - Items
+     * @returns {*} Item
+     */
+    pick(items) {
+      return items[Math.floor(next() * items.length)];
+    },
+    
+    /**
+     * Pick distinct elements, in their original order
+     * @param {Array} items - Items
+     * @param {number} count - Number of elements (capped at the number of items)
+     * @returns {Array} Items
+     */
+    sample(items, count) {
+      const indexes = items.map((item, index) => index);
+      for (let i = indexes.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+      }
+      return indexes
+        .slice(0, Math.min(count, items.length))
+        .sort((a, b) => a - b)
+        .map(index => items[index]);
+    },
+    
+    /**
+     * Create a version 4 UUID
+     * @returns {string} UUID
+     */
+    uuid() {
+      const bytes = Array.from({ length: 16 }, () => Math.floor(next() * 256));
+      bytes[6] = (bytes[6] & 0x0f) | 0x40;
+      bytes[8] = (bytes[8] & 0x3f) | 0x80;
+      
+      const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    },
+    
+    /**
+     * Get a timestamp within the configured span
+     * @returns {Date} Timestamp
+     */
+    timestamp() {
+      return new Date(config.baseDate.getTime() + Math.floor(next() * config.spanDays * DAY_MS));
+    },
+    
+    /**
+     * Get a timestamp up to some days after another
+     * @param {Date} date - Earlier timestamp
+     * @param {number} [maxDays=30] - Maximum days later
+     * @returns {Date} Timestamp
+     */
+    after(date, maxDays = 30) {
+      return new Date(date.getTime() + Math.floor(next() * maxDays * DAY_MS));
+    }
+  };
+  
+  return random;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createSeedRandom
+};
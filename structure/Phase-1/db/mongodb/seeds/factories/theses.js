@@ -0,0 +1,95 @@
+/**
+ * Thesis factories
+ * Theses refer to the categories of their concept; elaborations refer to
+ * their thesis.
+ */
+
+const { THESIS_TYPES, THESIS_STYLES } = require('../../../../shared/constants/philosophyConstants');
+const { THESIS_TEMPLATES, ELABORATION_TEMPLATES, fillTemplate } = require('./vocabulary');
+
+// Collection of the ThesisElaboration model (Mongoose's default name for it)
+const ELABORATIONS_COLLECTION = 'thesiselaborations';
+
+// Longest thesis excerpt quoted in an elaboration
+const EXCERPT_LENGTH = 60;
+
+/**
+ * Build a thesis (theses)
+ * @param {Object} random - Seeded random generator
+ * @param {ConceptFixture} concept - Concept
+ * @param {Object} [overrides={}] - Fields to override
+ * @param {Array<Object>} [overrides.parents] - Theses a synthetic thesis is derived from
+ * @returns {Object} Thesis document
+ */
+function buildThesis(random, concept, overrides = {}) {
+  const { parents = [], ...fields } = overrides;
+  const type = fields.type || (parents.length > 0 ? THESIS_TYPES.SYNTHETIC : random.pick(Object.values(THESIS_TYPES)));
+  const [category, other] = random.sample(concept.graph.categories, 2);
+  const createdAt = random.after(concept.created_at, 60);
+  
+  return {
+    thesis_id: random.uuid(),
+    concept_id: concept.concept_id,
+    type,
+    content: fillTemplate(random.pick(THESIS_TEMPLATES[type]), {
+      concept: concept.name,
+      category: category.name,
+      other: (other || category).name
+    }),
+    style: random.pick(Object.values(THESIS_STYLES)),
+    status: random.pick(['generated', 'edited', 'approved', 'approved']),
+    related_categories: [category, other].filter(Boolean).map(c => c.category_id),
+    parent_theses: parents.map(parent => parent.thesis_id),
+    generation_parameters: {
+      source: 'seed',
+      type
+    },
+    claude_generation_id: null,
+    metadata: {
+      keywords: [category.name, (other || category).name],
+      references: random.sample(concept.philosophers, 2)
+    },
+    created_at: createdAt,
+    updated_at: createdAt,
+    ...fields
+  };
+}
+
+/**
+ * Build an elaboration of a thesis (thesiselaborations)
+ * @param {Object} random - Seeded random generator
+ * @param {Object} thesis - Thesis document
+ * @param {ConceptFixture} concept - Concept of the thesis
+ * @param {Object} [overrides={}] - Fields to override
+ * @returns {Object} Elaboration document
+ */
+function buildThesisElaboration(random, thesis, concept, overrides = {}) {
+  const type = overrides.type || random.pick(Object.keys(ELABORATION_TEMPLATES));
+  const category = concept.graph.categories.find(c => c.category_id === thesis.related_categories[0]);
+  const excerpt = thesis.content.length > EXCERPT_LENGTH
+    ? `${thesis.content.slice(0, EXCERPT_LENGTH).trim()}…`
+    : thesis.content;
+  const createdAt = random.after(thesis.created_at);
+  
+  return {
+    elaboration_id: random.uuid(),
+    thesis_id: thesis.thesis_id,
+    content: fillTemplate(ELABORATION_TEMPLATES[type], {
+      thesis: excerpt,
+      category: category ? category.name : concept.name,
+      philosopher: random.pick(concept.philosophers)
+    }),
+    type,
+    claude_generation_id: null,
+    metadata: {},
+    created_at: createdAt,
+    updated_at: createdAt,
+    ...overrides
+  };
+}
+
+module.exports = {
+  ELABORATIONS_COLLECTION,
+  buildThesis,
+  buildThesisElaboration
+};
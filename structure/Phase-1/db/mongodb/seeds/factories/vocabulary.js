@@ -0,0 +1,193 @@
+/**
+ * Vocabulary for seed data factories
+ * Concepts with their categories, philosophers with their lifetimes and
+ * sentence templates the factories fill in, so generated documents read
+ * like the hand-written seeds.
+ */
+
+// Concepts generated datasets are built from
+const CONCEPT_TEMPLATES = [
+  {
+    name: 'Диалектический материализм',
+    time_period: 'modern',
+    traditions: ['marxism', 'materialism', 'dialectics'],
+    philosophers: ['Marx', 'Engels', 'Lenin', 'Hegel'],
+    question: 'Определяет ли материальная практика развитие сознания?',
+    categories: [
+      { name: 'Материя', definition: 'Объективная реальность, существующая независимо от человеческого сознания' },
+      { name: 'Сознание', definition: 'Высшая форма отражения объективной реальности' },
+      { name: 'Диалектика', definition: 'Учение о всеобщей связи и развитии' },
+      { name: 'Практика', definition: 'Целенаправленная материальная деятельность людей по преобразованию природы и общества' },
+      { name: 'Противоречие', definition: 'Взаимодействие противоположных, взаимоисключающих сторон и тенденций' },
+      { name: 'Отражение', definition: 'Свойство материи воспроизводить особенности воздействующих на неё объектов' }
+    ]
+  },
+  {
+    name: 'Экзистенциализм',
+    time_period: 'contemporary',
+    traditions: ['existentialism', 'phenomenology'],
+    philosophers: ['Kierkegaard', 'Heidegger', 'Sartre', 'Camus'],
+    question: 'Может ли человек быть свободным, не отвечая за весь мир?',
+    categories: [
+      { name: 'Существование', definition: 'Способ бытия человека, предшествующий всякой сущности' },
+      { name: 'Свобода', definition: 'Неустранимая возможность выбора, которой человек не может избежать' },
+      { name: 'Ответственность', definition: 'Признание себя автором собственного выбора и его последствий' },
+      { name: 'Тревога', definition: 'Переживание свободы перед лицом неопределённого будущего' },
+      { name: 'Подлинность', definition: 'Жизнь в согласии с собственным выбором, а не с безличным «все»' },
+      { name: 'Абсурд', definition: 'Разлад между стремлением человека к смыслу и молчанием мира' }
+    ]
+  },
+  {
+    name: 'Стоицизм',
+    time_period: 'classical',
+    traditions: ['stoicism', 'ancient_greek'],
+    philosophers: ['Zeno of Citium', 'Seneca', 'Epictetus', 'Marcus Aurelius'],
+    question: 'Зависит ли счастье от внешних обстоятельств?',
+    categories: [
+      { name: 'Логос', definition: 'Разумный закон, пронизывающий и упорядочивающий космос' },
+      { name: 'Добродетель', definition: 'Единственное благо, состоящее в жизни согласно разуму' },
+      { name: 'Апатия', definition: 'Свобода от страстей, достигаемая верным суждением' },
+      { name: 'Природа', definition: 'Целое, частью которого является человек и которому следует его жизнь' },
+      { name: 'Судьба', definition: 'Неразрывная цепь причин, по которой происходит всё сущее' },
+      { name: 'Разум', definition: 'Ведущая способность души, различающая зависящее от нас и не зависящее' }
+    ]
+  },
+  {
+    name: 'Феноменология',
+    time_period: 'contemporary',
+    traditions: ['phenomenology', 'continental'],
+    philosophers: ['Husserl', 'Heidegger', 'Merleau-Ponty'],
+    question: 'Можно ли описать мир, не предполагая его существования?',
+    categories: [
+      { name: 'Интенциональность', definition: 'Направленность сознания на предмет' },
+      { name: 'Феномен', definition: 'То, что являет себя сознанию так, как оно является' },
+      { name: 'Эпохе', definition: 'Воздержание от суждений о существовании мира' },
+      { name: 'Жизненный мир', definition: 'Дорефлексивный горизонт повседневного опыта' },
+      { name: 'Телесность', definition: 'Тело как исходная точка восприятия и действия' },
+      { name: 'Интерсубъективность', definition: 'Общий мир, конституируемый многими субъектами' }
+    ]
+  },
+  {
+    name: 'Прагматизм',
+    time_period: 'modern',
+    traditions: ['pragmatism', 'empiricism'],
+    philosophers: ['Peirce', 'James', 'Dewey'],
+    question: 'Истинно ли то, что работает?',
+    categories: [
+      { name: 'Опыт', definition: 'Взаимодействие организма и среды, в котором складывается знание' },
+      { name: 'Истина', definition: 'Свойство идей, проверяемое их практическими следствиями' },
+      { name: 'Действие', definition: 'Поведение, в котором идеи обретают свой смысл' },
+      { name: 'Привычка', definition: 'Устойчивая готовность действовать определённым образом' },
+      { name: 'Исследование', definition: 'Переход от сомнения к обоснованному убеждению' },
+      { name: 'Сообщество', definition: 'Круг исследователей, в согласии которых проверяются убеждения' }
+    ]
+  }
+];
+
+// Philosophers with years (negative before the common era) and time period
+const PHILOSOPHERS = {
+  'Heraclitus': { born: -535, died: -475, time_period: 'ancient', tradition: 'ancient_greek' },
+  'Zeno of Citium': { born: -334, died: -262, time_period: 'classical', tradition: 'stoicism' },
+  'Seneca': { born: -4, died: 65, time_period: 'classical', tradition: 'stoicism' },
+  'Epictetus': { born: 50, died: 135, time_period: 'classical', tradition: 'stoicism' },
+  'Marcus Aurelius': { born: 121, died: 180, time_period: 'classical', tradition: 'stoicism' },
+  'Spinoza': { born: 1632, died: 1677, time_period: 'early_modern', tradition: 'rationalism' },
+  'Kant': { born: 1724, died: 1804, time_period: 'enlightenment', tradition: 'german_idealism' },
+  'Hegel': { born: 1770, died: 1831, time_period: 'modern', tradition: 'german_idealism' },
+  'Kierkegaard': { born: 1813, died: 1855, time_period: 'modern', tradition: 'existentialism' },
+  'Marx': { born: 1818, died: 1883, time_period: 'modern', tradition: 'marxism' },
+  'Engels': { born: 1820, died: 1895, time_period: 'modern', tradition: 'marxism' },
+  'Peirce': { born: 1839, died: 1914, time_period: 'modern', tradition: 'pragmatism' },
+  'James': { born: 1842, died: 1910, time_period: 'modern', tradition: 'pragmatism' },
+  'Nietzsche': { born: 1844, died: 1900, time_period: 'modern', tradition: 'continental' },
+  'Husserl': { born: 1859, died: 1938, time_period: 'contemporary', tradition: 'phenomenology' },
+  'Dewey': { born: 1859, died: 1952, time_period: 'contemporary', tradition: 'pragmatism' },
+  'Lenin': { born: 1870, died: 1924, time_period: 'contemporary', tradition: 'marxism' },
+  'Heidegger': { born: 1889, died: 1976, time_period: 'contemporary', tradition: 'phenomenology' },
+  'Sartre': { born: 1905, died: 1980, time_period: 'contemporary', tradition: 'existentialism' },
+  'Merleau-Ponty': { born: 1908, died: 1961, time_period: 'contemporary', tradition: 'phenomenology' },
+  'Camus': { born: 1913, died: 1960, time_period: 'contemporary', tradition: 'existentialism' }
+};
+
+// Thesis templates by thesis type; {concept}, {category} and {other} are filled in
+const THESIS_TEMPLATES = {
+  ontological: [
+    '{category} составляет основу бытия в концепции «{concept}» и определяет {other}.',
+    'Всё сущее в концепции «{concept}» раскрывается через отношение категорий {category} и {other}.'
+  ],
+  epistemological: [
+    'Познание категории {category} невозможно вне её связи с категорией {other}.',
+    'Знание о категории {category} складывается в движении от непосредственного опыта к понятию {other}.'
+  ],
+  ethical: [
+    'Нравственный выбор в концепции «{concept}» опирается на {category} и требует признания {other}.',
+    'Долг человека состоит в том, чтобы привести {category} в согласие с {other}.'
+  ],
+  aesthetic: [
+    'Прекрасное выражает единство категорий {category} и {other} в чувственной форме.',
+    'Художественный образ делает {category} видимой через {other}.'
+  ],
+  political: [
+    'Общественное устройство должно учитывать {category} как условие {other}.',
+    'Политическая практика в концепции «{concept}» проверяет {category} на соответствие {other}.'
+  ],
+  logical: [
+    'Из определения категории {category} с необходимостью следует {other}.',
+    'Категории {category} и {other} не могут быть мыслимы одна без другой.'
+  ],
+  methodological: [
+    'Метод концепции «{concept}» требует рассматривать {category} в связи с {other}.',
+    'Исследование начинается с категории {category} и восходит к {other}.'
+  ],
+  critical: [
+    'Сведение категории {category} к {other} лишает концепцию «{concept}» её собственного содержания.',
+    'Критика показывает, что {category} без {other} остаётся пустой абстракцией.'
+  ],
+  synthetic: [
+    'Концепция «{concept}» объединяет {category} и {other} в целостное мировоззрение.',
+    'В синтезе категорий {category} и {other} снимается их односторонность.'
+  ]
+};
+
+// Elaboration templates by elaboration type; {thesis} is the thesis excerpt
+const ELABORATION_TEMPLATES = {
+  explanation: 'Тезис «{thesis}» означает, что {category} нельзя понять изолированно.',
+  justification: 'В пользу тезиса «{thesis}» говорит опыт, в котором {category} проявляется непосредственно.',
+  counterargument: 'Против тезиса «{thesis}» можно возразить, что {category} допускает иное истолкование.',
+  implication: 'Из тезиса «{thesis}» следует пересмотр роли категории {category}.',
+  example: 'Примером к тезису «{thesis}» служит повседневное проявление категории {category}.',
+  historical_context: 'Тезис «{thesis}» сложился в споре о категории {category} у {philosopher}.'
+};
+
+// Relationship description templates by relationship type
+const RELATIONSHIP_TEMPLATES = {
+  hierarchical: '{source} включает {target} как свой частный момент',
+  causal: '{source} порождает {target} и определяет его форму',
+  dialectical: '{source} и {target} взаимно предполагают и отрицают друг друга',
+  correlative: '{source} изменяется вместе с {target}',
+  analogical: '{source} устроена подобно {target}',
+  oppositional: '{source} противостоит {target}',
+  metaphorical: '{source} служит образом для {target}',
+  functional: '{source} обеспечивает действие {target}'
+};
+
+/**
+ * Fill the placeholders of a template
+ * @param {string} template - Template with {name} placeholders
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} Text (unknown placeholders are kept)
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] !== undefined ? String(values[name]) : placeholder
+  );
+}
+
+module.exports = {
+  CONCEPT_TEMPLATES,
+  PHILOSOPHERS,
+  THESIS_TEMPLATES,
+  ELABORATION_TEMPLATES,
+  RELATIONSHIP_TEMPLATES,
+  fillTemplate
+};
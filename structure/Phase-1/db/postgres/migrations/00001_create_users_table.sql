@@ -1,9 +1,6 @@
 -- Migration: Create users table
 -- Description: Creates the users table to store user account information
 
--- Begin transaction
-BEGIN;
-
 -- Create enum for user status
 CREATE TYPE user_status AS ENUM (
   'active',
@@ -71,6 +68,3 @@ CREATE TRIGGER update_users_updated_at
 BEFORE UPDATE ON users
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
-
--- Commit transaction
-COMMIT;
@@ -1,9 +1,6 @@
 -- Migration: Create concepts table
 -- Description: Creates the concepts table to store philosophical concept metadata
 
--- Begin transaction
-BEGIN;
-
 -- Create enum for concept status
 CREATE TYPE concept_status AS ENUM (
   'draft',
@@ -61,6 +58,3 @@ CREATE TRIGGER update_concepts_last_modified
 BEFORE UPDATE ON concepts
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
-
--- Commit transaction
-COMMIT;
@@ -1,9 +1,6 @@
 -- Migration: Create philosophers table
 -- Description: Creates the philosophers table to store information about philosophers
 
--- Begin transaction
-BEGIN;
-
 -- Create philosophers table
 CREATE TABLE IF NOT EXISTS philosophers (
   philosopher_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -40,6 +37,3 @@ CREATE TRIGGER update_philosophers_updated_at
 BEFORE UPDATE ON philosophers
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
-
--- Commit transaction
-COMMIT;
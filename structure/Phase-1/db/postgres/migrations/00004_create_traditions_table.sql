@@ -1,9 +1,6 @@
 -- Migration: Create traditions table
 -- Description: Creates the traditions table to store information about philosophical traditions
 
--- Begin transaction
-BEGIN;
-
 -- Create traditions table
 CREATE TABLE IF NOT EXISTS traditions (
   tradition_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -37,6 +34,3 @@ CREATE TRIGGER update_traditions_updated_at
 BEFORE UPDATE ON traditions
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
-
--- Commit transaction
-COMMIT;
@@ -1,9 +1,6 @@
 -- Migration: Create concept_philosophers table
 -- Description: Creates the concept_philosophers junction table to relate concepts and philosophers
 
--- Begin transaction
-BEGIN;
-
 -- Create concept_philosophers table (junction table)
 CREATE TABLE IF NOT EXISTS concept_philosophers (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -38,6 +35,3 @@ CREATE TRIGGER update_concept_philosophers_updated_at
 BEFORE UPDATE ON concept_philosophers
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
-
--- Commit transaction
-COMMIT;
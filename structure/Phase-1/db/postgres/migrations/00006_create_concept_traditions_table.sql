@@ -1,9 +1,6 @@
 -- Migration: Create concept_traditions table
 -- Description: Creates the concept_traditions junction table to relate concepts and traditions
 
--- Begin transaction
-BEGIN;
-
 -- Create concept_traditions table (junction table)
 CREATE TABLE IF NOT EXISTS concept_traditions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -38,6 +35,3 @@ CREATE TRIGGER update_concept_traditions_updated_at
 BEFORE UPDATE ON concept_traditions
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
-
--- Commit transaction
-COMMIT;
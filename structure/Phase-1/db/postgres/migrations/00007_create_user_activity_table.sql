@@ -1,9 +1,6 @@
 -- Migration: Create user_activity table
 -- Description: Creates the user_activity table to track user actions in the system
 
--- Begin transaction
-BEGIN;
-
 -- Create activity_type enum
 CREATE TYPE activity_type AS ENUM (
   'login',
@@ -54,6 +51,3 @@ COMMENT ON COLUMN user_activity.activity_type IS 'Type of activity performed';
 COMMENT ON COLUMN user_activity.target_id IS 'ID of the target resource (concept, thesis, etc.)';
 COMMENT ON COLUMN user_activity.activity_date IS 'Timestamp when the activity occurred';
 COMMENT ON COLUMN user_activity.details IS 'Additional details about the activity';
-
--- Commit transaction
-COMMIT;
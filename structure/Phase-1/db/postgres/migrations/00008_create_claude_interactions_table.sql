@@ -1,9 +1,6 @@
 -- Migration: Create claude_interactions table
 -- Description: Creates the claude_interactions table to store interactions with Claude API
 
--- Begin transaction
-BEGIN;
-
 -- Create query_type enum
 CREATE TYPE query_type AS ENUM (
   'graph_validation',
@@ -55,6 +52,3 @@ COMMENT ON COLUMN claude_interactions.response_content IS 'Content of the respon
 COMMENT ON COLUMN claude_interactions.interaction_date IS 'Timestamp when the interaction occurred';
 COMMENT ON COLUMN claude_interactions.processing_time IS 'Time in seconds for processing the query';
 COMMENT ON COLUMN claude_interactions.metadata IS 'Additional metadata about the interaction';
-
--- Commit transaction
-COMMIT;
@@ -1,9 +1,6 @@
 -- Migration: Create concept_names table
 -- Description: Creates the concept_names table to store name analyses and alternatives
 
--- Begin transaction
-BEGIN;
-
 -- Create concept_names table
 CREATE TABLE IF NOT EXISTS concept_names (
   name_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -31,6 +28,3 @@ COMMENT ON COLUMN concept_names.analysis IS 'Textual analysis of the name';
 COMMENT ON COLUMN concept_names.alternative_names IS 'Array of alternative name suggestions';
 COMMENT ON COLUMN concept_names.analyzed_at IS 'Timestamp when the name was analyzed';
 COMMENT ON COLUMN concept_names.interaction_id IS 'Reference to the Claude interaction that produced the analysis';
-
--- Commit transaction
-COMMIT;
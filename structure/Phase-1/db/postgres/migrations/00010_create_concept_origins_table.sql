@@ -1,9 +1,6 @@
 -- Migration: Create concept_origins table
 -- Description: Creates the concept_origins table to store origins of concepts
 
--- Begin transaction
-BEGIN;
-
 -- Create concept_origins table
 CREATE TABLE IF NOT EXISTS concept_origins (
   origin_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -31,6 +28,3 @@ COMMENT ON COLUMN concept_origins.influence_weights IS 'Array of influence weigh
 COMMENT ON COLUMN concept_origins.analysis IS 'Textual analysis of the concept origins';
 COMMENT ON COLUMN concept_origins.detected_at IS 'Timestamp when the origin was detected';
 COMMENT ON COLUMN concept_origins.interaction_id IS 'Reference to the Claude interaction that produced the analysis';
-
--- Commit transaction
-COMMIT;
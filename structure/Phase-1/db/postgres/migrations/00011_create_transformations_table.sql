@@ -1,9 +1,6 @@
 -- Migration: Create transformations table
 -- Description: Creates the transformations table to track transformations between graphs and theses
 
--- Begin transaction
-BEGIN;
-
 -- Create source_type and target_type enums
 CREATE TYPE source_type AS ENUM (
   'graph',
@@ -47,6 +44,3 @@ COMMENT ON COLUMN transformations.target_type IS 'Type of the target entity';
 COMMENT ON COLUMN transformations.created_at IS 'Timestamp when the transformation was created';
 COMMENT ON COLUMN transformations.interaction_id IS 'Reference to the Claude interaction that produced the transformation';
 COMMENT ON COLUMN transformations.transformation_details IS 'Details about the transformation process';
-
--- Commit transaction
-COMMIT;
@@ -1,9 +1,6 @@
 -- Migration: Create concept_evolutions table
 -- Description: Creates the concept_evolutions table to track concept evolution over time
 
--- Begin transaction
-BEGIN;
-
 -- Create concept_evolutions table
 CREATE TABLE IF NOT EXISTS concept_evolutions (
   evolution_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -31,6 +28,3 @@ COMMENT ON COLUMN concept_evolutions.evolution_context IS 'Contextual explanatio
 COMMENT ON COLUMN concept_evolutions.suggested_changes IS 'Array of suggested changes for evolution';
 COMMENT ON COLUMN concept_evolutions.created_at IS 'Timestamp when the evolution was created';
 COMMENT ON COLUMN concept_evolutions.interaction_id IS 'Reference to the Claude interaction that produced the evolution';
-
--- Commit transaction
-COMMIT;
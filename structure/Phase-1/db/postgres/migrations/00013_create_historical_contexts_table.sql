@@ -1,9 +1,6 @@
 -- Migration: Create historical_contexts table
 -- Description: Creates the historical_contexts table to store historical contextualization of concepts
 
--- Begin transaction
-BEGIN;
-
 -- Create historical_contexts table
 CREATE TABLE IF NOT EXISTS historical_contexts (
   context_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -37,6 +34,3 @@ COMMENT ON COLUMN historical_contexts.contemporaries IS 'Array of contemporary c
 COMMENT ON COLUMN historical_contexts.subsequent_influence IS 'Array of subsequent concepts influenced by this concept';
 COMMENT ON COLUMN historical_contexts.created_at IS 'Timestamp when the historical context was created';
 COMMENT ON COLUMN historical_contexts.interaction_id IS 'Reference to the Claude interaction that produced the analysis';
-
--- Commit transaction
-COMMIT;
@@ -1,9 +1,6 @@
 -- Migration: Create practical_applications table
 -- Description: Creates the practical_applications table to store practical applications of concepts
 
--- Begin transaction
-BEGIN;
-
 -- Create practical_applications table
 CREATE TABLE IF NOT EXISTS practical_applications (
   application_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -34,6 +31,3 @@ COMMENT ON COLUMN practical_applications.implementation_methods IS 'Array of met
 COMMENT ON COLUMN practical_applications.relevance_mappings IS 'Mappings of concept elements to relevant applications';
 COMMENT ON COLUMN practical_applications.created_at IS 'Timestamp when the practical application was created';
 COMMENT ON COLUMN practical_applications.interaction_id IS 'Reference to the Claude interaction that produced the analysis';
-
--- Commit transaction
-COMMIT;
@@ -1,9 +1,6 @@
 -- Migration: Create dialogue_interpretations table
 -- Description: Creates the dialogue_interpretations table to store dialogues between philosophical concepts
 
--- Begin transaction
-BEGIN;
-
 -- Create dialogue_interpretations table
 CREATE TABLE IF NOT EXISTS dialogue_interpretations (
   dialogue_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -30,6 +27,3 @@ COMMENT ON COLUMN dialogue_interpretations.discussion_points IS 'Structured arra
 COMMENT ON COLUMN dialogue_interpretations.arguments IS 'Structured array of arguments presented in the dialogue';
 COMMENT ON COLUMN dialogue_interpretations.created_at IS 'Timestamp when the dialogue was created';
 COMMENT ON COLUMN dialogue_interpretations.interaction_id IS 'Reference to the Claude interaction that produced the dialogue';
-
--- Commit transaction
-COMMIT;
@@ -1,9 +1,6 @@
 -- Migration: Create dialogue_participants table
 -- Description: Creates the dialogue_participants table to track concepts participating in dialogues
 
--- Begin transaction
-BEGIN;
-
 -- Create dialogue_participants table
 CREATE TABLE IF NOT EXISTS dialogue_participants (
   participant_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -32,6 +29,3 @@ COMMENT ON COLUMN dialogue_participants.concept_id IS 'Reference to the concept
 COMMENT ON COLUMN dialogue_participants.role IS 'Role of the concept in the dialogue';
 COMMENT ON COLUMN dialogue_participants.key_theses IS 'Key theses or points made by this concept in the dialogue';
 COMMENT ON COLUMN dialogue_participants.created_at IS 'Timestamp when the participant was added to the dialogue';
-
--- Commit transaction
-COMMIT;
@@ -0,0 +1,42 @@
+-- Migration: Create category_templates table
+-- Description: Creates the category_templates table to store reusable category templates
+
+-- Create category_templates table
+CREATE TABLE IF NOT EXISTS category_templates (
+  template_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  default_definition TEXT,
+  created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  
+  -- System templates are not owned by a user
+  CHECK (is_system OR created_by IS NOT NULL)
+);
+
+-- Create indexes for performance
+CREATE UNIQUE INDEX idx_category_templates_system_name ON category_templates(name) WHERE is_system;
+CREATE INDEX idx_category_templates_name ON category_templates(name);
+CREATE INDEX idx_category_templates_created_by ON category_templates(created_by);
+CREATE INDEX idx_category_templates_is_system ON category_templates(is_system);
+
+-- Add table comments
+COMMENT ON TABLE category_templates IS 'Stores templates that new categories can be created from';
+COMMENT ON COLUMN category_templates.template_id IS 'Unique identifier for the template';
+COMMENT ON COLUMN category_templates.name IS 'Name given to categories created from the template';
+COMMENT ON COLUMN category_templates.description IS 'Description of the template';
+COMMENT ON COLUMN category_templates.default_definition IS 'Definition given to categories created from the template';
+COMMENT ON COLUMN category_templates.created_by IS 'Reference to the user who created the template (empty for system templates)';
+COMMENT ON COLUMN category_templates.is_system IS 'Whether the template is provided by the system';
+COMMENT ON COLUMN category_templates.metadata IS 'Additional metadata for the template';
+COMMENT ON COLUMN category_templates.created_at IS 'Timestamp when the template was created';
+COMMENT ON COLUMN category_templates.updated_at IS 'Timestamp when the template was last updated';
+
+-- Create a trigger to automatically update the updated_at column
+CREATE TRIGGER update_category_templates_updated_at
+BEFORE UPDATE ON category_templates
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
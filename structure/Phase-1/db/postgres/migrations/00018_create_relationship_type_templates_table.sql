@@ -0,0 +1,43 @@
+-- Migration: Create relationship_type_templates table
+-- Description: Creates the relationship_type_templates table to store reusable relationship types
+
+-- Create relationship_type_templates table
+CREATE TABLE IF NOT EXISTS relationship_type_templates (
+  template_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type_name VARCHAR(100) NOT NULL,
+  description TEXT,
+  default_direction VARCHAR(20) NOT NULL DEFAULT 'unidirectional'
+    CHECK (default_direction IN ('unidirectional', 'bidirectional')),
+  created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  
+  -- System templates are not owned by a user
+  CHECK (is_system OR created_by IS NOT NULL)
+);
+
+-- Create indexes for performance
+CREATE UNIQUE INDEX idx_relationship_type_templates_system_type_name ON relationship_type_templates(type_name) WHERE is_system;
+CREATE INDEX idx_relationship_type_templates_type_name ON relationship_type_templates(type_name);
+CREATE INDEX idx_relationship_type_templates_created_by ON relationship_type_templates(created_by);
+CREATE INDEX idx_relationship_type_templates_is_system ON relationship_type_templates(is_system);
+
+-- Add table comments
+COMMENT ON TABLE relationship_type_templates IS 'Stores templates for the types of relationships between categories';
+COMMENT ON COLUMN relationship_type_templates.template_id IS 'Unique identifier for the template';
+COMMENT ON COLUMN relationship_type_templates.type_name IS 'Relationship type defined by the template';
+COMMENT ON COLUMN relationship_type_templates.description IS 'Description of the relationship type';
+COMMENT ON COLUMN relationship_type_templates.default_direction IS 'Direction given to relationships created from the template';
+COMMENT ON COLUMN relationship_type_templates.created_by IS 'Reference to the user who created the template (empty for system templates)';
+COMMENT ON COLUMN relationship_type_templates.is_system IS 'Whether the template is provided by the system';
+COMMENT ON COLUMN relationship_type_templates.metadata IS 'Additional metadata for the template';
+COMMENT ON COLUMN relationship_type_templates.created_at IS 'Timestamp when the template was created';
+COMMENT ON COLUMN relationship_type_templates.updated_at IS 'Timestamp when the template was last updated';
+
+-- Create a trigger to automatically update the updated_at column
+CREATE TRIGGER update_relationship_type_templates_updated_at
+BEFORE UPDATE ON relationship_type_templates
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,22 @@
+-- Migration: Add API key to users table
+-- Description: Adds the columns for a user's own Claude API key to the users table
+
+-- Add API key columns
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS claude_api_key_encrypted TEXT,
+  ADD COLUMN IF NOT EXISTS use_own_api_key BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS api_key_added_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS api_key_last_used TIMESTAMP WITH TIME ZONE;
+
+-- A user can only use their own key once one is stored
+ALTER TABLE users
+  ADD CONSTRAINT chk_users_own_api_key CHECK (NOT use_own_api_key OR claude_api_key_encrypted IS NOT NULL);
+
+-- Create indexes for performance
+CREATE INDEX idx_users_use_own_api_key ON users(use_own_api_key) WHERE use_own_api_key;
+
+-- Add column comments
+COMMENT ON COLUMN users.claude_api_key_encrypted IS 'Claude API key of the user, encrypted by the application';
+COMMENT ON COLUMN users.use_own_api_key IS 'Whether requests of the user are made with their own API key';
+COMMENT ON COLUMN users.api_key_added_at IS 'Timestamp when the API key was added';
+COMMENT ON COLUMN users.api_key_last_used IS 'Timestamp when the API key was last used';
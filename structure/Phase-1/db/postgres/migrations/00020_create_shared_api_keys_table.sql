@@ -0,0 +1,33 @@
+-- Migration: Create shared_api_keys table
+-- Description: Creates the shared_api_keys table to store API keys users share with other users
+
+-- Create shared_api_keys table
+CREATE TABLE IF NOT EXISTS shared_api_keys (
+  share_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  shared_with_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  shared_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  permissions JSONB DEFAULT '{}',
+  
+  -- A key is shared with other users only, once per user
+  CHECK (owner_id <> shared_with_id),
+  CHECK (expires_at IS NULL OR expires_at > shared_at),
+  UNIQUE(owner_id, shared_with_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_shared_api_keys_owner_id ON shared_api_keys(owner_id);
+CREATE INDEX idx_shared_api_keys_shared_with_id ON shared_api_keys(shared_with_id);
+CREATE INDEX idx_shared_api_keys_active ON shared_api_keys(shared_with_id, expires_at) WHERE is_active;
+
+-- Add table comments
+COMMENT ON TABLE shared_api_keys IS 'Stores API keys that users share with other users';
+COMMENT ON COLUMN shared_api_keys.share_id IS 'Unique identifier for the share';
+COMMENT ON COLUMN shared_api_keys.owner_id IS 'Reference to the user who owns the API key';
+COMMENT ON COLUMN shared_api_keys.shared_with_id IS 'Reference to the user the API key is shared with';
+COMMENT ON COLUMN shared_api_keys.shared_at IS 'Timestamp when the API key was shared';
+COMMENT ON COLUMN shared_api_keys.expires_at IS 'Timestamp when the share expires (never when empty)';
+COMMENT ON COLUMN shared_api_keys.is_active IS 'Whether the share can currently be used';
+COMMENT ON COLUMN shared_api_keys.permissions IS 'Operations and limits allowed with the shared key as JSON';
@@ -0,0 +1,28 @@
+-- Migration: Create api_key_usage table
+-- Description: Creates the api_key_usage table to track the use of users' own API keys
+
+-- Create api_key_usage table
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  usage_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  concept_id UUID REFERENCES concepts(concept_id) ON DELETE SET NULL,
+  usage_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  operation_type query_type NOT NULL,
+  tokens_used INTEGER NOT NULL DEFAULT 0 CHECK (tokens_used >= 0),
+  estimated_cost NUMERIC(12, 6) NOT NULL DEFAULT 0 CHECK (estimated_cost >= 0)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_api_key_usage_user_id_usage_date ON api_key_usage(user_id, usage_date);
+CREATE INDEX idx_api_key_usage_concept_id ON api_key_usage(concept_id);
+CREATE INDEX idx_api_key_usage_operation_type ON api_key_usage(operation_type);
+
+-- Add table comments
+COMMENT ON TABLE api_key_usage IS 'Tracks requests made with the API keys of users';
+COMMENT ON COLUMN api_key_usage.usage_id IS 'Unique identifier for the usage record';
+COMMENT ON COLUMN api_key_usage.user_id IS 'Reference to the user whose API key was used';
+COMMENT ON COLUMN api_key_usage.concept_id IS 'Reference to the concept the request was made for (optional)';
+COMMENT ON COLUMN api_key_usage.usage_date IS 'Timestamp when the API key was used';
+COMMENT ON COLUMN api_key_usage.operation_type IS 'Type of query made with the API key';
+COMMENT ON COLUMN api_key_usage.tokens_used IS 'Number of tokens used by the request';
+COMMENT ON COLUMN api_key_usage.estimated_cost IS 'Estimated cost of the request in US dollars';
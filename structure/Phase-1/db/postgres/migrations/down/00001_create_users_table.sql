@@ -0,0 +1,7 @@
+-- Migration: Create users table (down)
+-- Description: Drops the users table, its enums and the updated_at trigger function
+
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+DROP TYPE IF EXISTS user_role;
+DROP TYPE IF EXISTS user_status;
@@ -0,0 +1,5 @@
+-- Migration: Create concepts table (down)
+-- Description: Drops the concepts table and the concept status enum
+
+DROP TABLE IF EXISTS concepts;
+DROP TYPE IF EXISTS concept_status;
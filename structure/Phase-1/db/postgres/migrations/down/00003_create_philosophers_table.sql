@@ -0,0 +1,4 @@
+-- Migration: Create philosophers table (down)
+-- Description: Drops the philosophers table
+
+DROP TABLE IF EXISTS philosophers;
@@ -0,0 +1,4 @@
+-- Migration: Create traditions table (down)
+-- Description: Drops the traditions table
+
+DROP TABLE IF EXISTS traditions;
@@ -0,0 +1,4 @@
+-- Migration: Create concept_philosophers table (down)
+-- Description: Drops the concept_philosophers table
+
+DROP TABLE IF EXISTS concept_philosophers;
@@ -0,0 +1,4 @@
+-- Migration: Create concept_traditions table (down)
+-- Description: Drops the concept_traditions table
+
+DROP TABLE IF EXISTS concept_traditions;
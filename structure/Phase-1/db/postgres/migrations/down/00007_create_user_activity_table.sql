@@ -0,0 +1,5 @@
+-- Migration: Create user_activity table (down)
+-- Description: Drops the user_activity table and the activity type enum
+
+DROP TABLE IF EXISTS user_activity;
+DROP TYPE IF EXISTS activity_type;
@@ -0,0 +1,5 @@
+-- Migration: Create claude_interactions table (down)
+-- Description: Drops the claude_interactions table and the query type enum
+
+DROP TABLE IF EXISTS claude_interactions;
+DROP TYPE IF EXISTS query_type;
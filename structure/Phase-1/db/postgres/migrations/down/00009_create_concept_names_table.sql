@@ -0,0 +1,4 @@
+-- Migration: Create concept_names table (down)
+-- Description: Drops the concept_names table
+
+DROP TABLE IF EXISTS concept_names;
@@ -0,0 +1,4 @@
+-- Migration: Create concept_origins table (down)
+-- Description: Drops the concept_origins table
+
+DROP TABLE IF EXISTS concept_origins;
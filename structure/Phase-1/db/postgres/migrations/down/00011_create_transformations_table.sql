@@ -0,0 +1,6 @@
+-- Migration: Create transformations table (down)
+-- Description: Drops the transformations table and its source and target type enums
+
+DROP TABLE IF EXISTS transformations;
+DROP TYPE IF EXISTS target_type;
+DROP TYPE IF EXISTS source_type;
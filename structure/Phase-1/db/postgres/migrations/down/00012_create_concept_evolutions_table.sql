@@ -0,0 +1,4 @@
+-- Migration: Create concept_evolutions table (down)
+-- Description: Drops the concept_evolutions table
+
+DROP TABLE IF EXISTS concept_evolutions;
@@ -0,0 +1,4 @@
+-- Migration: Create historical_contexts table (down)
+-- Description: Drops the historical_contexts table
+
+DROP TABLE IF EXISTS historical_contexts;
@@ -0,0 +1,4 @@
+-- Migration: Create practical_applications table (down)
+-- Description: Drops the practical_applications table
+
+DROP TABLE IF EXISTS practical_applications;
@@ -0,0 +1,4 @@
+-- Migration: Create dialogue_interpretations table (down)
+-- Description: Drops the dialogue_interpretations table
+
+DROP TABLE IF EXISTS dialogue_interpretations;
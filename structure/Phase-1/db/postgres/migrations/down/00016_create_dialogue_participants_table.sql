@@ -0,0 +1,4 @@
+-- Migration: Create dialogue_participants table (down)
+-- Description: Drops the dialogue_participants table
+
+DROP TABLE IF EXISTS dialogue_participants;
@@ -0,0 +1,4 @@
+-- Migration: Create category_templates table (down)
+-- Description: Drops the category_templates table
+
+DROP TABLE IF EXISTS category_templates;
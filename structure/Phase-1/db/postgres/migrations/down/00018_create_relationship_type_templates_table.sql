@@ -0,0 +1,4 @@
+-- Migration: Create relationship_type_templates table (down)
+-- Description: Drops the relationship_type_templates table
+
+DROP TABLE IF EXISTS relationship_type_templates;
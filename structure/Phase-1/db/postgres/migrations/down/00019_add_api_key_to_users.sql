@@ -0,0 +1,9 @@
+-- Migration: Add API key to users table (down)
+-- Description: Removes the API key columns from the users table
+
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS chk_users_own_api_key,
+  DROP COLUMN IF EXISTS api_key_last_used,
+  DROP COLUMN IF EXISTS api_key_added_at,
+  DROP COLUMN IF EXISTS use_own_api_key,
+  DROP COLUMN IF EXISTS claude_api_key_encrypted;
@@ -0,0 +1,4 @@
+-- Migration: Create shared_api_keys table (down)
+-- Description: Drops the shared_api_keys table
+
+DROP TABLE IF EXISTS shared_api_keys;
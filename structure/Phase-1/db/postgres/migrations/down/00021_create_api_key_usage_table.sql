@@ -0,0 +1,4 @@
+-- Migration: Create api_key_usage table (down)
+-- Description: Drops the api_key_usage table
+
+DROP TABLE IF EXISTS api_key_usage;
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * PostgreSQL migration script for Philosophy Service
+ * Applies, rolls back and lists the migrations in db/postgres/migrations, and
+ * releases a migration lock left behind by an interrupted run
+ *
+ * Usage:
+ *   node db/postgres/scripts/migrate.js up [--to <version>] [--dry-run]
+ *   node db/postgres/scripts/migrate.js down [--to <version>] [--dry-run]
+ *   node db/postgres/scripts/migrate.js status
+ *   node db/postgres/scripts/migrate.js unlock
+ *
+ * Connects with DB_HOST, DB_PORT, DB_NAME, DB_USER and DB_PASSWORD;
+ * MIGRATIONS_DIR overrides the migrations directory.
+ */
+
+const path = require('path');
+const { PostgresClient } = require('../../../shared/lib/db/postgres/client');
+const { MigrationRunner } = require('../../../shared/lib/db/postgres/migrationRunner');
+
+const COMMANDS = ['up', 'down', 'status', 'unlock'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Object with command, to and dryRun
+ */
+function parseArguments(argv) {
+  const args = { command: argv[0], to: undefined, dryRun: false };
+  
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--to') {
+      args.to = argv[++i];
+    } else {
+      throw new Error(`Unknown argument '${argv[i]}'`);
+    }
+  }
+  
+  if (!COMMANDS.includes(args.command)) {
+    throw new Error(`Usage: migrate.js <${COMMANDS.join('|')}> [--to <version>] [--dry-run]`);
+  }
+  if (argv.includes('--to') && !args.to) {
+    throw new Error('--to needs a version');
+  }
+  
+  return args;
+}
+
+/**
+ * Print the state of every migration
+ * @param {Array<Object>} migrations - Migration states
+ */
+function printStatus(migrations) {
+  for (const migration of migrations) {
+    const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+    console.log(`${migration.status.padEnd(8)} ${migration.name.padEnd(48)} ${appliedAt}`);
+  }
+}
+
+/**
+ * Print the migrations that ran or would run
+ * @param {Object} result - Runner result
+ */
+function printResult(result) {
+  if (result.migrations.length === 0) {
+    console.log(`No migrations to ${result.direction === 'up' ? 'apply' : 'roll back'}.`);
+    return;
+  }
+  
+  for (const migration of result.migrations) {
+    if (result.dryRun) {
+      console.log(`Would run ${migration.name} (${result.direction}):`);
+      for (const operation of migration.operations) {
+        console.log(`  ${operation}`);
+      }
+    } else {
+      console.log(`Ran ${migration.name} (${result.direction}) in ${migration.durationMs} ms`);
+    }
+  }
+  
+  console.log(`${result.migrations.length} migrations ${result.dryRun ? 'planned' : 'run'}.`);
+}
+
+/**
+ * Run the script
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const args = parseArguments(process.argv.slice(2));
+  const client = new PostgresClient();
+  const runner = new MigrationRunner({
+    client,
+    migrationsDir: process.env.MIGRATIONS_DIR || path.join(__dirname, '..', 'migrations')
+  });
+  
+  try {
+    if (args.command === 'status') {
+      printStatus(await runner.status());
+    } else if (args.command === 'unlock') {
+      const holder = await runner.unlock();
+      console.log(holder ? `Released migration lock held by ${holder.lockedBy}.` : 'Migrations were not locked.');
+    } else {
+      printResult(await runner[args.command]({ to: args.to, dryRun: args.dryRun }));
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(err => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
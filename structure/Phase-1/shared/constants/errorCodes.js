@@ -16,6 +16,7 @@ module.exports = {
   INTERNAL_SERVER_ERROR: 1007,
   SERVICE_UNAVAILABLE: 1008,
   TIMEOUT: 1009,
+  INVALID_CURSOR: 1010,
   
   // User service error codes (2000-2999)
   USER_NOT_FOUND: 2000,
@@ -38,6 +39,11 @@ module.exports = {
   RELATIONSHIP_NOT_FOUND: 4002,
   CIRCULAR_REFERENCE: 4003,
   INVALID_GRAPH_STRUCTURE: 4004,
+  GRAPH_VERSION_NOT_FOUND: 4005,
+  INVALID_GRAPH_FORMAT: 4006,
+  INVALID_GRAPH_LAYOUT: 4007,
+  NOTHING_TO_UNDO: 4008,
+  NOTHING_TO_REDO: 4009,
   
   // Thesis service error codes (5000-5999)
   THESIS_NOT_FOUND: 5000,
@@ -56,6 +62,7 @@ module.exports = {
   SYNTHESIS_NOT_FOUND: 7000,
   INCOMPATIBLE_CONCEPTS: 7001,
   SYNTHESIS_ALREADY_EXISTS: 7002,
+  INVALID_SYNTHESIS_OPTIONS: 7003,
   
   // Name analysis service error codes (8000-8999)
   NAME_ANALYSIS_NOT_FOUND: 8000,
@@ -81,5 +88,10 @@ module.exports = {
   MESSAGE_QUEUE_ERROR: 14002,
   EVENT_BUS_ERROR: 14003,
   NETWORK_ERROR: 14004,
-  CONFIGURATION_ERROR: 14005
+  CONFIGURATION_ERROR: 14005,
+  INVALID_QUERY_IDENTIFIER: 14006,
+  MIGRATION_FAILED: 14007,
+  MIGRATION_CHECKSUM_MISMATCH: 14008,
+  MIGRATION_NOT_FOUND: 14009,
+  MIGRATION_LOCKED: 14010
 };
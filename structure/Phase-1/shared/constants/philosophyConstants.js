@@ -151,5 +151,12 @@ module.exports = {
     CRITIQUE: 'critique',
     INTEGRATION: 'integration',
     APPLICATION: 'application'
+  },
+  
+  // Concept synthesis methods
+  SYNTHESIS_METHODS: {
+    DIALECTICAL: 'dialectical',
+    INTEGRATIVE: 'integrative',
+    ECLECTIC: 'eclectic'
   }
 };
@@ -37,6 +37,9 @@ module.exports = {
   THESIS_EDITED: 'edited',
   THESIS_ELABORATED: 'elaborated',
   THESIS_PUBLISHED: 'published',
+  THESIS_APPROVED: 'approved',
+  THESIS_REJECTED: 'rejected',
+  THESIS_ARCHIVED: 'archived',
   
   // Claude task statuses
   TASK_QUEUED: 'queued',
@@ -0,0 +1,219 @@
+/**
+ * Opaque cursors for keyset pagination
+ * A page is positioned by the sort key and a unique tiebreaker of the row at
+ * its edge instead of an offset, so pages stay stable while rows are added.
+ * Cursors carry that key, the direction to continue in and the sort they
+ * were made for, encoded as base64url JSON. Shared by the MongoDB and
+ * PostgreSQL query builders.
+ */
+
+const { BadRequestError } = require('../errors/HttpErrors');
+const errorCodes = require('../../constants/errorCodes');
+
+// Directions a cursor continues in
+const CURSOR_DIRECTIONS = {
+  NEXT: 'next',
+  PREV: 'prev'
+};
+
+// Default keyset pagination options
+const DEFAULT_OPTIONS = {
+  sortOrder: 'asc',
+  pageSize: 20
+};
+
+/**
+ * Keyset pagination state of a query
+ * @typedef {Object} Keyset
+ * @property {string} sortField - Field sorted on
+ * @property {string} sortOrder - "asc" or "desc"
+ * @property {string} tiebreaker - Unique field ordering rows with equal sort values
+ * @property {number} pageSize - Page size
+ * @property {string} direction - "next" or "prev"
+ * @property {Array|null} key - Sort and tiebreaker values to continue from (null on the first page)
+ * @property {string} [sortKeyField] - Field of the fetched rows holding the exact sort value to
+ *   put in cursors instead of the sort field (removed from the page items)
+ */
+
+/**
+ * Create an invalid cursor error
+ * @param {string} message - Error message
+ * @returns {BadRequestError} Error
+ */
+function invalidCursor(message) {
+  return new BadRequestError(message, errorCodes.INVALID_CURSOR);
+}
+
+/**
+ * Encode a key value, keeping dates and ObjectIds recognisable
+ * @param {*} value - Value
+ * @returns {*} JSON-safe value
+ */
+function encodeValue(value) {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value && typeof value.toHexString === 'function') return { $oid: value.toHexString() };
+  return value;
+}
+
+/**
+ * Decode a key value
+ * ObjectIds come back as hex strings for the builder to convert.
+ * @param {*} value - JSON value
+ * @returns {*} Value
+ */
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string') return value.$oid;
+  }
+  return value;
+}
+
+/**
+ * Describe the sort a cursor belongs to
+ * @param {Keyset} keyset - Keyset
+ * @returns {string} Sort signature
+ */
+function sortSignature(keyset) {
+  return `${keyset.sortField}:${keyset.sortOrder}:${keyset.tiebreaker}`;
+}
+
+/**
+ * Encode a cursor pointing at a row
+ * @param {Keyset} keyset - Keyset
+ * @param {Object} row - Row at the edge of the page
+ * @param {string} direction - Direction to continue in
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(keyset, row, direction) {
+  const sortValue = keyset.sortKeyField ? row[keyset.sortKeyField] : row[keyset.sortField];
+  const payload = {
+    k: [encodeValue(sortValue), encodeValue(row[keyset.tiebreaker])],
+    d: direction,
+    s: sortSignature(keyset)
+  };
+  
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor
+ * @param {Keyset} keyset - Keyset the cursor must have been made for
+ * @returns {Object} Object with key and direction
+ * @throws {BadRequestError} If the cursor is malformed or made for another sort
+ */
+function decodeCursor(cursor, keyset) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw invalidCursor('Malformed pagination cursor');
+  }
+  
+  if (!payload || !Array.isArray(payload.k) || payload.k.length !== 2 ||
+      !Object.values(CURSOR_DIRECTIONS).includes(payload.d)) {
+    throw invalidCursor('Malformed pagination cursor');
+  }
+  if (payload.s !== sortSignature(keyset)) {
+    throw invalidCursor('Pagination cursor was created for a different sort order');
+  }
+  
+  return { key: payload.k.map(decodeValue), direction: payload.d };
+}
+
+/**
+ * Resolve keyset pagination options
+ * An empty or missing cursor starts at the first page.
+ * @param {Object} options - Options
+ * @param {string} options.sortField - Field to sort on
+ * @param {string} options.tiebreaker - Unique field ordering rows with equal sort values (e.g. "activity_id")
+ * @param {string} [options.sortOrder='asc'] - "asc" or "desc"
+ * @param {number} [options.pageSize=20] - Page size
+ * @param {string} [options.cursor] - Cursor from a previous page
+ * @returns {Keyset} Keyset
+ * @throws {BadRequestError} If the options or the cursor are invalid
+ */
+function resolveKeyset(options) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const sortOrder = String(config.sortOrder).toLowerCase();
+  
+  if (!config.sortField || !config.tiebreaker) {
+    throw invalidCursor('Keyset pagination needs a sort field and a unique tiebreaker');
+  }
+  if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+    throw invalidCursor(`Invalid sort order '${config.sortOrder}'`);
+  }
+  if (!Number.isInteger(config.pageSize) || config.pageSize < 1) {
+    throw invalidCursor('Page size must be a positive integer');
+  }
+  
+  const keyset = {
+    sortField: config.sortField,
+    sortOrder,
+    tiebreaker: config.tiebreaker,
+    pageSize: config.pageSize,
+    direction: CURSOR_DIRECTIONS.NEXT,
+    key: null
+  };
+  
+  if (config.cursor) {
+    Object.assign(keyset, decodeCursor(config.cursor, keyset));
+  }
+  
+  return keyset;
+}
+
+/**
+ * Get the order rows are fetched in
+ * Going back, rows are fetched in reverse and flipped in keysetPage.
+ * @param {Keyset} keyset - Keyset
+ * @returns {string} "asc" or "desc"
+ */
+function fetchOrder(keyset) {
+  if (keyset.direction === CURSOR_DIRECTIONS.NEXT) return keyset.sortOrder;
+  return keyset.sortOrder === 'asc' ? 'desc' : 'asc';
+}
+
+/**
+ * Turn fetched rows into a page
+ * Builders fetch one row more than the page size to tell whether another
+ * page follows in the fetch direction.
+ * @param {Array<Object>} rows - Rows in fetch order
+ * @param {Keyset} keyset - Keyset
+ * @returns {Object} Object with items, nextCursor and prevCursor (null at either end)
+ */
+function keysetPage(rows, keyset) {
+  const goingBack = keyset.direction === CURSOR_DIRECTIONS.PREV;
+  const hasMore = rows.length > keyset.pageSize;
+  const pageRows = rows.slice(0, keyset.pageSize);
+  
+  if (goingBack) pageRows.reverse();
+  
+  // Rows exist past the far end if more were fetched, and before the near end if we came from there
+  const hasNext = goingBack ? keyset.key !== null : hasMore;
+  const hasPrev = goingBack ? hasMore : keyset.key !== null;
+  const items = keyset.sortKeyField
+    ? pageRows.map(({ [keyset.sortKeyField]: sortKey, ...item }) => item)
+    : pageRows;
+  
+  return {
+    items,
+    nextCursor: hasNext && pageRows.length > 0
+      ? encodeCursor(keyset, pageRows[pageRows.length - 1], CURSOR_DIRECTIONS.NEXT)
+      : null,
+    prevCursor: hasPrev && pageRows.length > 0
+      ? encodeCursor(keyset, pageRows[0], CURSOR_DIRECTIONS.PREV)
+      : null
+  };
+}
+
+module.exports = {
+  CURSOR_DIRECTIONS,
+  DEFAULT_OPTIONS,
+  encodeCursor,
+  decodeCursor,
+  resolveKeyset,
+  fetchOrder,
+  keysetPage
+};
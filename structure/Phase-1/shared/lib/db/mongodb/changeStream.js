@@ -0,0 +1,362 @@
+/**
+ * MongoDB change stream subscriptions
+ * Watches the database for changes and hands them to a handler one at a
+ * time. After the handler resolves, the resume token of the change is stored
+ * in the changeStreamTokens collection, so a subscription of the same name
+ * resumes after a restart (or a lost connection) with the first change it
+ * has not handled: none are skipped, and a change is only handled again if
+ * the process stops between handling it and storing its token. A
+ * subscription that has never stored a token records the operation time it
+ * started at and resumes from there. A change the handler fails on is retried
+ * up to maxAttempts times; the subscription then stops, or skips the change
+ * if skipFailedChanges is set. Changes to the token collection itself are
+ * never watched.
+ */
+
+const { defaultLogger } = require('../../logging/logger');
+
+// Default subscription options
+const DEFAULT_OPTIONS = {
+  collections: null,
+  pipeline: [],
+  fullDocument: 'updateLookup',
+  fullDocumentBeforeChange: null,
+  tokenCollection: 'changeStreamTokens',
+  retryDelay: 5000,
+  maxAttempts: 5,
+  skipFailedChanges: false
+};
+
+// Server errors after which a change stream cannot be resumed
+const NON_RESUMABLE_CODES = [
+  280, // ChangeStreamFatalError
+  286 // ChangeStreamHistoryLost
+];
+
+/**
+ * Change stream subscription
+ */
+class ChangeStreamSubscription {
+  /**
+   * Create a new change stream subscription
+   * Use MongoDbClient#watch, which starts the subscription, rather than the constructor.
+   * @param {MongoDbClient} client - MongoDB client
+   * @param {string} name - Subscription name, the key of its stored resume token
+   * @param {Function} handler - Async function receiving each change event
+   * @param {Object} [options={}] - Subscription options
+   * @param {Array<string>} [options.collections] - Collections to watch (all when omitted)
+   * @param {Array<Object>} [options.pipeline=[]] - Aggregation stages filtering or shaping the changes
+   * @param {string} [options.fullDocument='updateLookup'] - Full document option of the stream
+   * @param {string} [options.fullDocumentBeforeChange] - Pre-image option (MongoDB 6.0+)
+   * @param {string} [options.tokenCollection='changeStreamTokens'] - Collection storing resume tokens
+   * @param {number} [options.retryDelay=5000] - Milliseconds to wait before reopening after an error
+   * @param {number} [options.maxAttempts=5] - Times the handler is called for a change before giving up on it
+   * @param {boolean} [options.skipFailedChanges=false] - Whether to skip a change the handler gave up on
+   *   (logging it) instead of stopping the subscription
+   * @param {Function} [options.onError] - Called with the error when the subscription stops for good
+   * @param {Object} [logger=defaultLogger] - Logger instance
+   */
+  constructor(client, name, handler, options = {}, logger = defaultLogger) {
+    if (typeof handler !== 'function') {
+      throw new Error('Change stream handler must be a function');
+    }
+    
+    this.client = client;
+    this.name = name;
+    this.handler = handler;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.logger = logger;
+    this.stream = null;
+    this.running = null;
+    this.retryTimer = null;
+    this.closed = false;
+    this.error = null;
+    this.failedChange = null;
+  }
+  
+  /**
+   * Open the change stream and start handling changes
+   * @returns {Promise<ChangeStreamSubscription>} This subscription
+   * @throws {Error} If the change stream cannot be opened
+   */
+  async start() {
+    if (this.running) {
+      return this;
+    }
+    
+    await this.open();
+    this.running = this.run();
+    
+    this.logger.info('Started change stream subscription', {
+      name: this.name,
+      collections: this.options.collections
+    });
+    
+    return this;
+  }
+  
+  /**
+   * Stop handling changes
+   * Waits for the change being handled, if any.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    await this.closeStream();
+    
+    if (this.retryTimer) {
+      this.retryTimer.wake();
+    }
+    
+    if (this.running) {
+      await this.running;
+      this.running = null;
+    }
+    
+    this.logger.info('Closed change stream subscription', { name: this.name });
+  }
+  
+  /**
+   * Handle changes until closed, reopening the stream after errors
+   * @returns {Promise<void>}
+   * @private
+   */
+  async run() {
+    while (!this.closed) {
+      try {
+        if (!this.stream) {
+          await this.open();
+        }
+        
+        const change = await this.stream.next();
+        
+        if (this.closed || !change) {
+          continue;
+        }
+        
+        if (await this.handleChange(change)) {
+          await this.saveToken({ resume_token: change._id });
+        }
+      } catch (err) {
+        if (this.closed) {
+          break;
+        }
+        
+        await this.closeStream();
+        
+        if (NON_RESUMABLE_CODES.includes(err.code)) {
+          this.fail(err);
+          break;
+        }
+        
+        this.logger.warn('Change stream subscription failed, resuming', {
+          name: this.name,
+          retryDelay: this.options.retryDelay,
+          error: err.message
+        });
+        
+        await this.waitToRetry();
+      }
+    }
+  }
+  
+  /**
+   * Hand a change to the handler
+   * Failures below the attempt limit are thrown, so the stream is reopened
+   * at the change and it is handled again after the retry delay.
+   * @param {Object} change - Change event
+   * @returns {Promise<boolean>} Whether to store the token of the change (false once stopped)
+   * @throws {Error} If the handler fails and the change will be retried
+   * @private
+   */
+  async handleChange(change) {
+    try {
+      await this.handler(change);
+    } catch (err) {
+      const token = change._id._data;
+      const attempts = this.failedChange && this.failedChange.token === token
+        ? this.failedChange.attempts + 1
+        : 1;
+      
+      if (attempts < this.options.maxAttempts) {
+        this.failedChange = { token, attempts };
+        throw err;
+      }
+      
+      this.failedChange = null;
+      
+      if (!this.options.skipFailedChanges) {
+        await this.closeStream();
+        this.fail(err);
+        return false;
+      }
+      
+      this.logger.error('Skipped change the handler kept failing on', {
+        name: this.name,
+        attempts,
+        collection: change.ns ? change.ns.coll : undefined,
+        operationType: change.operationType,
+        documentKey: change.documentKey,
+        error: err.message
+      });
+      return true;
+    }
+    
+    this.failedChange = null;
+    return true;
+  }
+  
+  /**
+   * Wait the retry delay, or until the subscription is closed
+   * @returns {Promise<void>}
+   * @private
+   */
+  async waitToRetry() {
+    await new Promise((resolve) => {
+      if (this.closed) {
+        resolve();
+        return;
+      }
+      
+      const timeout = setTimeout(resolve, this.options.retryDelay);
+      
+      this.retryTimer = {
+        wake: () => {
+          clearTimeout(timeout);
+          resolve();
+        }
+      };
+    });
+    
+    this.retryTimer = null;
+  }
+  
+  /**
+   * Open the change stream where the stored token says to resume
+   * @returns {Promise<void>}
+   * @private
+   */
+  async open() {
+    const db = await this.client.getDb();
+    const state = await this.loadToken() || await this.recordStart(db);
+    const { collections, pipeline, fullDocument, fullDocumentBeforeChange, tokenCollection } = this.options;
+    
+    // Storing a token is itself a change, which must not be handled
+    const namespace = { $ne: tokenCollection };
+    
+    if (collections) {
+      namespace.$in = collections;
+    }
+    
+    const stages = [{ $match: { 'ns.coll': namespace } }, ...pipeline];
+    
+    const streamOptions = { fullDocument };
+    
+    if (fullDocumentBeforeChange) {
+      streamOptions.fullDocumentBeforeChange = fullDocumentBeforeChange;
+    }
+    
+    if (state.resume_token) {
+      streamOptions.startAfter = state.resume_token;
+    } else {
+      streamOptions.startAtOperationTime = state.start_at_operation_time;
+    }
+    
+    this.stream = db.watch(stages, streamOptions);
+  }
+  
+  /**
+   * Record the current operation time as the start of a new subscription
+   * @param {Db} db - MongoDB database
+   * @returns {Promise<Object>} Stored state
+   * @private
+   */
+  async recordStart(db) {
+    const { operationTime } = await db.command({ ping: 1 });
+    
+    if (!operationTime) {
+      throw new Error('Change streams need a replica set or sharded cluster');
+    }
+    
+    return this.saveToken({ start_at_operation_time: operationTime });
+  }
+  
+  /**
+   * Load the stored state of the subscription
+   * @returns {Promise<Object|null>} Stored resume token or start time
+   * @private
+   */
+  async loadToken() {
+    return this.client.findOne(this.options.tokenCollection, { _id: this.name });
+  }
+  
+  /**
+   * Store the state of the subscription
+   * @param {Object} state - Resume token or start time
+   * @returns {Promise<Object>} Stored state
+   * @private
+   */
+  async saveToken(state) {
+    await this.client.updateOne(
+      this.options.tokenCollection,
+      { _id: this.name },
+      { $set: { ...state, updated_at: new Date() } },
+      { upsert: true }
+    );
+    
+    return state;
+  }
+  
+  /**
+   * Close the change stream, if open
+   * @returns {Promise<void>}
+   * @private
+   */
+  async closeStream() {
+    const stream = this.stream;
+    this.stream = null;
+    
+    if (stream) {
+      try {
+        await stream.close();
+      } catch (err) {
+        this.logger.warn('Error closing change stream', {
+          name: this.name,
+          error: err.message
+        });
+      }
+    }
+  }
+  
+  /**
+   * Stop the subscription for good after an error
+   * @param {Error} err - Error
+   * @private
+   */
+  fail(err) {
+    this.error = err;
+    this.closed = true;
+    
+    this.logger.error('Change stream subscription stopped', {
+      name: this.name,
+      error: err.message,
+      stack: err.stack
+    });
+    
+    if (this.options.onError) {
+      try {
+        this.options.onError(err);
+      } catch (callbackError) {
+        this.logger.error('Change stream error callback failed', {
+          name: this.name,
+          error: callbackError.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = {
+  ChangeStreamSubscription,
+  DEFAULT_OPTIONS
+};
@@ -5,6 +5,7 @@
 
 const { MongoClient, ObjectId } = require('mongodb');
 const { defaultLogger } = require('../../logging/logger');
+const { ChangeStreamSubscription } = require('./changeStream');
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -568,6 +569,24 @@ class MongoDbClient {
     }
   }
   
+  /**
+   * Subscribe to the changes in the database
+   * The handler receives one change event at a time; the resume token of
+   * each handled change is stored, so a subscription of the same name
+   * continues where it stopped. A change whose handler throws is handled
+   * again after the retry delay.
+   * @param {string} name - Subscription name
+   * @param {Function} handler - Async function receiving each change event
+   * @param {Object} [options={}] - Subscription options (see ChangeStreamSubscription)
+   * @param {Array<string>} [options.collections] - Collections to watch (all when omitted)
+   * @param {Array<Object>} [options.pipeline=[]] - Aggregation stages filtering or shaping the changes
+   * @returns {Promise<ChangeStreamSubscription>} Started subscription
+   */
+  async watch(name, handler, options = {}) {
+    const subscription = new ChangeStreamSubscription(this, name, handler, options, this.logger);
+    return subscription.start();
+  }
+  
   /**
    * Check if the database connection is healthy
    * @returns {Promise<boolean>} Whether the connection is healthy
@@ -0,0 +1,162 @@
+/**
+ * Collection validators for MongoDB
+ * Applies the $jsonSchema validators generated from document definitions
+ * and reports drift between a definition and the validator and unique
+ * indexes live in the database.
+ */
+
+const { toCollectionOptions, toJsonSchema } = require('../../validation/documentSchema');
+
+// Keys of a $jsonSchema whose arrays are compared without regard to order
+const UNORDERED_KEYS = ['required', 'enum', 'bsonType'];
+
+/**
+ * Difference between a definition and the database
+ * @typedef {Object} Drift
+ * @property {string} path - Where they differ (e.g. "$jsonSchema.properties.status.enum")
+ * @property {*} declared - Declared value (undefined if only live)
+ * @property {*} live - Live value (undefined if only declared)
+ */
+
+/**
+ * Get the options of a collection
+ * @param {Db} db - MongoDB database
+ * @param {string} name - Collection name
+ * @returns {Promise<Object|null>} Collection options (validator, validationLevel, ...) or null if there is no collection
+ */
+async function getCollectionOptions(db, name) {
+  const [collection] = await db.listCollections({ name }).toArray();
+  return collection ? collection.options || {} : null;
+}
+
+/**
+ * Set the validator of an existing collection
+ * @param {Db} db - MongoDB database
+ * @param {Object} definition - Document definition
+ * @returns {Promise<void>}
+ */
+async function setValidator(db, definition) {
+  await db.command({ collMod: definition.collection, ...toCollectionOptions(definition) });
+}
+
+/**
+ * Create a collection with its validator
+ * @param {Db} db - MongoDB database
+ * @param {Object} definition - Document definition
+ * @returns {Promise<void>}
+ */
+async function createWithValidator(db, definition) {
+  await db.createCollection(definition.collection, toCollectionOptions(definition));
+}
+
+/**
+ * Apply the validator of a definition, creating the collection if needed
+ * @param {Db} db - MongoDB database
+ * @param {Object} definition - Document definition
+ * @returns {Promise<boolean>} Whether the collection was created
+ */
+async function syncValidator(db, definition) {
+  if (await getCollectionOptions(db, definition.collection)) {
+    await setValidator(db, definition);
+    return false;
+  }
+  await createWithValidator(db, definition);
+  return true;
+}
+
+/**
+ * Normalise a value for comparison
+ * @param {*} value - Value
+ * @param {string} key - Key the value is under
+ * @returns {*} Value (unordered arrays sorted)
+ */
+function normalise(value, key) {
+  if (UNORDERED_KEYS.includes(key)) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.map(item => JSON.stringify(item)).sort().join(',');
+  }
+  return value;
+}
+
+/**
+ * Compare two $jsonSchemas
+ * @param {*} declared - Declared schema
+ * @param {*} live - Live schema
+ * @param {string} [path='$jsonSchema'] - Path of the schemas
+ * @returns {Array<Drift>} Differences
+ */
+function diffSchemas(declared, live, path = '$jsonSchema') {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  
+  if (!isObject(declared) || !isObject(live)) {
+    return JSON.stringify(declared) === JSON.stringify(live) ? [] : [{ path, declared, live }];
+  }
+  
+  const keys = [...new Set([...Object.keys(declared), ...Object.keys(live)])].sort();
+  const drift = [];
+  
+  for (const key of keys) {
+    const keyPath = `${path}.${key}`;
+    
+    if (!(key in declared) || !(key in live)) {
+      drift.push({ path: keyPath, declared: declared[key], live: live[key] });
+    } else if (UNORDERED_KEYS.includes(key)) {
+      if (normalise(declared[key], key) !== normalise(live[key], key)) {
+        drift.push({ path: keyPath, declared: declared[key], live: live[key] });
+      }
+    } else {
+      drift.push(...diffSchemas(declared[key], live[key], keyPath));
+    }
+  }
+  
+  return drift;
+}
+
+/**
+ * Compare a definition with its collection
+ * @param {Db} db - MongoDB database
+ * @param {Object} definition - Document definition
+ * @returns {Promise<Object>} Report with collection, exists and drift
+ */
+async function checkValidator(db, definition) {
+  const options = await getCollectionOptions(db, definition.collection);
+  
+  if (!options) {
+    return { collection: definition.collection, exists: false, drift: [] };
+  }
+  
+  const live = options.validator || {};
+  const drift = diffSchemas(toJsonSchema(definition), live.$jsonSchema);
+  
+  // The server leaves the defaults out of the options
+  for (const key of ['validationLevel', 'validationAction']) {
+    const liveValue = options[key] || (key === 'validationLevel' ? 'strict' : 'error');
+    if (liveValue !== definition[key]) {
+      drift.push({ path: key, declared: definition[key], live: liveValue });
+    }
+  }
+  
+  const indexes = await db.collection(definition.collection).indexes();
+  for (const [name, field] of Object.entries(definition.fields)) {
+    if (!field.unique) {
+      continue;
+    }
+    const unique = indexes.some(index =>
+      index.unique && Object.keys(index.key).length === 1 && index.key[name] !== undefined
+    );
+    if (!unique) {
+      drift.push({ path: `indexes.${name}`, declared: 'unique', live: undefined });
+    }
+  }
+  
+  return { collection: definition.collection, exists: true, drift };
+}
+
+module.exports = {
+  getCollectionOptions,
+  setValidator,
+  createWithValidator,
+  syncValidator,
+  diffSchemas,
+  checkValidator
+};
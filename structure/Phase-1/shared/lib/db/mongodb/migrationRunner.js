@@ -0,0 +1,535 @@
+/**
+ * Migration runner for MongoDB
+ * Applies the migrations of a directory (modules exporting `up(db)` and
+ * `down(db)` that resolve to `{ success, error }`) in file name order and
+ * records each applied migration with the checksum of its file in the
+ * migrations collection. Refuses to run when an applied file was edited.
+ * Migrations are loaded with their own console, so what they print goes to
+ * the runner's logger, and nowhere in a dry run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+const { createRequire } = require('module');
+const { defaultClient } = require('./client');
+const { defaultLogger } = require('../../logging/logger');
+const MigrationError = require('../../errors/MigrationError');
+
+// Default runner options
+const DEFAULT_OPTIONS = {
+  collectionName: 'migrations'
+};
+
+// Longest argument shown for a planned operation
+const MAX_ARGUMENT_LENGTH = 120;
+
+// Console given to migrations in a dry run
+const SILENT_CONSOLE = {
+  log() {},
+  info() {},
+  warn() {},
+  error() {}
+};
+
+/**
+ * Migration found in the migrations directory
+ * @typedef {Object} MigrationFile
+ * @property {string} name - File name without extension (e.g. "00001_create_collections")
+ * @property {number} version - Numeric prefix of the name
+ * @property {string} file - Absolute path
+ * @property {string} checksum - SHA-256 of the file contents
+ */
+
+/**
+ * Compute the checksum of a migration file
+ * Line endings are normalised so checkouts on different platforms agree.
+ * @param {string} contents - File contents
+ * @returns {string} Hex SHA-256 checksum
+ */
+function checksum(contents) {
+  return crypto
+    .createHash('sha256')
+    .update(contents.replace(/\r\n/g, '\n'))
+    .digest('hex');
+}
+
+/**
+ * Parse the version of a migration name or a target version
+ * @param {string|number} value - Migration name (e.g. "00004_create_graph_snapshots") or version
+ * @returns {number} Version number
+ * @throws {MigrationError} If no version can be read
+ */
+function parseVersion(value) {
+  const match = /^(\d+)/.exec(String(value));
+  if (!match) {
+    throw new MigrationError(`Invalid migration version '${value}'`);
+  }
+  return parseInt(match[1], 10);
+}
+
+/**
+ * Describe an argument of a planned operation
+ * @param {*} value - Argument
+ * @returns {string} Short description
+ */
+function describeArgument(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) {
+    return String(value);
+  }
+  return text.length > MAX_ARGUMENT_LENGTH ? `${text.slice(0, MAX_ARGUMENT_LENGTH - 3)}...` : text;
+}
+
+/**
+ * Create a database stand-in that records the operations of a migration
+ * Covers what migrations use: createCollection, command, listCollections
+ * and any method of a collection. listCollections reads the real database
+ * and adds and removes the collections earlier planned operations create
+ * and drop, so migrations choose the branch they would take in a real run.
+ * Nothing else reaches the database.
+ * @param {Array<string>} operations - Array the planned operations are appended to
+ * @param {Db} db - Database to list existing collections from
+ * @param {Object} [collections] - Collections planned so far, shared by the migrations of one plan
+ * @param {Set<string>} collections.created - Names of planned new collections
+ * @param {Set<string>} collections.dropped - Names of planned dropped collections
+ * @returns {Object} Database stand-in
+ */
+function createPlanningDb(operations, db, collections = { created: new Set(), dropped: new Set() }) {
+  const record = (target, method, args) => {
+    operations.push(`${target}.${method}(${args.map(describeArgument).join(', ')})`);
+  };
+  
+  const listCollections = async (filter) => {
+    const existing = (await db.listCollections(filter).toArray())
+      .filter(collection => !collections.dropped.has(collection.name));
+    const names = new Set(existing.map(collection => collection.name));
+    
+    for (const name of collections.created) {
+      if (!names.has(name) && (filter.name === undefined || filter.name === name)) {
+        existing.push({ name, type: 'collection', options: {} });
+      }
+    }
+    
+    return existing;
+  };
+  
+  return {
+    async createCollection(name, ...args) {
+      record('db', 'createCollection', [name, ...args]);
+      collections.created.add(name);
+      collections.dropped.delete(name);
+    },
+    async command(command) {
+      record('db', 'command', [command]);
+      return { ok: 1 };
+    },
+    listCollections(filter = {}) {
+      record('db', 'listCollections', [filter]);
+      return { toArray: () => listCollections(filter) };
+    },
+    collection(name) {
+      return new Proxy({}, {
+        get(target, method) {
+          // Not a promise, even though every method is async
+          if (method === 'then') {
+            return undefined;
+          }
+          return async (...args) => {
+            record(name, String(method), args);
+            
+            if (method === 'drop') {
+              collections.created.delete(name);
+              collections.dropped.add(name);
+            }
+          };
+        }
+      });
+    }
+  };
+}
+
+/**
+ * MongoDB migration runner
+ */
+class MigrationRunner {
+  /**
+   * Create a new migration runner
+   * @param {Object} options - Options
+   * @param {string} options.migrationsDir - Directory with the migration files
+   * @param {MongoDbClient} [options.client=defaultClient] - MongoDB client
+   * @param {Object} [options.logger=defaultLogger] - Logger instance
+   * @param {string} [options.collectionName='migrations'] - Collection recording applied migrations
+   */
+  constructor(options = {}) {
+    if (!options.migrationsDir) {
+      throw new MigrationError('Migration runner needs a migrations directory');
+    }
+    
+    this.migrationsDir = path.resolve(options.migrationsDir);
+    this.client = options.client || defaultClient;
+    this.logger = options.logger || defaultLogger;
+    this.collectionName = options.collectionName || DEFAULT_OPTIONS.collectionName;
+  }
+  
+  /**
+   * Get the state of every migration
+   * @returns {Promise<Array<Object>>} Migrations in order, each with name,
+   *   version, status ("applied", "pending", "changed" or "missing"),
+   *   appliedAt and checksum
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+    const applied = await this.loadApplied();
+    const names = new Set(migrations.map(migration => migration.name));
+    
+    const result = migrations.map(migration => {
+      const record = applied.get(migration.name);
+      let status = 'pending';
+      
+      if (record) {
+        status = record.checksum && record.checksum !== migration.checksum ? 'changed' : 'applied';
+      }
+      
+      return {
+        name: migration.name,
+        version: migration.version,
+        status,
+        appliedAt: record ? record.applied_at : null,
+        checksum: migration.checksum
+      };
+    });
+    
+    for (const record of applied.values()) {
+      if (!names.has(record.name)) {
+        result.push({
+          name: record.name,
+          version: parseVersion(record.name),
+          status: 'missing',
+          appliedAt: record.applied_at,
+          checksum: record.checksum || null
+        });
+      }
+    }
+    
+    return result.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Apply pending migrations in order
+   * @param {Object} [options={}] - Options
+   * @param {string|number} [options.to] - Last version to apply (all pending by default)
+   * @param {boolean} [options.dryRun=false] - Only plan the operations, without changing the database
+   * @returns {Promise<Object>} Object with direction, dryRun and the migrations run
+   *   (each with name, version and, in a dry run, the planned operations)
+   * @throws {MigrationError} If an applied migration was edited or is missing, or a migration fails
+   */
+  async up(options = {}) {
+    const target = options.to === undefined ? Infinity : parseVersion(options.to);
+    const migrations = this.loadMigrations();
+    const applied = await this.verify(migrations, options);
+    
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.name) && migration.version <= target
+    );
+    
+    return this.run('up', pending, options);
+  }
+  
+  /**
+   * Roll back applied migrations, latest first
+   * @param {Object} [options={}] - Options
+   * @param {string|number} [options.to] - Version to roll back to; migrations after it are
+   *   rolled back (only the latest one by default, 0 for all)
+   * @param {boolean} [options.dryRun=false] - Only plan the operations, without changing the database
+   * @returns {Promise<Object>} Object with direction, dryRun and the migrations run
+   * @throws {MigrationError} If an applied migration was edited or is missing, or a rollback fails
+   */
+  async down(options = {}) {
+    const migrations = this.loadMigrations();
+    const applied = await this.verify(migrations, options);
+    
+    let rollback = migrations
+      .filter(migration => applied.has(migration.name))
+      .reverse();
+    
+    if (options.to === undefined) {
+      rollback = rollback.slice(0, 1);
+    } else {
+      const target = parseVersion(options.to);
+      rollback = rollback.filter(migration => migration.version > target);
+    }
+    
+    return this.run('down', rollback, options);
+  }
+  
+  /**
+   * Run migrations in one direction
+   * @param {string} direction - "up" or "down"
+   * @param {Array<MigrationFile>} migrations - Migrations in the order to run them
+   * @param {Object} options - Options
+   * @param {boolean} [options.dryRun=false] - Only plan the operations
+   * @returns {Promise<Object>} Object with direction, dryRun and the migrations run
+   * @throws {MigrationError} If a migration fails
+   * @private
+   */
+  async run(direction, migrations, options) {
+    const dryRun = Boolean(options.dryRun);
+    const db = await this.client.getDb();
+    const planned = { created: new Set(), dropped: new Set() };
+    const results = [];
+    
+    for (const migration of migrations) {
+      const result = { name: migration.name, version: migration.version };
+      
+      if (dryRun) {
+        result.operations = await this.plan(db, direction, migration, planned);
+      } else {
+        result.durationMs = await this.execute(db, direction, migration);
+      }
+      
+      results.push(result);
+    }
+    
+    this.logger.info(dryRun ? 'Planned migrations' : 'Ran migrations', {
+      direction,
+      migrations: results.map(result => result.name)
+    });
+    
+    return { direction, dryRun, migrations: results };
+  }
+  
+  /**
+   * Run a migration against the database and record the outcome
+   * @param {Db} db - Database
+   * @param {string} direction - "up" or "down"
+   * @param {MigrationFile} migration - Migration
+   * @returns {Promise<number>} Duration in milliseconds
+   * @throws {MigrationError} If the migration fails
+   * @private
+   */
+  async execute(db, direction, migration) {
+    const definition = this.requireMigration(migration, this.migrationConsole(migration));
+    const startTime = Date.now();
+    
+    this.logger.info(`Running migration ${migration.name} (${direction})`);
+    
+    let outcome;
+    try {
+      outcome = await definition[direction](db);
+    } catch (err) {
+      throw MigrationError.failed(migration.name, direction, err);
+    }
+    
+    if (!outcome || !outcome.success) {
+      throw MigrationError.failed(migration.name, direction, (outcome && outcome.error) || 'no result');
+    }
+    
+    const durationMs = Date.now() - startTime;
+    const collection = db.collection(this.collectionName);
+    
+    // Migrations maintain their own record; the runner adds the checksum and makes sure it matches
+    if (direction === 'up') {
+      await collection.updateOne(
+        { name: migration.name },
+        {
+          $set: { version: migration.version, checksum: migration.checksum, duration_ms: durationMs },
+          $setOnInsert: { applied_at: new Date() }
+        },
+        { upsert: true }
+      );
+    } else {
+      await collection.deleteMany({ name: migration.name });
+    }
+    
+    return durationMs;
+  }
+  
+  /**
+   * Create the console given to a migration, writing to the runner's logger
+   * @param {MigrationFile} migration - Migration
+   * @returns {Object} Console with log, info, warn and error methods
+   * @private
+   */
+  migrationConsole(migration) {
+    const write = (level) => (message, ...args) => {
+      const errors = args.map(arg => (arg instanceof Error ? arg.message : arg));
+      this.logger[level](String(message), errors.length > 0
+        ? { migration: migration.name, details: errors }
+        : { migration: migration.name });
+    };
+    
+    return {
+      log: write('info'),
+      info: write('info'),
+      warn: write('warn'),
+      error: write('error')
+    };
+  }
+  
+  /**
+   * Plan the operations of a migration without running them
+   * @param {Db} db - Database, only read to list the existing collections
+   * @param {string} direction - "up" or "down"
+   * @param {MigrationFile} migration - Migration
+   * @param {Object} planned - Collections created and dropped by the migrations planned before
+   * @returns {Promise<Array<string>>} Planned operations
+   * @private
+   */
+  async plan(db, direction, migration, planned) {
+    // Migrations report what they did, which in a plan did not happen
+    const definition = this.requireMigration(migration, SILENT_CONSOLE);
+    const operations = [];
+    
+    await definition[direction](createPlanningDb(operations, db, planned));
+    
+    return operations;
+  }
+  
+  /**
+   * Check applied migrations against their files
+   * Records from before checksums were kept are given the checksum of the
+   * current file (unless in a dry run).
+   * @param {Array<MigrationFile>} migrations - Migrations in the directory
+   * @param {Object} options - Options
+   * @param {boolean} [options.dryRun=false] - Whether this is a dry run
+   * @returns {Promise<Map<string, Object>>} Applied migration records by name
+   * @throws {MigrationError} If an applied migration was edited or its file is missing
+   * @private
+   */
+  async verify(migrations, options) {
+    const applied = await this.loadApplied();
+    const byName = new Map(migrations.map(migration => [migration.name, migration]));
+    const unverified = [];
+    
+    for (const record of applied.values()) {
+      const migration = byName.get(record.name);
+      
+      if (!migration) {
+        throw MigrationError.missingFile(record.name);
+      }
+      
+      if (!record.checksum) {
+        unverified.push(migration);
+      } else if (record.checksum !== migration.checksum) {
+        throw MigrationError.checksumMismatch(record.name, record.checksum, migration.checksum);
+      }
+    }
+    
+    for (const migration of unverified) {
+      this.logger.warn(`Migration ${migration.name} was applied without a checksum, recording the current one`);
+      if (!options.dryRun) {
+        const db = await this.client.getDb();
+        await db.collection(this.collectionName).updateMany(
+          { name: migration.name },
+          { $set: { version: migration.version, checksum: migration.checksum } }
+        );
+      }
+    }
+    
+    return applied;
+  }
+  
+  /**
+   * Read the migrations directory
+   * @returns {Array<MigrationFile>} Migrations in file name order
+   * @throws {MigrationError} If the directory does not exist or two files share a version
+   * @private
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.migrationsDir)) {
+      throw new MigrationError(`Migrations directory ${this.migrationsDir} does not exist`);
+    }
+    
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .filter(file => /^\d+_.*\.js$/.test(file))
+      .sort()
+      .map(file => {
+        const filePath = path.join(this.migrationsDir, file);
+        
+        return {
+          name: path.basename(file, '.js'),
+          version: parseVersion(file),
+          file: filePath,
+          checksum: checksum(fs.readFileSync(filePath, 'utf8'))
+        };
+      });
+    
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new MigrationError(
+          `Migrations ${migrations[i - 1].name} and ${migrations[i].name} share version ${migrations[i].version}`,
+          migrations[i].name
+        );
+      }
+    }
+    
+    return migrations;
+  }
+  
+  /**
+   * Load the records of applied migrations
+   * @returns {Promise<Map<string, Object>>} Records by name
+   * @private
+   */
+  async loadApplied() {
+    const documents = await this.client.find(this.collectionName, {}, {
+      projection: { _id: 0, name: 1, checksum: 1, applied_at: 1 },
+      sort: { applied_at: 1 }
+    });
+    
+    // Hand-run migrations may have been recorded twice, keep the first record
+    const applied = new Map();
+    for (const document of documents) {
+      if (!applied.has(document.name)) {
+        applied.set(document.name, document);
+      }
+    }
+    
+    return applied;
+  }
+  
+  /**
+   * Load a migration module with its own console
+   * The file is evaluated like a CommonJS module, except that console is
+   * the given one; the modules it requires load as usual.
+   * @param {MigrationFile} migration - Migration
+   * @param {Object} migrationConsole - Console the migration prints to
+   * @returns {Object} Module with up and down functions
+   * @throws {MigrationError} If the module does not export up and down
+   * @private
+   */
+  requireMigration(migration, migrationConsole) {
+    const module = { exports: {} };
+    const load = vm.compileFunction(
+      fs.readFileSync(migration.file, 'utf8'),
+      ['exports', 'require', 'module', '__filename', '__dirname', 'console'],
+      { filename: migration.file }
+    );
+    
+    load(
+      module.exports,
+      createRequire(migration.file),
+      module,
+      migration.file,
+      path.dirname(migration.file),
+      migrationConsole
+    );
+    
+    const definition = module.exports;
+    
+    if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+      throw new MigrationError(`Migration ${migration.name} must export up and down functions`, migration.name);
+    }
+    
+    return definition;
+  }
+}
+
+module.exports = {
+  MigrationRunner,
+  DEFAULT_OPTIONS,
+  checksum,
+  createPlanningDb
+};
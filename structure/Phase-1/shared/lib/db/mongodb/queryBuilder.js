@@ -4,6 +4,44 @@
  */
 
 const { ObjectId } = require('mongodb');
+const { resolveKeyset, fetchOrder, keysetPage } = require('../cursor');
+
+/**
+ * Convert an ID string to ObjectId if needed
+ * @param {string|ObjectId} id - ID to convert
+ * @returns {ObjectId|string} Converted ID
+ */
+function toObjectId(id) {
+  if (typeof id === 'string' && ObjectId.isValid(id)) {
+    return new ObjectId(id);
+  }
+  return id;
+}
+
+/**
+ * Build the condition selecting documents past a keyset cursor
+ * @param {Keyset} keyset - Keyset (see resolveKeyset)
+ * @returns {Object|null} Query condition, or null on the first page
+ */
+function keysetCondition(keyset) {
+  if (!keyset.key) return null;
+  
+  const { sortField, tiebreaker } = keyset;
+  const operator = fetchOrder(keyset) === 'asc' ? '$gt' : '$lt';
+  
+  // Cursors return ObjectIds as hex strings
+  const [sortValue, tiebreakerValue] = [
+    sortField === '_id' ? toObjectId(keyset.key[0]) : keyset.key[0],
+    tiebreaker === '_id' ? toObjectId(keyset.key[1]) : keyset.key[1]
+  ];
+  
+  return {
+    $or: [
+      { [sortField]: { [operator]: sortValue } },
+      { [sortField]: sortValue, [tiebreaker]: { [operator]: tiebreakerValue } }
+    ]
+  };
+}
 
 /**
  * Base query builder class
@@ -23,10 +61,7 @@ class QueryBuilder {
    * @returns {ObjectId|string} Converted ID
    */
   convertId(id) {
-    if (typeof id === 'string' && ObjectId.isValid(id)) {
-      return new ObjectId(id);
-    }
-    return id;
+    return toObjectId(id);
   }
   
   /**
@@ -56,6 +91,7 @@ class FindQueryBuilder extends QueryBuilder {
       skip: null,
       limit: null
     };
+    this.keyset = null;
   }
   
   /**
@@ -317,6 +353,45 @@ class FindQueryBuilder extends QueryBuilder {
     this.options.limit = pageSize;
     return this;
   }
+  
+  /**
+   * Add keyset (cursor) pagination
+   * Sorts by the sort field and the tiebreaker, replacing any other sort,
+   * and fetches one document more than the page size; pass the documents
+   * found to toCursorPage. The sort field must be set on every document.
+   * @param {Object} options - Pagination options
+   * @param {string} options.sortField - Field to sort on
+   * @param {string} options.tiebreaker - Unique field ordering documents with equal sort values (e.g. "thesis_id")
+   * @param {string} [options.sortOrder='asc'] - "asc" or "desc"
+   * @param {number} [options.pageSize=20] - Page size
+   * @param {string} [options.cursor] - Cursor from a previous page (first page when empty)
+   * @returns {FindQueryBuilder} This builder instance
+   * @throws {BadRequestError} If the cursor is invalid or was made for another sort
+   */
+  paginateByCursor(options) {
+    this.keyset = resolveKeyset(options);
+    
+    const condition = keysetCondition(this.keyset);
+    const direction = fetchOrder(this.keyset) === 'asc' ? 1 : -1;
+    
+    if (condition) {
+      this.and([condition]);
+    }
+    
+    this.options.sort = { [this.keyset.sortField]: direction, [this.keyset.tiebreaker]: direction };
+    this.options.skip = null;
+    this.options.limit = this.keyset.pageSize + 1;
+    return this;
+  }
+  
+  /**
+   * Turn the documents found into a page
+   * @param {Array<Object>} documents - Documents returned by the query
+   * @returns {Object} Object with items, nextCursor and prevCursor
+   */
+  toCursorPage(documents) {
+    return keysetPage(documents, this.keyset);
+  }
 }
 
 /**
@@ -586,6 +661,7 @@ class AggregateQueryBuilder {
   constructor() {
     this.pipeline = [];
     this.options = {};
+    this.keyset = null;
   }
   
   /**
@@ -735,6 +811,37 @@ class AggregateQueryBuilder {
     });
   }
   
+  /**
+   * Add keyset (cursor) pagination stages ($match, $sort and $limit)
+   * Fetches one document more than the page size; pass the results to toCursorPage.
+   * @param {Object} options - Pagination options (see FindQueryBuilder#paginateByCursor)
+   * @returns {AggregateQueryBuilder} This builder instance
+   * @throws {BadRequestError} If the cursor is invalid or was made for another sort
+   */
+  paginateByCursor(options) {
+    this.keyset = resolveKeyset(options);
+    
+    const condition = keysetCondition(this.keyset);
+    const direction = fetchOrder(this.keyset) === 'asc' ? 1 : -1;
+    
+    if (condition) {
+      this.match(condition);
+    }
+    
+    return this
+      .sort({ [this.keyset.sortField]: direction, [this.keyset.tiebreaker]: direction })
+      .limit(this.keyset.pageSize + 1);
+  }
+  
+  /**
+   * Turn the aggregation results into a page
+   * @param {Array<Object>} documents - Documents returned by the pipeline
+   * @returns {Object} Object with items, nextCursor and prevCursor
+   */
+  toCursorPage(documents) {
+    return keysetPage(documents, this.keyset);
+  }
+  
   /**
    * Set aggregation options
    * @param {Object} options - Aggregation options
@@ -1,8 +1,75 @@
 /**
  * Cypher query builder for Neo4j
  * Provides a fluent API for building Cypher queries
+ * Values are always passed as parameters. Labels, relationship types and
+ * property keys cannot be parameterized, so they are validated and quoted
+ * with backticks when needed; variables must be plain identifiers.
  */
 
+const InvalidIdentifierError = require('../../errors/InvalidIdentifierError');
+const { RELATIONSHIP_DIRECTIONS } = require('../../../constants/philosophyConstants');
+
+// Labels and relationship type of concept graphs in Neo4j
+const GRAPH_DEFAULTS = {
+  label: 'Category',
+  idProperty: 'category_id',
+  relType: 'RELATED_TO'
+};
+
+// Aggregating functions supported by the aggregation helpers
+const AGGREGATE_FUNCTIONS = ['count', 'collect', 'avg', 'sum', 'min', 'max'];
+
+// Kinds of identifiers reported in InvalidIdentifierError
+const IDENTIFIER_KINDS = {
+  LABEL: 'label',
+  RELATIONSHIP_TYPE: 'relationship type',
+  PROPERTY_KEY: 'property key',
+  VARIABLE: 'variable',
+  SORT_DIRECTION: 'sort direction'
+};
+
+// Names that can be used without backticks
+const PLAIN_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Characters rejected even inside backticks
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+// Longest accepted label, relationship type or property key
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Validate a label, relationship type or property key and quote it if needed
+ * @param {string} name - Name to escape
+ * @param {string} [kind='property key'] - Kind of name (see IDENTIFIER_KINDS)
+ * @returns {string} Name safe to place into a query (e.g. "Category", "`has space`")
+ * @throws {InvalidIdentifierError} If the name is empty, too long or contains control characters
+ */
+function escapeIdentifier(name, kind = IDENTIFIER_KINDS.PROPERTY_KEY) {
+  if (typeof name !== 'string' || name.length === 0 || name.length > MAX_NAME_LENGTH ||
+      CONTROL_CHARACTERS.test(name)) {
+    throw InvalidIdentifierError.malformed(kind, name);
+  }
+  
+  if (PLAIN_IDENTIFIER.test(name)) {
+    return name;
+  }
+  
+  return `\`${name.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Check that a variable name is a plain identifier
+ * @param {string} name - Variable name
+ * @returns {string} The variable name
+ * @throws {InvalidIdentifierError} If the name is not a plain identifier
+ */
+function assertVariable(name) {
+  if (typeof name !== 'string' || !PLAIN_IDENTIFIER.test(name)) {
+    throw InvalidIdentifierError.malformed(IDENTIFIER_KINDS.VARIABLE, name);
+  }
+  return name;
+}
+
 /**
  * Represents a query pattern (node, relationship, path)
  * @typedef {Object} Pattern
@@ -16,8 +83,20 @@
 class CypherBuilder {
   /**
    * Create a new Cypher query builder
+   * @param {Object} [options={}] - Builder options
+   * @param {CypherBuilder} [options.parent] - Builder of the enclosing query; subquery, UNION
+   *   and FOREACH builders share its parameters and allow-lists
+   * @param {Array<string>} [options.allowedLabels] - Only accept these node labels
+   * @param {Array<string>} [options.allowedRelationshipTypes] - Only accept these relationship types
    */
-  constructor() {
+  constructor(options = {}) {
+    const { parent = null, allowedLabels = null, allowedRelationshipTypes = null } = options;
+    
+    this.root = parent ? parent.root : this;
+    this.allowedLabels = parent ? parent.allowedLabels : allowedLabels && new Set(allowedLabels);
+    this.allowedRelationshipTypes = parent
+      ? parent.allowedRelationshipTypes
+      : allowedRelationshipTypes && new Set(allowedRelationshipTypes);
     this.matchPatterns = [];
     this.optionalMatchPatterns = [];
     this.whereConditions = [];
@@ -31,7 +110,10 @@ class CypherBuilder {
     this.deleteItems = [];
     this.withItems = [];
     this.unwindItems = [];
-    this.params = {};
+    this.callItems = [];
+    this.foreachItems = [];
+    this.unionItems = [];
+    this.params = parent ? parent.params : {};
     this.paramCount = 0;
   }
   
@@ -41,7 +123,7 @@ class CypherBuilder {
    * @returns {string} Unique parameter name
    */
   generateParamName(prefix = 'param') {
-    return `${prefix}${++this.paramCount}`;
+    return `${prefix}${++this.root.paramCount}`;
   }
   
   /**
@@ -56,6 +138,74 @@ class CypherBuilder {
     return paramName;
   }
   
+  /**
+   * Add a parameter and get a reference to it for use in an expression
+   * @param {*} value - Parameter value
+   * @param {string} [prefix='param'] - Parameter name prefix
+   * @returns {string} Parameter reference (e.g. "$param1")
+   */
+  param(value, prefix = 'param') {
+    return `$${this.addParam(value, prefix)}`;
+  }
+  
+  /**
+   * Create a builder for a nested query sharing this builder's parameters
+   * @returns {CypherBuilder} Nested builder
+   */
+  subquery() {
+    return new CypherBuilder({ parent: this });
+  }
+  
+  /**
+   * Validate and escape a node label
+   * @param {string} label - Node label
+   * @returns {string} Escaped label
+   * @throws {InvalidIdentifierError} If the label is invalid or not in the allow-list
+   */
+  escapeLabel(label) {
+    if (this.allowedLabels && !this.allowedLabels.has(label)) {
+      throw InvalidIdentifierError.notAllowed(IDENTIFIER_KINDS.LABEL, label);
+    }
+    return escapeIdentifier(label, IDENTIFIER_KINDS.LABEL);
+  }
+  
+  /**
+   * Validate and escape a relationship type
+   * @param {string} type - Relationship type
+   * @returns {string} Escaped relationship type
+   * @throws {InvalidIdentifierError} If the type is invalid or not in the allow-list
+   */
+  escapeRelationshipType(type) {
+    if (this.allowedRelationshipTypes && !this.allowedRelationshipTypes.has(type)) {
+      throw InvalidIdentifierError.notAllowed(IDENTIFIER_KINDS.RELATIONSHIP_TYPE, type);
+    }
+    return escapeIdentifier(type, IDENTIFIER_KINDS.RELATIONSHIP_TYPE);
+  }
+  
+  /**
+   * Create a property access expression
+   * @param {string} identifier - Node or relationship identifier
+   * @param {string} property - Property name
+   * @returns {string} Property access (e.g. "n.name", "n.`first name`")
+   * @throws {InvalidIdentifierError} If the identifier or property name is invalid
+   */
+  property(identifier, property) {
+    return `${assertVariable(identifier)}.${escapeIdentifier(property)}`;
+  }
+  
+  /**
+   * Render a property map with one parameter per property
+   * @param {Object} properties - Properties
+   * @param {string} prefix - Parameter name prefix
+   * @returns {string} Property map (e.g. "{name: $props1}")
+   * @throws {InvalidIdentifierError} If a property name is invalid
+   */
+  propertyMap(properties, prefix) {
+    const entries = Object.entries(properties)
+      .map(([key, value]) => `${escapeIdentifier(key)}: ${this.param(value, prefix)}`);
+    return `{${entries.join(', ')}}`;
+  }
+  
   /**
    * Create a node pattern
    * @param {string} [identifier] - Node identifier
@@ -68,20 +218,19 @@ class CypherBuilder {
     
     // Add identifier if specified
     if (identifier) {
-      pattern += identifier;
+      pattern += assertVariable(identifier);
     }
     
     // Add labels if specified
     if (labels && labels.length > 0) {
       for (const label of labels) {
-        pattern += `:${label}`;
+        pattern += `:${this.escapeLabel(label)}`;
       }
     }
     
     // Add properties if specified
     if (properties && Object.keys(properties).length > 0) {
-      const paramName = this.addParam(properties, 'props');
-      pattern += ` {${paramName}}`;
+      pattern += ` ${this.propertyMap(properties, 'props')}`;
     }
     
     pattern += ')';
@@ -98,9 +247,10 @@ class CypherBuilder {
    * @param {string} [type] - Relationship type
    * @param {Object} [properties={}] - Relationship properties
    * @param {string} [direction='->'] - Relationship direction ('->', '<-', or '-')
+   * @param {Object|number} [length] - Variable length: number of hops, or { min, max } (either may be omitted)
    * @returns {Pattern} Relationship pattern
    */
-  relationship(identifier, type, properties = {}, direction = '->') {
+  relationship(identifier, type, properties = {}, direction = '->', length = null) {
     let startArrow = '', endArrow = '';
     
     if (direction === '->') {
@@ -113,21 +263,25 @@ class CypherBuilder {
     
     // Add identifier if specified
     if (identifier) {
-      pattern += identifier;
+      pattern += assertVariable(identifier);
     }
     
     // Add type if specified
     if (type) {
-      pattern += `:${type}`;
+      pattern += `:${this.escapeRelationshipType(type)}`;
+    }
+    
+    // Add variable length if specified
+    if (length !== null && length !== undefined) {
+      pattern += this.lengthRange(length);
     }
     
     // Add properties if specified
     if (properties && Object.keys(properties).length > 0) {
-      const paramName = this.addParam(properties, 'relProps');
-      pattern += ` {${paramName}}`;
+      pattern += ` ${this.propertyMap(properties, 'relProps')}`;
     }
     
-    pattern += `]${endArrow}`;
+    pattern += `]-${endArrow}`;
     
     return {
       pattern: `${startArrow}${pattern}`,
@@ -135,6 +289,32 @@ class CypherBuilder {
     };
   }
   
+  /**
+   * Render a variable-length range
+   * @param {Object|number} length - Number of hops, or { min, max }
+   * @returns {string} Range (e.g. "*1..3", "*..5", "*2")
+   * @throws {Error} If a bound is not a non-negative integer
+   */
+  lengthRange(length) {
+    const bound = value => {
+      if (value === undefined || value === null) return '';
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Invalid path length bound: ${value}`);
+      }
+      return String(value);
+    };
+    
+    if (typeof length === 'number') {
+      return `*${bound(length)}`;
+    }
+    
+    const min = bound(length.min);
+    const max = bound(length.max);
+    
+    if (!min && !max) return '*';
+    return `*${min}..${max}`;
+  }
+  
   /**
    * Create a path pattern
    * @param {Array<Pattern>} patterns - Patterns to combine
@@ -155,6 +335,87 @@ class CypherBuilder {
     };
   }
   
+  /**
+   * Assign a pattern to a path variable
+   * @param {string} identifier - Path identifier
+   * @param {Pattern} pattern - Path pattern
+   * @returns {Pattern} Named path pattern (e.g. "p = (a)-[*]->(b)")
+   */
+  namedPath(identifier, pattern) {
+    return {
+      pattern: `${assertVariable(identifier)} = ${pattern.pattern}`,
+      identifiers: [identifier, ...pattern.identifiers]
+    };
+  }
+  
+  /**
+   * Create a shortestPath pattern
+   * @param {string} identifier - Path identifier
+   * @param {Pattern} pattern - Path pattern (start node, relationship, end node)
+   * @returns {Pattern} Pattern matching one shortest path
+   */
+  shortestPath(identifier, pattern) {
+    return {
+      pattern: `${assertVariable(identifier)} = shortestPath(${pattern.pattern})`,
+      identifiers: [identifier, ...pattern.identifiers]
+    };
+  }
+  
+  /**
+   * Create an allShortestPaths pattern
+   * @param {string} identifier - Path identifier
+   * @param {Pattern} pattern - Path pattern (start node, relationship, end node)
+   * @returns {Pattern} Pattern matching every shortest path
+   */
+  allShortestPaths(identifier, pattern) {
+    return {
+      pattern: `${assertVariable(identifier)} = allShortestPaths(${pattern.pattern})`,
+      identifiers: [identifier, ...pattern.identifiers]
+    };
+  }
+  
+  /**
+   * Add WHERE conditions restricting the relationships of a path
+   * @param {string} pathIdentifier - Path identifier
+   * @param {Object} [filters={}] - Filters
+   * @param {Array<string>} [filters.types] - Allowed values of the relationship `type` property
+   * @param {number} [filters.minStrength] - Minimum relationship `strength`
+   * @param {string} [filters.direction='both'] - "outgoing" or "incoming" to follow relationships
+   *   only along (or against) their direction; bidirectional relationships are always followed
+   * @param {boolean} [filters.uniqueNodes=false] - Reject paths that visit a node twice
+   * @returns {CypherBuilder} This builder instance
+   */
+  wherePathFilters(pathIdentifier, filters = {}) {
+    assertVariable(pathIdentifier);
+    const rels = `relationships(${pathIdentifier})`;
+    
+    if (filters.types && filters.types.length > 0) {
+      const paramName = this.addParam(filters.types, 'types');
+      this.where(`ALL(rel IN ${rels} WHERE rel.type IN $${paramName})`);
+    }
+    
+    if (filters.minStrength !== null && filters.minStrength !== undefined) {
+      const paramName = this.addParam(filters.minStrength, 'minStrength');
+      this.where(`ALL(rel IN ${rels} WHERE rel.strength >= $${paramName})`);
+    }
+    
+    if (filters.direction === 'outgoing' || filters.direction === 'incoming') {
+      // The i-th relationship must leave (or enter) the i-th node of the path
+      const endpoint = filters.direction === 'outgoing' ? 'startNode' : 'endNode';
+      const paramName = this.addParam(RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL, 'direction');
+      this.where(
+        `ALL(i IN range(0, length(${pathIdentifier}) - 1) WHERE ${rels}[i].direction = $${paramName} ` +
+        `OR ${endpoint}(${rels}[i]) = nodes(${pathIdentifier})[i])`
+      );
+    }
+    
+    if (filters.uniqueNodes) {
+      this.where(`ALL(n IN nodes(${pathIdentifier}) WHERE single(m IN nodes(${pathIdentifier}) WHERE m = n))`);
+    }
+    
+    return this;
+  }
+  
   /**
    * Add a MATCH clause
    * @param {Pattern|string} pattern - Pattern to match
@@ -202,7 +463,7 @@ class CypherBuilder {
    */
   whereEquals(identifier, property, value) {
     const paramName = this.addParam(value);
-    return this.where(`${identifier}.${property} = $${paramName}`);
+    return this.where(`${this.property(identifier, property)} = $${paramName}`);
   }
   
   /**
@@ -214,7 +475,7 @@ class CypherBuilder {
    */
   whereIn(identifier, property, values) {
     const paramName = this.addParam(values);
-    return this.where(`${identifier}.${property} IN $${paramName}`);
+    return this.where(`${this.property(identifier, property)} IN $${paramName}`);
   }
   
   /**
@@ -230,11 +491,18 @@ class CypherBuilder {
   /**
    * Add an ORDER BY clause
    * @param {string} item - Item to sort by
-   * @param {string} [direction='ASC'] - Sort direction
+   * @param {string} [direction='ASC'] - Sort direction ('ASC' or 'DESC')
    * @returns {CypherBuilder} This builder instance
+   * @throws {InvalidIdentifierError} If the direction is not ASC or DESC
    */
   orderBy(item, direction = 'ASC') {
-    this.orderByItems.push(`${item} ${direction}`);
+    const normalized = String(direction).toUpperCase();
+    
+    if (normalized !== 'ASC' && normalized !== 'DESC') {
+      throw InvalidIdentifierError.malformed(IDENTIFIER_KINDS.SORT_DIRECTION, direction);
+    }
+    
+    this.orderByItems.push(`${item} ${normalized}`);
     return this;
   }
   
@@ -242,9 +510,10 @@ class CypherBuilder {
    * Add a SKIP clause
    * @param {number} count - Number of results to skip
    * @returns {CypherBuilder} This builder instance
+   * @throws {Error} If the count is not a non-negative integer
    */
   skip(count) {
-    this.skipValue = count;
+    this.skipValue = this.checkCount(count, 'SKIP');
     return this;
   }
   
@@ -252,12 +521,29 @@ class CypherBuilder {
    * Add a LIMIT clause
    * @param {number} count - Maximum number of results
    * @returns {CypherBuilder} This builder instance
+   * @throws {Error} If the count is not a non-negative integer
    */
   limit(count) {
-    this.limitValue = count;
+    this.limitValue = this.checkCount(count, 'LIMIT');
     return this;
   }
   
+  /**
+   * Check a SKIP or LIMIT count, which is written into the query text
+   * Counts stay literals: a parameter would reach Neo4j as a float, which
+   * SKIP and LIMIT refuse.
+   * @param {number} count - Count
+   * @param {string} clause - Clause name for error messages
+   * @returns {number} Count
+   * @throws {Error} If the count is not a non-negative integer
+   */
+  checkCount(count, clause) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`Invalid ${clause} count: ${count}`);
+    }
+    return count;
+  }
+  
   /**
    * Add a CREATE clause
    * @param {Pattern|string} pattern - Pattern to create
@@ -279,13 +565,65 @@ class CypherBuilder {
    */
   merge(pattern) {
     if (typeof pattern === 'string') {
-      this.mergePatterns.push({ pattern, identifiers: [] });
+      this.mergePatterns.push({ pattern, identifiers: [], onCreate: [], onMatch: [] });
     } else {
-      this.mergePatterns.push(pattern);
+      this.mergePatterns.push({ ...pattern, onCreate: [], onMatch: [] });
+    }
+    return this;
+  }
+  
+  /**
+   * Get the most recent MERGE clause
+   * @returns {Object} Merge pattern with its ON CREATE and ON MATCH items
+   * @throws {Error} If no MERGE clause was added
+   */
+  lastMerge() {
+    if (this.mergePatterns.length === 0) {
+      throw new Error('ON CREATE SET and ON MATCH SET require a preceding MERGE clause');
     }
+    return this.mergePatterns[this.mergePatterns.length - 1];
+  }
+  
+  /**
+   * Add an ON CREATE SET item to the most recent MERGE clause
+   * @param {string} item - Item to set
+   * @returns {CypherBuilder} This builder instance
+   */
+  onCreateSet(item) {
+    this.lastMerge().onCreate.push(item);
     return this;
   }
   
+  /**
+   * Add an ON MATCH SET item to the most recent MERGE clause
+   * @param {string} item - Item to set
+   * @returns {CypherBuilder} This builder instance
+   */
+  onMatchSet(item) {
+    this.lastMerge().onMatch.push(item);
+    return this;
+  }
+  
+  /**
+   * Set properties when the most recent MERGE clause creates its pattern
+   * @param {string} identifier - Node or relationship identifier
+   * @param {Object} properties - Properties to set
+   * @returns {CypherBuilder} This builder instance
+   */
+  onCreateSetProperties(identifier, properties) {
+    return this.onCreateSet(`${assertVariable(identifier)} += ${this.param(properties)}`);
+  }
+  
+  /**
+   * Set properties when the most recent MERGE clause matches its pattern
+   * @param {string} identifier - Node or relationship identifier
+   * @param {Object} properties - Properties to set
+   * @returns {CypherBuilder} This builder instance
+   */
+  onMatchSetProperties(identifier, properties) {
+    return this.onMatchSet(`${assertVariable(identifier)} += ${this.param(properties)}`);
+  }
+  
   /**
    * Add a SET clause
    * @param {string} item - Item to set
@@ -305,7 +643,7 @@ class CypherBuilder {
    */
   setProperty(identifier, property, value) {
     const paramName = this.addParam(value);
-    return this.set(`${identifier}.${property} = $${paramName}`);
+    return this.set(`${this.property(identifier, property)} = $${paramName}`);
   }
   
   /**
@@ -316,7 +654,7 @@ class CypherBuilder {
    */
   setProperties(identifier, properties) {
     const paramName = this.addParam(properties);
-    return this.set(`${identifier} += $${paramName}`);
+    return this.set(`${assertVariable(identifier)} += $${paramName}`);
   }
   
   /**
@@ -367,17 +705,213 @@ class CypherBuilder {
     
     this.unwindItems.push({
       list: paramName,
-      identifier
+      identifier: assertVariable(identifier)
     });
     
     return this;
   }
   
   /**
-   * Build the Cypher query
-   * @returns {Object} Object with query and params properties
+   * Add a FOREACH clause
+   * @param {string} identifier - Identifier for the list items
+   * @param {Array|string} list - List to iterate (array or expression)
+   * @param {Function} callback - Receives a nested builder for the update clauses
+   *   (CREATE, MERGE, SET, DELETE) to run for every item
+   * @returns {CypherBuilder} This builder instance
    */
-  build() {
+  foreach(identifier, list, callback) {
+    const sub = this.subquery();
+    callback(sub);
+    
+    this.foreachItems.push({
+      identifier: assertVariable(identifier),
+      list: typeof list === 'string' ? list : this.param(list),
+      clauses: sub.buildClauses()
+    });
+    
+    return this;
+  }
+  
+  /**
+   * Add a CALL subquery
+   * @param {Function} callback - Receives a nested builder for the subquery
+   * @param {Array<string>} [variables=[]] - Variables of the outer query to import
+   *   into the subquery (rendered as its leading WITH)
+   * @returns {CypherBuilder} This builder instance
+   */
+  call(callback, variables = []) {
+    const sub = this.subquery();
+    callback(sub);
+    this.callItems.push({ variables: variables.map(assertVariable), builder: sub });
+    return this;
+  }
+  
+  /**
+   * Combine the query with another one using UNION (removes duplicate rows)
+   * Both queries must return the same columns.
+   * @param {Function} callback - Receives a nested builder for the other query
+   * @returns {CypherBuilder} This builder instance
+   */
+  union(callback) {
+    return this.addUnion(callback, false);
+  }
+  
+  /**
+   * Combine the query with another one using UNION ALL (keeps duplicate rows)
+   * Both queries must return the same columns.
+   * @param {Function} callback - Receives a nested builder for the other query
+   * @returns {CypherBuilder} This builder instance
+   */
+  unionAll(callback) {
+    return this.addUnion(callback, true);
+  }
+  
+  /**
+   * Add a UNION part
+   * @param {Function} callback - Receives a nested builder for the other query
+   * @param {boolean} all - Whether to keep duplicate rows
+   * @returns {CypherBuilder} This builder instance
+   */
+  addUnion(callback, all) {
+    const sub = this.subquery();
+    callback(sub);
+    this.unionItems.push({ all, builder: sub });
+    return this;
+  }
+  
+  /**
+   * Create a CASE expression
+   * Without a subject each branch has a condition (`CASE WHEN cond THEN ...`);
+   * with a subject each branch has a value to compare it with
+   * (`CASE subject WHEN value THEN ...`). Compared values, results and the
+   * default are passed as parameters.
+   * @param {Array<Object>} branches - Branches with `when` and `then`
+   * @param {*} [otherwise] - Result when no branch applies (no ELSE if undefined)
+   * @param {string} [subject] - Expression to compare with the branch values
+   * @returns {string} CASE expression
+   * @throws {Error} If there are no branches
+   */
+  caseExpression(branches, otherwise, subject) {
+    if (!branches || branches.length === 0) {
+      throw new Error('CASE expression requires at least one branch');
+    }
+    
+    const parts = [subject ? `CASE ${subject}` : 'CASE'];
+    
+    for (const branch of branches) {
+      const when = subject ? this.param(branch.when, 'case') : branch.when;
+      parts.push(`WHEN ${when} THEN ${this.param(branch.then, 'case')}`);
+    }
+    
+    if (otherwise !== undefined) {
+      parts.push(`ELSE ${this.param(otherwise, 'case')}`);
+    }
+    
+    parts.push('END');
+    return parts.join(' ');
+  }
+  
+  /**
+   * Create an aggregating function call
+   * @param {string} name - One of AGGREGATE_FUNCTIONS
+   * @param {string} expression - Expression to aggregate
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.distinct=false] - Aggregate distinct values only
+   * @param {string} [options.as] - Alias
+   * @returns {string} Aggregation expression
+   * @throws {Error} If the function is not supported
+   */
+  aggregateFunction(name, expression, options = {}) {
+    if (!AGGREGATE_FUNCTIONS.includes(name)) {
+      throw new Error(`Unsupported aggregating function: ${name}`);
+    }
+    
+    const call = `${name}(${options.distinct ? 'DISTINCT ' : ''}${expression})`;
+    return options.as ? `${call} AS ${assertVariable(options.as)}` : call;
+  }
+  
+  /**
+   * Create a count() aggregation
+   * @param {string} [expression='*'] - Expression to count
+   * @param {Object} [options={}] - Options (see aggregateFunction)
+   * @returns {string} Aggregation expression
+   */
+  count(expression = '*', options = {}) {
+    return this.aggregateFunction('count', expression, options);
+  }
+  
+  /**
+   * Create a collect() aggregation
+   * @param {string} expression - Expression to collect
+   * @param {Object} [options={}] - Options (see aggregateFunction)
+   * @returns {string} Aggregation expression
+   */
+  collect(expression, options = {}) {
+    return this.aggregateFunction('collect', expression, options);
+  }
+  
+  /**
+   * Create an avg() aggregation
+   * @param {string} expression - Expression to average
+   * @param {Object} [options={}] - Options (see aggregateFunction)
+   * @returns {string} Aggregation expression
+   */
+  avg(expression, options = {}) {
+    return this.aggregateFunction('avg', expression, options);
+  }
+  
+  /**
+   * Create a sum() aggregation
+   * @param {string} expression - Expression to sum
+   * @param {Object} [options={}] - Options (see aggregateFunction)
+   * @returns {string} Aggregation expression
+   */
+  sum(expression, options = {}) {
+    return this.aggregateFunction('sum', expression, options);
+  }
+  
+  /**
+   * Create a min() aggregation
+   * @param {string} expression - Expression to minimize
+   * @param {Object} [options={}] - Options (see aggregateFunction)
+   * @returns {string} Aggregation expression
+   */
+  min(expression, options = {}) {
+    return this.aggregateFunction('min', expression, options);
+  }
+  
+  /**
+   * Create a max() aggregation
+   * @param {string} expression - Expression to maximize
+   * @param {Object} [options={}] - Options (see aggregateFunction)
+   * @returns {string} Aggregation expression
+   */
+  max(expression, options = {}) {
+    return this.aggregateFunction('max', expression, options);
+  }
+  
+  /**
+   * Return or pass on aggregates grouped by some keys
+   * Cypher groups by every non-aggregated item, so the keys come first.
+   * @param {Array<string>} keys - Grouping keys
+   * @param {Object} aggregates - Aggregation expressions by alias
+   * @param {string} [clause='RETURN'] - "RETURN" or "WITH"
+   * @returns {CypherBuilder} This builder instance
+   */
+  groupBy(keys, aggregates, clause = 'RETURN') {
+    const items = [
+      ...keys,
+      ...Object.entries(aggregates).map(([alias, expression]) => `${expression} AS ${assertVariable(alias)}`)
+    ];
+    
+    return clause === 'WITH' ? this.with(...items) : this.return(...items);
+  }
+  
+  /**
+   * Build the clauses of the query in Cypher order
+   * @returns {Array<string>} Clauses (without UNION parts)
+   */
+  buildClauses() {
     const parts = [];
     
     // Add MATCH clauses
@@ -415,6 +949,17 @@ class CypherBuilder {
       parts.push(`WITH ${this.withItems.join(', ')}`);
     }
     
+    // Add CALL subqueries
+    for (const item of this.callItems) {
+      const body = item.builder.build().query.split('\n');
+      
+      if (item.variables.length > 0) {
+        body.unshift(`WITH ${item.variables.join(', ')}`);
+      }
+      
+      parts.push(['CALL {', ...body.map(line => `  ${line}`), '}'].join('\n'));
+    }
+    
     // Add CREATE clauses
     if (this.createPatterns.length > 0) {
       for (const pattern of this.createPatterns) {
@@ -426,6 +971,13 @@ class CypherBuilder {
     if (this.mergePatterns.length > 0) {
       for (const pattern of this.mergePatterns) {
         parts.push(`MERGE ${pattern.pattern}`);
+        
+        if (pattern.onCreate.length > 0) {
+          parts.push(`ON CREATE SET ${pattern.onCreate.join(', ')}`);
+        }
+        if (pattern.onMatch.length > 0) {
+          parts.push(`ON MATCH SET ${pattern.onMatch.join(', ')}`);
+        }
       }
     }
     
@@ -434,6 +986,11 @@ class CypherBuilder {
       parts.push(`SET ${this.setItems.join(', ')}`);
     }
     
+    // Add FOREACH clauses
+    for (const item of this.foreachItems) {
+      parts.push(`FOREACH (${item.identifier} IN ${item.list} | ${item.clauses.join(' ')})`);
+    }
+    
     // Add DELETE clause
     if (this.deleteItems.length > 0) {
       const detachItems = [];
@@ -476,6 +1033,21 @@ class CypherBuilder {
       parts.push(`LIMIT ${this.limitValue}`);
     }
     
+    return parts;
+  }
+  
+  /**
+   * Build the Cypher query
+   * @returns {Object} Object with query and params properties
+   */
+  build() {
+    const parts = this.buildClauses();
+    
+    // Add UNION parts
+    for (const item of this.unionItems) {
+      parts.push(item.all ? 'UNION ALL' : 'UNION', item.builder.build().query);
+    }
+    
     return {
       query: parts.join('\n'),
       params: this.params
@@ -485,10 +1057,11 @@ class CypherBuilder {
 
 /**
  * Create a new Cypher query builder
+ * @param {Object} [options={}] - Builder options (see CypherBuilder)
  * @returns {CypherBuilder} New Cypher query builder
  */
-function cypher() {
-  return new CypherBuilder();
+function cypher(options = {}) {
+  return new CypherBuilder(options);
 }
 
 /**
@@ -603,7 +1176,9 @@ function createRelationship(startLabel, startIdProperty, startId, endLabel, endI
   builder.match(startNode);
   builder.match(endNode);
   
-  const relPath = builder.path([startNode, relationship, endNode]);
+  // Refer to the matched nodes by identifier; repeating their labels and
+  // properties in CREATE would create new nodes
+  const relPath = builder.path([builder.node('start'), relationship, builder.node('end')]);
   
   return builder
     .create(relPath)
@@ -611,12 +1186,164 @@ function createRelationship(startLabel, startIdProperty, startId, endLabel, endI
     .build();
 }
 
+/**
+ * Match a category node by ID with an inline property map
+ * @param {CypherBuilder} builder - Builder
+ * @param {string} identifier - Node identifier
+ * @param {string} id - Category ID
+ * @param {Object} settings - Label and ID property
+ * @returns {CypherBuilder} The builder
+ */
+function matchCategory(builder, identifier, id, settings) {
+  return builder.match(builder.node(identifier, [settings.label], { [settings.idProperty]: id }));
+}
+
+/**
+ * Build a k-hop neighborhood query
+ * Returns one path per row; every category and relationship of the
+ * neighborhood appears on at least one path.
+ * @param {string} categoryId - Start category ID
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.depth=1] - Maximum number of hops
+ * @param {string} [options.direction='both'] - "outgoing", "incoming" or "both"
+ * @param {Array<string>} [options.types] - Only follow these relationship types
+ * @param {number} [options.minStrength] - Only follow relationships at least this strong
+ * @param {string} [options.label='Category'] - Node label
+ * @param {string} [options.idProperty='category_id'] - Node ID property
+ * @param {string} [options.relType='RELATED_TO'] - Relationship type
+ * @returns {Object} Object with query and params properties
+ */
+function findNeighborhood(categoryId, options = {}) {
+  const settings = { ...GRAPH_DEFAULTS, depth: 1, direction: 'both', ...options };
+  const builder = new CypherBuilder();
+  
+  matchCategory(builder, 'start', categoryId, settings);
+  
+  const path = builder.path([
+    builder.node('start'),
+    builder.relationship(null, settings.relType, {}, '-', { min: 1, max: settings.depth }),
+    builder.node('neighbor', [settings.label])
+  ]);
+  
+  return builder
+    .match(builder.namedPath('p', path))
+    .wherePathFilters('p', settings)
+    .return('p')
+    .build();
+}
+
+/**
+ * Build a query for the shortest paths between two categories
+ * @param {string} sourceId - Source category ID
+ * @param {string} targetId - Target category ID
+ * @param {Object} options - Options (see findShortestPath)
+ * @param {boolean} all - Whether to return every shortest path
+ * @returns {Object} Object with query and params properties
+ */
+function buildShortestPathQuery(sourceId, targetId, options, all) {
+  const settings = { ...GRAPH_DEFAULTS, maxDepth: 5, direction: 'outgoing', ...options };
+  const builder = new CypherBuilder();
+  
+  matchCategory(builder, 'source', sourceId, settings);
+  matchCategory(builder, 'target', targetId, settings);
+  
+  const path = builder.path([
+    builder.node('source'),
+    builder.relationship(null, settings.relType, {}, '-', { max: settings.maxDepth }),
+    builder.node('target')
+  ]);
+  
+  builder
+    .match(all ? builder.allShortestPaths('p', path) : builder.shortestPath('p', path))
+    .wherePathFilters('p', settings)
+    .return('p');
+  
+  if (all && settings.limit) {
+    builder.limit(settings.limit);
+  }
+  
+  return builder.build();
+}
+
+/**
+ * Build a shortest-path query between two categories
+ * @param {string} sourceId - Source category ID
+ * @param {string} targetId - Target category ID
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.maxDepth=5] - Maximum path length
+ * @param {string} [options.direction='outgoing'] - "outgoing", "incoming" or "both"
+ * @param {Array<string>} [options.types] - Only follow these relationship types
+ * @param {number} [options.minStrength] - Only follow relationships at least this strong
+ * @param {string} [options.label='Category'] - Node label
+ * @param {string} [options.idProperty='category_id'] - Node ID property
+ * @param {string} [options.relType='RELATED_TO'] - Relationship type
+ * @returns {Object} Object with query and params properties
+ */
+function findShortestPath(sourceId, targetId, options = {}) {
+  return buildShortestPathQuery(sourceId, targetId, options, false);
+}
+
+/**
+ * Build a query for every shortest path between two categories
+ * @param {string} sourceId - Source category ID
+ * @param {string} targetId - Target category ID
+ * @param {Object} [options={}] - Options (see findShortestPath)
+ * @param {number} [options.limit] - Maximum number of paths
+ * @returns {Object} Object with query and params properties
+ * @throws {Error} If the limit is not a non-negative integer
+ */
+function findAllShortestPaths(sourceId, targetId, options = {}) {
+  return buildShortestPathQuery(sourceId, targetId, options, true);
+}
+
+/**
+ * Build a query for all paths between two categories, shortest first
+ * Paths never visit a category twice.
+ * @param {string} sourceId - Source category ID
+ * @param {string} targetId - Target category ID
+ * @param {Object} [options={}] - Options (see findShortestPath)
+ * @param {number} [options.limit=100] - Maximum number of paths
+ * @returns {Object} Object with query and params properties
+ * @throws {Error} If the limit is not a non-negative integer
+ */
+function findAllPaths(sourceId, targetId, options = {}) {
+  const settings = { ...GRAPH_DEFAULTS, maxDepth: 5, limit: 100, direction: 'outgoing', ...options };
+  const builder = new CypherBuilder();
+  
+  const sourceParam = builder.addParam(sourceId, 'source');
+  const targetParam = builder.addParam(targetId, 'target');
+  
+  const path = builder.path([
+    builder.node('source', [settings.label]),
+    builder.relationship(null, settings.relType, {}, '-', { min: 1, max: settings.maxDepth }),
+    builder.node('target', [settings.label])
+  ]);
+  
+  return builder
+    .match(builder.namedPath('p', path))
+    .where(`${builder.property('source', settings.idProperty)} = $${sourceParam}`)
+    .where(`${builder.property('target', settings.idProperty)} = $${targetParam}`)
+    .wherePathFilters('p', { ...settings, uniqueNodes: true })
+    .return('p')
+    .orderBy('length(p)')
+    .limit(settings.limit)
+    .build();
+}
+
 module.exports = {
   cypher,
   CypherBuilder,
+  GRAPH_DEFAULTS,
+  AGGREGATE_FUNCTIONS,
+  IDENTIFIER_KINDS,
+  escapeIdentifier,
   findNode,
   createNode,
   updateNode,
   deleteNode,
-  createRelationship
+  createRelationship,
+  findNeighborhood,
+  findShortestPath,
+  findAllShortestPaths,
+  findAllPaths
 };
@@ -5,6 +5,24 @@
 
 const neo4j = require('neo4j-driver');
 const { defaultLogger } = require('../../logging/logger');
+const { trackDbOperation } = require('../../metrics/counters');
+
+// URI schemes that make the driver use cluster routing
+const ROUTING_SCHEMES = ['neo4j', 'neo4j+s', 'neo4j+ssc'];
+
+// Error codes that are safe to retry even though they are not Neo.TransientError.*
+const RETRYABLE_ERROR_CODES = [
+  'ServiceUnavailable',
+  'SessionExpired',
+  'Neo.ClientError.Cluster.NotALeader',
+  'Neo.ClientError.General.ForbiddenOnReadOnlyDatabase'
+];
+
+// Transient errors that were caused by the client and must not be retried
+const NON_RETRYABLE_TRANSIENT_CODES = [
+  'Neo.TransientError.Transaction.Terminated',
+  'Neo.TransientError.Transaction.LockClientStopped'
+];
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -16,6 +34,17 @@ const DEFAULT_CONFIG = {
   connectionAcquisitionTimeout: 60000, // 60 seconds
   connectionTimeout: 30000, // 30 seconds
   maxTransactionRetryTime: 30000, // 30 seconds
+  // Switch a bolt:// URI to neo4j:// so reads can be routed to followers
+  cluster: process.env.NEO4J_CLUSTER === 'true',
+  retry: {
+    maxRetries: process.env.NEO4J_TX_MAX_RETRIES ? parseInt(process.env.NEO4J_TX_MAX_RETRIES, 10) : 5,
+    initialDelay: 100,
+    multiplier: 2,
+    maxDelay: 5000,
+    jitter: 0.2
+  },
+  // Metrics object from initializeMetrics; query metrics are skipped when null
+  metrics: null,
   logging: {
     level: process.env.NEO4J_LOGGING_LEVEL || 'warn',
     logger: (level, message) => {
@@ -31,6 +60,57 @@ const DEFAULT_CONFIG = {
   }
 };
 
+/**
+ * Causal chain of the transactions of one request or unit of work
+ * Reads given a scope wait for the writes committed through it. Bookmarks
+ * are merged: a commit replaces only the bookmarks its session started from,
+ * so concurrent writes in the same scope never drop a newer bookmark.
+ */
+class BookmarkScope {
+  /**
+   * Create an empty bookmark scope
+   */
+  constructor() {
+    this.bookmarks = new Map();
+  }
+  
+  /**
+   * Get the bookmarks of the writes committed in this scope
+   * @param {string} [database] - Database name
+   * @returns {Array<string>} Bookmarks
+   */
+  get(database) {
+    return [...(this.bookmarks.get(database || '') || [])];
+  }
+  
+  /**
+   * Merge the bookmarks of a committed transaction
+   * @param {string} [database] - Database name
+   * @param {Array<string>} previous - Bookmarks the session started from
+   * @param {Array<string>} latest - Bookmarks of the committed transaction
+   */
+  update(database, previous, latest) {
+    const current = new Set(this.bookmarks.get(database || '') || []);
+    
+    for (const bookmark of previous) {
+      current.delete(bookmark);
+    }
+    
+    for (const bookmark of latest) {
+      current.add(bookmark);
+    }
+    
+    this.bookmarks.set(database || '', current);
+  }
+  
+  /**
+   * Forget all bookmarks
+   */
+  clear() {
+    this.bookmarks.clear();
+  }
+}
+
 /**
  * Neo4j client class
  */
@@ -41,12 +121,50 @@ class Neo4jDriver {
    * @param {Object} [logger=defaultLogger] - Logger instance
    */
   constructor(config = {}, logger = defaultLogger) {
-    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      retry: { ...DEFAULT_CONFIG.retry, ...(config.retry || {}) }
+    };
     this.logger = logger;
+    this.metrics = this.config.metrics;
     this.driver = null;
     this.isConnected = false;
   }
   
+  /**
+   * Attach a metrics object so transactions report their duration
+   * @param {Object} metrics - Metrics object from initializeMetrics
+   * @returns {Neo4jDriver} This driver for chaining
+   */
+  setMetrics(metrics) {
+    this.metrics = metrics;
+    return this;
+  }
+  
+  /**
+   * Get the URI the driver connects to, switched to a routing scheme in cluster mode
+   * @returns {string} Connection URI
+   */
+  getUri() {
+    const { uri, cluster } = this.config;
+    
+    if (cluster && /^bolt(\+s|\+ssc)?:\/\//.test(uri)) {
+      return uri.replace(/^bolt/, 'neo4j');
+    }
+    
+    return uri;
+  }
+  
+  /**
+   * Check whether reads and writes are routed across cluster members
+   * @returns {boolean} Whether routing is enabled
+   */
+  isRoutingEnabled() {
+    const scheme = this.getUri().split('://')[0];
+    return ROUTING_SCHEMES.includes(scheme);
+  }
+  
   /**
    * Initialize the Neo4j driver
    * @returns {neo4j.Driver} The Neo4j driver instance
@@ -54,14 +172,15 @@ class Neo4jDriver {
   initialize() {
     if (!this.driver) {
       this.logger.info('Initializing Neo4j driver', {
-        uri: this.config.uri,
+        uri: this.getUri(),
         user: this.config.user,
-        database: this.config.database
+        database: this.config.database,
+        routing: this.isRoutingEnabled()
       });
       
       try {
         this.driver = neo4j.driver(
-          this.config.uri,
+          this.getUri(),
           neo4j.auth.basic(this.config.user, this.config.password),
           {
             maxConnectionPoolSize: this.config.maxConnectionPoolSize,
@@ -169,42 +288,196 @@ class Neo4jDriver {
   
   /**
    * Execute a read transaction
-   * @param {Function} work - Transaction function
-   * @param {Object} [options={}] - Session options
+   *
+   * Reads go to followers when routing is enabled. A read given a bookmark
+   * scope waits for the writes committed through that scope, so a request
+   * always sees its own preceding writes; reads without one do not wait.
+   * @param {Function} work - Transaction function receiving the transaction
+   * @param {Object} [options={}] - Transaction options
+   * @param {string} [options.database] - Database name
+   * @param {BookmarkScope} [options.bookmarkScope] - Scope from createBookmarkScope
+   * @param {Array<string>} [options.bookmarks] - Bookmarks to wait for instead of those of the scope
+   * @param {boolean} [options.causal=true] - Whether to wait for the bookmarks of the scope
+   * @param {string} [options.operation='read'] - Operation label for metrics
+   * @param {string} [options.entity='graph'] - Entity label for metrics
+   * @param {number} [options.maxRetries] - Override the configured retry limit
+   * @param {number} [options.timeout] - Transaction timeout in milliseconds
+   * @param {Object} [options.metadata] - Transaction metadata
    * @returns {Promise<*>} Transaction result
    */
   async readTransaction(work, options = {}) {
-    const session = this.createSession({
-      ...options,
-      defaultAccessMode: neo4j.session.READ
-    });
-    
-    try {
-      return await session.readTransaction(work);
-    } finally {
-      session.close();
-    }
+    return this.executeTransaction(neo4j.session.READ, work, options);
   }
   
   /**
    * Execute a write transaction
-   * @param {Function} work - Transaction function
-   * @param {Object} [options={}] - Session options
+   *
+   * Writes always go to the leader. The bookmarks of the committed
+   * transaction are merged into the bookmark scope, if given, so that later
+   * reads in the same scope observe it.
+   * @param {Function} work - Transaction function receiving the transaction
+   * @param {Object} [options={}] - Transaction options, same as readTransaction
    * @returns {Promise<*>} Transaction result
    */
   async writeTransaction(work, options = {}) {
+    return this.executeTransaction(neo4j.session.WRITE, work, options);
+  }
+  
+  /**
+   * Execute a managed transaction with retries, bookmarks and metrics
+   * @param {string} accessMode - neo4j.session.READ or neo4j.session.WRITE
+   * @param {Function} work - Transaction function receiving the transaction
+   * @param {Object} [options={}] - Transaction options
+   * @returns {Promise<*>} Transaction result
+   */
+  async executeTransaction(accessMode, work, options = {}) {
+    const isWrite = accessMode === neo4j.session.WRITE;
+    const operation = options.operation || (isWrite ? 'write' : 'read');
+    const entity = options.entity || 'graph';
+    
+    const execute = () => this.runWithRetry(accessMode, work, options, { operation, entity });
+    
+    if (!this.metrics) {
+      return execute();
+    }
+    
+    return trackDbOperation(this.metrics, operation, entity, execute);
+  }
+  
+  /**
+   * Run a transaction, retrying transient failures with exponential backoff
+   * @param {string} accessMode - neo4j.session.READ or neo4j.session.WRITE
+   * @param {Function} work - Transaction function receiving the transaction
+   * @param {Object} options - Transaction options
+   * @param {Object} labels - Metric labels
+   * @returns {Promise<*>} Transaction result
+   * @private
+   */
+  async runWithRetry(accessMode, work, options, labels) {
+    const maxRetries = options.maxRetries !== undefined
+      ? options.maxRetries
+      : this.config.retry.maxRetries;
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.runOnce(accessMode, work, options);
+      } catch (err) {
+        if (attempt >= maxRetries || !Neo4jDriver.isRetryableError(err)) {
+          throw err;
+        }
+        
+        const delay = this.getRetryDelay(attempt + 1);
+        
+        this.logger.warn('Retrying Neo4j transaction after transient error', {
+          accessMode,
+          operation: labels.operation,
+          attempt: attempt + 1,
+          delay: `${delay}ms`,
+          code: err.code,
+          error: err.message
+        });
+        
+        if (this.metrics && this.metrics.dbTransactionRetriesTotal) {
+          this.metrics.dbTransactionRetriesTotal.inc(labels);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  
+  /**
+   * Run a single transaction attempt in a fresh session
+   * @param {string} accessMode - neo4j.session.READ or neo4j.session.WRITE
+   * @param {Function} work - Transaction function receiving the transaction
+   * @param {Object} options - Transaction options
+   * @returns {Promise<*>} Transaction result
+   * @private
+   */
+  async runOnce(accessMode, work, options) {
+    const database = options.database || this.config.database;
+    const scope = options.bookmarkScope;
+    const bookmarks = options.bookmarks ||
+      (scope && options.causal !== false ? scope.get(database) : undefined);
+    
     const session = this.createSession({
-      ...options,
-      defaultAccessMode: neo4j.session.WRITE
+      database,
+      defaultAccessMode: accessMode,
+      bookmarks: bookmarks && bookmarks.length > 0 ? bookmarks : undefined
     });
     
+    const txConfig = {};
+    if (options.timeout) {
+      txConfig.timeout = options.timeout;
+    }
+    if (options.metadata) {
+      txConfig.metadata = options.metadata;
+    }
+    
     try {
-      return await session.writeTransaction(work);
+      const tx = session.beginTransaction(txConfig);
+      let result;
+      
+      try {
+        result = await work(tx);
+        await tx.commit();
+      } catch (err) {
+        if (tx.isOpen()) {
+          await tx.rollback().catch(() => {});
+        }
+        throw err;
+      }
+      
+      if (scope && accessMode === neo4j.session.WRITE) {
+        this.trackBookmarks(scope, database, session, bookmarks || []);
+      }
+      
+      return result;
     } finally {
-      session.close();
+      await session.close();
+    }
+  }
+  
+  /**
+   * Create a bookmark scope for the transactions of one request
+   * @returns {BookmarkScope} Empty scope
+   */
+  createBookmarkScope() {
+    return new BookmarkScope();
+  }
+  
+  /**
+   * Merge the bookmarks of a session after a committed write into a scope
+   * @param {BookmarkScope} scope - Bookmark scope
+   * @param {string} database - Database name
+   * @param {neo4j.Session} session - Session that committed the write
+   * @param {Array<string>} previous - Bookmarks the session started from
+   * @private
+   */
+  trackBookmarks(scope, database, session, previous) {
+    const bookmarks = typeof session.lastBookmarks === 'function'
+      ? session.lastBookmarks()
+      : session.lastBookmark();
+    
+    if (bookmarks && bookmarks.length > 0) {
+      scope.update(database, previous, [].concat(bookmarks));
     }
   }
   
+  /**
+   * Calculate the delay before a retry
+   * @param {number} retryCount - Number of the retry, starting at 1
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  getRetryDelay(retryCount) {
+    const { initialDelay, multiplier, maxDelay, jitter } = this.config.retry;
+    const base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, retryCount - 1));
+    const spread = base * jitter;
+    
+    return Math.round(base - spread + Math.random() * spread * 2);
+  }
+  
   /**
    * Check if the database connection is healthy
    * @returns {Promise<boolean>} Whether the connection is healthy
@@ -340,6 +613,24 @@ class Neo4jDriver {
     return value;
   }
   
+  /**
+   * Check whether an error is transient and the transaction can be retried
+   * @param {Error} err - Error thrown by the driver
+   * @returns {boolean} Whether the transaction can be retried
+   */
+  static isRetryableError(err) {
+    if (!err || !err.code) {
+      return false;
+    }
+    
+    if (RETRYABLE_ERROR_CODES.includes(err.code)) {
+      return true;
+    }
+    
+    return err.code.startsWith('Neo.TransientError.') &&
+      !NON_RETRYABLE_TRANSIENT_CODES.includes(err.code);
+  }
+  
   /**
    * Convert Neo4j records to plain objects
    * @param {Array<neo4j.Record>} records - Neo4j records
@@ -357,5 +648,6 @@ const defaultDriver = new Neo4jDriver();
 module.exports = {
   neo4j,
   Neo4jDriver,
+  BookmarkScope,
   defaultDriver
 };
@@ -0,0 +1,71 @@
+/**
+ * In-memory stand-in for the Neo4j driver
+ * Executes the Cypher subset produced by CypherBuilder and the repository
+ * templates against a graph held in memory, so repositories and graph-service
+ * tests can run without a Neo4j server.
+ *
+ * InMemoryNeo4jDriver has the interface of Neo4jDriver (run, readTransaction,
+ * writeTransaction, createSession, bookmark scopes and retries). Repositories that
+ * expect a raw neo4j-driver instance can take getDriver() instead:
+ *
+ *   const memory = new InMemoryNeo4jDriver();
+ *   const repository = new Neo4jCategoryRepository({ driver: memory.getDriver() });
+ */
+
+const { Neo4jDriver } = require('./driver');
+const { GraphStore } = require('./memory/graphStore');
+const { InMemoryDriver } = require('./memory/session');
+const { parse } = require('./memory/parser');
+const { defaultLogger } = require('../../logging/logger');
+
+/**
+ * Neo4jDriver backed by an in-memory graph
+ */
+class InMemoryNeo4jDriver extends Neo4jDriver {
+  /**
+   * Create a new in-memory driver
+   * @param {Object} [config] - Configuration options (see Neo4jDriver)
+   * @param {GraphStore} [config.store] - Graph to use; drivers sharing a store share their data
+   * @param {Object} [logger=defaultLogger] - Logger instance
+   */
+  constructor(config = {}, logger = defaultLogger) {
+    super({ uri: 'memory://', cluster: false, ...config }, logger);
+    this.store = config.store || new GraphStore();
+  }
+  
+  /**
+   * Initialize the in-memory driver
+   * @returns {InMemoryDriver} Driver stand-in
+   */
+  initialize() {
+    if (!this.driver) {
+      this.logger.info('Initializing in-memory Neo4j driver');
+      this.driver = new InMemoryDriver(this.store);
+      this.isConnected = true;
+    }
+    
+    return this.driver;
+  }
+  
+  /**
+   * Remove all data, e.g. between tests
+   */
+  reset() {
+    this.store.clear();
+  }
+  
+  /**
+   * Check that a query is in the subset the in-memory executor understands
+   * @param {string} cypher - Cypher query
+   * @returns {Object} Parsed query
+   * @throws {Neo4jError} With code Neo.ClientError.Statement.SyntaxError if it is not
+   */
+  static parse(cypher) {
+    return parse(cypher);
+  }
+}
+
+module.exports = {
+  InMemoryNeo4jDriver,
+  GraphStore
+};
@@ -0,0 +1,48 @@
+/**
+ * Errors raised by the in-memory Cypher executor
+ * They are Neo4jError instances carrying the status codes a Neo4j server
+ * would report, so callers and the retry logic of Neo4jDriver can treat
+ * them exactly like errors from a live database
+ */
+
+const neo4j = require('neo4j-driver');
+
+// Neo4j status codes used by the executor
+const ERROR_CODES = {
+  SYNTAX_ERROR: 'Neo.ClientError.Statement.SyntaxError',
+  PARAMETER_MISSING: 'Neo.ClientError.Statement.ParameterMissing',
+  TYPE_ERROR: 'Neo.ClientError.Statement.TypeError',
+  SEMANTIC_ERROR: 'Neo.ClientError.Statement.SemanticError',
+  ARGUMENT_ERROR: 'Neo.ClientError.Statement.ArgumentError',
+  ARITHMETIC_ERROR: 'Neo.ClientError.Statement.ArithmeticError',
+  ACCESS_MODE: 'Neo.ClientError.Statement.AccessMode',
+  CONSTRAINT_VALIDATION_FAILED: 'Neo.ClientError.Schema.ConstraintValidationFailed',
+  TRANSACTION_CLOSED: 'Neo.ClientError.Transaction.TransactionNotFound'
+};
+
+/**
+ * Create an error with a Neo4j status code
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Error message
+ * @returns {Neo4jError} Error
+ */
+function cypherError(code, message) {
+  return new neo4j.Neo4jError(message, code);
+}
+
+/**
+ * Create a syntax error
+ * @param {string} message - Error message
+ * @param {number} [offset] - Offset in the query where the error was found
+ * @returns {Neo4jError} Error
+ */
+function syntaxError(message, offset) {
+  const position = offset !== undefined ? ` (offset: ${offset})` : '';
+  return cypherError(ERROR_CODES.SYNTAX_ERROR, `${message}${position}`);
+}
+
+module.exports = {
+  ERROR_CODES,
+  cypherError,
+  syntaxError
+};
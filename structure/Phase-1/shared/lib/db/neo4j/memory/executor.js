@@ -0,0 +1,1015 @@
+/**
+ * Clause execution for the in-memory Cypher executor
+ * A query runs synchronously over a list of rows (variable bindings), one
+ * clause at a time, like Neo4j's logical plan without the optimizer. It is
+ * meant for fixture-sized graphs: patterns are matched by walking from the
+ * first node of each pattern and variable-length paths are enumerated.
+ */
+
+const neo4j = require('neo4j-driver');
+const { StoredNode, StoredRelationship, PathValue } = require('./graphStore');
+const { evaluate, equals, compareForOrder, valueKey, kindOf } = require('./expressions');
+const { ERROR_CODES, cypherError } = require('./errors');
+
+/**
+ * Execution state of one query
+ * @typedef {Object} ExecutionContext
+ * @property {GraphStore} store - Graph
+ * @property {Object} params - Query parameters
+ * @property {Array<Object>|null} group - Rows of the current group while projecting aggregates
+ * @property {Object} counters - Update statistics
+ * @property {Array<StoredNode>} deletedNodes - Nodes deleted without DETACH
+ */
+
+/**
+ * Create empty update statistics
+ * @returns {Object} Counters named like Neo4j's query statistics
+ */
+function createCounters() {
+  return {
+    nodesCreated: 0,
+    nodesDeleted: 0,
+    relationshipsCreated: 0,
+    relationshipsDeleted: 0,
+    propertiesSet: 0,
+    labelsAdded: 0,
+    labelsRemoved: 0
+  };
+}
+
+/**
+ * Convert driver values in parameters to the executor's representation
+ * @param {*} value - Parameter value
+ * @returns {*} Plain value (neo4j Integers become numbers)
+ */
+function fromDriverValue(value) {
+  if (value === null || value === undefined) return null;
+  if (neo4j.isInt(value)) return value.toNumber();
+  if (Array.isArray(value)) return value.map(fromDriverValue);
+  if (value instanceof Date) return value;
+  
+  if (typeof value === 'object') {
+    if (value.constructor && value.constructor !== Object && typeof value.toString === 'function') {
+      // Driver temporal and spatial values
+      return value.toString();
+    }
+    
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = fromDriverValue(value[key]);
+    }
+    return result;
+  }
+  
+  return value;
+}
+
+/**
+ * Check that a value can be stored as a property
+ * @param {string} key - Property key
+ * @param {*} value - Value
+ * @returns {*} The value
+ * @throws {Neo4jError} If the value is a map, node, relationship or path, or a list of those
+ */
+function assertPropertyValue(key, value) {
+  const kind = kindOf(value);
+  const valid = kind === 'list'
+    ? value.every(item => ['string', 'number', 'boolean'].includes(kindOf(item)))
+    : !['map', 'node', 'relationship', 'path'].includes(kind);
+  
+  if (!valid) {
+    throw cypherError(
+      ERROR_CODES.TYPE_ERROR,
+      `Property values can only be of primitive types or arrays thereof (property '${key}')`
+    );
+  }
+  
+  return value;
+}
+
+/**
+ * Get the variables a list of pattern parts introduces
+ * @param {Array<Object>} patterns - Pattern parts
+ * @returns {Array<string>} Variables
+ */
+function patternVariables(patterns) {
+  const variables = [];
+  
+  for (const part of patterns) {
+    if (part.variable) variables.push(part.variable);
+    for (const element of part.elements) {
+      if (element.variable) variables.push(element.variable);
+    }
+  }
+  
+  return [...new Set(variables)];
+}
+
+/**
+ * Pattern matcher bound to one query execution
+ */
+class PatternMatcher {
+  /**
+   * Create a new matcher
+   * @param {ExecutionContext} context - Execution context
+   */
+  constructor(context) {
+    this.context = context;
+  }
+  
+  /**
+   * Evaluate the property map of a node or relationship pattern
+   * @param {Object|null} expression - Map or parameter expression
+   * @param {Object} row - Variable bindings
+   * @returns {Object} Properties (empty when the pattern has none)
+   */
+  patternProperties(expression, row) {
+    if (!expression) return {};
+    
+    const properties = evaluate(expression, row, this.context);
+    if (kindOf(properties) !== 'map') {
+      throw cypherError(ERROR_CODES.TYPE_ERROR, `Expected a map of properties but got ${kindOf(properties)}`);
+    }
+    return properties;
+  }
+  
+  /**
+   * Check an entity against the properties of a pattern
+   * @param {StoredNode|StoredRelationship} entity - Node or relationship
+   * @param {Object} properties - Required properties
+   * @returns {boolean} Whether every property matches
+   */
+  hasProperties(entity, properties) {
+    return Object.entries(properties)
+      .every(([key, value]) => equals(entity.properties[key] === undefined ? null : entity.properties[key], value) === true);
+  }
+  
+  /**
+   * Try to bind a node to a node pattern
+   * @param {Object} pattern - Node pattern
+   * @param {StoredNode} node - Candidate node
+   * @param {Object} row - Variable bindings
+   * @returns {Object|null} Extended bindings, or null if the node does not match
+   */
+  bindNode(pattern, node, row) {
+    if (node.deleted || !pattern.labels.every(label => node.labels.includes(label))) {
+      return null;
+    }
+    
+    if (pattern.variable && Object.prototype.hasOwnProperty.call(row, pattern.variable)) {
+      if (row[pattern.variable] !== node) return null;
+    }
+    
+    if (!this.hasProperties(node, this.patternProperties(pattern.properties, row))) {
+      return null;
+    }
+    
+    return pattern.variable ? { ...row, [pattern.variable]: node } : row;
+  }
+  
+  /**
+   * Get the nodes a pattern part may start from
+   * @param {Object} pattern - First node pattern
+   * @param {Object} row - Variable bindings
+   * @returns {Array<StoredNode>} Candidates
+   */
+  startCandidates(pattern, row) {
+    if (pattern.variable && Object.prototype.hasOwnProperty.call(row, pattern.variable)) {
+      const bound = row[pattern.variable];
+      if (bound === null) return [];
+      if (!(bound instanceof StoredNode)) {
+        throw cypherError(ERROR_CODES.TYPE_ERROR, `Variable \`${pattern.variable}\` is not a node`);
+      }
+      return [bound];
+    }
+    
+    return this.context.store.allNodes(pattern.labels[0]);
+  }
+  
+  /**
+   * Get the relationships a relationship pattern may follow from a node
+   * @param {Object} pattern - Relationship pattern
+   * @param {StoredNode} node - Current node
+   * @param {Object} row - Variable bindings
+   * @returns {Array<Object>} Candidates as { relationship, other } pairs
+   */
+  relationshipCandidates(pattern, node, row) {
+    const properties = this.patternProperties(pattern.properties, row);
+    const candidates = [];
+    const seen = new Set();
+    
+    const consider = (relationship, other) => {
+      if (seen.has(relationship)) return;
+      seen.add(relationship);
+      
+      if (pattern.types.length > 0 && !pattern.types.includes(relationship.type)) return;
+      if (!this.hasProperties(relationship, properties)) return;
+      
+      candidates.push({ relationship, other });
+    };
+    
+    if (pattern.direction !== 'in') {
+      node.outgoing.forEach(relationship => consider(relationship, relationship.end));
+    }
+    if (pattern.direction !== 'out') {
+      node.incoming.forEach(relationship => consider(relationship, relationship.start));
+    }
+    
+    return candidates;
+  }
+  
+  /**
+   * Match a pattern part
+   * @param {Object} part - Pattern part
+   * @param {Object} row - Variable bindings
+   * @param {Set<StoredRelationship>} used - Relationships already matched in this clause
+   * @returns {Array<Object>} Matches as { row, used, path } objects
+   */
+  matchPart(part, row, used) {
+    const results = [];
+    const { elements } = part;
+    
+    const emit = (currentRow, currentUsed, nodes, relationships) => {
+      const path = new PathValue(nodes, relationships);
+      const boundRow = part.variable ? { ...currentRow, [part.variable]: path } : currentRow;
+      results.push({ row: boundRow, used: currentUsed, path });
+    };
+    
+    const walk = (index, node, currentRow, currentUsed, nodes, relationships) => {
+      if (index === elements.length - 1) {
+        emit(currentRow, currentUsed, nodes, relationships);
+        return;
+      }
+      
+      const pattern = elements[index + 1];
+      const nextPattern = elements[index + 2];
+      
+      if (!pattern.range) {
+        for (const { relationship, other } of this.relationshipCandidates(pattern, node, currentRow)) {
+          if (currentUsed.has(relationship)) continue;
+          
+          let nextRow = currentRow;
+          if (pattern.variable) {
+            if (Object.prototype.hasOwnProperty.call(currentRow, pattern.variable)) {
+              if (currentRow[pattern.variable] !== relationship) continue;
+            } else {
+              nextRow = { ...currentRow, [pattern.variable]: relationship };
+            }
+          }
+          
+          const boundRow = this.bindNode(nextPattern, other, nextRow);
+          if (!boundRow) continue;
+          
+          walk(index + 2, other, boundRow, new Set([...currentUsed, relationship]),
+            [...nodes, other], [...relationships, relationship]);
+        }
+        return;
+      }
+      
+      const { min, max } = pattern.range;
+      
+      const expand = (current, hops, pathNodes, pathRelationships, pathUsed) => {
+        if (hops.length >= min) {
+          let nextRow = currentRow;
+          let matches = true;
+          
+          if (pattern.variable) {
+            if (Object.prototype.hasOwnProperty.call(currentRow, pattern.variable)) {
+              matches = equals(currentRow[pattern.variable], hops) === true;
+            } else {
+              nextRow = { ...currentRow, [pattern.variable]: hops };
+            }
+          }
+          
+          const boundRow = matches && this.bindNode(nextPattern, current, nextRow);
+          if (boundRow) {
+            walk(index + 2, current, boundRow, pathUsed, pathNodes, pathRelationships);
+          }
+        }
+        
+        if (hops.length >= max) return;
+        
+        for (const { relationship, other } of this.relationshipCandidates(pattern, current, currentRow)) {
+          if (pathUsed.has(relationship)) continue;
+          expand(other, [...hops, relationship], [...pathNodes, other], [...pathRelationships, relationship],
+            new Set([...pathUsed, relationship]));
+        }
+      };
+      
+      expand(node, [], nodes, relationships, currentUsed);
+    };
+    
+    for (const start of this.startCandidates(elements[0], row)) {
+      const boundRow = this.bindNode(elements[0], start, row);
+      if (boundRow) {
+        walk(0, start, boundRow, used, [start], []);
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Match several pattern parts sharing relationship uniqueness
+   * @param {Array<Object>} parts - Pattern parts
+   * @param {Object} row - Variable bindings
+   * @param {Set<StoredRelationship>} [used] - Relationships already matched
+   * @returns {Array<Object>} Matches as { row, used } objects
+   */
+  matchParts(parts, row, used = new Set()) {
+    let matches = [{ row, used }];
+    
+    for (const part of parts) {
+      const extended = [];
+      for (const match of matches) {
+        extended.push(...this.matchPart(part, match.row, match.used));
+      }
+      matches = extended;
+    }
+    
+    return matches;
+  }
+  
+  /**
+   * Match the patterns of a MATCH clause, applying its WHERE
+   * shortestPath and allShortestPaths parts keep the shortest paths that
+   * satisfy WHERE, as Neo4j does.
+   * @param {Object} clause - Match clause
+   * @param {Object} row - Variable bindings
+   * @returns {Array<Object>} Extended bindings
+   */
+  matchClause(clause, row) {
+    const keep = candidate => !clause.where || evaluate(clause.where, candidate, this.context) === true;
+    const shortestParts = clause.patterns.filter(part => part.shortest);
+    
+    if (shortestParts.length === 0) {
+      return this.matchParts(clause.patterns, row).map(match => match.row).filter(keep);
+    }
+    
+    if (shortestParts.length > 1) {
+      throw cypherError(ERROR_CODES.SEMANTIC_ERROR, 'Only one shortestPath pattern per MATCH is supported');
+    }
+    
+    const [shortest] = shortestParts;
+    const results = [];
+    
+    for (const match of this.matchParts(clause.patterns.filter(part => !part.shortest), row)) {
+      const byLength = new Map();
+      
+      for (const candidate of this.matchPart(shortest, match.row, match.used)) {
+        const length = candidate.path.length;
+        if (!byLength.has(length)) byLength.set(length, []);
+        byLength.get(length).push(candidate.row);
+      }
+      
+      for (const length of [...byLength.keys()].sort((a, b) => a - b)) {
+        const passing = byLength.get(length).filter(keep);
+        if (passing.length > 0) {
+          results.push(...(shortest.shortest === 'single' ? passing.slice(0, 1) : passing));
+          break;
+        }
+      }
+    }
+    
+    return results;
+  }
+}
+
+/**
+ * Executor for parsed queries
+ */
+class QueryExecutor {
+  /**
+   * Create a new executor for one query execution
+   * @param {GraphStore} store - Graph
+   * @param {Object} params - Query parameters
+   */
+  constructor(store, params) {
+    this.context = {
+      store,
+      params: fromDriverValue(params || {}),
+      group: null,
+      counters: createCounters(),
+      deletedNodes: []
+    };
+    this.matcher = new PatternMatcher(this.context);
+  }
+  
+  /**
+   * Run a query
+   * @param {Object} query - Query AST
+   * @returns {Object} Result with columns (null without RETURN), rows and counters
+   * @throws {Neo4jError} If the query fails or leaves a deleted node with relationships
+   */
+  execute(query) {
+    const { columns, rows } = this.runQuery(query, () => ({ rows: [{}], scope: [] }));
+    this.checkDeletedNodes();
+    
+    return { columns, rows, counters: this.context.counters };
+  }
+  
+  /**
+   * Run a single query or a UNION
+   * @param {Object} query - Query AST
+   * @param {Function} input - Returns the input rows and variables in scope for a single query
+   * @returns {Object} Columns and rows
+   */
+  runQuery(query, input) {
+    if (query.type !== 'Union') {
+      const { rows, scope } = input(query);
+      return this.runClauses(query.clauses, rows, scope);
+    }
+    
+    const results = query.queries.map(single => {
+      const { rows, scope } = input(single);
+      return this.runClauses(single.clauses, rows, scope);
+    });
+    
+    const columns = results[0].columns;
+    for (const result of results) {
+      if (!result.columns || valueKey(result.columns) !== valueKey(columns)) {
+        throw cypherError(ERROR_CODES.SEMANTIC_ERROR, 'All sub queries in an UNION must have the same return column names');
+      }
+    }
+    
+    const rows = results.flatMap(result => result.rows);
+    if (query.all.every(Boolean)) {
+      return { columns, rows };
+    }
+    
+    return { columns, rows: distinctRows(rows, columns) };
+  }
+  
+  /**
+   * Run clauses one after another
+   * @param {Array<Object>} clauses - Clause ASTs
+   * @param {Array<Object>} rows - Input rows
+   * @param {Array<string>} scope - Variables in scope
+   * @returns {Object} Columns (null without RETURN) and rows
+   */
+  runClauses(clauses, rows, scope) {
+    let columns = null;
+    
+    for (const clause of clauses) {
+      switch (clause.type) {
+        case 'Match':
+          rows = this.runMatch(clause, rows, scope);
+          scope = [...new Set([...scope, ...patternVariables(clause.patterns)])];
+          break;
+        
+        case 'Unwind':
+          rows = this.runUnwind(clause, rows);
+          scope = [...new Set([...scope, clause.variable])];
+          break;
+        
+        case 'With':
+        case 'Return': {
+          const projection = this.runProjection(clause, rows, scope);
+          rows = projection.rows;
+          scope = projection.columns;
+          if (clause.type === 'Return') {
+            columns = projection.columns;
+          }
+          break;
+        }
+        
+        case 'Create':
+          rows = rows.map(row => clause.patterns.reduce((current, part) => this.createPart(part, current, false), row));
+          scope = [...new Set([...scope, ...patternVariables(clause.patterns)])];
+          break;
+        
+        case 'Merge':
+          rows = rows.flatMap(row => this.runMerge(clause, row));
+          scope = [...new Set([...scope, ...patternVariables([clause.pattern])])];
+          break;
+        
+        case 'Set':
+          rows.forEach(row => this.applySetItems(clause.items, row));
+          break;
+        
+        case 'Remove':
+          rows.forEach(row => this.applyRemoveItems(clause.items, row));
+          break;
+        
+        case 'Delete':
+          rows.forEach(row => clause.expressions.forEach(expression => this.deleteValue(
+            evaluate(expression, row, this.context), clause.detach)));
+          break;
+        
+        case 'Foreach':
+          rows.forEach(row => this.runForeach(clause, row, scope));
+          break;
+        
+        case 'Call': {
+          const call = this.runCall(clause, rows, scope);
+          rows = call.rows;
+          scope = call.scope;
+          break;
+        }
+        
+        default:
+          throw cypherError(ERROR_CODES.SYNTAX_ERROR, `Unsupported clause: ${clause.type}`);
+      }
+    }
+    
+    return { columns, rows };
+  }
+  
+  /**
+   * Run a MATCH or OPTIONAL MATCH clause
+   * @param {Object} clause - Match clause
+   * @param {Array<Object>} rows - Input rows
+   * @param {Array<string>} scope - Variables in scope
+   * @returns {Array<Object>} Output rows
+   */
+  runMatch(clause, rows, scope) {
+    const introduced = patternVariables(clause.patterns).filter(variable => !scope.includes(variable));
+    
+    return rows.flatMap(row => {
+      const matches = this.matcher.matchClause(clause, row);
+      
+      if (matches.length === 0 && clause.optional) {
+        const nulls = {};
+        introduced.forEach(variable => { nulls[variable] = null; });
+        return [{ ...row, ...nulls }];
+      }
+      
+      return matches;
+    });
+  }
+  
+  /**
+   * Run an UNWIND clause
+   * @param {Object} clause - Unwind clause
+   * @param {Array<Object>} rows - Input rows
+   * @returns {Array<Object>} Output rows
+   */
+  runUnwind(clause, rows) {
+    return rows.flatMap(row => {
+      const list = evaluate(clause.expression, row, this.context);
+      if (list === null) return [];
+      
+      const items = Array.isArray(list) ? list : [list];
+      return items.map(item => ({ ...row, [clause.variable]: item }));
+    });
+  }
+  
+  /**
+   * Run a WITH or RETURN clause
+   * @param {Object} clause - Projection clause
+   * @param {Array<Object>} rows - Input rows
+   * @param {Array<string>} scope - Variables in scope
+   * @returns {Object} Columns and projected rows
+   */
+  runProjection(clause, rows, scope) {
+    const starItems = clause.star
+      ? [...scope].sort().map(name => ({ expression: { type: 'Variable', name }, name, text: name, aggregate: false }))
+      : [];
+    const items = [...starItems, ...clause.items];
+    const columns = items.map(item => item.name);
+    
+    if (new Set(columns).size !== columns.length) {
+      throw cypherError(ERROR_CODES.SYNTAX_ERROR, 'Multiple result columns with the same name are not supported');
+    }
+    
+    let projected;
+    
+    if (items.some(item => item.aggregate)) {
+      const keyItems = items.filter(item => !item.aggregate);
+      const groups = new Map();
+      
+      for (const row of rows) {
+        const key = keyItems.map(item => valueKey(evaluate(item.expression, row, this.context))).join('|');
+        if (!groups.has(key)) groups.set(key, { row, rows: [] });
+        groups.get(key).rows.push(row);
+      }
+      
+      if (groups.size === 0 && keyItems.length === 0) {
+        groups.set('', { row: {}, rows: [] });
+      }
+      
+      projected = [...groups.values()].map(group => ({
+        source: null,
+        values: this.projectRow(items, group.row, group.rows)
+      }));
+    } else {
+      projected = rows.map(row => ({ source: row, values: this.projectRow(items, row, null) }));
+    }
+    
+    if (clause.distinct) {
+      const seen = new Set();
+      projected = projected.filter(({ values }) => {
+        const key = valueKey(columns.map(column => values[column]));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    
+    if (clause.orderBy.length > 0) {
+      projected = this.sortRows(clause.orderBy, items, projected);
+    }
+    
+    let output = projected.map(({ values }) => values);
+    
+    const skip = this.evaluateCount(clause.skip, 'SKIP');
+    const limit = this.evaluateCount(clause.limit, 'LIMIT');
+    
+    if (skip !== null) output = output.slice(skip);
+    if (limit !== null) output = output.slice(0, limit);
+    
+    if (clause.where) {
+      output = output.filter(row => evaluate(clause.where, row, this.context) === true);
+    }
+    
+    return { columns, rows: output };
+  }
+  
+  /**
+   * Evaluate the items of a projection for one row or group
+   * @param {Array<Object>} items - Projection items
+   * @param {Object} row - Row (the first row of the group when aggregating)
+   * @param {Array<Object>|null} group - Rows of the group, or null when not aggregating
+   * @returns {Object} Values by column name
+   */
+  projectRow(items, row, group) {
+    const values = {};
+    
+    for (const item of items) {
+      const context = item.aggregate ? { ...this.context, group } : this.context;
+      values[item.name] = evaluate(item.expression, row, context);
+    }
+    
+    return values;
+  }
+  
+  /**
+   * Sort projected rows for ORDER BY
+   * An ORDER BY item written like a projection item uses that item's value;
+   * other items see the projected columns and, when not aggregating, the
+   * variables of the input row.
+   * @param {Array<Object>} orderBy - Sort items
+   * @param {Array<Object>} items - Projection items
+   * @param {Array<Object>} projected - Projected rows with their source rows
+   * @returns {Array<Object>} Sorted rows
+   */
+  sortRows(orderBy, items, projected) {
+    const normalize = text => text.replace(/\s+/g, '').toLowerCase();
+    
+    const keyed = projected.map(entry => {
+      const scopeRow = { ...(entry.source || {}), ...entry.values };
+      
+      const keys = orderBy.map(sortItem => {
+        const item = items.find(candidate => normalize(candidate.text) === normalize(sortItem.text));
+        return item ? entry.values[item.name] : evaluate(sortItem.expression, scopeRow, this.context);
+      });
+      
+      return { entry, keys };
+    });
+    
+    keyed.sort((a, b) => {
+      for (let i = 0; i < orderBy.length; i++) {
+        const result = compareForOrder(a.keys[i], b.keys[i]);
+        if (result !== 0) {
+          return orderBy[i].descending ? -result : result;
+        }
+      }
+      return 0;
+    });
+    
+    return keyed.map(({ entry }) => entry);
+  }
+  
+  /**
+   * Evaluate a SKIP or LIMIT expression
+   * @param {Object|null} expression - Expression
+   * @param {string} clause - Clause name for error messages
+   * @returns {number|null} Count, or null without the clause
+   */
+  evaluateCount(expression, clause) {
+    if (!expression) return null;
+    
+    const value = evaluate(expression, {}, this.context);
+    if (!Number.isInteger(value) || value < 0) {
+      throw cypherError(ERROR_CODES.ARGUMENT_ERROR, `Invalid input for ${clause}: expected a non-negative integer but got ${value}`);
+    }
+    return value;
+  }
+  
+  /**
+   * Create the unbound parts of a pattern
+   * @param {Object} part - Pattern part
+   * @param {Object} row - Variable bindings
+   * @param {boolean} merging - Whether the pattern comes from MERGE (undirected relationships allowed)
+   * @returns {Object} Extended bindings
+   */
+  createPart(part, row, merging) {
+    const { store, counters } = this.context;
+    const nodes = [];
+    const relationships = [];
+    let current = { ...row };
+    
+    part.elements.forEach((element, index) => {
+      if (element.type !== 'NodePattern') return;
+      
+      let node;
+      if (element.variable && Object.prototype.hasOwnProperty.call(current, element.variable)) {
+        node = current[element.variable];
+        if (!(node instanceof StoredNode)) {
+          throw cypherError(ERROR_CODES.SEMANTIC_ERROR, `Cannot create a relationship to \`${element.variable}\`: it is not a node`);
+        }
+      } else {
+        const properties = this.matcher.patternProperties(element.properties, current);
+        Object.entries(properties).forEach(([key, value]) => assertPropertyValue(key, value));
+        
+        node = store.createNode(element.labels, properties);
+        counters.nodesCreated++;
+        counters.labelsAdded += node.labels.length;
+        counters.propertiesSet += Object.keys(node.properties).length;
+        
+        if (element.variable) {
+          current[element.variable] = node;
+        }
+      }
+      nodes.push(node);
+      
+      if (index === 0) return;
+      
+      const pattern = part.elements[index - 1];
+      const previous = nodes[nodes.length - 2];
+      
+      if (pattern.types.length !== 1) {
+        throw cypherError(ERROR_CODES.SEMANTIC_ERROR, 'Exactly one relationship type must be specified for CREATE');
+      }
+      if (pattern.range) {
+        throw cypherError(ERROR_CODES.SEMANTIC_ERROR, 'Variable length relationships cannot be used in CREATE');
+      }
+      if (pattern.direction === 'both' && !merging) {
+        throw cypherError(ERROR_CODES.SEMANTIC_ERROR, 'Only directed relationships are supported in CREATE');
+      }
+      
+      const properties = this.matcher.patternProperties(pattern.properties, current);
+      Object.entries(properties).forEach(([key, value]) => assertPropertyValue(key, value));
+      
+      const [start, end] = pattern.direction === 'in' ? [node, previous] : [previous, node];
+      const relationship = store.createRelationship(pattern.types[0], start, end, properties);
+      counters.relationshipsCreated++;
+      counters.propertiesSet += Object.keys(relationship.properties).length;
+      
+      if (pattern.variable) {
+        current[pattern.variable] = relationship;
+      }
+      relationships.push(relationship);
+    });
+    
+    if (part.variable) {
+      current[part.variable] = new PathValue(nodes, relationships);
+    }
+    
+    return current;
+  }
+  
+  /**
+   * Run a MERGE clause for one row
+   * @param {Object} clause - Merge clause
+   * @param {Object} row - Variable bindings
+   * @returns {Array<Object>} Output rows
+   */
+  runMerge(clause, row) {
+    const matches = this.matcher.matchPart(clause.pattern, row, new Set());
+    
+    if (matches.length > 0) {
+      return matches.map(match => {
+        this.applySetItems(clause.onMatch, match.row);
+        return match.row;
+      });
+    }
+    
+    const created = this.createPart(clause.pattern, row, true);
+    this.applySetItems(clause.onCreate, created);
+    return [created];
+  }
+  
+  /**
+   * Get the node or relationship a SET or REMOVE item targets
+   * @param {string} variable - Variable
+   * @param {Object} row - Variable bindings
+   * @returns {StoredNode|StoredRelationship|null} Target, or null to skip the item
+   */
+  updateTarget(variable, row) {
+    const target = evaluate({ type: 'Variable', name: variable }, row, this.context);
+    
+    if (target === null) return null;
+    if (!(target instanceof StoredNode) && !(target instanceof StoredRelationship)) {
+      throw cypherError(ERROR_CODES.TYPE_ERROR, `Expected \`${variable}\` to be a node or relationship but got ${kindOf(target)}`);
+    }
+    return target;
+  }
+  
+  /**
+   * Apply SET items to one row
+   * @param {Array<Object>} items - Set items
+   * @param {Object} row - Variable bindings
+   */
+  applySetItems(items, row) {
+    const { store, counters } = this.context;
+    
+    for (const item of items) {
+      const target = this.updateTarget(item.variable, row);
+      if (!target) continue;
+      
+      if (item.type === 'SetLabels') {
+        if (!(target instanceof StoredNode)) {
+          throw cypherError(ERROR_CODES.TYPE_ERROR, 'Labels can only be set on nodes');
+        }
+        item.labels.forEach(label => {
+          if (store.addLabel(target, label)) counters.labelsAdded++;
+        });
+        continue;
+      }
+      
+      const value = evaluate(item.value, row, this.context);
+      
+      if (item.type === 'SetProperty') {
+        store.setProperty(target, item.key, assertPropertyValue(item.key, value));
+        counters.propertiesSet++;
+        continue;
+      }
+      
+      if (value === null && !item.replace) continue;
+      
+      const source = value instanceof StoredNode || value instanceof StoredRelationship ? value.properties : value;
+      if (source !== null && kindOf(source) !== 'map') {
+        throw cypherError(ERROR_CODES.TYPE_ERROR, `Expected a map of properties but got ${kindOf(source)}`);
+      }
+      
+      const properties = { ...(source || {}) };
+      Object.entries(properties).forEach(([key, propertyValue]) => assertPropertyValue(key, propertyValue));
+      
+      if (item.replace) {
+        counters.propertiesSet += Object.keys(target.properties).length + Object.keys(properties).length;
+        store.replaceProperties(target, properties);
+      } else {
+        Object.entries(properties).forEach(([key, propertyValue]) => {
+          store.setProperty(target, key, propertyValue);
+          counters.propertiesSet++;
+        });
+      }
+    }
+  }
+  
+  /**
+   * Apply REMOVE items to one row
+   * @param {Array<Object>} items - Remove items
+   * @param {Object} row - Variable bindings
+   */
+  applyRemoveItems(items, row) {
+    const { store, counters } = this.context;
+    
+    for (const item of items) {
+      const target = this.updateTarget(item.variable, row);
+      if (!target) continue;
+      
+      if (item.type === 'RemoveLabels') {
+        item.labels.forEach(label => {
+          if (target instanceof StoredNode && store.removeLabel(target, label)) counters.labelsRemoved++;
+        });
+      } else if (Object.prototype.hasOwnProperty.call(target.properties, item.key)) {
+        store.setProperty(target, item.key, null);
+        counters.propertiesSet++;
+      }
+    }
+  }
+  
+  /**
+   * Delete a node, relationship or path
+   * Nodes deleted without DETACH are checked for remaining relationships
+   * when the query ends, as Neo4j does at commit.
+   * @param {*} value - Value to delete
+   * @param {boolean} detach - Whether to delete the relationships of nodes
+   */
+  deleteValue(value, detach) {
+    const { store, counters } = this.context;
+    
+    if (value === null) return;
+    
+    if (value instanceof StoredRelationship) {
+      if (store.deleteRelationship(value)) counters.relationshipsDeleted++;
+      return;
+    }
+    
+    if (value instanceof StoredNode) {
+      if (detach) {
+        value.relationships().forEach(relationship => this.deleteValue(relationship, false));
+      } else {
+        this.context.deletedNodes.push(value);
+      }
+      if (store.deleteNode(value)) counters.nodesDeleted++;
+      return;
+    }
+    
+    if (value instanceof PathValue) {
+      value.relationships.forEach(relationship => this.deleteValue(relationship, false));
+      value.nodes.forEach(node => this.deleteValue(node, detach));
+      return;
+    }
+    
+    throw cypherError(ERROR_CODES.TYPE_ERROR, `Expected a node, relationship or path to delete but got ${kindOf(value)}`);
+  }
+  
+  /**
+   * Fail if a node deleted without DETACH still has relationships
+   * @throws {Neo4jError} If such a node exists
+   */
+  checkDeletedNodes() {
+    for (const node of this.context.deletedNodes) {
+      if (node.deleted && node.relationships().length > 0) {
+        throw cypherError(
+          ERROR_CODES.CONSTRAINT_VALIDATION_FAILED,
+          `Cannot delete node<${node.id}>, because it still has relationships. ` +
+          'To delete this node, you must first delete its relationships.'
+        );
+      }
+    }
+  }
+  
+  /**
+   * Run a FOREACH clause for one row
+   * @param {Object} clause - Foreach clause
+   * @param {Object} row - Variable bindings
+   * @param {Array<string>} scope - Variables in scope
+   */
+  runForeach(clause, row, scope) {
+    const list = evaluate(clause.list, row, this.context);
+    if (list === null) return;
+    
+    if (!Array.isArray(list)) {
+      throw cypherError(ERROR_CODES.TYPE_ERROR, `FOREACH expects a list but got ${kindOf(list)}`);
+    }
+    
+    for (const item of list) {
+      this.runClauses(clause.clauses, [{ ...row, [clause.variable]: item }], [...scope, clause.variable]);
+    }
+  }
+  
+  /**
+   * Run a CALL subquery
+   * A subquery starting with WITH imports the variables it names from the
+   * outer row; any other subquery starts from an empty row. A subquery
+   * without RETURN leaves the rows unchanged.
+   * @param {Object} clause - Call clause
+   * @param {Array<Object>} rows - Input rows
+   * @param {Array<string>} scope - Variables in scope
+   * @returns {Object} Output rows and variables in scope
+   */
+  runCall(clause, rows, scope) {
+    let columns = null;
+    
+    const output = rows.flatMap(row => {
+      const result = this.runQuery(clause.query, single => (single.clauses[0].type === 'With'
+        ? { rows: [row], scope }
+        : { rows: [{}], scope: [] }));
+      
+      columns = result.columns;
+      if (!result.columns) return [row];
+      
+      return result.rows.map(resultRow => ({ ...row, ...resultRow }));
+    });
+    
+    return { rows: output, scope: columns ? [...new Set([...scope, ...columns])] : scope };
+  }
+}
+
+/**
+ * Remove duplicate result rows
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<string>} columns - Columns
+ * @returns {Array<Object>} Distinct rows in their original order
+ */
+function distinctRows(rows, columns) {
+  const seen = new Set();
+  
+  return rows.filter(row => {
+    const key = valueKey(columns.map(column => row[column]));
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Execute a parsed query against a graph
+ * The caller sets store.journal beforehand to be able to roll the changes back.
+ * @param {GraphStore} store - Graph
+ * @param {Object} query - Query AST
+ * @param {Object} [params={}] - Query parameters
+ * @returns {Object} Result with columns (null without RETURN), rows and counters
+ */
+function executeQuery(store, query, params = {}) {
+  return new QueryExecutor(store, params).execute(query);
+}
+
+module.exports = {
+  executeQuery,
+  createCounters
+};
@@ -0,0 +1,677 @@
+/**
+ * Expression evaluation for the in-memory Cypher executor
+ * Follows Cypher's null semantics: comparisons and most functions return
+ * null when an operand is null, and WHERE keeps only rows evaluating to true.
+ * Numbers are plain JavaScript numbers: `/` and `%` on two integral numbers
+ * follow Cypher's integer arithmetic (so 7.0 / 2 truncates like 7 / 2), and
+ * temporal functions return ISO strings.
+ */
+
+const crypto = require('crypto');
+const { StoredNode, StoredRelationship, PathValue } = require('./graphStore');
+const { AGGREGATE_FUNCTIONS } = require('./parser');
+const { ERROR_CODES, cypherError } = require('./errors');
+
+// Rank of each kind of value in ORDER BY; null sorts last
+const ORDER_RANKS = {
+  map: 0,
+  node: 1,
+  relationship: 2,
+  list: 3,
+  path: 4,
+  string: 5,
+  boolean: 6,
+  number: 7,
+  null: 8
+};
+
+/**
+ * Evaluation context
+ * @typedef {Object} EvaluationContext
+ * @property {Object} params - Query parameters
+ * @property {Array<Object>|null} group - Rows of the current group while projecting aggregates
+ */
+
+/**
+ * Get the kind of a value
+ * @param {*} value - Value
+ * @returns {string} One of the keys of ORDER_RANKS
+ */
+function kindOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof StoredNode) return 'node';
+  if (value instanceof StoredRelationship) return 'relationship';
+  if (value instanceof PathValue) return 'path';
+  if (Array.isArray(value)) return 'list';
+  if (typeof value === 'object') return 'map';
+  return typeof value;
+}
+
+/**
+ * Check whether a value is a node or relationship
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is a graph entity
+ */
+function isEntity(value) {
+  return value instanceof StoredNode || value instanceof StoredRelationship;
+}
+
+/**
+ * Create a type error
+ * @param {string} message - Error message
+ * @returns {Neo4jError} Error
+ */
+function typeError(message) {
+  return cypherError(ERROR_CODES.TYPE_ERROR, message);
+}
+
+/**
+ * Build a key identifying a value, used for grouping and DISTINCT
+ * @param {*} value - Value
+ * @returns {string} Key; equal values have equal keys
+ */
+function valueKey(value) {
+  switch (kindOf(value)) {
+    case 'null': return 'null';
+    case 'node': return `node:${value.id}`;
+    case 'relationship': return `rel:${value.id}`;
+    case 'path': return `path:${value.nodes.map(node => node.id).join(',')}|${value.relationships.map(rel => rel.id).join(',')}`;
+    case 'list': return `[${value.map(valueKey).join(',')}]`;
+    case 'map': return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${valueKey(value[key])}`).join(',')}}`;
+    default: return `${typeof value}:${String(value)}`;
+  }
+}
+
+/**
+ * Compare two values for equality
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean|null} Whether the values are equal, or null if that is unknown
+ */
+function equals(a, b) {
+  const kindA = kindOf(a);
+  const kindB = kindOf(b);
+  
+  if (kindA === 'null' || kindB === 'null') return null;
+  if (kindA !== kindB) return false;
+  
+  if (kindA === 'list') {
+    if (a.length !== b.length) return false;
+    let unknown = false;
+    for (let i = 0; i < a.length; i++) {
+      const result = equals(a[i], b[i]);
+      if (result === false) return false;
+      if (result === null) unknown = true;
+    }
+    return unknown ? null : true;
+  }
+  
+  if (kindA === 'map') {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    let unknown = false;
+    for (const key of keys) {
+      if (!Object.prototype.hasOwnProperty.call(b, key)) return false;
+      const result = equals(a[key], b[key]);
+      if (result === false) return false;
+      if (result === null) unknown = true;
+    }
+    return unknown ? null : true;
+  }
+  
+  if (kindA === 'path') {
+    return valueKey(a) === valueKey(b);
+  }
+  
+  return a === b;
+}
+
+/**
+ * Compare two values with <, >, <= or >=
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number|null} Negative, zero or positive, or null if the values are not comparable
+ */
+function compare(a, b) {
+  const kind = kindOf(a);
+  
+  if (kind !== kindOf(b) || !['number', 'string', 'boolean'].includes(kind)) {
+    return null;
+  }
+  
+  if (kind === 'number' && (Number.isNaN(a) || Number.isNaN(b))) {
+    return null;
+  }
+  
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare two values for ORDER BY, which orders values of every kind
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareForOrder(a, b) {
+  const kindA = kindOf(a);
+  const kindB = kindOf(b);
+  
+  if (kindA !== kindB) {
+    return ORDER_RANKS[kindA] - ORDER_RANKS[kindB];
+  }
+  
+  switch (kindA) {
+    case 'null': return 0;
+    case 'node':
+    case 'relationship': return a.id - b.id;
+    case 'number':
+      if (Number.isNaN(a) || Number.isNaN(b)) return Number.isNaN(a) - Number.isNaN(b);
+      return a - b;
+    case 'list': {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareForOrder(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    }
+    case 'string':
+    case 'boolean': return a < b ? -1 : a > b ? 1 : 0;
+    default: {
+      const keyA = valueKey(a);
+      const keyB = valueKey(b);
+      return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+    }
+  }
+}
+
+/**
+ * Convert a value to a boolean for AND, OR, XOR and NOT
+ * @param {*} value - Value
+ * @returns {boolean|null} Boolean or null
+ */
+function toLogical(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'boolean') {
+    throw typeError(`Expected a boolean but got ${kindOf(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Evaluate a binary operator
+ * @param {Object} expression - Binary expression AST
+ * @param {Object} row - Variable bindings
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Result
+ */
+function evaluateBinary(expression, row, context) {
+  const { operator } = expression;
+  
+  if (operator === 'AND' || operator === 'OR' || operator === 'XOR') {
+    const left = toLogical(evaluate(expression.left, row, context));
+    
+    if (operator === 'AND' && left === false) return false;
+    if (operator === 'OR' && left === true) return true;
+    
+    const right = toLogical(evaluate(expression.right, row, context));
+    
+    if (operator === 'AND') {
+      if (right === false) return false;
+      return left === null || right === null ? null : true;
+    }
+    if (operator === 'OR') {
+      if (right === true) return true;
+      return left === null || right === null ? null : false;
+    }
+    return left === null || right === null ? null : left !== right;
+  }
+  
+  const left = evaluate(expression.left, row, context);
+  const right = evaluate(expression.right, row, context);
+  
+  switch (operator) {
+    case '=': return equals(left, right);
+    case '<>': {
+      const result = equals(left, right);
+      return result === null ? null : !result;
+    }
+    case '<':
+    case '>':
+    case '<=':
+    case '>=': {
+      const result = compare(left, right);
+      if (result === null) return null;
+      if (operator === '<') return result < 0;
+      if (operator === '>') return result > 0;
+      if (operator === '<=') return result <= 0;
+      return result >= 0;
+    }
+    case 'IN': {
+      if (right === null) return null;
+      if (!Array.isArray(right)) {
+        throw typeError(`Expected a list on the right of IN but got ${kindOf(right)}`);
+      }
+      let unknown = false;
+      for (const item of right) {
+        const result = equals(left, item);
+        if (result === true) return true;
+        if (result === null) unknown = true;
+      }
+      return unknown ? null : false;
+    }
+    case 'STARTS WITH':
+    case 'ENDS WITH':
+    case 'CONTAINS':
+    case '=~': {
+      if (typeof left !== 'string' || typeof right !== 'string') return null;
+      if (operator === 'STARTS WITH') return left.startsWith(right);
+      if (operator === 'ENDS WITH') return left.endsWith(right);
+      if (operator === 'CONTAINS') return left.includes(right);
+      return new RegExp(`^(?:${right})$`).test(left);
+    }
+    default:
+      return evaluateArithmetic(operator, left, right);
+  }
+}
+
+/**
+ * Evaluate an arithmetic operator
+ * @param {string} operator - One of + - * / % ^
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {*} Result
+ */
+function evaluateArithmetic(operator, left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return null;
+  }
+  
+  if (operator === '+') {
+    if (Array.isArray(left)) return left.concat(Array.isArray(right) ? right : [right]);
+    if (Array.isArray(right)) return [left, ...right];
+    if (typeof left === 'string' || typeof right === 'string') {
+      if (kindOf(left) === 'map' || kindOf(right) === 'map') {
+        throw typeError('Cannot add a map to a string');
+      }
+      return String(left) + String(right);
+    }
+  }
+  
+  if (typeof left !== 'number' || typeof right !== 'number') {
+    throw typeError(`Cannot apply ${operator} to ${kindOf(left)} and ${kindOf(right)}`);
+  }
+  
+  // Integer division truncates and cannot divide by zero
+  const integral = Number.isInteger(left) && Number.isInteger(right);
+  
+  if (integral && right === 0 && (operator === '/' || operator === '%')) {
+    throw cypherError(ERROR_CODES.ARITHMETIC_ERROR, '/ by zero');
+  }
+  
+  switch (operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return integral ? Math.trunc(left / right) : left / right;
+    case '%': return left % right;
+    default: return Math.pow(left, right);
+  }
+}
+
+/**
+ * Evaluate an aggregating function over the rows of the current group
+ * @param {Object} expression - Function call AST
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Aggregate
+ */
+function evaluateAggregate(expression, context) {
+  if (!context.group) {
+    throw cypherError(ERROR_CODES.SYNTAX_ERROR, `Invalid use of aggregating function ${expression.name}(...) in this context`);
+  }
+  
+  const rowContext = { ...context, group: null };
+  
+  if (expression.star) {
+    return context.group.length;
+  }
+  
+  let values = context.group
+    .map(groupRow => evaluate(expression.args[0], groupRow, rowContext))
+    .filter(value => value !== null && value !== undefined);
+  
+  if (expression.distinct) {
+    const seen = new Set();
+    values = values.filter(value => {
+      const key = valueKey(value);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  
+  switch (expression.name) {
+    case 'count': return values.length;
+    case 'collect': return values;
+    case 'sum':
+    case 'avg': {
+      const total = values.reduce((sum, value) => {
+        if (typeof value !== 'number') {
+          throw typeError(`${expression.name}() expects numbers but got ${kindOf(value)}`);
+        }
+        return sum + value;
+      }, 0);
+      if (expression.name === 'sum') return total;
+      return values.length > 0 ? total / values.length : null;
+    }
+    case 'min':
+    case 'max': {
+      if (values.length === 0) return null;
+      const sign = expression.name === 'min' ? 1 : -1;
+      return values.reduce((best, value) => (sign * compareForOrder(value, best) < 0 ? value : best));
+    }
+    default:
+      throw cypherError(ERROR_CODES.SYNTAX_ERROR, `Unknown function '${expression.name}'`);
+  }
+}
+
+/**
+ * Require a value of a given kind as a function argument
+ * @param {string} name - Function name
+ * @param {*} value - Argument
+ * @param {...string} kinds - Accepted kinds
+ * @returns {*} The argument
+ */
+function expectArgument(name, value, ...kinds) {
+  if (!kinds.includes(kindOf(value))) {
+    throw typeError(`${name}() expects ${kinds.join(' or ')} but got ${kindOf(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Scalar functions by lower-case name
+ * Functions listed in NULL_TOLERANT receive null arguments; the others
+ * return null when their first argument is null.
+ */
+const SCALAR_FUNCTIONS = {
+  id: entity => expectArgument('id', entity, 'node', 'relationship').id,
+  elementid: entity => String(expectArgument('elementId', entity, 'node', 'relationship').id),
+  labels: node => [...expectArgument('labels', node, 'node').labels],
+  type: relationship => expectArgument('type', relationship, 'relationship').type,
+  keys: value => Object.keys(isEntity(value) ? value.properties : expectArgument('keys', value, 'map')),
+  properties: value => ({ ...(isEntity(value) ? value.properties : expectArgument('properties', value, 'map')) }),
+  size: value => expectArgument('size', value, 'list', 'string').length,
+  length: value => expectArgument('length', value, 'path', 'list', 'string').length,
+  nodes: path => [...expectArgument('nodes', path, 'path').nodes],
+  relationships: path => [...expectArgument('relationships', path, 'path').relationships],
+  startnode: relationship => expectArgument('startNode', relationship, 'relationship').start,
+  endnode: relationship => expectArgument('endNode', relationship, 'relationship').end,
+  range: (start, end, step = 1) => {
+    if (step === 0) {
+      throw cypherError(ERROR_CODES.ARGUMENT_ERROR, 'range() step cannot be zero');
+    }
+    const result = [];
+    for (let i = start; step > 0 ? i <= end : i >= end; i += step) {
+      result.push(i);
+    }
+    return result;
+  },
+  coalesce: (...values) => {
+    const found = values.find(value => value !== null && value !== undefined);
+    return found === undefined ? null : found;
+  },
+  exists: value => value !== null && value !== undefined,
+  head: list => (expectArgument('head', list, 'list').length > 0 ? list[0] : null),
+  last: list => (expectArgument('last', list, 'list').length > 0 ? list[list.length - 1] : null),
+  tail: list => expectArgument('tail', list, 'list').slice(1),
+  isempty: value => Object.keys(isEntity(value) ? value.properties : value).length === 0,
+  reverse: value => (typeof value === 'string'
+    ? [...value].reverse().join('')
+    : [...expectArgument('reverse', value, 'list')].reverse()),
+  tolower: value => expectArgument('toLower', value, 'string').toLowerCase(),
+  toupper: value => expectArgument('toUpper', value, 'string').toUpperCase(),
+  trim: value => expectArgument('trim', value, 'string').trim(),
+  ltrim: value => expectArgument('ltrim', value, 'string').trimStart(),
+  rtrim: value => expectArgument('rtrim', value, 'string').trimEnd(),
+  replace: (value, search, replacement) => expectArgument('replace', value, 'string').split(search).join(replacement),
+  substring: (value, start, length) => expectArgument('substring', value, 'string')
+    .substr(start, length === undefined ? undefined : length),
+  left: (value, length) => expectArgument('left', value, 'string').slice(0, length),
+  right: (value, length) => (length === 0 ? '' : expectArgument('right', value, 'string').slice(-length)),
+  split: (value, delimiter) => expectArgument('split', value, 'string').split(delimiter),
+  tostring: value => (typeof value === 'object' ? JSON.stringify(value) : String(value)),
+  tointeger: value => {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number === 'boolean') return number ? 1 : 0;
+    return typeof number === 'number' && !Number.isNaN(number) ? Math.trunc(number) : null;
+  },
+  tofloat: value => {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && !Number.isNaN(number) ? number : null;
+  },
+  toboolean: value => {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())) {
+      return value.toLowerCase() === 'true';
+    }
+    return null;
+  },
+  abs: value => Math.abs(expectArgument('abs', value, 'number')),
+  ceil: value => Math.ceil(expectArgument('ceil', value, 'number')),
+  floor: value => Math.floor(expectArgument('floor', value, 'number')),
+  round: value => Math.round(expectArgument('round', value, 'number')),
+  sign: value => Math.sign(expectArgument('sign', value, 'number')),
+  sqrt: value => Math.sqrt(expectArgument('sqrt', value, 'number')),
+  exp: value => Math.exp(expectArgument('exp', value, 'number')),
+  log: value => Math.log(expectArgument('log', value, 'number')),
+  log10: value => Math.log10(expectArgument('log10', value, 'number')),
+  rand: () => Math.random(),
+  randomuuid: () => crypto.randomUUID(),
+  timestamp: () => Date.now(),
+  datetime: value => (value === undefined ? new Date() : new Date(value)).toISOString(),
+  date: value => (value === undefined ? new Date() : new Date(value)).toISOString().slice(0, 10)
+};
+
+// Functions that handle null arguments themselves
+const NULL_TOLERANT = ['coalesce', 'exists', 'rand', 'randomuuid', 'timestamp', 'datetime', 'date'];
+
+/**
+ * Evaluate a function call
+ * @param {Object} expression - Function call AST
+ * @param {Object} row - Variable bindings
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Result
+ */
+function evaluateFunction(expression, row, context) {
+  if (AGGREGATE_FUNCTIONS.includes(expression.name)) {
+    return evaluateAggregate(expression, context);
+  }
+  
+  const fn = SCALAR_FUNCTIONS[expression.name];
+  if (!fn) {
+    throw cypherError(ERROR_CODES.SYNTAX_ERROR, `Unknown function '${expression.name}'`);
+  }
+  
+  const args = expression.args.map(arg => evaluate(arg, row, context));
+  
+  if (!NULL_TOLERANT.includes(expression.name) && args.length > 0 && (args[0] === null || args[0] === undefined)) {
+    return null;
+  }
+  
+  return fn(...args);
+}
+
+/**
+ * Evaluate a list predicate such as all(x IN list WHERE ...)
+ * @param {Object} expression - List predicate AST
+ * @param {Object} row - Variable bindings
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {boolean|null} Result
+ */
+function evaluateListPredicate(expression, row, context) {
+  const list = evaluate(expression.list, row, context);
+  if (list === null) return null;
+  expectArgument(expression.kind, list, 'list');
+  
+  let matches = 0;
+  let unknown = 0;
+  
+  for (const item of list) {
+    const result = evaluate(expression.predicate, { ...row, [expression.variable]: item }, context);
+    if (result === true) matches++;
+    else if (result === null) unknown++;
+  }
+  
+  switch (expression.kind) {
+    case 'all': return matches === list.length ? true : matches + unknown === list.length ? null : false;
+    case 'any': return matches > 0 ? true : unknown > 0 ? null : false;
+    case 'none': return matches > 0 ? false : unknown > 0 ? null : true;
+    default: return matches > 1 ? false : unknown > 0 ? null : matches === 1;
+  }
+}
+
+/**
+ * Evaluate an expression
+ * @param {Object} expression - Expression AST
+ * @param {Object} row - Variable bindings
+ * @param {EvaluationContext} context - Evaluation context
+ * @returns {*} Value
+ */
+function evaluate(expression, row, context) {
+  switch (expression.type) {
+    case 'Literal':
+      return expression.value;
+    
+    case 'Parameter':
+      if (!Object.prototype.hasOwnProperty.call(context.params, expression.name)) {
+        throw cypherError(ERROR_CODES.PARAMETER_MISSING, `Expected parameter(s): ${expression.name}`);
+      }
+      return context.params[expression.name];
+    
+    case 'Variable':
+      if (!Object.prototype.hasOwnProperty.call(row, expression.name)) {
+        throw cypherError(ERROR_CODES.SYNTAX_ERROR, `Variable \`${expression.name}\` not defined`);
+      }
+      return row[expression.name];
+    
+    case 'Property': {
+      const object = evaluate(expression.object, row, context);
+      if (object === null || object === undefined) return null;
+      
+      const properties = isEntity(object) ? object.properties : object;
+      if (kindOf(properties) !== 'map') {
+        throw typeError(`Cannot read property ${expression.key} of ${kindOf(object)}`);
+      }
+      
+      const value = properties[expression.key];
+      return value === undefined ? null : value;
+    }
+    
+    case 'Index': {
+      const object = evaluate(expression.object, row, context);
+      const index = evaluate(expression.index, row, context);
+      if (object === null || index === null) return null;
+      
+      if (Array.isArray(object)) {
+        const position = index < 0 ? object.length + index : index;
+        return position >= 0 && position < object.length ? object[position] : null;
+      }
+      
+      const properties = isEntity(object) ? object.properties : expectArgument('[]', object, 'map');
+      const value = properties[index];
+      return value === undefined ? null : value;
+    }
+    
+    case 'Slice': {
+      const list = evaluate(expression.object, row, context);
+      if (list === null) return null;
+      const from = expression.from ? evaluate(expression.from, row, context) : 0;
+      const to = expression.to ? evaluate(expression.to, row, context) : undefined;
+      if (from === null || to === null) return null;
+      return expectArgument('[..]', list, 'list').slice(from, to);
+    }
+    
+    case 'Map': {
+      const result = {};
+      for (const [key, value] of expression.entries) {
+        result[key] = evaluate(value, row, context);
+      }
+      return result;
+    }
+    
+    case 'List':
+      return expression.items.map(item => evaluate(item, row, context));
+    
+    case 'FunctionCall':
+      return evaluateFunction(expression, row, context);
+    
+    case 'ListPredicate':
+      return evaluateListPredicate(expression, row, context);
+    
+    case 'ListComprehension': {
+      const list = evaluate(expression.list, row, context);
+      if (list === null) return null;
+      
+      const result = [];
+      for (const item of expectArgument('list comprehension', list, 'list')) {
+        const itemRow = { ...row, [expression.variable]: item };
+        if (expression.predicate && evaluate(expression.predicate, itemRow, context) !== true) continue;
+        result.push(expression.projection ? evaluate(expression.projection, itemRow, context) : item);
+      }
+      return result;
+    }
+    
+    case 'Case': {
+      const subject = expression.subject ? evaluate(expression.subject, row, context) : undefined;
+      
+      for (const branch of expression.branches) {
+        const when = evaluate(branch.when, row, context);
+        const matched = expression.subject ? equals(subject, when) === true : when === true;
+        if (matched) {
+          return evaluate(branch.then, row, context);
+        }
+      }
+      
+      return expression.otherwise ? evaluate(expression.otherwise, row, context) : null;
+    }
+    
+    case 'Binary':
+      return evaluateBinary(expression, row, context);
+    
+    case 'Unary': {
+      const operand = evaluate(expression.operand, row, context);
+      if (expression.operator === 'NOT') {
+        const value = toLogical(operand);
+        return value === null ? null : !value;
+      }
+      if (operand === null) return null;
+      expectArgument(`unary ${expression.operator}`, operand, 'number');
+      return expression.operator === '-' ? -operand : operand;
+    }
+    
+    case 'IsNull': {
+      const operand = evaluate(expression.operand, row, context);
+      const isNull = operand === null || operand === undefined;
+      return expression.negated ? !isNull : isNull;
+    }
+    
+    case 'HasLabels': {
+      const node = evaluate(expression.operand, row, context);
+      if (node === null) return null;
+      expectArgument('label check', node, 'node');
+      return expression.labels.every(label => node.labels.includes(label));
+    }
+    
+    default:
+      throw cypherError(ERROR_CODES.SYNTAX_ERROR, `Unsupported expression: ${expression.type}`);
+  }
+}
+
+module.exports = {
+  evaluate,
+  equals,
+  compareForOrder,
+  valueKey,
+  kindOf,
+  isEntity
+};
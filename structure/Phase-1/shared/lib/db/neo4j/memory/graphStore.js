@@ -0,0 +1,338 @@
+/**
+ * In-memory property graph used by the in-memory Cypher executor
+ * Every mutation records how to undo it in the active journal, which is
+ * how transactions and failed queries are rolled back
+ */
+
+/**
+ * Node stored in the graph
+ */
+class StoredNode {
+  /**
+   * Create a new node
+   * @param {number} id - Internal node ID
+   * @param {Array<string>} labels - Labels
+   * @param {Object} properties - Properties
+   */
+  constructor(id, labels, properties) {
+    this.id = id;
+    this.labels = labels;
+    this.properties = properties;
+    this.outgoing = new Set();
+    this.incoming = new Set();
+    this.deleted = false;
+  }
+  
+  /**
+   * Get the live relationships of the node
+   * @returns {Array<StoredRelationship>} Relationships in both directions
+   */
+  relationships() {
+    return [...this.outgoing, ...this.incoming];
+  }
+}
+
+/**
+ * Relationship stored in the graph
+ */
+class StoredRelationship {
+  /**
+   * Create a new relationship
+   * @param {number} id - Internal relationship ID
+   * @param {string} type - Relationship type
+   * @param {StoredNode} start - Start node
+   * @param {StoredNode} end - End node
+   * @param {Object} properties - Properties
+   */
+  constructor(id, type, start, end, properties) {
+    this.id = id;
+    this.type = type;
+    this.start = start;
+    this.end = end;
+    this.properties = properties;
+    this.deleted = false;
+  }
+}
+
+/**
+ * Path value made of alternating nodes and relationships
+ */
+class PathValue {
+  /**
+   * Create a new path
+   * @param {Array<StoredNode>} nodes - Nodes, one more than relationships
+   * @param {Array<StoredRelationship>} relationships - Relationships
+   */
+  constructor(nodes, relationships) {
+    this.nodes = nodes;
+    this.relationships = relationships;
+  }
+  
+  /**
+   * Get the number of relationships in the path
+   * @returns {number} Path length
+   */
+  get length() {
+    return this.relationships.length;
+  }
+}
+
+/**
+ * Mutable graph of nodes and relationships
+ */
+class GraphStore {
+  /**
+   * Create an empty graph
+   */
+  constructor() {
+    this.clear();
+  }
+  
+  /**
+   * Remove every node and relationship and reset the ID counters
+   */
+  clear() {
+    this.nodes = new Map();
+    this.relationships = new Map();
+    this.nextNodeId = 0;
+    this.nextRelationshipId = 0;
+    this.journal = null;
+  }
+  
+  /**
+   * Record how to undo a mutation in the active journal
+   * @param {Function} undo - Function reverting the mutation
+   * @private
+   */
+  record(undo) {
+    if (this.journal) {
+      this.journal.push(undo);
+    }
+  }
+  
+  /**
+   * Revert the mutations recorded in a journal after a given position
+   * @param {Array<Function>} journal - Journal
+   * @param {number} [position=0] - Number of entries to keep
+   */
+  undo(journal, position = 0) {
+    while (journal.length > position) {
+      journal.pop()();
+    }
+  }
+  
+  /**
+   * Get all live nodes
+   * @param {string} [label] - Only nodes with this label
+   * @returns {Array<StoredNode>} Nodes in creation order
+   */
+  allNodes(label) {
+    const nodes = [...this.nodes.values()];
+    return label ? nodes.filter(node => node.labels.includes(label)) : nodes;
+  }
+  
+  /**
+   * Create a node
+   * @param {Array<string>} labels - Labels
+   * @param {Object} properties - Properties (null values are skipped)
+   * @returns {StoredNode} Created node
+   */
+  createNode(labels, properties) {
+    const node = new StoredNode(this.nextNodeId++, [...new Set(labels)], withoutNulls(properties));
+    this.nodes.set(node.id, node);
+    
+    this.record(() => {
+      this.nodes.delete(node.id);
+      node.deleted = true;
+    });
+    
+    return node;
+  }
+  
+  /**
+   * Create a relationship
+   * @param {string} type - Relationship type
+   * @param {StoredNode} start - Start node
+   * @param {StoredNode} end - End node
+   * @param {Object} properties - Properties (null values are skipped)
+   * @returns {StoredRelationship} Created relationship
+   */
+  createRelationship(type, start, end, properties) {
+    const relationship = new StoredRelationship(this.nextRelationshipId++, type, start, end, withoutNulls(properties));
+    this.attach(relationship);
+    
+    this.record(() => {
+      this.detach(relationship);
+      relationship.deleted = true;
+    });
+    
+    return relationship;
+  }
+  
+  /**
+   * Delete a node
+   * The caller is responsible for its relationships.
+   * @param {StoredNode} node - Node
+   * @returns {boolean} Whether the node was live
+   */
+  deleteNode(node) {
+    if (node.deleted) {
+      return false;
+    }
+    
+    this.nodes.delete(node.id);
+    node.deleted = true;
+    
+    this.record(() => {
+      node.deleted = false;
+      this.nodes.set(node.id, node);
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Delete a relationship
+   * @param {StoredRelationship} relationship - Relationship
+   * @returns {boolean} Whether the relationship was live
+   */
+  deleteRelationship(relationship) {
+    if (relationship.deleted) {
+      return false;
+    }
+    
+    this.detach(relationship);
+    relationship.deleted = true;
+    
+    this.record(() => {
+      relationship.deleted = false;
+      this.attach(relationship);
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Set or remove a property
+   * @param {StoredNode|StoredRelationship} entity - Node or relationship
+   * @param {string} key - Property key
+   * @param {*} value - New value; null removes the property
+   */
+  setProperty(entity, key, value) {
+    const had = Object.prototype.hasOwnProperty.call(entity.properties, key);
+    const previous = entity.properties[key];
+    
+    if (value === null || value === undefined) {
+      delete entity.properties[key];
+    } else {
+      entity.properties[key] = value;
+    }
+    
+    this.record(() => {
+      if (had) {
+        entity.properties[key] = previous;
+      } else {
+        delete entity.properties[key];
+      }
+    });
+  }
+  
+  /**
+   * Replace all properties
+   * @param {StoredNode|StoredRelationship} entity - Node or relationship
+   * @param {Object} properties - New properties (null values are skipped)
+   */
+  replaceProperties(entity, properties) {
+    const previous = entity.properties;
+    entity.properties = withoutNulls(properties);
+    
+    this.record(() => {
+      entity.properties = previous;
+    });
+  }
+  
+  /**
+   * Add a label to a node
+   * @param {StoredNode} node - Node
+   * @param {string} label - Label
+   * @returns {boolean} Whether the label was added
+   */
+  addLabel(node, label) {
+    if (node.labels.includes(label)) {
+      return false;
+    }
+    
+    node.labels = [...node.labels, label];
+    this.record(() => {
+      node.labels = node.labels.filter(existing => existing !== label);
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Remove a label from a node
+   * @param {StoredNode} node - Node
+   * @param {string} label - Label
+   * @returns {boolean} Whether the label was removed
+   */
+  removeLabel(node, label) {
+    if (!node.labels.includes(label)) {
+      return false;
+    }
+    
+    const previous = node.labels;
+    node.labels = node.labels.filter(existing => existing !== label);
+    this.record(() => {
+      node.labels = previous;
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Register a relationship with the graph and its nodes
+   * @param {StoredRelationship} relationship - Relationship
+   * @private
+   */
+  attach(relationship) {
+    this.relationships.set(relationship.id, relationship);
+    relationship.start.outgoing.add(relationship);
+    relationship.end.incoming.add(relationship);
+  }
+  
+  /**
+   * Unregister a relationship from the graph and its nodes
+   * @param {StoredRelationship} relationship - Relationship
+   * @private
+   */
+  detach(relationship) {
+    this.relationships.delete(relationship.id);
+    relationship.start.outgoing.delete(relationship);
+    relationship.end.incoming.delete(relationship);
+  }
+}
+
+/**
+ * Copy a property map without null values, which Neo4j does not store
+ * @param {Object} properties - Properties
+ * @returns {Object} Copy
+ */
+function withoutNulls(properties) {
+  const result = {};
+  
+  for (const [key, value] of Object.entries(properties || {})) {
+    if (value !== null && value !== undefined) {
+      result[key] = value;
+    }
+  }
+  
+  return result;
+}
+
+module.exports = {
+  GraphStore,
+  StoredNode,
+  StoredRelationship,
+  PathValue
+};
@@ -0,0 +1,193 @@
+/**
+ * Tokenizer for the Cypher subset understood by the in-memory executor
+ * Produces identifiers, numbers, strings, parameters and punctuation with
+ * their source offsets, so projections can be named after their text
+ */
+
+const { syntaxError } = require('./errors');
+
+// Punctuation recognized as a single token, longest first
+const SYMBOLS = ['..', '<>', '!=', '<=', '>=', '=~', '+=', '(', ')', '[', ']', '{', '}', ',', ':', '.', '|',
+  ';', '+', '-', '*', '/', '%', '^', '=', '<', '>'];
+
+const IDENTIFIER_START = /[A-Za-z_]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_]/;
+const DIGIT = /[0-9]/;
+
+const STRING_ESCAPES = {
+  n: '\n',
+  t: '\t',
+  r: '\r',
+  b: '\b',
+  f: '\f',
+  '\\': '\\',
+  '\'': '\'',
+  '"': '"'
+};
+
+/**
+ * A lexical token
+ * @typedef {Object} Token
+ * @property {string} type - "ident", "number", "string", "param", "symbol" or "eof"
+ * @property {*} value - Token value (identifier name, number, string contents or symbol)
+ * @property {boolean} [quoted] - Whether an identifier was written in backticks
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ */
+
+/**
+ * Split a query into tokens
+ * @param {string} query - Cypher query
+ * @returns {Array<Token>} Tokens, ending with an "eof" token
+ * @throws {Neo4jError} If the query contains an unterminated string or an unknown character
+ */
+function tokenize(query) {
+  const tokens = [];
+  let pos = 0;
+  
+  while (pos < query.length) {
+    const char = query[pos];
+    
+    // Whitespace
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+    
+    // Comments
+    if (query.startsWith('//', pos)) {
+      const end = query.indexOf('\n', pos);
+      pos = end === -1 ? query.length : end + 1;
+      continue;
+    }
+    
+    if (query.startsWith('/*', pos)) {
+      const end = query.indexOf('*/', pos + 2);
+      if (end === -1) {
+        throw syntaxError('Unterminated comment', pos);
+      }
+      pos = end + 2;
+      continue;
+    }
+    
+    const start = pos;
+    
+    // Identifiers and keywords
+    if (IDENTIFIER_START.test(char)) {
+      while (pos < query.length && IDENTIFIER_PART.test(query[pos])) pos++;
+      tokens.push({ type: 'ident', value: query.slice(start, pos), quoted: false, start, end: pos });
+      continue;
+    }
+    
+    // Backtick-quoted identifiers (`` is an escaped backtick)
+    if (char === '`') {
+      let value = '';
+      pos++;
+      
+      for (;;) {
+        if (pos >= query.length) {
+          throw syntaxError('Unterminated quoted identifier', start);
+        }
+        if (query[pos] === '`') {
+          if (query[pos + 1] === '`') {
+            value += '`';
+            pos += 2;
+            continue;
+          }
+          pos++;
+          break;
+        }
+        value += query[pos++];
+      }
+      
+      tokens.push({ type: 'ident', value, quoted: true, start, end: pos });
+      continue;
+    }
+    
+    // Numbers (a leading dot only when followed by a digit, so ".." stays a range)
+    if (DIGIT.test(char) || (char === '.' && DIGIT.test(query[pos + 1] || ''))) {
+      while (pos < query.length && DIGIT.test(query[pos])) pos++;
+      
+      if (query[pos] === '.' && DIGIT.test(query[pos + 1] || '')) {
+        pos++;
+        while (pos < query.length && DIGIT.test(query[pos])) pos++;
+      }
+      
+      if (/[eE]/.test(query[pos] || '') && /[-+0-9]/.test(query[pos + 1] || '')) {
+        pos += 2;
+        while (pos < query.length && DIGIT.test(query[pos])) pos++;
+      }
+      
+      tokens.push({ type: 'number', value: Number(query.slice(start, pos)), start, end: pos });
+      continue;
+    }
+    
+    // Strings
+    if (char === '\'' || char === '"') {
+      let value = '';
+      pos++;
+      
+      for (;;) {
+        if (pos >= query.length) {
+          throw syntaxError('Unterminated string literal', start);
+        }
+        const current = query[pos];
+        if (current === char) {
+          pos++;
+          break;
+        }
+        if (current === '\\') {
+          const next = query[pos + 1];
+          if (next === 'u') {
+            value += String.fromCharCode(parseInt(query.slice(pos + 2, pos + 6), 16));
+            pos += 6;
+          } else {
+            value += next in STRING_ESCAPES ? STRING_ESCAPES[next] : next;
+            pos += 2;
+          }
+          continue;
+        }
+        value += current;
+        pos++;
+      }
+      
+      tokens.push({ type: 'string', value, start, end: pos });
+      continue;
+    }
+    
+    // Parameters
+    if (char === '$') {
+      pos++;
+      if (query[pos] === '`') {
+        const end = query.indexOf('`', pos + 1);
+        if (end === -1) {
+          throw syntaxError('Unterminated parameter name', start);
+        }
+        tokens.push({ type: 'param', value: query.slice(pos + 1, end), start, end: end + 1 });
+        pos = end + 1;
+        continue;
+      }
+      while (pos < query.length && IDENTIFIER_PART.test(query[pos])) pos++;
+      if (pos === start + 1) {
+        throw syntaxError('Expected a parameter name after $', start);
+      }
+      tokens.push({ type: 'param', value: query.slice(start + 1, pos), start, end: pos });
+      continue;
+    }
+    
+    const symbol = SYMBOLS.find(candidate => query.startsWith(candidate, pos));
+    if (!symbol) {
+      throw syntaxError(`Invalid input '${char}'`, pos);
+    }
+    
+    pos += symbol.length;
+    tokens.push({ type: 'symbol', value: symbol, start, end: pos });
+  }
+  
+  tokens.push({ type: 'eof', value: null, start: query.length, end: query.length });
+  return tokens;
+}
+
+module.exports = {
+  tokenize
+};
@@ -0,0 +1,1022 @@
+/**
+ * Parser for the Cypher subset understood by the in-memory executor
+ * Covers the clauses CypherBuilder and the repositories produce: MATCH,
+ * OPTIONAL MATCH, WHERE, WITH, UNWIND, RETURN with ORDER BY/SKIP/LIMIT,
+ * CREATE, MERGE with ON CREATE/ON MATCH SET, SET, REMOVE, DELETE,
+ * DETACH DELETE, FOREACH, CALL subqueries and UNION
+ */
+
+const { tokenize } = require('./lexer');
+const { syntaxError } = require('./errors');
+
+// Functions that aggregate over rows instead of being evaluated per row
+const AGGREGATE_FUNCTIONS = ['count', 'collect', 'sum', 'avg', 'min', 'max'];
+
+// Functions that test a predicate on every item of a list
+const LIST_PREDICATES = ['all', 'any', 'none', 'single'];
+
+// Clauses that modify the graph
+const UPDATE_CLAUSES = ['Create', 'Merge', 'Set', 'Remove', 'Delete', 'Foreach'];
+
+/**
+ * Recursive-descent parser producing a plain-object AST
+ */
+class Parser {
+  /**
+   * Create a new parser
+   * @param {string} query - Cypher query
+   */
+  constructor(query) {
+    this.query = query;
+    this.tokens = tokenize(query);
+    this.pos = 0;
+  }
+  
+  /**
+   * Get a token without consuming it
+   * @param {number} [offset=0] - Offset from the current token
+   * @returns {Token} Token
+   */
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+  
+  /**
+   * Consume the current token
+   * @returns {Token} Consumed token
+   */
+  next() {
+    const token = this.tokens[this.pos];
+    if (token.type !== 'eof') {
+      this.pos++;
+    }
+    return token;
+  }
+  
+  /**
+   * Get the most recently consumed token
+   * @returns {Token} Token
+   */
+  previous() {
+    return this.tokens[this.pos - 1];
+  }
+  
+  /**
+   * Check whether a token is an unquoted keyword
+   * @param {string} word - Keyword in upper case
+   * @param {number} [offset=0] - Offset from the current token
+   * @returns {boolean} Whether the token is the keyword
+   */
+  isKeyword(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'ident' && !token.quoted && token.value.toUpperCase() === word;
+  }
+  
+  /**
+   * Check whether a token is a symbol
+   * @param {string} symbol - Symbol
+   * @param {number} [offset=0] - Offset from the current token
+   * @returns {boolean} Whether the token is the symbol
+   */
+  isSymbol(symbol, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'symbol' && token.value === symbol;
+  }
+  
+  /**
+   * Consume a keyword if it is next
+   * @param {string} word - Keyword in upper case
+   * @returns {boolean} Whether the keyword was consumed
+   */
+  acceptKeyword(word) {
+    if (this.isKeyword(word)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Consume a symbol if it is next
+   * @param {string} symbol - Symbol
+   * @returns {boolean} Whether the symbol was consumed
+   */
+  acceptSymbol(symbol) {
+    if (this.isSymbol(symbol)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Consume a keyword that must be next
+   * @param {string} word - Keyword in upper case
+   * @throws {Neo4jError} If the keyword is not next
+   */
+  expectKeyword(word) {
+    if (!this.acceptKeyword(word)) {
+      throw this.unexpected(word);
+    }
+  }
+  
+  /**
+   * Consume a symbol that must be next
+   * @param {string} symbol - Symbol
+   * @throws {Neo4jError} If the symbol is not next
+   */
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) {
+      throw this.unexpected(`'${symbol}'`);
+    }
+  }
+  
+  /**
+   * Consume a name (variable, label, relationship type or property key)
+   * @returns {string} Name
+   * @throws {Neo4jError} If no identifier is next
+   */
+  expectName() {
+    const token = this.peek();
+    if (token.type !== 'ident') {
+      throw this.unexpected('an identifier');
+    }
+    this.next();
+    return token.value;
+  }
+  
+  /**
+   * Create a syntax error for the current token
+   * @param {string} expected - Description of what was expected
+   * @returns {Neo4jError} Error
+   */
+  unexpected(expected) {
+    const token = this.peek();
+    const found = token.type === 'eof' ? 'end of input' : `'${this.query.slice(token.start, token.end)}'`;
+    return syntaxError(`Invalid input ${found}: expected ${expected}`, token.start);
+  }
+  
+  /**
+   * Parse a complete query
+   * @returns {Object} Query AST
+   */
+  parse() {
+    const query = this.parseQuery();
+    this.acceptSymbol(';');
+    
+    if (this.peek().type !== 'eof') {
+      throw this.unexpected('end of input');
+    }
+    
+    return query;
+  }
+  
+  /**
+   * Parse single queries combined with UNION
+   * @returns {Object} Single query or Union AST
+   */
+  parseQuery() {
+    const queries = [this.parseSingleQuery()];
+    const all = [];
+    
+    while (this.acceptKeyword('UNION')) {
+      all.push(this.acceptKeyword('ALL'));
+      queries.push(this.parseSingleQuery());
+    }
+    
+    if (queries.length === 1) {
+      return queries[0];
+    }
+    
+    return { type: 'Union', queries, all };
+  }
+  
+  /**
+   * Parse a sequence of clauses
+   * @returns {Object} Single query AST
+   */
+  parseSingleQuery() {
+    const clauses = [];
+    
+    while (this.peek().type !== 'eof' && !this.isKeyword('UNION') &&
+           !this.isSymbol('}') && !this.isSymbol(';')) {
+      clauses.push(this.parseClause());
+    }
+    
+    if (clauses.length === 0) {
+      throw this.unexpected('a clause');
+    }
+    
+    return { type: 'SingleQuery', clauses };
+  }
+  
+  /**
+   * Parse one clause
+   * @returns {Object} Clause AST
+   */
+  parseClause() {
+    if (this.acceptKeyword('MATCH')) return this.parseMatch(false);
+    if (this.acceptKeyword('OPTIONAL')) {
+      this.expectKeyword('MATCH');
+      return this.parseMatch(true);
+    }
+    if (this.acceptKeyword('UNWIND')) return this.parseUnwind();
+    if (this.acceptKeyword('WITH')) return this.parseProjection('With');
+    if (this.acceptKeyword('RETURN')) return this.parseProjection('Return');
+    if (this.acceptKeyword('CREATE')) return { type: 'Create', patterns: this.parsePatternList() };
+    if (this.acceptKeyword('MERGE')) return this.parseMerge();
+    if (this.acceptKeyword('SET')) return { type: 'Set', items: this.parseSetItems() };
+    if (this.acceptKeyword('REMOVE')) return { type: 'Remove', items: this.parseRemoveItems() };
+    if (this.acceptKeyword('DELETE')) return { type: 'Delete', detach: false, expressions: this.parseExpressionList() };
+    if (this.acceptKeyword('DETACH')) {
+      this.expectKeyword('DELETE');
+      return { type: 'Delete', detach: true, expressions: this.parseExpressionList() };
+    }
+    if (this.acceptKeyword('FOREACH')) return this.parseForeach();
+    if (this.acceptKeyword('CALL')) return this.parseCall();
+    
+    throw this.unexpected('a clause');
+  }
+  
+  /**
+   * Parse a MATCH or OPTIONAL MATCH clause with its WHERE
+   * @param {boolean} optional - Whether the match is optional
+   * @returns {Object} Match AST
+   */
+  parseMatch(optional) {
+    const patterns = this.parsePatternList();
+    const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+    return { type: 'Match', optional, patterns, where };
+  }
+  
+  /**
+   * Parse an UNWIND clause
+   * @returns {Object} Unwind AST
+   */
+  parseUnwind() {
+    const expression = this.parseExpression();
+    this.expectKeyword('AS');
+    return { type: 'Unwind', expression, variable: this.expectName() };
+  }
+  
+  /**
+   * Parse a WITH or RETURN clause
+   * @param {string} type - "With" or "Return"
+   * @returns {Object} Projection AST
+   */
+  parseProjection(type) {
+    const distinct = this.acceptKeyword('DISTINCT');
+    let star = false;
+    const items = [];
+    
+    if (this.acceptSymbol('*')) {
+      star = true;
+    } else {
+      items.push(this.parseProjectionItem(type));
+    }
+    
+    while (this.acceptSymbol(',')) {
+      items.push(this.parseProjectionItem(type));
+    }
+    
+    const projection = { type, distinct, star, items, orderBy: [], skip: null, limit: null, where: null };
+    
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      do {
+        const start = this.peek().start;
+        const expression = this.parseExpression();
+        const text = this.query.slice(start, this.previous().end);
+        let descending = false;
+        
+        if (this.acceptKeyword('DESC') || this.acceptKeyword('DESCENDING')) {
+          descending = true;
+        } else if (!this.acceptKeyword('ASC')) {
+          this.acceptKeyword('ASCENDING');
+        }
+        
+        projection.orderBy.push({ expression, text, descending });
+      } while (this.acceptSymbol(','));
+    }
+    
+    if (this.acceptKeyword('SKIP')) {
+      projection.skip = this.parseExpression();
+    }
+    
+    if (this.acceptKeyword('LIMIT')) {
+      projection.limit = this.parseExpression();
+    }
+    
+    if (type === 'With' && this.acceptKeyword('WHERE')) {
+      projection.where = this.parseExpression();
+    }
+    
+    return projection;
+  }
+  
+  /**
+   * Parse one item of a WITH or RETURN clause
+   * @param {string} type - "With" or "Return"
+   * @returns {Object} Item with expression, column name and aggregation flag
+   */
+  parseProjectionItem(type) {
+    const start = this.peek().start;
+    const expression = this.parseExpression();
+    const text = this.query.slice(start, this.previous().end);
+    let name;
+    
+    if (this.acceptKeyword('AS')) {
+      name = this.expectName();
+    } else if (expression.type === 'Variable') {
+      name = expression.name;
+    } else if (type === 'With') {
+      throw syntaxError(`Expression in WITH must be aliased (use AS): ${text}`, start);
+    } else {
+      name = text;
+    }
+    
+    return { expression, name, text, aggregate: containsAggregate(expression) };
+  }
+  
+  /**
+   * Parse a MERGE clause with its ON CREATE SET and ON MATCH SET actions
+   * @returns {Object} Merge AST
+   */
+  parseMerge() {
+    const pattern = this.parsePatternPart();
+    const onCreate = [];
+    const onMatch = [];
+    
+    while (this.isKeyword('ON')) {
+      this.next();
+      
+      if (this.acceptKeyword('CREATE')) {
+        this.expectKeyword('SET');
+        onCreate.push(...this.parseSetItems());
+      } else {
+        this.expectKeyword('MATCH');
+        this.expectKeyword('SET');
+        onMatch.push(...this.parseSetItems());
+      }
+    }
+    
+    return { type: 'Merge', pattern, onCreate, onMatch };
+  }
+  
+  /**
+   * Parse the items of a SET clause
+   * @returns {Array<Object>} Set items
+   */
+  parseSetItems() {
+    const items = [];
+    
+    do {
+      const variable = this.expectName();
+      
+      if (this.isSymbol(':')) {
+        items.push({ type: 'SetLabels', variable, labels: this.parseLabels() });
+      } else if (this.acceptSymbol('.')) {
+        const key = this.expectName();
+        this.expectSymbol('=');
+        items.push({ type: 'SetProperty', variable, key, value: this.parseExpression() });
+      } else if (this.acceptSymbol('+=')) {
+        items.push({ type: 'SetProperties', variable, value: this.parseExpression(), replace: false });
+      } else {
+        this.expectSymbol('=');
+        items.push({ type: 'SetProperties', variable, value: this.parseExpression(), replace: true });
+      }
+    } while (this.acceptSymbol(','));
+    
+    return items;
+  }
+  
+  /**
+   * Parse the items of a REMOVE clause
+   * @returns {Array<Object>} Remove items
+   */
+  parseRemoveItems() {
+    const items = [];
+    
+    do {
+      const variable = this.expectName();
+      
+      if (this.isSymbol(':')) {
+        items.push({ type: 'RemoveLabels', variable, labels: this.parseLabels() });
+      } else {
+        this.expectSymbol('.');
+        items.push({ type: 'RemoveProperty', variable, key: this.expectName() });
+      }
+    } while (this.acceptSymbol(','));
+    
+    return items;
+  }
+  
+  /**
+   * Parse a FOREACH clause
+   * @returns {Object} Foreach AST
+   */
+  parseForeach() {
+    this.expectSymbol('(');
+    const variable = this.expectName();
+    this.expectKeyword('IN');
+    const list = this.parseExpression();
+    this.expectSymbol('|');
+    
+    const clauses = [];
+    while (!this.isSymbol(')')) {
+      const clause = this.parseClause();
+      if (!UPDATE_CLAUSES.includes(clause.type)) {
+        throw syntaxError('FOREACH may only contain update clauses', this.previous().start);
+      }
+      clauses.push(clause);
+    }
+    
+    this.expectSymbol(')');
+    return { type: 'Foreach', variable, list, clauses };
+  }
+  
+  /**
+   * Parse a CALL subquery
+   * @returns {Object} Call AST
+   */
+  parseCall() {
+    if (!this.isSymbol('{')) {
+      throw syntaxError('Procedure calls are not supported by the in-memory executor', this.peek().start);
+    }
+    
+    this.next();
+    const query = this.parseQuery();
+    this.expectSymbol('}');
+    
+    return { type: 'Call', query };
+  }
+  
+  /**
+   * Parse comma-separated expressions
+   * @returns {Array<Object>} Expression ASTs
+   */
+  parseExpressionList() {
+    const expressions = [this.parseExpression()];
+    while (this.acceptSymbol(',')) {
+      expressions.push(this.parseExpression());
+    }
+    return expressions;
+  }
+  
+  /**
+   * Parse comma-separated pattern parts
+   * @returns {Array<Object>} Pattern part ASTs
+   */
+  parsePatternList() {
+    const patterns = [this.parsePatternPart()];
+    while (this.acceptSymbol(',')) {
+      patterns.push(this.parsePatternPart());
+    }
+    return patterns;
+  }
+  
+  /**
+   * Parse a pattern part, optionally named and wrapped in shortestPath()
+   * @returns {Object} Pattern part with variable, shortest and elements
+   */
+  parsePatternPart() {
+    let variable = null;
+    let shortest = null;
+    
+    if (this.peek().type === 'ident' && this.isSymbol('=', 1)) {
+      variable = this.next().value;
+      this.next();
+    }
+    
+    const token = this.peek();
+    const name = token.type === 'ident' && !token.quoted ? token.value.toLowerCase() : null;
+    
+    if ((name === 'shortestpath' || name === 'allshortestpaths') && this.isSymbol('(', 1)) {
+      this.next();
+      this.next();
+      shortest = name === 'shortestpath' ? 'single' : 'all';
+      const elements = this.parsePatternElements();
+      this.expectSymbol(')');
+      
+      if (elements.length !== 3) {
+        throw syntaxError('shortestPath requires a pattern with exactly one relationship', token.start);
+      }
+      
+      return { variable, shortest, elements };
+    }
+    
+    return { variable, shortest, elements: this.parsePatternElements() };
+  }
+  
+  /**
+   * Parse alternating node and relationship patterns
+   * @returns {Array<Object>} Elements, starting and ending with a node
+   */
+  parsePatternElements() {
+    const elements = [this.parseNodePattern()];
+    
+    while (this.isSymbol('-') || (this.isSymbol('<') && this.isSymbol('-', 1))) {
+      elements.push(this.parseRelationshipPattern());
+      elements.push(this.parseNodePattern());
+    }
+    
+    return elements;
+  }
+  
+  /**
+   * Parse a node pattern
+   * @returns {Object} Node pattern with variable, labels and properties
+   */
+  parseNodePattern() {
+    this.expectSymbol('(');
+    
+    const variable = this.peek().type === 'ident' ? this.next().value : null;
+    const labels = this.isSymbol(':') ? this.parseLabels() : [];
+    const properties = this.parsePatternProperties();
+    
+    this.expectSymbol(')');
+    return { type: 'NodePattern', variable, labels, properties };
+  }
+  
+  /**
+   * Parse a relationship pattern including its arrows
+   * @returns {Object} Relationship pattern with variable, types, range, properties and direction
+   */
+  parseRelationshipPattern() {
+    const left = this.acceptSymbol('<');
+    this.expectSymbol('-');
+    
+    const relationship = { type: 'RelationshipPattern', variable: null, types: [], range: null, properties: null };
+    
+    if (this.acceptSymbol('[')) {
+      if (this.peek().type === 'ident') {
+        relationship.variable = this.next().value;
+      }
+      
+      if (this.acceptSymbol(':')) {
+        relationship.types.push(this.expectName());
+        while (this.acceptSymbol('|')) {
+          this.acceptSymbol(':');
+          relationship.types.push(this.expectName());
+        }
+      }
+      
+      if (this.acceptSymbol('*')) {
+        relationship.range = this.parseRange();
+      }
+      
+      relationship.properties = this.parsePatternProperties();
+      this.expectSymbol(']');
+    }
+    
+    this.expectSymbol('-');
+    const right = this.acceptSymbol('>');
+    
+    if (left && right) {
+      throw syntaxError('A relationship cannot point in both directions', this.previous().start);
+    }
+    
+    relationship.direction = left ? 'in' : right ? 'out' : 'both';
+    return relationship;
+  }
+  
+  /**
+   * Parse the bounds of a variable-length relationship after its "*"
+   * @returns {Object} Range with min and max hops
+   */
+  parseRange() {
+    const number = () => (this.peek().type === 'number' ? this.next().value : null);
+    const min = number();
+    
+    if (this.acceptSymbol('..')) {
+      const max = number();
+      return { min: min === null ? 1 : min, max: max === null ? Infinity : max };
+    }
+    
+    if (min !== null) {
+      return { min, max: min };
+    }
+    
+    return { min: 1, max: Infinity };
+  }
+  
+  /**
+   * Parse an optional property map or parameter of a pattern
+   * @returns {Object|null} Expression or null
+   */
+  parsePatternProperties() {
+    if (this.isSymbol('{')) {
+      return this.parseMapLiteral();
+    }
+    if (this.peek().type === 'param') {
+      return { type: 'Parameter', name: this.next().value };
+    }
+    return null;
+  }
+  
+  /**
+   * Parse one or more ":Label" names
+   * @returns {Array<string>} Labels
+   */
+  parseLabels() {
+    const labels = [];
+    while (this.acceptSymbol(':')) {
+      labels.push(this.expectName());
+    }
+    return labels;
+  }
+  
+  /**
+   * Parse an expression
+   * @returns {Object} Expression AST
+   */
+  parseExpression() {
+    return this.parseOr();
+  }
+  
+  /**
+   * Parse a chain of binary operators given as keywords
+   * @param {string} keyword - Operator keyword
+   * @param {Function} operand - Parser for the operands
+   * @returns {Object} Expression AST
+   */
+  parseKeywordChain(keyword, operand) {
+    let left = operand();
+    while (this.acceptKeyword(keyword)) {
+      left = { type: 'Binary', operator: keyword, left, right: operand() };
+    }
+    return left;
+  }
+  
+  /**
+   * Parse OR chains
+   * @returns {Object} Expression AST
+   */
+  parseOr() {
+    return this.parseKeywordChain('OR', () => this.parseXor());
+  }
+  
+  /**
+   * Parse XOR chains
+   * @returns {Object} Expression AST
+   */
+  parseXor() {
+    return this.parseKeywordChain('XOR', () => this.parseAnd());
+  }
+  
+  /**
+   * Parse AND chains
+   * @returns {Object} Expression AST
+   */
+  parseAnd() {
+    return this.parseKeywordChain('AND', () => this.parseNot());
+  }
+  
+  /**
+   * Parse NOT
+   * @returns {Object} Expression AST
+   */
+  parseNot() {
+    if (this.acceptKeyword('NOT')) {
+      return { type: 'Unary', operator: 'NOT', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+  
+  /**
+   * Parse comparisons and string, list and null predicates
+   * @returns {Object} Expression AST
+   */
+  parseComparison() {
+    let left = this.parseAdditive();
+    
+    for (;;) {
+      const token = this.peek();
+      
+      if (token.type === 'symbol' && ['=', '<>', '!=', '<', '>', '<=', '>=', '=~'].includes(token.value)) {
+        this.next();
+        const operator = token.value === '!=' ? '<>' : token.value;
+        left = { type: 'Binary', operator, left, right: this.parseAdditive() };
+      } else if (this.acceptKeyword('IN')) {
+        left = { type: 'Binary', operator: 'IN', left, right: this.parseAdditive() };
+      } else if (this.isKeyword('STARTS') || this.isKeyword('ENDS')) {
+        const operator = `${this.next().value.toUpperCase()} WITH`;
+        this.expectKeyword('WITH');
+        left = { type: 'Binary', operator, left, right: this.parseAdditive() };
+      } else if (this.acceptKeyword('CONTAINS')) {
+        left = { type: 'Binary', operator: 'CONTAINS', left, right: this.parseAdditive() };
+      } else if (this.acceptKeyword('IS')) {
+        const negated = this.acceptKeyword('NOT');
+        this.expectKeyword('NULL');
+        left = { type: 'IsNull', operand: left, negated };
+      } else {
+        return left;
+      }
+    }
+  }
+  
+  /**
+   * Parse a left-associative chain of symbol operators
+   * @param {Array<string>} operators - Operator symbols
+   * @param {Function} operand - Parser for the operands
+   * @returns {Object} Expression AST
+   */
+  parseSymbolChain(operators, operand) {
+    let left = operand();
+    
+    while (this.peek().type === 'symbol' && operators.includes(this.peek().value)) {
+      const operator = this.next().value;
+      left = { type: 'Binary', operator, left, right: operand() };
+    }
+    
+    return left;
+  }
+  
+  /**
+   * Parse + and -
+   * @returns {Object} Expression AST
+   */
+  parseAdditive() {
+    return this.parseSymbolChain(['+', '-'], () => this.parseMultiplicative());
+  }
+  
+  /**
+   * Parse *, / and %
+   * @returns {Object} Expression AST
+   */
+  parseMultiplicative() {
+    return this.parseSymbolChain(['*', '/', '%'], () => this.parsePower());
+  }
+  
+  /**
+   * Parse ^
+   * @returns {Object} Expression AST
+   */
+  parsePower() {
+    return this.parseSymbolChain(['^'], () => this.parseUnary());
+  }
+  
+  /**
+   * Parse unary minus and plus
+   * @returns {Object} Expression AST
+   */
+  parseUnary() {
+    if (this.isSymbol('-') || this.isSymbol('+')) {
+      const operator = this.next().value;
+      return { type: 'Unary', operator, operand: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+  
+  /**
+   * Parse property access, indexing, slicing and label checks
+   * @returns {Object} Expression AST
+   */
+  parsePostfix() {
+    let expression = this.parseAtom();
+    
+    for (;;) {
+      if (this.acceptSymbol('.')) {
+        expression = { type: 'Property', object: expression, key: this.expectName() };
+      } else if (this.acceptSymbol('[')) {
+        if (this.acceptSymbol('..')) {
+          const to = this.isSymbol(']') ? null : this.parseExpression();
+          expression = { type: 'Slice', object: expression, from: null, to };
+        } else {
+          const index = this.parseExpression();
+          if (this.acceptSymbol('..')) {
+            const to = this.isSymbol(']') ? null : this.parseExpression();
+            expression = { type: 'Slice', object: expression, from: index, to };
+          } else {
+            expression = { type: 'Index', object: expression, index };
+          }
+        }
+        this.expectSymbol(']');
+      } else if (expression.type === 'Variable' && this.isSymbol(':') && this.peek(1).type === 'ident') {
+        expression = { type: 'HasLabels', operand: expression, labels: this.parseLabels() };
+      } else {
+        return expression;
+      }
+    }
+  }
+  
+  /**
+   * Parse literals, parameters, variables, function calls, lists, maps and CASE
+   * @returns {Object} Expression AST
+   */
+  parseAtom() {
+    const token = this.peek();
+    
+    if (token.type === 'number' || token.type === 'string') {
+      this.next();
+      return { type: 'Literal', value: token.value };
+    }
+    
+    if (token.type === 'param') {
+      this.next();
+      return { type: 'Parameter', name: token.value };
+    }
+    
+    if (this.acceptSymbol('(')) {
+      const expression = this.parseExpression();
+      this.expectSymbol(')');
+      return expression;
+    }
+    
+    if (this.isSymbol('[')) {
+      return this.parseListExpression();
+    }
+    
+    if (this.isSymbol('{')) {
+      return this.parseMapLiteral();
+    }
+    
+    if (token.type !== 'ident') {
+      throw this.unexpected('an expression');
+    }
+    
+    if (!token.quoted) {
+      const keyword = token.value.toUpperCase();
+      
+      if (keyword === 'TRUE' || keyword === 'FALSE') {
+        this.next();
+        return { type: 'Literal', value: keyword === 'TRUE' };
+      }
+      if (keyword === 'NULL') {
+        this.next();
+        return { type: 'Literal', value: null };
+      }
+      if (keyword === 'CASE') {
+        this.next();
+        return this.parseCase();
+      }
+      if (this.isSymbol('(', 1)) {
+        return this.parseFunctionCall();
+      }
+    }
+    
+    this.next();
+    return { type: 'Variable', name: token.value };
+  }
+  
+  /**
+   * Parse a function call or a list predicate such as all(x IN list WHERE ...)
+   * @returns {Object} Expression AST
+   */
+  parseFunctionCall() {
+    const nameToken = this.next();
+    const name = nameToken.value.toLowerCase();
+    this.expectSymbol('(');
+    
+    if (LIST_PREDICATES.includes(name) && this.peek().type === 'ident' && this.isKeyword('IN', 1)) {
+      const variable = this.next().value;
+      this.next();
+      const list = this.parseExpression();
+      this.expectKeyword('WHERE');
+      const predicate = this.parseExpression();
+      this.expectSymbol(')');
+      return { type: 'ListPredicate', kind: name, variable, list, predicate };
+    }
+    
+    if (name === 'exists' && this.isSymbol('(')) {
+      throw syntaxError('Pattern predicates are not supported by the in-memory executor', nameToken.start);
+    }
+    
+    const call = { type: 'FunctionCall', name, distinct: false, star: false, args: [] };
+    
+    if (this.acceptSymbol('*')) {
+      call.star = true;
+    } else if (!this.isSymbol(')')) {
+      call.distinct = this.acceptKeyword('DISTINCT');
+      call.args = this.parseExpressionList();
+    }
+    
+    this.expectSymbol(')');
+    return call;
+  }
+  
+  /**
+   * Parse a list literal or a list comprehension
+   * @returns {Object} Expression AST
+   */
+  parseListExpression() {
+    this.expectSymbol('[');
+    
+    if (this.peek().type === 'ident' && this.isKeyword('IN', 1)) {
+      const variable = this.next().value;
+      this.next();
+      const list = this.parseExpression();
+      const predicate = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+      const projection = this.acceptSymbol('|') ? this.parseExpression() : null;
+      this.expectSymbol(']');
+      return { type: 'ListComprehension', variable, list, predicate, projection };
+    }
+    
+    const items = this.isSymbol(']') ? [] : this.parseExpressionList();
+    this.expectSymbol(']');
+    return { type: 'List', items };
+  }
+  
+  /**
+   * Parse a map literal
+   * @returns {Object} Expression AST
+   */
+  parseMapLiteral() {
+    this.expectSymbol('{');
+    const entries = [];
+    
+    if (!this.isSymbol('}')) {
+      do {
+        const token = this.peek();
+        if (token.type !== 'ident' && token.type !== 'string') {
+          throw this.unexpected('a property key');
+        }
+        this.next();
+        this.expectSymbol(':');
+        entries.push([token.value, this.parseExpression()]);
+      } while (this.acceptSymbol(','));
+    }
+    
+    this.expectSymbol('}');
+    return { type: 'Map', entries };
+  }
+  
+  /**
+   * Parse a CASE expression after its CASE keyword
+   * @returns {Object} Expression AST
+   */
+  parseCase() {
+    const subject = this.isKeyword('WHEN') ? null : this.parseExpression();
+    const branches = [];
+    
+    while (this.acceptKeyword('WHEN')) {
+      const when = this.parseExpression();
+      this.expectKeyword('THEN');
+      branches.push({ when, then: this.parseExpression() });
+    }
+    
+    if (branches.length === 0) {
+      throw this.unexpected('WHEN');
+    }
+    
+    const otherwise = this.acceptKeyword('ELSE') ? this.parseExpression() : null;
+    this.expectKeyword('END');
+    
+    return { type: 'Case', subject, branches, otherwise };
+  }
+}
+
+/**
+ * Check whether an expression contains an aggregating function call
+ * List predicates and comprehensions are scanned too, since an aggregate
+ * may appear in their list expression.
+ * @param {Object} expression - Expression AST
+ * @returns {boolean} Whether the expression aggregates
+ */
+function containsAggregate(expression) {
+  if (!expression || typeof expression !== 'object') {
+    return false;
+  }
+  
+  if (expression.type === 'FunctionCall' && AGGREGATE_FUNCTIONS.includes(expression.name)) {
+    return true;
+  }
+  
+  return Object.values(expression).some(value => {
+    if (Array.isArray(value)) {
+      return value.some(item => (Array.isArray(item) ? item.some(containsAggregate) : containsAggregate(item)));
+    }
+    return value && typeof value === 'object' && containsAggregate(value);
+  });
+}
+
+/**
+ * Check whether a query modifies the graph
+ * @param {Object} query - Query AST
+ * @returns {boolean} Whether the query contains update clauses
+ */
+function isUpdatingQuery(query) {
+  if (query.type === 'Union') {
+    return query.queries.some(isUpdatingQuery);
+  }
+  
+  return query.clauses.some(clause => UPDATE_CLAUSES.includes(clause.type) ||
+    (clause.type === 'Call' && isUpdatingQuery(clause.query)));
+}
+
+/**
+ * Parse a Cypher query
+ * @param {string} query - Cypher query
+ * @returns {Object} Query AST
+ * @throws {Neo4jError} If the query is not valid in the supported subset
+ */
+function parse(query) {
+  return new Parser(query).parse();
+}
+
+module.exports = {
+  AGGREGATE_FUNCTIONS,
+  parse,
+  containsAggregate,
+  isUpdatingQuery
+};
@@ -0,0 +1,422 @@
+/**
+ * Sessions and transactions of the in-memory Cypher executor
+ * Mirror the parts of the neo4j-driver Driver, Session and Transaction API
+ * the shared library and the repositories use. Results contain real driver
+ * Record, Node, Relationship and Path objects; numbers stay JavaScript
+ * numbers, as with the driver's disableLosslessIntegers option.
+ *
+ * Each query runs atomically. Transactions see each other's uncommitted
+ * changes and are rolled back by undoing their own changes.
+ */
+
+const neo4j = require('neo4j-driver');
+const { parse, isUpdatingQuery } = require('./parser');
+const { executeQuery } = require('./executor');
+const { StoredNode, StoredRelationship, PathValue } = require('./graphStore');
+const { ERROR_CODES, cypherError } = require('./errors');
+
+// Parsed queries by text; repositories run the same queries over and over
+const PARSE_CACHE_SIZE = 500;
+
+/**
+ * Convert an executor value to the value the driver would return
+ * @param {*} value - Executor value
+ * @returns {*} Driver value
+ */
+function toDriverValue(value) {
+  if (value === null || value === undefined) return null;
+  
+  if (value instanceof StoredNode) {
+    return new neo4j.types.Node(neo4j.int(value.id), [...value.labels], toDriverValue(value.properties), String(value.id));
+  }
+  
+  if (value instanceof StoredRelationship) {
+    return new neo4j.types.Relationship(
+      neo4j.int(value.id),
+      neo4j.int(value.start.id),
+      neo4j.int(value.end.id),
+      value.type,
+      toDriverValue(value.properties),
+      String(value.id),
+      String(value.start.id),
+      String(value.end.id)
+    );
+  }
+  
+  if (value instanceof PathValue) {
+    const nodes = value.nodes.map(toDriverValue);
+    const segments = value.relationships.map((relationship, index) =>
+      new neo4j.types.PathSegment(nodes[index], toDriverValue(relationship), nodes[index + 1]));
+    return new neo4j.types.Path(nodes[0], nodes[nodes.length - 1], segments);
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(toDriverValue);
+  }
+  
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = toDriverValue(value[key]);
+    }
+    return result;
+  }
+  
+  return value;
+}
+
+/**
+ * Create a result summary similar to the driver's ResultSummary
+ * @param {string} query - Query text
+ * @param {Object} params - Query parameters
+ * @param {Object} counters - Update statistics
+ * @returns {Object} Summary with query and counters
+ */
+function createSummary(query, params, counters) {
+  return {
+    query: { text: query, parameters: params },
+    queryType: isUpdate(counters) ? 'rw' : 'r',
+    counters: {
+      updates: () => ({ ...counters }),
+      containsUpdates: () => isUpdate(counters)
+    }
+  };
+}
+
+/**
+ * Check whether update statistics contain any change
+ * @param {Object} counters - Update statistics
+ * @returns {boolean} Whether anything changed
+ */
+function isUpdate(counters) {
+  return Object.values(counters).some(count => count > 0);
+}
+
+/**
+ * Driver stand-in handing out in-memory sessions
+ */
+class InMemoryDriver {
+  /**
+   * Create a new driver over a graph
+   * @param {GraphStore} store - Graph
+   */
+  constructor(store) {
+    this.store = store;
+    this.parseCache = new Map();
+    this.transactionCount = 0;
+  }
+  
+  /**
+   * Parse a query, reusing earlier parses of the same text
+   * @param {string} query - Cypher query
+   * @returns {Object} Query AST
+   */
+  parse(query) {
+    let ast = this.parseCache.get(query);
+    
+    if (!ast) {
+      ast = parse(query);
+      if (this.parseCache.size >= PARSE_CACHE_SIZE) {
+        this.parseCache.delete(this.parseCache.keys().next().value);
+      }
+      this.parseCache.set(query, ast);
+    }
+    
+    return ast;
+  }
+  
+  /**
+   * Create a session
+   * @param {Object} [options={}] - Session options (database is ignored: there is one graph)
+   * @param {string} [options.defaultAccessMode] - neo4j.session.READ or neo4j.session.WRITE
+   * @param {Array<string>} [options.bookmarks] - Bookmarks; every commit is visible at once
+   * @returns {InMemorySession} Session
+   */
+  session(options = {}) {
+    return new InMemorySession(this, options);
+  }
+  
+  /**
+   * Check connectivity (always succeeds)
+   * @returns {Promise<Object>} Server info
+   */
+  async verifyConnectivity() {
+    return { address: 'memory', agent: 'in-memory' };
+  }
+  
+  /**
+   * Close the driver
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Session stand-in
+ */
+class InMemorySession {
+  /**
+   * Create a new session
+   * @param {InMemoryDriver} driver - Driver
+   * @param {Object} options - Session options
+   */
+  constructor(driver, options) {
+    this.driver = driver;
+    this.accessMode = options.defaultAccessMode || neo4j.session.WRITE;
+    this.bookmarks = [].concat(options.bookmarks || []);
+    this.transaction = null;
+    this.open = true;
+  }
+  
+  /**
+   * Start an explicit transaction
+   * @param {Object} [config] - Transaction config (timeout and metadata are ignored)
+   * @returns {InMemoryTransaction} Transaction
+   * @throws {Neo4jError} If the session is closed or already has an open transaction
+   */
+  beginTransaction(config) {
+    if (!this.open) {
+      throw cypherError(ERROR_CODES.TRANSACTION_CLOSED, 'Cannot begin a transaction on a closed session');
+    }
+    if (this.transaction && this.transaction.isOpen()) {
+      throw cypherError(ERROR_CODES.TRANSACTION_CLOSED,
+        'You cannot begin a transaction on a session with an open transaction');
+    }
+    
+    this.transaction = new InMemoryTransaction(this, this.accessMode);
+    return this.transaction;
+  }
+  
+  /**
+   * Run a query in an auto-commit transaction
+   * @param {string} query - Cypher query
+   * @param {Object} [params={}] - Query parameters
+   * @returns {Promise<Object>} Result with records and summary
+   */
+  async run(query, params = {}) {
+    const tx = this.beginTransaction();
+    
+    try {
+      const result = await tx.run(query, params);
+      await tx.commit();
+      return result;
+    } catch (err) {
+      if (tx.isOpen()) {
+        await tx.rollback();
+      }
+      throw err;
+    }
+  }
+  
+  /**
+   * Run a unit of work in a transaction with the given access mode
+   * @param {string} accessMode - neo4j.session.READ or neo4j.session.WRITE
+   * @param {Function} work - Receives the transaction
+   * @returns {Promise<*>} Result of the work
+   * @private
+   */
+  async runManaged(accessMode, work) {
+    const previousMode = this.accessMode;
+    this.accessMode = accessMode;
+    
+    let tx;
+    try {
+      tx = this.beginTransaction();
+    } finally {
+      this.accessMode = previousMode;
+    }
+    
+    try {
+      const result = await work(tx);
+      if (tx.isOpen()) {
+        await tx.commit();
+      }
+      return result;
+    } catch (err) {
+      if (tx.isOpen()) {
+        await tx.rollback();
+      }
+      throw err;
+    }
+  }
+  
+  /**
+   * Run a unit of work in a read transaction (neo4j-driver 4.x name)
+   * @param {Function} work - Receives the transaction
+   * @returns {Promise<*>} Result of the work
+   */
+  readTransaction(work) {
+    return this.runManaged(neo4j.session.READ, work);
+  }
+  
+  /**
+   * Run a unit of work in a write transaction (neo4j-driver 4.x name)
+   * @param {Function} work - Receives the transaction
+   * @returns {Promise<*>} Result of the work
+   */
+  writeTransaction(work) {
+    return this.runManaged(neo4j.session.WRITE, work);
+  }
+  
+  /**
+   * Run a unit of work in a read transaction
+   * @param {Function} work - Receives the transaction
+   * @returns {Promise<*>} Result of the work
+   */
+  executeRead(work) {
+    return this.runManaged(neo4j.session.READ, work);
+  }
+  
+  /**
+   * Run a unit of work in a write transaction
+   * @param {Function} work - Receives the transaction
+   * @returns {Promise<*>} Result of the work
+   */
+  executeWrite(work) {
+    return this.runManaged(neo4j.session.WRITE, work);
+  }
+  
+  /**
+   * Get the bookmarks of the last committed transaction
+   * @returns {Array<string>} Bookmarks
+   */
+  lastBookmarks() {
+    return [...this.bookmarks];
+  }
+  
+  /**
+   * Get the bookmarks of the last committed transaction (neo4j-driver 4.x name)
+   * @returns {Array<string>} Bookmarks
+   */
+  lastBookmark() {
+    return this.lastBookmarks();
+  }
+  
+  /**
+   * Close the session, rolling back an open transaction
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.transaction && this.transaction.isOpen()) {
+      await this.transaction.rollback();
+    }
+    this.open = false;
+  }
+}
+
+/**
+ * Transaction stand-in
+ */
+class InMemoryTransaction {
+  /**
+   * Create a new transaction
+   * @param {InMemorySession} session - Owning session
+   * @param {string} accessMode - neo4j.session.READ or neo4j.session.WRITE
+   */
+  constructor(session, accessMode) {
+    this.session = session;
+    this.driver = session.driver;
+    this.accessMode = accessMode;
+    this.journal = [];
+    this.open = true;
+  }
+  
+  /**
+   * Run a query in the transaction
+   * A query that fails is undone before the error is thrown.
+   * @param {string} query - Cypher query
+   * @param {Object} [params={}] - Query parameters
+   * @returns {Promise<Object>} Result with records and summary
+   */
+  async run(query, params = {}) {
+    if (!this.open) {
+      throw cypherError(ERROR_CODES.TRANSACTION_CLOSED, 'Cannot run a query in a closed transaction');
+    }
+    
+    const ast = this.driver.parse(query);
+    
+    if (this.accessMode === neo4j.session.READ && isUpdatingQuery(ast)) {
+      throw cypherError(ERROR_CODES.ACCESS_MODE, 'Writing in read access mode not allowed');
+    }
+    
+    const { store } = this.driver;
+    const position = this.journal.length;
+    let result;
+    
+    store.journal = this.journal;
+    try {
+      result = executeQuery(store, ast, params);
+    } catch (err) {
+      store.undo(this.journal, position);
+      throw err;
+    } finally {
+      store.journal = null;
+    }
+    
+    const keys = result.columns || [];
+    const records = result.columns
+      ? result.rows.map(row => new neo4j.types.Record(keys, keys.map(key => toDriverValue(row[key]))))
+      : [];
+    
+    return { records, keys, summary: createSummary(query, params, result.counters) };
+  }
+  
+  /**
+   * Commit the transaction
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    this.assertOpen();
+    this.open = false;
+    
+    if (this.journal.length > 0) {
+      this.session.bookmarks = [`memory:tx:${++this.driver.transactionCount}`];
+    }
+  }
+  
+  /**
+   * Roll the transaction back
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    this.assertOpen();
+    this.open = false;
+    this.driver.store.undo(this.journal);
+  }
+  
+  /**
+   * Check whether the transaction can still be used
+   * @returns {boolean} Whether the transaction is open
+   */
+  isOpen() {
+    return this.open;
+  }
+  
+  /**
+   * Close the transaction, rolling it back if still open
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.open) {
+      await this.rollback();
+    }
+  }
+  
+  /**
+   * Fail if the transaction was already committed or rolled back
+   * @throws {Neo4jError} If the transaction is closed
+   * @private
+   */
+  assertOpen() {
+    if (!this.open) {
+      throw cypherError(ERROR_CODES.TRANSACTION_CLOSED, 'Transaction has already been committed or rolled back');
+    }
+  }
+}
+
+module.exports = {
+  InMemoryDriver,
+  InMemorySession,
+  InMemoryTransaction,
+  toDriverValue
+};
@@ -5,6 +5,7 @@
 
 const { Pool } = require('pg');
 const { defaultLogger } = require('../../logging/logger');
+const { runUnitOfWork } = require('./unitOfWork');
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -156,6 +157,18 @@ class PostgresClient {
     });
   }
   
+  /**
+   * Execute a unit of work
+   * Unlike transaction, the callback receives a UnitOfWork: it can be given to
+   * repositories as their client, nests transactions as savepoints and takes
+   * hooks to run after commit.
+   * @param {Function} callback - Callback function that receives the unit of work
+   * @returns {Promise<*>} Result of the callback
+   */
+  async unitOfWork(callback) {
+    return runUnitOfWork(this.getPool(), callback, this.logger);
+  }
+  
   /**
    * Check if the database connection is healthy
    * @returns {Promise<boolean>} Whether the connection is healthy
@@ -0,0 +1,643 @@
+/**
+ * Migration runner for PostgreSQL
+ * Applies the SQL migrations of a directory (`NNNNN_name.sql`, rolled back by
+ * `down/NNNNN_name.sql`) in file name order, each in its own transaction, and
+ * records each applied migration with the checksum of its file in the
+ * migrations table. A single-row lock table keeps concurrent deploys from
+ * running migrations at the same time.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { defaultClient } = require('./client');
+const { select, insert, upsert, delete: del, quoteIdentifier, IDENTIFIER_KINDS } = require('./queryBuilder');
+const { defaultLogger } = require('../../logging/logger');
+const MigrationError = require('../../errors/MigrationError');
+
+// Default runner options
+const DEFAULT_OPTIONS = {
+  tableName: 'schema_migrations',
+  lockTableName: 'schema_migrations_lock',
+  legacyTableName: 'schema_version',
+  lockTimeoutMs: 60000,
+  lockPollMs: 1000
+};
+
+// Directory with the down migrations, inside the migrations directory
+const DOWN_DIR = 'down';
+
+// Transaction control the runner does itself
+const TRANSACTION_CONTROL = /^\s*(BEGIN|COMMIT|ROLLBACK|START\s+TRANSACTION)\s*;/im;
+
+// Errors of CREATE TABLE IF NOT EXISTS racing another process (unique_violation, duplicate_table)
+const CONCURRENT_CREATE_CODES = ['23505', '42P07'];
+
+/**
+ * Migration found in the migrations directory
+ * @typedef {Object} MigrationFile
+ * @property {string} name - File name without extension (e.g. "00001_create_users_table")
+ * @property {number} version - Numeric prefix of the name
+ * @property {string} file - Absolute path of the up migration
+ * @property {string} downFile - Absolute path of the down migration
+ * @property {string} checksum - SHA-256 of the up migration
+ */
+
+/**
+ * Compute the checksum of a migration file
+ * Line endings are normalised so checkouts on different platforms agree.
+ * @param {string} contents - File contents
+ * @returns {string} Hex SHA-256 checksum
+ */
+function checksum(contents) {
+  return crypto
+    .createHash('sha256')
+    .update(contents.replace(/\r\n/g, '\n'))
+    .digest('hex');
+}
+
+/**
+ * Parse the version of a migration name or a target version
+ * @param {string|number} value - Migration name (e.g. "00004_create_traditions_table") or version
+ * @returns {number} Version number
+ * @throws {MigrationError} If no version can be read
+ */
+function parseVersion(value) {
+  const match = /^(\d+)/.exec(String(value));
+  if (!match) {
+    throw new MigrationError(`Invalid migration version '${value}'`);
+  }
+  return parseInt(match[1], 10);
+}
+
+/**
+ * List the statements of a migration for a plan
+ * @param {string} sql - Migration SQL
+ * @returns {Array<string>} Lines of the migration without comments and blank lines
+ */
+function planStatements(sql) {
+  return sql
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.trim().startsWith('--'))
+    .map(line => line.replace(/\s+$/, ''));
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * PostgreSQL migration runner
+ */
+class MigrationRunner {
+  /**
+   * Create a new migration runner
+   * @param {Object} options - Options
+   * @param {string} options.migrationsDir - Directory with the migration files
+   * @param {PostgresClient} [options.client=defaultClient] - PostgreSQL client
+   * @param {Object} [options.logger=defaultLogger] - Logger instance
+   * @param {string} [options.tableName='schema_migrations'] - Table recording applied migrations
+   * @param {string} [options.lockTableName='schema_migrations_lock'] - Table holding the migration lock
+   * @param {string} [options.legacyTableName='schema_version'] - Table of migrate.sh, imported once
+   * @param {number} [options.lockTimeoutMs=60000] - How long to wait for the lock
+   * @param {number} [options.lockPollMs=1000] - How often to try for the lock
+   */
+  constructor(options = {}) {
+    if (!options.migrationsDir) {
+      throw new MigrationError('Migration runner needs a migrations directory');
+    }
+    
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    
+    this.migrationsDir = path.resolve(options.migrationsDir);
+    this.client = options.client || defaultClient;
+    this.logger = options.logger || defaultLogger;
+    this.tableName = settings.tableName;
+    this.lockTableName = settings.lockTableName;
+    this.legacyTableName = settings.legacyTableName;
+    this.lockTimeoutMs = settings.lockTimeoutMs;
+    this.lockPollMs = settings.lockPollMs;
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+  
+  /**
+   * Get the state of every migration
+   * @returns {Promise<Array<Object>>} Migrations in order, each with name,
+   *   version, status ("applied", "pending", "changed" or "missing"),
+   *   appliedAt and checksum
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+    const applied = await this.loadApplied();
+    const names = new Set(migrations.map(migration => migration.name));
+    
+    const result = migrations.map(migration => {
+      const record = applied.get(migration.name);
+      let status = 'pending';
+      
+      if (record) {
+        status = record.checksum && record.checksum !== migration.checksum ? 'changed' : 'applied';
+      }
+      
+      return {
+        name: migration.name,
+        version: migration.version,
+        status,
+        appliedAt: record ? record.applied_at : null,
+        checksum: migration.checksum
+      };
+    });
+    
+    for (const record of applied.values()) {
+      if (!names.has(record.name)) {
+        result.push({
+          name: record.name,
+          version: parseVersion(record.name),
+          status: 'missing',
+          appliedAt: record.applied_at,
+          checksum: record.checksum || null
+        });
+      }
+    }
+    
+    return result.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Apply pending migrations in order
+   * @param {Object} [options={}] - Options
+   * @param {string|number} [options.to] - Last version to apply (all pending by default)
+   * @param {boolean} [options.dryRun=false] - Only list the statements, without changing the database
+   * @returns {Promise<Object>} Object with direction, dryRun and the migrations run
+   *   (each with name, version and, in a dry run, the planned statements)
+   * @throws {MigrationError} If the lock is not released in time, an applied
+   *   migration was edited or is missing, or a migration fails
+   */
+  async up(options = {}) {
+    const target = options.to === undefined ? Infinity : parseVersion(options.to);
+    
+    return this.withLock(options, async () => {
+      const migrations = this.loadMigrations();
+      const applied = await this.verify(migrations, options);
+      
+      const pending = migrations.filter(migration =>
+        !applied.has(migration.name) && migration.version <= target
+      );
+      
+      return this.run('up', pending, options);
+    });
+  }
+  
+  /**
+   * Roll back applied migrations, latest first
+   * @param {Object} [options={}] - Options
+   * @param {string|number} [options.to] - Version to roll back to; migrations after it are
+   *   rolled back (only the latest one by default, 0 for all)
+   * @param {boolean} [options.dryRun=false] - Only list the statements, without changing the database
+   * @returns {Promise<Object>} Object with direction, dryRun and the migrations run
+   * @throws {MigrationError} If the lock is not released in time, an applied
+   *   migration was edited or is missing, or a rollback fails
+   */
+  async down(options = {}) {
+    const target = options.to === undefined ? undefined : parseVersion(options.to);
+    
+    return this.withLock(options, async () => {
+      const migrations = this.loadMigrations();
+      const applied = await this.verify(migrations, options);
+      
+      let rollback = migrations
+        .filter(migration => applied.has(migration.name))
+        .reverse();
+      
+      if (target === undefined) {
+        rollback = rollback.slice(0, 1);
+      } else {
+        rollback = rollback.filter(migration => migration.version > target);
+      }
+      
+      return this.run('down', rollback, options);
+    });
+  }
+  
+  /**
+   * Release the migration lock whoever holds it
+   * For a lock left behind by a deploy that was killed mid-run.
+   * @returns {Promise<Object|null>} Previous holder (lockedBy and lockedAt), or null if unlocked
+   */
+  async unlock() {
+    if (!await this.tableExists(this.lockTableName)) {
+      return null;
+    }
+    
+    const lockTable = quoteIdentifier(this.lockTableName, IDENTIFIER_KINDS.TABLE);
+    const holder = await this.client.transaction(async (client) => {
+      const { rows } = await client.query(`SELECT locked_by, locked_at FROM ${lockTable} WHERE id = 1 FOR UPDATE`);
+      
+      if (rows.length === 0 || !rows[0].locked_by) {
+        return null;
+      }
+      
+      await client.query(`UPDATE ${lockTable} SET locked_by = NULL, locked_at = NULL WHERE id = 1`);
+      return rows[0];
+    });
+    
+    if (!holder) {
+      return null;
+    }
+    
+    const { locked_by: lockedBy, locked_at: lockedAt } = holder;
+    this.logger.warn(`Released migration lock held by ${lockedBy}`, { lockedAt });
+    
+    return { lockedBy, lockedAt };
+  }
+  
+  /**
+   * Run a callback holding the migration lock
+   * Dry runs neither create the tables nor take the lock.
+   * @param {Object} options - Options
+   * @param {boolean} [options.dryRun=false] - Whether this is a dry run
+   * @param {Function} callback - Callback to run
+   * @returns {Promise<*>} Result of the callback
+   * @throws {MigrationError} If the lock is not released in time
+   * @private
+   */
+  async withLock(options, callback) {
+    if (options.dryRun) {
+      return callback();
+    }
+    
+    await this.ensureTables();
+    await this.acquireLock();
+    
+    try {
+      return await callback();
+    } finally {
+      await this.releaseLock();
+    }
+  }
+  
+  /**
+   * Take the migration lock, waiting while another process holds it
+   * @returns {Promise<void>}
+   * @throws {MigrationError} If the lock is not released within lockTimeoutMs
+   * @private
+   */
+  async acquireLock() {
+    const lockTable = quoteIdentifier(this.lockTableName, IDENTIFIER_KINDS.TABLE);
+    const deadline = Date.now() + this.lockTimeoutMs;
+    let waiting = false;
+    
+    for (;;) {
+      const result = await this.client.query(
+        `UPDATE ${lockTable} SET locked_by = $1, locked_at = NOW() WHERE id = 1 AND locked_by IS NULL`,
+        [this.owner]
+      );
+      
+      if (result.rowCount === 1) {
+        this.logger.debug('Acquired migration lock', { owner: this.owner });
+        return;
+      }
+      
+      const { rows } = await this.client.query(`SELECT locked_by, locked_at FROM ${lockTable} WHERE id = 1`);
+      const holder = rows[0] || {};
+      
+      if (Date.now() >= deadline) {
+        throw MigrationError.locked(holder.locked_by, holder.locked_at);
+      }
+      
+      if (!waiting) {
+        this.logger.info(`Waiting for migration lock held by ${holder.locked_by}`, { lockedAt: holder.locked_at });
+        waiting = true;
+      }
+      
+      await sleep(Math.min(this.lockPollMs, Math.max(deadline - Date.now(), 0)));
+    }
+  }
+  
+  /**
+   * Release the migration lock if this runner holds it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async releaseLock() {
+    const lockTable = quoteIdentifier(this.lockTableName, IDENTIFIER_KINDS.TABLE);
+    
+    await this.client.query(
+      `UPDATE ${lockTable} SET locked_by = NULL, locked_at = NULL WHERE id = 1 AND locked_by = $1`,
+      [this.owner]
+    );
+    this.logger.debug('Released migration lock', { owner: this.owner });
+  }
+  
+  /**
+   * Create the migrations and lock tables if they do not exist
+   * @returns {Promise<void>}
+   * @private
+   */
+  async ensureTables() {
+    const table = quoteIdentifier(this.tableName, IDENTIFIER_KINDS.TABLE);
+    const lockTable = quoteIdentifier(this.lockTableName, IDENTIFIER_KINDS.TABLE);
+    
+    await this.createTable(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        name VARCHAR(255) PRIMARY KEY,
+        version INTEGER NOT NULL,
+        checksum CHAR(64),
+        duration_ms INTEGER,
+        applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+    await this.createTable(`
+      CREATE TABLE IF NOT EXISTS ${lockTable} (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        locked_by VARCHAR(255),
+        locked_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+    
+    const lockRow = insert(this.lockTableName, { id: 1 }).onConflict('id').doNothing().build();
+    await this.client.query(lockRow.text, lockRow.params);
+  }
+  
+  /**
+   * Create a table, tolerating another process creating it at the same time
+   * @param {string} sql - CREATE TABLE IF NOT EXISTS statement
+   * @returns {Promise<void>}
+   * @private
+   */
+  async createTable(sql) {
+    try {
+      await this.client.query(sql);
+    } catch (err) {
+      if (!CONCURRENT_CREATE_CODES.includes(err.code)) {
+        throw err;
+      }
+    }
+  }
+  
+  /**
+   * Run migrations in one direction
+   * @param {string} direction - "up" or "down"
+   * @param {Array<MigrationFile>} migrations - Migrations in the order to run them
+   * @param {Object} options - Options
+   * @param {boolean} [options.dryRun=false] - Only list the statements
+   * @returns {Promise<Object>} Object with direction, dryRun and the migrations run
+   * @throws {MigrationError} If a migration fails
+   * @private
+   */
+  async run(direction, migrations, options) {
+    const dryRun = Boolean(options.dryRun);
+    const results = [];
+    
+    for (const migration of migrations) {
+      const result = { name: migration.name, version: migration.version };
+      const sql = this.readSql(direction, migration);
+      
+      if (dryRun) {
+        result.operations = planStatements(sql);
+      } else {
+        result.durationMs = await this.execute(direction, migration, sql);
+      }
+      
+      results.push(result);
+    }
+    
+    this.logger.info(dryRun ? 'Planned migrations' : 'Ran migrations', {
+      direction,
+      migrations: results.map(result => result.name)
+    });
+    
+    return { direction, dryRun, migrations: results };
+  }
+  
+  /**
+   * Run a migration and record the outcome in one transaction
+   * @param {string} direction - "up" or "down"
+   * @param {MigrationFile} migration - Migration
+   * @param {string} sql - Migration SQL
+   * @returns {Promise<number>} Duration in milliseconds
+   * @throws {MigrationError} If the migration fails
+   * @private
+   */
+  async execute(direction, migration, sql) {
+    const startTime = Date.now();
+    
+    this.logger.info(`Running migration ${migration.name} (${direction})`);
+    
+    try {
+      await this.client.transaction(async (client) => {
+        await client.query(sql);
+        
+        const durationMs = Date.now() - startTime;
+        const record = direction === 'up'
+          ? upsert(
+            this.tableName,
+            { name: migration.name, version: migration.version, checksum: migration.checksum, duration_ms: durationMs },
+            'name',
+            ['version', 'checksum', 'duration_ms']
+          ).build()
+          : del(this.tableName).where('name', '=', migration.name).build();
+        
+        await client.query(record.text, record.params);
+      });
+    } catch (err) {
+      throw MigrationError.failed(migration.name, direction, err);
+    }
+    
+    return Date.now() - startTime;
+  }
+  
+  /**
+   * Read the SQL of a migration
+   * @param {string} direction - "up" or "down"
+   * @param {MigrationFile} migration - Migration
+   * @returns {string} Migration SQL
+   * @throws {MigrationError} If the down migration is missing or the SQL controls the transaction
+   * @private
+   */
+  readSql(direction, migration) {
+    const file = direction === 'up' ? migration.file : migration.downFile;
+    
+    if (!fs.existsSync(file)) {
+      throw new MigrationError(
+        `Migration ${migration.name} has no ${DOWN_DIR}/${path.basename(file)} and cannot be rolled back`,
+        migration.name
+      );
+    }
+    
+    const sql = fs.readFileSync(file, 'utf8');
+    
+    // A COMMIT in the file would end the runner's transaction before the migration is recorded
+    if (TRANSACTION_CONTROL.test(sql)) {
+      throw new MigrationError(
+        `Migration ${migration.name} (${direction}) must not begin, commit or roll back transactions; ` +
+          'each migration already runs in one',
+        migration.name
+      );
+    }
+    
+    return sql;
+  }
+  
+  /**
+   * Check applied migrations against their files
+   * Records from before checksums were kept (including those imported from
+   * the legacy table) are given the checksum of the current file, unless in
+   * a dry run.
+   * @param {Array<MigrationFile>} migrations - Migrations in the directory
+   * @param {Object} options - Options
+   * @param {boolean} [options.dryRun=false] - Whether this is a dry run
+   * @returns {Promise<Map<string, Object>>} Applied migration records by name
+   * @throws {MigrationError} If an applied migration was edited or its file is missing
+   * @private
+   */
+  async verify(migrations, options) {
+    const applied = await this.loadApplied();
+    const byName = new Map(migrations.map(migration => [migration.name, migration]));
+    const unverified = [];
+    
+    for (const record of applied.values()) {
+      const migration = byName.get(record.name);
+      
+      if (!migration) {
+        throw MigrationError.missingFile(record.name);
+      }
+      
+      if (!record.checksum) {
+        unverified.push({ migration, record });
+      } else if (record.checksum !== migration.checksum) {
+        throw MigrationError.checksumMismatch(record.name, record.checksum, migration.checksum);
+      }
+    }
+    
+    for (const { migration, record } of unverified) {
+      this.logger.warn(`Migration ${migration.name} was applied without a checksum, recording the current one`);
+      if (!options.dryRun) {
+        const query = upsert(
+          this.tableName,
+          { name: migration.name, version: migration.version, checksum: migration.checksum, applied_at: record.applied_at },
+          'name',
+          ['version', 'checksum']
+        ).build();
+        await this.client.query(query.text, query.params);
+      }
+    }
+    
+    return applied;
+  }
+  
+  /**
+   * Read the migrations directory
+   * @returns {Array<MigrationFile>} Migrations in file name order
+   * @throws {MigrationError} If the directory does not exist or two files share a version
+   * @private
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.migrationsDir)) {
+      throw new MigrationError(`Migrations directory ${this.migrationsDir} does not exist`);
+    }
+    
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .filter(file => /^\d+_.*\.sql$/.test(file))
+      .sort()
+      .map(file => {
+        const filePath = path.join(this.migrationsDir, file);
+        
+        return {
+          name: path.basename(file, '.sql'),
+          version: parseVersion(file),
+          file: filePath,
+          downFile: path.join(this.migrationsDir, DOWN_DIR, file),
+          checksum: checksum(fs.readFileSync(filePath, 'utf8'))
+        };
+      });
+    
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new MigrationError(
+          `Migrations ${migrations[i - 1].name} and ${migrations[i].name} share version ${migrations[i].version}`,
+          migrations[i].name
+        );
+      }
+    }
+    
+    return migrations;
+  }
+  
+  /**
+   * Load the records of applied migrations
+   * While the migrations table is missing or empty, the versions migrate.sh
+   * recorded in the legacy table are used, without checksums.
+   * @returns {Promise<Map<string, Object>>} Records by name
+   * @private
+   */
+  async loadApplied() {
+    const applied = new Map();
+    
+    if (await this.tableExists(this.tableName)) {
+      const query = select(this.tableName, ['name', 'checksum', 'applied_at'])
+        .orderBy('applied_at', 'ASC')
+        .orderBy('name', 'ASC')
+        .build();
+      const { rows } = await this.client.query(query.text, query.params);
+      
+      for (const row of rows) {
+        applied.set(row.name, row);
+      }
+    }
+    
+    if (applied.size === 0 && await this.tableExists(this.legacyTableName)) {
+      for (const record of await this.loadLegacy()) {
+        if (!applied.has(record.name)) {
+          applied.set(record.name, record);
+        }
+      }
+    }
+    
+    return applied;
+  }
+  
+  /**
+   * Load the versions recorded by migrate.sh
+   * Versions are matched to migration files by number; a version without a
+   * file keeps its number as name and is reported missing.
+   * @returns {Promise<Array<Object>>} Records with name, a null checksum and applied_at
+   * @private
+   */
+  async loadLegacy() {
+    const names = new Map(this.loadMigrations().map(migration => [migration.version, migration.name]));
+    const query = select(this.legacyTableName, ['version', 'applied_at']).orderBy('id', 'ASC').build();
+    const { rows } = await this.client.query(query.text, query.params);
+    
+    return rows.map(row => ({
+      name: names.get(parseVersion(row.version)) || String(row.version),
+      checksum: null,
+      applied_at: row.applied_at
+    }));
+  }
+  
+  /**
+   * Check whether a table exists
+   * @param {string} table - Table name
+   * @returns {Promise<boolean>} Whether the table exists
+   * @private
+   */
+  async tableExists(table) {
+    const { rows } = await this.client.query('SELECT to_regclass($1) AS regclass', [table]);
+    return Boolean(rows[0] && rows[0].regclass);
+  }
+}
+
+module.exports = {
+  MigrationRunner,
+  DEFAULT_OPTIONS,
+  checksum,
+  parseVersion,
+  planStatements
+};
@@ -1,8 +1,53 @@
 /**
  * SQL query builder for PostgreSQL
  * Provides utilities to build complex queries safely
+ * Values are always passed as parameters. Table, column and alias names are
+ * validated and quoted with double quotes; expressions that are not plain
+ * names must be passed as raw() SQL.
  */
 
+const InvalidIdentifierError = require('../../errors/InvalidIdentifierError');
+const { resolveKeyset, fetchOrder, keysetPage } = require('../cursor');
+
+// Kinds of identifiers reported in InvalidIdentifierError
+const IDENTIFIER_KINDS = {
+  TABLE: 'table',
+  COLUMN: 'column',
+  ALIAS: 'alias',
+  CONSTRAINT: 'constraint',
+  OPERATOR: 'operator',
+  JOIN_TYPE: 'join type',
+  JOIN_CONDITION: 'join condition',
+  SORT_DIRECTION: 'sort direction'
+};
+
+// Names accepted for tables, columns and aliases
+const PLAIN_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Longest name PostgreSQL keeps (NAMEDATALEN - 1)
+const MAX_IDENTIFIER_LENGTH = 63;
+
+// Operators that compare a column with a single value
+const COMPARISON_OPERATORS = ['=', '<>', '!=', '<', '>', '<=', '>='];
+
+// Operators accepted in WHERE and HAVING conditions
+const OPERATORS = [
+  ...COMPARISON_OPERATORS,
+  'LIKE', 'NOT LIKE', 'ILIKE', 'NOT ILIKE',
+  'IN', 'NOT IN',
+  'IS', 'IS NOT', 'IS DISTINCT FROM', 'IS NOT DISTINCT FROM',
+  '@>', '<@', '?', '?|', '?&', '&&'
+];
+
+// Quantifiers a comparison operator can take with an array or a subquery
+const QUANTIFIERS = ['ANY', 'ALL'];
+
+// Accepted join types
+const JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT', 'FULL', 'LEFT OUTER', 'RIGHT OUTER', 'FULL OUTER'];
+
+// Alias of the sort value selected as text for keyset cursors
+const SORT_KEY_ALIAS = 'keyset_sort_key';
+
 /**
  * Represents a query condition
  * @typedef {Object} Condition
@@ -25,18 +70,428 @@
  * @property {number} offset - Number of results to skip
  */
 
+/**
+ * Represents a common table expression
+ * @typedef {Object} CommonTableExpression
+ * @property {string} name - Name the query refers to it by
+ * @property {Array<string>} columns - Column names (empty to take them from the query)
+ * @property {SelectQueryBuilder|Object} query - Query, or anchor term of a recursive expression
+ * @property {SelectQueryBuilder|Object|null} recursiveQuery - Recursive term (null if not recursive)
+ * @property {boolean} distinct - Whether the terms are joined with UNION instead of UNION ALL
+ */
+
+/**
+ * Trusted SQL fragment
+ * Placed into the query as it is wherever a name would be quoted, so it must
+ * never contain user input other than through its parameters.
+ */
+class RawSql {
+  /**
+   * Create a raw SQL fragment
+   * @param {string} text - SQL text, placeholders numbered from $1
+   * @param {Array} [params=[]] - Parameter values
+   */
+  constructor(text, params = []) {
+    this.text = text;
+    this.params = params;
+  }
+}
+
+/**
+ * Validate a single name and quote it
+ * @param {string} name - Table, column or alias name
+ * @param {string} [kind='column'] - Kind of name (see IDENTIFIER_KINDS)
+ * @returns {string} Quoted name (e.g. "\"concept_id\"")
+ * @throws {InvalidIdentifierError} If the name is not a plain identifier
+ */
+function quoteName(name, kind = IDENTIFIER_KINDS.COLUMN) {
+  if (typeof name !== 'string' || name.length > MAX_IDENTIFIER_LENGTH || !PLAIN_IDENTIFIER.test(name)) {
+    throw InvalidIdentifierError.malformed(kind, name);
+  }
+  return `"${name}"`;
+}
+
+/**
+ * Validate a possibly qualified name and quote each part
+ * @param {string} identifier - Name such as "users", "public.users", "c.concept_id" or "c.*"
+ * @param {string} [kind='column'] - Kind of the last part (see IDENTIFIER_KINDS)
+ * @returns {string} Quoted identifier (e.g. "\"c\".\"concept_id\"")
+ * @throws {InvalidIdentifierError} If a part is not a plain identifier
+ */
+function quoteIdentifier(identifier, kind = IDENTIFIER_KINDS.COLUMN) {
+  if (typeof identifier !== 'string') {
+    throw InvalidIdentifierError.malformed(kind, identifier);
+  }
+  
+  const parts = identifier.split('.');
+  const name = parts.pop();
+  
+  if (parts.length > 2) {
+    throw InvalidIdentifierError.malformed(kind, identifier);
+  }
+  
+  const qualifier = parts.map(part => quoteName(part, IDENTIFIER_KINDS.TABLE));
+  const quoted = name === '*' && kind === IDENTIFIER_KINDS.COLUMN ? '*' : quoteName(name, kind);
+  return [...qualifier, quoted].join('.');
+}
+
+/**
+ * Split a table reference into table name and alias
+ * @param {string} reference - Table reference such as "concepts", "concepts c" or "concepts AS c"
+ * @returns {Object} Object with name and alias (null without one)
+ * @throws {InvalidIdentifierError} If the reference has more parts
+ */
+function parseTableReference(reference) {
+  const match = typeof reference === 'string' && reference.trim().match(/^(\S+)(?:\s+(?:AS\s+)?(\S+))?$/i);
+  
+  if (!match) {
+    throw InvalidIdentifierError.malformed(IDENTIFIER_KINDS.TABLE, reference);
+  }
+  return { name: match[1], alias: match[2] || null };
+}
+
+/**
+ * Quote a table reference
+ * @param {string} reference - Table reference (see parseTableReference)
+ * @returns {string} Quoted reference (e.g. "\"concepts\" AS \"c\"")
+ * @throws {InvalidIdentifierError} If the table name or alias is invalid
+ */
+function quoteTableReference(reference) {
+  const { name, alias } = parseTableReference(reference);
+  const table = quoteIdentifier(name, IDENTIFIER_KINDS.TABLE);
+  return alias ? `${table} AS ${quoteName(alias, IDENTIFIER_KINDS.ALIAS)}` : table;
+}
+
+/**
+ * Normalise and check a condition operator
+ * @param {string} operator - Operator (e.g. "=", "ilike", "> any")
+ * @returns {string} Upper-case operator
+ * @throws {InvalidIdentifierError} If the operator is not supported
+ */
+function normalizeOperator(operator) {
+  const normalized = String(operator).trim().replace(/\s+/g, ' ').toUpperCase();
+  const [base, quantifier] = normalized.split(/ (?=ANY$|ALL$)/);
+  
+  const supported = quantifier
+    ? COMPARISON_OPERATORS.includes(base) && QUANTIFIERS.includes(quantifier)
+    : OPERATORS.includes(base);
+  
+  if (!supported) {
+    throw InvalidIdentifierError.malformed(IDENTIFIER_KINDS.OPERATOR, operator);
+  }
+  return normalized;
+}
+
+/**
+ * Normalise and check a sort direction
+ * @param {string} direction - "asc" or "desc" in any case
+ * @returns {string} "ASC" or "DESC"
+ * @throws {InvalidIdentifierError} If the direction is neither
+ */
+function normalizeDirection(direction) {
+  const normalized = String(direction).toUpperCase();
+  
+  if (normalized !== 'ASC' && normalized !== 'DESC') {
+    throw InvalidIdentifierError.malformed(IDENTIFIER_KINDS.SORT_DIRECTION, direction);
+  }
+  return normalized;
+}
+
+/**
+ * Build the per-table column allow-lists of a builder
+ * @param {Object<string, Array<string>>|null} allowedColumns - Column names by table name
+ * @returns {Map<string, Set<string>>} Allow-lists by table name
+ */
+function toAllowLists(allowedColumns) {
+  return new Map(Object.entries(allowedColumns || {}).map(([table, columns]) => [table, new Set(columns)]));
+}
+
+/**
+ * Tables a query reads from, used to resolve qualified column names
+ * @typedef {Object} Scope
+ * @property {Array<string>} tables - Table names
+ * @property {Map<string, string>} qualifiers - Table name by alias or name
+ * @property {Map<string, Set<string>>} allowedColumns - Allow-lists by table name
+ */
+
+/**
+ * Create the scope of a query
+ * @param {Array<string>} references - Table references of the query (FROM and JOINs)
+ * @param {Map<string, Set<string>>} allowedColumns - Allow-lists by table name
+ * @returns {Scope} Scope
+ */
+function createScope(references, allowedColumns) {
+  const scope = { tables: [], qualifiers: new Map(), allowedColumns };
+  
+  for (const reference of references) {
+    const { name, alias } = parseTableReference(reference);
+    scope.tables.push(name);
+    scope.qualifiers.set(alias || name, name);
+  }
+  
+  return scope;
+}
+
+/**
+ * Check a column against the allow-lists of the tables it may belong to
+ * Unqualified columns may belong to any table of the query; columns of
+ * tables without an allow-list, or qualified by an unknown name (such as
+ * an outer query in a correlated subquery), are not checked.
+ * @param {Scope} scope - Scope of the query
+ * @param {string} qualifier - Table name or alias ('' for an unqualified column)
+ * @param {string} column - Column name
+ * @throws {InvalidIdentifierError} If no table the column may belong to allows it
+ */
+function assertColumnAllowed(scope, qualifier, column) {
+  const tables = qualifier
+    ? [scope.qualifiers.get(qualifier)].filter(Boolean)
+    : scope.tables;
+  const allowLists = tables.map(table => scope.allowedColumns.get(table));
+  
+  if (allowLists.length === 0 || allowLists.some(allowList => !allowList)) {
+    return;
+  }
+  if (!allowLists.some(allowList => allowList.has(column))) {
+    throw InvalidIdentifierError.notAllowed(IDENTIFIER_KINDS.COLUMN, qualifier ? `${qualifier}.${column}` : column);
+  }
+}
+
+/**
+ * Add a column reference to a query
+ * @param {string|RawSql} column - Column name (e.g. "name", "c.name", "c.*") or raw SQL
+ * @param {Scope} scope - Scope of the query
+ * @param {Array} params - Parameters of the query, the values of raw SQL are appended
+ * @returns {string} Quoted column or raw SQL
+ * @throws {InvalidIdentifierError} If the column is invalid or not allowed
+ */
+function addColumn(column, scope, params) {
+  if (column instanceof RawSql) {
+    return addRaw(column.text, column.params, params);
+  }
+  
+  const quoted = quoteIdentifier(column);
+  const parts = column.split('.');
+  const name = parts.pop();
+  
+  if (name !== '*') {
+    assertColumnAllowed(scope, parts.join('.'), name);
+  }
+  return quoted;
+}
+
+/**
+ * Add a selected field to a query
+ * @param {string|RawSql} field - Column with an optional alias (e.g. "c.name AS concept_name") or raw SQL
+ * @param {Scope} scope - Scope of the query
+ * @param {Array} params - Parameters of the query, the values of raw SQL are appended
+ * @returns {string} Quoted field or raw SQL
+ * @throws {InvalidIdentifierError} If the column or alias is invalid or not allowed
+ */
+function addField(field, scope, params) {
+  const match = typeof field === 'string' && field.trim().match(/^(\S+)\s+(?:AS\s+)?(\S+)$/i);
+  
+  if (match) {
+    return `${addColumn(match[1], scope, params)} AS ${quoteName(match[2], IDENTIFIER_KINDS.ALIAS)}`;
+  }
+  return addColumn(typeof field === 'string' ? field.trim() : field, scope, params);
+}
+
+/**
+ * Add a join condition to a query
+ * Plain conditions compare columns ("c.concept_id = cp.concept_id", joined
+ * with AND); anything else must be raw SQL.
+ * @param {string|RawSql} condition - Join condition
+ * @param {Scope} scope - Scope of the query
+ * @param {Array} params - Parameters of the query, the values of raw SQL are appended
+ * @returns {string} Join condition with quoted columns
+ * @throws {InvalidIdentifierError} If the condition is not a comparison of columns
+ */
+function addJoinCondition(condition, scope, params) {
+  if (condition instanceof RawSql) {
+    return addRaw(condition.text, condition.params, params);
+  }
+  if (typeof condition !== 'string') {
+    throw InvalidIdentifierError.malformed(IDENTIFIER_KINDS.JOIN_CONDITION, condition);
+  }
+  
+  return condition.trim().split(/\s+AND\s+/i).map(comparison => {
+    const match = comparison.match(/^(\S+)\s*(=|<>|!=|<=|>=|<|>)\s*(\S+)$/);
+    if (!match) {
+      throw InvalidIdentifierError.malformed(IDENTIFIER_KINDS.JOIN_CONDITION, condition);
+    }
+    return `${addColumn(match[1], scope, params)} ${match[2]} ${addColumn(match[3], scope, params)}`;
+  }).join(' AND ');
+}
+
+/**
+ * Check whether a value is a query builder used as a subquery
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a SELECT query builder
+ */
+function isSubquery(value) {
+  return value instanceof SelectQueryBuilder;
+}
+
+/**
+ * Add a raw SQL fragment to a query
+ * Placeholders in the fragment are numbered from $1 and are renumbered to
+ * follow the parameters the query already has.
+ * @param {string} sql - SQL fragment
+ * @param {Array} values - Parameter values of the fragment
+ * @param {Array} params - Parameters of the query, the values are appended
+ * @returns {string} SQL fragment with renumbered placeholders
+ * @throws {Error} If a placeholder has no value
+ */
+function addRaw(sql, values, params) {
+  const offset = params.length;
+  
+  const text = sql.replace(/\$(\d+)/g, (placeholder, index) => {
+    if (Number(index) < 1 || Number(index) > values.length) {
+      throw new Error(`Placeholder ${placeholder} in "${sql}" has no value`);
+    }
+    return `$${offset + Number(index)}`;
+  });
+  
+  params.push(...values);
+  return text;
+}
+
+/**
+ * Add a subquery to a query
+ * @param {SelectQueryBuilder|Object} query - Query builder, or raw query with text and params
+ * @param {Array} params - Parameters of the query, the subquery's are appended
+ * @returns {string} SQL of the subquery
+ */
+function addSubquery(query, params) {
+  if (isSubquery(query)) {
+    return query.compile(params);
+  }
+  return addRaw(query.text, query.params || [], params);
+}
+
+/**
+ * Build the clauses of a WHERE condition list
+ * @param {Array<Object>} conditions - Conditions
+ * @param {Scope} scope - Scope of the query
+ * @param {Array} params - Parameters of the query, the values are appended
+ * @returns {Array<string>} Clauses to be joined with AND
+ * @throws {InvalidIdentifierError} If a column is invalid or not allowed
+ */
+function compileConditions(conditions, scope, params) {
+  const clauses = [];
+  
+  for (const condition of conditions) {
+    if (condition.raw) {
+      // Handle raw conditions
+      clauses.push(addRaw(condition.raw, condition.values || [], params));
+    } else if (condition.exists) {
+      // Handle EXISTS/NOT EXISTS subqueries
+      clauses.push(`${condition.exists} (${addSubquery(condition.query, params)})`);
+    } else if (condition.keyset) {
+      // Handle keyset pagination row comparisons
+      clauses.push(compileKeysetCondition(condition, scope, params));
+    } else {
+      const field = addColumn(condition.field, scope, params);
+      
+      if (isSubquery(condition.value)) {
+        // Handle comparisons with a subquery (IN, =, > ANY, ...)
+        clauses.push(`${field} ${condition.operator} (${addSubquery(condition.value, params)})`);
+      } else if (condition.operator === 'IN' || condition.operator === 'NOT IN') {
+        // Handle IN/NOT IN
+        const placeholders = condition.value.map(val => `$${params.push(val)}`);
+        clauses.push(`${field} ${condition.operator} (${placeholders.join(', ')})`);
+      } else if (condition.value === null) {
+        // Handle IS NULL/IS NOT NULL
+        clauses.push(`${field} ${condition.operator} NULL`);
+      } else if (/ (ANY|ALL)$/.test(condition.operator)) {
+        // Handle comparisons with an array parameter (= ANY, <> ALL, ...)
+        clauses.push(`${field} ${condition.operator} ($${params.push(condition.value)})`);
+      } else {
+        // Handle normal conditions
+        clauses.push(`${field} ${condition.operator} $${params.push(condition.value)}`);
+      }
+    }
+  }
+  
+  return clauses;
+}
+
+/**
+ * Build the condition selecting rows past a keyset cursor
+ * @param {Keyset} keyset - Keyset (see resolveKeyset)
+ * @returns {Object|null} Row comparison condition, or null on the first page
+ */
+function keysetCondition(keyset) {
+  if (!keyset.key) return null;
+  
+  // Row comparison, as both columns are sorted in the same direction
+  return {
+    keyset: true,
+    fields: [keyset.sortField, keyset.tiebreaker],
+    operator: fetchOrder(keyset) === 'asc' ? '>' : '<',
+    value: keyset.key
+  };
+}
+
+/**
+ * Build the clause of a keyset condition
+ * The sort value comes from the cursor as text (see paginateByCursor) and
+ * is left for PostgreSQL to convert to the column type, so timestamps keep
+ * their microseconds.
+ * @param {Object} condition - Condition from keysetCondition
+ * @param {Scope} scope - Scope of the query
+ * @param {Array} params - Parameters of the query, the values are appended
+ * @returns {string} Row comparison clause
+ * @throws {InvalidIdentifierError} If a column is invalid or not allowed
+ */
+function compileKeysetCondition(condition, scope, params) {
+  const fields = condition.fields.map(field => addColumn(field, scope, params));
+  const placeholders = condition.value.map(val => `$${params.push(val)}`);
+  
+  return `(${fields.join(', ')}) ${condition.operator} (${placeholders.join(', ')})`;
+}
+
+/**
+ * Build a WITH clause
+ * @param {Array<CommonTableExpression>} ctes - Common table expressions
+ * @param {Array} params - Parameters of the query, the values are appended
+ * @returns {string} WITH clause (WITH RECURSIVE if any expression is recursive)
+ * @throws {InvalidIdentifierError} If a name is invalid
+ */
+function compileWith(ctes, params) {
+  const recursive = ctes.some(cte => cte.recursiveQuery);
+  
+  const expressions = ctes.map(cte => {
+    const columns = cte.columns.length > 0
+      ? ` (${cte.columns.map(column => quoteName(column)).join(', ')})`
+      : '';
+    let body = addSubquery(cte.query, params);
+    
+    if (cte.recursiveQuery) {
+      body += ` ${cte.distinct ? 'UNION' : 'UNION ALL'} ${addSubquery(cte.recursiveQuery, params)}`;
+    }
+    
+    return `${quoteName(cte.name, IDENTIFIER_KINDS.TABLE)}${columns} AS (${body})`;
+  });
+  
+  return `WITH ${recursive ? 'RECURSIVE ' : ''}${expressions.join(', ')}`;
+}
+
 /**
  * Build a SELECT query
  */
 class SelectQueryBuilder {
   /**
    * Create a new SELECT query builder
-   * @param {string} table - Table name
-   * @param {Array<string>} [fields=['*']] - Fields to select
+   * @param {string} table - Table name, optionally with an alias (e.g. "concepts c")
+   * @param {Array<string|RawSql>} [fields=['*']] - Fields to select (columns with an optional alias, or raw SQL)
+   * @param {Object} [options={}] - Builder options
+   * @param {Object<string, Array<string>>} [options.allowedColumns] - Only accept these columns, by table name
    */
-  constructor(table, fields = ['*']) {
+  constructor(table, fields = ['*'], options = {}) {
     this.table = table;
     this.fields = fields;
+    this.allowedColumns = toAllowLists(options.allowedColumns);
     this.conditions = [];
     this.sortFields = [];
     this.limitValue = null;
@@ -44,18 +499,21 @@ class SelectQueryBuilder {
     this.groupByFields = [];
     this.havingConditions = [];
     this.joins = [];
+    this.ctes = [];
     this.params = [];
+    this.keyset = null;
   }
   
   /**
    * Add a WHERE condition
-   * @param {string} field - Field name
-   * @param {string} operator - Comparison operator
-   * @param {*} value - Value to compare against
+   * @param {string|RawSql} field - Field name
+   * @param {string} operator - Comparison operator (e.g. "=", "ILIKE", or "= ANY" with an array or a subquery)
+   * @param {*|SelectQueryBuilder} value - Value or subquery to compare against
    * @returns {SelectQueryBuilder} This builder instance
+   * @throws {InvalidIdentifierError} If the operator is not supported
    */
   where(field, operator, value) {
-    this.conditions.push({ field, operator, value });
+    this.conditions.push({ field, operator: normalizeOperator(operator), value });
     return this;
   }
   
@@ -72,11 +530,11 @@ class SelectQueryBuilder {
   /**
    * Add a WHERE IN condition
    * @param {string} field - Field name
-   * @param {Array} values - Values to include
+   * @param {Array|SelectQueryBuilder} values - Values to include, or a subquery selecting them
    * @returns {SelectQueryBuilder} This builder instance
    */
   whereIn(field, values) {
-    if (Array.isArray(values) && values.length > 0) {
+    if (isSubquery(values) || (Array.isArray(values) && values.length > 0)) {
       this.conditions.push({ field, operator: 'IN', value: values });
     }
     return this;
@@ -85,11 +543,11 @@ class SelectQueryBuilder {
   /**
    * Add a WHERE NOT IN condition
    * @param {string} field - Field name
-   * @param {Array} values - Values to exclude
+   * @param {Array|SelectQueryBuilder} values - Values to exclude, or a subquery selecting them
    * @returns {SelectQueryBuilder} This builder instance
    */
   whereNotIn(field, values) {
-    if (Array.isArray(values) && values.length > 0) {
+    if (isSubquery(values) || (Array.isArray(values) && values.length > 0)) {
       this.conditions.push({ field, operator: 'NOT IN', value: values });
     }
     return this;
@@ -137,6 +595,8 @@ class SelectQueryBuilder {
   
   /**
    * Add a raw WHERE condition
+   * Placeholders are numbered from $1 within the condition and are
+   * renumbered when the query is built.
    * @param {string} condition - Raw condition string
    * @param {Array} [values=[]] - Parameter values
    * @returns {SelectQueryBuilder} This builder instance
@@ -146,14 +606,35 @@ class SelectQueryBuilder {
     return this;
   }
   
+  /**
+   * Add a WHERE EXISTS condition
+   * @param {SelectQueryBuilder} query - Subquery (usually correlated through whereRaw)
+   * @returns {SelectQueryBuilder} This builder instance
+   */
+  whereExists(query) {
+    this.conditions.push({ exists: 'EXISTS', query });
+    return this;
+  }
+  
+  /**
+   * Add a WHERE NOT EXISTS condition
+   * @param {SelectQueryBuilder} query - Subquery (usually correlated through whereRaw)
+   * @returns {SelectQueryBuilder} This builder instance
+   */
+  whereNotExists(query) {
+    this.conditions.push({ exists: 'NOT EXISTS', query });
+    return this;
+  }
+  
   /**
    * Add an ORDER BY clause
-   * @param {string} field - Field to sort by
-   * @param {string} [direction='ASC'] - Sort direction
+   * @param {string|RawSql} field - Field to sort by
+   * @param {string} [direction='ASC'] - Sort direction ("asc" or "desc" in any case)
    * @returns {SelectQueryBuilder} This builder instance
+   * @throws {InvalidIdentifierError} If the direction is neither ASC nor DESC
    */
   orderBy(field, direction = 'ASC') {
-    this.sortFields.push({ field, direction: direction.toUpperCase() });
+    this.sortFields.push({ field, direction: normalizeDirection(direction) });
     return this;
   }
   
@@ -192,9 +673,56 @@ class SelectQueryBuilder {
     return this;
   }
   
+  /**
+   * Add keyset (cursor) pagination
+   * Orders by the sort field and the tiebreaker, replacing any other
+   * ORDER BY, and fetches one row more than the page size; pass the rows
+   * to toCursorPage. The sort column must be NOT NULL. The sort value is
+   * also selected as text for the cursors, since a JavaScript Date would
+   * cut a timestamp to milliseconds and make the next page repeat or skip
+   * rows.
+   * @param {Object} pagination - Pagination options
+   * @param {string} pagination.sortField - Column to sort on
+   * @param {string} pagination.tiebreaker - Unique column ordering rows with equal sort values (e.g. "activity_id")
+   * @param {string} [pagination.sortOrder='asc'] - "asc" or "desc"
+   * @param {number} [pagination.pageSize=20] - Page size
+   * @param {string} [pagination.cursor] - Cursor from a previous page (first page when empty)
+   * @returns {SelectQueryBuilder} This builder instance
+   * @throws {BadRequestError} If the cursor is invalid or was made for another sort
+   */
+  paginateByCursor(pagination) {
+    this.keyset = { ...resolveKeyset(pagination), sortKeyField: SORT_KEY_ALIAS };
+    
+    const { sortField, tiebreaker } = this.keyset;
+    const direction = fetchOrder(this.keyset).toUpperCase();
+    const condition = keysetCondition(this.keyset);
+    
+    this.conditions = this.conditions.filter(existing => !existing.keyset);
+    if (condition) {
+      this.conditions.push(condition);
+    }
+    
+    this.sortFields = [
+      { field: sortField, direction },
+      { field: tiebreaker, direction }
+    ];
+    this.limit(this.keyset.pageSize + 1);
+    this.offsetValue = null;
+    return this;
+  }
+  
+  /**
+   * Turn the rows returned by the query into a page
+   * @param {Array<Object>} rows - Rows
+   * @returns {Object} Object with items, nextCursor and prevCursor
+   */
+  toCursorPage(rows) {
+    return keysetPage(rows, this.keyset);
+  }
+  
   /**
    * Add a GROUP BY clause
-   * @param {string|Array<string>} fields - Field(s) to group by
+   * @param {string|RawSql|Array<string|RawSql>} fields - Field(s) to group by
    * @returns {SelectQueryBuilder} This builder instance
    */
   groupBy(fields) {
@@ -208,32 +736,40 @@ class SelectQueryBuilder {
   
   /**
    * Add a HAVING condition
-   * @param {string} field - Field name
+   * @param {string|RawSql} field - Field name, or raw SQL for an aggregate (e.g. raw('COUNT(*)'))
    * @param {string} operator - Comparison operator
    * @param {*} value - Value to compare against
    * @returns {SelectQueryBuilder} This builder instance
+   * @throws {InvalidIdentifierError} If the operator is not supported
    */
   having(field, operator, value) {
-    this.havingConditions.push({ field, operator, value });
+    this.havingConditions.push({ field, operator: normalizeOperator(operator), value });
     return this;
   }
   
   /**
    * Add a JOIN clause
-   * @param {string} table - Table to join
+   * @param {string} table - Table to join, optionally with an alias (e.g. "concept_traditions ct")
    * @param {string} type - Join type (INNER, LEFT, RIGHT, etc.)
-   * @param {string} condition - Join condition
+   * @param {string|RawSql} condition - Join condition comparing columns (e.g. "ct.concept_id = c.concept_id"), or raw SQL
    * @returns {SelectQueryBuilder} This builder instance
+   * @throws {InvalidIdentifierError} If the join type is not supported
    */
   join(table, type, condition) {
-    this.joins.push({ table, type: type.toUpperCase(), condition });
+    const joinType = String(type).trim().replace(/\s+/g, ' ').toUpperCase();
+    
+    if (!JOIN_TYPES.includes(joinType)) {
+      throw InvalidIdentifierError.malformed(IDENTIFIER_KINDS.JOIN_TYPE, type);
+    }
+    
+    this.joins.push({ table, type: joinType, condition });
     return this;
   }
   
   /**
    * Add an INNER JOIN clause
    * @param {string} table - Table to join
-   * @param {string} condition - Join condition
+   * @param {string|RawSql} condition - Join condition
    * @returns {SelectQueryBuilder} This builder instance
    */
   innerJoin(table, condition) {
@@ -243,7 +779,7 @@ class SelectQueryBuilder {
   /**
    * Add a LEFT JOIN clause
    * @param {string} table - Table to join
-   * @param {string} condition - Join condition
+   * @param {string|RawSql} condition - Join condition
    * @returns {SelectQueryBuilder} This builder instance
    */
   leftJoin(table, condition) {
@@ -253,7 +789,7 @@ class SelectQueryBuilder {
   /**
    * Add a RIGHT JOIN clause
    * @param {string} table - Table to join
-   * @param {string} condition - Join condition
+   * @param {string|RawSql} condition - Join condition
    * @returns {SelectQueryBuilder} This builder instance
    */
   rightJoin(table, condition) {
@@ -261,96 +797,123 @@ class SelectQueryBuilder {
   }
   
   /**
-   * Build the SELECT query
-   * @returns {Object} Object with text and params properties
+   * Add a common table expression (WITH clause)
+   * @param {string} name - Name the query refers to it by
+   * @param {SelectQueryBuilder|Object} query - Query builder, or raw query with text and params
+   * @param {Object} [options={}] - Expression options
+   * @param {Array<string>} [options.columns=[]] - Column names
+   * @returns {SelectQueryBuilder} This builder instance
    */
-  build() {
-    this.params = [];
-    let paramIndex = 1;
+  with(name, query, options = {}) {
+    const { columns = [] } = options;
+    this.ctes.push({ name, columns, query, recursiveQuery: null, distinct: false });
+    return this;
+  }
+  
+  /**
+   * Add a recursive common table expression (WITH RECURSIVE clause)
+   * The recursive term refers to the expression by its name, e.g. the
+   * ancestors of a synthesis:
+   *   select('concepts', ['concept_id', 'parent_concepts', raw('0')])
+   *     .whereEquals('concept_id', conceptId)
+   * as the anchor and
+   *   select('concepts c', ['c.concept_id', 'c.parent_concepts', raw('l.depth + 1')])
+   *     .innerJoin('lineage l', raw('l.parent_concepts ? c.concept_id::text'))
+   * as the recursive term, with columns ['concept_id', 'parent_concepts', 'depth'].
+   * Neither term may have ORDER BY, LIMIT or OFFSET.
+   * @param {string} name - Name the query and the recursive term refer to it by
+   * @param {SelectQueryBuilder|Object} anchor - Non-recursive term
+   * @param {SelectQueryBuilder|Object} recursive - Recursive term
+   * @param {Object} [options={}] - Expression options
+   * @param {Array<string>} [options.columns=[]] - Column names
+   * @param {boolean} [options.distinct=false] - Join the terms with UNION, dropping duplicate rows (stops cycles when rows repeat)
+   * @returns {SelectQueryBuilder} This builder instance
+   */
+  withRecursive(name, anchor, recursive, options = {}) {
+    const { columns = [], distinct = false } = options;
+    this.ctes.push({ name, columns, query: anchor, recursiveQuery: recursive, distinct });
+    return this;
+  }
+  
+  /**
+   * Build the SQL of the SELECT query
+   * Used directly when the query is nested in another one, so that its
+   * placeholders follow those of the outer query.
+   * @param {Array} params - Parameters of the query, the values are appended
+   * @returns {string} Query text
+   * @throws {InvalidIdentifierError} If a name is invalid or a column is not allowed
+   */
+  compile(params) {
+    const scope = createScope([this.table, ...this.joins.map(join => join.table)], this.allowedColumns);
+    let query = '';
+    
+    // Add WITH clause
+    if (this.ctes.length > 0) {
+      query += `${compileWith(this.ctes, params)} `;
+    }
     
     // Build SELECT clause
-    let query = `SELECT ${this.fields.join(', ')} FROM ${this.table}`;
+    const fields = this.fields.map(field => addField(field, scope, params));
+    
+    if (this.keyset) {
+      fields.push(`${addColumn(this.keyset.sortField, scope, params)}::text AS ${quoteName(SORT_KEY_ALIAS)}`);
+    }
+    query += `SELECT ${fields.join(', ')} FROM ${quoteTableReference(this.table)}`;
     
     // Add JOINs
     if (this.joins.length > 0) {
       for (const join of this.joins) {
-        query += ` ${join.type} JOIN ${join.table} ON ${join.condition}`;
+        query += ` ${join.type} JOIN ${quoteTableReference(join.table)} ON ${addJoinCondition(join.condition, scope, params)}`;
       }
     }
     
     // Add WHERE clause
     if (this.conditions.length > 0) {
-      const whereClauses = [];
-      
-      for (const condition of this.conditions) {
-        if (condition.raw) {
-          // Handle raw conditions
-          whereClauses.push(condition.raw);
-          if (condition.values) {
-            this.params.push(...condition.values);
-            paramIndex += condition.values.length;
-          }
-        } else if (condition.operator === 'IN' || condition.operator === 'NOT IN') {
-          // Handle IN/NOT IN
-          const placeholders = [];
-          for (const val of condition.value) {
-            placeholders.push(`$${paramIndex++}`);
-            this.params.push(val);
-          }
-          whereClauses.push(`${condition.field} ${condition.operator} (${placeholders.join(', ')})`);
-        } else {
-          // Handle normal conditions
-          if (condition.value === null) {
-            whereClauses.push(`${condition.field} ${condition.operator} NULL`);
-          } else {
-            whereClauses.push(`${condition.field} ${condition.operator} $${paramIndex++}`);
-            this.params.push(condition.value);
-          }
-        }
-      }
-      
-      query += ` WHERE ${whereClauses.join(' AND ')}`;
+      query += ` WHERE ${compileConditions(this.conditions, scope, params).join(' AND ')}`;
     }
     
     // Add GROUP BY clause
     if (this.groupByFields.length > 0) {
-      query += ` GROUP BY ${this.groupByFields.join(', ')}`;
+      const groupClauses = this.groupByFields.map(field => addColumn(field, scope, params));
+      query += ` GROUP BY ${groupClauses.join(', ')}`;
     }
     
     // Add HAVING clause
     if (this.havingConditions.length > 0) {
-      const havingClauses = [];
-      
-      for (const condition of this.havingConditions) {
-        havingClauses.push(`${condition.field} ${condition.operator} $${paramIndex++}`);
-        this.params.push(condition.value);
-      }
-      
-      query += ` HAVING ${havingClauses.join(' AND ')}`;
+      query += ` HAVING ${compileConditions(this.havingConditions, scope, params).join(' AND ')}`;
     }
     
     // Add ORDER BY clause
     if (this.sortFields.length > 0) {
       const orderClauses = this.sortFields.map(
-        ({ field, direction }) => `${field} ${direction}`
+        ({ field, direction }) => `${addColumn(field, scope, params)} ${direction}`
       );
       query += ` ORDER BY ${orderClauses.join(', ')}`;
     }
     
     // Add LIMIT clause
     if (this.limitValue !== null) {
-      query += ` LIMIT $${paramIndex++}`;
-      this.params.push(this.limitValue);
+      query += ` LIMIT $${params.push(this.limitValue)}`;
     }
     
     // Add OFFSET clause
     if (this.offsetValue !== null) {
-      query += ` OFFSET $${paramIndex++}`;
-      this.params.push(this.offsetValue);
+      query += ` OFFSET $${params.push(this.offsetValue)}`;
     }
     
+    return query;
+  }
+  
+  /**
+   * Build the SELECT query
+   * @returns {Object} Object with text and params properties
+   * @throws {InvalidIdentifierError} If a name is invalid or a column is not allowed
+   */
+  build() {
+    this.params = [];
+    
     return {
-      text: query,
+      text: this.compile(this.params),
       params: this.params
     };
   }
@@ -360,11 +923,14 @@ class SelectQueryBuilder {
    * @returns {Object} Object with text and params properties
    */
   buildCount() {
-    const countBuilder = new SelectQueryBuilder(this.table, ['COUNT(*) as total']);
-    countBuilder.conditions = [...this.conditions];
+    const countBuilder = new SelectQueryBuilder(this.table, [raw('COUNT(*) AS total')]);
+    countBuilder.allowedColumns = this.allowedColumns;
+    // The total covers every page, so the keyset position is left out
+    countBuilder.conditions = this.conditions.filter(condition => !condition.keyset);
     countBuilder.joins = [...this.joins];
     countBuilder.groupByFields = [...this.groupByFields];
     countBuilder.havingConditions = [...this.havingConditions];
+    countBuilder.ctes = [...this.ctes];
     
     return countBuilder.build();
   }
@@ -378,14 +944,73 @@ class InsertQueryBuilder {
    * Create a new INSERT query builder
    * @param {string} table - Table name
    * @param {Object|Array<Object>} data - Data to insert
+   * @param {Object} [options={}] - Builder options
+   * @param {Object<string, Array<string>>} [options.allowedColumns] - Only accept these columns, by table name
    */
-  constructor(table, data) {
+  constructor(table, data, options = {}) {
     this.table = table;
     this.data = Array.isArray(data) ? data : [data];
+    this.allowedColumns = toAllowLists(options.allowedColumns);
     this.returningFields = [];
+    this.conflict = null;
     this.params = [];
   }
   
+  /**
+   * Add an ON CONFLICT clause, completed by doUpdate or doNothing
+   * @param {string|RawSql|Array<string|RawSql>|Object} [target=[]] - Conflict column(s), raw index expression(s), or { constraint } to name a constraint
+   * @returns {InsertQueryBuilder} This builder instance
+   */
+  onConflict(target = []) {
+    const isConstraint = target !== null && typeof target === 'object' && !Array.isArray(target);
+    
+    this.conflict = {
+      target: isConstraint ? [] : [].concat(target),
+      constraint: isConstraint ? target.constraint : null,
+      action: null,
+      updates: null,
+      where: null,
+      whereValues: []
+    };
+    return this;
+  }
+  
+  /**
+   * Ignore rows that conflict (ON CONFLICT ... DO NOTHING)
+   * @returns {InsertQueryBuilder} This builder instance
+   * @throws {Error} If onConflict was not called
+   */
+  doNothing() {
+    if (!this.conflict) {
+      throw new Error('doNothing needs onConflict');
+    }
+    this.conflict.action = 'NOTHING';
+    return this;
+  }
+  
+  /**
+   * Update rows that conflict (ON CONFLICT ... DO UPDATE)
+   * @param {Array<string>|Object} [fields] - Fields to set from the inserted row (EXCLUDED), or an object of fields and values; every inserted field outside the conflict target when not given
+   * @param {Object} [options={}] - Update options
+   * @param {string} [options.where] - Raw condition the existing row must meet to be updated (e.g. "concepts.last_modified < EXCLUDED.last_modified")
+   * @param {Array} [options.values=[]] - Parameter values of the condition, numbered from $1
+   * @returns {InsertQueryBuilder} This builder instance
+   * @throws {Error} If onConflict was not called
+   */
+  doUpdate(fields, options = {}) {
+    if (!this.conflict) {
+      throw new Error('doUpdate needs onConflict');
+    }
+    
+    const { where = null, values = [] } = options;
+    
+    this.conflict.action = 'UPDATE';
+    this.conflict.updates = fields === undefined ? null : fields;
+    this.conflict.where = where;
+    this.conflict.whereValues = values;
+    return this;
+  }
+  
   /**
    * Add a RETURNING clause
    * @param {string|Array<string>} fields - Field(s) to return
@@ -400,9 +1025,63 @@ class InsertQueryBuilder {
     return this;
   }
   
+  /**
+   * Build the ON CONFLICT clause
+   * @param {Array<string>} fields - Inserted fields
+   * @param {Scope} scope - Scope of the query
+   * @param {Array} params - Parameters of the query, the values are appended
+   * @returns {string} ON CONFLICT clause
+   * @throws {Error} If the clause is incomplete
+   * @throws {InvalidIdentifierError} If a name is invalid or a column is not allowed
+   */
+  compileConflict(fields, scope, params) {
+    const { target, constraint, action, updates, where, whereValues } = this.conflict;
+    
+    let clause = 'ON CONFLICT';
+    if (constraint) {
+      clause += ` ON CONSTRAINT ${quoteName(constraint, IDENTIFIER_KINDS.CONSTRAINT)}`;
+    } else if (target.length > 0) {
+      clause += ` (${target.map(column => addColumn(column, scope, params)).join(', ')})`;
+    }
+    
+    if (action === 'NOTHING') {
+      return `${clause} DO NOTHING`;
+    }
+    if (action !== 'UPDATE') {
+      throw new Error('ON CONFLICT needs doUpdate or doNothing');
+    }
+    if (!constraint && target.length === 0) {
+      throw new Error('ON CONFLICT DO UPDATE needs a conflict target');
+    }
+    
+    // Build SET clause
+    let setParts;
+    if (updates === null || Array.isArray(updates)) {
+      const updateFields = updates || fields.filter(field => !target.includes(field));
+      setParts = updateFields.map(field => `${addColumn(field, scope, params)} = EXCLUDED.${quoteName(field)}`);
+    } else {
+      setParts = Object.entries(updates).map(
+        ([field, value]) => `${addColumn(field, scope, params)} = $${params.push(value)}`
+      );
+    }
+    
+    if (setParts.length === 0) {
+      throw new Error('No fields provided for ON CONFLICT DO UPDATE');
+    }
+    
+    clause += ` DO UPDATE SET ${setParts.join(', ')}`;
+    
+    if (where) {
+      clause += ` WHERE ${addRaw(where, whereValues, params)}`;
+    }
+    
+    return clause;
+  }
+  
   /**
    * Build the INSERT query
    * @returns {Object} Object with text and params properties
+   * @throws {InvalidIdentifierError} If a name is invalid or a column is not allowed
    */
   build() {
     this.params = [];
@@ -419,28 +1098,29 @@ class InsertQueryBuilder {
     }
     
     // Build query text
-    let query = `INSERT INTO ${this.table} (${fields.join(', ')})`;
+    const scope = createScope([this.table], this.allowedColumns);
+    const columns = fields.map(field => addColumn(field, scope, this.params));
+    let query = `INSERT INTO ${quoteTableReference(this.table)} (${columns.join(', ')})`;
     
     // Build VALUES clause
     const valueSets = [];
-    let paramIndex = 1;
     
     for (const row of this.data) {
-      const valuePlaceholders = [];
-      
-      for (const field of fields) {
-        valuePlaceholders.push(`$${paramIndex++}`);
-        this.params.push(row[field]);
-      }
-      
+      const valuePlaceholders = fields.map(field => `$${this.params.push(row[field])}`);
       valueSets.push(`(${valuePlaceholders.join(', ')})`);
     }
     
     query += ` VALUES ${valueSets.join(', ')}`;
     
+    // Add ON CONFLICT clause if specified
+    if (this.conflict) {
+      query += ` ${this.compileConflict(fields, scope, this.params)}`;
+    }
+    
     // Add RETURNING clause if specified
     if (this.returningFields.length > 0) {
-      query += ` RETURNING ${this.returningFields.join(', ')}`;
+      const returning = this.returningFields.map(field => addField(field, scope, this.params));
+      query += ` RETURNING ${returning.join(', ')}`;
     }
     
     return {
@@ -458,10 +1138,13 @@ class UpdateQueryBuilder {
    * Create a new UPDATE query builder
    * @param {string} table - Table name
    * @param {Object} data - Data to update
+   * @param {Object} [options={}] - Builder options
+   * @param {Object<string, Array<string>>} [options.allowedColumns] - Only accept these columns, by table name
    */
-  constructor(table, data) {
+  constructor(table, data, options = {}) {
     this.table = table;
     this.data = data;
+    this.allowedColumns = toAllowLists(options.allowedColumns);
     this.conditions = [];
     this.returningFields = [];
     this.params = [];
@@ -469,13 +1152,14 @@ class UpdateQueryBuilder {
   
   /**
    * Add a WHERE condition
-   * @param {string} field - Field name
-   * @param {string} operator - Comparison operator
-   * @param {*} value - Value to compare against
+   * @param {string|RawSql} field - Field name
+   * @param {string} operator - Comparison operator (e.g. "=", "ILIKE", or "= ANY" with an array or a subquery)
+   * @param {*|SelectQueryBuilder} value - Value or subquery to compare against
    * @returns {UpdateQueryBuilder} This builder instance
+   * @throws {InvalidIdentifierError} If the operator is not supported
    */
   where(field, operator, value) {
-    this.conditions.push({ field, operator, value });
+    this.conditions.push({ field, operator: normalizeOperator(operator), value });
     return this;
   }
   
@@ -492,11 +1176,11 @@ class UpdateQueryBuilder {
   /**
    * Add a WHERE IN condition
    * @param {string} field - Field name
-   * @param {Array} values - Values to include
+   * @param {Array|SelectQueryBuilder} values - Values to include, or a subquery selecting them
    * @returns {UpdateQueryBuilder} This builder instance
    */
   whereIn(field, values) {
-    if (Array.isArray(values) && values.length > 0) {
+    if (isSubquery(values) || (Array.isArray(values) && values.length > 0)) {
       this.conditions.push({ field, operator: 'IN', value: values });
     }
     return this;
@@ -505,11 +1189,11 @@ class UpdateQueryBuilder {
   /**
    * Add a WHERE NOT IN condition
    * @param {string} field - Field name
-   * @param {Array} values - Values to exclude
+   * @param {Array|SelectQueryBuilder} values - Values to exclude, or a subquery selecting them
    * @returns {UpdateQueryBuilder} This builder instance
    */
   whereNotIn(field, values) {
-    if (Array.isArray(values) && values.length > 0) {
+    if (isSubquery(values) || (Array.isArray(values) && values.length > 0)) {
       this.conditions.push({ field, operator: 'NOT IN', value: values });
     }
     return this;
@@ -517,6 +1201,8 @@ class UpdateQueryBuilder {
   
   /**
    * Add a raw WHERE condition
+   * Placeholders are numbered from $1 within the condition and are
+   * renumbered when the query is built.
    * @param {string} condition - Raw condition string
    * @param {Array} [values=[]] - Parameter values
    * @returns {UpdateQueryBuilder} This builder instance
@@ -526,6 +1212,26 @@ class UpdateQueryBuilder {
     return this;
   }
   
+  /**
+   * Add a WHERE EXISTS condition
+   * @param {SelectQueryBuilder} query - Subquery (usually correlated through whereRaw)
+   * @returns {UpdateQueryBuilder} This builder instance
+   */
+  whereExists(query) {
+    this.conditions.push({ exists: 'EXISTS', query });
+    return this;
+  }
+  
+  /**
+   * Add a WHERE NOT EXISTS condition
+   * @param {SelectQueryBuilder} query - Subquery (usually correlated through whereRaw)
+   * @returns {UpdateQueryBuilder} This builder instance
+   */
+  whereNotExists(query) {
+    this.conditions.push({ exists: 'NOT EXISTS', query });
+    return this;
+  }
+  
   /**
    * Add a RETURNING clause
    * @param {string|Array<string>} fields - Field(s) to return
@@ -543,63 +1249,33 @@ class UpdateQueryBuilder {
   /**
    * Build the UPDATE query
    * @returns {Object} Object with text and params properties
+   * @throws {InvalidIdentifierError} If a name is invalid or a column is not allowed
    */
   build() {
     this.params = [];
-    let paramIndex = 1;
     
     if (Object.keys(this.data).length === 0) {
       throw new Error('No data provided for UPDATE');
     }
     
     // Build SET clause
-    const setParts = [];
-    
-    for (const [field, value] of Object.entries(this.data)) {
-      setParts.push(`${field} = $${paramIndex++}`);
-      this.params.push(value);
-    }
+    const scope = createScope([this.table], this.allowedColumns);
+    const setParts = Object.entries(this.data).map(
+      ([field, value]) => `${addColumn(field, scope, this.params)} = $${this.params.push(value)}`
+    );
     
     // Build query text
-    let query = `UPDATE ${this.table} SET ${setParts.join(', ')}`;
+    let query = `UPDATE ${quoteTableReference(this.table)} SET ${setParts.join(', ')}`;
     
     // Add WHERE clause
     if (this.conditions.length > 0) {
-      const whereClauses = [];
-      
-      for (const condition of this.conditions) {
-        if (condition.raw) {
-          // Handle raw conditions
-          whereClauses.push(condition.raw);
-          if (condition.values) {
-            this.params.push(...condition.values);
-            paramIndex += condition.values.length;
-          }
-        } else if (condition.operator === 'IN' || condition.operator === 'NOT IN') {
-          // Handle IN/NOT IN
-          const placeholders = [];
-          for (const val of condition.value) {
-            placeholders.push(`$${paramIndex++}`);
-            this.params.push(val);
-          }
-          whereClauses.push(`${condition.field} ${condition.operator} (${placeholders.join(', ')})`);
-        } else {
-          // Handle normal conditions
-          if (condition.value === null) {
-            whereClauses.push(`${condition.field} ${condition.operator} NULL`);
-          } else {
-            whereClauses.push(`${condition.field} ${condition.operator} $${paramIndex++}`);
-            this.params.push(condition.value);
-          }
-        }
-      }
-      
-      query += ` WHERE ${whereClauses.join(' AND ')}`;
+      query += ` WHERE ${compileConditions(this.conditions, scope, this.params).join(' AND ')}`;
     }
     
     // Add RETURNING clause if specified
     if (this.returningFields.length > 0) {
-      query += ` RETURNING ${this.returningFields.join(', ')}`;
+      const returning = this.returningFields.map(field => addField(field, scope, this.params));
+      query += ` RETURNING ${returning.join(', ')}`;
     }
     
     return {
@@ -616,9 +1292,12 @@ class DeleteQueryBuilder {
   /**
    * Create a new DELETE query builder
    * @param {string} table - Table name
+   * @param {Object} [options={}] - Builder options
+   * @param {Object<string, Array<string>>} [options.allowedColumns] - Only accept these columns, by table name
    */
-  constructor(table) {
+  constructor(table, options = {}) {
     this.table = table;
+    this.allowedColumns = toAllowLists(options.allowedColumns);
     this.conditions = [];
     this.returningFields = [];
     this.params = [];
@@ -626,13 +1305,14 @@ class DeleteQueryBuilder {
   
   /**
    * Add a WHERE condition
-   * @param {string} field - Field name
-   * @param {string} operator - Comparison operator
-   * @param {*} value - Value to compare against
+   * @param {string|RawSql} field - Field name
+   * @param {string} operator - Comparison operator (e.g. "=", "ILIKE", or "= ANY" with an array or a subquery)
+   * @param {*|SelectQueryBuilder} value - Value or subquery to compare against
    * @returns {DeleteQueryBuilder} This builder instance
+   * @throws {InvalidIdentifierError} If the operator is not supported
    */
   where(field, operator, value) {
-    this.conditions.push({ field, operator, value });
+    this.conditions.push({ field, operator: normalizeOperator(operator), value });
     return this;
   }
   
@@ -649,11 +1329,11 @@ class DeleteQueryBuilder {
   /**
    * Add a WHERE IN condition
    * @param {string} field - Field name
-   * @param {Array} values - Values to include
+   * @param {Array|SelectQueryBuilder} values - Values to include, or a subquery selecting them
    * @returns {DeleteQueryBuilder} This builder instance
    */
   whereIn(field, values) {
-    if (Array.isArray(values) && values.length > 0) {
+    if (isSubquery(values) || (Array.isArray(values) && values.length > 0)) {
       this.conditions.push({ field, operator: 'IN', value: values });
     }
     return this;
@@ -662,11 +1342,11 @@ class DeleteQueryBuilder {
   /**
    * Add a WHERE NOT IN condition
    * @param {string} field - Field name
-   * @param {Array} values - Values to exclude
+   * @param {Array|SelectQueryBuilder} values - Values to exclude, or a subquery selecting them
    * @returns {DeleteQueryBuilder} This builder instance
    */
   whereNotIn(field, values) {
-    if (Array.isArray(values) && values.length > 0) {
+    if (isSubquery(values) || (Array.isArray(values) && values.length > 0)) {
       this.conditions.push({ field, operator: 'NOT IN', value: values });
     }
     return this;
@@ -674,6 +1354,8 @@ class DeleteQueryBuilder {
   
   /**
    * Add a raw WHERE condition
+   * Placeholders are numbered from $1 within the condition and are
+   * renumbered when the query is built.
    * @param {string} condition - Raw condition string
    * @param {Array} [values=[]] - Parameter values
    * @returns {DeleteQueryBuilder} This builder instance
@@ -683,6 +1365,26 @@ class DeleteQueryBuilder {
     return this;
   }
   
+  /**
+   * Add a WHERE EXISTS condition
+   * @param {SelectQueryBuilder} query - Subquery (usually correlated through whereRaw)
+   * @returns {DeleteQueryBuilder} This builder instance
+   */
+  whereExists(query) {
+    this.conditions.push({ exists: 'EXISTS', query });
+    return this;
+  }
+  
+  /**
+   * Add a WHERE NOT EXISTS condition
+   * @param {SelectQueryBuilder} query - Subquery (usually correlated through whereRaw)
+   * @returns {DeleteQueryBuilder} This builder instance
+   */
+  whereNotExists(query) {
+    this.conditions.push({ exists: 'NOT EXISTS', query });
+    return this;
+  }
+  
   /**
    * Add a RETURNING clause
    * @param {string|Array<string>} fields - Field(s) to return
@@ -700,51 +1402,24 @@ class DeleteQueryBuilder {
   /**
    * Build the DELETE query
    * @returns {Object} Object with text and params properties
+   * @throws {InvalidIdentifierError} If a name is invalid or a column is not allowed
    */
   build() {
     this.params = [];
-    let paramIndex = 1;
     
     // Build query text
-    let query = `DELETE FROM ${this.table}`;
+    const scope = createScope([this.table], this.allowedColumns);
+    let query = `DELETE FROM ${quoteTableReference(this.table)}`;
     
     // Add WHERE clause
     if (this.conditions.length > 0) {
-      const whereClauses = [];
-      
-      for (const condition of this.conditions) {
-        if (condition.raw) {
-          // Handle raw conditions
-          whereClauses.push(condition.raw);
-          if (condition.values) {
-            this.params.push(...condition.values);
-            paramIndex += condition.values.length;
-          }
-        } else if (condition.operator === 'IN' || condition.operator === 'NOT IN') {
-          // Handle IN/NOT IN
-          const placeholders = [];
-          for (const val of condition.value) {
-            placeholders.push(`$${paramIndex++}`);
-            this.params.push(val);
-          }
-          whereClauses.push(`${condition.field} ${condition.operator} (${placeholders.join(', ')})`);
-        } else {
-          // Handle normal conditions
-          if (condition.value === null) {
-            whereClauses.push(`${condition.field} ${condition.operator} NULL`);
-          } else {
-            whereClauses.push(`${condition.field} ${condition.operator} $${paramIndex++}`);
-            this.params.push(condition.value);
-          }
-        }
-      }
-      
-      query += ` WHERE ${whereClauses.join(' AND ')}`;
+      query += ` WHERE ${compileConditions(this.conditions, scope, this.params).join(' AND ')}`;
     }
     
     // Add RETURNING clause if specified
     if (this.returningFields.length > 0) {
-      query += ` RETURNING ${this.returningFields.join(', ')}`;
+      const returning = this.returningFields.map(field => addField(field, scope, this.params));
+      query += ` RETURNING ${returning.join(', ')}`;
     }
     
     return {
@@ -756,62 +1431,82 @@ class DeleteQueryBuilder {
 
 /**
  * Create a new SELECT query builder
- * @param {string} table - Table name
- * @param {Array<string>} [fields=['*']] - Fields to select
+ * @param {string} table - Table name, optionally with an alias
+ * @param {Array<string|RawSql>} [fields=['*']] - Fields to select
+ * @param {Object} [options={}] - Builder options (see SelectQueryBuilder)
  * @returns {SelectQueryBuilder} New SELECT query builder
  */
-function select(table, fields = ['*']) {
-  return new SelectQueryBuilder(table, fields);
+function select(table, fields = ['*'], options = {}) {
+  return new SelectQueryBuilder(table, fields, options);
 }
 
 /**
  * Create a new INSERT query builder
  * @param {string} table - Table name
  * @param {Object|Array<Object>} data - Data to insert
+ * @param {Object} [options={}] - Builder options (see InsertQueryBuilder)
  * @returns {InsertQueryBuilder} New INSERT query builder
  */
-function insert(table, data) {
-  return new InsertQueryBuilder(table, data);
+function insert(table, data, options = {}) {
+  return new InsertQueryBuilder(table, data, options);
+}
+
+/**
+ * Create an INSERT query builder that updates rows that conflict
+ * @param {string} table - Table name
+ * @param {Object|Array<Object>} data - Data to insert
+ * @param {string|Array<string>|Object} target - Conflict column(s), or { constraint }
+ * @param {Array<string>|Object} [fields] - Fields to update (every inserted field outside the target when not given)
+ * @param {Object} [options={}] - Builder options (see InsertQueryBuilder)
+ * @returns {InsertQueryBuilder} New INSERT query builder
+ */
+function upsert(table, data, target, fields, options = {}) {
+  return new InsertQueryBuilder(table, data, options).onConflict(target).doUpdate(fields);
 }
 
 /**
  * Create a new UPDATE query builder
  * @param {string} table - Table name
  * @param {Object} data - Data to update
+ * @param {Object} [options={}] - Builder options (see UpdateQueryBuilder)
  * @returns {UpdateQueryBuilder} New UPDATE query builder
  */
-function update(table, data) {
-  return new UpdateQueryBuilder(table, data);
+function update(table, data, options = {}) {
+  return new UpdateQueryBuilder(table, data, options);
 }
 
 /**
  * Create a new DELETE query builder
  * @param {string} table - Table name
+ * @param {Object} [options={}] - Builder options (see DeleteQueryBuilder)
  * @returns {DeleteQueryBuilder} New DELETE query builder
  */
-function del(table) {
-  return new DeleteQueryBuilder(table);
+function del(table, options = {}) {
+  return new DeleteQueryBuilder(table, options);
 }
 
 /**
  * Create raw SQL
+ * Usable as a whole query, as a subquery or common table expression, and
+ * wherever the builders take a column (e.g. raw('COUNT(*) AS total')).
  * @param {string} sql - Raw SQL string
  * @param {Array} [params=[]] - Query parameters
- * @returns {Object} Object with text and params properties
+ * @returns {RawSql} Raw SQL with text and params properties
  */
 function raw(sql, params = []) {
-  return {
-    text: sql,
-    params
-  };
+  return new RawSql(sql, params);
 }
 
 module.exports = {
   select,
   insert,
+  upsert,
   update,
   delete: del,
   raw,
+  quoteIdentifier,
+  IDENTIFIER_KINDS,
+  RawSql,
   SelectQueryBuilder,
   InsertQueryBuilder,
   UpdateQueryBuilder,
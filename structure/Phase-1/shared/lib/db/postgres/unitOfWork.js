@@ -0,0 +1,198 @@
+/**
+ * Unit of work for PostgreSQL
+ * Runs a callback in a transaction on one pooled connection and commits when
+ * it resolves or rolls back when it throws. The unit of work it hands to the
+ * callback has the query interface of PostgresClient, so repositories given it
+ * as their client take part in the transaction; nested transactions become
+ * savepoints. Hooks registered with afterCommit run once the transaction has
+ * committed, e.g. to publish events about what it changed.
+ */
+
+const { defaultLogger } = require('../../logging/logger');
+
+// States of a unit of work
+const STATES = {
+  ACTIVE: 'active',
+  COMMITTED: 'committed',
+  ROLLED_BACK: 'rolled_back'
+};
+
+/**
+ * Transaction scoped to one connection
+ */
+class UnitOfWork {
+  /**
+   * Create a new unit of work
+   * Use runUnitOfWork (or PostgresClient#unitOfWork), which begins and ends
+   * the transaction, rather than the constructor.
+   * @param {Object} client - Pooled pg client the transaction was begun on
+   * @param {Object} [logger=defaultLogger] - Logger instance
+   */
+  constructor(client, logger = defaultLogger) {
+    this.client = client;
+    this.logger = logger;
+    this.state = STATES.ACTIVE;
+    this.afterCommitHooks = [];
+    this.savepointCount = 0;
+  }
+  
+  /**
+   * Whether the transaction is still open
+   * @returns {boolean} True until the unit of work commits or rolls back
+   */
+  get isActive() {
+    return this.state === STATES.ACTIVE;
+  }
+  
+  /**
+   * Execute a query in the transaction
+   * @param {string|Object} text - SQL query text or query config
+   * @param {Array} [params] - Query parameters
+   * @returns {Promise<Object>} Query result
+   * @throws {Error} If the unit of work has ended
+   */
+  async query(text, params) {
+    this.assertActive();
+    return this.client.query(text, params);
+  }
+  
+  /**
+   * Execute a callback with the connection of the transaction
+   * @param {Function} callback - Callback function that receives the pg client
+   * @returns {Promise<*>} Result of the callback
+   * @throws {Error} If the unit of work has ended
+   */
+  async withClient(callback) {
+    this.assertActive();
+    return callback(this.client);
+  }
+  
+  /**
+   * Execute a callback in a savepoint
+   * The savepoint is released when the callback resolves and rolled back to
+   * when it throws, together with the after-commit hooks registered in it;
+   * the error is rethrown and the enclosing transaction stays usable.
+   * Savepoints nest but must not run concurrently on one unit of work.
+   * @param {Function} callback - Callback function that receives this unit of work
+   * @returns {Promise<*>} Result of the callback
+   * @throws {Error} If the unit of work has ended
+   */
+  async transaction(callback) {
+    this.assertActive();
+    
+    const savepoint = `uow_savepoint_${++this.savepointCount}`;
+    const hookCount = this.afterCommitHooks.length;
+    
+    await this.client.query(`SAVEPOINT ${savepoint}`);
+    
+    try {
+      const result = await callback(this);
+      await this.client.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (err) {
+      await this.client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      this.afterCommitHooks.length = hookCount;
+      throw err;
+    }
+  }
+  
+  /**
+   * Register a hook to run after the transaction commits
+   * Hooks run in registration order and are dropped when the transaction (or
+   * the savepoint they were registered in) rolls back. A failing hook is
+   * logged; it cannot undo the commit and does not stop the other hooks.
+   * @param {Function} hook - Function receiving the result of the unit of work
+   * @returns {UnitOfWork} This unit of work for chaining
+   * @throws {Error} If the unit of work has ended
+   */
+  afterCommit(hook) {
+    this.assertActive();
+    
+    if (typeof hook !== 'function') {
+      throw new Error('After-commit hook must be a function');
+    }
+    
+    this.afterCommitHooks.push(hook);
+    return this;
+  }
+  
+  /**
+   * Run the after-commit hooks
+   * @param {*} result - Result of the unit of work
+   * @returns {Promise<void>}
+   * @private
+   */
+  async runAfterCommitHooks(result) {
+    const hooks = this.afterCommitHooks;
+    this.afterCommitHooks = [];
+    
+    for (const hook of hooks) {
+      try {
+        await hook(result);
+      } catch (err) {
+        this.logger.error('After-commit hook failed', {
+          error: err.message,
+          stack: err.stack
+        });
+      }
+    }
+  }
+  
+  /**
+   * Check that the transaction is still open
+   * @throws {Error} If the unit of work has committed or rolled back
+   * @private
+   */
+  assertActive() {
+    if (!this.isActive) {
+      throw new Error(`Unit of work has already ${this.state === STATES.COMMITTED ? 'committed' : 'rolled back'}`);
+    }
+  }
+}
+
+/**
+ * Run a callback as a unit of work
+ * @param {Pool} pool - pg connection pool
+ * @param {Function} callback - Callback function that receives the unit of work
+ * @param {Object} [logger=defaultLogger] - Logger instance
+ * @returns {Promise<*>} Result of the callback, once committed and the
+ *   after-commit hooks have run
+ */
+async function runUnitOfWork(pool, callback, logger = defaultLogger) {
+  const client = await pool.connect();
+  const unitOfWork = new UnitOfWork(client, logger);
+  let releaseError;
+  let result;
+  
+  try {
+    await client.query('BEGIN');
+    result = await callback(unitOfWork);
+    await client.query('COMMIT');
+    unitOfWork.state = STATES.COMMITTED;
+  } catch (err) {
+    unitOfWork.state = STATES.ROLLED_BACK;
+    
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      // The connection is unusable; have the pool discard it
+      releaseError = rollbackError;
+      logger.error('Error rolling back unit of work', {
+        error: rollbackError.message
+      });
+    }
+    
+    throw err;
+  } finally {
+    client.release(releaseError);
+  }
+  
+  await unitOfWork.runAfterCommitHooks(result);
+  return result;
+}
+
+module.exports = {
+  UnitOfWork,
+  runUnitOfWork,
+  STATES
+};
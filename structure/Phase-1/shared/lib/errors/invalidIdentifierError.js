@@ -0,0 +1,54 @@
+/**
+ * Specialized error class for unsafe query identifiers
+ * Raised by the query builders when a label, relationship type, property key,
+ * variable or column cannot be safely placed into a query, or is not in the
+ * configured allow-list
+ */
+
+const AppError = require('./AppError');
+const errorCodes = require('../../constants/errorCodes');
+
+class InvalidIdentifierError extends AppError {
+  /**
+   * Create a new InvalidIdentifierError
+   * @param {string} message - Human-readable error message
+   * @param {*} [identifier] - Rejected identifier
+   * @param {string} [kind] - Kind of identifier (e.g. 'label', 'relationship type', 'property key')
+   * @param {number} [code=errorCodes.INVALID_QUERY_IDENTIFIER] - Error code
+   * @param {Error} [originalError=null] - Original error if this is a wrapper
+   */
+  constructor(
+    message = 'Invalid query identifier',
+    identifier = null,
+    kind = null,
+    code = errorCodes.INVALID_QUERY_IDENTIFIER,
+    originalError = null
+  ) {
+    super(message, code, 400, { identifier, kind }, originalError);
+    
+    this.identifier = identifier;
+    this.kind = kind;
+  }
+  
+  /**
+   * Create an InvalidIdentifierError for an identifier that is not allowed
+   * @param {string} kind - Kind of identifier
+   * @param {*} identifier - Rejected identifier
+   * @returns {InvalidIdentifierError} New InvalidIdentifierError instance
+   */
+  static notAllowed(kind, identifier) {
+    return new InvalidIdentifierError(`${kind.charAt(0).toUpperCase() + kind.slice(1)} '${identifier}' is not allowed`, identifier, kind);
+  }
+  
+  /**
+   * Create an InvalidIdentifierError for a malformed identifier
+   * @param {string} kind - Kind of identifier
+   * @param {*} identifier - Rejected identifier
+   * @returns {InvalidIdentifierError} New InvalidIdentifierError instance
+   */
+  static malformed(kind, identifier) {
+    return new InvalidIdentifierError(`Invalid ${kind}: ${JSON.stringify(identifier)}`, identifier, kind);
+  }
+}
+
+module.exports = InvalidIdentifierError;
@@ -0,0 +1,97 @@
+/**
+ * Specialized error class for schema migration errors
+ * Raised by the migration runners when a migration fails, when an applied
+ * migration file was edited afterwards, when it can no longer be found, or
+ * when another process holds the migration lock
+ */
+
+const AppError = require('./AppError');
+const errorCodes = require('../../constants/errorCodes');
+
+class MigrationError extends AppError {
+  /**
+   * Create a new MigrationError
+   * @param {string} message - Human-readable error message
+   * @param {string} [migration] - Name of the migration
+   * @param {number} [code=errorCodes.MIGRATION_FAILED] - Error code
+   * @param {Object} [data=null] - Additional error data
+   * @param {Error} [originalError=null] - Original error if this is a wrapper
+   */
+  constructor(
+    message = 'Migration failed',
+    migration = null,
+    code = errorCodes.MIGRATION_FAILED,
+    data = null,
+    originalError = null
+  ) {
+    super(message, code, 500, { migration, ...data }, originalError);
+    
+    this.migration = migration;
+  }
+  
+  /**
+   * Create a MigrationError for a migration that did not complete
+   * @param {string} migration - Name of the migration
+   * @param {string} direction - "up" or "down"
+   * @param {string|Error} reason - Error message or error reported by the migration
+   * @returns {MigrationError} New MigrationError instance
+   */
+  static failed(migration, direction, reason) {
+    const message = reason instanceof Error ? reason.message : reason;
+    
+    return new MigrationError(
+      `Migration ${migration} failed (${direction}): ${message}`,
+      migration,
+      errorCodes.MIGRATION_FAILED,
+      { direction },
+      reason instanceof Error ? reason : null
+    );
+  }
+  
+  /**
+   * Create a MigrationError for an applied migration whose file was edited
+   * @param {string} migration - Name of the migration
+   * @param {string} appliedChecksum - Checksum recorded when it was applied
+   * @param {string} currentChecksum - Checksum of the file now
+   * @returns {MigrationError} New MigrationError instance
+   */
+  static checksumMismatch(migration, appliedChecksum, currentChecksum) {
+    return new MigrationError(
+      `Migration ${migration} was edited after it was applied; add a new migration instead`,
+      migration,
+      errorCodes.MIGRATION_CHECKSUM_MISMATCH,
+      { appliedChecksum, currentChecksum }
+    );
+  }
+  
+  /**
+   * Create a MigrationError for an applied migration without a file
+   * @param {string} migration - Name of the migration
+   * @returns {MigrationError} New MigrationError instance
+   */
+  static missingFile(migration) {
+    return new MigrationError(
+      `Migration ${migration} is applied but its file no longer exists`,
+      migration,
+      errorCodes.MIGRATION_NOT_FOUND
+    );
+  }
+  
+  /**
+   * Create a MigrationError for a migration lock held by another process
+   * @param {string} lockedBy - Holder of the lock
+   * @param {Date} lockedAt - When the lock was taken
+   * @returns {MigrationError} New MigrationError instance
+   */
+  static locked(lockedBy, lockedAt) {
+    return new MigrationError(
+      `Migrations are locked by ${lockedBy} since ${lockedAt instanceof Date ? lockedAt.toISOString() : lockedAt}; ` +
+        'run unlock if that process is gone',
+      null,
+      errorCodes.MIGRATION_LOCKED,
+      { lockedBy, lockedAt }
+    );
+  }
+}
+
+module.exports = MigrationError;
@@ -258,6 +258,54 @@ function maskString(str, { visibleStart = 0, visibleEnd = 0, mask = '*' } = {})
   return start + masked + end;
 }
 
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits
+ */
+function levenshteinDistance(a, b) {
+  const first = typeof a === 'string' ? a : '';
+  const second = typeof b === 'string' ? b : '';
+  
+  if (first === second) return 0;
+  if (!first.length) return second.length;
+  if (!second.length) return first.length;
+  
+  let previous = Array.from({ length: second.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= first.length; i++) {
+    const current = [i];
+    
+    for (let j = 1; j <= second.length; j++) {
+      const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    
+    previous = current;
+  }
+  
+  return previous[second.length];
+}
+
+/**
+ * Compute a similarity ratio between two strings based on edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (completely different) to 1 (identical)
+ */
+function stringSimilarity(a, b) {
+  const maxLength = Math.max((a || '').length, (b || '').length);
+  
+  if (maxLength === 0) return 1;
+  
+  return 1 - levenshteinDistance(a, b) / maxLength;
+}
+
 module.exports = {
   capitalize,
   toTitleCase,
@@ -277,5 +325,7 @@ module.exports = {
   isUuid,
   isEmail,
   isAlphanumeric,
-  maskString
+  maskString,
+  levenshteinDistance,
+  stringSimilarity
 };
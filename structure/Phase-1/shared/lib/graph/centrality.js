@@ -0,0 +1,448 @@
+/**
+ * Structural centrality measures for concept graphs
+ * Computes degree, betweenness, PageRank and eigenvector centrality over
+ * categories and relationships, and compares the result with the centrality
+ * declared by the author on the 1-5 characteristics scale
+ */
+
+const { CHARACTERISTICS } = require('../../constants/philosophyConstants');
+
+const SCALE_MIN = CHARACTERISTICS.SCALE.VERY_LOW;
+const SCALE_MAX = CHARACTERISTICS.SCALE.VERY_HIGH;
+
+// Default options for centrality computation
+const DEFAULT_OPTIONS = {
+  directed: false,
+  weighted: true,
+  damping: 0.85,
+  maxIterations: 100,
+  tolerance: 1e-6,
+  tieTolerance: 1e-4,
+  discrepancyThreshold: 2
+};
+
+/**
+ * Weighted adjacency of a graph
+ * @typedef {Object} Adjacency
+ * @property {Array<string>} nodes - Category IDs
+ * @property {Map<string, Map<string, number>>} outgoing - Outgoing edge weights by node
+ * @property {Map<string, Map<string, number>>} incoming - Incoming edge weights by node
+ */
+
+/**
+ * Get the weight of a relationship
+ * @param {Object} relationship - Relationship
+ * @param {boolean} weighted - Whether to weight edges by strength
+ * @returns {number} Edge weight
+ */
+function edgeWeight(relationship, weighted) {
+  if (!weighted) return 1;
+  return relationship.strength > 0 ? relationship.strength : CHARACTERISTICS.SCALE.MEDIUM;
+}
+
+/**
+ * Build the weighted adjacency of a graph
+ * Parallel relationships between the same pair of categories are summed.
+ * Bidirectional relationships, and every relationship of an undirected
+ * analysis, are added in both directions.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.directed=false] - Respect relationship direction
+ * @param {boolean} [options.weighted=true] - Weight edges by strength
+ * @returns {Adjacency} Adjacency
+ */
+function buildAdjacency(graph, options = {}) {
+  const { directed, weighted } = { ...DEFAULT_OPTIONS, ...options };
+  const nodes = graph.categories.map(c => c.category_id);
+  const outgoing = new Map(nodes.map(id => [id, new Map()]));
+  const incoming = new Map(nodes.map(id => [id, new Map()]));
+  
+  const addEdge = (from, to, weight) => {
+    outgoing.get(from).set(to, (outgoing.get(from).get(to) || 0) + weight);
+    incoming.get(to).set(from, (incoming.get(to).get(from) || 0) + weight);
+  };
+  
+  for (const rel of graph.relationships) {
+    // Skip dangling relationships and self-loops
+    if (!outgoing.has(rel.source_id) || !outgoing.has(rel.target_id)) continue;
+    if (rel.source_id === rel.target_id) continue;
+    
+    const weight = edgeWeight(rel, weighted);
+    addEdge(rel.source_id, rel.target_id, weight);
+    
+    if (!directed || (rel.isBidirectional && rel.isBidirectional())) {
+      addEdge(rel.target_id, rel.source_id, weight);
+    }
+  }
+  
+  return { nodes, outgoing, incoming };
+}
+
+/**
+ * Compute degree centrality
+ * @param {Adjacency} adjacency - Graph adjacency
+ * @returns {Object<string, Object>} Degree values by category ID
+ */
+function degreeCentrality(adjacency) {
+  const { nodes, outgoing, incoming } = adjacency;
+  const normalizer = nodes.length > 1 ? nodes.length - 1 : 1;
+  const result = {};
+  
+  for (const id of nodes) {
+    const neighbors = new Set([...outgoing.get(id).keys(), ...incoming.get(id).keys()]);
+    let weightedDegree = 0;
+    
+    for (const weight of outgoing.get(id).values()) weightedDegree += weight;
+    
+    result[id] = {
+      inDegree: incoming.get(id).size,
+      outDegree: outgoing.get(id).size,
+      degree: neighbors.size,
+      weightedDegree,
+      normalized: neighbors.size / normalizer
+    };
+  }
+  
+  return result;
+}
+
+/**
+ * Compute betweenness centrality using Brandes' algorithm
+ * Edge lengths are the inverse of edge weights, so strong relationships
+ * count as short paths.
+ * @param {Adjacency} adjacency - Graph adjacency
+ * @returns {Object<string, number>} Normalized betweenness by category ID
+ */
+function betweennessCentrality(adjacency) {
+  const { nodes, outgoing } = adjacency;
+  const betweenness = Object.fromEntries(nodes.map(id => [id, 0]));
+  
+  for (const source of nodes) {
+    const stack = [];
+    const predecessors = new Map(nodes.map(id => [id, []]));
+    const sigma = new Map(nodes.map(id => [id, 0]));
+    const distance = new Map(nodes.map(id => [id, Infinity]));
+    const settled = new Set();
+    
+    sigma.set(source, 1);
+    distance.set(source, 0);
+    
+    // Dijkstra over the (small) category set
+    while (settled.size < nodes.length) {
+      let current = null;
+      
+      for (const id of nodes) {
+        if (!settled.has(id) && distance.get(id) < Infinity &&
+            (current === null || distance.get(id) < distance.get(current))) {
+          current = id;
+        }
+      }
+      
+      if (current === null) break;
+      
+      settled.add(current);
+      stack.push(current);
+      
+      for (const [neighbor, weight] of outgoing.get(current)) {
+        const candidate = distance.get(current) + 1 / weight;
+        const known = distance.get(neighbor);
+        
+        if (candidate < known - 1e-12) {
+          distance.set(neighbor, candidate);
+          sigma.set(neighbor, sigma.get(current));
+          predecessors.set(neighbor, [current]);
+        } else if (Math.abs(candidate - known) <= 1e-12) {
+          sigma.set(neighbor, sigma.get(neighbor) + sigma.get(current));
+          predecessors.get(neighbor).push(current);
+        }
+      }
+    }
+    
+    // Accumulate dependencies in reverse order of distance
+    const delta = new Map(nodes.map(id => [id, 0]));
+    
+    while (stack.length > 0) {
+      const node = stack.pop();
+      
+      for (const predecessor of predecessors.get(node)) {
+        const share = (sigma.get(predecessor) / sigma.get(node)) * (1 + delta.get(node));
+        delta.set(predecessor, delta.get(predecessor) + share);
+      }
+      
+      if (node !== source) {
+        betweenness[node] += delta.get(node);
+      }
+    }
+  }
+  
+  // Normalize to [0, 1]; a symmetric adjacency counts each pair in both
+  // directions, which matches the ordered-pair normalizer
+  const n = nodes.length;
+  const pairs = (n - 1) * (n - 2);
+  
+  for (const id of nodes) {
+    betweenness[id] = pairs > 0 ? betweenness[id] / pairs : 0;
+  }
+  
+  return betweenness;
+}
+
+/**
+ * Compute PageRank
+ * @param {Adjacency} adjacency - Graph adjacency
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.damping=0.85] - Damping factor
+ * @param {number} [options.maxIterations=100] - Maximum iterations
+ * @param {number} [options.tolerance=1e-6] - Convergence tolerance
+ * @returns {Object<string, number>} PageRank by category ID (sums to 1)
+ */
+function pageRank(adjacency, options = {}) {
+  const { damping, maxIterations, tolerance } = { ...DEFAULT_OPTIONS, ...options };
+  const { nodes, outgoing, incoming } = adjacency;
+  const n = nodes.length;
+  
+  if (n === 0) return {};
+  
+  const outWeight = new Map();
+  
+  for (const id of nodes) {
+    let total = 0;
+    for (const weight of outgoing.get(id).values()) total += weight;
+    outWeight.set(id, total);
+  }
+  
+  let rank = new Map(nodes.map(id => [id, 1 / n]));
+  
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    // Rank held by dangling nodes is spread evenly
+    let danglingRank = 0;
+    for (const id of nodes) {
+      if (outWeight.get(id) === 0) danglingRank += rank.get(id);
+    }
+    
+    const next = new Map();
+    let change = 0;
+    
+    for (const id of nodes) {
+      let incomingRank = 0;
+      
+      for (const [from, weight] of incoming.get(id)) {
+        incomingRank += rank.get(from) * weight / outWeight.get(from);
+      }
+      
+      const value = (1 - damping) / n + damping * (incomingRank + danglingRank / n);
+      next.set(id, value);
+      change += Math.abs(value - rank.get(id));
+    }
+    
+    rank = next;
+    
+    if (change < tolerance) break;
+  }
+  
+  return Object.fromEntries(rank);
+}
+
+/**
+ * Compute eigenvector centrality by power iteration
+ * The iteration runs on (A + I), which has the same eigenvectors as A but
+ * converges on bipartite and disconnected graphs.
+ * @param {Adjacency} adjacency - Graph adjacency
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.maxIterations=100] - Maximum iterations
+ * @param {number} [options.tolerance=1e-6] - Convergence tolerance
+ * @returns {Object<string, number>} Eigenvector centrality by category ID (max is 1)
+ */
+function eigenvectorCentrality(adjacency, options = {}) {
+  const { maxIterations, tolerance } = { ...DEFAULT_OPTIONS, ...options };
+  const { nodes, incoming } = adjacency;
+  
+  if (nodes.length === 0) return {};
+  
+  let vector = new Map(nodes.map(id => [id, 1]));
+  
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const next = new Map();
+    let max = 0;
+    
+    for (const id of nodes) {
+      let value = vector.get(id);
+      
+      for (const [from, weight] of incoming.get(id)) {
+        value += vector.get(from) * weight;
+      }
+      
+      next.set(id, value);
+      max = Math.max(max, value);
+    }
+    
+    let change = 0;
+    
+    for (const id of nodes) {
+      const value = max > 0 ? next.get(id) / max : 0;
+      change += Math.abs(value - vector.get(id));
+      next.set(id, value);
+    }
+    
+    vector = next;
+    
+    if (change < tolerance) break;
+  }
+  
+  return Object.fromEntries(vector);
+}
+
+/**
+ * Scale values so that the largest becomes 1
+ * @param {Object<string, number>} values - Values by key
+ * @returns {Object<string, number>} Scaled values
+ */
+function scaleToMax(values) {
+  const max = Math.max(0, ...Object.values(values));
+  const result = {};
+  
+  for (const key of Object.keys(values)) {
+    result[key] = max > 0 ? values[key] / max : 0;
+  }
+  
+  return result;
+}
+
+/**
+ * Compute all centrality measures for a graph
+ * The composite score is the mean of the degree, betweenness, PageRank and
+ * eigenvector values, each scaled so the top category scores 1.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} [options={}] - Options (see DEFAULT_OPTIONS)
+ * @returns {Object<string, Object>} Measures by category ID
+ */
+function computeCentrality(graph, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const adjacency = buildAdjacency(graph, config);
+  
+  const degree = degreeCentrality(adjacency);
+  const betweenness = betweennessCentrality(adjacency);
+  const rank = pageRank(adjacency, config);
+  const eigenvector = eigenvectorCentrality(adjacency, config);
+  
+  const scaledDegree = scaleToMax(
+    Object.fromEntries(adjacency.nodes.map(id => [id, degree[id].weightedDegree]))
+  );
+  const scaledBetweenness = scaleToMax(betweenness);
+  const scaledRank = scaleToMax(rank);
+  const scaledEigenvector = scaleToMax(eigenvector);
+  
+  const result = {};
+  
+  for (const id of adjacency.nodes) {
+    result[id] = {
+      ...degree[id],
+      betweenness: betweenness[id],
+      pageRank: rank[id],
+      eigenvector: eigenvector[id],
+      composite: (scaledDegree[id] + scaledBetweenness[id] + scaledRank[id] + scaledEigenvector[id]) / 4
+    };
+  }
+  
+  return result;
+}
+
+/**
+ * Map composite scores onto the characteristics scale by percentile rank
+ * Scores closer than the tie tolerance to the lowest score of their group
+ * are ties and share a scale value, so the rounding noise of PageRank and
+ * eigenvector iteration does not spread categories that play the same role,
+ * and a graph where every category plays the same role maps every category
+ * to the middle of the scale.
+ * @param {Object<string, Object>} measures - Measures by category ID
+ * @param {number} [tieTolerance=1e-4] - Largest composite difference treated as a tie
+ * @returns {Object<string, number>} Structural centrality (1-5) by category ID
+ */
+function toCharacteristicScale(measures, tieTolerance = DEFAULT_OPTIONS.tieTolerance) {
+  const ids = Object.keys(measures).sort((a, b) => measures[a].composite - measures[b].composite);
+  const result = {};
+  
+  if (ids.length === 0) return result;
+  
+  let start = 0;
+  
+  while (start < ids.length) {
+    const low = measures[ids[start]].composite;
+    let end = start;
+    
+    while (end + 1 < ids.length && measures[ids[end + 1]].composite - low <= tieTolerance) {
+      end++;
+    }
+    
+    // Mid-rank percentile in [0, 1], shared by the whole tie group
+    const percentile = ids.length > 1
+      ? (start + end) / 2 / (ids.length - 1)
+      : 0.5;
+    const value = Math.round(SCALE_MIN + percentile * (SCALE_MAX - SCALE_MIN));
+    
+    for (let i = start; i <= end; i++) {
+      result[ids[i]] = value;
+    }
+    
+    start = end + 1;
+  }
+  
+  return result;
+}
+
+/**
+ * Find categories whose declared centrality disagrees with their structural role
+ * A category without a numeric declared centrality is compared as medium
+ * (3), the default of Category, and reported with declaredDefault set.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} [options={}] - Options (see DEFAULT_OPTIONS)
+ * @param {number} [options.discrepancyThreshold=2] - Minimum scale difference to report
+ * @param {number} [options.tieTolerance=1e-4] - Largest composite difference treated as a tie
+ * @returns {Object} Report with measures, structural scale values and discrepancies
+ */
+function centralityReport(graph, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const measures = computeCentrality(graph, config);
+  const structural = toCharacteristicScale(measures, config.tieTolerance);
+  const discrepancies = [];
+  
+  for (const category of graph.categories) {
+    const structuralCentrality = structural[category.category_id];
+    const declaredDefault = !Number.isFinite(category.centrality);
+    const declaredCentrality = declaredDefault ? CHARACTERISTICS.SCALE.MEDIUM : category.centrality;
+    const difference = declaredCentrality - structuralCentrality;
+    
+    if (Math.abs(difference) >= config.discrepancyThreshold) {
+      discrepancies.push({
+        category_id: category.category_id,
+        name: category.name,
+        declaredCentrality,
+        declaredDefault,
+        structuralCentrality,
+        difference,
+        direction: difference > 0 ? 'overstated' : 'understated',
+        measures: measures[category.category_id]
+      });
+    }
+  }
+  
+  // Largest disagreements first
+  discrepancies.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+  
+  return {
+    measures,
+    structuralCentrality: structural,
+    discrepancies
+  };
+}
+
+module.exports = {
+  buildAdjacency,
+  degreeCentrality,
+  betweennessCentrality,
+  pageRank,
+  eigenvectorCentrality,
+  computeCentrality,
+  toCharacteristicScale,
+  centralityReport
+};
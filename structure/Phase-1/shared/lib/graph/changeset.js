@@ -0,0 +1,510 @@
+/**
+ * Graph diff and three-way merge
+ * Produces changesets shaped like CategoryChangeSchema and
+ * RelationshipChangeSchema from the conceptEvolutions collection, so a
+ * computed delta can be stored on, or checked against, a concept evolution
+ */
+
+// Compared category fields
+const CATEGORY_FIELDS = [
+  'name',
+  'definition',
+  'centrality',
+  'certainty',
+  'historical_significance',
+  'traditions',
+  'philosophers',
+  'metadata'
+];
+
+// Compared relationship fields
+const RELATIONSHIP_FIELDS = [
+  'source_id',
+  'target_id',
+  'type',
+  'direction',
+  'strength',
+  'certainty',
+  'description',
+  'traditions',
+  'philosophers',
+  'metadata'
+];
+
+// Change types used by CategoryChangeSchema
+const CATEGORY_CHANGE_TYPES = {
+  ADD: 'add',
+  MODIFY: 'modify',
+  REMOVE: 'remove',
+  REDEFINE: 'redefine'
+};
+
+// Change types used by RelationshipChangeSchema
+const RELATIONSHIP_CHANGE_TYPES = {
+  ADD: 'add',
+  MODIFY: 'modify',
+  REMOVE: 'remove',
+  REDEFINE: 'redefine',
+  STRENGTHEN: 'strengthen',
+  WEAKEN: 'weaken',
+  REVERSE: 'reverse'
+};
+
+// Merge conflict types
+const CONFLICT_TYPES = {
+  EDIT_EDIT: 'edit/edit',
+  EDIT_REMOVE: 'edit/remove',
+  ADD_ADD: 'add/add',
+  DANGLING_RELATIONSHIP: 'dangling_relationship'
+};
+
+const DEFAULT_JUSTIFICATION = 'Computed from graph diff';
+
+/**
+ * Serialize a value with sorted object keys for comparison
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Check two field values for equality
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Copy the compared fields of an element
+ * @param {Object} element - Category or relationship
+ * @param {Array<string>} fields - Fields to copy
+ * @param {string} idField - ID field name
+ * @returns {Object} Plain data
+ */
+function pick(element, fields, idField) {
+  const data = { [idField]: element[idField] };
+  
+  for (const field of fields) {
+    const value = element[field];
+    data[field] = value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+  
+  return data;
+}
+
+/**
+ * List fields whose values differ between two elements
+ * @param {Object} before - Element before
+ * @param {Object} after - Element after
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object<string, Object>} Changed fields with from/to values
+ */
+function changedFields(before, after, fields) {
+  const changes = {};
+  
+  for (const field of fields) {
+    if (!isEqual(before[field], after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Index elements by ID
+ * @param {Array<Object>} elements - Elements
+ * @param {string} idField - ID field name
+ * @returns {Map<string, Object>} Elements by ID
+ */
+function indexBy(elements, idField) {
+  return new Map(elements.map(element => [element[idField], element]));
+}
+
+/**
+ * Resolve a category name in either graph
+ * @param {string} categoryId - Category ID
+ * @param {...Map<string, Object>} indexes - Category indexes to search
+ * @returns {string} Category name, or the ID when not found
+ */
+function categoryName(categoryId, ...indexes) {
+  for (const index of indexes) {
+    const category = index.get(categoryId);
+    if (category) return category.name;
+  }
+  
+  return categoryId;
+}
+
+/**
+ * Pick the relationship change type for a set of changed fields
+ * @param {Object<string, Object>} fields - Changed fields
+ * @returns {string} Change type
+ */
+function relationshipChangeType(fields) {
+  const names = Object.keys(fields);
+  
+  if (fields.source_id && fields.target_id &&
+      fields.source_id.from === fields.target_id.to &&
+      fields.target_id.from === fields.source_id.to) {
+    return RELATIONSHIP_CHANGE_TYPES.REVERSE;
+  }
+  
+  if (fields.type) return RELATIONSHIP_CHANGE_TYPES.REDEFINE;
+  
+  if (names.length === 1 && fields.strength) {
+    return fields.strength.to > fields.strength.from
+      ? RELATIONSHIP_CHANGE_TYPES.STRENGTHEN
+      : RELATIONSHIP_CHANGE_TYPES.WEAKEN;
+  }
+  
+  return RELATIONSHIP_CHANGE_TYPES.MODIFY;
+}
+
+/**
+ * Compute the changes that turn one graph into another
+ * Categories and relationships are matched by ID. Each change carries the
+ * CategoryChangeSchema/RelationshipChangeSchema fields plus a `details`
+ * object (changed fields and element data) that Mongoose strips on save.
+ * @param {Object} before - Graph before the change
+ * @param {Object} after - Graph after the change
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.justification] - Justification recorded on every change
+ * @returns {Object} Changeset with category_changes and relationship_changes
+ */
+function diffGraphs(before, after, options = {}) {
+  const justification = options.justification || DEFAULT_JUSTIFICATION;
+  const beforeCategories = indexBy(before.categories, 'category_id');
+  const afterCategories = indexBy(after.categories, 'category_id');
+  const beforeRelationships = indexBy(before.relationships, 'relationship_id');
+  const afterRelationships = indexBy(after.relationships, 'relationship_id');
+  
+  const categoryChanges = [];
+  const relationshipChanges = [];
+  
+  for (const [id, category] of beforeCategories) {
+    const next = afterCategories.get(id);
+    
+    if (!next) {
+      categoryChanges.push({
+        category_id: id,
+        category_name: category.name,
+        change_type: CATEGORY_CHANGE_TYPES.REMOVE,
+        original_definition: category.definition || null,
+        new_definition: null,
+        justification,
+        importance: category.centrality,
+        details: { before: pick(category, CATEGORY_FIELDS, 'category_id') }
+      });
+      continue;
+    }
+    
+    const fields = changedFields(category, next, CATEGORY_FIELDS);
+    
+    if (Object.keys(fields).length === 0) continue;
+    
+    categoryChanges.push({
+      category_id: id,
+      category_name: next.name,
+      change_type: fields.definition ? CATEGORY_CHANGE_TYPES.REDEFINE : CATEGORY_CHANGE_TYPES.MODIFY,
+      original_definition: category.definition || null,
+      new_definition: next.definition || null,
+      justification,
+      importance: next.centrality,
+      details: { fields, after: pick(next, CATEGORY_FIELDS, 'category_id') }
+    });
+  }
+  
+  for (const [id, category] of afterCategories) {
+    if (beforeCategories.has(id)) continue;
+    
+    categoryChanges.push({
+      category_id: id,
+      category_name: category.name,
+      change_type: CATEGORY_CHANGE_TYPES.ADD,
+      original_definition: null,
+      new_definition: category.definition || null,
+      justification,
+      importance: category.centrality,
+      details: { after: pick(category, CATEGORY_FIELDS, 'category_id') }
+    });
+  }
+  
+  for (const [id, relationship] of beforeRelationships) {
+    const next = afterRelationships.get(id);
+    
+    if (!next) {
+      relationshipChanges.push({
+        relationship_id: id,
+        source_category: categoryName(relationship.source_id, beforeCategories),
+        target_category: categoryName(relationship.target_id, beforeCategories),
+        relationship_type: relationship.type,
+        change_type: RELATIONSHIP_CHANGE_TYPES.REMOVE,
+        original_description: relationship.description || null,
+        new_description: null,
+        justification,
+        importance: relationship.strength,
+        details: { before: pick(relationship, RELATIONSHIP_FIELDS, 'relationship_id') }
+      });
+      continue;
+    }
+    
+    const fields = changedFields(relationship, next, RELATIONSHIP_FIELDS);
+    
+    if (Object.keys(fields).length === 0) continue;
+    
+    relationshipChanges.push({
+      relationship_id: id,
+      source_category: categoryName(next.source_id, afterCategories, beforeCategories),
+      target_category: categoryName(next.target_id, afterCategories, beforeCategories),
+      relationship_type: next.type,
+      change_type: relationshipChangeType(fields),
+      original_description: relationship.description || null,
+      new_description: next.description || null,
+      justification,
+      importance: next.strength,
+      details: { fields, after: pick(next, RELATIONSHIP_FIELDS, 'relationship_id') }
+    });
+  }
+  
+  for (const [id, relationship] of afterRelationships) {
+    if (beforeRelationships.has(id)) continue;
+    
+    relationshipChanges.push({
+      relationship_id: id,
+      source_category: categoryName(relationship.source_id, afterCategories),
+      target_category: categoryName(relationship.target_id, afterCategories),
+      relationship_type: relationship.type,
+      change_type: RELATIONSHIP_CHANGE_TYPES.ADD,
+      original_description: null,
+      new_description: relationship.description || null,
+      justification,
+      importance: relationship.strength,
+      details: { after: pick(relationship, RELATIONSHIP_FIELDS, 'relationship_id') }
+    });
+  }
+  
+  return {
+    category_changes: categoryChanges,
+    relationship_changes: relationshipChanges
+  };
+}
+
+/**
+ * Merge the elements of one kind from three versions
+ * @param {Array<Object>} base - Elements in the common ancestor
+ * @param {Array<Object>} ours - Elements in our version
+ * @param {Array<Object>} theirs - Elements in their version
+ * @param {string} idField - ID field name
+ * @param {Array<string>} fields - Merged fields
+ * @param {string} elementType - 'category' or 'relationship'
+ * @returns {Object} Merged element data and conflicts
+ */
+function mergeElements(base, ours, theirs, idField, fields, elementType) {
+  const baseIndex = indexBy(base, idField);
+  const ourIndex = indexBy(ours, idField);
+  const theirIndex = indexBy(theirs, idField);
+  const ids = new Set([...ourIndex.keys(), ...theirIndex.keys(), ...baseIndex.keys()]);
+  
+  const merged = [];
+  const conflicts = [];
+  
+  for (const id of ids) {
+    const original = baseIndex.get(id);
+    const mine = ourIndex.get(id);
+    const other = theirIndex.get(id);
+    
+    // Removed on at least one side
+    if (!mine || !other) {
+      const kept = mine || other;
+      
+      if (!kept) continue;
+      
+      if (!original) {
+        // Added on one side only
+        merged.push(pick(kept, fields, idField));
+        continue;
+      }
+      
+      const editedFields = Object.keys(changedFields(original, kept, fields));
+      
+      if (editedFields.length > 0) {
+        // The other side removed what this side edited; keep the edit
+        conflicts.push({
+          type: CONFLICT_TYPES.EDIT_REMOVE,
+          element: elementType,
+          id,
+          fields: editedFields,
+          removedBy: mine ? 'theirs' : 'ours'
+        });
+        merged.push(pick(kept, fields, idField));
+      }
+      
+      continue;
+    }
+    
+    const result = pick(mine, fields, idField);
+    
+    for (const field of fields) {
+      const baseValue = original ? original[field] : undefined;
+      const ourValue = mine[field];
+      const theirValue = other[field];
+      
+      // Same on both sides, or changed by us only
+      if (isEqual(ourValue, theirValue) || isEqual(theirValue, baseValue)) {
+        continue;
+      }
+      
+      // Changed by them only
+      if (isEqual(ourValue, baseValue)) {
+        result[field] = pick(other, [field], idField)[field];
+        continue;
+      }
+      
+      // Both sides changed the field differently; ours wins in the draft result
+      conflicts.push({
+        type: original ? CONFLICT_TYPES.EDIT_EDIT : CONFLICT_TYPES.ADD_ADD,
+        element: elementType,
+        id,
+        field,
+        base: baseValue === undefined ? null : baseValue,
+        ours: ourValue,
+        theirs: theirValue
+      });
+    }
+    
+    merged.push(result);
+  }
+  
+  return { merged, conflicts };
+}
+
+/**
+ * Three-way merge of concept graphs
+ * Non-conflicting changes from both sides are combined. Conflicting field
+ * edits keep our value and are reported; elements edited on one side and
+ * removed on the other are kept and reported; relationships whose categories
+ * no longer exist after the merge are dropped and reported.
+ * @param {Object} base - Common ancestor graph
+ * @param {Object} ours - Our graph
+ * @param {Object} theirs - Their graph
+ * @returns {Object} Merged categories and relationships (plain data) and conflicts
+ */
+function mergeGraphs(base, ours, theirs) {
+  const categories = mergeElements(
+    base.categories, ours.categories, theirs.categories,
+    'category_id', CATEGORY_FIELDS, 'category'
+  );
+  const relationships = mergeElements(
+    base.relationships, ours.relationships, theirs.relationships,
+    'relationship_id', RELATIONSHIP_FIELDS, 'relationship'
+  );
+  
+  const categoryIds = new Set(categories.merged.map(c => c.category_id));
+  const conflicts = [...categories.conflicts, ...relationships.conflicts];
+  const mergedRelationships = [];
+  
+  for (const relationship of relationships.merged) {
+    if (categoryIds.has(relationship.source_id) && categoryIds.has(relationship.target_id)) {
+      mergedRelationships.push(relationship);
+      continue;
+    }
+    
+    conflicts.push({
+      type: CONFLICT_TYPES.DANGLING_RELATIONSHIP,
+      element: 'relationship',
+      id: relationship.relationship_id,
+      missingCategories: [relationship.source_id, relationship.target_id]
+        .filter(id => !categoryIds.has(id))
+    });
+  }
+  
+  return {
+    categories: categories.merged,
+    relationships: mergedRelationships,
+    conflicts
+  };
+}
+
+/**
+ * Check a declared changeset (e.g. a concept evolution) against a computed one
+ * Changes are matched by element ID when both have one, otherwise by category
+ * name, or by source, target and type for relationships.
+ * @param {Object} declared - Declared changes with category_changes and relationship_changes
+ * @param {Object} actual - Changeset computed by diffGraphs
+ * @returns {Object} Matched, undeclared (in actual only) and unapplied (declared only) changes
+ */
+function compareChangesets(declared, actual) {
+  const lower = value => String(value).toLowerCase();
+  const categoryKeys = change => [
+    change.category_id,
+    `name:${lower(change.category_name)}`
+  ];
+  const relationshipKeys = change => [
+    change.relationship_id,
+    `${lower(change.source_category)}|${lower(change.target_category)}|${change.relationship_type}`
+  ];
+  
+  const compare = (declaredChanges = [], actualChanges = [], keysOf) => {
+    const remaining = [...actualChanges];
+    const matched = [];
+    const unapplied = [];
+    
+    for (const change of declaredChanges) {
+      const [id, naturalKey] = keysOf(change);
+      const index = remaining.findIndex(candidate => {
+        const [candidateId, candidateKey] = keysOf(candidate);
+        const sameElement = id && candidateId ? id === candidateId : naturalKey === candidateKey;
+        return sameElement && candidate.change_type === change.change_type;
+      });
+      
+      if (index >= 0) {
+        matched.push({ declared: change, actual: remaining[index] });
+        remaining.splice(index, 1);
+      } else {
+        unapplied.push(change);
+      }
+    }
+    
+    return { matched, undeclared: remaining, unapplied };
+  };
+  
+  const categories = compare(declared.category_changes, actual.category_changes, categoryKeys);
+  const relationships = compare(declared.relationship_changes, actual.relationship_changes, relationshipKeys);
+  
+  return {
+    consistent: [categories, relationships].every(
+      result => result.undeclared.length === 0 && result.unapplied.length === 0
+    ),
+    category_changes: categories,
+    relationship_changes: relationships
+  };
+}
+
+module.exports = {
+  CATEGORY_FIELDS,
+  RELATIONSHIP_FIELDS,
+  CATEGORY_CHANGE_TYPES,
+  RELATIONSHIP_CHANGE_TYPES,
+  CONFLICT_TYPES,
+  stableStringify,
+  diffGraphs,
+  mergeGraphs,
+  compareChangesets
+};
@@ -0,0 +1,275 @@
+/**
+ * Per-user undo and redo stacks for concept graph editing
+ * Keeps the command history of each user and concept in the
+ * graphCommandLogs collection, so undo and redo survive page reloads.
+ */
+
+const { defaultClient } = require('../db/mongodb/client');
+const { defaultLogger } = require('../logging/logger');
+const { ConflictError } = require('../errors/HttpErrors');
+const errorCodes = require('../../constants/errorCodes');
+const { CommandHistory, DEFAULT_OPTIONS } = require('./commands');
+
+const COLLECTION_NAME = 'graphCommandLogs';
+
+// Mongo duplicate key error code (raised when two writers create the same log)
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Times an applied command is recorded before giving up on a log other requests keep changing
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * Command log store
+ */
+class CommandLogStore {
+  /**
+   * Create a new command log store
+   * @param {Object} [options={}] - Options
+   * @param {MongoDbClient} [options.client=defaultClient] - MongoDB client
+   * @param {Object} [options.logger=defaultLogger] - Logger instance
+   * @param {string} [options.collectionName='graphCommandLogs'] - Command log collection
+   * @param {number} [options.maxEntries=100] - Undo entries kept per user and concept
+   */
+  constructor(options = {}) {
+    this.client = options.client || defaultClient;
+    this.logger = options.logger || defaultLogger;
+    this.collectionName = options.collectionName || COLLECTION_NAME;
+    this.maxEntries = options.maxEntries || DEFAULT_OPTIONS.maxEntries;
+  }
+  
+  /**
+   * Get the entries a user can undo and redo in a concept graph
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Object with undo and redo entry summaries, latest first
+   */
+  async getState(conceptId, userId) {
+    const { history } = await this.load(conceptId, userId);
+    
+    return history.getState();
+  }
+  
+  /**
+   * Apply a command to a graph, persist the graph and record the command in the user's log
+   * The given graph is left untouched. The changed graph is handed to
+   * persist, which writes it to the graph database; the log is only stored
+   * once persist resolves, so it never holds a command whose change was not
+   * written. If another request changed the log meanwhile, the command is
+   * recorded in the log as it now stands.
+   * @param {Graph} graph - Graph to change
+   * @param {string} userId - User ID
+   * @param {GraphCommand} command - Command to apply
+   * @param {Function} persist - Async function writing the changed graph
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.label] - Description for users (defaults to the command's)
+   * @returns {Promise<Object>} Object with the changed graph, the entry and the new state
+   */
+  async execute(graph, userId, command, persist, options = {}) {
+    return this.apply(graph, userId, persist, 'execute', (history, working) => history.execute(working, command, options));
+  }
+  
+  /**
+   * Undo the latest command of a user
+   * @param {Graph} graph - Current graph
+   * @param {string} userId - User ID
+   * @param {Function} persist - Async function writing the changed graph (see execute)
+   * @returns {Promise<Object>} Object with the changed graph, the entry and the new state
+   * @throws {ConflictError} If there is nothing to undo
+   * @throws {NotFoundError} If the entry no longer applies to the graph (it is dropped)
+   */
+  async undo(graph, userId, persist) {
+    return this.apply(graph, userId, persist, 'undo', (history, working) => history.undo(working));
+  }
+  
+  /**
+   * Redo the latest command a user undid
+   * @param {Graph} graph - Current graph
+   * @param {string} userId - User ID
+   * @param {Function} persist - Async function writing the changed graph (see execute)
+   * @returns {Promise<Object>} Object with the changed graph, the entry and the new state
+   * @throws {ConflictError} If there is nothing to redo
+   * @throws {NotFoundError} If the entry no longer applies to the graph (it is dropped)
+   */
+  async redo(graph, userId, persist) {
+    return this.apply(graph, userId, persist, 'redo', (history, working) => history.redo(working));
+  }
+  
+  /**
+   * Delete the command log of a user
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async clear(conceptId, userId) {
+    await this.client.deleteOne(this.collectionName, { concept_id: conceptId, user_id: userId });
+  }
+  
+  /**
+   * Run a history operation on a copy of the graph, persist it and store the history
+   * @param {Graph} graph - Current graph
+   * @param {string} userId - User ID
+   * @param {Function} persist - Async function writing the changed graph
+   * @param {string} kind - History operation: 'execute', 'undo' or 'redo'
+   * @param {Function} operation - Called with the history and the graph copy, returns the entry
+   * @returns {Promise<Object>} Object with the changed graph, the entry and the new state
+   * @private
+   */
+  async apply(graph, userId, persist, kind, operation) {
+    if (typeof persist !== 'function') {
+      throw new Error('A persist function writing the changed graph is required');
+    }
+    
+    const conceptId = graph.concept_id;
+    const { history, version } = await this.load(conceptId, userId);
+    const sizeBefore = history.undoStack.length + history.redoStack.length;
+    const working = graph.clone();
+    
+    let entry;
+    try {
+      entry = operation(history, working);
+    } catch (err) {
+      // Keep the drop of an entry that no longer applies
+      if (history.undoStack.length + history.redoStack.length !== sizeBefore) {
+        await this.save(conceptId, userId, history, version);
+        this.logger.warn('Dropped graph command that no longer applies', {
+          conceptId,
+          userId,
+          error: err.message
+        });
+      }
+      throw err;
+    }
+    
+    // Record the command only once the change is written
+    await persist(working);
+    const recorded = await this.record(conceptId, userId, history, version, kind, entry);
+    
+    this.logger.debug('Recorded graph command', {
+      conceptId,
+      userId,
+      label: entry.label
+    });
+    
+    return { graph: working, entry, state: recorded.getState() };
+  }
+  
+  /**
+   * Store the history of an applied command
+   * The change is already written, so a log changed by another request is
+   * reloaded and the entry recorded in it rather than dropped.
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @param {CommandHistory} history - History the operation ran on
+   * @param {number} version - Version the history was loaded at
+   * @param {string} kind - History operation: 'execute', 'undo' or 'redo'
+   * @param {Object} entry - Entry the operation returned
+   * @returns {Promise<CommandHistory>} Stored history
+   * @throws {ConflictError} If the log kept changing
+   * @private
+   */
+  async record(conceptId, userId, history, version, kind, entry) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.save(conceptId, userId, history, version);
+        return history;
+      } catch (err) {
+        if (!(err instanceof ConflictError)) throw err;
+        if (attempt >= MAX_RECORD_ATTEMPTS) {
+          this.logger.error('Could not record applied graph command', {
+            conceptId,
+            userId,
+            label: entry.label
+          });
+          throw err;
+        }
+        
+        ({ history, version } = await this.load(conceptId, userId));
+        history.record(kind, entry);
+      }
+    }
+  }
+  
+  /**
+   * Load the command history of a user
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Object with the history and the stored version (0 if none)
+   * @private
+   */
+  async load(conceptId, userId) {
+    const document = await this.client.findOne(
+      this.collectionName,
+      { concept_id: conceptId, user_id: userId },
+      { projection: { _id: 0, undo: 1, redo: 1, version: 1 } }
+    );
+    
+    return {
+      history: new CommandHistory({
+        undo: document ? document.undo : [],
+        redo: document ? document.redo : [],
+        maxEntries: this.maxEntries
+      }),
+      version: document ? document.version : 0
+    };
+  }
+  
+  /**
+   * Store the command history of a user
+   * The write only succeeds if the log is still at the loaded version, so
+   * edits from two tabs of the same user cannot silently drop entries.
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @param {CommandHistory} history - History to store
+   * @param {number} version - Version the history was loaded at
+   * @returns {Promise<void>}
+   * @throws {ConflictError} If the log was changed since it was loaded
+   * @private
+   */
+  async save(conceptId, userId, history, version) {
+    const { undo, redo } = history.toJSON();
+    const updatedAt = new Date();
+    
+    if (version === 0) {
+      try {
+        await this.client.insertOne(this.collectionName, {
+          concept_id: conceptId,
+          user_id: userId,
+          undo,
+          redo,
+          version: 1,
+          updated_at: updatedAt
+        });
+      } catch (err) {
+        if (err.code === DUPLICATE_KEY_ERROR) throw this.concurrentChange(conceptId, userId);
+        throw err;
+      }
+      return;
+    }
+    
+    const result = await this.client.updateOne(
+      this.collectionName,
+      { concept_id: conceptId, user_id: userId, version },
+      { $set: { undo, redo, updated_at: updatedAt }, $inc: { version: 1 } }
+    );
+    
+    if (result.matchedCount === 0) throw this.concurrentChange(conceptId, userId);
+  }
+  
+  /**
+   * Create a conflict error for a log changed by another request
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @returns {ConflictError} Error
+   */
+  concurrentChange(conceptId, userId) {
+    return new ConflictError(
+      'The command log was changed by another request, reload the graph and try again',
+      errorCodes.CONFLICT,
+      { conceptId, userId }
+    );
+  }
+}
+
+module.exports = {
+  CommandLogStore
+};
@@ -0,0 +1,874 @@
+/**
+ * Invertible editing commands for concept graphs
+ * Every edit of a graph is expressed as a command whose execution returns
+ * the command that undoes it. Commands serialize to plain objects, so the
+ * undo and redo stacks of a user can be stored and replayed after a reload.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Category, Relationship } = require('../../models/graph');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors/HttpErrors');
+const errorCodes = require('../../constants/errorCodes');
+const { CATEGORY_FIELDS, RELATIONSHIP_FIELDS } = require('./changeset');
+
+// Command types, as stored in the command log
+const COMMAND_TYPES = {
+  ADD_CATEGORY: 'add_category',
+  REMOVE_CATEGORY: 'remove_category',
+  UPDATE_CATEGORY: 'update_category',
+  ADD_RELATIONSHIP: 'add_relationship',
+  REMOVE_RELATIONSHIP: 'remove_relationship',
+  UPDATE_RELATIONSHIP: 'update_relationship',
+  UPDATE_GRAPH: 'update_graph',
+  BATCH: 'batch'
+};
+
+// Default command history options
+const DEFAULT_OPTIONS = {
+  maxEntries: 100
+};
+
+// Fields changed by Relationship#applyChanges (the endpoints are fixed)
+const RELATIONSHIP_UPDATE_FIELDS = RELATIONSHIP_FIELDS
+  .filter(field => field !== 'source_id' && field !== 'target_id');
+
+// Fields changed by Graph#update
+const GRAPH_UPDATE_FIELDS = ['status', 'metadata'];
+
+/**
+ * Deep copy a JSON value
+ * @param {*} value - Value
+ * @returns {*} Copy
+ */
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Copy the given fields of an object, skipping the undefined ones
+ * @param {Object} source - Source object
+ * @param {Array<string>} fields - Fields to copy
+ * @returns {Object} Copied fields
+ */
+function pickFields(source, fields) {
+  const picked = {};
+  
+  for (const field of fields) {
+    if (source[field] !== undefined) picked[field] = copy(source[field]);
+  }
+  
+  return picked;
+}
+
+/**
+ * Move the last element of a list to an index
+ * @param {Array} list - List
+ * @param {number|null} index - Target index (the end when null or out of range)
+ */
+function moveLastTo(list, index) {
+  if (index === null || index >= list.length - 1) return;
+  
+  list.splice(Math.max(index, 0), 0, list.pop());
+}
+
+/**
+ * Create a not found error for a category
+ * @param {string} categoryId - Category ID
+ * @returns {NotFoundError} Error
+ */
+function categoryNotFound(categoryId) {
+  return new NotFoundError(
+    `Category '${categoryId}' not found in the graph`,
+    errorCodes.CATEGORY_NOT_FOUND,
+    { categoryId }
+  );
+}
+
+/**
+ * Create a not found error for a relationship
+ * @param {string} relationshipId - Relationship ID
+ * @returns {NotFoundError} Error
+ */
+function relationshipNotFound(relationshipId) {
+  return new NotFoundError(
+    `Relationship '${relationshipId}' not found in the graph`,
+    errorCodes.RELATIONSHIP_NOT_FOUND,
+    { relationshipId }
+  );
+}
+
+/**
+ * Base class of graph commands
+ * A command checks that it applies before changing anything, so a command
+ * that throws leaves the graph untouched.
+ */
+class GraphCommand {
+  /**
+   * Create a new command
+   * @param {string} type - Command type (see COMMAND_TYPES)
+   */
+  constructor(type) {
+    this.type = type;
+  }
+  
+  /**
+   * Apply the command to a graph
+   * @param {Graph} graph - Graph to change
+   * @returns {GraphCommand} Command that undoes the change
+   */
+  execute(graph) {
+    throw new Error(`Graph command '${this.type}' does not implement execute`);
+  }
+  
+  /**
+   * Describe the command for users
+   * @param {Graph} [graph] - Graph the command is about to be applied to, for element names
+   * @returns {string} Description
+   */
+  describe(graph) {
+    return this.type;
+  }
+  
+  /**
+   * Convert the command to a plain object
+   * @returns {Object} Serialized command
+   */
+  toJSON() {
+    return { type: this.type };
+  }
+  
+  /**
+   * Create a command from a plain object
+   * @param {Object} data - Serialized command (see toJSON)
+   * @returns {GraphCommand} Command instance
+   * @throws {BadRequestError} If the command type is unknown
+   */
+  static fromJSON(data) {
+    const type = data ? data.type : undefined;
+    const CommandClass = COMMAND_CLASSES[type];
+    
+    if (!CommandClass) {
+      throw new BadRequestError(
+        `Unknown graph command type '${type}'`,
+        errorCodes.BAD_REQUEST,
+        { type }
+      );
+    }
+    
+    return CommandClass.fromJSON(data);
+  }
+}
+
+/**
+ * Add a category to the graph
+ */
+class AddCategoryCommand extends GraphCommand {
+  /**
+   * Create a new add category command
+   * @param {Category|Object} category - Category or category data
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.index] - Position in the category list (the end by default)
+   */
+  constructor(category, options = {}) {
+    super(COMMAND_TYPES.ADD_CATEGORY);
+    
+    // The ID is fixed here so that redoing the command recreates the same category
+    this.category = (category instanceof Category ? category : new Category(category)).toSnapshot();
+    this.index = options.index !== undefined ? options.index : null;
+  }
+  
+  /**
+   * Add the category
+   * @param {Graph} graph - Graph to change
+   * @returns {RemoveCategoryCommand} Command removing the category
+   * @throws {ConflictError} If the graph already has a category with the same ID
+   */
+  execute(graph) {
+    const categoryId = this.category.category_id;
+    
+    if (graph.getCategory(categoryId)) {
+      throw new ConflictError(
+        `Category '${categoryId}' already exists in the graph`,
+        errorCodes.CONFLICT,
+        { categoryId }
+      );
+    }
+    
+    graph.insertCategory(new Category(this.category));
+    moveLastTo(graph.categories, this.index);
+    
+    return new RemoveCategoryCommand(categoryId);
+  }
+  
+  /**
+   * Describe the command for users
+   * @returns {string} Description
+   */
+  describe() {
+    return `Add category '${this.category.name}'`;
+  }
+  
+  /**
+   * Convert the command to a plain object
+   * @returns {Object} Serialized command
+   */
+  toJSON() {
+    return { type: this.type, category: copy(this.category), index: this.index };
+  }
+  
+  /**
+   * Create the command from a plain object
+   * @param {Object} data - Serialized command
+   * @returns {AddCategoryCommand} Command instance
+   */
+  static fromJSON(data) {
+    return new AddCategoryCommand(data.category, { index: data.index });
+  }
+}
+
+/**
+ * Remove a category and the relationships attached to it
+ */
+class RemoveCategoryCommand extends GraphCommand {
+  /**
+   * Create a new remove category command
+   * @param {string} categoryId - Category ID
+   */
+  constructor(categoryId) {
+    super(COMMAND_TYPES.REMOVE_CATEGORY);
+    this.categoryId = categoryId;
+  }
+  
+  /**
+   * Remove the category
+   * The returned command restores the category together with every
+   * relationship removed along with it, at their original positions.
+   * @param {Graph} graph - Graph to change
+   * @returns {BatchCommand} Command restoring the category and its relationships
+   * @throws {NotFoundError} If the category is not in the graph
+   */
+  execute(graph) {
+    const index = graph.categories.findIndex(c => c.category_id === this.categoryId);
+    
+    if (index < 0) throw categoryNotFound(this.categoryId);
+    
+    const category = graph.categories[index];
+    const restorations = [new AddCategoryCommand(category, { index })];
+    
+    // Restored in list order, so each one lands back at its old position
+    graph.relationships.forEach((relationship, relationshipIndex) => {
+      if (relationship.source_id === this.categoryId || relationship.target_id === this.categoryId) {
+        restorations.push(new AddRelationshipCommand(relationship, { index: relationshipIndex }));
+      }
+    });
+    
+    graph.deleteCategory(this.categoryId);
+    
+    return new BatchCommand(restorations, { label: `Restore category '${category.name}'` });
+  }
+  
+  /**
+   * Describe the command for users
+   * @param {Graph} [graph] - Graph the command is about to be applied to
+   * @returns {string} Description
+   */
+  describe(graph) {
+    const category = graph ? graph.getCategory(this.categoryId) : null;
+    
+    return `Remove category '${category ? category.name : this.categoryId}'`;
+  }
+  
+  /**
+   * Convert the command to a plain object
+   * @returns {Object} Serialized command
+   */
+  toJSON() {
+    return { type: this.type, category_id: this.categoryId };
+  }
+  
+  /**
+   * Create the command from a plain object
+   * @param {Object} data - Serialized command
+   * @returns {RemoveCategoryCommand} Command instance
+   */
+  static fromJSON(data) {
+    return new RemoveCategoryCommand(data.category_id);
+  }
+}
+
+/**
+ * Change fields of a category
+ */
+class UpdateCategoryCommand extends GraphCommand {
+  /**
+   * Create a new update category command
+   * @param {string} categoryId - Category ID
+   * @param {Object} changes - New field values (see Category#applyChanges)
+   */
+  constructor(categoryId, changes) {
+    super(COMMAND_TYPES.UPDATE_CATEGORY);
+    this.categoryId = categoryId;
+    this.changes = pickFields(changes || {}, CATEGORY_FIELDS);
+  }
+  
+  /**
+   * Update the category
+   * @param {Graph} graph - Graph to change
+   * @returns {UpdateCategoryCommand} Command restoring the previous values
+   * @throws {NotFoundError} If the category is not in the graph
+   */
+  execute(graph) {
+    const category = graph.getCategory(this.categoryId);
+    
+    if (!category) throw categoryNotFound(this.categoryId);
+    
+    const previous = pickFields(category, Object.keys(this.changes));
+    
+    category.applyChanges(copy(this.changes));
+    graph.updated_at = new Date();
+    
+    return new UpdateCategoryCommand(this.categoryId, previous);
+  }
+  
+  /**
+   * Describe the command for users
+   * @param {Graph} [graph] - Graph the command is about to be applied to
+   * @returns {string} Description
+   */
+  describe(graph) {
+    const category = graph ? graph.getCategory(this.categoryId) : null;
+    
+    return `Edit category '${category ? category.name : this.categoryId}'`;
+  }
+  
+  /**
+   * Convert the command to a plain object
+   * @returns {Object} Serialized command
+   */
+  toJSON() {
+    return { type: this.type, category_id: this.categoryId, changes: copy(this.changes) };
+  }
+  
+  /**
+   * Create the command from a plain object
+   * @param {Object} data - Serialized command
+   * @returns {UpdateCategoryCommand} Command instance
+   */
+  static fromJSON(data) {
+    return new UpdateCategoryCommand(data.category_id, data.changes);
+  }
+}
+
+/**
+ * Add a relationship to the graph
+ */
+class AddRelationshipCommand extends GraphCommand {
+  /**
+   * Create a new add relationship command
+   * @param {Relationship|Object} relationship - Relationship or relationship data
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.index] - Position in the relationship list (the end by default)
+   */
+  constructor(relationship, options = {}) {
+    super(COMMAND_TYPES.ADD_RELATIONSHIP);
+    
+    // The ID is fixed here so that redoing the command recreates the same relationship
+    this.relationship = (relationship instanceof Relationship
+      ? relationship
+      : new Relationship(relationship)).toSnapshot();
+    this.index = options.index !== undefined ? options.index : null;
+  }
+  
+  /**
+   * Add the relationship
+   * @param {Graph} graph - Graph to change
+   * @returns {RemoveRelationshipCommand} Command removing the relationship
+   * @throws {ConflictError} If the graph already has a relationship with the same ID
+   * @throws {NotFoundError} If the source or target category is not in the graph
+   */
+  execute(graph) {
+    const { relationship_id: relationshipId, source_id: sourceId, target_id: targetId } = this.relationship;
+    
+    if (graph.getRelationship(relationshipId)) {
+      throw new ConflictError(
+        `Relationship '${relationshipId}' already exists in the graph`,
+        errorCodes.CONFLICT,
+        { relationshipId }
+      );
+    }
+    if (!graph.getCategory(sourceId)) throw categoryNotFound(sourceId);
+    if (!graph.getCategory(targetId)) throw categoryNotFound(targetId);
+    
+    graph.insertRelationship(new Relationship(this.relationship));
+    moveLastTo(graph.relationships, this.index);
+    
+    return new RemoveRelationshipCommand(relationshipId);
+  }
+  
+  /**
+   * Describe the command for users
+   * @returns {string} Description
+   */
+  describe() {
+    return `Add ${this.relationship.type} relationship`;
+  }
+  
+  /**
+   * Convert the command to a plain object
+   * @returns {Object} Serialized command
+   */
+  toJSON() {
+    return { type: this.type, relationship: copy(this.relationship), index: this.index };
+  }
+  
+  /**
+   * Create the command from a plain object
+   * @param {Object} data - Serialized command
+   * @returns {AddRelationshipCommand} Command instance
+   */
+  static fromJSON(data) {
+    return new AddRelationshipCommand(data.relationship, { index: data.index });
+  }
+}
+
+/**
+ * Remove a relationship from the graph
+ */
+class RemoveRelationshipCommand extends GraphCommand {
+  /**
+   * Create a new remove relationship command
+   * @param {string} relationshipId - Relationship ID
+   */
+  constructor(relationshipId) {
+    super(COMMAND_TYPES.REMOVE_RELATIONSHIP);
+    this.relationshipId = relationshipId;
+  }
+  
+  /**
+   * Remove the relationship
+   * @param {Graph} graph - Graph to change
+   * @returns {AddRelationshipCommand} Command restoring the relationship at its position
+   * @throws {NotFoundError} If the relationship is not in the graph
+   */
+  execute(graph) {
+    const index = graph.relationships.findIndex(r => r.relationship_id === this.relationshipId);
+    
+    if (index < 0) throw relationshipNotFound(this.relationshipId);
+    
+    const restoration = new AddRelationshipCommand(graph.relationships[index], { index });
+    
+    graph.deleteRelationship(this.relationshipId);
+    
+    return restoration;
+  }
+  
+  /**
+   * Describe the command for users
+   * @param {Graph} [graph] - Graph the command is about to be applied to
+   * @returns {string} Description
+   */
+  describe(graph) {
+    const relationship = graph ? graph.getRelationship(this.relationshipId) : null;
+    
+    return relationship ? `Remove ${relationship.type} relationship` : 'Remove relationship';
+  }
+  
+  /**
+   * Convert the command to a plain object
+   * @returns {Object} Serialized command
+   */
+  toJSON() {
+    return { type: this.type, relationship_id: this.relationshipId };
+  }
+  
+  /**
+   * Create the command from a plain object
+   * @param {Object} data - Serialized command
+   * @returns {RemoveRelationshipCommand} Command instance
+   */
+  static fromJSON(data) {
+    return new RemoveRelationshipCommand(data.relationship_id);
+  }
+}
+
+/**
+ * Change fields of a relationship
+ */
+class UpdateRelationshipCommand extends GraphCommand {
+  /**
+   * Create a new update relationship command
+   * @param {string} relationshipId - Relationship ID
+   * @param {Object} changes - New field values (see Relationship#applyChanges)
+   */
+  constructor(relationshipId, changes) {
+    super(COMMAND_TYPES.UPDATE_RELATIONSHIP);
+    this.relationshipId = relationshipId;
+    this.changes = pickFields(changes || {}, RELATIONSHIP_UPDATE_FIELDS);
+  }
+  
+  /**
+   * Update the relationship
+   * @param {Graph} graph - Graph to change
+   * @returns {UpdateRelationshipCommand} Command restoring the previous values
+   * @throws {NotFoundError} If the relationship is not in the graph
+   */
+  execute(graph) {
+    const relationship = graph.getRelationship(this.relationshipId);
+    
+    if (!relationship) throw relationshipNotFound(this.relationshipId);
+    
+    const previous = pickFields(relationship, Object.keys(this.changes));
+    
+    relationship.applyChanges(copy(this.changes));
+    graph.updated_at = new Date();
+    
+    return new UpdateRelationshipCommand(this.relationshipId, previous);
+  }
+  
+  /**
+   * Describe the command for users
+   * @param {Graph} [graph] - Graph the command is about to be applied to
+   * @returns {string} Description
+   */
+  describe(graph) {
+    const relationship = graph ? graph.getRelationship(this.relationshipId) : null;
+    
+    return relationship ? `Edit ${relationship.type} relationship` : 'Edit relationship';
+  }
+  
+  /**
+   * Convert the command to a plain object
+   * @returns {Object} Serialized command
+   */
+  toJSON() {
+    return { type: this.type, relationship_id: this.relationshipId, changes: copy(this.changes) };
+  }
+  
+  /**
+   * Create the command from a plain object
+   * @param {Object} data - Serialized command
+   * @returns {UpdateRelationshipCommand} Command instance
+   */
+  static fromJSON(data) {
+    return new UpdateRelationshipCommand(data.relationship_id, data.changes);
+  }
+}
+
+/**
+ * Change the status or metadata of the graph
+ */
+class UpdateGraphCommand extends GraphCommand {
+  /**
+   * Create a new update graph command
+   * @param {Object} changes - New field values (see Graph#update)
+   */
+  constructor(changes) {
+    super(COMMAND_TYPES.UPDATE_GRAPH);
+    this.changes = pickFields(changes || {}, GRAPH_UPDATE_FIELDS);
+  }
+  
+  /**
+   * Update the graph
+   * @param {Graph} graph - Graph to change
+   * @returns {UpdateGraphCommand} Command restoring the previous values
+   */
+  execute(graph) {
+    const previous = pickFields(graph, Object.keys(this.changes));
+    
+    graph.applyChanges(copy(this.changes));
+    
+    return new UpdateGraphCommand(previous);
+  }
+  
+  /**
+   * Describe the command for users
+   * @returns {string} Description
+   */
+  describe() {
+    return this.changes.status !== undefined
+      ? `Change graph status to '${this.changes.status}'`
+      : 'Edit graph metadata';
+  }
+  
+  /**
+   * Convert the command to a plain object
+   * @returns {Object} Serialized command
+   */
+  toJSON() {
+    return { type: this.type, changes: copy(this.changes) };
+  }
+  
+  /**
+   * Create the command from a plain object
+   * @param {Object} data - Serialized command
+   * @returns {UpdateGraphCommand} Command instance
+   */
+  static fromJSON(data) {
+    return new UpdateGraphCommand(data.changes);
+  }
+}
+
+/**
+ * Apply several commands as one edit
+ * Either every command is applied or, if one fails, the ones already
+ * applied are undone and the graph is left as it was.
+ */
+class BatchCommand extends GraphCommand {
+  /**
+   * Create a new batch command
+   * @param {Array<GraphCommand|Object>} commands - Commands or serialized commands, in order
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.label] - Description for users
+   */
+  constructor(commands, options = {}) {
+    super(COMMAND_TYPES.BATCH);
+    this.commands = (commands || []).map(command =>
+      command instanceof GraphCommand ? command : GraphCommand.fromJSON(command)
+    );
+    this.label = options.label || null;
+  }
+  
+  /**
+   * Apply the commands in order
+   * @param {Graph} graph - Graph to change
+   * @returns {BatchCommand} Command undoing all of them, in reverse order
+   */
+  execute(graph) {
+    const inverses = [];
+    
+    try {
+      for (const command of this.commands) {
+        inverses.push(command.execute(graph));
+      }
+    } catch (err) {
+      for (const inverse of inverses.reverse()) {
+        inverse.execute(graph);
+      }
+      throw err;
+    }
+    
+    return new BatchCommand(inverses.reverse());
+  }
+  
+  /**
+   * Describe the command for users
+   * @param {Graph} [graph] - Graph the command is about to be applied to
+   * @returns {string} Description
+   */
+  describe(graph) {
+    if (this.label) return this.label;
+    
+    return this.commands.length === 1
+      ? this.commands[0].describe(graph)
+      : `${this.commands.length} changes`;
+  }
+  
+  /**
+   * Convert the command to a plain object
+   * @returns {Object} Serialized command
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      commands: this.commands.map(command => command.toJSON()),
+      label: this.label
+    };
+  }
+  
+  /**
+   * Create the command from a plain object
+   * @param {Object} data - Serialized command
+   * @returns {BatchCommand} Command instance
+   */
+  static fromJSON(data) {
+    return new BatchCommand(data.commands, { label: data.label });
+  }
+}
+
+// Command classes by type, used to restore serialized commands
+const COMMAND_CLASSES = {
+  [COMMAND_TYPES.ADD_CATEGORY]: AddCategoryCommand,
+  [COMMAND_TYPES.REMOVE_CATEGORY]: RemoveCategoryCommand,
+  [COMMAND_TYPES.UPDATE_CATEGORY]: UpdateCategoryCommand,
+  [COMMAND_TYPES.ADD_RELATIONSHIP]: AddRelationshipCommand,
+  [COMMAND_TYPES.REMOVE_RELATIONSHIP]: RemoveRelationshipCommand,
+  [COMMAND_TYPES.UPDATE_RELATIONSHIP]: UpdateRelationshipCommand,
+  [COMMAND_TYPES.UPDATE_GRAPH]: UpdateGraphCommand,
+  [COMMAND_TYPES.BATCH]: BatchCommand
+};
+
+/**
+ * Undo and redo stacks of executed commands
+ * Each entry keeps the command and its inverse in serialized form, so the
+ * stacks can be stored as they are and restored later.
+ */
+class CommandHistory {
+  /**
+   * Create a new command history
+   * @param {Object} [options={}] - Options
+   * @param {Array<Object>} [options.undo=[]] - Undo entries, oldest first
+   * @param {Array<Object>} [options.redo=[]] - Redo entries, oldest first
+   * @param {number} [options.maxEntries=100] - Undo entries kept (the oldest are dropped)
+   */
+  constructor(options = {}) {
+    this.undoStack = [...(options.undo || [])];
+    this.redoStack = [...(options.redo || [])];
+    this.maxEntries = options.maxEntries || DEFAULT_OPTIONS.maxEntries;
+  }
+  
+  /**
+   * Apply a command and record it for undo
+   * Executing a new command discards the redo stack.
+   * @param {Graph} graph - Graph to change
+   * @param {GraphCommand} command - Command to apply
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.label] - Description for users (defaults to the command's)
+   * @returns {Object} Recorded entry
+   */
+  execute(graph, command, options = {}) {
+    const label = options.label || command.describe(graph);
+    const inverse = command.execute(graph);
+    
+    const entry = {
+      entry_id: uuidv4(),
+      label,
+      command: command.toJSON(),
+      inverse: inverse.toJSON(),
+      executed_at: new Date()
+    };
+    
+    this.pushUndo(entry);
+    this.redoStack = [];
+    
+    return entry;
+  }
+  
+  /**
+   * Undo the latest command
+   * An entry that no longer applies, because the graph was changed outside
+   * this history, is dropped before the error is rethrown so it cannot
+   * block the entries below it.
+   * @param {Graph} graph - Graph to change
+   * @returns {Object} Undone entry
+   * @throws {ConflictError} If there is nothing to undo
+   */
+  undo(graph) {
+    if (!this.canUndo()) {
+      throw new ConflictError('Nothing to undo', errorCodes.NOTHING_TO_UNDO);
+    }
+    
+    const entry = this.undoStack.pop();
+    
+    GraphCommand.fromJSON(entry.inverse).execute(graph);
+    this.redoStack.push(entry);
+    
+    return entry;
+  }
+  
+  /**
+   * Redo the latest undone command
+   * Entries that no longer apply are dropped as in undo.
+   * @param {Graph} graph - Graph to change
+   * @returns {Object} Redone entry
+   * @throws {ConflictError} If there is nothing to redo
+   */
+  redo(graph) {
+    if (!this.canRedo()) {
+      throw new ConflictError('Nothing to redo', errorCodes.NOTHING_TO_REDO);
+    }
+    
+    const entry = this.redoStack.pop();
+    const inverse = GraphCommand.fromJSON(entry.command).execute(graph);
+    const redone = { ...entry, inverse: inverse.toJSON(), executed_at: new Date() };
+    
+    this.pushUndo(redone);
+    
+    return redone;
+  }
+  
+  /**
+   * Record an entry an operation applied through another copy of the history
+   * Moves the entry where execute, undo or redo put it, without changing a
+   * graph, so a command written while the stored history changed is kept.
+   * @param {string} kind - Operation: 'execute', 'undo' or 'redo'
+   * @param {Object} entry - Entry the operation returned
+   */
+  record(kind, entry) {
+    const others = stack => stack.filter(item => item.entry_id !== entry.entry_id);
+    
+    this.undoStack = others(this.undoStack);
+    this.redoStack = others(this.redoStack);
+    
+    if (kind === 'undo') {
+      this.redoStack.push(entry);
+    } else {
+      this.pushUndo(entry);
+      if (kind === 'execute') this.redoStack = [];
+    }
+  }
+  
+  /**
+   * Check if there is a command to undo
+   * @returns {boolean} Whether undo is possible
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+  
+  /**
+   * Check if there is a command to redo
+   * @returns {boolean} Whether redo is possible
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+  
+  /**
+   * Get the entries users can undo and redo, latest first
+   * @returns {Object} Object with undo and redo entry summaries
+   */
+  getState() {
+    const summarize = ({ entry_id, label, executed_at }) => ({ entry_id, label, executed_at });
+    
+    return {
+      undo: this.undoStack.map(summarize).reverse(),
+      redo: this.redoStack.map(summarize).reverse()
+    };
+  }
+  
+  /**
+   * Convert the history to a plain object
+   * @returns {Object} Object with undo and redo entries, oldest first
+   */
+  toJSON() {
+    return { undo: this.undoStack, redo: this.redoStack };
+  }
+  
+  /**
+   * Record an entry for undo, dropping the oldest beyond the limit
+   * @param {Object} entry - Entry
+   * @private
+   */
+  pushUndo(entry) {
+    this.undoStack.push(entry);
+    
+    if (this.undoStack.length > this.maxEntries) {
+      this.undoStack.splice(0, this.undoStack.length - this.maxEntries);
+    }
+  }
+}
+
+module.exports = {
+  COMMAND_TYPES,
+  DEFAULT_OPTIONS,
+  GraphCommand,
+  AddCategoryCommand,
+  RemoveCategoryCommand,
+  UpdateCategoryCommand,
+  AddRelationshipCommand,
+  RemoveRelationshipCommand,
+  UpdateRelationshipCommand,
+  UpdateGraphCommand,
+  BatchCommand,
+  CommandHistory
+};
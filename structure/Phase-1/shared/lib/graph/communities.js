@@ -0,0 +1,425 @@
+/**
+ * Community detection for concept graphs
+ * Groups categories into clusters with the Louvain method on the undirected
+ * graph, relationships weighted by strength and certainty. As in Leiden,
+ * every cluster is split into its connected parts before the graph is
+ * aggregated, so no cluster ever holds categories that are not linked
+ * within it. Clusters are labelled by their most central members.
+ */
+
+const { CHARACTERISTICS } = require('../../constants/philosophyConstants');
+const { BadRequestError } = require('../errors/HttpErrors');
+const errorCodes = require('../../constants/errorCodes');
+const { computeCentrality } = require('./centrality');
+const { createRandom } = require('./layout');
+
+const SCALE_MAX = CHARACTERISTICS.SCALE.VERY_HIGH;
+
+// Name of the algorithm, as recorded with the clusters
+const ALGORITHM = 'louvain';
+
+// Default options for community detection
+const DEFAULT_OPTIONS = {
+  resolution: 1,
+  maxLevels: 10,
+  maxPasses: 50,
+  labelSize: 2,
+  seed: undefined
+};
+
+// Colours given to clusters in order of size
+const CLUSTER_COLORS = [
+  '#4e79a7',
+  '#f28e2b',
+  '#e15759',
+  '#76b7b2',
+  '#59a14f',
+  '#edc948',
+  '#b07aa1',
+  '#ff9da7',
+  '#9c755f',
+  '#bab0ac'
+];
+
+// Smallest modularity gain worth a move (avoids looping on rounding noise)
+const EPSILON = 1e-10;
+
+/**
+ * Undirected weighted graph at one level of the algorithm
+ * @typedef {Object} Level
+ * @property {Array<Map<number, number>>} neighbors - Edge weight by neighbour index, per node
+ * @property {Array<number>} selfLoops - Weight inside each node (aggregated clusters)
+ */
+
+/**
+ * Get the weight of a relationship
+ * Strength and certainty are both on the 1-5 scale; a relationship that is
+ * strong and certain weighs 1, missing values count as medium.
+ * @param {Object} relationship - Relationship
+ * @returns {number} Edge weight in (0, 1]
+ */
+function relationshipWeight(relationship) {
+  const strength = relationship.strength > 0 ? relationship.strength : CHARACTERISTICS.SCALE.MEDIUM;
+  const certainty = relationship.certainty > 0 ? relationship.certainty : CHARACTERISTICS.SCALE.MEDIUM;
+  
+  return (strength / SCALE_MAX) * (certainty / SCALE_MAX);
+}
+
+/**
+ * Build the first level from the categories and relationships of a graph
+ * Parallel relationships are summed; self-loops and dangling relationships are ignored.
+ * @param {Object} graph - Graph with categories and relationships
+ * @returns {Level} Level whose node indexes follow the category order
+ */
+function buildLevel(graph) {
+  const index = new Map(graph.categories.map((c, i) => [c.category_id, i]));
+  const neighbors = graph.categories.map(() => new Map());
+  
+  for (const rel of graph.relationships) {
+    const source = index.get(rel.source_id);
+    const target = index.get(rel.target_id);
+    
+    if (source === undefined || target === undefined || source === target) continue;
+    
+    const weight = relationshipWeight(rel);
+    neighbors[source].set(target, (neighbors[source].get(target) || 0) + weight);
+    neighbors[target].set(source, (neighbors[target].get(source) || 0) + weight);
+  }
+  
+  return { neighbors, selfLoops: neighbors.map(() => 0) };
+}
+
+/**
+ * Get the weighted degree of every node, counting self-loops twice
+ * @param {Level} level - Level
+ * @returns {Array<number>} Degrees
+ */
+function degrees(level) {
+  return level.neighbors.map((edges, i) => {
+    let degree = 2 * level.selfLoops[i];
+    for (const weight of edges.values()) degree += weight;
+    return degree;
+  });
+}
+
+/**
+ * Move nodes between communities while modularity improves
+ * @param {Level} level - Level
+ * @param {Array<number>} order - Order in which nodes are visited
+ * @param {Object} config - Options (resolution, maxPasses)
+ * @returns {Array<number>} Community of each node
+ */
+function moveNodes(level, order, config) {
+  const degree = degrees(level);
+  const totalDegree = degree.reduce((sum, d) => sum + d, 0);
+  const community = degree.map((_, i) => i);
+  const communityDegree = [...degree];
+  
+  if (totalDegree === 0) return community;
+  
+  let moved = true;
+  for (let pass = 0; moved && pass < config.maxPasses; pass++) {
+    moved = false;
+    
+    for (const node of order) {
+      const current = community[node];
+      const links = new Map();
+      
+      for (const [neighbor, weight] of level.neighbors[node]) {
+        links.set(community[neighbor], (links.get(community[neighbor]) || 0) + weight);
+      }
+      
+      communityDegree[current] -= degree[node];
+      
+      // Gain of joining a community, up to a constant factor
+      const gain = c => (links.get(c) || 0) -
+        config.resolution * communityDegree[c] * degree[node] / totalDegree;
+      
+      let best = current;
+      let bestGain = gain(current);
+      
+      for (const c of links.keys()) {
+        const candidate = gain(c);
+        if (candidate > bestGain + EPSILON) {
+          best = c;
+          bestGain = candidate;
+        }
+      }
+      
+      communityDegree[best] += degree[node];
+      
+      if (best !== current) {
+        community[node] = best;
+        moved = true;
+      }
+    }
+  }
+  
+  return community;
+}
+
+/**
+ * Split communities into their connected parts and number them from 0
+ * Numbers follow the first node of each part.
+ * @param {Level} level - Level
+ * @param {Array<number>} community - Community of each node
+ * @returns {Array<number>} Refined community of each node
+ */
+function splitDisconnected(level, community) {
+  const refined = new Array(community.length).fill(-1);
+  let next = 0;
+  
+  for (let start = 0; start < community.length; start++) {
+    if (refined[start] >= 0) continue;
+    
+    refined[start] = next;
+    const stack = [start];
+    
+    while (stack.length > 0) {
+      const node = stack.pop();
+      
+      for (const neighbor of level.neighbors[node].keys()) {
+        if (refined[neighbor] < 0 && community[neighbor] === community[start]) {
+          refined[neighbor] = next;
+          stack.push(neighbor);
+        }
+      }
+    }
+    
+    next++;
+  }
+  
+  return refined;
+}
+
+/**
+ * Collapse every community into a single node
+ * @param {Level} level - Level
+ * @param {Array<number>} community - Community of each node, numbered from 0
+ * @param {number} count - Number of communities
+ * @returns {Level} Aggregated level
+ */
+function aggregate(level, community, count) {
+  const neighbors = Array.from({ length: count }, () => new Map());
+  const selfLoops = new Array(count).fill(0);
+  
+  level.neighbors.forEach((edges, node) => {
+    const c = community[node];
+    selfLoops[c] += level.selfLoops[node];
+    
+    for (const [neighbor, weight] of edges) {
+      const d = community[neighbor];
+      
+      if (c === d) {
+        // Every internal edge is seen from both ends
+        selfLoops[c] += weight / 2;
+      } else {
+        neighbors[c].set(d, (neighbors[c].get(d) || 0) + weight);
+      }
+    }
+  });
+  
+  return { neighbors, selfLoops };
+}
+
+/**
+ * Shuffle node indexes with a seeded random source
+ * @param {number} count - Number of nodes
+ * @param {Function} random - Random source
+ * @returns {Array<number>} Node indexes in random order
+ */
+function shuffledOrder(count, random) {
+  const order = Array.from({ length: count }, (_, i) => i);
+  
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  
+  return order;
+}
+
+/**
+ * Compute the modularity of a partition of the categories
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object<string, string>} assignments - Cluster ID by category ID
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.resolution=1] - Resolution (higher favours smaller clusters)
+ * @returns {number} Modularity (0 for a graph without relationships)
+ */
+function modularity(graph, assignments, options = {}) {
+  const { resolution } = { ...DEFAULT_OPTIONS, ...options };
+  const level = buildLevel(graph);
+  const degree = degrees(level);
+  const totalDegree = degree.reduce((sum, d) => sum + d, 0);
+  
+  if (totalDegree === 0) return 0;
+  
+  const clusterOf = graph.categories.map(c => assignments[c.category_id]);
+  const internal = new Map();
+  const clusterDegree = new Map();
+  
+  level.neighbors.forEach((edges, node) => {
+    const cluster = clusterOf[node];
+    clusterDegree.set(cluster, (clusterDegree.get(cluster) || 0) + degree[node]);
+    
+    for (const [neighbor, weight] of edges) {
+      if (clusterOf[neighbor] === cluster) {
+        internal.set(cluster, (internal.get(cluster) || 0) + weight);
+      }
+    }
+  });
+  
+  let result = 0;
+  for (const [cluster, d] of clusterDegree) {
+    // Internal weights were summed from both ends, like the degrees
+    result += (internal.get(cluster) || 0) / totalDegree - resolution * (d / totalDegree) ** 2;
+  }
+  
+  return result;
+}
+
+/**
+ * Detect clusters of closely related categories
+ * Results are deterministic for a given seed, which defaults to the concept ID.
+ * Categories without relationships form clusters of their own.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} [options={}] - Options (see DEFAULT_OPTIONS)
+ * @param {number} [options.resolution=1] - Resolution (higher favours smaller clusters)
+ * @param {number} [options.labelSize=2] - Number of central members named in a label
+ * @param {string|number} [options.seed] - Seed of the node visiting order
+ * @returns {Object} Clustering with clusters (largest first), assignments and modularity
+ * @throws {BadRequestError} If the resolution is not a positive number
+ */
+function detectCommunities(graph, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  
+  if (typeof config.resolution !== 'number' || !(config.resolution > 0)) {
+    throw new BadRequestError(
+      'Community resolution must be a positive number',
+      errorCodes.BAD_REQUEST,
+      { resolution: config.resolution }
+    );
+  }
+  
+  const seed = config.seed !== undefined ? config.seed : graph.concept_id;
+  const random = createRandom(seed);
+  
+  // Community of every category at the current level
+  let membership = graph.categories.map((_, i) => i);
+  let level = buildLevel(graph);
+  
+  for (let depth = 0; depth < config.maxLevels; depth++) {
+    const order = shuffledOrder(level.neighbors.length, random);
+    const community = splitDisconnected(level, moveNodes(level, order, config));
+    const count = Math.max(-1, ...community) + 1;
+    
+    if (count === level.neighbors.length) break;
+    
+    membership = membership.map(node => community[node]);
+    level = aggregate(level, community, count);
+  }
+  
+  return describeClusters(graph, membership, { ...config, seed });
+}
+
+/**
+ * Turn community numbers into labelled clusters
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Array<number>} membership - Community of each category
+ * @param {Object} config - Options
+ * @returns {Object} Clustering
+ */
+function describeClusters(graph, membership, config) {
+  const measures = computeCentrality(graph);
+  const groups = new Map();
+  
+  graph.categories.forEach((category, i) => {
+    if (!groups.has(membership[i])) groups.set(membership[i], []);
+    groups.get(membership[i]).push(category);
+  });
+  
+  // Largest first; equal sizes keep the order of their first category
+  const ordered = [...groups.values()].sort((a, b) => b.length - a.length);
+  const assignments = {};
+  
+  const clusters = ordered.map((members, i) => {
+    const clusterId = `cluster-${i + 1}`;
+    const central = [...members]
+      .sort((a, b) => measures[b.category_id].composite - measures[a.category_id].composite ||
+        String(a.name).localeCompare(String(b.name)))
+      .slice(0, config.labelSize);
+    
+    for (const member of members) assignments[member.category_id] = clusterId;
+    
+    return {
+      cluster_id: clusterId,
+      label: central.map(c => c.name).join(' / '),
+      color: CLUSTER_COLORS[i % CLUSTER_COLORS.length],
+      size: members.length,
+      members: members.map(c => c.category_id),
+      central: central.map(c => c.category_id)
+    };
+  });
+  
+  const weights = new Map(clusters.map(c => [c.cluster_id, { internal: 0, external: 0 }]));
+  
+  for (const rel of graph.relationships) {
+    const source = assignments[rel.source_id];
+    const target = assignments[rel.target_id];
+    
+    if (!source || !target || rel.source_id === rel.target_id) continue;
+    
+    const weight = relationshipWeight(rel);
+    if (source === target) {
+      weights.get(source).internal += weight;
+    } else {
+      weights.get(source).external += weight;
+      weights.get(target).external += weight;
+    }
+  }
+  
+  for (const cluster of clusters) {
+    cluster.internalWeight = weights.get(cluster.cluster_id).internal;
+    cluster.externalWeight = weights.get(cluster.cluster_id).external;
+  }
+  
+  return {
+    algorithm: ALGORITHM,
+    resolution: config.resolution,
+    seed: config.seed,
+    modularity: modularity(graph, assignments, config),
+    clusters,
+    assignments
+  };
+}
+
+/**
+ * Convert a clustering to the form stored in graph metadata
+ * @param {Object} clustering - Result of detectCommunities
+ * @returns {Object} Cluster metadata
+ */
+function toClusterMetadata(clustering) {
+  return {
+    algorithm: clustering.algorithm,
+    resolution: clustering.resolution,
+    modularity: clustering.modularity,
+    computed_at: new Date().toISOString(),
+    clusters: clustering.clusters.map(({ cluster_id, label, color, members, central }) => ({
+      cluster_id,
+      label,
+      color,
+      members: [...members],
+      central: [...central]
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  CLUSTER_COLORS,
+  relationshipWeight,
+  modularity,
+  detectCommunities,
+  toClusterMetadata
+};
@@ -0,0 +1,96 @@
+/**
+ * Attribute definitions shared by the GraphML and GEXF formats
+ * Both formats only carry scalar attribute values, so arrays and objects are
+ * stored as JSON strings and decoded again on import.
+ */
+
+// Attribute value types
+const ATTRIBUTE_TYPES = {
+  STRING: 'string',
+  INTEGER: 'int',
+  LIST: 'list',
+  JSON: 'json'
+};
+
+// Category attributes (the name is exported as the node label)
+const CATEGORY_ATTRIBUTES = [
+  { name: 'name', type: ATTRIBUTE_TYPES.STRING },
+  { name: 'definition', type: ATTRIBUTE_TYPES.STRING },
+  { name: 'centrality', type: ATTRIBUTE_TYPES.INTEGER },
+  { name: 'certainty', type: ATTRIBUTE_TYPES.INTEGER },
+  { name: 'historical_significance', type: ATTRIBUTE_TYPES.INTEGER },
+  { name: 'traditions', type: ATTRIBUTE_TYPES.LIST },
+  { name: 'philosophers', type: ATTRIBUTE_TYPES.LIST },
+  { name: 'metadata', type: ATTRIBUTE_TYPES.JSON },
+  { name: 'created_at', type: ATTRIBUTE_TYPES.STRING },
+  { name: 'updated_at', type: ATTRIBUTE_TYPES.STRING }
+];
+
+// Relationship attributes (source and target are carried by the edge itself)
+const RELATIONSHIP_ATTRIBUTES = [
+  { name: 'type', type: ATTRIBUTE_TYPES.STRING },
+  { name: 'direction', type: ATTRIBUTE_TYPES.STRING },
+  { name: 'strength', type: ATTRIBUTE_TYPES.INTEGER },
+  { name: 'certainty', type: ATTRIBUTE_TYPES.INTEGER },
+  { name: 'description', type: ATTRIBUTE_TYPES.STRING },
+  { name: 'traditions', type: ATTRIBUTE_TYPES.LIST },
+  { name: 'philosophers', type: ATTRIBUTE_TYPES.LIST },
+  { name: 'metadata', type: ATTRIBUTE_TYPES.JSON },
+  { name: 'created_at', type: ATTRIBUTE_TYPES.STRING },
+  { name: 'updated_at', type: ATTRIBUTE_TYPES.STRING }
+];
+
+/**
+ * Encode a value as an attribute string
+ * @param {*} value - Value to encode
+ * @param {string} type - Attribute type
+ * @returns {string|undefined} Encoded value or undefined when there is no value
+ */
+function encodeAttribute(value, type) {
+  if (value === undefined || value === null) return undefined;
+  
+  if (type === ATTRIBUTE_TYPES.LIST || type === ATTRIBUTE_TYPES.JSON) {
+    return JSON.stringify(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  
+  return String(value);
+}
+
+/**
+ * Decode an attribute string
+ * Values that cannot be decoded are returned unchanged so that validation
+ * reports them against the field instead of failing the whole import.
+ * @param {string} value - Attribute string
+ * @param {string} type - Attribute type
+ * @returns {*} Decoded value
+ */
+function decodeAttribute(value, type) {
+  if (value === undefined || value === null) return undefined;
+  
+  switch (type) {
+    case ATTRIBUTE_TYPES.INTEGER: {
+      const number = Number(value.trim());
+      return value.trim() !== '' && !Number.isNaN(number) ? number : value;
+    }
+    case ATTRIBUTE_TYPES.LIST:
+    case ATTRIBUTE_TYPES.JSON:
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  CATEGORY_ATTRIBUTES,
+  RELATIONSHIP_ATTRIBUTES,
+  encodeAttribute,
+  decodeAttribute
+};
@@ -0,0 +1,248 @@
+/**
+ * GEXF serialization of concept graphs
+ * Targets GEXF 1.3 as read by Gephi: category names are node labels,
+ * relationship strength is the edge weight and all other fields are
+ * declared node and edge attributes.
+ */
+
+const { RELATIONSHIP_DIRECTIONS } = require('../../../constants/philosophyConstants');
+const {
+  CATEGORY_ATTRIBUTES,
+  RELATIONSHIP_ATTRIBUTES,
+  ATTRIBUTE_TYPES,
+  encodeAttribute,
+  decodeAttribute
+} = require('./attributes');
+const { element, parseXml, childrenNamed, childNamed, localName } = require('./xml');
+
+const GEXF_NAMESPACE = 'http://gexf.net/1.3';
+const GEXF_VIZ_NAMESPACE = 'http://gexf.net/1.3/viz';
+const GEXF_VERSION = '1.3';
+const GEXF_CREATOR = 'philosophical-concepts';
+
+/**
+ * Map an attribute type to a GEXF attribute type
+ * @param {string} type - Attribute type
+ * @returns {string} GEXF type
+ */
+function gexfType(type) {
+  return type === ATTRIBUTE_TYPES.INTEGER ? 'integer' : 'string';
+}
+
+/**
+ * Convert a #rrggbb colour to GEXF viz:color attributes
+ * @param {string} color - Hex colour
+ * @returns {Object} r, g and b attributes
+ */
+function vizColor(color) {
+  const value = parseInt(color.slice(1), 16);
+  return { r: (value >> 16) & 0xff, g: (value >> 8) & 0xff, b: value & 0xff };
+}
+
+/**
+ * Render the attvalues element for an object
+ * @param {Object} data - Source object
+ * @param {Array<Object>} attributes - Attribute definitions
+ * @param {string} indent - Indentation
+ * @returns {string} attvalues element
+ */
+function renderAttvalues(data, attributes, indent) {
+  const values = attributes
+    .map(({ name, type }) => ({ name, value: encodeAttribute(data[name], type) }))
+    .filter(({ value }) => value !== undefined)
+    .map(({ name, value }) => element('attvalue', { for: name, value }, undefined, `${indent}  `));
+  
+  return element('attvalues', {}, values, indent);
+}
+
+/**
+ * Serialize a graph as GEXF
+ * Graph level data (concept ID, status and metadata) is stored as JSON in
+ * the meta description, since GEXF has no graph attributes.
+ * @param {Object} snapshot - Graph snapshot (see Graph#toSnapshot)
+ * @param {Object} [options={}] - Options
+ * @param {Layout} [options.layout] - Layout whose positions to write as viz:position
+ * @param {Object} [options.clusters] - Clustering or cluster metadata whose colours to write as viz:color
+ * @returns {string} GEXF document
+ */
+function toGEXF(snapshot, options = {}) {
+  const positions = options.layout ? options.layout.positions : {};
+  const nodeAttributes = CATEGORY_ATTRIBUTES.filter(attr => attr.name !== 'name');
+  const colors = {};
+  
+  for (const cluster of options.clusters ? options.clusters.clusters : []) {
+    for (const categoryId of cluster.members) colors[categoryId] = cluster.color;
+  }
+  
+  const declarations = (cls, attributes) => {
+    const declared = attributes.map(({ name, type }) => element(
+      'attribute',
+      { id: name, title: name, type: gexfType(type) },
+      undefined,
+      '      '
+    ));
+    return element('attributes', { class: cls }, declared, '    ');
+  };
+  
+  const nodes = snapshot.categories.map(category => {
+    const position = positions[category.category_id];
+    const color = colors[category.category_id];
+    const content = [renderAttvalues(category, nodeAttributes, '        ')];
+    
+    if (color) {
+      content.push(element('viz:color', vizColor(color), undefined, '        '));
+    }
+    if (position) {
+      content.push(element('viz:position', { x: position.x, y: position.y, z: 0 }, undefined, '        '));
+    }
+    
+    return element('node', { id: category.category_id, label: category.name }, content, '      ');
+  });
+  
+  const edges = snapshot.relationships.map(relationship => element(
+    'edge',
+    {
+      id: relationship.relationship_id,
+      source: relationship.source_id,
+      target: relationship.target_id,
+      type: relationship.direction === RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL ? 'undirected' : 'directed',
+      label: relationship.type,
+      weight: relationship.strength
+    },
+    [renderAttvalues(relationship, RELATIONSHIP_ATTRIBUTES, '        ')],
+    '      '
+  ));
+  
+  const meta = element('meta', { lastmodifieddate: new Date().toISOString().slice(0, 10) }, [
+    element('creator', {}, GEXF_CREATOR, '    '),
+    element('description', {}, JSON.stringify({
+      concept_id: snapshot.concept_id,
+      status: snapshot.status,
+      metadata: snapshot.metadata
+    }), '    ')
+  ], '  ');
+  
+  const graph = element('graph', { defaultedgetype: 'directed', mode: 'static' }, [
+    declarations('node', nodeAttributes),
+    declarations('edge', RELATIONSHIP_ATTRIBUTES),
+    element('nodes', {}, nodes, '    '),
+    element('edges', {}, edges, '    ')
+  ], '  ');
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    element('gexf', {
+      xmlns: GEXF_NAMESPACE,
+      'xmlns:viz': options.layout || options.clusters ? GEXF_VIZ_NAMESPACE : undefined,
+      version: GEXF_VERSION
+    }, [meta, graph])
+  ].join('\n') + '\n';
+}
+
+/**
+ * Read the attvalues of a GEXF node or edge
+ * @param {Object} node - Parsed element
+ * @param {Map<string, string>} titles - Attribute title by attribute ID
+ * @param {Array<Object>} attributes - Known attribute definitions
+ * @returns {Object} Decoded values by attribute name
+ */
+function readAttvalues(node, titles, attributes) {
+  const types = new Map(attributes.map(attr => [attr.name, attr.type]));
+  const values = {};
+  
+  for (const attvalue of childrenNamed(childNamed(node, 'attvalues'), 'attvalue')) {
+    const id = attvalue.attributes.for !== undefined ? attvalue.attributes.for : attvalue.attributes.id;
+    const name = titles.get(id) || id;
+    values[name] = decodeAttribute(attvalue.attributes.value, types.get(name) || ATTRIBUTE_TYPES.STRING);
+  }
+  
+  return values;
+}
+
+/**
+ * Read the graph level data stored in the meta description
+ * @param {Object} root - Parsed gexf element
+ * @returns {Object} Graph level data, empty if the description is not ours
+ */
+function readGraphData(root) {
+  const description = childNamed(childNamed(root, 'meta'), 'description');
+  
+  try {
+    const data = description ? JSON.parse(description.text) : {};
+    return data && typeof data === 'object' ? data : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Parse a GEXF document
+ * @param {string} xml - GEXF document
+ * @returns {Object} Plain graph data with concept_id, status, metadata, categories and relationships
+ * @throws {Error} If the document is not GEXF
+ */
+function parseGEXF(xml) {
+  const root = parseXml(xml);
+  
+  if (localName(root.name) !== 'gexf') {
+    throw new Error(`Expected a <gexf> root element, found <${root.name}>`);
+  }
+  
+  const graph = childNamed(root, 'graph');
+  if (!graph) {
+    throw new Error('GEXF document has no <graph> element');
+  }
+  
+  // Attribute IDs are free-form in GEXF files written by other tools, titles are the field names
+  const titles = cls => new Map(childrenNamed(graph, 'attributes')
+    .filter(declaration => declaration.attributes.class === cls)
+    .flatMap(declaration => childrenNamed(declaration, 'attribute'))
+    .map(attribute => [attribute.attributes.id, attribute.attributes.title || attribute.attributes.id]));
+  
+  const nodeTitles = titles('node');
+  const edgeTitles = titles('edge');
+  const undirectedByDefault = graph.attributes.defaultedgetype === 'undirected';
+  
+  const categories = childrenNamed(childNamed(graph, 'nodes'), 'node').map(node => ({
+    ...readAttvalues(node, nodeTitles, CATEGORY_ATTRIBUTES),
+    category_id: node.attributes.id,
+    name: node.attributes.label !== undefined ? node.attributes.label : node.attributes.id
+  }));
+  
+  const relationships = childrenNamed(childNamed(graph, 'edges'), 'edge').map(edge => {
+    const data = readAttvalues(edge, edgeTitles, RELATIONSHIP_ATTRIBUTES);
+    const undirected = edge.attributes.type !== undefined
+      ? edge.attributes.type === 'undirected'
+      : undirectedByDefault;
+    
+    return {
+      ...data,
+      relationship_id: edge.attributes.id,
+      source_id: edge.attributes.source,
+      target_id: edge.attributes.target,
+      type: data.type !== undefined ? data.type : edge.attributes.label,
+      direction: data.direction !== undefined
+        ? data.direction
+        : undirected ? RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL : RELATIONSHIP_DIRECTIONS.UNIDIRECTIONAL,
+      strength: data.strength !== undefined
+        ? data.strength
+        : decodeAttribute(edge.attributes.weight, ATTRIBUTE_TYPES.INTEGER)
+    };
+  });
+  
+  const graphData = readGraphData(root);
+  
+  return {
+    concept_id: graphData.concept_id,
+    status: graphData.status,
+    metadata: graphData.metadata,
+    categories,
+    relationships
+  };
+}
+
+module.exports = {
+  GEXF_NAMESPACE,
+  toGEXF,
+  parseGEXF
+};
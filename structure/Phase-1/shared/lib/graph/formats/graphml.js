@@ -0,0 +1,205 @@
+/**
+ * GraphML serialization of concept graphs
+ * Categories become nodes and relationships become edges; every field is
+ * declared as a GraphML key so the file opens with its attributes in Gephi
+ * and other GraphML tools.
+ */
+
+const { RELATIONSHIP_DIRECTIONS } = require('../../../constants/philosophyConstants');
+const {
+  CATEGORY_ATTRIBUTES,
+  RELATIONSHIP_ATTRIBUTES,
+  ATTRIBUTE_TYPES,
+  encodeAttribute,
+  decodeAttribute
+} = require('./attributes');
+const { element, parseXml, childrenNamed, childNamed, localName } = require('./xml');
+
+const GRAPHML_NAMESPACE = 'http://graphml.graphdrawing.org/xmlns';
+const GRAPHML_SCHEMA_LOCATION = 'http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd';
+
+// Graph level attributes
+const GRAPH_ATTRIBUTES = [
+  { name: 'status', type: ATTRIBUTE_TYPES.STRING },
+  { name: 'metadata', type: ATTRIBUTE_TYPES.JSON }
+];
+
+// Key ID prefixes per element kind
+const KEY_PREFIXES = {
+  graph: 'g_',
+  node: 'c_',
+  edge: 'r_'
+};
+
+/**
+ * Map an attribute type to a GraphML attr.type
+ * @param {string} type - Attribute type
+ * @returns {string} GraphML type
+ */
+function graphmlType(type) {
+  return type === ATTRIBUTE_TYPES.INTEGER ? 'int' : 'string';
+}
+
+/**
+ * Render data elements for an object
+ * @param {Object} data - Source object
+ * @param {Array<Object>} attributes - Attribute definitions
+ * @param {string} prefix - Key ID prefix
+ * @param {string} indent - Indentation
+ * @returns {Array<string>} Data elements
+ */
+function renderData(data, attributes, prefix, indent) {
+  return attributes
+    .map(({ name, type }) => ({ name, value: encodeAttribute(data[name], type) }))
+    .filter(({ value }) => value !== undefined)
+    .map(({ name, value }) => element('data', { key: `${prefix}${name}` }, value, indent));
+}
+
+/**
+ * Serialize a graph as GraphML
+ * @param {Object} snapshot - Graph snapshot (see Graph#toSnapshot)
+ * @returns {string} GraphML document
+ */
+function toGraphML(snapshot) {
+  const keys = [
+    ...GRAPH_ATTRIBUTES.map(attr => ({ ...attr, for: 'graph' })),
+    ...CATEGORY_ATTRIBUTES.map(attr => ({ ...attr, for: 'node' })),
+    ...RELATIONSHIP_ATTRIBUTES.map(attr => ({ ...attr, for: 'edge' }))
+  ].map(attr => element('key', {
+    id: `${KEY_PREFIXES[attr.for]}${attr.name}`,
+    for: attr.for,
+    'attr.name': attr.name,
+    'attr.type': graphmlType(attr.type)
+  }, undefined, '  '));
+  
+  // Gephi reads the edge weight from a key named "weight"
+  keys.push(element('key', {
+    id: 'weight',
+    for: 'edge',
+    'attr.name': 'weight',
+    'attr.type': 'double'
+  }, undefined, '  '));
+  
+  const nodes = snapshot.categories.map(category => element(
+    'node',
+    { id: category.category_id },
+    renderData(category, CATEGORY_ATTRIBUTES, KEY_PREFIXES.node, '      '),
+    '    '
+  ));
+  
+  const edges = snapshot.relationships.map(relationship => element(
+    'edge',
+    {
+      id: relationship.relationship_id,
+      source: relationship.source_id,
+      target: relationship.target_id,
+      directed: relationship.direction === RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL ? 'false' : 'true'
+    },
+    [
+      ...renderData(relationship, RELATIONSHIP_ATTRIBUTES, KEY_PREFIXES.edge, '      '),
+      element('data', { key: 'weight' }, relationship.strength, '      ')
+    ],
+    '    '
+  ));
+  
+  const graph = element('graph', { id: snapshot.concept_id, edgedefault: 'directed' }, [
+    ...renderData(snapshot, GRAPH_ATTRIBUTES, KEY_PREFIXES.graph, '    '),
+    ...nodes,
+    ...edges
+  ], '  ');
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    element('graphml', {
+      xmlns: GRAPHML_NAMESPACE,
+      'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+      'xsi:schemaLocation': `${GRAPHML_NAMESPACE} ${GRAPHML_SCHEMA_LOCATION}`
+    }, [...keys, graph])
+  ].join('\n') + '\n';
+}
+
+/**
+ * Read the data elements of a GraphML element
+ * @param {Object} node - Parsed element
+ * @param {Map<string, string>} keyNames - Attribute name by key ID
+ * @param {Array<Object>} attributes - Known attribute definitions
+ * @returns {Object} Decoded values by attribute name
+ */
+function readData(node, keyNames, attributes) {
+  const types = new Map(attributes.map(attr => [attr.name, attr.type]));
+  const values = {};
+  
+  for (const data of childrenNamed(node, 'data')) {
+    const name = keyNames.get(data.attributes.key) || data.attributes.key;
+    values[name] = decodeAttribute(data.text, types.get(name) || ATTRIBUTE_TYPES.STRING);
+  }
+  
+  return values;
+}
+
+/**
+ * Parse a GraphML document
+ * @param {string} xml - GraphML document
+ * @returns {Object} Plain graph data with concept_id, status, metadata, categories and relationships
+ * @throws {Error} If the document is not GraphML
+ */
+function parseGraphML(xml) {
+  const root = parseXml(xml);
+  
+  if (localName(root.name) !== 'graphml') {
+    throw new Error(`Expected a <graphml> root element, found <${root.name}>`);
+  }
+  
+  const graph = childNamed(root, 'graph');
+  if (!graph) {
+    throw new Error('GraphML document has no <graph> element');
+  }
+  
+  const keyNames = new Map(childrenNamed(root, 'key')
+    .map(key => [key.attributes.id, key.attributes['attr.name'] || key.attributes.id]));
+  
+  const graphData = readData(graph, keyNames, GRAPH_ATTRIBUTES);
+  const undirectedByDefault = graph.attributes.edgedefault === 'undirected';
+  
+  const categories = childrenNamed(graph, 'node').map(node => {
+    const data = readData(node, keyNames, CATEGORY_ATTRIBUTES);
+    
+    return {
+      ...data,
+      category_id: node.attributes.id,
+      name: data.name !== undefined ? data.name : data.label
+    };
+  });
+  
+  const relationships = childrenNamed(graph, 'edge').map(edge => {
+    const data = readData(edge, keyNames, RELATIONSHIP_ATTRIBUTES);
+    const directed = edge.attributes.directed !== undefined
+      ? edge.attributes.directed === 'true'
+      : !undirectedByDefault;
+    
+    return {
+      ...data,
+      relationship_id: edge.attributes.id,
+      source_id: edge.attributes.source,
+      target_id: edge.attributes.target,
+      direction: data.direction !== undefined
+        ? data.direction
+        : directed ? RELATIONSHIP_DIRECTIONS.UNIDIRECTIONAL : RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL,
+      strength: data.strength !== undefined ? data.strength : decodeAttribute(data.weight, ATTRIBUTE_TYPES.INTEGER)
+    };
+  });
+  
+  return {
+    concept_id: graph.attributes.id,
+    status: graphData.status,
+    metadata: graphData.metadata,
+    categories,
+    relationships
+  };
+}
+
+module.exports = {
+  GRAPHML_NAMESPACE,
+  toGraphML,
+  parseGraphML
+};
@@ -0,0 +1,827 @@
+/**
+ * RDF serialization of concept graphs (Turtle and JSON-LD)
+ * The concept is a skos:ConceptScheme and every category a skos:Concept in
+ * that scheme, so graphs can be linked to other philosophy ontologies.
+ * Relationships are resources of their own (pco:Relationship) to keep their
+ * type, direction and characteristics; each one is also mirrored as a
+ * skos:related link between the two concepts.
+ *
+ * Both formats are read into and written from the same node list in JSON-LD
+ * expanded form: { '@id', '@type': [...], [property IRI]: [values] }.
+ */
+
+const NAMESPACES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  dcterms: 'http://purl.org/dc/terms/',
+  pco: 'urn:philosophical-concepts:ontology#'
+};
+
+const RDF_TYPE = `${NAMESPACES.rdf}type`;
+const RDF_JSON = `${NAMESPACES.rdf}JSON`;
+const XSD_INTEGER = `${NAMESPACES.xsd}integer`;
+const XSD_DATE_TIME = `${NAMESPACES.xsd}dateTime`;
+
+const CLASSES = {
+  CONCEPT_SCHEME: `${NAMESPACES.skos}ConceptScheme`,
+  CONCEPT: `${NAMESPACES.skos}Concept`,
+  RELATIONSHIP: `${NAMESPACES.pco}Relationship`
+};
+
+const PROPERTIES = {
+  IN_SCHEME: `${NAMESPACES.skos}inScheme`,
+  RELATED: `${NAMESPACES.skos}related`,
+  SOURCE: `${NAMESPACES.pco}source`,
+  TARGET: `${NAMESPACES.pco}target`
+};
+
+// Value kinds of mapped fields
+const KINDS = {
+  STRING: 'string',
+  INTEGER: 'integer',
+  DATE_TIME: 'dateTime',
+  LIST: 'list',
+  JSON: 'json'
+};
+
+// Field to property mapping of the concept scheme
+const GRAPH_PROPERTIES = [
+  { field: 'concept_id', iri: `${NAMESPACES.pco}conceptId`, kind: KINDS.STRING },
+  { field: 'status', iri: `${NAMESPACES.pco}status`, kind: KINDS.STRING },
+  { field: 'metadata', iri: `${NAMESPACES.pco}metadata`, kind: KINDS.JSON }
+];
+
+// Field to property mapping of categories
+const CATEGORY_PROPERTIES = [
+  { field: 'category_id', iri: `${NAMESPACES.pco}categoryId`, kind: KINDS.STRING },
+  { field: 'name', iri: `${NAMESPACES.skos}prefLabel`, kind: KINDS.STRING },
+  { field: 'definition', iri: `${NAMESPACES.skos}definition`, kind: KINDS.STRING },
+  { field: 'centrality', iri: `${NAMESPACES.pco}centrality`, kind: KINDS.INTEGER },
+  { field: 'certainty', iri: `${NAMESPACES.pco}certainty`, kind: KINDS.INTEGER },
+  { field: 'historical_significance', iri: `${NAMESPACES.pco}historicalSignificance`, kind: KINDS.INTEGER },
+  { field: 'traditions', iri: `${NAMESPACES.pco}traditions`, kind: KINDS.LIST },
+  { field: 'philosophers', iri: `${NAMESPACES.pco}philosophers`, kind: KINDS.LIST },
+  { field: 'metadata', iri: `${NAMESPACES.pco}metadata`, kind: KINDS.JSON },
+  { field: 'created_at', iri: `${NAMESPACES.dcterms}created`, kind: KINDS.DATE_TIME },
+  { field: 'updated_at', iri: `${NAMESPACES.dcterms}modified`, kind: KINDS.DATE_TIME }
+];
+
+// Field to property mapping of relationships (source and target are references)
+const RELATIONSHIP_PROPERTIES = [
+  { field: 'relationship_id', iri: `${NAMESPACES.pco}relationshipId`, kind: KINDS.STRING },
+  { field: 'type', iri: `${NAMESPACES.pco}relationshipType`, kind: KINDS.STRING },
+  { field: 'direction', iri: `${NAMESPACES.pco}direction`, kind: KINDS.STRING },
+  { field: 'strength', iri: `${NAMESPACES.pco}strength`, kind: KINDS.INTEGER },
+  { field: 'certainty', iri: `${NAMESPACES.pco}certainty`, kind: KINDS.INTEGER },
+  { field: 'description', iri: `${NAMESPACES.dcterms}description`, kind: KINDS.STRING },
+  { field: 'traditions', iri: `${NAMESPACES.pco}traditions`, kind: KINDS.LIST },
+  { field: 'philosophers', iri: `${NAMESPACES.pco}philosophers`, kind: KINDS.LIST },
+  { field: 'metadata', iri: `${NAMESPACES.pco}metadata`, kind: KINDS.JSON },
+  { field: 'created_at', iri: `${NAMESPACES.dcterms}created`, kind: KINDS.DATE_TIME },
+  { field: 'updated_at', iri: `${NAMESPACES.dcterms}modified`, kind: KINDS.DATE_TIME }
+];
+
+/**
+ * Build the IRI of a graph element
+ * @param {string} id - Element ID
+ * @returns {string} IRI
+ */
+function resourceIri(id) {
+  return `urn:uuid:${encodeURIComponent(id)}`;
+}
+
+/**
+ * Get an element ID back from its IRI
+ * IRIs that were not produced by resourceIri are returned unchanged.
+ * @param {string} iri - IRI
+ * @returns {string} Element ID
+ */
+function idFromIri(iri) {
+  return iri.startsWith('urn:uuid:') ? decodeURIComponent(iri.slice(9)) : iri;
+}
+
+/**
+ * Convert a field value to expanded JSON-LD values
+ * @param {*} value - Field value
+ * @param {string} kind - Value kind
+ * @returns {Array<Object>} Expanded values (empty when there is no value)
+ */
+function toValues(value, kind) {
+  if (value === undefined || value === null) return [];
+  
+  switch (kind) {
+    case KINDS.INTEGER:
+      return [{ '@value': value, '@type': XSD_INTEGER }];
+    case KINDS.DATE_TIME:
+      return [{ '@value': value instanceof Date ? value.toISOString() : String(value), '@type': XSD_DATE_TIME }];
+    case KINDS.LIST:
+      return [{ '@list': value.map(item => ({ '@value': item })) }];
+    case KINDS.JSON:
+      return [{ '@value': value, '@type': '@json' }];
+    default:
+      return [{ '@value': value }];
+  }
+}
+
+/**
+ * Convert expanded JSON-LD values back to a field value
+ * Values that do not fit the kind are returned as found so validation can
+ * report them against the field.
+ * @param {Array<Object>} values - Expanded values
+ * @param {string} kind - Value kind
+ * @returns {*} Field value or undefined if there are no values
+ */
+function fromValues(values, kind) {
+  if (!values || values.length === 0) return undefined;
+  
+  const plain = value => (value && '@value' in value ? value['@value'] : value && value['@id']);
+  
+  if (kind === KINDS.LIST) {
+    // Accept both an ordered list and repeated values
+    return values.length === 1 && values[0]['@list']
+      ? values[0]['@list'].map(plain)
+      : values.map(plain);
+  }
+  
+  const value = plain(values[0]);
+  
+  if (kind === KINDS.INTEGER && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (kind === KINDS.JSON && typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value;
+    }
+  }
+  
+  return value;
+}
+
+/**
+ * Build an expanded JSON-LD node from mapped fields
+ * @param {string} id - Node IRI
+ * @param {string} type - Class IRI
+ * @param {Object} data - Source object
+ * @param {Array<Object>} properties - Field to property mapping
+ * @returns {Object} Expanded node
+ */
+function buildNode(id, type, data, properties) {
+  const node = { '@id': id, '@type': [type] };
+  
+  for (const { field, iri, kind } of properties) {
+    const values = toValues(data[field], kind);
+    if (values.length > 0) node[iri] = values;
+  }
+  
+  return node;
+}
+
+/**
+ * Convert a graph to RDF nodes in JSON-LD expanded form
+ * @param {Object} snapshot - Graph snapshot (see Graph#toSnapshot)
+ * @returns {Array<Object>} Expanded nodes
+ */
+function toRdfNodes(snapshot) {
+  const schemeIri = resourceIri(snapshot.concept_id);
+  const scheme = buildNode(schemeIri, CLASSES.CONCEPT_SCHEME, snapshot, GRAPH_PROPERTIES);
+  
+  const concepts = new Map(snapshot.categories.map(category => {
+    const node = buildNode(resourceIri(category.category_id), CLASSES.CONCEPT, category, CATEGORY_PROPERTIES);
+    node[PROPERTIES.IN_SCHEME] = [{ '@id': schemeIri }];
+    return [category.category_id, node];
+  }));
+  
+  const relationships = snapshot.relationships.map(relationship => {
+    const node = buildNode(
+      resourceIri(relationship.relationship_id),
+      CLASSES.RELATIONSHIP,
+      relationship,
+      RELATIONSHIP_PROPERTIES
+    );
+    node[PROPERTIES.SOURCE] = [{ '@id': resourceIri(relationship.source_id) }];
+    node[PROPERTIES.TARGET] = [{ '@id': resourceIri(relationship.target_id) }];
+    
+    // Plain SKOS link for consumers that do not know the pco vocabulary
+    const source = concepts.get(relationship.source_id);
+    if (source) {
+      const related = source[PROPERTIES.RELATED] || (source[PROPERTIES.RELATED] = []);
+      if (!related.some(ref => ref['@id'] === resourceIri(relationship.target_id))) {
+        related.push({ '@id': resourceIri(relationship.target_id) });
+      }
+    }
+    
+    return node;
+  });
+  
+  return [scheme, ...concepts.values(), ...relationships];
+}
+
+/**
+ * Convert RDF nodes in JSON-LD expanded form to plain graph data
+ * @param {Array<Object>} nodes - Expanded nodes
+ * @returns {Object} Plain graph data with concept_id, status, metadata, categories and relationships
+ */
+function fromRdfNodes(nodes) {
+  const ofType = type => nodes.filter(node => (node['@type'] || []).includes(type));
+  const readFields = (node, properties) => {
+    const data = {};
+    for (const { field, iri, kind } of properties) {
+      const value = fromValues(node[iri], kind);
+      if (value !== undefined) data[field] = value;
+    }
+    return data;
+  };
+  const reference = (node, property) => (node[property] && node[property][0] && node[property][0]['@id']) || undefined;
+  
+  const scheme = ofType(CLASSES.CONCEPT_SCHEME)[0];
+  const graphData = scheme ? readFields(scheme, GRAPH_PROPERTIES) : {};
+  
+  const categoryIds = new Map();
+  const categories = ofType(CLASSES.CONCEPT).map(node => {
+    const data = readFields(node, CATEGORY_PROPERTIES);
+    if (data.category_id === undefined && !node['@id'].startsWith('_:')) {
+      data.category_id = idFromIri(node['@id']);
+    }
+    categoryIds.set(node['@id'], data.category_id);
+    return data;
+  });
+  
+  const endpoint = iri => (iri === undefined ? undefined : categoryIds.get(iri) || idFromIri(iri));
+  
+  const relationships = ofType(CLASSES.RELATIONSHIP).map(node => {
+    const data = readFields(node, RELATIONSHIP_PROPERTIES);
+    if (data.relationship_id === undefined && !node['@id'].startsWith('_:')) {
+      data.relationship_id = idFromIri(node['@id']);
+    }
+    data.source_id = endpoint(reference(node, PROPERTIES.SOURCE));
+    data.target_id = endpoint(reference(node, PROPERTIES.TARGET));
+    return data;
+  });
+  
+  return {
+    concept_id: graphData.concept_id !== undefined
+      ? graphData.concept_id
+      : scheme && idFromIri(scheme['@id']),
+    status: graphData.status,
+    metadata: graphData.metadata,
+    categories,
+    relationships
+  };
+}
+
+/**
+ * Shorten an IRI with the known prefixes
+ * @param {string} iri - IRI
+ * @returns {string|null} Prefixed name or null if no prefix applies
+ */
+function compactIri(iri) {
+  for (const [prefix, namespace] of Object.entries(NAMESPACES)) {
+    if (iri.startsWith(namespace) && /^[A-Za-z_][\w-]*$/.test(iri.slice(namespace.length))) {
+      return `${prefix}:${iri.slice(namespace.length)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Escape a string for a Turtle string literal
+ * @param {string} value - String
+ * @returns {string} Quoted literal
+ */
+function turtleString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"`;
+}
+
+/**
+ * Render an IRI as a Turtle term
+ * @param {string} iri - IRI
+ * @returns {string} Prefixed name or IRI reference
+ */
+function turtleIri(iri) {
+  return compactIri(iri) || `<${iri.replace(/[\\>]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`)}>`;
+}
+
+/**
+ * Render an expanded value as a Turtle term
+ * @param {Object} value - Expanded value
+ * @returns {string} Turtle term
+ */
+function turtleTerm(value) {
+  if ('@id' in value) return turtleIri(value['@id']);
+  if ('@list' in value) return `( ${value['@list'].map(turtleTerm).join(' ')} )`.replace('(  )', '()');
+  
+  const literal = value['@value'];
+  
+  if (value['@type'] === '@json') {
+    return `${turtleString(JSON.stringify(literal))}^^${turtleIri(RDF_JSON)}`;
+  }
+  if (value['@type'] === XSD_INTEGER && Number.isInteger(literal)) {
+    return String(literal);
+  }
+  if (value['@type']) {
+    return `${turtleString(literal)}^^${turtleIri(value['@type'])}`;
+  }
+  if (value['@language']) {
+    return `${turtleString(literal)}@${value['@language']}`;
+  }
+  if (typeof literal === 'number' && Number.isInteger(literal)) {
+    return String(literal);
+  }
+  
+  return turtleString(literal);
+}
+
+/**
+ * Serialize a graph as Turtle
+ * @param {Object} snapshot - Graph snapshot (see Graph#toSnapshot)
+ * @returns {string} Turtle document
+ */
+function toTurtle(snapshot) {
+  const prefixes = Object.entries(NAMESPACES).map(([prefix, iri]) => `@prefix ${prefix}: <${iri}> .`);
+  
+  const statements = toRdfNodes(snapshot).map(node => {
+    const lines = [`${turtleIri(node['@id'])} a ${node['@type'].map(turtleIri).join(', ')}`];
+    
+    for (const [property, values] of Object.entries(node)) {
+      if (property.startsWith('@')) continue;
+      lines.push(`    ${turtleIri(property)} ${values.map(turtleTerm).join(', ')}`);
+    }
+    
+    return `${lines.join(' ;\n')} .`;
+  });
+  
+  return `${prefixes.join('\n')}\n\n${statements.join('\n\n')}\n`;
+}
+
+/**
+ * Parse a Turtle document into expanded JSON-LD nodes
+ * Supports prefixes, base IRIs, predicate and object lists, literals with
+ * datatypes or language tags, blank nodes and collections. Collections are
+ * returned as '@list' values.
+ * @param {string} text - Turtle document
+ * @returns {Array<Object>} Expanded nodes
+ * @throws {Error} If the document cannot be parsed
+ */
+function parseTurtleNodes(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Turtle document must be a string');
+  }
+  
+  const prefixes = {};
+  const nodes = new Map();
+  let base = '';
+  let position = 0;
+  let blankNodeCounter = 0;
+  
+  const fail = (message) => {
+    const line = text.slice(0, position).split('\n').length;
+    throw new Error(`${message} (line ${line})`);
+  };
+  
+  const skipWhitespace = () => {
+    for (;;) {
+      const match = /^(?:\s+|#[^\n]*)/.exec(text.slice(position));
+      if (!match) return;
+      position += match[0].length;
+    }
+  };
+  
+  const peek = (pattern) => {
+    skipWhitespace();
+    return pattern instanceof RegExp ? pattern.exec(text.slice(position)) : text.startsWith(pattern, position);
+  };
+  
+  const expect = (token) => {
+    if (!peek(token)) fail(`Expected '${token}'`);
+    position += token.length;
+  };
+  
+  const nodeFor = (id) => {
+    if (!nodes.has(id)) nodes.set(id, { '@id': id, '@type': [] });
+    return nodes.get(id);
+  };
+  
+  const unescape = (value) => value.replace(
+    /\\(?:u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|(.))/g,
+    (match, u4, u8, char) => {
+      if (u4 || u8) return String.fromCodePoint(parseInt(u4 || u8, 16));
+      const escapes = { t: '\t', n: '\n', r: '\r', b: '\b', f: '\f', '"': '"', '\'': '\'', '\\': '\\' };
+      if (!(char in escapes)) fail(`Invalid escape sequence '\\${char}'`);
+      return escapes[char];
+    }
+  );
+  
+  const readIri = () => {
+    const iriRef = peek(/^<([^<>"{}|^`\\\s]*(?:\\u[0-9a-fA-F]{4}[^<>"{}|^`\\\s]*)*)>/);
+    if (iriRef) {
+      position += iriRef[0].length;
+      const iri = unescape(iriRef[1]);
+      return /^[A-Za-z][\w+.-]*:/.test(iri) ? iri : base + iri;
+    }
+    
+    const prefixed = peek(/^([A-Za-z][\w.-]*)?:((?:[\w-]|\\.|%[0-9a-fA-F]{2})(?:[\w.-]|\\.|%[0-9a-fA-F]{2})*)?/);
+    if (prefixed) {
+      const prefix = prefixed[1] || '';
+      if (!(prefix in prefixes)) fail(`Undefined prefix '${prefix}:'`);
+      position += prefixed[0].length;
+      
+      // A trailing dot ends the statement rather than the name
+      let local = prefixed[2] || '';
+      while (local.endsWith('.')) {
+        local = local.slice(0, -1);
+        position -= 1;
+      }
+      return prefixes[prefix] + local.replace(/\\(.)/g, '$1');
+    }
+    
+    return null;
+  };
+  
+  const readString = () => {
+    const quote = peek(/^("""|'''|"|')/);
+    if (!quote) return null;
+    
+    const delimiter = quote[1];
+    position += delimiter.length;
+    let value = '';
+    
+    for (;;) {
+      if (position >= text.length) fail('Unterminated string literal');
+      if (text[position] === '\\') {
+        value += text.slice(position, position + 2);
+        position += 2;
+        continue;
+      }
+      if (text.startsWith(delimiter, position)) {
+        position += delimiter.length;
+        break;
+      }
+      if (delimiter.length === 1 && text[position] === '\n') fail('Line break in string literal');
+      value += text[position];
+      position += 1;
+    }
+    
+    return unescape(value);
+  };
+  
+  let readObject;
+  
+  const readBlankNodePropertyList = () => {
+    expect('[');
+    const id = `_:b${blankNodeCounter++}`;
+    nodeFor(id);
+    if (!peek(']')) readPredicateObjectList(id);
+    expect(']');
+    return id;
+  };
+  
+  const readSubject = () => {
+    const blank = peek(/^_:([\w.-]*\w|\w)/);
+    if (blank) {
+      position += blank[0].length;
+      return blank[0];
+    }
+    if (peek('[')) return readBlankNodePropertyList();
+    
+    const iri = readIri();
+    if (iri === null) fail('Expected a subject');
+    return iri;
+  };
+  
+  readObject = () => {
+    if (peek('(')) {
+      expect('(');
+      const items = [];
+      while (!peek(')')) items.push(readObject());
+      expect(')');
+      return { '@list': items };
+    }
+    if (peek('[') || peek(/^_:/)) {
+      return { '@id': readSubject() };
+    }
+    
+    const literal = readString();
+    if (literal !== null) {
+      // Datatypes and language tags follow the closing quote directly
+      if (text.startsWith('^^', position)) {
+        position += 2;
+        const datatype = readIri();
+        if (datatype === null) fail('Expected a datatype IRI');
+        return datatype === RDF_JSON
+          ? { '@value': literal, '@type': '@json' }
+          : { '@value': literal, '@type': datatype };
+      }
+      
+      const language = /^@([A-Za-z]+(?:-[A-Za-z0-9]+)*)/.exec(text.slice(position));
+      if (language) {
+        position += language[0].length;
+        return { '@value': literal, '@language': language[1] };
+      }
+      
+      return { '@value': literal };
+    }
+    
+    const number = peek(/^[+-]?(?:\d+\.\d*(?:[eE][+-]?\d+)?|\.?\d+(?:[eE][+-]?\d+)?)/);
+    if (number) {
+      // A trailing dot without digits ends the statement
+      const token = number[0].endsWith('.') ? number[0].slice(0, -1) : number[0];
+      position += token.length;
+      return /^[+-]?\d+$/.test(token)
+        ? { '@value': Number(token), '@type': XSD_INTEGER }
+        : { '@value': Number(token) };
+    }
+    
+    const boolean = peek(/^(true|false)\b/);
+    if (boolean) {
+      position += boolean[0].length;
+      return { '@value': boolean[0] === 'true' };
+    }
+    
+    const iri = readIri();
+    if (iri === null) fail('Expected an object');
+    return { '@id': iri };
+  };
+  
+  const readPredicateObjectList = (subject) => {
+    const node = nodeFor(subject);
+    
+    for (;;) {
+      let predicate;
+      if (peek(/^a(?=[\s<"'[(_:])/)) {
+        position += 1;
+        predicate = RDF_TYPE;
+      } else {
+        predicate = readIri();
+        if (predicate === null) fail('Expected a predicate');
+      }
+      
+      for (;;) {
+        const object = readObject();
+        
+        if (predicate === RDF_TYPE && object['@id']) {
+          node['@type'].push(object['@id']);
+        } else {
+          (node[predicate] = node[predicate] || []).push(object);
+        }
+        
+        if (!peek(',')) break;
+        position += 1;
+      }
+      
+      if (!peek(';')) break;
+      while (peek(';')) position += 1;
+      if (peek('.') || peek(']')) break;
+    }
+  };
+  
+  for (;;) {
+    skipWhitespace();
+    if (position >= text.length) break;
+    
+    const directive = peek(/^(@prefix|@base|PREFIX|BASE)\b/i);
+    if (directive) {
+      position += directive[0].length;
+      const keyword = directive[0].toLowerCase().replace('@', '');
+      
+      if (keyword === 'prefix') {
+        const name = peek(/^([A-Za-z][\w.-]*)?:/);
+        if (!name) fail('Expected a prefix name');
+        position += name[0].length;
+        const iriRef = peek(/^<([^>]*)>/);
+        if (!iriRef) fail('Expected a namespace IRI');
+        position += iriRef[0].length;
+        prefixes[name[1] || ''] = unescape(iriRef[1]);
+      } else {
+        const iriRef = peek(/^<([^>]*)>/);
+        if (!iriRef) fail('Expected a base IRI');
+        position += iriRef[0].length;
+        base = unescape(iriRef[1]);
+      }
+      
+      if (directive[0].startsWith('@')) expect('.');
+      continue;
+    }
+    
+    // A blank node property list may stand as a statement of its own
+    const anonymous = peek('[');
+    const subject = readSubject();
+    if (!(anonymous && peek('.'))) {
+      readPredicateObjectList(subject);
+    }
+    expect('.');
+  }
+  
+  return [...nodes.values()];
+}
+
+/**
+ * Build the JSON-LD context of exported documents
+ * @returns {Object} JSON-LD context
+ */
+function jsonLdContext() {
+  return { ...NAMESPACES };
+}
+
+/**
+ * Compact an expanded value for a JSON-LD document
+ * @param {Object} value - Expanded value
+ * @returns {*} Compacted value
+ */
+function compactValue(value) {
+  if ('@id' in value) return { '@id': value['@id'] };
+  if ('@list' in value) return { '@list': value['@list'].map(compactValue) };
+  if (value['@type'] === '@json') return { '@value': value['@value'], '@type': '@json' };
+  if (value['@type'] === XSD_INTEGER && Number.isInteger(value['@value'])) return value['@value'];
+  if (value['@type']) return { '@value': value['@value'], '@type': compactIri(value['@type']) || value['@type'] };
+  if (value['@language']) return { '@value': value['@value'], '@language': value['@language'] };
+  return value['@value'];
+}
+
+/**
+ * Serialize a graph as JSON-LD
+ * @param {Object} snapshot - Graph snapshot (see Graph#toSnapshot)
+ * @returns {Object} JSON-LD document
+ */
+function toJsonLd(snapshot) {
+  const graph = toRdfNodes(snapshot).map(node => {
+    const compacted = {
+      '@id': node['@id'],
+      '@type': node['@type'].length === 1
+        ? compactIri(node['@type'][0]) || node['@type'][0]
+        : node['@type'].map(type => compactIri(type) || type)
+    };
+    
+    for (const [property, values] of Object.entries(node)) {
+      if (property.startsWith('@')) continue;
+      const compactedValues = values.map(compactValue);
+      compacted[compactIri(property) || property] = compactedValues.length === 1
+        ? compactedValues[0]
+        : compactedValues;
+    }
+    
+    return compacted;
+  });
+  
+  return {
+    '@context': jsonLdContext(),
+    '@graph': graph
+  };
+}
+
+/**
+ * Parse a JSON-LD document into expanded nodes
+ * Handles inline contexts with prefix and term definitions (including
+ * '@type': '@id', '@type': '@json' and '@container': '@list'). Remote
+ * contexts are not fetched.
+ * @param {Object|string} document - JSON-LD document or its JSON text
+ * @returns {Array<Object>} Expanded nodes
+ * @throws {Error} If the document cannot be read
+ */
+function parseJsonLdNodes(document) {
+  const json = typeof document === 'string' ? JSON.parse(document) : document;
+  
+  if (!json || typeof json !== 'object') {
+    throw new Error('JSON-LD document must be an object or an array');
+  }
+  
+  const nodes = new Map();
+  let blankNodeCounter = 0;
+  
+  const buildContext = (context, parent = { terms: {} }) => {
+    const terms = { ...parent.terms };
+    for (const entry of [].concat(context || [])) {
+      if (!entry || typeof entry !== 'object') continue;
+      for (const [term, definition] of Object.entries(entry)) {
+        terms[term] = typeof definition === 'string' ? { '@id': definition } : definition || {};
+      }
+    }
+    return { terms };
+  };
+  
+  const expandIri = (value, context) => {
+    if (typeof value !== 'string' || value.startsWith('_:')) return value;
+    
+    const term = context.terms[value];
+    if (term && term['@id']) return expandIri(term['@id'], context);
+    
+    const index = value.indexOf(':');
+    if (index > 0) {
+      const prefix = context.terms[value.slice(0, index)];
+      if (prefix && prefix['@id'] && !value.startsWith('//', index + 1)) {
+        return prefix['@id'] + value.slice(index + 1);
+      }
+    }
+    
+    return value;
+  };
+  
+  let expandNode;
+  
+  const expandValue = (value, definition, context) => {
+    if (definition && definition['@container'] === '@list' && Array.isArray(value)) {
+      return { '@list': value.map(item => expandValue(item, { ...definition, '@container': undefined }, context)) };
+    }
+    if (definition && definition['@type'] === '@json') {
+      return { '@value': value, '@type': '@json' };
+    }
+    if (value === null || typeof value !== 'object') {
+      if (definition && definition['@type'] === '@id') return { '@id': expandIri(value, context) };
+      if (definition && definition['@type']) return { '@value': value, '@type': expandIri(definition['@type'], context) };
+      return typeof value === 'number' && Number.isInteger(value)
+        ? { '@value': value, '@type': XSD_INTEGER }
+        : { '@value': value };
+    }
+    if ('@list' in value) {
+      return { '@list': [].concat(value['@list']).map(item => expandValue(item, null, context)) };
+    }
+    if ('@value' in value) {
+      const expanded = { '@value': value['@value'] };
+      if (value['@type']) {
+        expanded['@type'] = value['@type'] === '@json' ? '@json' : expandIri(value['@type'], context);
+        if (expanded['@type'] === RDF_JSON) expanded['@type'] = '@json';
+      }
+      if (value['@language']) expanded['@language'] = value['@language'];
+      return expanded;
+    }
+    
+    // Nested node object
+    return { '@id': expandNode(value, context) };
+  };
+  
+  expandNode = (object, parentContext) => {
+    const context = buildContext(object['@context'], parentContext);
+    
+    if (object['@graph'] && !object['@id']) {
+      for (const child of [].concat(object['@graph'])) expandNode(child, context);
+      return null;
+    }
+    
+    const id = object['@id'] !== undefined ? expandIri(object['@id'], context) : `_:b${blankNodeCounter++}`;
+    if (!nodes.has(id)) nodes.set(id, { '@id': id, '@type': [] });
+    const node = nodes.get(id);
+    
+    for (const [key, value] of Object.entries(object)) {
+      if (key === '@type') {
+        node['@type'].push(...[].concat(value).map(type => expandIri(type, context)));
+        continue;
+      }
+      if (key.startsWith('@')) continue;
+      
+      const property = expandIri(key, context);
+      const definition = context.terms[key];
+      const values = definition && definition['@container'] === '@list'
+        ? [expandValue(value, definition, context)]
+        : [].concat(value).map(item => expandValue(item, definition, context));
+      
+      (node[property] = node[property] || []).push(...values);
+    }
+    
+    return id;
+  };
+  
+  for (const object of [].concat(json)) {
+    expandNode(object, { terms: {} });
+  }
+  
+  return [...nodes.values()];
+}
+
+/**
+ * Parse a Turtle document
+ * @param {string} text - Turtle document
+ * @returns {Object} Plain graph data with concept_id, status, metadata, categories and relationships
+ */
+function parseTurtle(text) {
+  return fromRdfNodes(parseTurtleNodes(text));
+}
+
+/**
+ * Parse a JSON-LD document
+ * @param {Object|string} document - JSON-LD document or its JSON text
+ * @returns {Object} Plain graph data with concept_id, status, metadata, categories and relationships
+ */
+function parseJsonLd(document) {
+  return fromRdfNodes(parseJsonLdNodes(document));
+}
+
+module.exports = {
+  NAMESPACES,
+  CLASSES,
+  toRdfNodes,
+  fromRdfNodes,
+  toTurtle,
+  parseTurtle,
+  parseTurtleNodes,
+  toJsonLd,
+  parseJsonLd,
+  parseJsonLdNodes
+};
@@ -0,0 +1,223 @@
+/**
+ * Minimal XML reading and writing helpers for graph interchange formats
+ * Supports the subset of XML used by GraphML and GEXF: elements, attributes,
+ * text, CDATA, comments, processing instructions and the DOCTYPE declaration.
+ */
+
+// Named entities predefined by XML
+const NAMED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\''
+};
+
+// Control characters XML 1.0 cannot represent, not even as character references
+const INVALID_XML_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F]/g;
+
+/**
+ * Escape a value for use in XML text or attribute values
+ * Control characters XML does not allow are removed.
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\t/g, '&#9;');
+}
+
+/**
+ * Replace entity and character references in XML text
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ * @throws {Error} If an unknown entity is referenced
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1] === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(codePoint);
+    }
+    
+    if (!(entity in NAMED_ENTITIES)) {
+      throw new Error(`Unknown XML entity '&${entity};'`);
+    }
+    
+    return NAMED_ENTITIES[entity];
+  });
+}
+
+/**
+ * Render an element as an XML string
+ * @param {string} name - Element name
+ * @param {Object} [attributes={}] - Attributes (undefined and null values are skipped)
+ * @param {Array<string>|string} [content] - Child markup, or text to escape
+ * @param {string} [indent=''] - Indentation of the element
+ * @returns {string} XML markup
+ */
+function element(name, attributes = {}, content, indent = '') {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  
+  if (content === undefined || (Array.isArray(content) && content.length === 0)) {
+    return `${indent}<${name}${attrs}/>`;
+  }
+  
+  if (Array.isArray(content)) {
+    return `${indent}<${name}${attrs}>\n${content.join('\n')}\n${indent}</${name}>`;
+  }
+  
+  return `${indent}<${name}${attrs}>${escapeXml(content)}</${name}>`;
+}
+
+/**
+ * Get the local part of a qualified name
+ * @param {string} name - Qualified name (e.g. "xsi:schemaLocation")
+ * @returns {string} Local name
+ */
+function localName(name) {
+  const index = name.indexOf(':');
+  return index >= 0 ? name.slice(index + 1) : name;
+}
+
+/**
+ * Parse an XML document into a tree of plain element objects
+ * Namespace prefixes are kept in element and attribute names; use localName()
+ * to compare names regardless of prefix.
+ * @param {string} xml - XML document
+ * @returns {Object} Root element with name, attributes, children and text
+ * @throws {Error} If the document is not well-formed
+ */
+function parseXml(xml) {
+  if (typeof xml !== 'string') {
+    throw new Error('XML document must be a string');
+  }
+  
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+  
+  const fail = (message) => {
+    const line = xml.slice(0, position).split('\n').length;
+    throw new Error(`${message} (line ${line})`);
+  };
+  
+  const skipPast = (terminator, description) => {
+    const end = xml.indexOf(terminator, position);
+    if (end < 0) fail(`Unterminated ${description}`);
+    const content = xml.slice(position, end);
+    position = end + terminator.length;
+    return content;
+  };
+  
+  while (position < xml.length) {
+    const current = stack[stack.length - 1];
+    
+    if (xml[position] !== '<') {
+      const end = xml.indexOf('<', position);
+      const text = xml.slice(position, end < 0 ? xml.length : end);
+      position = end < 0 ? xml.length : end;
+      
+      if (current === root) {
+        if (text.trim()) fail('Text outside the root element');
+      } else {
+        current.text += decodeEntities(text);
+      }
+      continue;
+    }
+    
+    if (xml.startsWith('<!--', position)) {
+      position += 4;
+      skipPast('-->', 'comment');
+    } else if (xml.startsWith('<![CDATA[', position)) {
+      position += 9;
+      current.text += skipPast(']]>', 'CDATA section');
+    } else if (xml.startsWith('<?', position)) {
+      position += 2;
+      skipPast('?>', 'processing instruction');
+    } else if (xml.startsWith('<!DOCTYPE', position)) {
+      position += 9;
+      skipPast('>', 'DOCTYPE declaration');
+    } else if (xml.startsWith('</', position)) {
+      position += 2;
+      const name = skipPast('>', 'closing tag').trim();
+      
+      if (current === root || current.name !== name) {
+        fail(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+    } else {
+      const match = /^<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/
+        .exec(xml.slice(position));
+      
+      if (!match) fail('Malformed tag');
+      if (current === root && root.children.length > 0) fail('More than one root element');
+      
+      const node = { name: match[1], attributes: {}, children: [], text: '' };
+      const attributePattern = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+        node.attributes[attribute[1]] = decodeEntities(value);
+      }
+      
+      current.children.push(node);
+      position += match[0].length;
+      
+      if (!match[3]) stack.push(node);
+    }
+  }
+  
+  if (stack.length > 1) {
+    fail(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  if (root.children.length === 0) {
+    fail('Document has no root element');
+  }
+  
+  return root.children[0];
+}
+
+/**
+ * Find the direct children of an element with a local name
+ * @param {Object} node - Parsed element
+ * @param {string} name - Local name
+ * @returns {Array<Object>} Matching child elements
+ */
+function childrenNamed(node, name) {
+  return node ? node.children.filter(child => localName(child.name) === name) : [];
+}
+
+/**
+ * Find the first direct child of an element with a local name
+ * @param {Object} node - Parsed element
+ * @param {string} name - Local name
+ * @returns {Object|null} Matching child element or null
+ */
+function childNamed(node, name) {
+  return childrenNamed(node, name)[0] || null;
+}
+
+module.exports = {
+  escapeXml,
+  decodeEntities,
+  element,
+  localName,
+  parseXml,
+  childrenNamed,
+  childNamed
+};
@@ -0,0 +1,366 @@
+/**
+ * Versioned history of concept graphs
+ * Stores every saved graph state as an immutable snapshot in the
+ * graphSnapshots collection, with author, status and tags per version
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { defaultClient } = require('../db/mongodb/client');
+const { defaultLogger } = require('../logging/logger');
+const { NotFoundError, ConflictError } = require('../errors/HttpErrors');
+const errorCodes = require('../../constants/errorCodes');
+const { Graph } = require('../../models/graph');
+const {
+  CATEGORY_FIELDS,
+  RELATIONSHIP_FIELDS,
+  stableStringify
+} = require('./changeset');
+
+const COLLECTION_NAME = 'graphSnapshots';
+
+// Mongo duplicate key error code (raised when two writers pick the same version)
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Fields returned when listing versions
+const SUMMARY_PROJECTION = {
+  _id: 0,
+  snapshot_id: 1,
+  concept_id: 1,
+  version: 1,
+  status: 1,
+  checksum: 1,
+  author_id: 1,
+  message: 1,
+  tags: 1,
+  parent_version: 1,
+  reverted_from_version: 1,
+  created_at: 1
+};
+
+/**
+ * Compute a checksum of the graph content
+ * Timestamps are left out so saving an unchanged graph yields the same checksum.
+ * @param {Object} graph - Graph or snapshot with categories and relationships
+ * @returns {string} SHA-256 hex digest
+ */
+function graphChecksum(graph) {
+  const project = (element, fields, idField) => {
+    const data = { [idField]: element[idField] };
+    for (const field of fields) data[field] = element[field];
+    return data;
+  };
+  
+  const content = {
+    categories: graph.categories
+      .map(c => project(c, CATEGORY_FIELDS, 'category_id'))
+      .sort((a, b) => a.category_id.localeCompare(b.category_id)),
+    relationships: graph.relationships
+      .map(r => project(r, RELATIONSHIP_FIELDS, 'relationship_id'))
+      .sort((a, b) => a.relationship_id.localeCompare(b.relationship_id)),
+    metadata: graph.metadata || {}
+  };
+  
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+/**
+ * Graph history store
+ */
+class GraphHistory {
+  /**
+   * Create a new graph history store
+   * @param {Object} [options={}] - Options
+   * @param {MongoDbClient} [options.client=defaultClient] - MongoDB client
+   * @param {Object} [options.logger=defaultLogger] - Logger instance
+   * @param {string} [options.collectionName='graphSnapshots'] - Snapshot collection
+   * @param {number} [options.maxVersionRetries=5] - Retries when another writer takes the next version
+   */
+  constructor(options = {}) {
+    this.client = options.client || defaultClient;
+    this.logger = options.logger || defaultLogger;
+    this.collectionName = options.collectionName || COLLECTION_NAME;
+    this.maxVersionRetries = options.maxVersionRetries || 5;
+  }
+  
+  /**
+   * Save the current state of a graph as a new version
+   * If the latest version has the same content and status, it is returned
+   * instead of storing a duplicate.
+   * @param {Graph} graph - Graph to save
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.authorId] - ID of the user saving the graph
+   * @param {string} [options.message] - Description of the change
+   * @param {Array<string>} [options.tags] - Tags to attach to the new version
+   * @param {number} [options.revertedFromVersion] - Version this state was restored from
+   * @returns {Promise<Object>} Snapshot summary
+   */
+  async saveSnapshot(graph, options = {}) {
+    const checksum = graphChecksum(graph);
+    
+    for (let attempt = 0; attempt < this.maxVersionRetries; attempt++) {
+      const latest = await this.getLatestSummary(graph.concept_id);
+      
+      if (latest && latest.checksum === checksum && latest.status === graph.status &&
+          !options.revertedFromVersion) {
+        return latest;
+      }
+      
+      const snapshot = {
+        ...graph.toSnapshot(),
+        snapshot_id: uuidv4(),
+        version: latest ? latest.version + 1 : 1,
+        checksum,
+        author_id: options.authorId || null,
+        message: options.message || '',
+        parent_version: latest ? latest.version : null,
+        reverted_from_version: options.revertedFromVersion || null,
+        tags: [],
+        created_at: new Date()
+      };
+      
+      try {
+        await this.client.insertOne(this.collectionName, snapshot);
+      } catch (err) {
+        if (err.code === DUPLICATE_KEY_ERROR) {
+          this.logger.debug('Graph version taken by a concurrent save, retrying', {
+            conceptId: graph.concept_id,
+            version: snapshot.version
+          });
+          continue;
+        }
+        throw err;
+      }
+      
+      this.logger.info('Saved graph snapshot', {
+        conceptId: graph.concept_id,
+        version: snapshot.version,
+        status: snapshot.status
+      });
+      
+      for (const tag of options.tags || []) {
+        await this.tagVersion(graph.concept_id, snapshot.version, tag);
+      }
+      
+      return this.getSummary(graph.concept_id, snapshot.version);
+    }
+    
+    throw new ConflictError(
+      'Could not allocate a graph version after repeated concurrent saves',
+      errorCodes.CONFLICT,
+      { conceptId: graph.concept_id }
+    );
+  }
+  
+  /**
+   * List versions of a concept graph, newest first
+   * @param {string} conceptId - Concept ID
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.pageSize=20] - Page size
+   * @param {string} [options.status] - Only versions with this graph status
+   * @param {string} [options.tag] - Only versions with this tag
+   * @returns {Promise<Object>} Object with items and total
+   */
+  async listVersions(conceptId, options = {}) {
+    const { page = 1, pageSize = 20, status, tag } = options;
+    const query = { concept_id: conceptId };
+    
+    if (status) query.status = status;
+    if (tag) query.tags = tag;
+    
+    const [items, total] = await Promise.all([
+      this.client.find(this.collectionName, query, {
+        projection: SUMMARY_PROJECTION,
+        sort: { version: -1 },
+        skip: (page - 1) * pageSize,
+        limit: pageSize
+      }),
+      this.client.countDocuments(this.collectionName, query)
+    ]);
+    
+    return { items, total };
+  }
+  
+  /**
+   * Get the summary of the latest version
+   * @param {string} conceptId - Concept ID
+   * @returns {Promise<Object|null>} Snapshot summary or null if the graph has no history
+   */
+  async getLatestSummary(conceptId) {
+    return this.client.findOne(
+      this.collectionName,
+      { concept_id: conceptId },
+      { projection: SUMMARY_PROJECTION, sort: { version: -1 } }
+    );
+  }
+  
+  /**
+   * Get the summary of a version
+   * @param {string} conceptId - Concept ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Snapshot summary
+   * @throws {NotFoundError} If the version does not exist
+   */
+  async getSummary(conceptId, version) {
+    const summary = await this.client.findOne(
+      this.collectionName,
+      { concept_id: conceptId, version },
+      { projection: SUMMARY_PROJECTION }
+    );
+    
+    if (!summary) throw this.versionNotFound(conceptId, version);
+    
+    return summary;
+  }
+  
+  /**
+   * Get a full snapshot
+   * @param {string} conceptId - Concept ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Snapshot document
+   * @throws {NotFoundError} If the version does not exist
+   */
+  async getSnapshot(conceptId, version) {
+    const snapshot = await this.client.findOne(
+      this.collectionName,
+      { concept_id: conceptId, version },
+      { projection: { _id: 0 } }
+    );
+    
+    if (!snapshot) throw this.versionNotFound(conceptId, version);
+    
+    return snapshot;
+  }
+  
+  /**
+   * Get the graph as it was at a version
+   * @param {string} conceptId - Concept ID
+   * @param {number} version - Version number
+   * @returns {Promise<Graph>} Graph instance
+   */
+  async getGraph(conceptId, version) {
+    return Graph.fromSnapshot(await this.getSnapshot(conceptId, version));
+  }
+  
+  /**
+   * Get the version carrying a tag
+   * @param {string} conceptId - Concept ID
+   * @param {string} tag - Tag
+   * @returns {Promise<Object>} Snapshot summary
+   * @throws {NotFoundError} If no version carries the tag
+   */
+  async getVersionByTag(conceptId, tag) {
+    const summary = await this.client.findOne(
+      this.collectionName,
+      { concept_id: conceptId, tags: tag },
+      { projection: SUMMARY_PROJECTION }
+    );
+    
+    if (!summary) throw this.versionNotFound(conceptId, tag);
+    
+    return summary;
+  }
+  
+  /**
+   * Tag a version
+   * A tag names one version per concept, so it is moved off any other version.
+   * @param {string} conceptId - Concept ID
+   * @param {number} version - Version number
+   * @param {string} tag - Tag (e.g. "published v1")
+   * @returns {Promise<Object>} Updated snapshot summary
+   */
+  async tagVersion(conceptId, version, tag) {
+    // Make sure the version exists before moving the tag
+    await this.getSummary(conceptId, version);
+    
+    await this.client.updateMany(
+      this.collectionName,
+      { concept_id: conceptId, tags: tag, version: { $ne: version } },
+      { $pull: { tags: tag } }
+    );
+    await this.client.updateOne(
+      this.collectionName,
+      { concept_id: conceptId, version },
+      { $addToSet: { tags: tag } }
+    );
+    
+    return this.getSummary(conceptId, version);
+  }
+  
+  /**
+   * Remove a tag from a version
+   * @param {string} conceptId - Concept ID
+   * @param {number} version - Version number
+   * @param {string} tag - Tag
+   * @returns {Promise<Object>} Updated snapshot summary
+   */
+  async untagVersion(conceptId, version, tag) {
+    await this.client.updateOne(
+      this.collectionName,
+      { concept_id: conceptId, version },
+      { $pull: { tags: tag } }
+    );
+    
+    return this.getSummary(conceptId, version);
+  }
+  
+  /**
+   * Revert a concept graph to an earlier version
+   * History is never rewritten: the old content and status are saved as a
+   * new version that records which version it was restored from. The caller
+   * is responsible for writing the returned graph back to the graph database.
+   * @param {string} conceptId - Concept ID
+   * @param {number} version - Version to restore
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.authorId] - ID of the user reverting the graph
+   * @param {string} [options.message] - Description of the revert
+   * @returns {Promise<Object>} Object with the restored graph and the new snapshot summary
+   */
+  async revert(conceptId, version, options = {}) {
+    const graph = await this.getGraph(conceptId, version);
+    
+    const snapshot = await this.saveSnapshot(graph, {
+      authorId: options.authorId,
+      message: options.message || `Reverted to version ${version}`,
+      revertedFromVersion: version
+    });
+    
+    return { graph, snapshot };
+  }
+  
+  /**
+   * Compute the changes between two versions
+   * @param {string} conceptId - Concept ID
+   * @param {number} fromVersion - Older version
+   * @param {number} toVersion - Newer version
+   * @returns {Promise<Object>} Changeset (see Graph#diff)
+   */
+  async diffVersions(conceptId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getGraph(conceptId, fromVersion),
+      this.getGraph(conceptId, toVersion)
+    ]);
+    
+    return from.diff(to, { justification: `Changes from version ${fromVersion} to ${toVersion}` });
+  }
+  
+  /**
+   * Create a not found error for a version
+   * @param {string} conceptId - Concept ID
+   * @param {number|string} version - Version number or tag
+   * @returns {NotFoundError} Error
+   */
+  versionNotFound(conceptId, version) {
+    return new NotFoundError(
+      `Version '${version}' of the graph for concept '${conceptId}' not found`,
+      errorCodes.GRAPH_VERSION_NOT_FOUND,
+      { conceptId, version }
+    );
+  }
+}
+
+module.exports = {
+  GraphHistory,
+  graphChecksum
+};
@@ -0,0 +1,288 @@
+/**
+ * Import and export of concept graphs in interchange formats
+ * Exports work on graph snapshots (see Graph#toSnapshot). Imports parse a
+ * document into plain graph data and run every element through the graph
+ * validation schemas; elements that fail are left out and reported.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { BadRequestError } = require('../errors/HttpErrors');
+const errorCodes = require('../../constants/errorCodes');
+const { GRAPH_DRAFT } = require('../../constants/statuses');
+const { patterns } = require('../validation/validators');
+const {
+  createCategorySchema,
+  createRelationshipSchema,
+  updateGraphStatusSchema
+} = require('../validation/schemas/graphSchemas');
+const { toGraphML, parseGraphML } = require('./formats/graphml');
+const { toGEXF, parseGEXF } = require('./formats/gexf');
+const { toTurtle, parseTurtle, toJsonLd, parseJsonLd } = require('./formats/rdf');
+
+// Supported interchange formats
+const GRAPH_FORMATS = {
+  GRAPHML: 'graphml',
+  GEXF: 'gexf',
+  TURTLE: 'turtle',
+  JSON_LD: 'jsonld'
+};
+
+// Media types of the supported formats
+const MEDIA_TYPES = {
+  [GRAPH_FORMATS.GRAPHML]: 'application/graphml+xml',
+  [GRAPH_FORMATS.GEXF]: 'application/gexf+xml',
+  [GRAPH_FORMATS.TURTLE]: 'text/turtle',
+  [GRAPH_FORMATS.JSON_LD]: 'application/ld+json'
+};
+
+const SERIALIZERS = {
+  [GRAPH_FORMATS.GRAPHML]: toGraphML,
+  [GRAPH_FORMATS.GEXF]: toGEXF,
+  [GRAPH_FORMATS.TURTLE]: toTurtle,
+  [GRAPH_FORMATS.JSON_LD]: snapshot => JSON.stringify(toJsonLd(snapshot), null, 2)
+};
+
+const PARSERS = {
+  [GRAPH_FORMATS.GRAPHML]: parseGraphML,
+  [GRAPH_FORMATS.GEXF]: parseGEXF,
+  [GRAPH_FORMATS.TURTLE]: parseTurtle,
+  [GRAPH_FORMATS.JSON_LD]: parseJsonLd
+};
+
+// Element kinds in rejection reports
+const ELEMENT_KINDS = {
+  GRAPH: 'graph',
+  CATEGORY: 'category',
+  RELATIONSHIP: 'relationship'
+};
+
+/**
+ * Check that a format is supported
+ * @param {string} format - Format name
+ * @throws {BadRequestError} If the format is not supported
+ */
+function assertFormat(format) {
+  if (!Object.values(GRAPH_FORMATS).includes(format)) {
+    throw new BadRequestError(
+      `Unsupported graph format '${format}'. Supported formats: ${Object.values(GRAPH_FORMATS).join(', ')}`,
+      errorCodes.INVALID_GRAPH_FORMAT,
+      { format }
+    );
+  }
+}
+
+/**
+ * Serialize a graph snapshot
+ * @param {Object} snapshot - Graph snapshot
+ * @param {string} format - One of GRAPH_FORMATS
+ * @param {Object} [options={}] - Serializer options
+ * @param {Layout} [options.layout] - Layout whose positions to include (GEXF only)
+ * @returns {string} Serialized document
+ * @throws {BadRequestError} If the format is not supported
+ */
+function serializeGraph(snapshot, format, options = {}) {
+  assertFormat(format);
+  return SERIALIZERS[format](snapshot, options);
+}
+
+/**
+ * Parse a document into plain graph data without validating it
+ * @param {string|Object} content - Document (JSON-LD may also be given as an object)
+ * @param {string} format - One of GRAPH_FORMATS
+ * @returns {Object} Plain graph data with concept_id, status, metadata, categories and relationships
+ * @throws {BadRequestError} If the format is not supported or the document cannot be parsed
+ */
+function parseGraph(content, format) {
+  assertFormat(format);
+  
+  try {
+    return PARSERS[format](content);
+  } catch (err) {
+    throw new BadRequestError(
+      `Invalid ${format} document: ${err.message}`,
+      errorCodes.INVALID_GRAPH_FORMAT,
+      { format },
+      err
+    );
+  }
+}
+
+/**
+ * Convert Joi error details to field errors
+ * @param {Object} error - Joi validation error
+ * @returns {Array<Object>} Errors with field and message
+ */
+function fieldErrors(error) {
+  return error ? error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  })) : [];
+}
+
+/**
+ * Validate the timestamps of an imported element
+ * @param {Object} data - Imported element
+ * @returns {Object} Object with the parsed dates and field errors
+ */
+function validateDates(data) {
+  const dates = {};
+  const errors = [];
+  
+  for (const field of ['created_at', 'updated_at']) {
+    if (data[field] === undefined) continue;
+    
+    if (patterns.isValidDate(data[field])) {
+      dates[field] = new Date(data[field]);
+    } else {
+      errors.push({ field, message: `${field} must be a valid date` });
+    }
+  }
+  
+  return { dates, errors };
+}
+
+/**
+ * Resolve the ID of an imported element
+ * IDs that are not UUIDs (e.g. "n0" from other tools) are replaced with a
+ * new UUID and kept in metadata.external_id.
+ * @param {string} id - Imported ID
+ * @param {Object} metadata - Imported metadata
+ * @returns {Object} Object with the ID and metadata to use
+ */
+function resolveId(id, metadata) {
+  if (patterns.isUuid(id)) {
+    return { id, metadata };
+  }
+  
+  const resolved = { id: uuidv4(), metadata };
+  
+  if (id !== undefined && id !== null && id !== '' &&
+      metadata && typeof metadata === 'object' && !Array.isArray(metadata)) {
+    resolved.metadata = { ...metadata, external_id: id };
+  }
+  
+  return resolved;
+}
+
+/**
+ * Validate imported graph data
+ * Categories are checked with createCategorySchema and relationships with
+ * createRelationshipSchema; a relationship is also rejected when one of its
+ * categories is missing or was rejected itself. Rejected elements are
+ * reported with their position in the document, their imported ID and the
+ * failing fields.
+ * @param {Object} data - Plain graph data (see parseGraph)
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.conceptId] - Concept to import into (defaults to the one in the document)
+ * @returns {Object} Validated graph data with the rejected elements
+ */
+function validateImport(data, options = {}) {
+  const rejected = [];
+  const validationOptions = { abortEarly: false, stripUnknown: true };
+  
+  const graph = {
+    concept_id: options.conceptId || data.concept_id,
+    status: GRAPH_DRAFT,
+    metadata: {},
+    categories: [],
+    relationships: [],
+    rejected
+  };
+  
+  if (data.status !== undefined) {
+    const { error, value } = updateGraphStatusSchema.validate({ status: data.status }, validationOptions);
+    if (error) {
+      rejected.push({ element: ELEMENT_KINDS.GRAPH, id: graph.concept_id, errors: fieldErrors(error) });
+    } else {
+      graph.status = value.status;
+    }
+  }
+  
+  if (data.metadata !== undefined) {
+    if (data.metadata && typeof data.metadata === 'object' && !Array.isArray(data.metadata)) {
+      graph.metadata = data.metadata;
+    } else {
+      rejected.push({
+        element: ELEMENT_KINDS.GRAPH,
+        id: graph.concept_id,
+        errors: [{ field: 'metadata', message: '"metadata" must be of type object' }]
+      });
+    }
+  }
+  
+  // Imported category ID -> category ID used in the graph (null if rejected)
+  const categoryIds = new Map();
+  
+  data.categories.forEach((category, index) => {
+    const { category_id: importedId, ...fields } = category;
+    const { error, value } = createCategorySchema.validate(fields, validationOptions);
+    const { dates, errors: dateErrors } = validateDates(fields);
+    const errors = [...fieldErrors(error), ...dateErrors];
+    
+    if (importedId !== undefined && categoryIds.has(importedId)) {
+      errors.push({ field: 'category_id', message: `Duplicate category ID '${importedId}'` });
+    }
+    
+    if (errors.length > 0) {
+      rejected.push({ element: ELEMENT_KINDS.CATEGORY, index, id: importedId, name: category.name, errors });
+      if (importedId !== undefined && !categoryIds.has(importedId)) categoryIds.set(importedId, null);
+      return;
+    }
+    
+    const { id, metadata } = resolveId(importedId, value.metadata);
+    if (importedId !== undefined) categoryIds.set(importedId, id);
+    graph.categories.push({ ...value, ...dates, metadata, category_id: id });
+  });
+  
+  const relationshipIds = new Set();
+  
+  data.relationships.forEach((relationship, index) => {
+    const { relationship_id: importedId, ...fields } = relationship;
+    const errors = [];
+    
+    // Point the relationship at the category IDs used in the graph
+    for (const field of ['source_id', 'target_id']) {
+      const label = field === 'source_id' ? 'Source' : 'Target';
+      
+      if (!categoryIds.has(fields[field])) {
+        errors.push({ field, message: `${label} category '${fields[field]}' not found` });
+      } else if (categoryIds.get(fields[field]) === null) {
+        errors.push({ field, message: `${label} category '${fields[field]}' was rejected` });
+      } else {
+        fields[field] = categoryIds.get(fields[field]);
+      }
+    }
+    
+    if (relationshipIds.has(importedId)) {
+      errors.push({ field: 'relationship_id', message: `Duplicate relationship ID '${importedId}'` });
+    }
+    
+    const { error, value } = createRelationshipSchema.validate(fields, validationOptions);
+    const { dates, errors: dateErrors } = validateDates(fields);
+    
+    // Endpoint errors already explain a missing or invalid source/target
+    errors.push(...fieldErrors(error).filter(e => !errors.some(existing => existing.field === e.field)));
+    errors.push(...dateErrors);
+    
+    if (errors.length > 0) {
+      rejected.push({ element: ELEMENT_KINDS.RELATIONSHIP, index, id: importedId, errors });
+      return;
+    }
+    
+    if (importedId !== undefined) relationshipIds.add(importedId);
+    
+    const { id, metadata } = resolveId(importedId, value.metadata);
+    graph.relationships.push({ ...value, ...dates, metadata, relationship_id: id });
+  });
+  
+  return graph;
+}
+
+module.exports = {
+  GRAPH_FORMATS,
+  MEDIA_TYPES,
+  ELEMENT_KINDS,
+  serializeGraph,
+  parseGraph,
+  validateImport
+};
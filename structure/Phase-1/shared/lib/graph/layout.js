@@ -0,0 +1,641 @@
+/**
+ * Server-side layout of concept graphs
+ * Computes category positions with a force-directed, hierarchical (layered
+ * along hierarchical relationships) or radial (around the most central
+ * category) layout. Layouts are deterministic for a given seed, so the UI
+ * and exports get the same picture of the same graph.
+ */
+
+const crypto = require('crypto');
+const { RELATIONSHIP_TYPES, CHARACTERISTICS } = require('../../constants/philosophyConstants');
+const { BadRequestError } = require('../errors/HttpErrors');
+const errorCodes = require('../../constants/errorCodes');
+const { buildAdjacency, computeCentrality } = require('./centrality');
+
+// Layout modes
+const LAYOUT_MODES = {
+  FORCE: 'force',
+  HIERARCHICAL: 'hierarchical',
+  RADIAL: 'radial'
+};
+
+// Orientations of the hierarchical layout
+const ORIENTATIONS = {
+  TOP_DOWN: 'top-down',
+  LEFT_RIGHT: 'left-right'
+};
+
+// Default layout options
+const DEFAULT_OPTIONS = {
+  mode: LAYOUT_MODES.FORCE,
+  width: 1000,
+  height: 800,
+  padding: 50,
+  seed: null,
+  weighted: true,
+  pinned: {},
+  iterations: 300,
+  gravity: 0.05,
+  orientation: ORIENTATIONS.TOP_DOWN,
+  orderingSweeps: 8,
+  center: null
+};
+
+/**
+ * A computed layout
+ * @typedef {Object} Layout
+ * @property {string} mode - Layout mode
+ * @property {number} width - Width of the drawing area
+ * @property {number} height - Height of the drawing area
+ * @property {string} seed - Seed the layout was computed with
+ * @property {Object<string, Object>} positions - { x, y, pinned } by category ID
+ * @property {Array<Array<string>>} [layers] - Category IDs by layer (hierarchical mode)
+ * @property {string|null} [center] - Category at the center (radial mode)
+ */
+
+/**
+ * Create an invalid layout error
+ * @param {string} message - Error message
+ * @param {Object} details - Error details
+ * @returns {BadRequestError} Error
+ */
+function invalidLayout(message, details) {
+  return new BadRequestError(message, errorCodes.INVALID_GRAPH_LAYOUT, details);
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {string|number} seed - Seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Check that a value is a finite number
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is a finite number
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check pinned positions
+ * @param {Object<string, Object>} pinned - { x, y } by category ID
+ * @throws {BadRequestError} If a position is not a pair of finite numbers
+ */
+function assertPositions(pinned) {
+  if (!pinned || typeof pinned !== 'object' || Array.isArray(pinned)) {
+    throw invalidLayout('Pinned positions must be an object keyed by category ID', {});
+  }
+  
+  for (const [categoryId, position] of Object.entries(pinned)) {
+    if (!position || !isFiniteNumber(position.x) || !isFiniteNumber(position.y)) {
+      throw invalidLayout(`Pinned position of category '${categoryId}' must have numeric x and y`, {
+        categoryId
+      });
+    }
+  }
+}
+
+/**
+ * Merge and check layout options
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} options - Layout options
+ * @returns {Object} Layout configuration
+ * @throws {BadRequestError} If an option is invalid
+ */
+function normalizeOptions(graph, options) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  
+  if (!Object.values(LAYOUT_MODES).includes(config.mode)) {
+    throw invalidLayout(
+      `Unsupported layout mode '${config.mode}'. Supported modes: ${Object.values(LAYOUT_MODES).join(', ')}`,
+      { mode: config.mode }
+    );
+  }
+  
+  if (!Object.values(ORIENTATIONS).includes(config.orientation)) {
+    throw invalidLayout(`Unsupported orientation '${config.orientation}'`, { orientation: config.orientation });
+  }
+  
+  for (const field of ['width', 'height', 'iterations']) {
+    if (!isFiniteNumber(config[field]) || config[field] <= 0) {
+      throw invalidLayout(`Layout ${field} must be a positive number`, { [field]: config[field] });
+    }
+  }
+  
+  if (!isFiniteNumber(config.padding) || config.padding < 0 ||
+      config.padding * 2 >= Math.min(config.width, config.height)) {
+    throw invalidLayout('Layout padding must leave room for the graph', { padding: config.padding });
+  }
+  
+  assertPositions(config.pinned || {});
+  
+  // Pinned positions of categories that are no longer in the graph are ignored
+  const ids = new Set(graph.categories.map(c => c.category_id));
+  config.pinned = Object.fromEntries(Object.entries(config.pinned || {})
+    .filter(([categoryId]) => ids.has(categoryId))
+    .map(([categoryId, { x, y }]) => [categoryId, { x, y }]));
+  
+  if (config.seed === null || config.seed === undefined) {
+    config.seed = graph.concept_id || 'layout';
+  }
+  config.seed = String(config.seed);
+  
+  return config;
+}
+
+/**
+ * Get the category IDs of a graph in a stable order
+ * Sorting makes the layout independent of the order categories were loaded in.
+ * @param {Object} graph - Graph with categories and relationships
+ * @returns {Array<string>} Sorted category IDs
+ */
+function sortedCategoryIds(graph) {
+  return graph.categories.map(c => c.category_id).sort();
+}
+
+/**
+ * Compute a force-directed layout (Fruchterman-Reingold)
+ * Categories repel each other, relationships pull their ends together in
+ * proportion to their strength and a weak gravity keeps disconnected parts
+ * of the graph together. Pinned categories exert forces but do not move.
+ * Without pinned categories the result is scaled to fill the drawing area;
+ * otherwise categories are kept inside it.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} config - Layout configuration
+ * @param {Function} random - Seeded random number generator
+ * @returns {Object} Object with positions by category ID
+ */
+function forceLayout(graph, config, random) {
+  const { width, height, padding, pinned, iterations, gravity } = config;
+  const adjacency = buildAdjacency(graph, { directed: false, weighted: config.weighted });
+  const ids = sortedCategoryIds(graph);
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const innerWidth = width - padding * 2;
+  const innerHeight = height - padding * 2;
+  const k = Math.sqrt((innerWidth * innerHeight) / Math.max(ids.length, 1));
+  const center = { x: width / 2, y: height / 2 };
+  const fixed = ids.map(id => Boolean(pinned[id]));
+  const hasPinned = fixed.some(Boolean);
+  
+  const xs = new Float64Array(ids.length);
+  const ys = new Float64Array(ids.length);
+  ids.forEach((id, i) => {
+    xs[i] = pinned[id] ? pinned[id].x : padding + random() * innerWidth;
+    ys[i] = pinned[id] ? pinned[id].y : padding + random() * innerHeight;
+  });
+  
+  // Undirected adjacency holds each pair twice; keep one edge per pair
+  const edges = [];
+  for (const id of ids) {
+    for (const [other, weight] of adjacency.outgoing.get(id)) {
+      if (id < other) {
+        edges.push({ source: index.get(id), target: index.get(other), weight: weight / CHARACTERISTICS.SCALE.MEDIUM });
+      }
+    }
+  }
+  
+  const initialTemperature = Math.min(innerWidth, innerHeight) / 10;
+  const dispX = new Float64Array(ids.length);
+  const dispY = new Float64Array(ids.length);
+  
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const temperature = initialTemperature * (1 - iteration / iterations);
+    dispX.fill(0);
+    dispY.fill(0);
+    
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        let dx = xs[i] - xs[j];
+        let dy = ys[i] - ys[j];
+        
+        // Separate coincident categories in a random direction
+        if (dx === 0 && dy === 0) {
+          dx = random() - 0.5;
+          dy = random() - 0.5;
+        }
+        
+        const distanceSquared = Math.max(dx * dx + dy * dy, 1e-4);
+        const factor = (k * k) / distanceSquared;
+        
+        dispX[i] += dx * factor;
+        dispY[i] += dy * factor;
+        dispX[j] -= dx * factor;
+        dispY[j] -= dy * factor;
+      }
+    }
+    
+    for (const { source, target, weight } of edges) {
+      const dx = xs[source] - xs[target];
+      const dy = ys[source] - ys[target];
+      const factor = (Math.sqrt(dx * dx + dy * dy) / k) * weight;
+      
+      dispX[source] -= dx * factor;
+      dispY[source] -= dy * factor;
+      dispX[target] += dx * factor;
+      dispY[target] += dy * factor;
+    }
+    
+    for (let i = 0; i < ids.length; i++) {
+      if (fixed[i]) continue;
+      
+      const moveX = dispX[i] - (xs[i] - center.x) * gravity;
+      const moveY = dispY[i] - (ys[i] - center.y) * gravity;
+      const length = Math.sqrt(moveX * moveX + moveY * moveY);
+      if (length === 0) continue;
+      
+      const step = Math.min(length, temperature);
+      xs[i] += (moveX / length) * step;
+      ys[i] += (moveY / length) * step;
+      
+      if (hasPinned) {
+        xs[i] = Math.min(width - padding, Math.max(padding, xs[i]));
+        ys[i] = Math.min(height - padding, Math.max(padding, ys[i]));
+      }
+    }
+  }
+  
+  if (!hasPinned) {
+    fitToArea(xs, ys, config);
+  }
+  
+  return { positions: new Map(ids.map((id, i) => [id, { x: xs[i], y: ys[i] }])) };
+}
+
+/**
+ * Scale and center coordinates to fill the drawing area, keeping the aspect ratio
+ * @param {Float64Array} xs - X coordinates, changed in place
+ * @param {Float64Array} ys - Y coordinates, changed in place
+ * @param {Object} config - Layout configuration
+ */
+function fitToArea(xs, ys, config) {
+  const { width, height, padding } = config;
+  if (xs.length === 0) return;
+  
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX;
+  const spanY = Math.max(...ys) - minY;
+  const scale = Math.min(
+    spanX > 0 ? (width - padding * 2) / spanX : Infinity,
+    spanY > 0 ? (height - padding * 2) / spanY : Infinity
+  );
+  const factor = Number.isFinite(scale) ? scale : 1;
+  const offsetX = (width - spanX * factor) / 2;
+  const offsetY = (height - spanY * factor) / 2;
+  
+  for (let i = 0; i < xs.length; i++) {
+    xs[i] = offsetX + (xs[i] - minX) * factor;
+    ys[i] = offsetY + (ys[i] - minY) * factor;
+  }
+}
+
+/**
+ * Assign categories to layers along hierarchical relationships
+ * A relationship runs from the broader category (source) to the narrower
+ * one (target). Relationships closing a cycle are ignored, and every other
+ * category sits one layer below its lowest parent. Categories without
+ * hierarchical relationships get a row of their own below the hierarchy.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Array<string>} ids - Sorted category IDs
+ * @param {Object} config - Layout configuration
+ * @returns {Object} Object with layers (category IDs by layer) and edges ({ parent, child, weight })
+ */
+function assignLayers(graph, ids, config) {
+  const known = new Set(ids);
+  const children = new Map(ids.map(id => [id, []]));
+  const linked = new Set();
+  
+  for (const rel of graph.relationships) {
+    if (rel.type !== RELATIONSHIP_TYPES.HIERARCHICAL) continue;
+    if (!known.has(rel.source_id) || !known.has(rel.target_id)) continue;
+    if (rel.source_id === rel.target_id) continue;
+    
+    const weight = config.weighted && rel.strength > 0 ? rel.strength : CHARACTERISTICS.SCALE.MEDIUM;
+    children.get(rel.source_id).push({ parent: rel.source_id, child: rel.target_id, weight });
+    linked.add(rel.source_id);
+    linked.add(rel.target_id);
+  }
+  
+  for (const edges of children.values()) {
+    edges.sort((a, b) => (a.child < b.child ? -1 : a.child > b.child ? 1 : 0));
+  }
+  
+  // Depth-first search drops the edges that lead back to a category on the stack
+  const state = new Map();
+  const finished = [];
+  const edges = [];
+  
+  const visit = id => {
+    state.set(id, 'visiting');
+    
+    for (const edge of children.get(id)) {
+      const childState = state.get(edge.child);
+      if (childState === 'visiting') continue;
+      
+      edges.push(edge);
+      if (!childState) visit(edge.child);
+    }
+    
+    state.set(id, 'done');
+    finished.push(id);
+  };
+  
+  for (const id of ids) {
+    if (linked.has(id) && !state.has(id)) visit(id);
+  }
+  
+  // Longest path layering in topological order
+  const layerOf = new Map(ids.filter(id => linked.has(id)).map(id => [id, 0]));
+  const keptChildren = new Map();
+  for (const edge of edges) {
+    if (!keptChildren.has(edge.parent)) keptChildren.set(edge.parent, []);
+    keptChildren.get(edge.parent).push(edge);
+  }
+  
+  for (const id of finished.reverse()) {
+    for (const edge of keptChildren.get(id) || []) {
+      layerOf.set(edge.child, Math.max(layerOf.get(edge.child), layerOf.get(id) + 1));
+    }
+  }
+  
+  const depth = Math.max(-1, ...layerOf.values()) + 1;
+  const layers = Array.from({ length: depth }, () => []);
+  
+  for (const id of ids) {
+    if (layerOf.has(id)) layers[layerOf.get(id)].push(id);
+  }
+  
+  const unlinked = ids.filter(id => !linked.has(id));
+  if (unlinked.length > 0) layers.push(unlinked);
+  
+  return { layers, edges };
+}
+
+/**
+ * Reorder categories within layers to reduce crossings (barycenter heuristic)
+ * Sweeps alternate downwards and upwards; each category moves towards the
+ * strength-weighted mean position of its parents or children.
+ * @param {Array<Array<string>>} layers - Category IDs by layer, reordered in place
+ * @param {Array<Object>} edges - Hierarchical edges ({ parent, child, weight })
+ * @param {number} sweeps - Number of sweeps
+ */
+function orderLayers(layers, edges, sweeps) {
+  const layerOf = new Map();
+  layers.forEach((layer, index) => layer.forEach(id => layerOf.set(id, index)));
+  
+  const neighbors = (id, upwards) => edges
+    .filter(edge => (upwards ? edge.child === id : edge.parent === id))
+    .map(edge => ({ id: upwards ? edge.parent : edge.child, weight: edge.weight }))
+    .filter(neighbor => (upwards
+      ? layerOf.get(neighbor.id) < layerOf.get(id)
+      : layerOf.get(neighbor.id) > layerOf.get(id)));
+  
+  const indexes = () => new Map(layers.flatMap(layer => layer.map((id, index) => [id, index / Math.max(layer.length - 1, 1)])));
+  
+  for (let sweep = 0; sweep < sweeps; sweep++) {
+    const downwards = sweep % 2 === 0;
+    const order = downwards
+      ? layers.map((layer, index) => index).slice(1)
+      : layers.map((layer, index) => index).slice(0, -1).reverse();
+    
+    for (const layerIndex of order) {
+      const position = indexes();
+      const layer = layers[layerIndex];
+      
+      const keyed = layer.map(id => {
+        const related = neighbors(id, downwards);
+        const total = related.reduce((sum, neighbor) => sum + neighbor.weight, 0);
+        const barycenter = total > 0
+          ? related.reduce((sum, neighbor) => sum + position.get(neighbor.id) * neighbor.weight, 0) / total
+          : position.get(id);
+        return { id, barycenter, current: position.get(id) };
+      });
+      
+      keyed.sort((a, b) => a.barycenter - b.barycenter || a.current - b.current);
+      layers[layerIndex] = keyed.map(entry => entry.id);
+    }
+  }
+}
+
+/**
+ * Compute a hierarchical layout
+ * Broader categories are placed above (or left of) narrower ones.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} config - Layout configuration
+ * @returns {Object} Object with positions by category ID and layers
+ */
+function hierarchicalLayout(graph, config) {
+  const { width, height, padding } = config;
+  const ids = sortedCategoryIds(graph);
+  const { layers, edges } = assignLayers(graph, ids, config);
+  
+  orderLayers(layers, edges, config.orderingSweeps);
+  
+  const leftRight = config.orientation === ORIENTATIONS.LEFT_RIGHT;
+  const layerSpan = (leftRight ? width : height) - padding * 2;
+  const rowSpan = (leftRight ? height : width) - padding * 2;
+  const positions = new Map();
+  
+  layers.forEach((layer, layerIndex) => {
+    const depth = layers.length > 1
+      ? padding + (layerSpan * layerIndex) / (layers.length - 1)
+      : padding + layerSpan / 2;
+    const spacing = rowSpan / layer.length;
+    
+    layer.forEach((id, index) => {
+      const offset = padding + spacing * (index + 0.5);
+      positions.set(id, leftRight ? { x: depth, y: offset } : { x: offset, y: depth });
+    });
+  });
+  
+  return { positions, layers };
+}
+
+/**
+ * Pick the category to put at the center of a radial layout
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Array<string>} ids - Sorted category IDs
+ * @param {Object} config - Layout configuration
+ * @returns {string} Category ID
+ * @throws {BadRequestError} If the requested center is not in the graph
+ */
+function radialCenter(graph, ids, config) {
+  if (config.center !== null && config.center !== undefined) {
+    if (!ids.includes(config.center)) {
+      throw invalidLayout(`Center category '${config.center}' is not in the graph`, { center: config.center });
+    }
+    return config.center;
+  }
+  
+  const measures = computeCentrality(graph, { weighted: config.weighted });
+  
+  // Highest composite centrality, ties broken by ID
+  return ids.reduce((best, id) => (measures[id].composite > measures[best].composite ? id : best), ids[0]);
+}
+
+/**
+ * Compute a radial layout
+ * The most central category sits in the middle and every other category on
+ * a ring by its distance in relationships, following the strongest
+ * relationships first. Each subtree gets an angle proportional to its
+ * number of leaves. Categories not connected to the center share the outer ring.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} config - Layout configuration
+ * @param {Function} random - Seeded random number generator
+ * @returns {Object} Object with positions by category ID and the center category ID
+ */
+function radialLayout(graph, config, random) {
+  const { width, height, padding } = config;
+  const ids = sortedCategoryIds(graph);
+  const positions = new Map();
+  
+  if (ids.length === 0) return { positions, center: null };
+  
+  const adjacency = buildAdjacency(graph, { directed: false, weighted: config.weighted });
+  const center = radialCenter(graph, ids, config);
+  const depthOf = new Map([[center, 0]]);
+  const children = new Map(ids.map(id => [id, []]));
+  const visited = [center];
+  
+  for (let i = 0; i < visited.length; i++) {
+    const id = visited[i];
+    const neighbors = [...adjacency.outgoing.get(id)]
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    
+    for (const [neighbor] of neighbors) {
+      if (depthOf.has(neighbor)) continue;
+      
+      depthOf.set(neighbor, depthOf.get(id) + 1);
+      children.get(id).push(neighbor);
+      visited.push(neighbor);
+    }
+  }
+  
+  const unreachable = ids.filter(id => !depthOf.has(id));
+  const rings = Math.max(...depthOf.values()) + (unreachable.length > 0 ? 1 : 0);
+  const ringSpacing = rings > 0 ? (Math.min(width, height) / 2 - padding) / rings : 0;
+  const origin = { x: width / 2, y: height / 2 };
+  const rotation = random() * 2 * Math.PI;
+  
+  // Leaf counts, children before parents
+  const leaves = new Map();
+  for (const id of [...visited].reverse()) {
+    const own = children.get(id);
+    leaves.set(id, own.length > 0 ? own.reduce((sum, child) => sum + leaves.get(child), 0) : 1);
+  }
+  
+  const place = (id, start, end) => {
+    const angle = (start + end) / 2;
+    const radius = depthOf.get(id) * ringSpacing;
+    positions.set(id, { x: origin.x + radius * Math.cos(angle), y: origin.y + radius * Math.sin(angle) });
+    
+    let from = start;
+    for (const child of children.get(id)) {
+      const to = from + ((end - start) * leaves.get(child)) / leaves.get(id);
+      place(child, from, to);
+      from = to;
+    }
+  };
+  
+  place(center, rotation, rotation + 2 * Math.PI);
+  
+  unreachable.forEach((id, index) => {
+    const angle = rotation + (2 * Math.PI * index) / unreachable.length;
+    positions.set(id, {
+      x: origin.x + rings * ringSpacing * Math.cos(angle),
+      y: origin.y + rings * ringSpacing * Math.sin(angle)
+    });
+  });
+  
+  return { positions, center };
+}
+
+/**
+ * Round a coordinate for output
+ * @param {number} value - Coordinate
+ * @returns {number} Coordinate rounded to two decimals
+ */
+function roundCoordinate(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compute the layout of a graph
+ * The same graph, options and seed always give the same positions. Pinned
+ * categories keep their positions in every mode.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} [options={}] - Layout options (see DEFAULT_OPTIONS)
+ * @param {string} [options.mode='force'] - One of LAYOUT_MODES
+ * @param {number} [options.width=1000] - Width of the drawing area
+ * @param {number} [options.height=800] - Height of the drawing area
+ * @param {number} [options.padding=50] - Margin kept free around the graph
+ * @param {string|number} [options.seed] - Seed (defaults to the concept ID)
+ * @param {boolean} [options.weighted=true] - Weight relationships by strength
+ * @param {Object<string, Object>} [options.pinned={}] - Fixed { x, y } by category ID
+ * @param {number} [options.iterations=300] - Force-directed iterations
+ * @param {string} [options.orientation='top-down'] - Hierarchical orientation (see ORIENTATIONS)
+ * @param {string} [options.center] - Radial center category (defaults to the most central one)
+ * @returns {Layout} Layout
+ * @throws {BadRequestError} If an option is invalid
+ */
+function computeLayout(graph, options = {}) {
+  const config = normalizeOptions(graph, options);
+  const random = createRandom(config.seed);
+  
+  let result;
+  switch (config.mode) {
+    case LAYOUT_MODES.HIERARCHICAL:
+      result = hierarchicalLayout(graph, config);
+      break;
+    case LAYOUT_MODES.RADIAL:
+      result = radialLayout(graph, config, random);
+      break;
+    default:
+      result = forceLayout(graph, config, random);
+  }
+  
+  const { positions: computed, ...extra } = result;
+  const positions = {};
+  
+  for (const category of graph.categories) {
+    const pinned = config.pinned[category.category_id];
+    const position = pinned || computed.get(category.category_id);
+    
+    positions[category.category_id] = {
+      x: roundCoordinate(position.x),
+      y: roundCoordinate(position.y),
+      pinned: Boolean(pinned)
+    };
+  }
+  
+  return {
+    mode: config.mode,
+    width: config.width,
+    height: config.height,
+    seed: config.seed,
+    positions,
+    ...extra
+  };
+}
+
+module.exports = {
+  LAYOUT_MODES,
+  ORIENTATIONS,
+  DEFAULT_OPTIONS,
+  createRandom,
+  assertPositions,
+  computeLayout
+};
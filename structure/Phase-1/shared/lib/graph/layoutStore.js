@@ -0,0 +1,144 @@
+/**
+ * Per-user pinned category positions for concept graph layouts
+ * Stores the positions a user dragged categories to in the graphLayouts
+ * collection, one document per concept and user, and feeds them to
+ * computeLayout as fixed positions.
+ */
+
+const { defaultClient } = require('../db/mongodb/client');
+const { defaultLogger } = require('../logging/logger');
+const { computeLayout, assertPositions } = require('./layout');
+
+const COLLECTION_NAME = 'graphLayouts';
+
+/**
+ * Pinned layout store
+ */
+class LayoutStore {
+  /**
+   * Create a new layout store
+   * @param {Object} [options={}] - Options
+   * @param {MongoDbClient} [options.client=defaultClient] - MongoDB client
+   * @param {Object} [options.logger=defaultLogger] - Logger instance
+   * @param {string} [options.collectionName='graphLayouts'] - Layout collection
+   */
+  constructor(options = {}) {
+    this.client = options.client || defaultClient;
+    this.logger = options.logger || defaultLogger;
+    this.collectionName = options.collectionName || COLLECTION_NAME;
+  }
+  
+  /**
+   * Get the positions a user pinned in a concept graph
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object<string, Object>>} { x, y } by category ID
+   */
+  async getPinnedPositions(conceptId, userId) {
+    const document = await this.client.findOne(
+      this.collectionName,
+      { concept_id: conceptId, user_id: userId },
+      { projection: { _id: 0, pinned: 1 } }
+    );
+    
+    return Object.fromEntries((document ? document.pinned : [])
+      .map(({ category_id: categoryId, x, y }) => [categoryId, { x, y }]));
+  }
+  
+  /**
+   * Pin categories at positions, keeping the user's other pinned categories
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @param {Object<string, Object>} positions - { x, y } by category ID
+   * @returns {Promise<Object<string, Object>>} All pinned positions of the user
+   * @throws {BadRequestError} If a position is not a pair of finite numbers
+   */
+  async pinPositions(conceptId, userId, positions) {
+    assertPositions(positions);
+    
+    const pinned = await this.getPinnedPositions(conceptId, userId);
+    
+    for (const [categoryId, { x, y }] of Object.entries(positions)) {
+      pinned[categoryId] = { x, y };
+    }
+    
+    await this.savePinnedPositions(conceptId, userId, pinned);
+    
+    this.logger.debug('Pinned graph layout positions', {
+      conceptId,
+      userId,
+      count: Object.keys(positions).length
+    });
+    
+    return pinned;
+  }
+  
+  /**
+   * Release pinned categories
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @param {Array<string>} [categoryIds] - Categories to release (all when omitted)
+   * @returns {Promise<Object<string, Object>>} Remaining pinned positions of the user
+   */
+  async unpinPositions(conceptId, userId, categoryIds) {
+    if (!categoryIds) {
+      await this.client.deleteOne(this.collectionName, { concept_id: conceptId, user_id: userId });
+      return {};
+    }
+    
+    const pinned = await this.getPinnedPositions(conceptId, userId);
+    
+    for (const categoryId of categoryIds) {
+      delete pinned[categoryId];
+    }
+    
+    await this.savePinnedPositions(conceptId, userId, pinned);
+    
+    return pinned;
+  }
+  
+  /**
+   * Compute the layout of a graph as a user sees it
+   * Positions pinned in the options take precedence over stored ones.
+   * @param {Graph} graph - Graph to lay out
+   * @param {string} userId - User ID
+   * @param {Object} [options={}] - Layout options (see computeLayout)
+   * @returns {Promise<Layout>} Layout
+   */
+  async computeLayout(graph, userId, options = {}) {
+    const stored = await this.getPinnedPositions(graph.concept_id, userId);
+    
+    return computeLayout(graph, {
+      ...options,
+      pinned: { ...stored, ...(options.pinned || {}) }
+    });
+  }
+  
+  /**
+   * Replace the stored pinned positions of a user
+   * @param {string} conceptId - Concept ID
+   * @param {string} userId - User ID
+   * @param {Object<string, Object>} pinned - { x, y } by category ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async savePinnedPositions(conceptId, userId, pinned) {
+    await this.client.updateOne(
+      this.collectionName,
+      { concept_id: conceptId, user_id: userId },
+      {
+        $set: {
+          // Stored as a list: category IDs are not guaranteed to be valid field names
+          pinned: Object.entries(pinned).map(([categoryId, { x, y }]) => ({ category_id: categoryId, x, y })),
+          updated_at: new Date()
+        },
+        $setOnInsert: { concept_id: conceptId, user_id: userId }
+      },
+      { upsert: true }
+    );
+  }
+}
+
+module.exports = {
+  LayoutStore
+};
@@ -0,0 +1,518 @@
+/**
+ * Local similarity scoring of concept graphs
+ * A cheap comparison of two concept graphs run before synthesis and
+ * compatibility requests are sent to Claude. Combines category name
+ * overlap, shared traditions and philosophers, relationship type
+ * distributions and an approximate graph edit distance, and explains which
+ * categories align.
+ */
+
+const { RELATIONSHIP_DIRECTIONS } = require('../../constants/philosophyConstants');
+
+// Screening verdicts
+const SIMILARITY_VERDICTS = {
+  IDENTICAL: 'identical',
+  INCOMPATIBLE: 'incompatible',
+  CANDIDATE: 'candidate'
+};
+
+// Default options for similarity scoring
+const DEFAULT_OPTIONS = {
+  weights: {
+    categories: 0.35,
+    context: 0.2,
+    relationshipTypes: 0.15,
+    structure: 0.3
+  },
+  alignmentThreshold: 0.5,
+  typeMismatchCost: 0.5,
+  identicalAbove: 0.95,
+  incompatibleBelow: 0.15
+};
+
+// Words ignored when comparing category names
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'and', 'or', 'in', 'on', 'to', 'as',
+  'и', 'или', 'в', 'во', 'на', 'о', 'об', 'как', 'к', 'с', 'со'
+]);
+
+/**
+ * Normalize a name for comparison
+ * Lowercases, removes diacritics (so "ё" matches "е") and punctuation and
+ * collapses whitespace.
+ * @param {string} name - Name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Split a normalized name into significant words
+ * @param {string} normalized - Normalized name
+ * @returns {Set<string>} Words
+ */
+function nameTokens(normalized) {
+  const words = normalized.split(' ').filter(word => word && !STOP_WORDS.has(word));
+  return new Set(words.length > 0 ? words : normalized.split(' ').filter(Boolean));
+}
+
+/**
+ * Get the character trigrams of a normalized name
+ * @param {string} normalized - Normalized name
+ * @returns {Set<string>} Trigrams
+ */
+function trigrams(normalized) {
+  const padded = `  ${normalized} `;
+  const result = new Set();
+  
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  
+  return result;
+}
+
+/**
+ * Compute the Jaccard index of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Size of the intersection over size of the union (1 for two empty sets)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Compute the Dice coefficient of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Twice the size of the intersection over the sum of the sizes
+ */
+function dice(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Prepare a category name for repeated comparison
+ * @param {Object} category - Category
+ * @returns {Object} Category ID, name, normalized name, words and trigrams
+ */
+function describeName(category) {
+  const normalized = normalizeName(category.name);
+  
+  return {
+    category_id: category.category_id,
+    name: category.name,
+    normalized,
+    tokens: nameTokens(normalized),
+    trigrams: trigrams(normalized)
+  };
+}
+
+/**
+ * Compare two category names
+ * The best of word overlap and character trigram overlap, so that both
+ * reordered words and inflected forms score well.
+ * @param {Object} a - Described name (see describeName)
+ * @param {Object} b - Described name (see describeName)
+ * @returns {number} Similarity between 0 and 1
+ */
+function nameSimilarity(a, b) {
+  if (!a.normalized || !b.normalized) return 0;
+  if (a.normalized === b.normalized) return 1;
+  
+  return Math.max(jaccard(a.tokens, b.tokens), dice(a.trigrams, b.trigrams));
+}
+
+/**
+ * Align the categories of two graphs by name
+ * Pairs are taken greedily from the most similar down, each category being
+ * used at most once; pairs below the threshold are not aligned.
+ * @param {Object} first - First graph
+ * @param {Object} second - Second graph
+ * @param {number} threshold - Minimum name similarity
+ * @returns {Array<Object>} Alignments ({ first, second, similarity, exact })
+ */
+function alignCategories(first, second, threshold) {
+  const left = first.categories.map(describeName);
+  const right = second.categories.map(describeName);
+  const candidates = [];
+  
+  for (const a of left) {
+    for (const b of right) {
+      const similarity = nameSimilarity(a, b);
+      if (similarity >= threshold) candidates.push({ a, b, similarity });
+    }
+  }
+  
+  candidates.sort((x, y) => y.similarity - x.similarity ||
+    x.a.category_id.localeCompare(y.a.category_id) ||
+    x.b.category_id.localeCompare(y.b.category_id));
+  
+  const usedLeft = new Set();
+  const usedRight = new Set();
+  const alignments = [];
+  
+  for (const { a, b, similarity } of candidates) {
+    if (usedLeft.has(a.category_id) || usedRight.has(b.category_id)) continue;
+    
+    usedLeft.add(a.category_id);
+    usedRight.add(b.category_id);
+    alignments.push({
+      first: { category_id: a.category_id, name: a.name },
+      second: { category_id: b.category_id, name: b.name },
+      similarity,
+      exact: a.normalized === b.normalized
+    });
+  }
+  
+  return alignments;
+}
+
+/**
+ * Collect the normalized values of a list field over all graph elements
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {string} field - "traditions" or "philosophers"
+ * @returns {Map<string, string>} Original value by normalized value
+ */
+function collectValues(graph, field) {
+  const values = new Map();
+  
+  for (const element of [...graph.categories, ...graph.relationships]) {
+    for (const value of element[field] || []) {
+      const normalized = normalizeName(value);
+      if (normalized && !values.has(normalized)) values.set(normalized, value);
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Compare the traditions and philosophers referenced by two graphs
+ * @param {Object} first - First graph
+ * @param {Object} second - Second graph
+ * @returns {Object} Component with score, applicability and the shared values
+ */
+function contextSimilarity(first, second) {
+  const result = { shared: {}, scores: {} };
+  
+  for (const field of ['traditions', 'philosophers']) {
+    const a = collectValues(first, field);
+    const b = collectValues(second, field);
+    
+    result.shared[field] = [...a.keys()].filter(key => b.has(key)).map(key => a.get(key));
+    
+    if (a.size > 0 || b.size > 0) {
+      result.scores[field] = jaccard(new Set(a.keys()), new Set(b.keys()));
+    }
+  }
+  
+  const scores = Object.values(result.scores);
+  
+  return {
+    score: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0,
+    applicable: scores.length > 0,
+    sharedTraditions: result.shared.traditions,
+    sharedPhilosophers: result.shared.philosophers
+  };
+}
+
+/**
+ * Get the share of each relationship type in a graph
+ * @param {Object} graph - Graph with categories and relationships
+ * @returns {Object<string, number>} Share by type, summing to 1
+ */
+function typeDistribution(graph) {
+  const counts = {};
+  
+  for (const rel of graph.relationships) {
+    counts[rel.type] = (counts[rel.type] || 0) + 1;
+  }
+  
+  const total = graph.relationships.length;
+  return Object.fromEntries(Object.entries(counts).map(([type, count]) => [type, count / total]));
+}
+
+/**
+ * Compare the relationship type distributions of two graphs
+ * The score is one minus the Jensen-Shannon divergence (base 2).
+ * @param {Object} first - First graph
+ * @param {Object} second - Second graph
+ * @returns {Object} Component with score, applicability and both distributions
+ */
+function relationshipTypeSimilarity(first, second) {
+  const a = typeDistribution(first);
+  const b = typeDistribution(second);
+  const applicable = first.relationships.length > 0 || second.relationships.length > 0;
+  
+  let score = 0;
+  if (first.relationships.length > 0 && second.relationships.length > 0) {
+    let divergence = 0;
+    
+    for (const type of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      const p = a[type] || 0;
+      const q = b[type] || 0;
+      const m = (p + q) / 2;
+      if (p > 0) divergence += (p / 2) * Math.log2(p / m);
+      if (q > 0) divergence += (q / 2) * Math.log2(q / m);
+    }
+    
+    score = 1 - divergence;
+  }
+  
+  return { score, applicable, distributions: { first: a, second: b } };
+}
+
+/**
+ * Compute the density of a graph
+ * @param {Object} graph - Graph with categories and relationships
+ * @returns {number} Relationships over possible directed pairs
+ */
+function density(graph) {
+  const n = graph.categories.length;
+  return n > 1 ? graph.relationships.length / (n * (n - 1)) : 0;
+}
+
+/**
+ * Approximate the graph edit distance between two graphs
+ * Uses the category alignment as the node mapping instead of searching for
+ * the best one. Unaligned categories and unmatched relationships cost 1,
+ * renaming an aligned category costs one minus its name similarity and a
+ * relationship matched with a different type costs typeMismatchCost.
+ * @param {Object} first - First graph
+ * @param {Object} second - Second graph
+ * @param {Array<Object>} alignments - Category alignments
+ * @param {Object} config - Scoring configuration
+ * @returns {Object} Component with score, edit distance, its maximum and densities
+ */
+function structuralSimilarity(first, second, alignments, config) {
+  const mapping = new Map(alignments.map(a => [a.first.category_id, a.second.category_id]));
+  
+  let cost = first.categories.length + second.categories.length - alignments.length * 2;
+  for (const alignment of alignments) {
+    cost += 1 - alignment.similarity;
+  }
+  
+  // Relationships of the second graph by endpoints, bidirectional ones both ways
+  const index = new Map();
+  const addToIndex = (key, rel) => {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(rel);
+  };
+  for (const rel of second.relationships) {
+    addToIndex(`${rel.source_id}|${rel.target_id}`, rel);
+    if (rel.direction === RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL) {
+      addToIndex(`${rel.target_id}|${rel.source_id}`, rel);
+    }
+  }
+  
+  const matched = new Set();
+  let matchedCount = 0;
+  
+  for (const rel of first.relationships) {
+    const source = mapping.get(rel.source_id);
+    const target = mapping.get(rel.target_id);
+    
+    if (source === undefined || target === undefined) {
+      cost += 1;
+      continue;
+    }
+    
+    const keys = [`${source}|${target}`];
+    if (rel.direction === RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL) keys.push(`${target}|${source}`);
+    
+    const candidates = keys
+      .flatMap(key => index.get(key) || [])
+      .filter(candidate => !matched.has(candidate.relationship_id));
+    const match = candidates.find(candidate => candidate.type === rel.type) || candidates[0];
+    
+    if (!match) {
+      cost += 1;
+      continue;
+    }
+    
+    matched.add(match.relationship_id);
+    matchedCount++;
+    if (match.type !== rel.type) cost += config.typeMismatchCost;
+  }
+  
+  cost += second.relationships.length - matchedCount;
+  
+  const maxCost = first.categories.length + second.categories.length +
+    first.relationships.length + second.relationships.length;
+  
+  return {
+    score: maxCost > 0 ? 1 - cost / maxCost : 1,
+    applicable: maxCost > 0,
+    editDistance: cost,
+    maxEditDistance: maxCost,
+    matchedRelationships: matchedCount,
+    density: { first: density(first), second: density(second) }
+  };
+}
+
+/**
+ * Build a human-readable explanation of a comparison
+ * @param {Object} result - Comparison without explanation
+ * @param {Object} first - First graph
+ * @param {Object} second - Second graph
+ * @returns {Array<string>} Explanation sentences
+ */
+function explain(result, first, second) {
+  const { components, alignments } = result;
+  const lines = [];
+  const exact = alignments.filter(a => a.exact).length;
+  
+  lines.push(`${alignments.length} of ${first.categories.length} and ${second.categories.length} ` +
+    `categories align (${exact} by identical name).`);
+  
+  const partial = alignments.filter(a => !a.exact).slice(0, 5);
+  if (partial.length > 0) {
+    lines.push(`Closest non-identical matches: ${partial
+      .map(a => `"${a.first.name}" ~ "${a.second.name}" (${a.similarity.toFixed(2)})`)
+      .join(', ')}.`);
+  }
+  
+  if (components.context.applicable) {
+    const { sharedTraditions, sharedPhilosophers } = components.context;
+    lines.push(sharedTraditions.length + sharedPhilosophers.length > 0
+      ? `Shared traditions: ${sharedTraditions.join(', ') || 'none'}; shared philosophers: ${sharedPhilosophers.join(', ') || 'none'}.`
+      : 'The graphs reference no common traditions or philosophers.');
+  }
+  
+  if (components.relationshipTypes.applicable) {
+    lines.push(`Relationship type distributions agree to ${components.relationshipTypes.score.toFixed(2)}.`);
+  }
+  
+  lines.push(`Approximate edit distance ${components.structure.editDistance.toFixed(1)} ` +
+    `of at most ${components.structure.maxEditDistance}; ` +
+    `${components.structure.matchedRelationships} relationships connect aligned categories in both graphs.`);
+  
+  if (result.verdict === SIMILARITY_VERDICTS.IDENTICAL) {
+    lines.push('The graphs are nearly identical; synthesis would add little.');
+  } else if (result.verdict === SIMILARITY_VERDICTS.INCOMPATIBLE) {
+    lines.push('The graphs have almost nothing in common to build a synthesis on.');
+  }
+  
+  return lines;
+}
+
+/**
+ * Compare two concept graphs
+ * The score is the weighted mean of the applicable components; a component
+ * is not applicable when neither graph has the data it compares (for
+ * example, no traditions or philosophers at all).
+ * @param {Object} first - First graph with categories and relationships
+ * @param {Object} second - Second graph with categories and relationships
+ * @param {Object} [options={}] - Options (see DEFAULT_OPTIONS)
+ * @param {Object} [options.weights] - Component weights
+ * @param {number} [options.alignmentThreshold=0.5] - Minimum name similarity to align categories
+ * @param {number} [options.identicalAbove=0.95] - Score from which the graphs count as identical
+ * @param {number} [options.incompatibleBelow=0.15] - Score below which the graphs count as incompatible
+ * @returns {Object} Score, verdict, components, category alignments, unaligned categories and explanation
+ */
+function compareGraphs(first, second, options = {}) {
+  const config = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    weights: { ...DEFAULT_OPTIONS.weights, ...(options.weights || {}) }
+  };
+  
+  const alignments = alignCategories(first, second, config.alignmentThreshold);
+  const totalCategories = first.categories.length + second.categories.length;
+  const alignedWeight = alignments.reduce((sum, a) => sum + a.similarity, 0);
+  
+  const components = {
+    categories: {
+      score: totalCategories > 0 ? (2 * alignedWeight) / totalCategories : 0,
+      applicable: totalCategories > 0
+    },
+    context: contextSimilarity(first, second),
+    relationshipTypes: relationshipTypeSimilarity(first, second),
+    structure: structuralSimilarity(first, second, alignments, config)
+  };
+  
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, component] of Object.entries(components)) {
+    component.weight = config.weights[name] || 0;
+    if (!component.applicable) continue;
+    
+    weighted += component.score * component.weight;
+    totalWeight += component.weight;
+  }
+  
+  const score = totalWeight > 0 ? weighted / totalWeight : 0;
+  let verdict = SIMILARITY_VERDICTS.CANDIDATE;
+  if (score >= config.identicalAbove) verdict = SIMILARITY_VERDICTS.IDENTICAL;
+  else if (score < config.incompatibleBelow) verdict = SIMILARITY_VERDICTS.INCOMPATIBLE;
+  
+  const alignedFirst = new Set(alignments.map(a => a.first.category_id));
+  const alignedSecond = new Set(alignments.map(a => a.second.category_id));
+  const unaligned = (graph, aligned) => graph.categories
+    .filter(c => !aligned.has(c.category_id))
+    .map(c => ({ category_id: c.category_id, name: c.name }));
+  
+  const result = {
+    score,
+    verdict,
+    components,
+    alignments,
+    unaligned: {
+      first: unaligned(first, alignedFirst),
+      second: unaligned(second, alignedSecond)
+    }
+  };
+  
+  result.explanation = explain(result, first, second);
+  
+  return result;
+}
+
+/**
+ * Decide whether a pair of graphs is worth a synthesis or compatibility request
+ * @param {Object} first - First graph with categories and relationships
+ * @param {Object} second - Second graph with categories and relationships
+ * @param {Object} [options={}] - Options (see compareGraphs)
+ * @returns {Object} Object with proceed flag, verdict, score and the full comparison
+ */
+function screenPair(first, second, options = {}) {
+  const comparison = compareGraphs(first, second, options);
+  
+  return {
+    proceed: comparison.verdict === SIMILARITY_VERDICTS.CANDIDATE,
+    verdict: comparison.verdict,
+    score: comparison.score,
+    comparison
+  };
+}
+
+module.exports = {
+  SIMILARITY_VERDICTS,
+  DEFAULT_OPTIONS,
+  normalizeName,
+  alignCategories,
+  compareGraphs,
+  screenPair
+};
@@ -0,0 +1,451 @@
+/**
+ * Local structural validation of concept graphs
+ * Runs deterministic checks that don't need a Claude round-trip: cycles in
+ * hierarchical and causal relationships, orphan categories, disconnected
+ * components, duplicate category names and contradictory relationships
+ */
+
+const errorCodes = require('../../constants/errorCodes');
+const { RELATIONSHIP_TYPES } = require('../../constants/philosophyConstants');
+const { normalizeWhitespace, stringSimilarity } = require('../formatting/stringFormatters');
+
+// Types of structural findings
+const FINDING_TYPES = {
+  CYCLE: 'cycle',
+  ORPHAN_CATEGORY: 'orphan_category',
+  DISCONNECTED_COMPONENT: 'disconnected_component',
+  DUPLICATE_CATEGORY_NAME: 'duplicate_category_name',
+  SIMILAR_CATEGORY_NAMES: 'similar_category_names',
+  CONTRADICTORY_RELATIONSHIPS: 'contradictory_relationships'
+};
+
+// Severity levels of structural findings
+const SEVERITIES = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// Relationship types that must not form cycles
+const ACYCLIC_RELATIONSHIP_TYPES = [
+  RELATIONSHIP_TYPES.HIERARCHICAL,
+  RELATIONSHIP_TYPES.CAUSAL
+];
+
+// Default validation options
+const DEFAULT_OPTIONS = {
+  checkCircularReferences: true,
+  checkOrphanedCategories: true,
+  checkConnectivity: true,
+  checkCategoryNames: true,
+  checkContradictions: true,
+  nameSimilarityThreshold: 0.85
+};
+
+/**
+ * Structural finding
+ * @typedef {Object} Finding
+ * @property {string} type - Finding type from FINDING_TYPES
+ * @property {string} severity - Severity from SEVERITIES
+ * @property {number} code - Error code from errorCodes
+ * @property {string} message - Human-readable description
+ * @property {Array<string>} category_ids - Categories involved
+ * @property {Array<string>} relationship_ids - Relationships involved
+ * @property {Object} [details] - Type-specific details
+ */
+
+/**
+ * Create a finding
+ * @param {string} type - Finding type
+ * @param {string} severity - Severity
+ * @param {number} code - Error code
+ * @param {string} message - Message
+ * @param {Object} [involved={}] - Involved elements and details
+ * @returns {Finding} Finding
+ */
+function createFinding(type, severity, code, message, involved = {}) {
+  return {
+    type,
+    severity,
+    code,
+    message,
+    category_ids: involved.category_ids || [],
+    relationship_ids: involved.relationship_ids || [],
+    ...(involved.details ? { details: involved.details } : {})
+  };
+}
+
+/**
+ * Normalize a category name for comparison
+ * Lowercases, folds "ё" to "е", drops punctuation and collapses whitespace.
+ * @param {string} name - Category name
+ * @returns {string} Normalized name
+ */
+function normalizeCategoryName(name) {
+  if (!name || typeof name !== 'string') return '';
+  
+  return normalizeWhitespace(
+    name
+      .toLowerCase()
+      .replace(/ё/g, 'е')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  );
+}
+
+/**
+ * Get a category label for messages
+ * @param {Map<string, Object>} categoriesById - Categories by ID
+ * @param {string} categoryId - Category ID
+ * @returns {string} Quoted category name or ID
+ */
+function label(categoriesById, categoryId) {
+  const category = categoriesById.get(categoryId);
+  return `"${category && category.name ? category.name : categoryId}"`;
+}
+
+/**
+ * Find strongly connected components using Tarjan's algorithm
+ * @param {Array<string>} nodes - Node IDs
+ * @param {Map<string, Array<string>>} edges - Successors by node
+ * @returns {Array<Array<string>>} Components
+ */
+function stronglyConnectedComponents(nodes, edges) {
+  let index = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  
+  const visit = (node) => {
+    indices.set(node, index);
+    lowLinks.set(node, index);
+    index++;
+    stack.push(node);
+    onStack.add(node);
+    
+    for (const next of edges.get(node) || []) {
+      if (!indices.has(next)) {
+        visit(next);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(next)));
+      }
+    }
+    
+    if (lowLinks.get(node) === indices.get(node)) {
+      const component = [];
+      let member;
+      
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      
+      components.push(component);
+    }
+  };
+  
+  for (const node of nodes) {
+    if (!indices.has(node)) visit(node);
+  }
+  
+  return components;
+}
+
+/**
+ * Find cycles among relationships of acyclic types
+ * Each relationship type is checked on its own: a causal chain that loops
+ * back through a hierarchy isn't a contradiction, but a causal loop is.
+ * Relationships count in their stated direction only; the reverse edge of a
+ * bidirectional one would otherwise be reported as a cycle of its own.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Map<string, Object>} categoriesById - Categories by ID
+ * @returns {Array<Finding>} Cycle findings
+ */
+function findCycles(graph, categoriesById) {
+  const findings = [];
+  
+  for (const type of ACYCLIC_RELATIONSHIP_TYPES) {
+    const relationships = graph.relationships.filter(
+      r => r.type === type && categoriesById.has(r.source_id) && categoriesById.has(r.target_id)
+    );
+    const edges = new Map();
+    
+    for (const rel of relationships) {
+      if (!edges.has(rel.source_id)) edges.set(rel.source_id, []);
+      edges.get(rel.source_id).push(rel.target_id);
+    }
+    
+    const components = stronglyConnectedComponents([...edges.keys()], edges);
+    
+    for (const component of components) {
+      const members = new Set(component);
+      const selfLoop = component.length === 1 && relationships.some(
+        r => r.source_id === component[0] && r.target_id === component[0]
+      );
+      
+      if (component.length < 2 && !selfLoop) continue;
+      
+      const involved = relationships.filter(
+        r => members.has(r.source_id) && members.has(r.target_id)
+      );
+      
+      findings.push(createFinding(
+        FINDING_TYPES.CYCLE,
+        SEVERITIES.ERROR,
+        errorCodes.CIRCULAR_REFERENCE,
+        `Circular ${type} relationships between ${component.map(id => label(categoriesById, id)).join(', ')}`,
+        {
+          category_ids: component,
+          relationship_ids: involved.map(r => r.relationship_id),
+          details: { relationshipType: type }
+        }
+      ));
+    }
+  }
+  
+  return findings;
+}
+
+/**
+ * Find undirected connected components
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Map<string, Object>} categoriesById - Categories by ID
+ * @returns {Array<Array<string>>} Components, largest first
+ */
+function connectedComponents(graph, categoriesById) {
+  const neighbors = new Map([...categoriesById.keys()].map(id => [id, new Set()]));
+  
+  for (const rel of graph.relationships) {
+    if (!neighbors.has(rel.source_id) || !neighbors.has(rel.target_id)) continue;
+    neighbors.get(rel.source_id).add(rel.target_id);
+    neighbors.get(rel.target_id).add(rel.source_id);
+  }
+  
+  const visited = new Set();
+  const components = [];
+  
+  for (const start of neighbors.keys()) {
+    if (visited.has(start)) continue;
+    
+    const component = [];
+    const queue = [start];
+    visited.add(start);
+    
+    while (queue.length > 0) {
+      const node = queue.shift();
+      component.push(node);
+      
+      for (const next of neighbors.get(node)) {
+        if (!visited.has(next)) {
+          visited.add(next);
+          queue.push(next);
+        }
+      }
+    }
+    
+    components.push(component);
+  }
+  
+  return components.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Find orphan categories and disconnected components
+ * Orphans are reported on their own; only components with at least one
+ * relationship count as disconnected fragments of the graph.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Map<string, Object>} categoriesById - Categories by ID
+ * @param {Object} options - Validation options
+ * @returns {Array<Finding>} Orphan and connectivity findings
+ */
+function findConnectivityIssues(graph, categoriesById, options) {
+  const findings = [];
+  
+  if (categoriesById.size < 2) return findings;
+  
+  const components = connectedComponents(graph, categoriesById);
+  const orphans = components.filter(c => c.length === 1).map(c => c[0]);
+  const fragments = components.filter(c => c.length > 1);
+  
+  if (options.checkOrphanedCategories) {
+    for (const categoryId of orphans) {
+      findings.push(createFinding(
+        FINDING_TYPES.ORPHAN_CATEGORY,
+        SEVERITIES.WARNING,
+        errorCodes.INVALID_GRAPH_STRUCTURE,
+        `Category ${label(categoriesById, categoryId)} has no relationships`,
+        { category_ids: [categoryId] }
+      ));
+    }
+  }
+  
+  if (options.checkConnectivity && fragments.length > 1) {
+    // The largest fragment is the main graph; the rest are detached from it
+    for (const component of fragments.slice(1)) {
+      const members = new Set(component);
+      
+      findings.push(createFinding(
+        FINDING_TYPES.DISCONNECTED_COMPONENT,
+        SEVERITIES.WARNING,
+        errorCodes.INVALID_GRAPH_STRUCTURE,
+        `Categories ${component.map(id => label(categoriesById, id)).join(', ')} are not connected to the rest of the graph`,
+        {
+          category_ids: component,
+          relationship_ids: graph.relationships
+            .filter(r => members.has(r.source_id))
+            .map(r => r.relationship_id),
+          details: { componentSize: component.length, mainComponentSize: fragments[0].length }
+        }
+      ));
+    }
+  }
+  
+  return findings;
+}
+
+/**
+ * Find duplicate and near-duplicate category names
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} options - Validation options
+ * @param {number} options.nameSimilarityThreshold - Minimum similarity for near-duplicates
+ * @returns {Array<Finding>} Name findings
+ */
+function findDuplicateNames(graph, options) {
+  const findings = [];
+  const groups = new Map();
+  
+  for (const category of graph.categories) {
+    const normalized = normalizeCategoryName(category.name);
+    if (!normalized) continue;
+    
+    if (!groups.has(normalized)) groups.set(normalized, []);
+    groups.get(normalized).push(category);
+  }
+  
+  for (const [normalized, categories] of groups) {
+    if (categories.length < 2) continue;
+    
+    findings.push(createFinding(
+      FINDING_TYPES.DUPLICATE_CATEGORY_NAME,
+      SEVERITIES.ERROR,
+      errorCodes.INVALID_GRAPH_STRUCTURE,
+      `Categories share the name "${categories[0].name}"`,
+      {
+        category_ids: categories.map(c => c.category_id),
+        details: { normalizedName: normalized }
+      }
+    ));
+  }
+  
+  const names = [...groups.keys()];
+  
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const similarity = stringSimilarity(names[i], names[j]);
+      
+      if (similarity < options.nameSimilarityThreshold) continue;
+      
+      const first = groups.get(names[i]);
+      const second = groups.get(names[j]);
+      
+      findings.push(createFinding(
+        FINDING_TYPES.SIMILAR_CATEGORY_NAMES,
+        SEVERITIES.WARNING,
+        errorCodes.INVALID_GRAPH_STRUCTURE,
+        `Category names "${first[0].name}" and "${second[0].name}" are nearly identical`,
+        {
+          category_ids: [...first, ...second].map(c => c.category_id),
+          details: { similarity }
+        }
+      ));
+    }
+  }
+  
+  return findings;
+}
+
+/**
+ * Find category pairs linked by both oppositional and correlative relationships
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Map<string, Object>} categoriesById - Categories by ID
+ * @returns {Array<Finding>} Contradiction findings
+ */
+function findContradictions(graph, categoriesById) {
+  const findings = [];
+  const pairs = new Map();
+  
+  for (const rel of graph.relationships) {
+    if (rel.type !== RELATIONSHIP_TYPES.OPPOSITIONAL && rel.type !== RELATIONSHIP_TYPES.CORRELATIVE) {
+      continue;
+    }
+    
+    const key = [rel.source_id, rel.target_id].sort().join('|');
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push(rel);
+  }
+  
+  for (const relationships of pairs.values()) {
+    const types = new Set(relationships.map(r => r.type));
+    
+    if (types.size < 2) continue;
+    
+    const { source_id, target_id } = relationships[0];
+    
+    findings.push(createFinding(
+      FINDING_TYPES.CONTRADICTORY_RELATIONSHIPS,
+      SEVERITIES.ERROR,
+      errorCodes.INVALID_GRAPH_STRUCTURE,
+      `Categories ${label(categoriesById, source_id)} and ${label(categoriesById, target_id)} are both oppositional and correlative`,
+      {
+        category_ids: [source_id, target_id],
+        relationship_ids: relationships.map(r => r.relationship_id)
+      }
+    ));
+  }
+  
+  return findings;
+}
+
+/**
+ * Validate the structure of a graph
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} [options={}] - Validation options (see DEFAULT_OPTIONS)
+ * @returns {Array<Finding>} Findings, errors first
+ */
+function validateGraphStructure(graph, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const categoriesById = new Map(graph.categories.map(c => [c.category_id, c]));
+  const findings = [];
+  
+  if (config.checkCircularReferences) {
+    findings.push(...findCycles(graph, categoriesById));
+  }
+  
+  if (config.checkOrphanedCategories || config.checkConnectivity) {
+    findings.push(...findConnectivityIssues(graph, categoriesById, config));
+  }
+  
+  if (config.checkCategoryNames) {
+    findings.push(...findDuplicateNames(graph, config));
+  }
+  
+  if (config.checkContradictions) {
+    findings.push(...findContradictions(graph, categoriesById));
+  }
+  
+  const order = [SEVERITIES.ERROR, SEVERITIES.WARNING, SEVERITIES.INFO];
+  
+  return findings.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+}
+
+module.exports = {
+  FINDING_TYPES,
+  SEVERITIES,
+  ACYCLIC_RELATIONSHIP_TYPES,
+  normalizeCategoryName,
+  connectedComponents,
+  validateGraphStructure
+};
@@ -0,0 +1,501 @@
+/**
+ * Deterministic local synthesis of two concept graphs
+ * Builds a draft synthesized graph: equivalent categories are aligned by
+ * name and merged, the relationships of both sources are kept, and pairs of
+ * aligned categories that the sources relate in opposing ways are reported
+ * as tensions, the candidate places for new synthetic categories. The same
+ * inputs always produce the same draft, IDs included, so it can be edited
+ * by users and handed to Claude as a starting point.
+ */
+
+const { v5: uuidv5 } = require('uuid');
+const {
+  RELATIONSHIP_TYPES,
+  RELATIONSHIP_DIRECTIONS,
+  CHARACTERISTICS,
+  SYNTHESIS_METHODS
+} = require('../../constants/philosophyConstants');
+const { GRAPH_DRAFT } = require('../../constants/statuses');
+const { BadRequestError } = require('../errors/HttpErrors');
+const errorCodes = require('../../constants/errorCodes');
+const { alignCategories, normalizeName, DEFAULT_OPTIONS: SIMILARITY_DEFAULTS } = require('./similarity');
+
+// Namespace of the name-based UUIDs given to draft elements
+const SYNTHESIS_NAMESPACE = '3c6f8e52-6f0a-4b8e-9a57-2d1f0b7c4e91';
+
+// Maximum length of a category name (see createCategorySchema)
+const MAX_NAME_LENGTH = 255;
+
+// Kinds of tension between the sources
+const TENSION_KINDS = {
+  OPPOSING_TYPES: 'opposing_types',
+  REVERSED_DIRECTION: 'reversed_direction'
+};
+
+// Types that connect categories constructively, as opposed to oppositional
+const CONNECTIVE_TYPES = [
+  RELATIONSHIP_TYPES.HIERARCHICAL,
+  RELATIONSHIP_TYPES.CAUSAL,
+  RELATIONSHIP_TYPES.CORRELATIVE,
+  RELATIONSHIP_TYPES.ANALOGICAL,
+  RELATIONSHIP_TYPES.FUNCTIONAL
+];
+
+// Types whose direction carries meaning, so opposite directions contradict
+const ORDERED_TYPES = [
+  RELATIONSHIP_TYPES.HIERARCHICAL,
+  RELATIONSHIP_TYPES.CAUSAL
+];
+
+// Origins of draft elements
+const ORIGINS = {
+  FIRST: 'first',
+  SECOND: 'second',
+  BOTH: 'both',
+  SYNTHETIC: 'synthetic'
+};
+
+/**
+ * Derive a stable element ID
+ * @param {...string} parts - Parts identifying the element
+ * @returns {string} Name-based UUID
+ */
+function draftId(...parts) {
+  return uuidv5(parts.join('|'), SYNTHESIS_NAMESPACE);
+}
+
+/**
+ * Average two characteristic values on the 1-5 scale
+ * @param {number} a - First value
+ * @param {number} b - Second value
+ * @returns {number} Rounded mean
+ */
+function averageCharacteristic(a, b) {
+  const values = [a, b].filter(value => typeof value === 'number');
+  if (values.length === 0) return CHARACTERISTICS.SCALE.MEDIUM;
+  
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Merge two lists of names, dropping duplicates that only differ in case or punctuation
+ * @param {Array<string>} a - First list
+ * @param {Array<string>} b - Second list
+ * @returns {Array<string>} Merged list, first list first
+ */
+function unionNames(a = [], b = []) {
+  const seen = new Set();
+  const result = [];
+  
+  for (const value of [...a, ...b]) {
+    const key = normalizeName(value);
+    if (seen.has(key)) continue;
+    
+    seen.add(key);
+    result.push(value);
+  }
+  
+  return result;
+}
+
+/**
+ * Get the direction-independent key of a category pair
+ * @param {string} a - Category ID
+ * @param {string} b - Category ID
+ * @returns {string} Key
+ */
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Merge the categories of both sources
+ * @param {Object} first - First graph
+ * @param {Object} second - Second graph
+ * @param {Array<Object>} alignments - Category alignments
+ * @param {string} conceptId - Draft concept ID
+ * @returns {Object} Object with draft categories and the draft category ID of every source category, per source
+ */
+function mergeCategories(first, second, alignments, conceptId) {
+  const alignedWith = new Map(alignments.map(a => [a.first.category_id, a]));
+  const alignedSecond = new Set(alignments.map(a => a.second.category_id));
+  const secondById = new Map(second.categories.map(c => [c.category_id, c]));
+  const mapping = { first: new Map(), second: new Map() };
+  const categories = [];
+  
+  const source = (graph, category) => ({ concept_id: graph.concept_id, category_id: category.category_id });
+  
+  for (const category of first.categories) {
+    const alignment = alignedWith.get(category.category_id);
+    const other = alignment ? secondById.get(alignment.second.category_id) : null;
+    const id = draftId(conceptId, 'category', first.concept_id, category.category_id);
+    
+    mapping.first.set(category.category_id, id);
+    if (other) mapping.second.set(other.category_id, id);
+    
+    categories.push({
+      category_id: id,
+      concept_id: conceptId,
+      name: category.name,
+      definition: category.definition || (other && other.definition) || '',
+      centrality: other ? averageCharacteristic(category.centrality, other.centrality) : category.centrality,
+      certainty: other ? averageCharacteristic(category.certainty, other.certainty) : category.certainty,
+      historical_significance: other
+        ? averageCharacteristic(category.historical_significance, other.historical_significance)
+        : category.historical_significance,
+      traditions: unionNames(category.traditions, other ? other.traditions : []),
+      philosophers: unionNames(category.philosophers, other ? other.philosophers : []),
+      metadata: {
+        synthesis: {
+          origin: other ? ORIGINS.BOTH : ORIGINS.FIRST,
+          sources: other ? [source(first, category), source(second, other)] : [source(first, category)],
+          ...(other ? { name_similarity: alignment.similarity, aligned_name: other.name } : {})
+        }
+      }
+    });
+  }
+  
+  for (const category of second.categories) {
+    if (alignedSecond.has(category.category_id)) continue;
+    
+    const id = draftId(conceptId, 'category', second.concept_id, category.category_id);
+    mapping.second.set(category.category_id, id);
+    
+    categories.push({
+      category_id: id,
+      concept_id: conceptId,
+      name: category.name,
+      definition: category.definition || '',
+      centrality: category.centrality,
+      certainty: category.certainty,
+      historical_significance: category.historical_significance,
+      traditions: [...(category.traditions || [])],
+      philosophers: [...(category.philosophers || [])],
+      metadata: { synthesis: { origin: ORIGINS.SECOND, sources: [source(second, category)] } }
+    });
+  }
+  
+  return { categories, mapping };
+}
+
+/**
+ * Keep the relationships of both sources on the draft categories
+ * A relationship present in both sources with the same type and direction
+ * between aligned categories is kept once, with averaged characteristics.
+ * @param {Object} first - First graph
+ * @param {Object} second - Second graph
+ * @param {Object} mapping - Draft category ID of every source category, per source
+ * @param {string} conceptId - Draft concept ID
+ * @returns {Array<Object>} Draft relationships with their source relationships
+ */
+function mergeRelationships(first, second, mapping, conceptId) {
+  const relationships = [];
+  const byKey = new Map();
+  
+  const add = (graph, rel, sourceMapping, origin) => {
+    const sourceId = sourceMapping.get(rel.source_id);
+    const targetId = sourceMapping.get(rel.target_id);
+    
+    // Dangling relationships are not carried over
+    if (!sourceId || !targetId) return;
+    
+    const bidirectional = rel.direction === RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL;
+    const key = `${bidirectional ? pairKey(sourceId, targetId) : `${sourceId}>${targetId}`}|${rel.type}`;
+    const reference = { concept_id: graph.concept_id, relationship_id: rel.relationship_id };
+    const existing = byKey.get(key);
+    
+    if (existing && existing.metadata.synthesis.origin === ORIGINS.FIRST && origin === ORIGINS.SECOND) {
+      existing.strength = averageCharacteristic(existing.strength, rel.strength);
+      existing.certainty = averageCharacteristic(existing.certainty, rel.certainty);
+      existing.description = existing.description || rel.description || '';
+      existing.traditions = unionNames(existing.traditions, rel.traditions);
+      existing.philosophers = unionNames(existing.philosophers, rel.philosophers);
+      existing.metadata.synthesis.origin = ORIGINS.BOTH;
+      existing.metadata.synthesis.sources.push(reference);
+      return;
+    }
+    
+    const relationship = {
+      relationship_id: draftId(conceptId, 'relationship', graph.concept_id, rel.relationship_id),
+      concept_id: conceptId,
+      source_id: sourceId,
+      target_id: targetId,
+      type: rel.type,
+      direction: rel.direction,
+      strength: rel.strength,
+      certainty: rel.certainty,
+      description: rel.description || '',
+      traditions: [...(rel.traditions || [])],
+      philosophers: [...(rel.philosophers || [])],
+      metadata: { synthesis: { origin, sources: [reference] } }
+    };
+    
+    if (!existing) byKey.set(key, relationship);
+    relationships.push(relationship);
+  };
+  
+  for (const rel of first.relationships) add(first, rel, mapping.first, ORIGINS.FIRST);
+  for (const rel of second.relationships) add(second, rel, mapping.second, ORIGINS.SECOND);
+  
+  return relationships;
+}
+
+/**
+ * Classify the tension between two relationships on the same category pair
+ * @param {Object} a - Relationship from the first source
+ * @param {Object} b - Relationship from the second source
+ * @returns {string|null} One of TENSION_KINDS, or null if they do not conflict
+ */
+function tensionKind(a, b) {
+  const oppositional = RELATIONSHIP_TYPES.OPPOSITIONAL;
+  
+  if ((a.type === oppositional && CONNECTIVE_TYPES.includes(b.type)) ||
+      (b.type === oppositional && CONNECTIVE_TYPES.includes(a.type))) {
+    return TENSION_KINDS.OPPOSING_TYPES;
+  }
+  
+  if (a.type === b.type && ORDERED_TYPES.includes(a.type) &&
+      a.direction !== RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL &&
+      b.direction !== RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL &&
+      a.source_id === b.target_id && a.target_id === b.source_id) {
+    return TENSION_KINDS.REVERSED_DIRECTION;
+  }
+  
+  return null;
+}
+
+/**
+ * Find the pairs of aligned categories the sources relate in opposing ways
+ * @param {Array<Object>} relationships - Draft relationships
+ * @param {Map<string, Object>} categoriesById - Draft categories by ID
+ * @param {string} conceptId - Draft concept ID
+ * @returns {Array<Object>} Tensions
+ */
+function findTensions(relationships, categoriesById, conceptId) {
+  const byPair = new Map();
+  
+  for (const rel of relationships) {
+    if (rel.source_id === rel.target_id) continue;
+    
+    const key = pairKey(rel.source_id, rel.target_id);
+    if (!byPair.has(key)) byPair.set(key, { first: [], second: [] });
+    
+    const { origin } = rel.metadata.synthesis;
+    if (origin === ORIGINS.FIRST) byPair.get(key).first.push(rel);
+    if (origin === ORIGINS.SECOND) byPair.get(key).second.push(rel);
+  }
+  
+  const tensions = [];
+  const describe = rel => ({
+    relationship_id: rel.relationship_id,
+    type: rel.type,
+    direction: rel.direction,
+    source_id: rel.source_id,
+    target_id: rel.target_id
+  });
+  
+  for (const [key, { first, second }] of byPair) {
+    for (const a of first) {
+      for (const b of second) {
+        const kind = tensionKind(a, b);
+        if (!kind) continue;
+        
+        const categoryIds = key.split('|');
+        tensions.push({
+          tension_id: draftId(conceptId, 'tension', a.relationship_id, b.relationship_id),
+          kind,
+          category_ids: categoryIds,
+          category_names: categoryIds.map(id => categoriesById.get(id).name),
+          first: describe(a),
+          second: describe(b)
+        });
+      }
+    }
+  }
+  
+  return tensions;
+}
+
+/**
+ * Add a placeholder synthetic category for every category pair in tension
+ * Each placeholder is tied to both categories of the pair by a
+ * bidirectional dialectical relationship, to be named and defined later.
+ * @param {Array<Object>} tensions - Tensions, annotated with their placeholder ID
+ * @param {Map<string, Object>} categoriesById - Draft categories by ID
+ * @param {string} conceptId - Draft concept ID
+ * @returns {Object} Object with placeholder categories and relationships
+ */
+function createPlaceholders(tensions, categoriesById, conceptId) {
+  const categories = [];
+  const relationships = [];
+  const byPair = new Map();
+  
+  for (const tension of tensions) {
+    const key = tension.category_ids.join('|');
+    
+    if (!byPair.has(key)) {
+      const [a, b] = tension.category_ids.map(id => categoriesById.get(id));
+      const id = draftId(conceptId, 'placeholder', key);
+      
+      categories.push({
+        category_id: id,
+        concept_id: conceptId,
+        name: `Synthesis of ${a.name} and ${b.name}`.slice(0, MAX_NAME_LENGTH),
+        definition: '',
+        centrality: Math.max(a.centrality, b.centrality),
+        certainty: CHARACTERISTICS.SCALE.LOW,
+        historical_significance: CHARACTERISTICS.SCALE.LOW,
+        traditions: unionNames(a.traditions, b.traditions),
+        philosophers: unionNames(a.philosophers, b.philosophers),
+        metadata: { synthesis: { origin: ORIGINS.SYNTHETIC, placeholder: true, tension_ids: [] } }
+      });
+      
+      for (const category of [a, b]) {
+        relationships.push({
+          relationship_id: draftId(conceptId, 'placeholder-relationship', id, category.category_id),
+          concept_id: conceptId,
+          source_id: id,
+          target_id: category.category_id,
+          type: RELATIONSHIP_TYPES.DIALECTICAL,
+          direction: RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL,
+          strength: CHARACTERISTICS.SCALE.MEDIUM,
+          certainty: CHARACTERISTICS.SCALE.LOW,
+          description: '',
+          traditions: [],
+          philosophers: [],
+          metadata: { synthesis: { origin: ORIGINS.SYNTHETIC, placeholder: true } }
+        });
+      }
+      
+      byPair.set(key, categories[categories.length - 1]);
+    }
+    
+    const placeholder = byPair.get(key);
+    placeholder.metadata.synthesis.tension_ids.push(tension.tension_id);
+    tension.placeholder_id = placeholder.category_id;
+  }
+  
+  return { categories, relationships };
+}
+
+/**
+ * Check the method and innovation degree of a synthesis
+ * @param {string} method - Synthesis method
+ * @param {number} [innovationDegree] - Innovation degree
+ * @throws {BadRequestError} If the method is unknown or the degree is not an integer from 0 to 100
+ */
+function assertOptions(method, innovationDegree) {
+  const methods = Object.values(SYNTHESIS_METHODS);
+  
+  if (!methods.includes(method)) {
+    throw new BadRequestError(
+      `Unsupported synthesis method '${method}'. Supported methods: ${methods.join(', ')}`,
+      errorCodes.INVALID_SYNTHESIS_OPTIONS,
+      { method }
+    );
+  }
+  
+  if (innovationDegree !== undefined &&
+      (!Number.isInteger(innovationDegree) || innovationDegree < 0 || innovationDegree > 100)) {
+    throw new BadRequestError(
+      'Innovation degree must be an integer from 0 to 100',
+      errorCodes.INVALID_SYNTHESIS_OPTIONS,
+      { innovationDegree }
+    );
+  }
+}
+
+/**
+ * Build a draft synthesis of two concept graphs
+ * The integrative and dialectical methods align categories by name
+ * similarity; the eclectic method only merges categories with the same
+ * name. The dialectical method also adds placeholder synthetic categories
+ * at the points of tension. Focus and innovation degree are recorded in the
+ * draft for the Claude request but do not change the local draft. Since
+ * both sides of a tension are kept, a draft with tensions does not pass
+ * structural validation until they are resolved.
+ * @param {Object} first - First graph with categories and relationships
+ * @param {Object} second - Second graph with categories and relationships
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.conceptId] - ID of the synthesized concept (derived from the sources by default)
+ * @param {string} [options.method='integrative'] - One of SYNTHESIS_METHODS
+ * @param {string} [options.focus] - Synthesis focus
+ * @param {number} [options.innovationDegree] - Innovation degree (0-100)
+ * @param {boolean} [options.placeholders] - Add placeholder categories (default: dialectical method only)
+ * @param {number} [options.alignmentThreshold] - Minimum name similarity to merge categories
+ * @returns {Object} Plain draft graph data with categories, relationships, metadata and report
+ * @throws {BadRequestError} If the method or innovation degree is invalid
+ */
+function synthesizeGraphs(first, second, options = {}) {
+  const method = options.method || SYNTHESIS_METHODS.INTEGRATIVE;
+  assertOptions(method, options.innovationDegree);
+  
+  const conceptId = options.conceptId || draftId('concept', first.concept_id, second.concept_id, method);
+  const threshold = options.alignmentThreshold !== undefined
+    ? options.alignmentThreshold
+    : method === SYNTHESIS_METHODS.ECLECTIC ? 1 : SIMILARITY_DEFAULTS.alignmentThreshold;
+  const withPlaceholders = options.placeholders !== undefined
+    ? options.placeholders
+    : method === SYNTHESIS_METHODS.DIALECTICAL;
+  
+  const alignments = alignCategories(first, second, threshold);
+  const { categories, mapping } = mergeCategories(first, second, alignments, conceptId);
+  const relationships = mergeRelationships(first, second, mapping, conceptId);
+  const categoriesById = new Map(categories.map(c => [c.category_id, c]));
+  const tensions = findTensions(relationships, categoriesById, conceptId);
+  
+  if (withPlaceholders) {
+    const placeholders = createPlaceholders(tensions, categoriesById, conceptId);
+    categories.push(...placeholders.categories);
+    relationships.push(...placeholders.relationships);
+  }
+  
+  const count = (elements, origin) => elements.filter(e => e.metadata.synthesis.origin === origin).length;
+  
+  const report = {
+    parent_concepts: [first.concept_id, second.concept_id],
+    method,
+    focus: options.focus || null,
+    innovation_degree: options.innovationDegree !== undefined ? options.innovationDegree : null,
+    alignments,
+    tensions,
+    counts: {
+      categories: {
+        merged: count(categories, ORIGINS.BOTH),
+        first_only: count(categories, ORIGINS.FIRST),
+        second_only: count(categories, ORIGINS.SECOND),
+        placeholders: count(categories, ORIGINS.SYNTHETIC)
+      },
+      relationships: {
+        merged: count(relationships, ORIGINS.BOTH),
+        first_only: count(relationships, ORIGINS.FIRST),
+        second_only: count(relationships, ORIGINS.SECOND),
+        placeholders: count(relationships, ORIGINS.SYNTHETIC)
+      }
+    }
+  };
+  
+  return {
+    concept_id: conceptId,
+    status: GRAPH_DRAFT,
+    categories,
+    relationships,
+    metadata: {
+      synthesis: {
+        draft: true,
+        parent_concepts: report.parent_concepts,
+        method,
+        focus: report.focus,
+        innovation_degree: report.innovation_degree,
+        tensions
+      }
+    },
+    report
+  };
+}
+
+module.exports = {
+  TENSION_KINDS,
+  ORIGINS,
+  synthesizeGraphs
+};
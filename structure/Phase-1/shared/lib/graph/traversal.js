@@ -0,0 +1,285 @@
+/**
+ * Multi-hop traversal of concept graphs
+ * k-hop neighborhoods, shortest paths and all paths between categories,
+ * optionally restricted to some relationship types and a minimum strength.
+ * The semantics match the Cypher generated by findNeighborhood,
+ * findShortestPath, findAllShortestPaths and findAllPaths in cypherBuilder.js.
+ */
+
+const { RELATIONSHIP_DIRECTIONS } = require('../../constants/philosophyConstants');
+
+// Traversal directions
+const DIRECTIONS = {
+  OUTGOING: 'outgoing',
+  INCOMING: 'incoming',
+  BOTH: 'both'
+};
+
+// Default traversal options
+const DEFAULT_OPTIONS = {
+  direction: DIRECTIONS.OUTGOING,
+  types: null,
+  minStrength: null,
+  depth: 1,
+  maxDepth: 5,
+  limit: 100
+};
+
+/**
+ * A path between two categories
+ * @typedef {Object} TraversalPath
+ * @property {Array<string>} category_ids - Categories along the path, source first
+ * @property {Array<string>} relationship_ids - Relationships along the path
+ * @property {number} length - Number of relationships
+ */
+
+/**
+ * Check whether a relationship passes the type and strength filters
+ * @param {Object} relationship - Relationship
+ * @param {Object} options - Traversal options
+ * @returns {boolean} Whether the relationship may be traversed
+ */
+function passesFilters(relationship, options) {
+  if (options.types && options.types.length > 0 && !options.types.includes(relationship.type)) {
+    return false;
+  }
+  if (options.minStrength !== null && options.minStrength !== undefined &&
+      !(relationship.strength >= options.minStrength)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Build the list of traversable steps from every category
+ * Relationships are followed from source to target for "outgoing", from
+ * target to source for "incoming" and both ways for "both". Bidirectional
+ * relationships can always be followed both ways.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {Object} options - Traversal options
+ * @returns {Map<string, Array<Object>>} Steps ({ relationship_id, category_id }) by category ID
+ */
+function buildStepIndex(graph, options) {
+  const steps = new Map(graph.categories.map(c => [c.category_id, []]));
+  
+  for (const rel of graph.relationships) {
+    // Skip dangling relationships
+    if (!steps.has(rel.source_id) || !steps.has(rel.target_id)) continue;
+    if (!passesFilters(rel, options)) continue;
+    
+    const bidirectional = rel.direction === RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL;
+    const forward = bidirectional || options.direction !== DIRECTIONS.INCOMING;
+    const backward = bidirectional || options.direction !== DIRECTIONS.OUTGOING;
+    
+    if (forward) {
+      steps.get(rel.source_id).push({ relationship_id: rel.relationship_id, category_id: rel.target_id });
+    }
+    if (backward && rel.source_id !== rel.target_id) {
+      steps.get(rel.target_id).push({ relationship_id: rel.relationship_id, category_id: rel.source_id });
+    }
+  }
+  
+  return steps;
+}
+
+/**
+ * Extract the k-hop neighborhood of a category
+ * The neighborhood holds every category reachable in at most `depth` steps
+ * and every relationship traversed on the way there, so relationships
+ * between two categories at the outer border are not included.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {string} categoryId - Start category ID
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.depth=1] - Maximum number of hops
+ * @param {string} [options.direction='both'] - "outgoing", "incoming" or "both"
+ * @param {Array<string>} [options.types] - Only follow these relationship types
+ * @param {number} [options.minStrength] - Only follow relationships at least this strong
+ * @returns {Object|null} Categories with their distance and relationship IDs, or null if the category is unknown
+ */
+function neighborhood(graph, categoryId, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, direction: DIRECTIONS.BOTH, ...options };
+  const steps = buildStepIndex(graph, opts);
+  
+  if (!steps.has(categoryId)) return null;
+  
+  const distances = new Map([[categoryId, 0]]);
+  const relationshipIds = new Set();
+  const queue = [categoryId];
+  
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const distance = distances.get(current);
+    
+    if (distance >= opts.depth) continue;
+    
+    for (const step of steps.get(current)) {
+      relationshipIds.add(step.relationship_id);
+      
+      if (!distances.has(step.category_id)) {
+        distances.set(step.category_id, distance + 1);
+        queue.push(step.category_id);
+      }
+    }
+  }
+  
+  return {
+    categories: [...distances].map(([id, distance]) => ({ category_id: id, distance })),
+    relationship_ids: [...relationshipIds]
+  };
+}
+
+/**
+ * Run a breadth-first search recording every shortest-path predecessor
+ * @param {Map<string, Array<Object>>} steps - Step index
+ * @param {string} sourceId - Source category ID
+ * @param {string} targetId - Target category ID
+ * @param {number} maxDepth - Maximum path length
+ * @returns {Map<string, Object>} Distance and predecessor steps by category ID
+ */
+function shortestPathSearch(steps, sourceId, targetId, maxDepth) {
+  const visited = new Map([[sourceId, { distance: 0, predecessors: [] }]]);
+  let frontier = [sourceId];
+  
+  while (frontier.length > 0 && !visited.has(targetId)) {
+    const next = [];
+    
+    for (const current of frontier) {
+      const distance = visited.get(current).distance;
+      if (distance >= maxDepth) continue;
+      
+      for (const step of steps.get(current)) {
+        const entry = visited.get(step.category_id);
+        const predecessor = { category_id: current, relationship_id: step.relationship_id };
+        
+        if (!entry) {
+          visited.set(step.category_id, { distance: distance + 1, predecessors: [predecessor] });
+          next.push(step.category_id);
+        } else if (entry.distance === distance + 1) {
+          entry.predecessors.push(predecessor);
+        }
+      }
+    }
+    
+    frontier = next;
+  }
+  
+  return visited;
+}
+
+/**
+ * Find a shortest path (fewest relationships) between two categories
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {string} sourceId - Source category ID
+ * @param {string} targetId - Target category ID
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.direction='outgoing'] - "outgoing", "incoming" or "both"
+ * @param {Array<string>} [options.types] - Only follow these relationship types
+ * @param {number} [options.minStrength] - Only follow relationships at least this strong
+ * @param {number} [options.maxDepth=5] - Maximum path length
+ * @returns {TraversalPath|null} Path or null if the categories are not connected
+ */
+function shortestPath(graph, sourceId, targetId, options = {}) {
+  const paths = allShortestPaths(graph, sourceId, targetId, { ...options, limit: 1 });
+  return paths.length > 0 ? paths[0] : null;
+}
+
+/**
+ * Find all shortest paths between two categories
+ * Parallel relationships give distinct paths.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {string} sourceId - Source category ID
+ * @param {string} targetId - Target category ID
+ * @param {Object} [options={}] - Options (see shortestPath)
+ * @param {number} [options.limit=100] - Maximum number of paths
+ * @returns {Array<TraversalPath>} Paths, empty if the categories are not connected
+ */
+function allShortestPaths(graph, sourceId, targetId, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const steps = buildStepIndex(graph, opts);
+  
+  if (!steps.has(sourceId) || !steps.has(targetId)) return [];
+  
+  const visited = shortestPathSearch(steps, sourceId, targetId, opts.maxDepth);
+  if (!visited.has(targetId)) return [];
+  
+  // Walk the predecessors back from the target
+  const paths = [];
+  const walk = (categoryId, categoryIds, relationshipIds) => {
+    if (paths.length >= opts.limit) return;
+    
+    if (categoryId === sourceId) {
+      paths.push({
+        category_ids: [sourceId, ...categoryIds],
+        relationship_ids: relationshipIds,
+        length: relationshipIds.length
+      });
+      return;
+    }
+    
+    for (const predecessor of visited.get(categoryId).predecessors) {
+      walk(predecessor.category_id, [categoryId, ...categoryIds], [predecessor.relationship_id, ...relationshipIds]);
+    }
+  };
+  
+  walk(targetId, [], []);
+  
+  return paths;
+}
+
+/**
+ * Find all paths between two categories, shortest first
+ * Paths never visit a category twice.
+ * @param {Object} graph - Graph with categories and relationships
+ * @param {string} sourceId - Source category ID
+ * @param {string} targetId - Target category ID
+ * @param {Object} [options={}] - Options (see shortestPath)
+ * @param {number} [options.limit=100] - Maximum number of paths
+ * @returns {Array<TraversalPath>} Paths, empty if the categories are not connected
+ */
+function allPaths(graph, sourceId, targetId, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const steps = buildStepIndex(graph, opts);
+  
+  if (!steps.has(sourceId) || !steps.has(targetId) || sourceId === targetId) return [];
+  
+  // Breadth-first over partial paths yields complete paths in order of length
+  const paths = [];
+  let partials = [{ category_ids: [sourceId], relationship_ids: [] }];
+  
+  for (let length = 1; length <= opts.maxDepth && partials.length > 0; length++) {
+    const next = [];
+    
+    for (const partial of partials) {
+      const last = partial.category_ids[partial.category_ids.length - 1];
+      
+      for (const step of steps.get(last)) {
+        if (partial.category_ids.includes(step.category_id)) continue;
+        
+        const extended = {
+          category_ids: [...partial.category_ids, step.category_id],
+          relationship_ids: [...partial.relationship_ids, step.relationship_id]
+        };
+        
+        if (step.category_id === targetId) {
+          paths.push({ ...extended, length });
+          if (paths.length >= opts.limit) return paths;
+        } else {
+          next.push(extended);
+        }
+      }
+    }
+    
+    partials = next;
+  }
+  
+  return paths;
+}
+
+module.exports = {
+  DIRECTIONS,
+  DEFAULT_OPTIONS,
+  neighborhood,
+  shortestPath,
+  allShortestPaths,
+  allPaths
+};
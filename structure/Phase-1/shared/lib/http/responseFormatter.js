@@ -30,19 +30,47 @@ function success(data, meta = {}, message) {
   return response;
 }
 
+/**
+ * Build the link to another cursor page
+ * @param {string} url - URL of the current request
+ * @param {string|null} cursor - Cursor of the other page
+ * @returns {string|null} Relative URL, or null if there is no such page
+ */
+function cursorLink(url, cursor) {
+  if (!cursor) {
+    return null;
+  }
+  
+  // The base is only needed to parse relative request URLs
+  const link = new URL(url, 'http://localhost');
+  link.searchParams.set('cursor', cursor);
+  link.searchParams.delete('page');
+  
+  return `${link.pathname}${link.search}`;
+}
+
 /**
  * Format a paginated response
+ * Pagination with nextCursor or prevCursor is formatted as keyset
+ * (cursor) pagination, anything else as page pagination.
  * @param {Array} data - Paginated data
  * @param {Object} pagination - Pagination information
- * @param {number} pagination.total - Total number of items
- * @param {number} pagination.page - Current page number
+ * @param {number} [pagination.total] - Total number of items (optional for cursor pagination)
+ * @param {number} [pagination.page] - Current page number
  * @param {number} pagination.pageSize - Page size
  * @param {number} [pagination.pageCount] - Total number of pages
+ * @param {string|null} [pagination.nextCursor] - Cursor of the next page
+ * @param {string|null} [pagination.prevCursor] - Cursor of the previous page
+ * @param {string} [pagination.url] - Request URL to build next and previous links from
  * @param {Object} [meta={}] - Additional metadata
  * @param {string} [message] - Success message
  * @returns {Object} Formatted paginated response
  */
 function paginated(data, pagination, meta = {}, message) {
+  if ('nextCursor' in pagination || 'prevCursor' in pagination) {
+    return cursorPaginated(data, pagination, meta, message);
+  }
+  
   const pageCount = pagination.pageCount || 
     Math.ceil(pagination.total / pagination.pageSize);
   
@@ -61,6 +89,68 @@ function paginated(data, pagination, meta = {}, message) {
   );
 }
 
+/**
+ * Build the pagination information of a list result
+ * Queries with a cursor (even an empty one, asking for the first page) get
+ * keyset pagination, other queries page pagination.
+ * @param {Object} result - List result with total, or nextCursor and prevCursor
+ * @param {Object} query - Validated query with page or cursor, and pageSize
+ * @returns {Object} Pagination information for paginated()
+ */
+function toPagination(result, query) {
+  if (query.cursor !== undefined) {
+    return {
+      pageSize: query.pageSize,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor
+    };
+  }
+  
+  return {
+    total: result.total,
+    page: query.page,
+    pageSize: query.pageSize
+  };
+}
+
+/**
+ * Format a cursor paginated response
+ * @param {Array} data - Paginated data
+ * @param {Object} pagination - Pagination information
+ * @param {Object} [meta={}] - Additional metadata
+ * @param {string} [message] - Success message
+ * @returns {Object} Formatted paginated response
+ */
+function cursorPaginated(data, pagination, meta, message) {
+  const nextCursor = pagination.nextCursor || null;
+  const prevCursor = pagination.prevCursor || null;
+  const result = {
+    pageSize: pagination.pageSize,
+    nextCursor,
+    prevCursor
+  };
+  
+  if (pagination.total !== undefined) {
+    result.total = pagination.total;
+  }
+  
+  if (pagination.url) {
+    result.links = {
+      next: cursorLink(pagination.url, nextCursor),
+      prev: cursorLink(pagination.url, prevCursor)
+    };
+  }
+  
+  return success(
+    data,
+    {
+      pagination: result,
+      ...meta
+    },
+    message
+  );
+}
+
 /**
  * Format an error response
  * @param {Error|AppError} error - Error object
@@ -274,7 +364,7 @@ function createResponseFormatter() {
      * @returns {Object} Express response
      */
     res.sendPaginated = function(data, pagination, meta = {}, message) {
-      return res.json(paginated(data, pagination, meta, message));
+      return res.json(paginated(data, { url: req.originalUrl, ...pagination }, meta, message));
     };
     
     /**
@@ -357,6 +447,7 @@ function createResponseFormatter() {
 module.exports = {
   success,
   paginated,
+  toPagination,
   error,
   validationError,
   notFound,
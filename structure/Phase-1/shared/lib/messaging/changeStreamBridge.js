@@ -0,0 +1,194 @@
+/**
+ * Bridge from MongoDB change streams to domain events
+ * Publishes a domain event for every insert, update, replace and delete in
+ * the watched collections, so other services learn about changes however
+ * they were written. Delivery is at least once: events are published before
+ * the resume token of their change is stored, so no change is lost, but one
+ * is published again if the process stops before its token is stored or if
+ * publishing is retried after a failure. Repeats carry the same event ID
+ * (derived from the resume token), which consumers use to skip them (see
+ * EventConsumer).
+ */
+
+const { v5: uuidv5 } = require('uuid');
+const { defaultClient } = require('../db/mongodb/client');
+const { defaultEventProducer } = require('./producers');
+const { defaultLogger } = require('../logging/logger');
+
+// Namespace of the event IDs derived from resume tokens
+const EVENT_ID_NAMESPACE = '6f1c2a4e-8d3b-4f5a-9c7e-2b1d0e3f4a5b';
+
+// Watched collections, with the entity of their events and the field holding the entity ID
+const DEFAULT_COLLECTIONS = {
+  theses: { entity: 'thesis', idField: 'thesis_id' },
+  dialogues: { entity: 'dialogue', idField: 'dialogue_id' },
+  categoryDescriptions: { entity: 'category_description', idField: 'description_id' },
+  relationshipDescriptions: { entity: 'relationship_description', idField: 'description_id' }
+};
+
+// Domain event action of each change operation
+const ACTIONS = {
+  insert: 'created',
+  update: 'updated',
+  replace: 'updated',
+  delete: 'deleted'
+};
+
+/**
+ * Change stream to domain event bridge
+ */
+class ChangeStreamEventBridge {
+  /**
+   * Create a new change stream bridge
+   * @param {Object} [options={}] - Options
+   * @param {MongoDbClient} [options.client=defaultClient] - MongoDB client
+   * @param {EventProducer} [options.producer=defaultEventProducer] - Event producer
+   * @param {Object} [options.logger=defaultLogger] - Logger instance
+   * @param {string} [options.name='domain-events'] - Subscription name, the key of the stored resume token
+   * @param {Object<string, Object>} [options.collections] - Entity and ID field by watched collection
+   * @param {string} [options.source='mongodb-change-stream'] - Source of the published events
+   * @param {Object} [options.subscription={}] - Further change stream subscription options,
+   *   e.g. fullDocumentBeforeChange to include deleted documents (MongoDB 6.0+); its onError
+   *   is called after the bridge has stopped
+   */
+  constructor(options = {}) {
+    this.client = options.client || defaultClient;
+    this.producer = options.producer || defaultEventProducer;
+    this.logger = options.logger || defaultLogger;
+    this.name = options.name || 'domain-events';
+    this.collections = options.collections || DEFAULT_COLLECTIONS;
+    this.source = options.source || 'mongodb-change-stream';
+    this.subscriptionOptions = options.subscription || {};
+    this.subscription = null;
+    this.error = null;
+  }
+  
+  /**
+   * Start publishing events
+   * Restarts the bridge after the subscription stopped on an error.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.subscription) {
+      return;
+    }
+    
+    this.error = null;
+    this.subscription = await this.client.watch(
+      this.name,
+      (change) => this.handleChange(change),
+      {
+        ...this.subscriptionOptions,
+        collections: Object.keys(this.collections),
+        pipeline: [{ $match: { operationType: { $in: Object.keys(ACTIONS) } } }],
+        onError: (err) => this.handleStop(err)
+      }
+    );
+  }
+  
+  /**
+   * Stop publishing events
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.subscription) {
+      await this.subscription.close();
+      this.subscription = null;
+    }
+  }
+  
+  /**
+   * Record that the subscription stopped on an error
+   * Events are no longer published until start is called again.
+   * @param {Error} err - Error the subscription stopped on
+   * @private
+   */
+  handleStop(err) {
+    this.error = err;
+    this.subscription = null;
+    
+    this.logger.error('Domain event bridge stopped, changes are no longer published', {
+      name: this.name,
+      error: err.message
+    });
+    
+    if (this.subscriptionOptions.onError) {
+      this.subscriptionOptions.onError(err);
+    }
+  }
+  
+  /**
+   * Publish the domain event of a change
+   * @param {Object} change - Change event
+   * @returns {Promise<string|null>} Event ID, or null if the change is not published
+   * @private
+   */
+  async handleChange(change) {
+    const collection = this.collections[change.ns.coll];
+    const action = ACTIONS[change.operationType];
+    
+    if (!collection || !action) {
+      return null;
+    }
+    
+    const eventId = await this.producer.publishDomainEvent(
+      collection.entity,
+      action,
+      ChangeStreamEventBridge.eventData(change, collection.idField),
+      {
+        eventId: uuidv5(`${this.name}:${change._id._data}`, EVENT_ID_NAMESPACE),
+        source: this.source
+      }
+    );
+    
+    this.logger.debug(`Published domain event: ${collection.entity}.${action}`, {
+      eventId,
+      collection: change.ns.coll
+    });
+    
+    return eventId;
+  }
+  
+  /**
+   * Build the data of the domain event of a change
+   * Deleted documents are only included when the stream has pre-images.
+   * @param {Object} change - Change event
+   * @param {string} idField - Field holding the entity ID
+   * @returns {Object} Event data with the entity ID, the collection, the
+   *   MongoDB _id, the document (without _id), the changed fields of an
+   *   update and the time of the change
+   */
+  static eventData(change, idField) {
+    const source = change.fullDocument || change.fullDocumentBeforeChange || null;
+    let document = null;
+    
+    if (source) {
+      const { _id, ...fields } = source;
+      document = fields;
+    }
+    
+    const data = {
+      id: document ? document[idField] : null,
+      collection: change.ns.coll,
+      mongoId: String(change.documentKey._id),
+      document,
+      changedAt: change.clusterTime ? new Date(change.clusterTime.getHighBits() * 1000).toISOString() : null
+    };
+    
+    if (change.updateDescription) {
+      data.updatedFields = change.updateDescription.updatedFields;
+      data.removedFields = change.updateDescription.removedFields;
+    }
+    
+    return data;
+  }
+}
+
+// Create and export default instance
+const defaultChangeStreamEventBridge = new ChangeStreamEventBridge();
+
+module.exports = {
+  ChangeStreamEventBridge,
+  defaultChangeStreamEventBridge,
+  DEFAULT_COLLECTIONS
+};
@@ -267,6 +267,11 @@ class TaskConsumer extends BaseConsumer {
 
 /**
  * Event consumer for processing events
+ * Events are delivered at least once, e.g. the change stream bridge
+ * publishes a change again after a restart. An event whose ID was handled
+ * among the last dedupeSize events is acknowledged without calling its
+ * handler again; handlers that must not repeat across consumer restarts
+ * still have to be idempotent.
  */
 class EventConsumer extends BaseConsumer {
   /**
@@ -277,6 +282,7 @@ class EventConsumer extends BaseConsumer {
    * @param {string} [options.routingKey] - Routing key pattern
    * @param {Object} [options.queueOptions={}] - Queue options
    * @param {Object} [options.consumeOptions={}] - Consume options
+   * @param {number} [options.dedupeSize=1000] - Handled event IDs remembered to skip repeats (0 to disable)
    * @param {Object} [options.channelManager=defaultChannelManager] - Channel manager instance
    * @param {Object} [options.logger=defaultLogger] - Logger instance
    */
@@ -296,6 +302,67 @@ class EventConsumer extends BaseConsumer {
     
     // Create a map for event handlers
     this.eventHandlers = new Map();
+    
+    // IDs of recently handled events, oldest first
+    this.dedupeSize = options.dedupeSize !== undefined ? options.dedupeSize : 1000;
+    this.handledEventIds = new Set();
+  }
+  
+  /**
+   * Register a message handler that remembers the IDs of the events it handled
+   * @param {string} type - Message type
+   * @param {function} handler - Handler function
+   * @returns {EventConsumer} This consumer instance
+   */
+  registerHandler(type, handler) {
+    if (typeof handler !== 'function') {
+      return super.registerHandler(type, handler);
+    }
+    
+    return super.registerHandler(type, async (content, msg, channel) => {
+      await handler(content, msg, channel);
+      this.rememberEvent(content.eventId);
+    });
+  }
+  
+  /**
+   * Handle a message, skipping events handled before
+   * @param {Object} content - Message content
+   * @param {Object} msg - RabbitMQ message
+   * @param {Object} channel - RabbitMQ channel
+   * @returns {Promise<void>} Promise that resolves when the message is handled
+   * @private
+   */
+  async handleMessage(content, msg, channel) {
+    if (content && content.eventId && this.handledEventIds.has(content.eventId)) {
+      this.logger.debug(`Skipping repeated event ${content.eventId}`);
+      
+      if (!this.consumeOptions.noAck) {
+        channel.ack(msg);
+      }
+      
+      return;
+    }
+    
+    return super.handleMessage(content, msg, channel);
+  }
+  
+  /**
+   * Remember the ID of a handled event, forgetting the oldest beyond dedupeSize
+   * @param {string} [eventId] - Event ID
+   * @private
+   */
+  rememberEvent(eventId) {
+    if (!eventId || this.dedupeSize <= 0) {
+      return;
+    }
+    
+    this.handledEventIds.add(eventId);
+    
+    if (this.handledEventIds.size > this.dedupeSize) {
+      const oldest = this.handledEventIds.values().next().value;
+      this.handledEventIds.delete(oldest);
+    }
   }
   
   /**
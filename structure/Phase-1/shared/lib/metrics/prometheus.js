@@ -90,6 +90,13 @@ function initializeMetrics(config = {}) {
     registers: [registry]
   });
   
+  const dbTransactionRetriesTotal = new prometheus.Counter({
+    name: 'db_transaction_retries_total',
+    help: 'Total number of database transactions retried after a transient error',
+    labelNames: ['operation', 'entity'],
+    registers: [registry]
+  });
+  
   // Create Claude API metrics
   const claudeApiRequestsTotal = new prometheus.Counter({
     name: 'claude_api_requests_total',
@@ -144,6 +151,7 @@ function initializeMetrics(config = {}) {
     httpResponseSize,
     dbOperationsTotal,
     dbOperationDuration,
+    dbTransactionRetriesTotal,
     claudeApiRequestsTotal,
     claudeApiRequestDuration,
     claudeApiTokensUsed,
@@ -0,0 +1,111 @@
+/**
+ * Text analyzer for full-text search
+ * Splits text into word tokens, lowercases them, drops stopwords and stems
+ * Cyrillic words with the Russian stemmer and Latin words with the English
+ * one. Tokens keep their offsets in the original text so matches can be
+ * highlighted.
+ */
+
+const { stemRussian } = require('./russianStemmer');
+const { stemEnglish } = require('./englishStemmer');
+
+// Words made of letters and digits
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const CYRILLIC_PATTERN = /[Ѐ-ӿ]/;
+
+const RUSSIAN_STOPWORDS = new Set([
+  'и', 'в', 'во', 'не', 'что', 'он', 'на', 'я', 'с', 'со', 'как', 'а', 'то', 'все', 'она', 'так',
+  'его', 'но', 'да', 'ты', 'к', 'у', 'же', 'вы', 'за', 'бы', 'по', 'только', 'ее', 'мне', 'было',
+  'вот', 'от', 'меня', 'еще', 'нет', 'о', 'из', 'ему', 'ли', 'если', 'или', 'ни', 'быть', 'был',
+  'него', 'до', 'вас', 'уже', 'для', 'мы', 'их', 'это', 'этот', 'эта', 'эти', 'при', 'без', 'под',
+  'над', 'об', 'они', 'оно', 'который', 'которая', 'которое', 'которые', 'также', 'чем', 'где'
+]);
+
+const ENGLISH_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'if', 'in', 'into', 'is',
+  'it', 'its', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there',
+  'these', 'they', 'this', 'to', 'was', 'were', 'which', 'will', 'with'
+]);
+
+/**
+ * Normalize a word for indexing
+ * @param {string} word - Word as it appears in the text
+ * @returns {string} Lowercase word with ё replaced by е
+ */
+function normalize(word) {
+  return word.toLowerCase().replace(/ё/g, 'е');
+}
+
+/**
+ * Stem a normalized word with the stemmer for its script
+ * Words in other scripts and numbers are kept as they are.
+ * @param {string} word - Normalized word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (CYRILLIC_PATTERN.test(word)) {
+    return stemRussian(word);
+  }
+  if (/^[a-z]+$/.test(word)) {
+    return stemEnglish(word);
+  }
+  return word;
+}
+
+/**
+ * Check whether a normalized word is a stopword
+ * @param {string} word - Normalized word
+ * @returns {boolean} Whether the word is a Russian or English stopword
+ */
+function isStopword(word) {
+  return RUSSIAN_STOPWORDS.has(word) || ENGLISH_STOPWORDS.has(word);
+}
+
+/**
+ * Analyze text into stemmed tokens
+ * @param {string} text - Text
+ * @returns {Array<Object>} Tokens with stem, position (index among the words
+ *   of the text), start and end offsets
+ */
+function analyze(text) {
+  const tokens = [];
+  
+  if (!text) {
+    return tokens;
+  }
+  
+  let position = 0;
+  
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    const word = normalize(match[0]);
+    
+    if (!isStopword(word)) {
+      tokens.push({
+        stem: stem(word),
+        position,
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+    
+    position++;
+  }
+  
+  return tokens;
+}
+
+/**
+ * Analyze a query into its distinct stems
+ * @param {string} query - Query text
+ * @returns {Array<string>} Stems in query order
+ */
+function analyzeQuery(query) {
+  return [...new Set(analyze(query).map((token) => token.stem))];
+}
+
+module.exports = {
+  analyze,
+  analyzeQuery,
+  stem
+};
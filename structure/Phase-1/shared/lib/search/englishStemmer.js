@@ -0,0 +1,246 @@
+/**
+ * English stemmer
+ * Implementation of the Porter stemming algorithm
+ * (https://tartarus.org/martin/PorterStemmer/def.txt), including the
+ * published bli/logi amendments. Expects a lowercase word.
+ */
+
+// Step 2 and 3 suffix replacements, applied when the stem before them has measure > 0
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+  ['logi', 'log']
+];
+
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+// Step 4 suffixes, removed when the stem before them has measure > 1
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+/**
+ * Check whether the letter at a position is a consonant
+ * y is a consonant at the start of a word and after a vowel.
+ * @param {string} word - Word
+ * @param {number} i - Position
+ * @returns {boolean} Whether the letter is a consonant
+ */
+function isConsonant(word, i) {
+  const char = word[i];
+  
+  if ('aeiou'.includes(char)) {
+    return false;
+  }
+  if (char === 'y') {
+    return i === 0 || !isConsonant(word, i - 1);
+  }
+  return true;
+}
+
+/**
+ * Measure a stem: the number of vowel-consonant sequences in it
+ * @param {string} stem - Stem
+ * @returns {number} Measure
+ */
+function measure(stem) {
+  let count = 0;
+  let i = 0;
+  
+  while (i < stem.length && isConsonant(stem, i)) {
+    i++;
+  }
+  
+  while (i < stem.length) {
+    while (i < stem.length && !isConsonant(stem, i)) {
+      i++;
+    }
+    if (i >= stem.length) {
+      break;
+    }
+    count++;
+    while (i < stem.length && isConsonant(stem, i)) {
+      i++;
+    }
+  }
+  
+  return count;
+}
+
+/**
+ * Check whether a stem contains a vowel
+ * @param {string} stem - Stem
+ * @returns {boolean} Whether it contains a vowel
+ */
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether a stem ends with a double consonant
+ * @param {string} stem - Stem
+ * @returns {boolean} Whether the last two letters are the same consonant
+ */
+function endsWithDoubleConsonant(stem) {
+  const last = stem.length - 1;
+  return last > 0 && stem[last] === stem[last - 1] && isConsonant(stem, last);
+}
+
+/**
+ * Check whether a stem ends consonant-vowel-consonant, the last not w, x or y
+ * @param {string} stem - Stem
+ * @returns {boolean} Whether the stem ends with such a sequence
+ */
+function endsWithCvc(stem) {
+  const last = stem.length - 1;
+  
+  return last >= 2 &&
+    isConsonant(stem, last - 2) &&
+    !isConsonant(stem, last - 1) &&
+    isConsonant(stem, last) &&
+    !'wxy'.includes(stem[last]);
+}
+
+/**
+ * Replace the first matching suffix of a list when the stem before it is long enough
+ * @param {string} word - Word
+ * @param {Array<Array<string>>} suffixes - Pairs of suffix and replacement
+ * @param {number} minMeasure - Measure the stem must exceed
+ * @returns {string} Word with the suffix replaced, or unchanged
+ */
+function replaceSuffix(word, suffixes, minMeasure) {
+  for (const [suffix, replacement] of suffixes) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+/**
+ * Step 1: plurals and -ed or -ing
+ * @param {string} word - Word
+ * @returns {string} Word after step 1
+ */
+function step1(word) {
+  if (word.endsWith('sses') || word.endsWith('ies')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !word.endsWith('ss')) {
+    word = word.slice(0, -1);
+  }
+  
+  let removed = false;
+  
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) {
+      word = word.slice(0, -1);
+    }
+  } else if (word.endsWith('ed') && hasVowel(word.slice(0, -2))) {
+    word = word.slice(0, -2);
+    removed = true;
+  } else if (word.endsWith('ing') && hasVowel(word.slice(0, -3))) {
+    word = word.slice(0, -3);
+    removed = true;
+  }
+  
+  if (removed) {
+    if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+      word += 'e';
+    } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+      word = word.slice(0, -1);
+    } else if (measure(word) === 1 && endsWithCvc(word)) {
+      word += 'e';
+    }
+  }
+  
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = `${word.slice(0, -1)}i`;
+  }
+  
+  return word;
+}
+
+/**
+ * Step 4: remove a final suffix from a long stem
+ * @param {string} word - Word
+ * @returns {string} Word after step 4
+ */
+function step4(word) {
+  let match = null;
+  
+  for (const suffix of STEP4_SUFFIXES) {
+    if (word.endsWith(suffix) && (!match || suffix.length > match.length)) {
+      match = suffix;
+    }
+  }
+  
+  if (!match) {
+    return word;
+  }
+  
+  const stem = word.slice(0, -match.length);
+  
+  if (measure(stem) <= 1) {
+    return word;
+  }
+  if (match === 'ion' && !(stem.endsWith('s') || stem.endsWith('t'))) {
+    return word;
+  }
+  
+  return stem;
+}
+
+/**
+ * Step 5: tidy up a final -e and -ll
+ * @param {string} word - Word
+ * @returns {string} Word after step 5
+ */
+function step5(word) {
+  if (word.endsWith('e')) {
+    const stem = word.slice(0, -1);
+    const m = measure(stem);
+    
+    if (m > 1 || (m === 1 && !endsWithCvc(stem))) {
+      word = stem;
+    }
+  }
+  
+  if (word.endsWith('ll') && measure(word) > 1) {
+    word = word.slice(0, -1);
+  }
+  
+  return word;
+}
+
+/**
+ * Stem an English word
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stemEnglish(word) {
+  if (word.length <= 2) {
+    return word;
+  }
+  
+  let stem = step1(word);
+  stem = replaceSuffix(stem, STEP2_SUFFIXES, 0);
+  stem = replaceSuffix(stem, STEP3_SUFFIXES, 0);
+  stem = step4(stem);
+  
+  return step5(stem);
+}
+
+module.exports = {
+  stemEnglish
+};
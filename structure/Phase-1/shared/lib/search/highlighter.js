@@ -0,0 +1,136 @@
+/**
+ * Snippet highlighting for search results
+ * Cuts the part of a text with the most query matches and wraps the matched
+ * words in tags. The text is HTML-escaped, so the snippet can be rendered as
+ * markup.
+ */
+
+const { analyze } = require('./analyzer');
+
+// Default snippet options
+const DEFAULT_OPTIONS = {
+  maxLength: 200,
+  preTag: '<mark>',
+  postTag: '</mark>',
+  ellipsis: '…'
+};
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Find the window of the text with the most matches
+ * @param {Array<Object>} matches - Matched tokens in text order
+ * @param {number} textLength - Length of the text
+ * @param {number} maxLength - Window length
+ * @returns {Object} Object with start and end offsets
+ */
+function bestWindow(matches, textLength, maxLength) {
+  let best = { first: 0, last: 0 };
+  
+  for (let first = 0, last = 0; first < matches.length; first++) {
+    last = Math.max(last, first);
+    while (last + 1 < matches.length && matches[last + 1].end - matches[first].start <= maxLength) {
+      last++;
+    }
+    if (last - first > best.last - best.first) {
+      best = { first, last };
+    }
+  }
+  
+  // Spread the remaining room around the matches
+  const matchStart = matches[best.first].start;
+  const matchEnd = matches[best.last].end;
+  const room = Math.max(0, maxLength - (matchEnd - matchStart));
+  const start = Math.max(0, Math.min(matchStart - Math.floor(room / 2), textLength - maxLength));
+  
+  return { start, end: Math.min(textLength, start + maxLength) };
+}
+
+/**
+ * Move window offsets that fall inside a word to the nearest word boundary within the window
+ * @param {string} text - Text
+ * @param {number} start - Window start
+ * @param {number} end - Window end
+ * @returns {Object} Object with start and end offsets
+ */
+function snapToWords(text, start, end) {
+  if (start > 0 && /\S/.test(text[start - 1])) {
+    const space = text.slice(start, end).search(/\s/);
+    if (space !== -1) {
+      start += space + 1;
+    }
+  }
+  
+  if (end < text.length && /\S/.test(text[end])) {
+    const space = text.slice(start, end).search(/\s\S*$/);
+    if (space > 0) {
+      end = start + space;
+    }
+  }
+  
+  return { start, end };
+}
+
+/**
+ * Create a highlighted snippet of a text
+ * Without matches the snippet is the start of the text.
+ * @param {string} text - Text
+ * @param {Array<string>} stems - Stems of the query
+ * @param {Object} [options={}] - Snippet options
+ * @param {number} [options.maxLength=200] - Longest snippet, without tags and ellipses
+ * @param {string} [options.preTag='<mark>'] - Markup before a match
+ * @param {string} [options.postTag='</mark>'] - Markup after a match
+ * @param {string} [options.ellipsis='…'] - Marker of cut text
+ * @returns {string} HTML snippet
+ */
+function createSnippet(text, stems, options = {}) {
+  const { maxLength, preTag, postTag, ellipsis } = { ...DEFAULT_OPTIONS, ...options };
+  
+  if (!text) {
+    return '';
+  }
+  
+  const stemSet = new Set(stems);
+  const matches = analyze(text).filter((token) => stemSet.has(token.stem));
+  
+  const window = matches.length > 0
+    ? bestWindow(matches, text.length, maxLength)
+    : { start: 0, end: Math.min(text.length, maxLength) };
+  const { start, end } = snapToWords(text, window.start, window.end);
+  
+  let snippet = start > 0 ? ellipsis : '';
+  let offset = start;
+  
+  for (const match of matches) {
+    if (match.start >= start && match.end <= end) {
+      snippet += escapeHtml(text.slice(offset, match.start)) +
+        preTag + escapeHtml(text.slice(match.start, match.end)) + postTag;
+      offset = match.end;
+    }
+  }
+  
+  snippet += escapeHtml(text.slice(offset, end));
+  
+  return end < text.length ? snippet.trimEnd() + ellipsis : snippet;
+}
+
+module.exports = {
+  createSnippet,
+  escapeHtml,
+  DEFAULT_OPTIONS
+};
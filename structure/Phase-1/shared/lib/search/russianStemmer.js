@@ -0,0 +1,250 @@
+/**
+ * Russian stemmer
+ * Implementation of the Snowball stemming algorithm for Russian
+ * (https://snowballstem.org/algorithms/russian/stemmer.html). Expects a
+ * lowercase word; ё is treated as е.
+ */
+
+const VOWELS = 'аеиоуыэюя';
+
+// Endings of each step, split into those that must follow а or я (group 1) and the rest
+const PERFECTIVE_GERUND = {
+  group1: ['в', 'вши', 'вшись'],
+  group2: ['ив', 'ивши', 'ившись', 'ыв', 'ывши', 'ывшись']
+};
+
+const ADJECTIVE = [
+  'ее', 'ие', 'ые', 'ое', 'ими', 'ыми', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом',
+  'его', 'ого', 'ему', 'ому', 'их', 'ых', 'ую', 'юю', 'ая', 'яя', 'ою', 'ею'
+];
+
+const PARTICIPLE = {
+  group1: ['ем', 'нн', 'вш', 'ющ', 'щ'],
+  group2: ['ивш', 'ывш', 'ующ']
+};
+
+const REFLEXIVE = ['ся', 'сь'];
+
+const VERB = {
+  group1: ['ла', 'на', 'ете', 'йте', 'ли', 'й', 'л', 'ем', 'н', 'ло', 'но', 'ет', 'ют', 'ны', 'ть', 'ешь', 'нно'],
+  group2: [
+    'ила', 'ыла', 'ена', 'ейте', 'уйте', 'ите', 'или', 'ыли', 'ей', 'уй', 'ил', 'ыл', 'им', 'ым', 'ен',
+    'ило', 'ыло', 'ено', 'ят', 'ует', 'уют', 'ит', 'ыт', 'ены', 'ить', 'ыть', 'ишь', 'ую', 'ю'
+  ]
+};
+
+const NOUN = [
+  'а', 'ев', 'ов', 'ие', 'ье', 'е', 'иями', 'ями', 'ами', 'еи', 'ии', 'и', 'ией', 'ей', 'ой', 'ий', 'й',
+  'иям', 'ям', 'ием', 'ем', 'ам', 'ом', 'о', 'у', 'ах', 'иях', 'ях', 'ы', 'ь', 'ию', 'ью', 'ю', 'ия', 'ья', 'я'
+];
+
+const SUPERLATIVE = ['ейше', 'ейш'];
+
+const DERIVATIONAL = ['ость', 'ост'];
+
+/**
+ * Check whether a character is a vowel
+ * @param {string} char - Character
+ * @returns {boolean} Whether it is a Russian vowel
+ */
+function isVowel(char) {
+  return VOWELS.includes(char);
+}
+
+/**
+ * Find the start of the RV and R2 regions
+ * RV follows the first vowel; R1 follows the first non-vowel after a vowel,
+ * and R2 is R1 of R1.
+ * @param {string} word - Word
+ * @returns {Object} Object with rv and r2 start indexes (word length when empty)
+ */
+function regions(word) {
+  let rv = word.length;
+  let r1 = word.length;
+  let r2 = word.length;
+  
+  for (let i = 0; i < word.length; i++) {
+    if (isVowel(word[i])) {
+      rv = i + 1;
+      break;
+    }
+  }
+  
+  for (let i = 1; i < word.length; i++) {
+    if (!isVowel(word[i]) && isVowel(word[i - 1])) {
+      r1 = i + 1;
+      break;
+    }
+  }
+  
+  for (let i = r1 + 1; i < word.length; i++) {
+    if (!isVowel(word[i]) && isVowel(word[i - 1])) {
+      r2 = i + 1;
+      break;
+    }
+  }
+  
+  return { rv, r2 };
+}
+
+/**
+ * Find the longest ending of a list the word ends with inside a region
+ * @param {string} word - Word
+ * @param {number} start - Start of the region
+ * @param {Array<string>} endings - Endings
+ * @returns {string|null} Longest matching ending
+ */
+function longestEnding(word, start, endings) {
+  let match = null;
+  
+  for (const ending of endings) {
+    if (word.endsWith(ending) && word.length - ending.length >= start &&
+      (!match || ending.length > match.length)) {
+      match = ending;
+    }
+  }
+  
+  return match;
+}
+
+/**
+ * Remove the longest ending of a grouped list
+ * Group 1 endings are only removed after а or я (which stay). As in
+ * Snowball, when the longest ending cannot be removed no shorter one is tried.
+ * @param {string} word - Word
+ * @param {number} start - Start of the region
+ * @param {Object} endings - Object with group1 and group2 endings
+ * @returns {string|null} Word without the ending, or null if none was removed
+ */
+function removeGrouped(word, start, endings) {
+  const ending = longestEnding(word, start, [...endings.group1, ...endings.group2]);
+  
+  if (!ending) {
+    return null;
+  }
+  
+  const stem = word.slice(0, word.length - ending.length);
+  
+  if (endings.group2.includes(ending)) {
+    return stem;
+  }
+  
+  const preceding = stem[stem.length - 1];
+  return stem.length > start && (preceding === 'а' || preceding === 'я') ? stem : null;
+}
+
+/**
+ * Remove the longest ending of a list
+ * @param {string} word - Word
+ * @param {number} start - Start of the region
+ * @param {Array<string>} endings - Endings
+ * @returns {string|null} Word without the ending, or null if none was removed
+ */
+function removeEnding(word, start, endings) {
+  const ending = longestEnding(word, start, endings);
+  return ending ? word.slice(0, word.length - ending.length) : null;
+}
+
+/**
+ * Remove an adjectival ending (an adjective ending, optionally after a participle ending)
+ * @param {string} word - Word
+ * @param {number} start - Start of RV
+ * @returns {string|null} Word without the ending, or null if none was removed
+ */
+function removeAdjectival(word, start) {
+  const stem = removeEnding(word, start, ADJECTIVE);
+  
+  if (stem === null) {
+    return null;
+  }
+  
+  const withoutParticiple = removeGrouped(stem, start, PARTICIPLE);
+  return withoutParticiple === null ? stem : withoutParticiple;
+}
+
+/**
+ * Remove a verb ending
+ * @param {string} word - Word
+ * @param {number} start - Start of RV
+ * @returns {string|null} Word without the ending, or null if none was removed
+ */
+function removeVerb(word, start) {
+  return removeGrouped(word, start, VERB);
+}
+
+/**
+ * Remove a noun ending
+ * @param {string} word - Word
+ * @param {number} start - Start of RV
+ * @returns {string|null} Word without the ending, or null if none was removed
+ */
+function removeNoun(word, start) {
+  return removeEnding(word, start, NOUN);
+}
+
+/**
+ * Stem a Russian word
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stemRussian(word) {
+  let stem = word.replace(/ё/g, 'е');
+  const { rv, r2 } = regions(stem);
+  
+  if (rv >= stem.length) {
+    return stem;
+  }
+  
+  // Step 1
+  const withoutGerund = removeGrouped(stem, rv, PERFECTIVE_GERUND);
+  
+  if (withoutGerund !== null) {
+    stem = withoutGerund;
+  } else {
+    const withoutReflexive = removeEnding(stem, rv, REFLEXIVE);
+    if (withoutReflexive !== null) {
+      stem = withoutReflexive;
+    }
+    
+    // The first of adjectival, verb and noun endings found is removed
+    for (const remove of [removeAdjectival, removeVerb, removeNoun]) {
+      const withoutEnding = remove(stem, rv);
+      if (withoutEnding !== null) {
+        stem = withoutEnding;
+        break;
+      }
+    }
+  }
+  
+  // Step 2
+  if (stem.endsWith('и') && stem.length - 1 >= rv) {
+    stem = stem.slice(0, -1);
+  }
+  
+  // Step 3
+  const withoutDerivational = removeEnding(stem, r2, DERIVATIONAL);
+  if (withoutDerivational !== null) {
+    stem = withoutDerivational;
+  }
+  
+  // Step 4
+  if (stem.endsWith('нн') && stem.length - 2 >= rv) {
+    return stem.slice(0, -1);
+  }
+  
+  const withoutSuperlative = removeEnding(stem, rv, SUPERLATIVE);
+  if (withoutSuperlative !== null) {
+    stem = withoutSuperlative;
+    return stem.endsWith('нн') && stem.length - 2 >= rv ? stem.slice(0, -1) : stem;
+  }
+  
+  if (stem.endsWith('ь') && stem.length - 1 >= rv) {
+    stem = stem.slice(0, -1);
+  }
+  
+  return stem;
+}
+
+module.exports = {
+  stemRussian
+};
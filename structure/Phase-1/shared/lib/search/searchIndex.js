@@ -0,0 +1,310 @@
+/**
+ * In-memory full-text search index
+ * Inverted index over documents with a title and a body, ranked with BM25F
+ * (BM25 over weighted fields). Documents carry facet values that searches
+ * can filter by and count: values of one facet are alternatives, different
+ * facets must all match. Facet counts are disjunctive, i.e. the counts of a
+ * facet ignore the filter on that facet, so they show what selecting
+ * another value would add.
+ */
+
+const { analyze, analyzeQuery } = require('./analyzer');
+
+// Facets of a document, and the pseudo-facet of its type
+const FACETS = ['branches', 'traditions', 'timePeriods', 'thesisTypes', 'thesisStyles'];
+const TYPE_FACET = 'types';
+
+// Indexed fields and their weights
+const FIELD_WEIGHTS = {
+  title: 2,
+  body: 1
+};
+
+// Default ranking options
+const DEFAULT_OPTIONS = {
+  k1: 1.2,
+  b: 0.75,
+  fieldWeights: FIELD_WEIGHTS
+};
+
+/**
+ * Build the key of a document
+ * @param {string} type - Document type
+ * @param {string} id - Document ID
+ * @returns {string} Key
+ */
+function documentKey(type, id) {
+  return `${type}:${id}`;
+}
+
+/**
+ * Full-text search index
+ */
+class SearchIndex {
+  /**
+   * Create a new search index
+   * @param {Object} [options={}] - Ranking options
+   * @param {number} [options.k1=1.2] - Term frequency saturation
+   * @param {number} [options.b=0.75] - Length normalization
+   * @param {Object<string, number>} [options.fieldWeights] - Weight of the title and body
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      fieldWeights: { ...FIELD_WEIGHTS, ...options.fieldWeights }
+    };
+    this.documents = new Map();
+    this.postings = new Map();
+    this.totalLengths = { title: 0, body: 0 };
+  }
+  
+  /**
+   * Number of indexed documents
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.documents.size;
+  }
+  
+  /**
+   * Add a document, replacing the indexed document of the same type and ID
+   * @param {Object} document - Document
+   * @param {string} document.id - Document ID
+   * @param {string} document.type - Document type
+   * @param {string} [document.title] - Title text
+   * @param {string} [document.body] - Body text
+   * @param {Object<string, Array<string>>} [document.facets] - Facet values by facet
+   * @param {Object} [document.data] - Data returned with the document in results
+   * @returns {SearchIndex} This index for chaining
+   * @throws {Error} If the document has no ID or type
+   */
+  add(document) {
+    if (!document || !document.id || !document.type) {
+      throw new Error('Search document must have an id and a type');
+    }
+    
+    const key = documentKey(document.type, document.id);
+    this.remove(document.type, document.id);
+    
+    const lengths = {};
+    const stems = new Set();
+    
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      const tokens = analyze(document[field]);
+      lengths[field] = tokens.length;
+      this.totalLengths[field] += tokens.length;
+      
+      for (const { stem } of tokens) {
+        stems.add(stem);
+        
+        if (!this.postings.has(stem)) {
+          this.postings.set(stem, new Map());
+        }
+        
+        const posting = this.postings.get(stem);
+        if (!posting.has(key)) {
+          posting.set(key, { title: 0, body: 0 });
+        }
+        posting.get(key)[field]++;
+      }
+    }
+    
+    this.documents.set(key, {
+      document: { ...document, facets: { ...document.facets } },
+      lengths,
+      stems
+    });
+    
+    return this;
+  }
+  
+  /**
+   * Remove a document
+   * @param {string} type - Document type
+   * @param {string} id - Document ID
+   * @returns {boolean} Whether the document was indexed
+   */
+  remove(type, id) {
+    const key = documentKey(type, id);
+    const entry = this.documents.get(key);
+    
+    if (!entry) {
+      return false;
+    }
+    
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      this.totalLengths[field] -= entry.lengths[field];
+    }
+    
+    for (const stem of entry.stems) {
+      const posting = this.postings.get(stem);
+      posting.delete(key);
+      if (posting.size === 0) {
+        this.postings.delete(stem);
+      }
+    }
+    
+    this.documents.delete(key);
+    return true;
+  }
+  
+  /**
+   * Get an indexed document
+   * @param {string} type - Document type
+   * @param {string} id - Document ID
+   * @returns {Object|null} Document
+   */
+  get(type, id) {
+    const entry = this.documents.get(documentKey(type, id));
+    return entry ? entry.document : null;
+  }
+  
+  /**
+   * Search the index
+   * Documents matching any stem of the query are ranked by relevance; an
+   * empty query (or one of stopwords only) matches every document, unranked,
+   * so facets can be browsed without search terms.
+   * @param {string} query - Query text
+   * @param {Object} [options={}] - Search options
+   * @param {Array<string>} [options.types] - Document types to return
+   * @param {Object<string, Array<string>>} [options.filters={}] - Facet values to match by facet
+   * @param {number} [options.limit=20] - Maximum number of hits
+   * @param {number} [options.offset=0] - Number of hits to skip
+   * @returns {Object} Object with stems of the query, total number of hits,
+   *   hits ({ document, score }) and facet counts by facet and value
+   */
+  search(query, options = {}) {
+    const { types, filters = {}, limit = 20, offset = 0 } = options;
+    const stems = analyzeQuery(query);
+    const scores = stems.length > 0 ? this.score(stems) : this.matchAll();
+    
+    const selected = { ...filters };
+    if (types && types.length > 0) {
+      selected[TYPE_FACET] = types;
+    }
+    
+    const hits = [];
+    const facetCounts = {};
+    
+    for (const facet of [TYPE_FACET, ...FACETS]) {
+      facetCounts[facet] = {};
+    }
+    
+    for (const [key, score] of scores) {
+      const { document } = this.documents.get(key);
+      const failed = Object.keys(selected).filter((facet) => !this.matchesFacet(document, facet, selected[facet]));
+      
+      if (failed.length === 0) {
+        hits.push({ document, score });
+      }
+      
+      // A document counts for a facet when it only fails that facet's filter
+      for (const facet of Object.keys(facetCounts)) {
+        if (failed.length === 0 || (failed.length === 1 && failed[0] === facet)) {
+          for (const value of SearchIndex.facetValues(document, facet)) {
+            facetCounts[facet][value] = (facetCounts[facet][value] || 0) + 1;
+          }
+        }
+      }
+    }
+    
+    hits.sort((a, b) => b.score - a.score);
+    
+    return {
+      stems,
+      total: hits.length,
+      hits: hits.slice(offset, offset + limit),
+      facets: facetCounts
+    };
+  }
+  
+  /**
+   * Score the documents matching any of the stems
+   * @param {Array<string>} stems - Query stems
+   * @returns {Map<string, number>} BM25F score by document key
+   * @private
+   */
+  score(stems) {
+    const { k1, b, fieldWeights } = this.options;
+    const count = this.documents.size;
+    const scores = new Map();
+    const averageLengths = {};
+    
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      averageLengths[field] = count > 0 ? this.totalLengths[field] / count : 0;
+    }
+    
+    for (const stem of stems) {
+      const posting = this.postings.get(stem);
+      
+      if (!posting) {
+        continue;
+      }
+      
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+      
+      for (const [key, frequencies] of posting) {
+        const { lengths } = this.documents.get(key);
+        let frequency = 0;
+        
+        for (const field of Object.keys(FIELD_WEIGHTS)) {
+          if (frequencies[field] > 0) {
+            const norm = averageLengths[field] > 0
+              ? 1 - b + b * lengths[field] / averageLengths[field]
+              : 1;
+            frequency += fieldWeights[field] * frequencies[field] / norm;
+          }
+        }
+        
+        scores.set(key, (scores.get(key) || 0) + idf * frequency / (k1 + frequency));
+      }
+    }
+    
+    return scores;
+  }
+  
+  /**
+   * Match every document with a zero score
+   * @returns {Map<string, number>} Score by document key
+   * @private
+   */
+  matchAll() {
+    return new Map([...this.documents.keys()].map((key) => [key, 0]));
+  }
+  
+  /**
+   * Check whether a document has one of the values of a facet
+   * @param {Object} document - Document
+   * @param {string} facet - Facet
+   * @param {Array<string>} values - Accepted values (any when empty)
+   * @returns {boolean} Whether the document matches
+   * @private
+   */
+  matchesFacet(document, facet, values) {
+    if (!values || values.length === 0) {
+      return true;
+    }
+    return SearchIndex.facetValues(document, facet).some((value) => values.includes(value));
+  }
+  
+  /**
+   * Get the values of a facet of a document
+   * @param {Object} document - Document
+   * @param {string} facet - Facet
+   * @returns {Array<string>} Values
+   */
+  static facetValues(document, facet) {
+    if (facet === TYPE_FACET) {
+      return [document.type];
+    }
+    return document.facets[facet] || [];
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  FACETS,
+  FIELD_WEIGHTS,
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,333 @@
+/**
+ * Search service
+ * One search API over concepts, categories, theses and dialogues. The
+ * service keeps the records it indexed, so a changed concept can pass its
+ * facets on to the categories, theses and dialogues that inherit them
+ * without reloading those. Call rebuild() on start-up; keep the index
+ * current with refresh() (reload one record from its source) or
+ * indexRecord() and removeRecord() when the caller already has the record.
+ */
+
+const { defaultClient: defaultPostgresClient } = require('../db/postgres/client');
+const { defaultClient: defaultMongoClient } = require('../db/mongodb/client');
+const { defaultDriver } = require('../db/neo4j/driver');
+const { defaultLogger } = require('../logging/logger');
+const { SearchIndex } = require('./searchIndex');
+const { createSnippet } = require('./highlighter');
+const {
+  SEARCH_TYPES,
+  conceptDocument,
+  categoryDocument,
+  thesisDocument,
+  dialogueDocument,
+  loadConcepts,
+  loadDialogues,
+  loadCategories,
+  loadTheses
+} = require('./searchSources');
+
+// ID field of the records of each type
+const ID_FIELDS = {
+  [SEARCH_TYPES.CONCEPT]: 'concept_id',
+  [SEARCH_TYPES.CATEGORY]: 'category_id',
+  [SEARCH_TYPES.THESIS]: 'thesis_id',
+  [SEARCH_TYPES.DIALOGUE]: 'dialogue_id'
+};
+
+// Search parameters filtering by facet
+const FACET_PARAMS = ['branches', 'traditions', 'timePeriods', 'thesisTypes', 'thesisStyles'];
+
+/**
+ * Full-text search service
+ */
+class SearchService {
+  /**
+   * Create a new search service
+   * @param {Object} [options={}] - Options
+   * @param {PostgresClient} [options.postgres=defaultClient] - PostgreSQL client
+   * @param {MongoDbClient} [options.mongo=defaultClient] - MongoDB client
+   * @param {Neo4jDriver} [options.neo4j=defaultDriver] - Neo4j driver
+   * @param {Object} [options.logger=defaultLogger] - Logger instance
+   * @param {Object} [options.ranking] - Ranking options of the index
+   * @param {Object} [options.snippet] - Snippet options
+   */
+  constructor(options = {}) {
+    this.postgres = options.postgres || defaultPostgresClient;
+    this.mongo = options.mongo || defaultMongoClient;
+    this.neo4j = options.neo4j || defaultDriver;
+    this.logger = options.logger || defaultLogger;
+    this.ranking = options.ranking || {};
+    this.snippetOptions = options.snippet || {};
+    this.searchIndex = new SearchIndex(this.ranking);
+    this.records = SearchService.emptyRecords();
+  }
+  
+  /**
+   * Rebuild the index from all sources
+   * Searches keep using the previous index until the new one is complete.
+   * Records indexed while a rebuild runs are lost when it completes.
+   * @returns {Promise<number>} Number of indexed documents
+   */
+  async rebuild() {
+    const start = Date.now();
+    const [concepts, categories, theses, dialogues] = await Promise.all([
+      loadConcepts(this.postgres),
+      loadCategories(this.neo4j),
+      loadTheses(this.mongo),
+      loadDialogues(this.postgres)
+    ]);
+    
+    const previous = { searchIndex: this.searchIndex, records: this.records };
+    this.searchIndex = new SearchIndex(this.ranking);
+    this.records = SearchService.emptyRecords();
+    
+    try {
+      // Concepts first, so the other documents find the facets to inherit
+      const sources = [
+        [SEARCH_TYPES.CONCEPT, concepts],
+        [SEARCH_TYPES.CATEGORY, categories],
+        [SEARCH_TYPES.THESIS, theses],
+        [SEARCH_TYPES.DIALOGUE, dialogues]
+      ];
+      
+      for (const [type, records] of sources) {
+        for (const record of records) {
+          this.store(type, record);
+        }
+      }
+    } catch (err) {
+      this.searchIndex = previous.searchIndex;
+      this.records = previous.records;
+      throw err;
+    }
+    
+    this.logger.info('Rebuilt search index', {
+      documents: this.searchIndex.size,
+      duration: Date.now() - start
+    });
+    
+    return this.searchIndex.size;
+  }
+  
+  /**
+   * Reload a record from its source and index it, or remove it when it no longer exists
+   * @param {string} type - Document type
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} Whether the record exists
+   * @throws {Error} If the type is unknown
+   */
+  async refresh(type, id) {
+    const [record] = await this.load(type, id);
+    
+    if (!record) {
+      this.removeRecord(type, id);
+      return false;
+    }
+    
+    this.indexRecord(type, record);
+    return true;
+  }
+  
+  /**
+   * Index a record, replacing its previous version
+   * Indexing a concept updates the facets its dependent documents inherit.
+   * @param {string} type - Document type
+   * @param {Object} record - Record as loaded by the search sources
+   * @returns {Object} Indexed search document
+   * @throws {Error} If the type is unknown
+   */
+  indexRecord(type, record) {
+    const document = this.store(type, record);
+    
+    if (type === SEARCH_TYPES.CONCEPT) {
+      this.reindexDependents(record.concept_id);
+    }
+    
+    return document;
+  }
+  
+  /**
+   * Remove a record from the index
+   * @param {string} type - Document type
+   * @param {string} id - Record ID
+   * @returns {boolean} Whether the record was indexed
+   * @throws {Error} If the type is unknown
+   */
+  removeRecord(type, id) {
+    SearchService.assertType(type);
+    
+    this.records[type].delete(id);
+    const removed = this.searchIndex.remove(type, id);
+    
+    if (removed && type === SEARCH_TYPES.CONCEPT) {
+      this.reindexDependents(id);
+    }
+    
+    return removed;
+  }
+  
+  /**
+   * Search concepts, categories, theses and dialogues
+   * @param {Object} params - Search parameters (see searchSchemas.searchSchema)
+   * @param {string} [params.q=''] - Query text; empty to browse by facets
+   * @param {Array<string>} [params.types] - Document types to return
+   * @param {Array<string>} [params.branches] - Branches to match
+   * @param {Array<string>} [params.traditions] - Traditions to match
+   * @param {Array<string>} [params.timePeriods] - Time periods to match
+   * @param {Array<string>} [params.thesisTypes] - Thesis types to match
+   * @param {Array<string>} [params.thesisStyles] - Thesis styles to match
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.pageSize=20] - Page size
+   * @returns {Object} Object with items (type, id, score, highlighted title
+   *   and snippet, data), total, page, pageSize and facet counts
+   */
+  search(params = {}) {
+    const { q = '', types, page = 1, pageSize = 20 } = params;
+    const filters = {};
+    
+    for (const facet of FACET_PARAMS) {
+      if (params[facet] && params[facet].length > 0) {
+        filters[facet] = params[facet];
+      }
+    }
+    
+    const result = this.searchIndex.search(q, {
+      types,
+      filters,
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+    
+    return {
+      items: result.hits.map(({ document, score }) => ({
+        type: document.type,
+        id: document.id,
+        score,
+        title: createSnippet(document.title, result.stems, { ...this.snippetOptions, maxLength: Infinity }),
+        snippet: createSnippet(document.body, result.stems, this.snippetOptions),
+        data: document.data
+      })),
+      total: result.total,
+      page,
+      pageSize,
+      facets: result.facets
+    };
+  }
+  
+  /**
+   * Build and index the document of a record and keep the record
+   * @param {string} type - Document type
+   * @param {Object} record - Record
+   * @returns {Object} Indexed search document
+   * @throws {Error} If the type is unknown
+   * @private
+   */
+  store(type, record) {
+    SearchService.assertType(type);
+    
+    const document = this.buildDocument(type, record);
+    this.records[type].set(record[ID_FIELDS[type]], record);
+    this.searchIndex.add(document);
+    
+    return document;
+  }
+  
+  /**
+   * Build the search document of a record
+   * @param {string} type - Document type
+   * @param {Object} record - Record
+   * @returns {Object} Search document
+   * @private
+   */
+  buildDocument(type, record) {
+    switch (type) {
+      case SEARCH_TYPES.CONCEPT:
+        return conceptDocument(record);
+      case SEARCH_TYPES.CATEGORY:
+        return categoryDocument(record, this.conceptFacets(record.concept_id));
+      case SEARCH_TYPES.THESIS:
+        return thesisDocument(record, this.conceptFacets(record.concept_id));
+      default:
+        return dialogueDocument(record, (record.concept_ids || []).map((conceptId) => this.conceptFacets(conceptId)));
+    }
+  }
+  
+  /**
+   * Reindex the documents that inherit the facets of a concept
+   * @param {string} conceptId - Concept ID
+   * @private
+   */
+  reindexDependents(conceptId) {
+    for (const type of [SEARCH_TYPES.CATEGORY, SEARCH_TYPES.THESIS, SEARCH_TYPES.DIALOGUE]) {
+      for (const record of this.records[type].values()) {
+        const dependent = type === SEARCH_TYPES.DIALOGUE
+          ? (record.concept_ids || []).includes(conceptId)
+          : record.concept_id === conceptId;
+        
+        if (dependent) {
+          this.searchIndex.add(this.buildDocument(type, record));
+        }
+      }
+    }
+  }
+  
+  /**
+   * Get the facets of an indexed concept
+   * @param {string} conceptId - Concept ID
+   * @returns {Object|undefined} Facets, or undefined if the concept is not indexed
+   * @private
+   */
+  conceptFacets(conceptId) {
+    const concept = this.searchIndex.get(SEARCH_TYPES.CONCEPT, conceptId);
+    return concept ? concept.facets : undefined;
+  }
+  
+  /**
+   * Load one record from its source
+   * @param {string} type - Document type
+   * @param {string} id - Record ID
+   * @returns {Promise<Array<Object>>} The record, or nothing if it does not exist
+   * @throws {Error} If the type is unknown
+   * @private
+   */
+  async load(type, id) {
+    SearchService.assertType(type);
+    
+    switch (type) {
+      case SEARCH_TYPES.CONCEPT:
+        return loadConcepts(this.postgres, id);
+      case SEARCH_TYPES.CATEGORY:
+        return loadCategories(this.neo4j, id);
+      case SEARCH_TYPES.THESIS:
+        return loadTheses(this.mongo, id);
+      default:
+        return loadDialogues(this.postgres, id);
+    }
+  }
+  
+  /**
+   * Create empty record maps for every type
+   * @returns {Object<string, Map>} Records by ID by type
+   * @private
+   */
+  static emptyRecords() {
+    return Object.fromEntries(Object.values(SEARCH_TYPES).map((type) => [type, new Map()]));
+  }
+  
+  /**
+   * Check that a document type is known
+   * @param {string} type - Document type
+   * @throws {Error} If the type is unknown
+   * @private
+   */
+  static assertType(type) {
+    if (!ID_FIELDS[type]) {
+      throw new Error(`Unknown search document type: ${type}`);
+    }
+  }
+}
+
+module.exports = {
+  SearchService,
+  SEARCH_TYPES
+};
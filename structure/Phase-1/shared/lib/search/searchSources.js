@@ -0,0 +1,278 @@
+/**
+ * Search sources
+ * Loads the searchable records from the databases that own them (concepts
+ * and dialogues from PostgreSQL, categories from Neo4j, theses from MongoDB)
+ * and turns them into search documents. Categories, theses and dialogues
+ * inherit the branch, tradition and time period facets of their concepts.
+ */
+
+const { Neo4jDriver } = require('../db/neo4j/driver');
+const {
+  BRANCHES,
+  TRADITIONS,
+  TIME_PERIODS,
+  THESIS_TYPES,
+  THESIS_STYLES
+} = require('../../constants/philosophyConstants');
+
+// Types of search documents
+const SEARCH_TYPES = {
+  CONCEPT: 'concept',
+  CATEGORY: 'category',
+  THESIS: 'thesis',
+  DIALOGUE: 'dialogue'
+};
+
+// Facets inherited from concepts
+const CONCEPT_FACETS = ['branches', 'traditions', 'timePeriods'];
+
+const CONCEPTS_QUERY = `
+  SELECT c.concept_id, c.name, c.description, c.status, c.metadata,
+    COALESCE(array_agg(DISTINCT t.name) FILTER (WHERE t.name IS NOT NULL), '{}') AS traditions,
+    COALESCE(array_agg(DISTINCT h.time_period) FILTER (WHERE h.time_period IS NOT NULL), '{}') AS time_periods
+  FROM concepts c
+  LEFT JOIN concept_traditions ct ON ct.concept_id = c.concept_id
+  LEFT JOIN traditions t ON t.tradition_id = ct.tradition_id
+  LEFT JOIN historical_contexts h ON h.concept_id = c.concept_id
+  WHERE $1::uuid IS NULL OR c.concept_id = $1
+  GROUP BY c.concept_id
+`;
+
+const DIALOGUES_QUERY = `
+  SELECT d.dialogue_id, d.philosophical_question, d.dialogue_content,
+    COALESCE(array_agg(p.concept_id) FILTER (WHERE p.concept_id IS NOT NULL), '{}') AS concept_ids
+  FROM dialogue_interpretations d
+  LEFT JOIN dialogue_participants p ON p.dialogue_id = d.dialogue_id
+  WHERE $1::uuid IS NULL OR d.dialogue_id = $1
+  GROUP BY d.dialogue_id
+`;
+
+const CATEGORIES_QUERY = `
+  MATCH (c:Category)
+  WHERE $categoryId IS NULL OR c.category_id = $categoryId
+  RETURN c.category_id AS category_id, c.concept_id AS concept_id,
+    c.name AS name, c.definition AS definition, c.traditions AS traditions
+`;
+
+/**
+ * Turn a free-form label into a constant value
+ * @param {string} label - Label, e.g. "Ancient Greek"
+ * @returns {string} Value, e.g. "ancient_greek"
+ */
+function toFacetValue(label) {
+  return String(label).trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Keep the labels that are values of a constant
+ * @param {Array<*>} labels - Labels (non-arrays and empty values are ignored)
+ * @param {Object} constants - Constant object, e.g. BRANCHES
+ * @returns {Array<string>} Distinct known values
+ */
+function knownValues(labels, constants) {
+  const allowed = Object.values(constants);
+  
+  return [...new Set(labels
+    .flat()
+    .filter((label) => typeof label === 'string' && label !== '')
+    .map(toFacetValue)
+    .filter((value) => allowed.includes(value)))];
+}
+
+/**
+ * Merge the facets of several documents
+ * @param {Array<Object>} facetsList - Facet values by facet
+ * @returns {Object<string, Array<string>>} Distinct values by facet
+ */
+function mergeFacets(facetsList) {
+  const merged = {};
+  
+  for (const facets of facetsList) {
+    for (const [facet, values] of Object.entries(facets || {})) {
+      merged[facet] = [...new Set([...(merged[facet] || []), ...values])];
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Pick the facets a document inherits from its concept
+ * @param {Object} [conceptFacets={}] - Facets of the concept document
+ * @returns {Object<string, Array<string>>} Inherited facets
+ */
+function inheritedFacets(conceptFacets = {}) {
+  const facets = {};
+  
+  for (const facet of CONCEPT_FACETS) {
+    facets[facet] = conceptFacets[facet] || [];
+  }
+  
+  return facets;
+}
+
+/**
+ * Build the search document of a concept
+ * Branches and time periods are also read from the concept metadata
+ * (branch, branches, time_period, time_periods, traditions).
+ * @param {Object} concept - Concept row with traditions and time_periods arrays
+ * @returns {Object} Search document
+ */
+function conceptDocument(concept) {
+  const metadata = concept.metadata || {};
+  
+  return {
+    id: concept.concept_id,
+    type: SEARCH_TYPES.CONCEPT,
+    title: concept.name,
+    body: concept.description || '',
+    facets: {
+      branches: knownValues([metadata.branch, metadata.branches || []], BRANCHES),
+      traditions: knownValues([concept.traditions || [], metadata.traditions || []], TRADITIONS),
+      timePeriods: knownValues([
+        concept.time_periods || [],
+        metadata.time_period,
+        metadata.time_periods || []
+      ], TIME_PERIODS)
+    },
+    data: {
+      concept_id: concept.concept_id,
+      name: concept.name,
+      status: concept.status
+    }
+  };
+}
+
+/**
+ * Build the search document of a category
+ * @param {Object} category - Category node properties
+ * @param {Object} [conceptFacets] - Facets of the concept document
+ * @returns {Object} Search document
+ */
+function categoryDocument(category, conceptFacets) {
+  const facets = inheritedFacets(conceptFacets);
+  
+  return {
+    id: category.category_id,
+    type: SEARCH_TYPES.CATEGORY,
+    title: category.name,
+    body: category.definition || '',
+    facets: {
+      ...facets,
+      traditions: knownValues([facets.traditions, category.traditions || []], TRADITIONS)
+    },
+    data: {
+      category_id: category.category_id,
+      concept_id: category.concept_id,
+      name: category.name
+    }
+  };
+}
+
+/**
+ * Build the search document of a thesis
+ * Theses have no title; their content is the body.
+ * @param {Object} thesis - Thesis document
+ * @param {Object} [conceptFacets] - Facets of the concept document
+ * @returns {Object} Search document
+ */
+function thesisDocument(thesis, conceptFacets) {
+  return {
+    id: thesis.thesis_id,
+    type: SEARCH_TYPES.THESIS,
+    title: '',
+    body: thesis.content,
+    facets: {
+      ...inheritedFacets(conceptFacets),
+      thesisTypes: knownValues([thesis.type], THESIS_TYPES),
+      thesisStyles: knownValues([thesis.style], THESIS_STYLES)
+    },
+    data: {
+      thesis_id: thesis.thesis_id,
+      concept_id: thesis.concept_id,
+      type: thesis.type,
+      style: thesis.style,
+      status: thesis.status
+    }
+  };
+}
+
+/**
+ * Build the search document of a dialogue
+ * The philosophical question is the title and the dialogue the body.
+ * @param {Object} dialogue - Dialogue row with a concept_ids array
+ * @param {Array<Object>} [conceptFacetsList=[]] - Facets of the participating concepts
+ * @returns {Object} Search document
+ */
+function dialogueDocument(dialogue, conceptFacetsList = []) {
+  return {
+    id: dialogue.dialogue_id,
+    type: SEARCH_TYPES.DIALOGUE,
+    title: dialogue.philosophical_question,
+    body: dialogue.dialogue_content,
+    facets: inheritedFacets(mergeFacets(conceptFacetsList)),
+    data: {
+      dialogue_id: dialogue.dialogue_id,
+      concept_ids: dialogue.concept_ids || [],
+      philosophical_question: dialogue.philosophical_question
+    }
+  };
+}
+
+/**
+ * Load concept rows with their tradition names and time periods
+ * @param {PostgresClient} postgres - PostgreSQL client
+ * @param {string} [conceptId] - Load only this concept
+ * @returns {Promise<Array<Object>>} Concept rows
+ */
+async function loadConcepts(postgres, conceptId = null) {
+  const result = await postgres.query(CONCEPTS_QUERY, [conceptId]);
+  return result.rows;
+}
+
+/**
+ * Load dialogue rows with the IDs of their participating concepts
+ * @param {PostgresClient} postgres - PostgreSQL client
+ * @param {string} [dialogueId] - Load only this dialogue
+ * @returns {Promise<Array<Object>>} Dialogue rows
+ */
+async function loadDialogues(postgres, dialogueId = null) {
+  const result = await postgres.query(DIALOGUES_QUERY, [dialogueId]);
+  return result.rows;
+}
+
+/**
+ * Load category node properties
+ * @param {Neo4jDriver} neo4j - Neo4j driver
+ * @param {string} [categoryId] - Load only this category
+ * @returns {Promise<Array<Object>>} Category properties
+ */
+async function loadCategories(neo4j, categoryId = null) {
+  const records = await neo4j.run(CATEGORIES_QUERY, { categoryId });
+  return Neo4jDriver.recordsToObjects(records);
+}
+
+/**
+ * Load thesis documents
+ * @param {MongoDbClient} mongo - MongoDB client
+ * @param {string} [thesisId] - Load only this thesis
+ * @returns {Promise<Array<Object>>} Thesis documents
+ */
+async function loadTheses(mongo, thesisId = null) {
+  return mongo.find('theses', thesisId ? { thesis_id: thesisId } : {}, {
+    projection: { _id: 0, thesis_id: 1, concept_id: 1, type: 1, style: 1, content: 1, status: 1 }
+  });
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  conceptDocument,
+  categoryDocument,
+  thesisDocument,
+  dialogueDocument,
+  loadConcepts,
+  loadDialogues,
+  loadCategories,
+  loadTheses,
+  toFacetValue
+};
@@ -0,0 +1,403 @@
+/**
+ * Declarative document schemas
+ * A document definition lists the fields of a MongoDB collection once; the
+ * Mongoose schema, the collection's $jsonSchema validator and the Joi
+ * request schemas are generated from it so the three cannot disagree.
+ *
+ * Field types: string, uuid, number, integer, boolean, date, object (with
+ * `fields` for a subdocument, free-form without), map, array (with `items`)
+ * and mixed. Field options: required, nullable, enum, minLength, maxLength,
+ * pattern, minimum, maximum, minItems, default, unique, label, messages
+ * (Joi error messages by error code) and description.
+ */
+
+const Joi = require('joi');
+
+// Field types a definition may use
+const FIELD_TYPES = ['string', 'uuid', 'number', 'integer', 'boolean', 'date', 'object', 'map', 'array', 'mixed'];
+
+// UUIDs as stored: lower case, versions 1 to 5
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// UUID versions accepted in requests
+const UUID_VERSIONS = ['uuidv1', 'uuidv2', 'uuidv3', 'uuidv4', 'uuidv5'];
+
+// BSON types by field type
+const BSON_TYPES = {
+  string: 'string',
+  uuid: 'string',
+  number: 'number',
+  integer: 'int',
+  boolean: 'bool',
+  date: 'date',
+  object: 'object',
+  map: 'object',
+  array: 'array'
+};
+
+// Default collection validation settings
+const DEFAULT_OPTIONS = {
+  validationLevel: 'moderate',
+  validationAction: 'error'
+};
+
+/**
+ * Check the fields of a definition
+ * @param {Object} fields - Field definitions by name
+ * @param {string} path - Path of the fields, for error messages
+ * @throws {Error} If a field has an unknown type or lacks items
+ */
+function checkFields(fields, path) {
+  for (const [name, field] of Object.entries(fields)) {
+    checkField(field, path ? `${path}.${name}` : name);
+  }
+}
+
+/**
+ * Check a field definition
+ * @param {Object} field - Field definition
+ * @param {string} path - Path of the field, for error messages
+ * @throws {Error} If the field has an unknown type or lacks items
+ */
+function checkField(field, path) {
+  if (!FIELD_TYPES.includes(field.type)) {
+    throw new Error(`Field '${path}' has unknown type '${field.type}'`);
+  }
+  if (field.type === 'array') {
+    if (!field.items) {
+      throw new Error(`Array field '${path}' needs items`);
+    }
+    checkField(field.items, `${path}[]`);
+  }
+  if (field.fields) {
+    checkFields(field.fields, path);
+  }
+}
+
+/**
+ * Define the documents of a collection
+ * @param {Object} definition - Definition
+ * @param {string} definition.name - Model name (e.g. "Thesis")
+ * @param {string} definition.collection - Collection name
+ * @param {Object} definition.fields - Field definitions by name
+ * @param {string} [definition.validationLevel='moderate'] - Collection validation level
+ * @param {string} [definition.validationAction='error'] - Collection validation action
+ * @returns {Object} Frozen definition
+ * @throws {Error} If a field is invalid
+ */
+function defineDocument(definition) {
+  if (!definition.name || !definition.collection || !definition.fields) {
+    throw new Error('A document definition needs a name, a collection and fields');
+  }
+  checkFields(definition.fields, '');
+  
+  return Object.freeze({ ...DEFAULT_OPTIONS, ...definition });
+}
+
+/**
+ * Build the $jsonSchema of a field
+ * @param {Object} field - Field definition
+ * @returns {Object} $jsonSchema
+ */
+function jsonSchemaField(field) {
+  const schema = {};
+  const bsonType = BSON_TYPES[field.type];
+  
+  // Enumerated fields are validated by their values alone
+  if (field.enum) {
+    schema.enum = field.nullable ? [...field.enum, null] : [...field.enum];
+  } else if (bsonType) {
+    schema.bsonType = field.nullable ? [bsonType, 'null'] : bsonType;
+  }
+  
+  if (field.type === 'uuid') {
+    schema.pattern = UUID_PATTERN.source;
+  } else if (field.pattern) {
+    schema.pattern = field.pattern.source;
+  }
+  if (field.minLength !== undefined) schema.minLength = field.minLength;
+  if (field.maxLength !== undefined) schema.maxLength = field.maxLength;
+  if (field.minimum !== undefined) schema.minimum = field.minimum;
+  if (field.maximum !== undefined) schema.maximum = field.maximum;
+  if (field.minItems !== undefined) schema.minItems = field.minItems;
+  
+  if (field.type === 'array') {
+    schema.items = jsonSchemaField(field.items);
+  }
+  if (field.fields) {
+    // The bsonType set above stays, so a nullable subdocument may be null
+    const { required, properties } = jsonSchemaObject(field.fields);
+    if (required) schema.required = required;
+    schema.properties = properties;
+  }
+  if (field.description) {
+    schema.description = field.description;
+  }
+  
+  return schema;
+}
+
+/**
+ * Build the $jsonSchema of an object from its fields
+ * @param {Object} fields - Field definitions by name
+ * @returns {Object} $jsonSchema with required and properties
+ */
+function jsonSchemaObject(fields) {
+  const required = Object.keys(fields).filter(name => fields[name].required);
+  const properties = {};
+  
+  for (const [name, field] of Object.entries(fields)) {
+    properties[name] = jsonSchemaField(field);
+  }
+  
+  return {
+    bsonType: 'object',
+    ...(required.length > 0 ? { required } : {}),
+    properties
+  };
+}
+
+/**
+ * Generate the $jsonSchema validator of a collection
+ * @param {Object} definition - Document definition
+ * @returns {Object} $jsonSchema
+ */
+function toJsonSchema(definition) {
+  return jsonSchemaObject(definition.fields);
+}
+
+/**
+ * Generate the collection options setting the validator of a collection
+ * Usable with createCollection; with collMod after adding the collection name.
+ * @param {Object} definition - Document definition
+ * @returns {Object} Options with validator, validationLevel and validationAction
+ */
+function toCollectionOptions(definition) {
+  return {
+    validator: { $jsonSchema: toJsonSchema(definition) },
+    validationLevel: definition.validationLevel,
+    validationAction: definition.validationAction
+  };
+}
+
+/**
+ * Build the Mongoose type of a field
+ * @param {Object} field - Field definition
+ * @param {Object} mongoose - Mongoose module
+ * @returns {*} Mongoose type
+ */
+function mongooseType(field, mongoose) {
+  const { Schema } = mongoose;
+  
+  switch (field.type) {
+    case 'string':
+    case 'uuid':
+      return String;
+    case 'number':
+    case 'integer':
+      return Number;
+    case 'boolean':
+      return Boolean;
+    case 'date':
+      return Date;
+    case 'map':
+      return Map;
+    case 'object':
+      return field.fields ? new Schema(toMongooseFields(field.fields, mongoose), { _id: false }) : Schema.Types.Mixed;
+    case 'array':
+      // Arrays of subdocuments take the schema itself, so they become document arrays
+      return field.items.fields
+        ? [mongooseType(field.items, mongoose)]
+        : [mongooseField(field.items, mongoose)];
+    default:
+      return Schema.Types.Mixed;
+  }
+}
+
+/**
+ * Build the Mongoose path options of a field
+ * @param {Object} field - Field definition
+ * @param {Object} mongoose - Mongoose module
+ * @returns {Object} Mongoose path options
+ */
+function mongooseField(field, mongoose) {
+  const path = { type: mongooseType(field, mongoose) };
+  
+  if (field.type === 'map') path.of = mongoose.Schema.Types.Mixed;
+  if (field.required) path.required = true;
+  if (field.unique) path.unique = true;
+  if (field.enum) path.enum = field.enum;
+  if (field.type === 'uuid') path.match = UUID_PATTERN;
+  else if (field.pattern) path.match = field.pattern;
+  if (field.minLength !== undefined) path.minlength = field.minLength;
+  if (field.maxLength !== undefined) path.maxlength = field.maxLength;
+  if (field.minimum !== undefined) path.min = field.minimum;
+  if (field.maximum !== undefined) path.max = field.maximum;
+  if (field.type === 'integer') {
+    path.validate = { validator: Number.isInteger, message: '{PATH} must be an integer' };
+  }
+  if (field.minItems !== undefined) {
+    path.validate = {
+      validator: value => value.length >= field.minItems,
+      message: `{PATH} needs at least ${field.minItems} items`
+    };
+  }
+  if (field.default !== undefined) {
+    path.default = field.default;
+  } else if (field.nullable) {
+    path.default = null;
+  }
+  
+  return path;
+}
+
+/**
+ * Generate the Mongoose schema fields of a document
+ * Options such as timestamps, indexes and methods stay with the schema.
+ * @param {Object} definitionOrFields - Document definition or field definitions by name
+ * @param {Object} mongoose - Mongoose module
+ * @returns {Object} Mongoose schema fields
+ */
+function toMongooseFields(definitionOrFields, mongoose) {
+  const fields = definitionOrFields.fields && definitionOrFields.collection
+    ? definitionOrFields.fields
+    : definitionOrFields;
+  const result = {};
+  
+  for (const [name, field] of Object.entries(fields)) {
+    result[name] = mongooseField(field, mongoose);
+  }
+  
+  return result;
+}
+
+/**
+ * Build the Joi schema of a field
+ * @param {Object} field - Field definition
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Whether every field is optional and defaults are left out
+ * @returns {Object} Joi schema
+ */
+function joiField(field, options) {
+  let schema;
+  
+  switch (field.type) {
+    case 'string':
+      schema = Joi.string();
+      break;
+    case 'uuid':
+      schema = Joi.string().uuid({ version: UUID_VERSIONS }).lowercase();
+      break;
+    case 'number':
+      schema = Joi.number();
+      break;
+    case 'integer':
+      schema = Joi.number().integer();
+      break;
+    case 'boolean':
+      schema = Joi.boolean();
+      break;
+    case 'date':
+      schema = Joi.date();
+      break;
+    case 'object':
+    case 'map':
+      // Subdocuments are validated whole, even in a partial update
+      schema = field.fields ? joiObject(field.fields, { partial: false }) : Joi.object();
+      break;
+    case 'array':
+      schema = Joi.array().items(joiField(field.items, { partial: false }));
+      break;
+    default:
+      schema = Joi.any();
+  }
+  
+  if (field.enum) schema = schema.valid(...field.enum);
+  if (field.pattern) schema = schema.pattern(field.pattern);
+  if (field.minLength !== undefined) schema = schema.min(field.minLength);
+  if (field.maxLength !== undefined) schema = schema.max(field.maxLength);
+  if (field.minimum !== undefined) schema = schema.min(field.minimum);
+  if (field.maximum !== undefined) schema = schema.max(field.maximum);
+  if (field.minItems !== undefined) schema = schema.min(field.minItems);
+  if (field.nullable) schema = schema.allow(null);
+  if (field.label) schema = schema.label(field.label);
+  if (field.messages) schema = schema.messages(field.messages);
+  
+  // A stored field with a default may be left out of a request
+  if (options.partial || field.required !== true || field.default !== undefined) {
+    schema = schema.optional();
+  } else {
+    schema = schema.required();
+  }
+  // Nullable fields default to null, as in the Mongoose schema
+  if (!options.partial && field.default !== undefined) {
+    schema = schema.default(field.default);
+  } else if (!options.partial && field.nullable) {
+    schema = schema.default(null);
+  }
+  
+  return schema;
+}
+
+/**
+ * Build a Joi object schema from fields
+ * @param {Object} fields - Field definitions by name
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Whether every field is optional and defaults are left out
+ * @returns {Object} Joi object schema
+ */
+function joiObject(fields, options) {
+  const keys = {};
+  
+  for (const [name, field] of Object.entries(fields)) {
+    keys[name] = joiField(field, options);
+  }
+  
+  return Joi.object(keys);
+}
+
+/**
+ * Generate a Joi request schema for some fields of a document
+ * A create schema requires the required fields without defaults and fills
+ * in defaults; an update schema (partial) makes every field optional and
+ * needs at least one.
+ * @param {Object} definition - Document definition
+ * @param {Object} [options={}] - Options
+ * @param {Array<string>} [options.fields] - Fields the request may set (all by default)
+ * @param {boolean} [options.partial=false] - Whether the schema is for a partial update
+ * @returns {Object} Joi object schema
+ * @throws {Error} If a field is not defined
+ */
+function toJoiSchema(definition, options = {}) {
+  const names = options.fields || Object.keys(definition.fields);
+  const fields = {};
+  
+  for (const name of names) {
+    if (!definition.fields[name]) {
+      throw new Error(`${definition.name} has no field '${name}'`);
+    }
+    fields[name] = definition.fields[name];
+  }
+  
+  let schema = joiObject(fields, { partial: Boolean(options.partial) })
+    .prefs({ errors: { wrap: { label: false } } });
+  
+  if (options.partial) {
+    schema = schema.min(1).messages({
+      'object.min': 'At least one field must be provided'
+    });
+  }
+  
+  return schema;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  UUID_PATTERN,
+  DEFAULT_OPTIONS,
+  defineDocument,
+  toJsonSchema,
+  toCollectionOptions,
+  toMongooseFields,
+  toJoiSchema
+};
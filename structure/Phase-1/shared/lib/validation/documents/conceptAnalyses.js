@@ -0,0 +1,129 @@
+/**
+ * Document definitions: Concept analyses
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { defineDocument } = require('../documentSchema');
+
+// Kinds of analysis of a concept
+const ANALYSIS_TYPES = [
+  'critical',
+  'historical',
+  'comparative',
+  'structural',
+  'linguistic',
+  'ethical',
+  'political',
+  'methodological',
+  'interdisciplinary',
+  'creative'
+];
+
+// Key point of an analysis
+const keyPoint = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    relevance_score: { type: 'number', minimum: 1, maximum: 5, default: 3 },
+    related_elements: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+// Reference cited by an analysis
+const reference = {
+  type: 'object',
+  fields: {
+    philosopher: { type: 'string', nullable: true },
+    text: { type: 'string', nullable: true },
+    year: { type: 'number', nullable: true },
+    description: { type: 'string', required: true },
+    relevance_type: {
+      type: 'string',
+      enum: ['support', 'contrast', 'context', 'elaboration'],
+      default: 'support'
+    }
+  }
+};
+
+// Concept analysis documents (conceptAnalyses)
+const conceptAnalysisDocument = defineDocument({
+  name: 'ConceptAnalysis',
+  collection: 'conceptAnalyses',
+  fields: {
+    analysis_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+      description: 'UUID of the analysis'
+    },
+    concept_id: {
+      type: 'uuid',
+      required: true,
+      description: 'UUID of the concept'
+    },
+    analysis_type: {
+      type: 'string',
+      enum: ANALYSIS_TYPES,
+      required: true,
+      description: 'Type of analysis'
+    },
+    content: {
+      type: 'string',
+      required: true,
+      description: 'Content of the analysis'
+    },
+    key_points: {
+      type: 'array',
+      items: keyPoint,
+      default: [],
+      description: 'Key points of the analysis'
+    },
+    references: {
+      type: 'array',
+      items: reference,
+      default: [],
+      description: 'References cited by the analysis'
+    },
+    suggested_improvements: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Suggested improvements of the concept'
+    },
+    critique_points: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Points of critique'
+    },
+    generation_parameters: {
+      type: 'map',
+      default: {},
+      description: 'Parameters used for generation'
+    },
+    claude_generation_id: {
+      type: 'string',
+      nullable: true,
+      description: 'UUID of the Claude interaction that generated the analysis'
+    },
+    created_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the analysis was created'
+    },
+    updated_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the analysis was last updated'
+    }
+  }
+});
+
+module.exports = {
+  ANALYSIS_TYPES,
+  conceptAnalysisDocument
+};
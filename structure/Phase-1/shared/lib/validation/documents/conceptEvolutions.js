@@ -0,0 +1,230 @@
+/**
+ * Document definitions: Concept evolutions
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { defineDocument } = require('../documentSchema');
+
+// Directions a concept can evolve in
+const EVOLUTION_DIRECTIONS = [
+  'expansion',
+  'refinement',
+  'reinterpretation',
+  'synthesis',
+  'critique',
+  'integration',
+  'application'
+];
+
+// Rating from 1 to 5
+const rating = {
+  type: 'number',
+  minimum: 1,
+  maximum: 5,
+  default: 3
+};
+
+// Change to a category
+const categoryChange = {
+  type: 'object',
+  fields: {
+    category_id: { type: 'uuid', nullable: true },
+    category_name: { type: 'string', required: true },
+    change_type: {
+      type: 'string',
+      enum: ['add', 'modify', 'remove', 'redefine', 'merge', 'split'],
+      required: true
+    },
+    original_definition: { type: 'string', nullable: true },
+    new_definition: { type: 'string', nullable: true },
+    justification: { type: 'string', required: true },
+    importance: rating
+  }
+};
+
+// Change to a relationship
+const relationshipChange = {
+  type: 'object',
+  fields: {
+    relationship_id: { type: 'uuid', nullable: true },
+    source_category: { type: 'string', required: true },
+    target_category: { type: 'string', required: true },
+    relationship_type: { type: 'string', required: true },
+    change_type: {
+      type: 'string',
+      enum: ['add', 'modify', 'remove', 'redefine', 'strengthen', 'weaken', 'reverse'],
+      required: true
+    },
+    original_description: { type: 'string', nullable: true },
+    new_description: { type: 'string', nullable: true },
+    justification: { type: 'string', required: true },
+    importance: rating
+  }
+};
+
+// Change to a thesis
+const thesisChange = {
+  type: 'object',
+  fields: {
+    thesis_id: { type: 'uuid', nullable: true },
+    thesis_type: { type: 'string', required: true },
+    change_type: {
+      type: 'string',
+      enum: ['add', 'modify', 'remove', 'restate', 'strengthen', 'qualify'],
+      required: true
+    },
+    original_content: { type: 'string', nullable: true },
+    new_content: { type: 'string', nullable: true },
+    justification: { type: 'string', required: true },
+    related_categories: { type: 'array', items: { type: 'string' }, default: [] },
+    importance: rating
+  }
+};
+
+// Change to the name of the concept
+const nameChange = {
+  type: 'object',
+  fields: {
+    original_name: { type: 'string', required: true },
+    new_name: { type: 'string', required: true },
+    justification: { type: 'string', required: true },
+    semantic_shift: {
+      type: 'string',
+      enum: ['minor', 'moderate', 'significant', 'fundamental'],
+      default: 'moderate'
+    }
+  }
+};
+
+// Driver of an evolution
+const contextualDriver = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    driver_type: {
+      type: 'string',
+      enum: [
+        'scientific_development',
+        'societal_change',
+        'technological_innovation',
+        'philosophical_development',
+        'interdisciplinary_insight',
+        'empirical_evidence'
+      ],
+      required: true
+    },
+    relevance: rating,
+    affected_elements: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+// Concept evolution documents (conceptEvolutions)
+const conceptEvolutionDocument = defineDocument({
+  name: 'ConceptEvolution',
+  collection: 'conceptEvolutions',
+  fields: {
+    evolution_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+      description: 'UUID of the evolution'
+    },
+    concept_id: {
+      type: 'uuid',
+      required: true,
+      description: 'UUID of the concept'
+    },
+    target_concept_id: {
+      type: 'uuid',
+      nullable: true,
+      description: 'UUID of the target concept (if created)'
+    },
+    evolution_context: {
+      type: 'string',
+      required: true,
+      description: 'Context of the evolution'
+    },
+    evolution_direction: {
+      type: 'string',
+      enum: EVOLUTION_DIRECTIONS,
+      required: true,
+      description: 'Direction of the evolution'
+    },
+    scientific_context: {
+      type: 'string',
+      default: '',
+      description: 'Scientific context of the evolution'
+    },
+    contemporary_relevance: {
+      type: 'string',
+      default: '',
+      description: 'Contemporary relevance of the evolution'
+    },
+    category_changes: {
+      type: 'array',
+      items: categoryChange,
+      default: [],
+      description: 'Changes to categories'
+    },
+    relationship_changes: {
+      type: 'array',
+      items: relationshipChange,
+      default: [],
+      description: 'Changes to relationships'
+    },
+    thesis_changes: {
+      type: 'array',
+      items: thesisChange,
+      default: [],
+      description: 'Changes to theses'
+    },
+    name_change: {
+      ...nameChange,
+      nullable: true,
+      description: 'Change to the name of the concept'
+    },
+    contextual_drivers: {
+      type: 'array',
+      items: contextualDriver,
+      default: [],
+      description: 'Drivers of the evolution'
+    },
+    innovation_degree: {
+      ...rating,
+      description: 'Degree of innovation from 1 to 5'
+    },
+    applicability_enhancement: {
+      ...rating,
+      description: 'Enhancement of applicability from 1 to 5'
+    },
+    claude_generation_id: {
+      type: 'string',
+      nullable: true,
+      description: 'UUID of the Claude interaction that generated the evolution'
+    },
+    generation_parameters: {
+      type: 'map',
+      default: {},
+      description: 'Parameters used for generation'
+    },
+    created_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the evolution was created'
+    },
+    updated_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the evolution was last updated'
+    }
+  }
+});
+
+module.exports = {
+  EVOLUTION_DIRECTIONS,
+  conceptEvolutionDocument
+};
@@ -0,0 +1,204 @@
+/**
+ * Document definitions: Category and relationship descriptions
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { defineDocument } = require('../documentSchema');
+const { RELATIONSHIP_TYPES } = require('../../../constants/philosophyConstants');
+
+// How a related concept relates to a category
+const RELATED_CONCEPT_TYPES = ['similar', 'opposite', 'broader', 'narrower', 'contextual', 'derivative'];
+
+// Score between 0 and 1
+const score = {
+  type: 'number',
+  minimum: 0,
+  maximum: 1,
+  default: 0.5
+};
+
+// Historical analogue of a category
+const historicalAnalogue = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    philosopher: { type: 'string', nullable: true },
+    tradition: { type: 'string', nullable: true },
+    time_period: { type: 'string', nullable: true },
+    similarity_score: score
+  }
+};
+
+// Concept related to a category
+const relatedConcept = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    relationship_type: { type: 'string', enum: RELATED_CONCEPT_TYPES, required: true },
+    relatedness_score: score
+  }
+};
+
+// Analogue of a relationship in another domain
+const relationshipAnalogue = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    domain: { type: 'string', default: 'philosophy' },
+    tradition: { type: 'string', nullable: true },
+    similarity_score: score
+  }
+};
+
+// Category description documents (categoryDescriptions)
+const categoryDescriptionDocument = defineDocument({
+  name: 'CategoryDescription',
+  collection: 'categoryDescriptions',
+  fields: {
+    description_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+      description: 'UUID of the description'
+    },
+    category_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      description: 'UUID of the category'
+    },
+    detailed_description: {
+      type: 'string',
+      required: true,
+      description: 'Detailed description of the category'
+    },
+    alternative_interpretations: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Array of alternative interpretations'
+    },
+    historical_analogues: {
+      type: 'array',
+      items: historicalAnalogue,
+      default: [],
+      description: 'Array of historical analogues'
+    },
+    related_concepts: {
+      type: 'array',
+      items: relatedConcept,
+      default: [],
+      description: 'Array of related concepts'
+    },
+    claude_generation_id: {
+      type: 'string',
+      nullable: true,
+      description: 'UUID of the Claude interaction that generated the description'
+    },
+    created_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the description was created'
+    },
+    last_modified: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the description was last modified'
+    }
+  }
+});
+
+// Relationship description documents (relationshipDescriptions)
+const relationshipDescriptionDocument = defineDocument({
+  name: 'RelationshipDescription',
+  collection: 'relationshipDescriptions',
+  fields: {
+    description_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+      description: 'UUID of the description'
+    },
+    relationship_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      description: 'UUID of the relationship'
+    },
+    philosophical_foundation: {
+      type: 'string',
+      required: true,
+      description: 'Philosophical foundation of the relationship'
+    },
+    counterarguments: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Array of counterarguments'
+    },
+    analogues: {
+      type: 'array',
+      items: relationshipAnalogue,
+      default: [],
+      description: 'Array of analogues'
+    },
+    source_category_id: {
+      type: 'uuid',
+      required: true,
+      description: 'UUID of the source category'
+    },
+    target_category_id: {
+      type: 'uuid',
+      required: true,
+      description: 'UUID of the target category'
+    },
+    relationship_type: {
+      type: 'string',
+      enum: Object.values(RELATIONSHIP_TYPES),
+      required: true,
+      description: 'Type of the relationship'
+    },
+    relevant_philosophers: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Philosophers who discussed the relationship'
+    },
+    relevant_traditions: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Traditions the relationship belongs to'
+    },
+    claude_generation_id: {
+      type: 'string',
+      nullable: true,
+      description: 'UUID of the Claude interaction that generated the description'
+    },
+    created_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the description was created'
+    },
+    last_modified: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the description was last modified'
+    }
+  }
+});
+
+module.exports = {
+  RELATED_CONCEPT_TYPES,
+  categoryDescriptionDocument,
+  relationshipDescriptionDocument
+};
@@ -0,0 +1,148 @@
+/**
+ * Document definitions: Dialogues
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { defineDocument } = require('../documentSchema');
+
+// Kinds of arguments made in a dialogue
+const ARGUMENT_TYPES = ['premise', 'objection', 'rebuttal', 'clarification', 'conclusion'];
+
+// Rating from 1 to 5
+const rating = {
+  type: 'number',
+  minimum: 1,
+  maximum: 5,
+  default: 3
+};
+
+// Argument made by a concept
+const argument = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true },
+    content: { type: 'string', required: true },
+    concept_id: { type: 'uuid', required: true },
+    argument_type: { type: 'string', enum: ARGUMENT_TYPES, required: true },
+    strength: rating,
+    related_theses: { type: 'array', items: { type: 'uuid' }, default: [] },
+    counterarguments: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+// Point on which two concepts take positions
+const discussionPoint = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    position_one: { type: 'string', required: true },
+    position_one_concept_id: { type: 'uuid', required: true },
+    position_two: { type: 'string', required: true },
+    position_two_concept_id: { type: 'uuid', required: true },
+    resolution: { type: 'string', nullable: true },
+    importance: rating
+  }
+};
+
+// Message spoken by a concept
+const dialogueMessage = {
+  type: 'object',
+  fields: {
+    message_id: { type: 'uuid', required: true, default: () => uuidv4() },
+    concept_id: { type: 'uuid', required: true },
+    speaker: { type: 'string', required: true },
+    content: { type: 'string', required: true },
+    references: { type: 'array', items: { type: 'string' }, default: [] },
+    sequence: { type: 'number', required: true }
+  }
+};
+
+// Dialogue documents (dialogues)
+const dialogueDocument = defineDocument({
+  name: 'Dialogue',
+  collection: 'dialogues',
+  fields: {
+    dialogue_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+      description: 'UUID of the dialogue'
+    },
+    philosophical_question: {
+      type: 'string',
+      required: true,
+      description: 'Philosophical question discussed in the dialogue'
+    },
+    dialogue_content: {
+      type: 'string',
+      required: true,
+      description: 'Content of the dialogue'
+    },
+    messages: {
+      type: 'array',
+      items: dialogueMessage,
+      default: [],
+      description: 'Messages of the dialogue in order'
+    },
+    discussion_points: {
+      type: 'array',
+      items: discussionPoint,
+      default: [],
+      description: 'Points the concepts discuss'
+    },
+    arguments: {
+      type: 'array',
+      items: argument,
+      default: [],
+      description: 'Arguments made in the dialogue'
+    },
+    concept_ids: {
+      type: 'array',
+      items: { type: 'uuid' },
+      required: true,
+      minItems: 2,
+      description: 'UUIDs of the participating concepts (at least two)'
+    },
+    convergences: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Points the concepts agree on'
+    },
+    divergences: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Points the concepts disagree on'
+    },
+    claude_generation_id: {
+      type: 'string',
+      nullable: true,
+      description: 'UUID of the Claude interaction that generated the dialogue'
+    },
+    generation_parameters: {
+      type: 'map',
+      default: {},
+      description: 'Parameters used for generation'
+    },
+    created_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the dialogue was created'
+    },
+    updated_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the dialogue was last updated'
+    }
+  }
+});
+
+module.exports = {
+  ARGUMENT_TYPES,
+  dialogueDocument
+};
@@ -0,0 +1,181 @@
+/**
+ * Document definitions: Historical contexts
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { defineDocument } = require('../documentSchema');
+
+// Periods of the history of philosophy
+const TIME_PERIODS = [
+  'ancient',
+  'classical',
+  'medieval',
+  'renaissance',
+  'early_modern',
+  'enlightenment',
+  'modern',
+  'contemporary',
+  'postmodern'
+];
+
+// Rating from 1 to 5
+const rating = {
+  type: 'number',
+  minimum: 1,
+  maximum: 5,
+  default: 3
+};
+
+// Influence on a concept
+const influence = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    influence_type: {
+      type: 'string',
+      enum: ['philosopher', 'school', 'tradition', 'event', 'text', 'social_movement'],
+      required: true
+    },
+    time_period: { type: 'string', enum: TIME_PERIODS, required: true },
+    influence_strength: rating,
+    key_concepts: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+// Contemporary of a concept
+const contemporary = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    relationship: {
+      type: 'string',
+      enum: ['aligned', 'opposed', 'complementary', 'developed', 'criticized', 'extended'],
+      required: true
+    },
+    philosopher: { type: 'string', nullable: true },
+    tradition: { type: 'string', nullable: true },
+    comparison_points: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+// Later influence of a concept
+const subsequentInfluence = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    influence_type: {
+      type: 'string',
+      enum: ['philosopher', 'school', 'tradition', 'field', 'practical_application'],
+      required: true
+    },
+    time_period: { type: 'string', enum: TIME_PERIODS, default: 'contemporary' },
+    influence_strength: rating,
+    key_developments: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+// Event on the timeline of a concept
+const timelineEvent = {
+  type: 'object',
+  fields: {
+    year: { type: 'number', required: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    event_type: {
+      type: 'string',
+      enum: ['publication', 'philosophical_development', 'historical_event', 'birth', 'death', 'school_foundation'],
+      required: true
+    },
+    related_philosophers: { type: 'array', items: { type: 'string' }, default: [] },
+    significance: rating
+  }
+};
+
+// Historical context documents (historicalContexts)
+const historicalContextDocument = defineDocument({
+  name: 'HistoricalContext',
+  collection: 'historicalContexts',
+  fields: {
+    context_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+      description: 'UUID of the historical context'
+    },
+    concept_id: {
+      type: 'uuid',
+      required: true,
+      description: 'UUID of the concept'
+    },
+    time_period: {
+      type: 'string',
+      enum: TIME_PERIODS,
+      required: true,
+      description: 'Historical time period'
+    },
+    historical_analysis: {
+      type: 'string',
+      required: true,
+      description: 'Historical analysis of the concept'
+    },
+    influences: {
+      type: 'array',
+      items: influence,
+      default: [],
+      description: 'Influences on the concept'
+    },
+    contemporaries: {
+      type: 'array',
+      items: contemporary,
+      default: [],
+      description: 'Contemporaries of the concept'
+    },
+    subsequent_influence: {
+      type: 'array',
+      items: subsequentInfluence,
+      default: [],
+      description: 'Later influence of the concept'
+    },
+    timeline: {
+      type: 'array',
+      items: timelineEvent,
+      default: [],
+      description: 'Timeline of events'
+    },
+    historical_significance: {
+      ...rating,
+      description: 'Historical significance from 1 to 5'
+    },
+    claude_generation_id: {
+      type: 'string',
+      nullable: true,
+      description: 'UUID of the Claude interaction that generated the historical context'
+    },
+    generation_parameters: {
+      type: 'map',
+      default: {},
+      description: 'Parameters used for generation'
+    },
+    created_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the historical context was created'
+    },
+    updated_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the historical context was last updated'
+    }
+  }
+});
+
+module.exports = {
+  TIME_PERIODS,
+  historicalContextDocument
+};
@@ -0,0 +1,40 @@
+/**
+ * Document definitions
+ * Collections whose Mongoose schema, $jsonSchema validator and Joi request
+ * schemas are generated from one definition. Migrations keep a copy of the
+ * generated validators, so a changed definition needs a new migration.
+ */
+
+const { thesisDocument, thesisElaborationDocument } = require('./theses');
+const { categoryDescriptionDocument, relationshipDescriptionDocument } = require('./descriptions');
+const { conceptAnalysisDocument } = require('./conceptAnalyses');
+const { dialogueDocument } = require('./dialogues');
+const { historicalContextDocument } = require('./historicalContexts');
+const { practicalApplicationDocument } = require('./practicalApplications');
+const { conceptEvolutionDocument } = require('./conceptEvolutions');
+
+// Every definition, in the order validators are applied
+const DOCUMENTS = [
+  thesisDocument,
+  thesisElaborationDocument,
+  categoryDescriptionDocument,
+  relationshipDescriptionDocument,
+  conceptAnalysisDocument,
+  dialogueDocument,
+  historicalContextDocument,
+  practicalApplicationDocument,
+  conceptEvolutionDocument
+];
+
+module.exports = {
+  DOCUMENTS,
+  thesisDocument,
+  thesisElaborationDocument,
+  categoryDescriptionDocument,
+  relationshipDescriptionDocument,
+  conceptAnalysisDocument,
+  dialogueDocument,
+  historicalContextDocument,
+  practicalApplicationDocument,
+  conceptEvolutionDocument
+};
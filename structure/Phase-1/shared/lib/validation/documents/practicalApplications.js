@@ -0,0 +1,171 @@
+/**
+ * Document definitions: Practical applications
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { defineDocument } = require('../documentSchema');
+
+// Domains a concept can be applied in
+const APPLICATION_DOMAINS = [
+  'education',
+  'ethics',
+  'politics',
+  'arts',
+  'science',
+  'technology',
+  'psychology',
+  'business',
+  'medicine',
+  'law',
+  'environment',
+  'social_policy'
+];
+
+// Rating from 1 to 5
+const rating = {
+  type: 'number',
+  minimum: 1,
+  maximum: 5,
+  default: 3
+};
+
+// Application of a concept in a domain
+const domainApplication = {
+  type: 'object',
+  fields: {
+    domain: { type: 'string', enum: APPLICATION_DOMAINS, required: true },
+    description: { type: 'string', required: true },
+    relevance: rating,
+    key_examples: { type: 'array', items: { type: 'string' }, default: [] },
+    potential_impact: rating,
+    challenges: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+// Method of putting a concept into practice
+const implementationMethod = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    domain: { type: 'string', enum: APPLICATION_DOMAINS, required: true },
+    steps: { type: 'array', items: { type: 'string' }, default: [] },
+    required_resources: { type: 'array', items: { type: 'string' }, default: [] },
+    expected_outcomes: { type: 'array', items: { type: 'string' }, default: [] },
+    feasibility: rating
+  }
+};
+
+// Mapping of a concept element to a domain
+const relevanceMapping = {
+  type: 'object',
+  fields: {
+    concept_element: { type: 'string', required: true },
+    element_type: { type: 'string', enum: ['category', 'thesis', 'relationship'], required: true },
+    application_domain: { type: 'string', enum: APPLICATION_DOMAINS, required: true },
+    relevance_explanation: { type: 'string', required: true },
+    transformation_required: { type: 'boolean', default: false },
+    operationalization_notes: { type: 'string', default: '' }
+  }
+};
+
+// Case study of an application
+const caseStudy = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true },
+    domain: { type: 'string', enum: APPLICATION_DOMAINS, required: true },
+    description: { type: 'string', required: true },
+    approach: { type: 'string', required: true },
+    outcomes: { type: 'string', required: true },
+    lessons_learned: { type: 'array', items: { type: 'string' }, default: [] },
+    related_concept_elements: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+// Practical application documents (practicalApplications)
+const practicalApplicationDocument = defineDocument({
+  name: 'PracticalApplication',
+  collection: 'practicalApplications',
+  fields: {
+    application_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+      description: 'UUID of the practical application'
+    },
+    concept_id: {
+      type: 'uuid',
+      required: true,
+      description: 'UUID of the concept'
+    },
+    domains: {
+      type: 'array',
+      items: domainApplication,
+      required: true,
+      minItems: 1,
+      description: 'Applications by domain (at least one)'
+    },
+    application_analysis: {
+      type: 'string',
+      required: true,
+      description: 'Analysis of practical applications'
+    },
+    implementation_methods: {
+      type: 'array',
+      items: implementationMethod,
+      default: [],
+      description: 'Methods of implementation'
+    },
+    relevance_mappings: {
+      type: 'array',
+      items: relevanceMapping,
+      default: [],
+      description: 'Mappings of concept elements to domains'
+    },
+    case_studies: {
+      type: 'array',
+      items: caseStudy,
+      default: [],
+      description: 'Case studies'
+    },
+    interdisciplinary_connections: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Connections to other disciplines'
+    },
+    overall_applicability: {
+      ...rating,
+      description: 'Overall applicability from 1 to 5'
+    },
+    claude_generation_id: {
+      type: 'string',
+      nullable: true,
+      description: 'UUID of the Claude interaction that generated the practical application'
+    },
+    generation_parameters: {
+      type: 'map',
+      default: {},
+      description: 'Parameters used for generation'
+    },
+    created_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the practical application was created'
+    },
+    updated_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the practical application was last updated'
+    }
+  }
+});
+
+module.exports = {
+  APPLICATION_DOMAINS,
+  practicalApplicationDocument
+};
@@ -0,0 +1,235 @@
+/**
+ * Document definitions: Theses and thesis elaborations
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { defineDocument } = require('../documentSchema');
+const {
+  THESIS_DRAFT,
+  THESIS_GENERATED,
+  THESIS_EDITED,
+  THESIS_ELABORATED,
+  THESIS_PUBLISHED,
+  THESIS_APPROVED,
+  THESIS_REJECTED,
+  THESIS_ARCHIVED
+} = require('../../../constants/statuses');
+const { THESIS_TYPES, THESIS_STYLES } = require('../../../constants/philosophyConstants');
+
+// Statuses a stored thesis can have
+const THESIS_STATUSES = [
+  THESIS_DRAFT,
+  THESIS_GENERATED,
+  THESIS_EDITED,
+  THESIS_ELABORATED,
+  THESIS_PUBLISHED,
+  THESIS_APPROVED,
+  THESIS_REJECTED,
+  THESIS_ARCHIVED
+];
+
+// Types of elaborations that can be requested
+const ELABORATION_TYPES = [
+  'explanation',
+  'justification',
+  'critique',
+  'examples',
+  'counterarguments',
+  'implications',
+  'historical_context',
+  'comprehensive'
+];
+
+// Types of stored elaborations, including the singular names of older documents
+const STORED_ELABORATION_TYPES = [...ELABORATION_TYPES, 'counterargument', 'implication', 'example'];
+
+/**
+ * Build the Joi messages of a content field
+ * @param {string} label - Field label
+ * @returns {Object} Messages by error code
+ */
+function contentMessages(label) {
+  return {
+    'string.empty': `${label} is required`,
+    'string.min': `${label} must be at least {{#limit}} characters`,
+    'string.max': `${label} cannot exceed {{#limit}} characters`,
+    'any.required': `${label} is required`
+  };
+}
+
+/**
+ * Build the Joi message of an enumerated field
+ * @param {string} label - Field label
+ * @param {Array<string>} values - Allowed values
+ * @returns {Object} Messages by error code
+ */
+function enumMessages(label, values) {
+  return {
+    'any.only': `${label} must be one of: ${values.join(', ')}`
+  };
+}
+
+// Longest thesis or elaboration content
+const MAX_CONTENT_LENGTH = 5000;
+
+// Thesis documents (theses)
+const thesisDocument = defineDocument({
+  name: 'Thesis',
+  collection: 'theses',
+  fields: {
+    thesis_id: {
+      type: 'uuid',
+      required: true,
+      unique: true,
+      default: () => uuidv4(),
+      description: 'UUID of the thesis'
+    },
+    concept_id: {
+      type: 'uuid',
+      required: true,
+      description: 'UUID of the parent concept'
+    },
+    type: {
+      type: 'string',
+      enum: Object.values(THESIS_TYPES),
+      required: true,
+      label: 'Thesis type',
+      messages: enumMessages('Thesis type', Object.values(THESIS_TYPES)),
+      description: 'Type of thesis'
+    },
+    content: {
+      type: 'string',
+      required: true,
+      minLength: 1,
+      maxLength: MAX_CONTENT_LENGTH,
+      label: 'Thesis content',
+      messages: contentMessages('Thesis content'),
+      description: 'Content of the thesis'
+    },
+    style: {
+      type: 'string',
+      enum: Object.values(THESIS_STYLES),
+      required: true,
+      default: THESIS_STYLES.ACADEMIC,
+      label: 'Thesis style',
+      messages: enumMessages('Thesis style', Object.values(THESIS_STYLES)),
+      description: 'Style of the thesis'
+    },
+    status: {
+      type: 'string',
+      enum: THESIS_STATUSES,
+      required: true,
+      default: THESIS_GENERATED,
+      label: 'Status',
+      messages: enumMessages('Status', THESIS_STATUSES),
+      description: 'Status of the thesis'
+    },
+    related_categories: {
+      type: 'array',
+      items: { type: 'uuid' },
+      default: [],
+      label: 'Related categories',
+      description: 'Array of related category IDs'
+    },
+    parent_theses: {
+      type: 'array',
+      items: { type: 'uuid' },
+      default: [],
+      label: 'Parent theses',
+      description: 'Array of parent thesis IDs for synthesized theses'
+    },
+    generation_parameters: {
+      type: 'map',
+      default: {},
+      description: 'Parameters used for generation'
+    },
+    claude_generation_id: {
+      type: 'string',
+      nullable: true,
+      description: 'UUID of the Claude interaction that generated the thesis'
+    },
+    metadata: {
+      type: 'map',
+      default: {},
+      label: 'Metadata',
+      description: 'Additional metadata'
+    },
+    created_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the thesis was created'
+    },
+    updated_at: {
+      type: 'date',
+      required: true,
+      default: Date.now,
+      description: 'Timestamp when the thesis was last updated'
+    }
+  }
+});
+
+// Elaboration documents (thesiselaborations, named by Mongoose after the model)
+const thesisElaborationDocument = defineDocument({
+  name: 'ThesisElaboration',
+  collection: 'thesiselaborations',
+  fields: {
+    elaboration_id: {
+      type: 'uuid',
+      required: true,
+      default: () => uuidv4(),
+      description: 'UUID of the elaboration'
+    },
+    thesis_id: {
+      type: 'uuid',
+      required: true,
+      description: 'UUID of the elaborated thesis'
+    },
+    content: {
+      type: 'string',
+      required: true,
+      minLength: 1,
+      maxLength: MAX_CONTENT_LENGTH,
+      label: 'Elaboration content',
+      messages: contentMessages('Elaboration content'),
+      description: 'Content of the elaboration'
+    },
+    type: {
+      type: 'string',
+      enum: STORED_ELABORATION_TYPES,
+      default: 'explanation',
+      label: 'Elaboration type',
+      messages: enumMessages('Elaboration type', ELABORATION_TYPES),
+      description: 'Type of elaboration'
+    },
+    claude_generation_id: {
+      type: 'uuid',
+      nullable: true,
+      description: 'UUID of the Claude interaction that generated the elaboration'
+    },
+    metadata: {
+      type: 'map',
+      default: {},
+      label: 'Metadata',
+      description: 'Additional metadata'
+    },
+    created_at: {
+      type: 'date',
+      default: Date.now,
+      description: 'Timestamp when the elaboration was created'
+    },
+    updated_at: {
+      type: 'date',
+      default: Date.now,
+      description: 'Timestamp when the elaboration was last updated'
+    }
+  }
+});
+
+module.exports = {
+  THESIS_STATUSES,
+  ELABORATION_TYPES,
+  STORED_ELABORATION_TYPES,
+  thesisDocument,
+  thesisElaborationDocument
+};
@@ -253,7 +253,9 @@ const updateGraphStatusSchema = Joi.object({
 const graphValidationSchema = Joi.object({
   checkCircularReferences: Joi.boolean().default(true),
   checkOrphanedCategories: Joi.boolean().default(true),
+  checkConnectivity: Joi.boolean().default(true),
   checkCategoryNames: Joi.boolean().default(true),
+  checkContradictions: Joi.boolean().default(true),
   checkRelationshipTypes: Joi.boolean().default(true),
   suggestionLevel: Joi.string().valid('none', 'basic', 'detailed').default('basic')
     .messages({
@@ -0,0 +1,69 @@
+/**
+ * Validation schemas for full-text search
+ */
+
+const Joi = require('joi');
+const {
+  BRANCHES,
+  TRADITIONS,
+  TIME_PERIODS,
+  THESIS_TYPES,
+  THESIS_STYLES
+} = require('../../../constants/philosophyConstants');
+const { SEARCH_TYPES } = require('../../search/searchSources');
+
+/**
+ * Build the schema of a facet filter
+ * Accepts one value or an array, and always yields an array.
+ * @param {string} label - Label used in messages
+ * @param {Object} constants - Constant object with the valid values
+ * @returns {Joi.Schema} Filter schema
+ */
+function facetFilter(label, constants) {
+  const values = Object.values(constants);
+  
+  return Joi.array().items(Joi.string().valid(...values)).single()
+    .messages({
+      'array.base': `${label} must be a value or an array of values`,
+      'any.only': `${label} must be one of: ${values.join(', ')}`
+    });
+}
+
+// Schema for searching concepts, categories, theses and dialogues
+const searchSchema = Joi.object({
+  q: Joi.string().trim().max(500).allow('').default('')
+    .messages({
+      'string.max': 'Search query cannot exceed {{#limit}} characters'
+    }),
+  
+  types: facetFilter('Types', SEARCH_TYPES),
+  
+  branches: facetFilter('Branches', BRANCHES),
+  
+  traditions: facetFilter('Traditions', TRADITIONS),
+  
+  timePeriods: facetFilter('Time periods', TIME_PERIODS),
+  
+  thesisTypes: facetFilter('Thesis types', THESIS_TYPES),
+  
+  thesisStyles: facetFilter('Thesis styles', THESIS_STYLES),
+  
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least {{#limit}}'
+    }),
+  
+  pageSize: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.base': 'Page size must be a number',
+      'number.integer': 'Page size must be an integer',
+      'number.min': 'Page size must be at least {{#limit}}',
+      'number.max': 'Page size cannot exceed {{#limit}}'
+    })
+});
+
+module.exports = {
+  searchSchema
+};
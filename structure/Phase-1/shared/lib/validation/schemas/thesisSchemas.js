@@ -3,13 +3,8 @@
  */
 
 const Joi = require('joi');
-const { 
-  THESIS_DRAFT,
-  THESIS_GENERATED,
-  THESIS_EDITED,
-  THESIS_ELABORATED,
-  THESIS_PUBLISHED
-} = require('../../../constants/statuses');
+const { toJoiSchema } = require('../documentSchema');
+const { thesisDocument, thesisElaborationDocument, ELABORATION_TYPES } = require('../documents/theses');
 const {
   THESIS_TYPES,
   THESIS_STYLES
@@ -21,82 +16,16 @@ const validThesisTypes = Object.values(THESIS_TYPES);
 // Get valid thesis styles
 const validThesisStyles = Object.values(THESIS_STYLES);
 
-// Schema for creating a thesis manually
-const createThesisSchema = Joi.object({
-  type: Joi.string().valid(...validThesisTypes).required()
-    .messages({
-      'any.only': `Thesis type must be one of: ${validThesisTypes.join(', ')}`,
-      'any.required': 'Thesis type is required'
-    }),
-    
-  content: Joi.string().min(1).max(5000).required()
-    .messages({
-      'string.empty': 'Thesis content is required',
-      'string.min': 'Thesis content must be at least {{#limit}} characters',
-      'string.max': 'Thesis content cannot exceed {{#limit}} characters',
-      'any.required': 'Thesis content is required'
-    }),
-    
-  style: Joi.string().valid(...validThesisStyles).default(THESIS_STYLES.ACADEMIC)
-    .messages({
-      'any.only': `Thesis style must be one of: ${validThesisStyles.join(', ')}`
-    }),
-    
-  related_categories: Joi.array().items(Joi.string().uuid()).default([])
-    .messages({
-      'array.base': 'Related categories must be an array'
-    }),
-    
-  parent_theses: Joi.array().items(Joi.string().uuid()).default([])
-    .messages({
-      'array.base': 'Parent theses must be an array'
-    }),
-    
-  metadata: Joi.object().default({})
-});
+// Fields a request may set on a thesis
+const thesisRequestFields = ['type', 'content', 'style', 'related_categories', 'parent_theses', 'metadata'];
 
-// Schema for updating a thesis
-const updateThesisSchema = Joi.object({
-  type: Joi.string().valid(...validThesisTypes)
-    .messages({
-      'any.only': `Thesis type must be one of: ${validThesisTypes.join(', ')}`
-    }),
-    
-  content: Joi.string().min(1).max(5000)
-    .messages({
-      'string.empty': 'Thesis content cannot be empty',
-      'string.min': 'Thesis content must be at least {{#limit}} characters',
-      'string.max': 'Thesis content cannot exceed {{#limit}} characters'
-    }),
-    
-  style: Joi.string().valid(...validThesisStyles)
-    .messages({
-      'any.only': `Thesis style must be one of: ${validThesisStyles.join(', ')}`
-    }),
-    
-  status: Joi.string().valid(
-    THESIS_DRAFT,
-    THESIS_GENERATED,
-    THESIS_EDITED,
-    THESIS_ELABORATED,
-    THESIS_PUBLISHED
-  ).messages({
-    'any.only': 'Status must be one of: draft, generated, edited, elaborated, published'
-  }),
-  
-  related_categories: Joi.array().items(Joi.string().uuid())
-    .messages({
-      'array.base': 'Related categories must be an array'
-    }),
-    
-  parent_theses: Joi.array().items(Joi.string().uuid())
-    .messages({
-      'array.base': 'Parent theses must be an array'
-    }),
-    
-  metadata: Joi.object()
-}).min(1).messages({
-  'object.min': 'At least one field must be provided'
+// Schema for creating a thesis manually (generated from the document definition)
+const createThesisSchema = toJoiSchema(thesisDocument, { fields: thesisRequestFields });
+
+// Schema for updating a thesis (generated from the document definition)
+const updateThesisSchema = toJoiSchema(thesisDocument, {
+  fields: [...thesisRequestFields, 'status'],
+  partial: true
 });
 
 // Schema for generating theses
@@ -236,18 +165,9 @@ const generateThesesWithCharacteristicsSchema = Joi.object({
 
 // Schema for thesis elaboration
 const elaborateThesisSchema = Joi.object({
-  elaboration_type: Joi.string().valid(
-    'explanation',
-    'justification',
-    'critique',
-    'examples',
-    'counterarguments',
-    'implications',
-    'historical_context',
-    'comprehensive'
-  ).default('explanation')
+  elaboration_type: Joi.string().valid(...ELABORATION_TYPES).default('explanation')
     .messages({
-      'any.only': 'Elaboration type must be one of: explanation, justification, critique, examples, counterarguments, implications, historical_context, comprehensive'
+      'any.only': `Elaboration type must be one of: ${ELABORATION_TYPES.join(', ')}`
     }),
     
   detail_level: Joi.string().valid('basic', 'moderate', 'detailed').default('moderate')
@@ -384,62 +304,16 @@ const compareThesesWithCharacteristicsSchema = Joi.object({
     })
 });
 
-// Schema for creating a thesis elaboration
-const createThesisElaborationSchema = Joi.object({
-  content: Joi.string().min(1).max(5000).required()
-    .messages({
-      'string.empty': 'Elaboration content is required',
-      'string.min': 'Elaboration content must be at least {{#limit}} characters',
-      'string.max': 'Elaboration content cannot exceed {{#limit}} characters',
-      'any.required': 'Elaboration content is required'
-    }),
-    
-  type: Joi.string().valid(
-    'explanation',
-    'justification',
-    'critique',
-    'examples',
-    'counterarguments',
-    'implications',
-    'historical_context',
-    'comprehensive'
-  ).default('explanation')
-    .messages({
-      'any.only': 'Elaboration type must be one of: explanation, justification, critique, examples, counterarguments, implications, historical_context, comprehensive'
-    }),
-    
-  claude_generation_id: Joi.string().uuid().allow(null).default(null),
-  
-  metadata: Joi.object().default({})
-});
+// Fields a request may set on an elaboration
+const elaborationRequestFields = ['content', 'type', 'claude_generation_id', 'metadata'];
 
-// Schema for updating a thesis elaboration
-const updateThesisElaborationSchema = Joi.object({
-  content: Joi.string().min(1).max(5000)
-    .messages({
-      'string.empty': 'Elaboration content cannot be empty',
-      'string.min': 'Elaboration content must be at least {{#limit}} characters',
-      'string.max': 'Elaboration content cannot exceed {{#limit}} characters'
-    }),
-    
-  type: Joi.string().valid(
-    'explanation',
-    'justification',
-    'critique',
-    'examples',
-    'counterarguments',
-    'implications',
-    'historical_context',
-    'comprehensive'
-  ).messages({
-    'any.only': 'Elaboration type must be one of: explanation, justification, critique, examples, counterarguments, implications, historical_context, comprehensive'
-  }),
-  
-  claude_generation_id: Joi.string().uuid().allow(null),
-  
-  metadata: Joi.object()
-}).min(1).messages({
-  'object.min': 'At least one field must be provided'
+// Schema for creating a thesis elaboration (generated from the document definition)
+const createThesisElaborationSchema = toJoiSchema(thesisElaborationDocument, { fields: elaborationRequestFields });
+
+// Schema for updating a thesis elaboration (generated from the document definition)
+const updateThesisElaborationSchema = toJoiSchema(thesisElaborationDocument, {
+  fields: elaborationRequestFields,
+  partial: true
 });
 
 module.exports = {
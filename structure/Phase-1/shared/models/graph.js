@@ -6,6 +6,25 @@
 const { v4: uuidv4 } = require('uuid');
 const { GRAPH_DRAFT } = require('../constants/statuses');
 const { RELATIONSHIP_DIRECTIONS } = require('../constants/philosophyConstants');
+const centrality = require('../lib/graph/centrality');
+const { validateGraphStructure, SEVERITIES } = require('../lib/graph/structuralValidation');
+const { diffGraphs, mergeGraphs, compareChangesets } = require('../lib/graph/changeset');
+const { serializeGraph, parseGraph, validateImport } = require('../lib/graph/interchange');
+const traversal = require('../lib/graph/traversal');
+const { computeLayout } = require('../lib/graph/layout');
+const { detectCommunities, toClusterMetadata } = require('../lib/graph/communities');
+const { compareGraphs } = require('../lib/graph/similarity');
+const { synthesizeGraphs } = require('../lib/graph/synthesis');
+const ValidationError = require('../lib/errors/ValidationError');
+
+/**
+ * Get the graph commands module
+ * Required when first used, as the commands module requires this one.
+ * @returns {Object} Graph commands module
+ */
+function commands() {
+  return require('../lib/graph/commands');
+}
 
 /**
  * Category class representing a philosophical category in a concept graph
@@ -97,11 +116,26 @@ class Category {
   }
   
   /**
-   * Update category with new data
+   * Convert the category to a plain object with all of its content
+   * Used for snapshots and for the interchange formats.
+   * @returns {Object} Plain category data
+   */
+  toSnapshot() {
+    return {
+      ...this.toNeo4jProperties(),
+      metadata: JSON.parse(JSON.stringify(this.metadata))
+    };
+  }
+  
+  /**
+   * Apply new data to the category
+   * Categories of a graph are edited through Graph#updateCategory, which
+   * applies the change as an invertible command.
    * @param {Object} categoryData - Category data to update
    * @returns {Category} Updated category instance
+   * @private
    */
-  update(categoryData = {}) {
+  applyChanges(categoryData = {}) {
     // Only update allowed fields
     if (categoryData.name !== undefined) this.name = categoryData.name;
     if (categoryData.definition !== undefined) this.definition = categoryData.definition;
@@ -120,6 +154,21 @@ class Category {
     return this;
   }
   
+  /**
+   * Create a deep copy of the category
+   * @returns {Category} Category copy with the same ID
+   */
+  clone() {
+    return new Category({
+      ...this,
+      traditions: [...this.traditions],
+      philosophers: [...this.philosophers],
+      metadata: JSON.parse(JSON.stringify(this.metadata)),
+      created_at: new Date(this.created_at),
+      updated_at: new Date(this.updated_at)
+    });
+  }
+  
   /**
    * Create a Category instance from a Neo4j node
    * @param {Object} node - Neo4j node
@@ -253,11 +302,28 @@ class Relationship {
   }
   
   /**
-   * Update relationship with new data
+   * Convert the relationship to a plain object with all of its content
+   * Used for snapshots and for the interchange formats.
+   * @returns {Object} Plain relationship data including source and target IDs
+   */
+  toSnapshot() {
+    return {
+      ...this.toNeo4jProperties(),
+      source_id: this.source_id,
+      target_id: this.target_id,
+      metadata: JSON.parse(JSON.stringify(this.metadata))
+    };
+  }
+  
+  /**
+   * Apply new data to the relationship
+   * Relationships of a graph are edited through Graph#updateRelationship,
+   * which applies the change as an invertible command.
    * @param {Object} relationshipData - Relationship data to update
    * @returns {Relationship} Updated relationship instance
+   * @private
    */
-  update(relationshipData = {}) {
+  applyChanges(relationshipData = {}) {
     // Only update allowed fields
     if (relationshipData.type !== undefined) this.type = relationshipData.type;
     if (relationshipData.direction !== undefined) this.direction = relationshipData.direction;
@@ -282,6 +348,21 @@ class Relationship {
     return this.direction === RELATIONSHIP_DIRECTIONS.BIDIRECTIONAL;
   }
   
+  /**
+   * Create a deep copy of the relationship
+   * @returns {Relationship} Relationship copy with the same ID
+   */
+  clone() {
+    return new Relationship({
+      ...this,
+      traditions: [...this.traditions],
+      philosophers: [...this.philosophers],
+      metadata: JSON.parse(JSON.stringify(this.metadata)),
+      created_at: new Date(this.created_at),
+      updated_at: new Date(this.updated_at)
+    });
+  }
+  
   /**
    * Create a Relationship instance from a Neo4j relationship
    * @param {Object} relationship - Neo4j relationship
@@ -321,6 +402,7 @@ class Relationship {
 
 /**
  * Graph class representing a philosophical concept graph
+ * Every edit is applied as an invertible command (see lib/graph/commands).
  */
 class Graph {
   /**
@@ -355,8 +437,85 @@ class Graph {
    * Add a category to the graph
    * @param {Category} category - Category to add
    * @returns {Graph} This graph instance
+   * @throws {ConflictError} If the graph already has a category with the ID
    */
   addCategory(category) {
+    this.execute(new (commands().AddCategoryCommand)(category));
+    
+    return this;
+  }
+  
+  /**
+   * Remove a category and its relationships from the graph
+   * @param {string} categoryId - Category ID to remove
+   * @returns {Graph} This graph instance
+   * @throws {NotFoundError} If the category is not in the graph
+   */
+  removeCategory(categoryId) {
+    this.execute(new (commands().RemoveCategoryCommand)(categoryId));
+    
+    return this;
+  }
+  
+  /**
+   * Update a category of the graph
+   * @param {string} categoryId - Category ID
+   * @param {Object} categoryData - Category data to update
+   * @returns {Graph} This graph instance
+   * @throws {NotFoundError} If the category is not in the graph
+   */
+  updateCategory(categoryId, categoryData) {
+    this.execute(new (commands().UpdateCategoryCommand)(categoryId, categoryData));
+    
+    return this;
+  }
+  
+  /**
+   * Add a relationship to the graph
+   * @param {Relationship} relationship - Relationship to add
+   * @returns {Graph} This graph instance
+   * @throws {ConflictError} If the graph already has a relationship with the ID
+   * @throws {NotFoundError} If an endpoint is not in the graph
+   */
+  addRelationship(relationship) {
+    this.execute(new (commands().AddRelationshipCommand)(relationship));
+    
+    return this;
+  }
+  
+  /**
+   * Remove a relationship from the graph
+   * @param {string} relationshipId - Relationship ID to remove
+   * @returns {Graph} This graph instance
+   * @throws {NotFoundError} If the relationship is not in the graph
+   */
+  removeRelationship(relationshipId) {
+    this.execute(new (commands().RemoveRelationshipCommand)(relationshipId));
+    
+    return this;
+  }
+  
+  /**
+   * Update a relationship of the graph
+   * @param {string} relationshipId - Relationship ID
+   * @param {Object} relationshipData - Relationship data to update (the endpoints are fixed)
+   * @returns {Graph} This graph instance
+   * @throws {NotFoundError} If the relationship is not in the graph
+   */
+  updateRelationship(relationshipId, relationshipData) {
+    this.execute(new (commands().UpdateRelationshipCommand)(relationshipId, relationshipData));
+    
+    return this;
+  }
+  
+  /**
+   * Put a category into the graph, replacing one with the same ID
+   * Used by graph commands and to build graphs; edits go through addCategory.
+   * @param {Category} category - Category to put
+   * @returns {Graph} This graph instance
+   * @private
+   */
+  insertCategory(category) {
     // Ensure the category has the correct concept ID
     if (category.concept_id !== this.concept_id) {
       category.concept_id = this.concept_id;
@@ -380,11 +539,13 @@ class Graph {
   }
   
   /**
-   * Remove a category from the graph
+   * Take a category and its relationships out of the graph
+   * Used by graph commands; edits go through removeCategory.
    * @param {string} categoryId - Category ID to remove
    * @returns {Graph} This graph instance
+   * @private
    */
-  removeCategory(categoryId) {
+  deleteCategory(categoryId) {
     // Remove the category
     this.categories = this.categories.filter(c => c.category_id !== categoryId);
     
@@ -400,11 +561,13 @@ class Graph {
   }
   
   /**
-   * Add a relationship to the graph
-   * @param {Relationship} relationship - Relationship to add
+   * Put a relationship into the graph, replacing one with the same ID
+   * Used by graph commands and to build graphs; edits go through addRelationship.
+   * @param {Relationship} relationship - Relationship to put
    * @returns {Graph} This graph instance
+   * @private
    */
-  addRelationship(relationship) {
+  insertRelationship(relationship) {
     // Ensure the relationship has the correct concept ID
     if (relationship.concept_id !== this.concept_id) {
       relationship.concept_id = this.concept_id;
@@ -430,11 +593,13 @@ class Graph {
   }
   
   /**
-   * Remove a relationship from the graph
+   * Take a relationship out of the graph
+   * Used by graph commands; edits go through removeRelationship.
    * @param {string} relationshipId - Relationship ID to remove
    * @returns {Graph} This graph instance
+   * @private
    */
-  removeRelationship(relationshipId) {
+  deleteRelationship(relationshipId) {
     this.relationships = this.relationships.filter(r => r.relationship_id !== relationshipId);
     
     // Update graph's updated_at
@@ -443,6 +608,15 @@ class Graph {
     return this;
   }
   
+  /**
+   * Apply an invertible editing command to the graph
+   * @param {GraphCommand} command - Command (see lib/graph/commands)
+   * @returns {GraphCommand} Command that undoes the change
+   */
+  execute(command) {
+    return command.execute(this);
+  }
+  
   /**
    * Get a category by ID
    * @param {string} categoryId - Category ID to find
@@ -502,6 +676,97 @@ class Graph {
     return this.categories.filter(c => connectedIds.has(c.category_id));
   }
   
+  /**
+   * Extract the k-hop neighborhood of a category as a subgraph
+   * @param {string} categoryId - Start category ID
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.depth=1] - Maximum number of hops
+   * @param {string} [options.direction='both'] - "outgoing", "incoming" or "both"
+   * @param {Array<string>} [options.types] - Only follow these relationship types
+   * @param {number} [options.minStrength] - Only follow relationships at least this strong
+   * @returns {Graph|null} Subgraph with copies of the categories and relationships, or null if the category is unknown
+   */
+  getNeighborhood(categoryId, options = {}) {
+    const result = traversal.neighborhood(this, categoryId, options);
+    
+    if (!result) return null;
+    
+    // Distances from the start category are kept in the subgraph metadata
+    const subgraph = new Graph({
+      concept_id: this.concept_id,
+      status: this.status,
+      metadata: {
+        neighborhood_of: categoryId,
+        depth: options.depth || traversal.DEFAULT_OPTIONS.depth,
+        distances: Object.fromEntries(result.categories.map(c => [c.category_id, c.distance]))
+      }
+    });
+    
+    for (const { category_id: id } of result.categories) {
+      subgraph.insertCategory(this.getCategory(id).clone());
+    }
+    for (const id of result.relationship_ids) {
+      subgraph.insertRelationship(this.getRelationship(id).clone());
+    }
+    
+    return subgraph;
+  }
+  
+  /**
+   * Find a shortest path (fewest relationships) between two categories
+   * Relationships are followed along their direction unless
+   * options.direction says otherwise; bidirectional ones both ways.
+   * @param {string} sourceId - Source category ID
+   * @param {string} targetId - Target category ID
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.direction='outgoing'] - "outgoing", "incoming" or "both"
+   * @param {Array<string>} [options.types] - Only follow these relationship types
+   * @param {number} [options.minStrength] - Only follow relationships at least this strong
+   * @param {number} [options.maxDepth=5] - Maximum path length
+   * @returns {Object|null} Path with categories, relationships and length, or null if none
+   */
+  findShortestPath(sourceId, targetId, options = {}) {
+    const path = traversal.shortestPath(this, sourceId, targetId, options);
+    return path ? this.resolvePath(path) : null;
+  }
+  
+  /**
+   * Find every shortest path between two categories
+   * @param {string} sourceId - Source category ID
+   * @param {string} targetId - Target category ID
+   * @param {Object} [options={}] - Options (see findShortestPath)
+   * @param {number} [options.limit=100] - Maximum number of paths
+   * @returns {Array<Object>} Paths with categories, relationships and length
+   */
+  findAllShortestPaths(sourceId, targetId, options = {}) {
+    return traversal.allShortestPaths(this, sourceId, targetId, options).map(path => this.resolvePath(path));
+  }
+  
+  /**
+   * Find all paths between two categories that visit no category twice, shortest first
+   * @param {string} sourceId - Source category ID
+   * @param {string} targetId - Target category ID
+   * @param {Object} [options={}] - Options (see findShortestPath)
+   * @param {number} [options.limit=100] - Maximum number of paths
+   * @returns {Array<Object>} Paths with categories, relationships and length
+   */
+  findAllPaths(sourceId, targetId, options = {}) {
+    return traversal.allPaths(this, sourceId, targetId, options).map(path => this.resolvePath(path));
+  }
+  
+  /**
+   * Replace the IDs of a traversal path with the graph elements
+   * @param {Object} path - Path with category_ids and relationship_ids
+   * @returns {Object} Path with categories, relationships and length
+   */
+  resolvePath(path) {
+    return {
+      categories: path.category_ids.map(id => this.getCategory(id)),
+      relationships: path.relationship_ids.map(id => this.getRelationship(id)),
+      length: path.length
+    };
+  }
+  
   /**
    * Get graph statistics
    * @returns {Object} Graph statistics
@@ -559,6 +824,193 @@ class Graph {
     };
   }
   
+  /**
+   * Compute structural centrality measures for every category
+   * @param {Object} [options={}] - Computation options
+   * @param {boolean} [options.directed=false] - Respect relationship direction
+   * @param {boolean} [options.weighted=true] - Weight relationships by strength
+   * @returns {Object<string, Object>} Degree, betweenness, PageRank, eigenvector
+   *   and composite scores by category ID
+   */
+  getCentralityMeasures(options = {}) {
+    return centrality.computeCentrality(this, options);
+  }
+  
+  /**
+   * Compare declared category centrality with the structural role of each category
+   * @param {Object} [options={}] - Computation options
+   * @param {number} [options.discrepancyThreshold=2] - Minimum difference on the 1-5 scale to report
+   * @returns {Object} Report with measures, structural centrality and discrepancies
+   */
+  getCentralityReport(options = {}) {
+    return centrality.centralityReport(this, options);
+  }
+  
+  /**
+   * Detect clusters of closely related categories
+   * @param {Object} [options={}] - Detection options
+   * @param {number} [options.resolution=1] - Resolution (higher favours smaller clusters)
+   * @param {number} [options.labelSize=2] - Number of central members named in a label
+   * @param {string|number} [options.seed] - Seed (defaults to the concept ID)
+   * @returns {Object} Clustering with clusters, assignments and modularity
+   */
+  detectCommunities(options = {}) {
+    return detectCommunities(this, options);
+  }
+  
+  /**
+   * Detect clusters and store them in the graph metadata
+   * @param {Object} [options={}] - Detection options (see detectCommunities)
+   * @returns {Object} Clustering with clusters, assignments and modularity
+   */
+  clusterCategories(options = {}) {
+    const clustering = detectCommunities(this, options);
+    
+    this.update({ metadata: { ...this.metadata, clusters: toClusterMetadata(clustering) } });
+    
+    return clustering;
+  }
+  
+  /**
+   * Extract a stored cluster as a subgraph
+   * Only relationships between members of the cluster are included.
+   * @param {string} clusterId - Cluster ID (see clusterCategories)
+   * @returns {Graph|null} Subgraph, or null if the cluster is unknown
+   */
+  getClusterSubgraph(clusterId) {
+    const clusters = this.metadata.clusters ? this.metadata.clusters.clusters : [];
+    const cluster = clusters.find(c => c.cluster_id === clusterId);
+    
+    if (!cluster) return null;
+    
+    const members = new Set(cluster.members);
+    const subgraph = new Graph({
+      concept_id: this.concept_id,
+      status: this.status,
+      metadata: { cluster_id: clusterId, label: cluster.label }
+    });
+    
+    for (const category of this.categories) {
+      if (members.has(category.category_id)) subgraph.insertCategory(category.clone());
+    }
+    for (const relationship of this.relationships) {
+      if (members.has(relationship.source_id) && members.has(relationship.target_id)) {
+        subgraph.insertRelationship(relationship.clone());
+      }
+    }
+    
+    return subgraph;
+  }
+  
+  /**
+   * Compute positions for every category
+   * @param {Object} [options={}] - Layout options
+   * @param {string} [options.mode='force'] - "force", "hierarchical" or "radial"
+   * @param {string|number} [options.seed] - Seed (defaults to the concept ID)
+   * @param {Object<string, Object>} [options.pinned] - Fixed { x, y } by category ID
+   * @returns {Layout} Layout with positions by category ID
+   */
+  computeLayout(options = {}) {
+    return computeLayout(this, options);
+  }
+  
+  /**
+   * Run local structural checks on the graph
+   * @param {Object} [options={}] - Validation options (same flags as graphValidationSchema)
+   * @param {boolean} [options.checkCircularReferences=true] - Check hierarchical and causal cycles
+   * @param {boolean} [options.checkOrphanedCategories=true] - Check categories without relationships
+   * @param {boolean} [options.checkConnectivity=true] - Check disconnected components
+   * @param {boolean} [options.checkCategoryNames=true] - Check duplicate and near-duplicate names
+   * @param {boolean} [options.checkContradictions=true] - Check oppositional/correlative pairs
+   * @returns {Array<Object>} Structural findings, errors first
+   */
+  validateStructure(options = {}) {
+    return validateGraphStructure(this, options);
+  }
+  
+  /**
+   * Check whether the graph passes the local structural checks without errors
+   * @param {Object} [options={}] - Validation options
+   * @returns {boolean} Whether no error-level findings were reported
+   */
+  isStructurallyValid(options = {}) {
+    return !this.validateStructure(options).some(f => f.severity === SEVERITIES.ERROR);
+  }
+  
+  /**
+   * Compute the changes that turn this graph into another version of it
+   * @param {Graph} other - Target graph
+   * @param {Object} [options={}] - Diff options
+   * @param {string} [options.justification] - Justification recorded on every change
+   * @returns {Object} Changeset with category_changes and relationship_changes
+   *   in the shape of the conceptEvolutions change schemas
+   */
+  diff(other, options = {}) {
+    return diffGraphs(this, other, options);
+  }
+  
+  /**
+   * Score the similarity of this graph to another concept graph
+   * @param {Graph} other - Graph to compare with
+   * @param {Object} [options={}] - Scoring options (see compareGraphs)
+   * @returns {Object} Score, verdict, components, category alignments and explanation
+   */
+  similarityTo(other, options = {}) {
+    return compareGraphs(this, other, options);
+  }
+  
+  /**
+   * Check declared changes (e.g. a concept evolution) against the real delta to another graph
+   * @param {Graph} other - Graph after the changes were applied
+   * @param {Object} declared - Object with category_changes and relationship_changes
+   * @returns {Object} Matched, undeclared and unapplied changes
+   */
+  verifyChanges(other, declared) {
+    return compareChangesets(declared, this.diff(other));
+  }
+  
+  /**
+   * Create a deep copy of the graph
+   * @returns {Graph} Graph copy
+   */
+  clone() {
+    return new Graph({
+      concept_id: this.concept_id,
+      status: this.status,
+      categories: this.categories.map(c => c.clone()),
+      relationships: this.relationships.map(r => r.clone()),
+      metadata: JSON.parse(JSON.stringify(this.metadata)),
+      created_at: new Date(this.created_at),
+      updated_at: new Date(this.updated_at)
+    });
+  }
+  
+  /**
+   * Convert the graph to a plain snapshot of its full content
+   * @returns {Object} Snapshot data with categories and relationships
+   */
+  toSnapshot() {
+    return {
+      concept_id: this.concept_id,
+      status: this.status,
+      categories: this.categories.map(c => c.toSnapshot()),
+      relationships: this.relationships.map(r => r.toSnapshot()),
+      metadata: JSON.parse(JSON.stringify(this.metadata))
+    };
+  }
+  
+  /**
+   * Export the graph in an interchange format
+   * @param {string} format - Format ("graphml", "gexf", "turtle" or "jsonld")
+   * @param {Object} [options={}] - Export options
+   * @param {Layout} [options.layout] - Layout whose positions to include (GEXF only)
+   * @param {Object} [options.clusters] - Clustering whose colours to include (GEXF only)
+   * @returns {string} Serialized graph
+   */
+  export(format, options = {}) {
+    return serializeGraph(this.toSnapshot(), format, options);
+  }
+  
   /**
    * Convert the graph to a database object
    * @returns {Object} Database representation
@@ -582,6 +1034,19 @@ class Graph {
    * @returns {Graph} Updated graph instance
    */
   update(graphData = {}) {
+    this.execute(new (commands().UpdateGraphCommand)(graphData));
+    
+    return this;
+  }
+  
+  /**
+   * Apply new data to the graph
+   * Used by graph commands; edits go through update.
+   * @param {Object} graphData - Graph data to update
+   * @returns {Graph} Updated graph instance
+   * @private
+   */
+  applyChanges(graphData = {}) {
     // Only update allowed fields
     if (graphData.status !== undefined) this.status = graphData.status;
     if (graphData.metadata !== undefined) this.metadata = graphData.metadata;
@@ -632,6 +1097,169 @@ class Graph {
     });
   }
   
+  /**
+   * Convert a Neo4j path to categories and relationships
+   * Relationship source and target come from the stored relationship, not
+   * from the order in which the path traversed it.
+   * @param {Object} path - Neo4j path (e.g. a row of findShortestPath)
+   * @returns {Object} Path with categories, relationships and length
+   */
+  static pathFromNeo4j(path) {
+    const nodeKey = node => (node.elementId !== undefined ? node.elementId : String(node.identity));
+    const startKey = rel => (rel.startNodeElementId !== undefined ? rel.startNodeElementId : String(rel.start));
+    
+    const categories = [Category.fromNeo4jNode(path.start)];
+    const relationships = [];
+    
+    for (const segment of path.segments) {
+      const forward = startKey(segment.relationship) === nodeKey(segment.start);
+      const source = forward ? segment.start : segment.end;
+      const target = forward ? segment.end : segment.start;
+      
+      relationships.push(Relationship.fromNeo4jRelationship(
+        segment.relationship,
+        source.properties.category_id,
+        target.properties.category_id
+      ));
+      categories.push(Category.fromNeo4jNode(segment.end));
+    }
+    
+    return { categories, relationships, length: relationships.length };
+  }
+  
+  /**
+   * Create a Graph instance from Neo4j paths
+   * Used to turn the rows of findNeighborhood or findAllPaths into a subgraph.
+   * @param {string} conceptId - Concept ID
+   * @param {Array<Object>} paths - Neo4j paths
+   * @returns {Graph} Graph with every category and relationship on the paths
+   */
+  static fromNeo4jPaths(conceptId, paths) {
+    const graph = Graph.createEmpty(conceptId);
+    
+    for (const path of paths) {
+      const { categories, relationships } = Graph.pathFromNeo4j(path);
+      categories.forEach(c => graph.insertCategory(c));
+      relationships.forEach(r => graph.insertRelationship(r));
+    }
+    
+    return graph;
+  }
+  
+  /**
+   * Create a Graph instance from a snapshot
+   * @param {Object} snapshot - Snapshot data (see toSnapshot)
+   * @returns {Graph} Graph instance
+   */
+  static fromSnapshot(snapshot) {
+    if (!snapshot) return null;
+    
+    return new Graph({
+      concept_id: snapshot.concept_id,
+      status: snapshot.status,
+      categories: (snapshot.categories || []).map(c => new Category(c)),
+      relationships: (snapshot.relationships || []).map(r => new Relationship(r)),
+      metadata: snapshot.metadata || {},
+      updated_at: snapshot.created_at
+    });
+  }
+  
+  /**
+   * Import a graph from an interchange format
+   * Every category and relationship is validated with the graph schemas;
+   * invalid elements are left out of the graph and listed in `rejected`.
+   * @param {string|Object} content - Document (JSON-LD may also be given as an object)
+   * @param {string} format - Format ("graphml", "gexf", "turtle" or "jsonld")
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.conceptId] - Concept to import into (defaults to the one in the document)
+   * @param {boolean} [options.strict=false] - Throw if any element is rejected
+   * @returns {Object} Imported graph and rejected elements
+   * @throws {BadRequestError} If the format is unsupported or the document cannot be parsed
+   * @throws {ValidationError} In strict mode, if any element is rejected
+   */
+  static import(content, format, options = {}) {
+    const data = validateImport(parseGraph(content, format), options);
+    
+    if (options.strict && data.rejected.length > 0) {
+      throw new ValidationError(
+        `Graph import rejected ${data.rejected.length} element(s)`,
+        data.rejected
+      );
+    }
+    
+    const graph = new Graph({
+      concept_id: data.concept_id,
+      status: data.status,
+      metadata: data.metadata
+    });
+    
+    data.categories.forEach(c => graph.insertCategory(new Category(c)));
+    data.relationships.forEach(r => graph.insertRelationship(new Relationship(r)));
+    
+    return { graph, rejected: data.rejected };
+  }
+  
+  /**
+   * Three-way merge of two versions of a graph with their common ancestor
+   * @param {Graph} base - Common ancestor
+   * @param {Graph} ours - Our version (wins conflicting field edits in the draft)
+   * @param {Graph} theirs - Their version
+   * @returns {Object} Merged graph, changeset from base to the merged graph and conflicts
+   */
+  static merge(base, ours, theirs) {
+    const result = mergeGraphs(base, ours, theirs);
+    
+    const findElement = (id, idField, collection) => [ours, theirs, base]
+      .map(graph => graph[collection].find(element => element[idField] === id))
+      .find(Boolean);
+    
+    // Keep timestamps and other non-merged fields from the version that supplied the element
+    const categories = result.categories.map(data => new Category({
+      ...findElement(data.category_id, 'category_id', 'categories'),
+      ...data,
+      concept_id: ours.concept_id
+    }));
+    const relationships = result.relationships.map(data => new Relationship({
+      ...findElement(data.relationship_id, 'relationship_id', 'relationships'),
+      ...data,
+      concept_id: ours.concept_id
+    }));
+    
+    const graph = new Graph({
+      concept_id: ours.concept_id,
+      status: ours.status,
+      categories,
+      relationships,
+      metadata: { ...base.metadata, ...theirs.metadata, ...ours.metadata }
+    });
+    
+    return {
+      graph,
+      changeset: base.diff(graph, { justification: 'Computed from three-way merge' }),
+      conflicts: result.conflicts
+    };
+  }
+  
+  /**
+   * Build a deterministic draft synthesis of two concept graphs
+   * @param {Graph} first - First source graph
+   * @param {Graph} second - Second source graph
+   * @param {Object} [options={}] - Synthesis options (see synthesizeGraphs)
+   * @param {string} [options.method='integrative'] - "dialectical", "integrative" or "eclectic"
+   * @returns {Object} Draft graph and report with alignments, tensions and counts
+   */
+  static synthesize(first, second, options = {}) {
+    const { report, categories, relationships, ...graphData } = synthesizeGraphs(first, second, options);
+    
+    const graph = new Graph({
+      ...graphData,
+      categories: categories.map(data => new Category(data)),
+      relationships: relationships.map(data => new Relationship(data))
+    });
+    
+    return { graph, report };
+  }
+  
   /**
    * Create a new empty graph for a concept
    * @param {string} conceptId - Concept ID
@@ -7,7 +7,7 @@
  */
 
 const { defaultLogger } = require('../../../shared/lib/logging/logger');
-const { client } = require('../../../shared/lib/db/postgres/client');
+const { defaultClient } = require('../../../shared/lib/db/postgres/client');
 const Entity = require('../../../shared/models/Entity');
 
 /**
@@ -17,14 +17,31 @@ class PostgresEntityRepository {
   /**
    * Create a new PostgresEntityRepository
    * @param {Object} [options={}] - Repository options
+   * @param {string} [options.tableName='entities'] - Table name
+   * @param {PostgresClient|UnitOfWork} [options.client=defaultClient] - Client queries run on
    * @param {Object} [logger=defaultLogger] - Logger instance
    */
   constructor(options = {}, logger = defaultLogger) {
+    this.options = options;
     this.tableName = options.tableName || 'entities';
-    this.client = options.client || client;
+    this.client = options.client || defaultClient;
     this.logger = logger;
   }
 
+  /**
+   * Get a copy of the repository whose queries run in a unit of work
+   * @param {UnitOfWork} unitOfWork - Unit of work (see PostgresClient#unitOfWork)
+   * @returns {PostgresEntityRepository} Repository bound to the unit of work
+   * @example
+   * await defaultClient.unitOfWork(async (unitOfWork) => {
+   *   const entity = await entityRepository.withUnitOfWork(unitOfWork).create(newEntity);
+   *   unitOfWork.afterCommit(() => publishEntityCreated(entity));
+   * });
+   */
+  withUnitOfWork(unitOfWork) {
+    return new this.constructor({ ...this.options, client: unitOfWork }, this.logger);
+  }
+
   /**
    * Find all entities with pagination and filtering
    * @param {number} page - Page number
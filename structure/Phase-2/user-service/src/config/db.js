@@ -6,6 +6,7 @@
 const { Pool } = require('pg');
 const Redis = require('ioredis');
 const { defaultLogger } = require('../../../shared/lib/logging/logger');
+const { runUnitOfWork } = require('../../../shared/lib/db/postgres/unitOfWork');
 const config = require('./index');
 
 let pgPool = null;
@@ -231,6 +232,17 @@ async function transaction(callback) {
   }
 }
 
+/**
+ * Execute a unit of work
+ * The callback receives a UnitOfWork that repositories can be bound to with
+ * withUnitOfWork; nested transactions on it become savepoints.
+ * @param {Function} callback - Callback function that receives the unit of work
+ * @returns {Promise<*>} Result of the callback
+ */
+async function unitOfWork(callback) {
+  return runUnitOfWork(getPostgresPool(), callback, defaultLogger);
+}
+
 /**
  * Check database health
  * @returns {Promise<Object>} Health status
@@ -269,5 +281,6 @@ module.exports = {
   getRedisClient,
   query,
   transaction,
+  unitOfWork,
   checkDatabaseHealth
 };
@@ -6,6 +6,7 @@
 const { defaultLogger } = require('../../../shared/lib/logging/logger');
 const { NotFoundError, ForbiddenError } = require('../../../shared/lib/errors/HttpErrors');
 const { validate } = require('../../../shared/lib/validation/validators');
+const { toPagination } = require('../../../shared/lib/http/responseFormatter');
 const { getActivitiesSchema } = require('../validation/activitySchemas');
 const ActivityService = require('../services/activityService');
 
@@ -39,11 +40,7 @@ class ActivityController {
       
       res.sendPaginated(
         result.items,
-        {
-          total: result.total,
-          page: validated.page,
-          pageSize: validated.pageSize
-        },
+        toPagination(result, validated),
         { userId: id, filters: validated.filters }
       );
     } catch (error) {
@@ -69,11 +66,7 @@ class ActivityController {
       
       res.sendPaginated(
         result.items,
-        {
-          total: result.total,
-          page: validated.page,
-          pageSize: validated.pageSize
-        },
+        toPagination(result, validated),
         { filters: validated.filters }
       );
     } catch (error) {
@@ -6,6 +6,7 @@
 const { defaultLogger } = require('../../../shared/lib/logging/logger');
 const { NotFoundError } = require('../../../shared/lib/errors/HttpErrors');
 const { validate } = require('../../../shared/lib/validation/validators');
+const { toPagination } = require('../../../shared/lib/http/responseFormatter');
 const { createUserSchema, updateUserSchema, getUsersSchema } = require('../validation/userSchemas');
 const UserService = require('../services/userService');
 
@@ -37,11 +38,7 @@ class UserController {
       
       res.sendPaginated(
         result.items,
-        {
-          total: result.total,
-          page: validated.page,
-          pageSize: validated.pageSize
-        },
+        toPagination(result, validated),
         { filters: validated.filters }
       );
     } catch (error) {
@@ -4,28 +4,63 @@
  */
 
 const { defaultLogger } = require('../../../shared/lib/logging/logger');
-const { getPostgresPool } = require('../config/db');
+const db = require('../config/db');
 const ActivityModel = require('../models/activityModel');
 const { select, insert, delete: del } = require('../../../shared/lib/db/postgres/queryBuilder');
 
+// Columns of user_activity; queries naming any other column are rejected
+const ACTIVITY_COLUMNS = [
+  'activity_id',
+  'user_id',
+  'activity_type',
+  'target_id',
+  'activity_date',
+  'details'
+];
+
 class ActivityRepository {
   constructor(logger = defaultLogger) {
     this.logger = logger;
     this.tableName = 'user_activity';
+    this.queryOptions = { allowedColumns: { user_activity: ACTIVITY_COLUMNS } };
+    this.unitOfWork = null;
+  }
+
+  /**
+   * Get a copy of the repository whose queries run in a unit of work
+   * @param {UnitOfWork} unitOfWork - Unit of work (see unitOfWork in config/db)
+   * @returns {ActivityRepository} Repository bound to the unit of work
+   */
+  withUnitOfWork(unitOfWork) {
+    const repository = new ActivityRepository(this.logger);
+    repository.unitOfWork = unitOfWork;
+    return repository;
+  }
+
+  /**
+   * Get the client queries run on
+   * @returns {Pool|UnitOfWork} The unit of work the repository is bound to, or the pool
+   * @private
+   */
+  getClient() {
+    return this.unitOfWork || db.getPostgresPool();
   }
 
   /**
    * Find activities by user ID with pagination
    * @param {string} userId - User ID
    * @param {Object} options - Query options
-   * @returns {Promise<Object>} Promise resolving to { items, total }
+   * @param {string} [options.cursor] - Keyset pagination cursor; when given (even empty),
+   *   pages by cursor instead of page number and skips the count
+   * @returns {Promise<Object>} Promise resolving to { items, total }, or
+   *   { items, nextCursor, prevCursor } with a cursor
    */
   async findByUserId(userId, options = {}) {
-    const { page = 1, pageSize = 20, sortBy = 'activity_date', sortOrder = 'desc', filters = {} } = options;
+    const { page = 1, pageSize = 20, sortBy = 'activity_date', sortOrder = 'desc', filters = {}, cursor } = options;
 
     try {
       // Build select query
-      const selectQuery = select(this.tableName)
+      const selectQuery = select(this.tableName, ['*'], this.queryOptions)
         .whereEquals('user_id', userId);
 
       // Apply filters
@@ -42,19 +77,36 @@ class ActivityRepository {
         selectQuery.where('activity_date', '<=', filters.toDate);
       }
 
+      // Apply keyset pagination (no count, the cursors tell whether more pages exist)
+      if (cursor !== undefined) {
+        selectQuery.paginateByCursor({ sortField: sortBy, tiebreaker: 'activity_id', sortOrder, pageSize, cursor });
+
+        const query = selectQuery.build();
+        const client = this.getClient();
+        const result = await client.query(query.text, query.params);
+        const { items, nextCursor, prevCursor } = selectQuery.toCursorPage(result.rows);
+
+        return {
+          items: items.map(row => ActivityModel.fromDatabase(row)),
+          nextCursor,
+          prevCursor
+        };
+      }
+
       // Apply pagination and sorting
       selectQuery
         .orderBy(sortBy, sortOrder)
         .paginate({ page, pageSize });
 
-      // Get count
+      // Build the page and count queries
+      const itemsQuery = selectQuery.build();
       const countQuery = selectQuery.buildCount();
 
       // Execute queries
-      const pool = getPostgresPool();
+      const client = this.getClient();
       const [itemsResult, countResult] = await Promise.all([
-        pool.query(selectQuery.build()),
-        pool.query(countQuery)
+        client.query(itemsQuery.text, itemsQuery.params),
+        client.query(countQuery.text, countQuery.params)
       ]);
 
       const items = itemsResult.rows.map(row => ActivityModel.fromDatabase(row));
@@ -74,12 +126,12 @@ class ActivityRepository {
    */
   async findById(activityId) {
     try {
-      const selectQuery = select(this.tableName)
+      const selectQuery = select(this.tableName, ['*'], this.queryOptions)
         .whereEquals('activity_id', activityId)
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(selectQuery);
+      const client = this.getClient();
+      const result = await client.query(selectQuery.text, selectQuery.params);
 
       if (result.rows.length === 0) {
         return null;
@@ -101,12 +153,12 @@ class ActivityRepository {
     try {
       const dbActivity = activity.toDatabase();
       
-      const insertQuery = insert(this.tableName, dbActivity)
+      const insertQuery = insert(this.tableName, dbActivity, this.queryOptions)
         .returning('*')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(insertQuery);
+      const client = this.getClient();
+      const result = await client.query(insertQuery.text, insertQuery.params);
 
       return ActivityModel.fromDatabase(result.rows[0]);
     } catch (error) {
@@ -124,12 +176,12 @@ class ActivityRepository {
     try {
       const dbActivities = activities.map(activity => activity.toDatabase());
       
-      const insertQuery = insert(this.tableName, dbActivities)
+      const insertQuery = insert(this.tableName, dbActivities, this.queryOptions)
         .returning('*')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(insertQuery);
+      const client = this.getClient();
+      const result = await client.query(insertQuery.text, insertQuery.params);
 
       return result.rows.map(row => ActivityModel.fromDatabase(row));
     } catch (error) {
@@ -145,13 +197,13 @@ class ActivityRepository {
    */
   async delete(activityId) {
     try {
-      const deleteQuery = del(this.tableName)
+      const deleteQuery = del(this.tableName, this.queryOptions)
         .whereEquals('activity_id', activityId)
         .returning('activity_id')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(deleteQuery);
+      const client = this.getClient();
+      const result = await client.query(deleteQuery.text, deleteQuery.params);
 
       return result.rows.length > 0;
     } catch (error) {
@@ -167,13 +219,13 @@ class ActivityRepository {
    */
   async deleteByUserId(userId) {
     try {
-      const deleteQuery = del(this.tableName)
+      const deleteQuery = del(this.tableName, this.queryOptions)
         .whereEquals('user_id', userId)
         .returning('activity_id')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(deleteQuery);
+      const client = this.getClient();
+      const result = await client.query(deleteQuery.text, deleteQuery.params);
 
       return result.rows.length;
     } catch (error) {
@@ -189,13 +241,13 @@ class ActivityRepository {
    */
   async deleteOldActivities(beforeDate) {
     try {
-      const deleteQuery = del(this.tableName)
+      const deleteQuery = del(this.tableName, this.queryOptions)
         .where('activity_date', '<', beforeDate)
         .returning('activity_id')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(deleteQuery);
+      const client = this.getClient();
+      const result = await client.query(deleteQuery.text, deleteQuery.params);
 
       return result.rows.length;
     } catch (error) {
@@ -237,8 +289,8 @@ class ActivityRepository {
       query += ` GROUP BY activity_type, DATE_TRUNC('day', activity_date)
                  ORDER BY date DESC, activity_type`;
 
-      const pool = getPostgresPool();
-      const result = await pool.query(query, params);
+      const client = this.getClient();
+      const result = await client.query(query, params);
 
       // Transform results into a more useful format
       const stats = {};
@@ -265,14 +317,14 @@ class ActivityRepository {
    */
   async getRecentActivities(userId, limit = 10) {
     try {
-      const selectQuery = select(this.tableName)
+      const selectQuery = select(this.tableName, ['*'], this.queryOptions)
         .whereEquals('user_id', userId)
         .orderBy('activity_date', 'desc')
         .limit(limit)
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(selectQuery);
+      const client = this.getClient();
+      const result = await client.query(selectQuery.text, selectQuery.params);
 
       return result.rows.map(row => ActivityModel.fromDatabase(row));
     } catch (error) {
@@ -292,15 +344,15 @@ class ActivityRepository {
     try {
       const timeThreshold = new Date(Date.now() - withinMinutes * 60 * 1000);
       
-      const selectQuery = select(this.tableName, ['activity_id'])
+      const selectQuery = select(this.tableName, ['activity_id'], this.queryOptions)
         .whereEquals('user_id', userId)
         .whereEquals('activity_type', activityType)
         .where('activity_date', '>=', timeThreshold)
         .limit(1)
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(selectQuery);
+      const client = this.getClient();
+      const result = await client.query(selectQuery.text, selectQuery.params);
 
       return result.rows.length > 0;
     } catch (error) {
@@ -4,27 +4,68 @@
  */
 
 const { defaultLogger } = require('../../../shared/lib/logging/logger');
-const { getPostgresPool, transaction } = require('../config/db');
+const db = require('../config/db');
 const UserModel = require('../models/userModel');
 const { select, insert, update, delete: del } = require('../../../shared/lib/db/postgres/queryBuilder');
 
+// Columns of users; queries naming any other column are rejected
+const USER_COLUMNS = [
+  'user_id',
+  'username',
+  'email',
+  'password_hash',
+  'first_name',
+  'last_name',
+  'status',
+  'role',
+  'settings',
+  'created_at',
+  'updated_at',
+  'last_login'
+];
+
 class UserRepository {
   constructor(logger = defaultLogger) {
     this.logger = logger;
     this.tableName = 'users';
+    this.queryOptions = { allowedColumns: { users: USER_COLUMNS } };
+    this.unitOfWork = null;
+  }
+
+  /**
+   * Get a copy of the repository whose queries run in a unit of work
+   * @param {UnitOfWork} unitOfWork - Unit of work (see unitOfWork in config/db)
+   * @returns {UserRepository} Repository bound to the unit of work
+   */
+  withUnitOfWork(unitOfWork) {
+    const repository = new UserRepository(this.logger);
+    repository.unitOfWork = unitOfWork;
+    return repository;
+  }
+
+  /**
+   * Get the client queries run on
+   * @returns {Pool|UnitOfWork} The unit of work the repository is bound to, or the pool
+   * @private
+   */
+  getClient() {
+    return this.unitOfWork || db.getPostgresPool();
   }
 
   /**
    * Find all users with pagination
    * @param {Object} options - Query options
-   * @returns {Promise<Object>} Promise resolving to { items, total }
+   * @param {string} [options.cursor] - Keyset pagination cursor; when given (even empty),
+   *   pages by cursor instead of page number and skips the count
+   * @returns {Promise<Object>} Promise resolving to { items, total }, or
+   *   { items, nextCursor, prevCursor } with a cursor
    */
   async findAll(options = {}) {
-    const { page = 1, pageSize = 20, sortBy = 'created_at', sortOrder = 'desc', filters = {} } = options;
+    const { page = 1, pageSize = 20, sortBy = 'created_at', sortOrder = 'desc', filters = {}, cursor } = options;
 
     try {
       // Build select query
-      const selectQuery = select(this.tableName);
+      const selectQuery = select(this.tableName, ['*'], this.queryOptions);
 
       // Apply filters
       if (filters.status) {
@@ -40,19 +81,36 @@ class UserRepository {
         );
       }
 
+      // Apply keyset pagination (no count, the cursors tell whether more pages exist)
+      if (cursor !== undefined) {
+        selectQuery.paginateByCursor({ sortField: sortBy, tiebreaker: 'user_id', sortOrder, pageSize, cursor });
+
+        const query = selectQuery.build();
+        const client = this.getClient();
+        const result = await client.query(query.text, query.params);
+        const { items, nextCursor, prevCursor } = selectQuery.toCursorPage(result.rows);
+
+        return {
+          items: items.map(row => UserModel.fromDatabase(row)),
+          nextCursor,
+          prevCursor
+        };
+      }
+
       // Apply pagination and sorting
       selectQuery
         .orderBy(sortBy, sortOrder)
         .paginate({ page, pageSize });
 
-      // Get count
+      // Build the page and count queries
+      const itemsQuery = selectQuery.build();
       const countQuery = selectQuery.buildCount();
 
       // Execute queries
-      const pool = getPostgresPool();
+      const client = this.getClient();
       const [itemsResult, countResult] = await Promise.all([
-        pool.query(selectQuery.build()),
-        pool.query(countQuery)
+        client.query(itemsQuery.text, itemsQuery.params),
+        client.query(countQuery.text, countQuery.params)
       ]);
 
       const items = itemsResult.rows.map(row => UserModel.fromDatabase(row));
@@ -72,12 +130,12 @@ class UserRepository {
    */
   async findById(userId) {
     try {
-      const selectQuery = select(this.tableName)
+      const selectQuery = select(this.tableName, ['*'], this.queryOptions)
         .whereEquals('user_id', userId)
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(selectQuery);
+      const client = this.getClient();
+      const result = await client.query(selectQuery.text, selectQuery.params);
 
       if (result.rows.length === 0) {
         return null;
@@ -97,12 +155,12 @@ class UserRepository {
    */
   async findByUsername(username) {
     try {
-      const selectQuery = select(this.tableName)
+      const selectQuery = select(this.tableName, ['*'], this.queryOptions)
         .whereEquals('username', username)
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(selectQuery);
+      const client = this.getClient();
+      const result = await client.query(selectQuery.text, selectQuery.params);
 
       if (result.rows.length === 0) {
         return null;
@@ -122,12 +180,12 @@ class UserRepository {
    */
   async findByEmail(email) {
     try {
-      const selectQuery = select(this.tableName)
+      const selectQuery = select(this.tableName, ['*'], this.queryOptions)
         .whereEquals('email', email)
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(selectQuery);
+      const client = this.getClient();
+      const result = await client.query(selectQuery.text, selectQuery.params);
 
       if (result.rows.length === 0) {
         return null;
@@ -149,12 +207,12 @@ class UserRepository {
     try {
       const dbUser = user.toDatabase();
       
-      const insertQuery = insert(this.tableName, dbUser)
+      const insertQuery = insert(this.tableName, dbUser, this.queryOptions)
         .returning('*')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(insertQuery);
+      const client = this.getClient();
+      const result = await client.query(insertQuery.text, insertQuery.params);
 
       return UserModel.fromDatabase(result.rows[0]);
     } catch (error) {
@@ -175,13 +233,13 @@ class UserRepository {
       delete dbUser.user_id; // Don't update ID
       delete dbUser.created_at; // Don't update creation date
 
-      const updateQuery = update(this.tableName, dbUser)
+      const updateQuery = update(this.tableName, dbUser, this.queryOptions)
         .whereEquals('user_id', userId)
         .returning('*')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(updateQuery);
+      const client = this.getClient();
+      const result = await client.query(updateQuery.text, updateQuery.params);
 
       if (result.rows.length === 0) {
         return null;
@@ -201,13 +259,13 @@ class UserRepository {
    */
   async delete(userId) {
     try {
-      const deleteQuery = del(this.tableName)
+      const deleteQuery = del(this.tableName, this.queryOptions)
         .whereEquals('user_id', userId)
         .returning('user_id')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(deleteQuery);
+      const client = this.getClient();
+      const result = await client.query(deleteQuery.text, deleteQuery.params);
 
       return result.rows.length > 0;
     } catch (error) {
@@ -223,12 +281,12 @@ class UserRepository {
    */
   async exists(userId) {
     try {
-      const query = select(this.tableName, ['user_id'])
+      const query = select(this.tableName, ['user_id'], this.queryOptions)
         .whereEquals('user_id', userId)
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(query);
+      const client = this.getClient();
+      const result = await client.query(query.text, query.params);
 
       return result.rows.length > 0;
     } catch (error) {
@@ -244,12 +302,12 @@ class UserRepository {
    */
   async usernameExists(username) {
     try {
-      const query = select(this.tableName, ['user_id'])
+      const query = select(this.tableName, ['user_id'], this.queryOptions)
         .whereEquals('username', username)
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(query);
+      const client = this.getClient();
+      const result = await client.query(query.text, query.params);
 
       return result.rows.length > 0;
     } catch (error) {
@@ -265,12 +323,12 @@ class UserRepository {
    */
   async emailExists(email) {
     try {
-      const query = select(this.tableName, ['user_id'])
+      const query = select(this.tableName, ['user_id'], this.queryOptions)
         .whereEquals('email', email)
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(query);
+      const client = this.getClient();
+      const result = await client.query(query.text, query.params);
 
       return result.rows.length > 0;
     } catch (error) {
@@ -286,13 +344,13 @@ class UserRepository {
    */
   async updateLastLogin(userId) {
     try {
-      const updateQuery = update(this.tableName, { last_login: new Date() })
+      const updateQuery = update(this.tableName, { last_login: new Date() }, this.queryOptions)
         .whereEquals('user_id', userId)
         .returning('user_id')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(updateQuery);
+      const client = this.getClient();
+      const result = await client.query(updateQuery.text, updateQuery.params);
 
       return result.rows.length > 0;
     } catch (error) {
@@ -312,13 +370,13 @@ class UserRepository {
       const updateQuery = update(this.tableName, { 
         password_hash: passwordHash,
         updated_at: new Date()
-      })
+      }, this.queryOptions)
         .whereEquals('user_id', userId)
         .returning('user_id')
         .build();
 
-      const pool = getPostgresPool();
-      const result = await pool.query(updateQuery);
+      const client = this.getClient();
+      const result = await client.query(updateQuery.text, updateQuery.params);
 
       return result.rows.length > 0;
     } catch (error) {
@@ -327,29 +385,44 @@ class UserRepository {
     }
   }
 
+  /**
+   * Run work in a savepoint of a unit of work, or in a new unit of work
+   * @param {Function} work - Async function receiving the unit of work
+   * @param {UnitOfWork} [unitOfWork] - Unit of work to take part in
+   * @returns {Promise<*>} Promise resolving to the result of the work
+   */
+  async inUnitOfWork(work, unitOfWork = null) {
+    return unitOfWork ? unitOfWork.transaction(work) : db.unitOfWork(work);
+  }
+
   /**
    * Create user with transaction support
+   * Runs in a savepoint of the given unit of work, or in a new unit of work.
    * @param {UserModel} user - User to create
-   * @param {Function} callback - Callback to execute in transaction
+   * @param {Function} [callback] - Callback receiving the unit of work and the created user,
+   *   run in the same transaction
+   * @param {UnitOfWork} [unitOfWork] - Unit of work to take part in
    * @returns {Promise<UserModel>} Promise resolving to created user
    */
-  async createWithTransaction(user, callback) {
-    return transaction(async (client) => {
+  async createWithTransaction(user, callback, unitOfWork = null) {
+    const work = async (scope) => {
       const dbUser = user.toDatabase();
       
-      const insertQuery = insert(this.tableName, dbUser)
+      const insertQuery = insert(this.tableName, dbUser, this.queryOptions)
         .returning('*')
         .build();
 
-      const result = await client.query(insertQuery.text, insertQuery.params);
+      const result = await scope.query(insertQuery.text, insertQuery.params);
       const createdUser = UserModel.fromDatabase(result.rows[0]);
 
       if (callback) {
-        await callback(client, createdUser);
+        await callback(scope, createdUser);
       }
 
       return createdUser;
-    });
+    };
+
+    return this.inUnitOfWork(work, unitOfWork);
   }
 }
 
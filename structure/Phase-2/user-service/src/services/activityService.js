@@ -21,10 +21,11 @@ class ActivityService {
   /**
    * Log user activity
    * @param {Object} activityData - Activity data
-   * @param {Object} [client] - Database client for transactions
+   * @param {UnitOfWork} [unitOfWork] - Unit of work to log the activity in; errors then
+   *   propagate so the whole unit of work rolls back
    * @returns {Promise<Object|null>} Promise resolving to activity or null if disabled
    */
-  async logActivity(activityData, client = null) {
+  async logActivity(activityData, unitOfWork = null) {
     if (!this.isEnabled) {
       return null;
     }
@@ -38,29 +39,17 @@ class ActivityService {
         return null;
       }
 
-      // If client is provided, we're in a transaction
-      if (client) {
-        const dbActivity = activity.toDatabase();
-        const query = `
-          INSERT INTO user_activity (activity_id, user_id, activity_type, target_id, activity_date, details)
-          VALUES ($1, $2, $3, $4, $5, $6)
-          RETURNING *
-        `;
-        const params = [
-          dbActivity.activity_id,
-          dbActivity.user_id,
-          dbActivity.activity_type,
-          dbActivity.target_id,
-          dbActivity.activity_date,
-          dbActivity.details
-        ];
-        const result = await client.query(query, params);
-        return ActivityModel.fromDatabase(result.rows[0]).toPublic();
-      }
+      const activityRepository = unitOfWork
+        ? this.activityRepository.withUnitOfWork(unitOfWork)
+        : this.activityRepository;
 
-      const createdActivity = await this.activityRepository.create(activity);
+      const createdActivity = await activityRepository.create(activity);
       return createdActivity.toPublic();
     } catch (error) {
+      if (unitOfWork) {
+        throw error;
+      }
+
       this.logger.error('Error logging activity:', error);
       return null;
     }
@@ -70,10 +59,11 @@ class ActivityService {
    * Log login activity
    * @param {string} userId - User ID
    * @param {Object} [details={}] - Additional details
+   * @param {UnitOfWork} [unitOfWork] - Unit of work to log the activity in
    * @returns {Promise<Object|null>} Promise resolving to activity or null if disabled
    */
-  async logLogin(userId, details = {}) {
-    return this.logActivity(ActivityModel.createLoginActivity(userId, details));
+  async logLogin(userId, details = {}, unitOfWork = null) {
+    return this.logActivity(ActivityModel.createLoginActivity(userId, details), unitOfWork);
   }
 
   /**
@@ -110,15 +100,16 @@ class ActivityService {
    * Get user activities
    * @param {string} userId - User ID
    * @param {Object} options - Query options
-   * @returns {Promise<Object>} Promise resolving to { items, total }
+   * @returns {Promise<Object>} Promise resolving to { items, total }, or
+   *   { items, nextCursor, prevCursor } with a cursor
    */
   async getUserActivities(userId, options = {}) {
     try {
       const result = await this.activityRepository.findByUserId(userId, options);
       
       return {
-        items: result.items.map(activity => activity.toPublic()),
-        total: result.total
+        ...result,
+        items: result.items.map(activity => activity.toPublic())
       };
     } catch (error) {
       this.logger.error(`Error getting activities for user ${userId}:`, error);
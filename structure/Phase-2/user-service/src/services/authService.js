@@ -9,6 +9,7 @@ const UserService = require('./userService');
 const TokenService = require('./tokenService');
 const PasswordService = require('./passwordService');
 const ActivityService = require('./activityService');
+const { unitOfWork } = require('../config/db');
 const { USER_ACTIVE, USER_LOCKED } = require('../../../shared/constants/statuses');
 
 class AuthService {
@@ -41,10 +42,20 @@ class AuthService {
       // Hash password
       const passwordHash = await this.passwordService.hashPassword(userData.password);
 
-      // Create user
-      const user = await this.userService.create({
-        ...userData,
-        password_hash: passwordHash
+      // Create the user and log the registration in one transaction
+      const user = await unitOfWork(async (scope) => {
+        const createdUser = await this.userService.create({
+          ...userData,
+          password_hash: passwordHash
+        }, scope);
+
+        await this.activityService.logLogin(createdUser.user_id, {
+          registration: true,
+          ip: userData.ip,
+          userAgent: userData.userAgent
+        }, scope);
+
+        return createdUser;
       });
 
       // Generate tokens
@@ -54,13 +65,6 @@ class AuthService {
         role: user.role
       });
 
-      // Log registration activity
-      await this.activityService.logLogin(user.user_id, { 
-        registration: true,
-        ip: userData.ip,
-        userAgent: userData.userAgent
-      });
-
       return {
         user: {
           ...user,
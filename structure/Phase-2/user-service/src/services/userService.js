@@ -23,15 +23,16 @@ class UserService {
   /**
    * Find all users with pagination
    * @param {Object} options - Query options
-   * @returns {Promise<Object>} Promise resolving to { items, total }
+   * @returns {Promise<Object>} Promise resolving to { items, total }, or
+   *   { items, nextCursor, prevCursor } with a cursor
    */
   async findAll(options = {}) {
     try {
       const result = await this.userRepository.findAll(options);
       
       return {
-        items: result.items.map(user => user.toPublic()),
-        total: result.total
+        ...result,
+        items: result.items.map(user => user.toPublic())
       };
     } catch (error) {
       this.logger.error('Error finding users:', error);
@@ -87,40 +88,46 @@ class UserService {
   /**
    * Create a new user
    * @param {Object} userData - User data
+   * @param {UnitOfWork} [unitOfWork] - Unit of work to create the user in (a new one by default)
    * @returns {Promise<Object>} Promise resolving to created user
    */
-  async create(userData) {
+  async create(userData, unitOfWork = null) {
     try {
-      // Check if username already exists
-      if (await this.userRepository.usernameExists(userData.username)) {
-        throw new ConflictError('Username already exists');
-      }
+      // Check and insert in one unit of work, so the checks see the data the insert runs against
+      const createdUser = await this.userRepository.inUnitOfWork(async (scope) => {
+        const userRepository = this.userRepository.withUnitOfWork(scope);
 
-      // Check if email already exists
-      if (await this.userRepository.emailExists(userData.email)) {
-        throw new ConflictError('Email already exists');
-      }
+        // Check if username already exists
+        if (await userRepository.usernameExists(userData.username)) {
+          throw new ConflictError('Username already exists');
+        }
 
-      // Create user model
-      const user = new UserModel(userData);
-      
-      // Validate user data
-      const validation = user.validate();
-      if (!validation.isValid) {
-        throw new ConflictError('Invalid user data', { errors: validation.errors });
-      }
+        // Check if email already exists
+        if (await userRepository.emailExists(userData.email)) {
+          throw new ConflictError('Email already exists');
+        }
 
-      // Create user with transaction to ensure activity is logged
-      const createdUser = await this.userRepository.createWithTransaction(user, async (client) => {
-        // Log user creation activity
-        if (this.activityService) {
-          await this.activityService.logActivity({
-            user_id: user.user_id,
-            activity_type: 'user_created',
-            details: { username: user.username }
-          }, client);
+        // Create user model
+        const user = new UserModel(userData);
+        
+        // Validate user data
+        const validation = user.validate();
+        if (!validation.isValid) {
+          throw new ConflictError('Invalid user data', { errors: validation.errors });
         }
-      });
+
+        // Create user with transaction to ensure activity is logged
+        return userRepository.createWithTransaction(user, async (userScope) => {
+          // Log user creation activity
+          if (this.activityService) {
+            await this.activityService.logActivity({
+              user_id: user.user_id,
+              activity_type: 'user_created',
+              details: { username: user.username }
+            }, userScope);
+          }
+        }, scope);
+      }, unitOfWork);
 
       return createdUser.toPublic();
     } catch (error) {
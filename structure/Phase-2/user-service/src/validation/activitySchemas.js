@@ -4,9 +4,17 @@
 
 const Joi = require('joi');
 
-// Schema for getting activities with filters
+// Schema for getting activities with filters (every parameter is optional)
 const getActivitiesSchema = Joi.object({
-  page: Joi.number().integer().min(1).default(1),
+  // Keyset pagination: an empty cursor asks for the first page
+  cursor: Joi.string().allow('').max(1024),
+  page: Joi.number().integer().min(1).when('cursor', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: Joi.optional().default(1)
+  }).messages({
+    'any.unknown': 'Page cannot be combined with a cursor'
+  }),
   pageSize: Joi.number().integer().min(1).max(100).default(20),
   
   sortBy: Joi.string()
@@ -52,7 +60,7 @@ const getActivitiesSchema = Joi.object({
   
   fromDate: Joi.date().iso(),
   toDate: Joi.date().iso().min(Joi.ref('fromDate'))
-});
+}).prefs({ presence: 'optional' });
 
 // Schema for activity stats
 const activityStatsSchema = Joi.object({
@@ -119,14 +119,24 @@ const updateUserSchema = Joi.object({
   'object.min': 'At least one field must be provided for update'
 });
 
-// Schema for getting users with filters
+// Schema for getting users with filters (every parameter is optional)
 const getUsersSchema = Joi.object({
-  page: Joi.number().integer().min(1).default(1),
+  // Keyset pagination: an empty cursor asks for the first page
+  cursor: Joi.string().allow('').max(1024),
+  page: Joi.number().integer().min(1).when('cursor', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: Joi.optional().default(1)
+  }).messages({
+    'any.unknown': 'Page cannot be combined with a cursor'
+  }),
   pageSize: Joi.number().integer().min(1).max(100).default(20),
   
   sortBy: Joi.string()
     .valid('username', 'email', 'created_at', 'last_login', 'role', 'status')
-    .default('created_at'),
+    .default('created_at')
+    // last_login can be NULL, which keyset pagination cannot order on
+    .when('cursor', { is: Joi.exist(), then: Joi.invalid('last_login') }),
     
   sortOrder: Joi.string()
     .valid('asc', 'desc')
@@ -143,7 +153,7 @@ const getUsersSchema = Joi.object({
     .messages({
       'string.max': 'Search term cannot exceed 100 characters'
     })
-});
+}).prefs({ presence: 'optional' });
 
 module.exports = {
   createUserSchema,
@@ -8,6 +8,7 @@ const sinon = require('sinon');
 const UserController = require('../../src/controllers/userController');
 const UserService = require('../../src/services/userService');
 const { NotFoundError } = require('../../../shared/lib/errors/HttpErrors');
+const ValidationError = require('../../../shared/lib/errors/ValidationError');
 
 describe('UserController', () => {
   let userController;
@@ -67,6 +68,42 @@ describe('UserController', () => {
       });
     });
 
+    it('should return cursor paginated users', async () => {
+      const mockUsers = [
+        { user_id: '3', username: 'user3' }
+      ];
+      
+      userService.findAll.resolves({
+        items: mockUsers,
+        nextCursor: 'next-cursor',
+        prevCursor: 'prev-cursor'
+      });
+      
+      req.query = { cursor: 'current-cursor', pageSize: 1 };
+      
+      await userController.getAll(req, res, next);
+      
+      expect(userService.findAll.firstCall.args[0].cursor).to.equal('current-cursor');
+      expect(res.sendPaginated.firstCall.args[1]).to.deep.equal({
+        pageSize: 1,
+        nextCursor: 'next-cursor',
+        prevCursor: 'prev-cursor'
+      });
+    });
+
+    it('should reject a page number together with a cursor', async () => {
+      req.query = { cursor: 'current-cursor', page: 2 };
+      
+      await userController.getAll(req, res, next);
+      
+      expect(userService.findAll.called).to.be.false;
+      expect(next.calledOnce).to.be.true;
+      expect(next.firstCall.args[0]).to.be.instanceOf(ValidationError);
+      expect(next.firstCall.args[0].validationErrors).to.deep.equal({
+        page: ['Page cannot be combined with a cursor']
+      });
+    });
+
     it('should handle validation errors', async () => {
       const validationError = new Error('Validation error');
       validationError.isJoi = true;
@@ -7,7 +7,8 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const UserRepository = require('../../src/repositories/userRepository');
 const UserModel = require('../../src/models/userModel');
-const { getPostgresPool, transaction } = require('../../src/config/db');
+const { getPostgresPool, unitOfWork } = require('../../src/config/db');
+const InvalidIdentifierError = require('../../../shared/lib/errors/InvalidIdentifierError');
 
 describe('UserRepository', () => {
   let userRepository;
@@ -73,10 +74,47 @@ describe('UserRepository', () => {
       });
       
       const queryCall = pgPool.query.firstCall;
-      expect(queryCall.args[0].text).to.include('WHERE');
-      expect(queryCall.args[0].text).to.include('status =');
-      expect(queryCall.args[0].text).to.include('role =');
-      expect(queryCall.args[0].text).to.include('ILIKE');
+      expect(queryCall.args[0]).to.include('WHERE');
+      expect(queryCall.args[0]).to.include('"status" =');
+      expect(queryCall.args[0]).to.include('"role" =');
+      expect(queryCall.args[0]).to.include('ILIKE');
+    });
+
+    it('should page by cursor with the query parameters bound', async () => {
+      const mockRows = [
+        { user_id: '1', username: 'user1', created_at: new Date('2024-01-03T00:00:00Z') },
+        { user_id: '2', username: 'user2', created_at: new Date('2024-01-02T00:00:00Z') },
+        { user_id: '3', username: 'user3', created_at: new Date('2024-01-01T00:00:00Z') }
+      ];
+
+      pgPool.query.resolves({ rows: mockRows });
+
+      const result = await userRepository.findAll({
+        pageSize: 2,
+        cursor: '',
+        filters: { status: 'active' }
+      });
+
+      const [text, params] = pgPool.query.firstCall.args;
+      expect(text).to.be.a('string');
+      expect(text).to.include('"status" = $1');
+      expect(params).to.deep.equal(['active', 3]);
+      expect(result.items).to.have.length(2);
+      expect(result.nextCursor).to.be.a('string');
+      expect(result.prevCursor).to.be.null;
+    });
+
+    it('should reject sorting by a column outside the allow-list', async () => {
+      let error;
+      try {
+        await userRepository.findAll({ sortBy: 'nickname' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(InvalidIdentifierError);
+      expect(error.message).to.include("Column 'nickname' is not allowed");
+      expect(pgPool.query.called).to.be.false;
     });
   });
 
@@ -95,6 +133,8 @@ describe('UserRepository', () => {
       expect(result).to.be.instanceOf(UserModel);
       expect(result.user_id).to.equal('1');
       expect(result.username).to.equal('testuser');
+      expect(pgPool.query.firstCall.args[0]).to.include('"user_id" = $1');
+      expect(pgPool.query.firstCall.args[1]).to.deep.equal(['1']);
     });
 
     it('should return null when user not found', async () => {
@@ -128,8 +168,9 @@ describe('UserRepository', () => {
       expect(result).to.be.instanceOf(UserModel);
       expect(result.user_id).to.equal('123');
       expect(pgPool.query.calledOnce).to.be.true;
-      expect(pgPool.query.firstCall.args[0].text).to.include('INSERT INTO users');
-      expect(pgPool.query.firstCall.args[0].text).to.include('RETURNING *');
+      expect(pgPool.query.firstCall.args[0]).to.include('INSERT INTO "users"');
+      expect(pgPool.query.firstCall.args[0]).to.include('RETURNING *');
+      expect(pgPool.query.firstCall.args[1]).to.include.members(['newuser', 'new@example.com', 'hashedpassword']);
     });
   });
 
@@ -149,8 +190,8 @@ describe('UserRepository', () => {
       
       expect(result).to.be.instanceOf(UserModel);
       expect(result.username).to.equal('updateduser');
-      expect(pgPool.query.firstCall.args[0].text).to.include('UPDATE users');
-      expect(pgPool.query.firstCall.args[0].text).to.include('RETURNING *');
+      expect(pgPool.query.firstCall.args[0]).to.include('UPDATE "users"');
+      expect(pgPool.query.firstCall.args[0]).to.include('RETURNING *');
     });
 
     it('should return null when user not found', async () => {
@@ -170,7 +211,8 @@ describe('UserRepository', () => {
       const result = await userRepository.delete('1');
       
       expect(result).to.be.true;
-      expect(pgPool.query.firstCall.args[0].text).to.include('DELETE FROM users');
+      expect(pgPool.query.firstCall.args[0]).to.include('DELETE FROM "users"');
+      expect(pgPool.query.firstCall.args[1]).to.deep.equal(['1']);
     });
 
     it('should return false when user not found', async () => {
@@ -191,6 +233,17 @@ describe('UserRepository', () => {
       expect(result).to.be.true;
     });
 
+    it('should query the unit of work it is bound to with bound parameters', async () => {
+      const scope = { query: sinon.stub().resolves({ rows: [{ user_id: '1' }] }) };
+      
+      const result = await userRepository.withUnitOfWork(scope).usernameExists('testuser');
+      
+      expect(result).to.be.true;
+      expect(pgPool.query.called).to.be.false;
+      expect(scope.query.firstCall.args[0]).to.include('"username" = $1');
+      expect(scope.query.firstCall.args[1]).to.deep.equal(['testuser']);
+    });
+
     it('should return false when user does not exist', async () => {
       pgPool.query.resolves({ rows: [] });
       
@@ -241,8 +294,8 @@ describe('UserRepository', () => {
       const result = await userRepository.updateLastLogin('1');
       
       expect(result).to.be.true;
-      expect(pgPool.query.firstCall.args[0].text).to.include('UPDATE users');
-      expect(pgPool.query.firstCall.args[0].text).to.include('last_login');
+      expect(pgPool.query.firstCall.args[0]).to.include('UPDATE "users"');
+      expect(pgPool.query.firstCall.args[0]).to.include('last_login');
     });
   });
 
@@ -253,13 +306,13 @@ describe('UserRepository', () => {
       const result = await userRepository.updatePassword('1', 'newhash');
       
       expect(result).to.be.true;
-      expect(pgPool.query.firstCall.args[0].text).to.include('UPDATE users');
-      expect(pgPool.query.firstCall.args[0].text).to.include('password_hash');
+      expect(pgPool.query.firstCall.args[0]).to.include('UPDATE "users"');
+      expect(pgPool.query.firstCall.args[0]).to.include('password_hash');
     });
   });
 
   describe('createWithTransaction', () => {
-    it('should create user within transaction', async () => {
+    it('should create user within a new unit of work', async () => {
       const user = new UserModel({
         username: 'transactionuser',
         email: 'transaction@example.com'
@@ -271,10 +324,11 @@ describe('UserRepository', () => {
       };
       
       pgClient.query.resolves({ rows: [mockCreatedUser] });
+      const scope = { query: pgClient.query };
       
-      // Mock transaction function
-      sinon.stub(require('../../src/config/db'), 'transaction').callsFake(async (callback) => {
-        return callback(pgClient);
+      // Mock unit of work function
+      sinon.stub(require('../../src/config/db'), 'unitOfWork').callsFake(async (callback) => {
+        return callback(scope);
       });
       
       const callback = sinon.stub();
@@ -283,8 +337,25 @@ describe('UserRepository', () => {
       expect(result).to.be.instanceOf(UserModel);
       expect(result.user_id).to.equal('123');
       expect(callback.calledOnce).to.be.true;
-      expect(callback.firstCall.args[0]).to.equal(pgClient);
+      expect(callback.firstCall.args[0]).to.equal(scope);
       expect(callback.firstCall.args[1]).to.be.instanceOf(UserModel);
     });
+
+    it('should create user in a savepoint of a given unit of work', async () => {
+      const user = new UserModel({
+        username: 'savepointuser',
+        email: 'savepoint@example.com'
+      });
+      
+      pgClient.query.resolves({ rows: [{ ...user.toDatabase(), user_id: '456' }] });
+      const scope = { query: pgClient.query };
+      scope.transaction = sinon.stub().callsFake(async (callback) => callback(scope));
+      
+      const result = await userRepository.createWithTransaction(user, null, scope);
+      
+      expect(result.user_id).to.equal('456');
+      expect(scope.transaction.calledOnce).to.be.true;
+      expect(pgClient.query.firstCall.args[0]).to.include('INSERT INTO "users"');
+    });
   });
 });
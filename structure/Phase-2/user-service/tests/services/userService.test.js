@@ -18,6 +18,8 @@ describe('UserService', () => {
 
   beforeEach(() => {
     userRepository = sinon.createStubInstance(UserRepository);
+    userRepository.withUnitOfWork.returns(userRepository);
+    userRepository.inUnitOfWork.callsFake(async (work, unitOfWork) => work(unitOfWork || {}));
     activityService = sinon.createStubInstance(ActivityService);
     userService = new UserService(userRepository, activityService);
   });
@@ -100,22 +102,61 @@ describe('UserService', () => {
       expect(activityService.logActivity.calledOnce).to.be.true;
     });
 
+    it('should create the user in a given unit of work', async () => {
+      const userData = {
+        username: 'newuser',
+        email: 'newuser@example.com',
+        password_hash: 'hashedpassword'
+      };
+      const unitOfWork = {};
+      
+      userRepository.usernameExists.resolves(false);
+      userRepository.emailExists.resolves(false);
+      userRepository.createWithTransaction.callsFake(async (user, callback) => {
+        await callback(unitOfWork, user);
+        return new UserModel({ ...userData, user_id: '123' });
+      });
+      
+      await userService.create(userData, unitOfWork);
+      
+      expect(userRepository.inUnitOfWork.firstCall.args[1]).to.equal(unitOfWork);
+      expect(userRepository.withUnitOfWork.firstCall.args[0]).to.equal(unitOfWork);
+      expect(userRepository.createWithTransaction.firstCall.args[2]).to.equal(unitOfWork);
+      expect(activityService.logActivity.firstCall.args[1]).to.equal(unitOfWork);
+    });
+
     it('should throw ConflictError when username exists', async () => {
       userRepository.usernameExists.resolves(true);
       
-      await expect(userService.create({ username: 'existinguser' }))
-        .to.be.rejectedWith(ConflictError, 'Username already exists');
+      let error;
+      try {
+        await userService.create({ username: 'existinguser' });
+      } catch (err) {
+        error = err;
+      }
+      
+      expect(error).to.be.instanceOf(ConflictError);
+      expect(error.message).to.equal('Username already exists');
+      expect(userRepository.createWithTransaction.called).to.be.false;
     });
 
     it('should throw ConflictError when email exists', async () => {
       userRepository.usernameExists.resolves(false);
       userRepository.emailExists.resolves(true);
       
-      await expect(userService.create({ 
-        username: 'newuser',
-        email: 'existing@example.com' 
-      }))
-        .to.be.rejectedWith(ConflictError, 'Email already exists');
+      let error;
+      try {
+        await userService.create({ 
+          username: 'newuser',
+          email: 'existing@example.com' 
+        });
+      } catch (err) {
+        error = err;
+      }
+      
+      expect(error).to.be.instanceOf(ConflictError);
+      expect(error.message).to.equal('Email already exists');
+      expect(userRepository.createWithTransaction.called).to.be.false;
     });
   });
 